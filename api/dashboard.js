@@ -7,9 +7,10 @@
  */
 const NodeCache = require('node-cache');
 const { listRecentCallMetadata, getCallMetadata } = require('../src/s3-storage-service');
-const { listVapiCalls, redactPhoneNumber } = require('../src/vapi-service');
+const { listVapiCalls, redactPhoneNumber, redactPhoneNumbersInText } = require('../src/vapi-service');
 const { shouldEngageScammer } = require('../src/llm-scam-detector');
 const { getAllActiveCalls } = require('../src/redis-service');
+const { queryCalls, isCallIndexEnabled } = require('../src/call-index');
 
 // Initialize cache with 30 second TTL for dashboard data
 const dashboardCache = new NodeCache({
@@ -20,50 +21,12 @@ const dashboardCache = new NodeCache({
 
 /**
  * Redact phone numbers from transcript text for privacy protection
- * Handles various phone number formats including spaced digits
+ * Handles US, UK, Indian and EU formats as well as spaced digits
  * @param {string} text - Text to redact phone numbers from
  * @returns {string} Text with phone numbers redacted
  */
 function redactPhoneNumbersFromTranscript(text) {
-  if (!text || typeof text !== 'string') {
-    return text;
-  }
-
-  let redactedText = text;
-
-  // Pattern 1: Spaced digits like "3 3 0 9 7 8 8 9 4 7" (common in voicemail transcripts)
-  // Matches 10-11 digits with spaces between them
-  const spacedDigitsPattern = /\b(\d\s){9,10}\d\b/g;
-  redactedText = redactedText.replace(spacedDigitsPattern, (match) => {
-    const digits = match.replace(/\s/g, '');
-    return redactPhoneNumber(digits);
-  });
-
-  // Pattern 2: Standard phone number formats
-  const phonePatterns = [
-    // US formats with country code
-    /\+?1[-.\s]?(\d{3})[-.\s]?(\d{3})[-.\s]?(\d{4})\b/g,
-    // US formats without country code:
-    /\b(\d{3})[-.\s]?(\d{3})[-.\s]?(\d{4})\b/g,
-    // Parentheses format:
-    /\(\d{3}\)\s?-?\d{3}-?\d{4}\b/g,
-    // Long format without separators
-    /\b1?\d{10}\b/g
-  ];
-
-  phonePatterns.forEach(pattern => {
-    redactedText = redactedText.replace(pattern, (match) => {
-      // Extract just the digits
-      const digits = match.replace(/\D/g, '');
-      // Only redact if it looks like a valid phone number (10-11 digits)
-      if (digits.length >= 10 && digits.length <= 11) {
-        return redactPhoneNumber(digits);
-      }
-      return match; // Return original if not a valid phone number
-    });
-  });
-
-  return redactedText;
+  return redactPhoneNumbersInText(text);
 }
 
 /**
@@ -150,6 +113,25 @@ function formatTranscriptForDisplay(transcript, transcriptType = 'scam_voicemail
   </div>`;
 }
 
+/**
+ * Fetch the most recent voicemail metadata from the call index, falling back to listing
+ * storage when the index is disabled, unavailable or not yet backfilled
+ * @param {number} limit - Number of voicemails to fetch
+ * @returns {Promise<Object[]>} Stored voicemail metadata, newest first
+ */
+async function listRecentVoicemails(limit) {
+  if (isCallIndexEnabled()) {
+    try {
+      const { calls } = await queryCalls({ channel: 'voicemail', limit }, { includeMetadata: true });
+      const voicemails = calls.map(call => call.metadata).filter(Boolean);
+      if (voicemails.length > 0) return voicemails;
+    } catch (error) {
+      console.warn('Failed to query the call index, listing storage instead:', error.message);
+    }
+  }
+  return listRecentCallMetadata(limit);
+}
+
 module.exports = async (req, res) => {
   try {
     // Check cache first
@@ -167,9 +149,9 @@ module.exports = async (req, res) => {
 
     console.log('📋 Fetching fresh dashboard data');
 
-    // Fetch data from S3, VAPI, and Redis concurrently
+    // Fetch data from the call index, VAPI, and Redis concurrently
     const [s3CallData, vapiCalls, activeCalls] = await Promise.all([
-      listRecentCallMetadata(20),
+      listRecentVoicemails(20),
       listVapiCalls({ limit: 20 }),
       getAllActiveCalls().catch(error => {
         console.warn('Failed to get active calls from Redis:', error);
@@ -207,7 +189,8 @@ module.exports = async (req, res) => {
           scamType: scamAnalysis.scamType || 'unknown',
           message: truncatedMessage,
           timestamp: new Date(call.timestamp),
-          confidence: scamAnalysis.confidence || 0,
+          // Prefer the ensemble score when the call was analyzed with it
+          confidence: scamAnalysis.ensemble?.confidence ?? scamAnalysis.confidence ?? 0,
           audioUrl: `/api/audio/${call.recordingSid}`,
           transcriptUrl: `/api/transcriptions/${call.callSid}/${call.recordingSid}`, // For full transcript access
           transcript: fullFormattedTranscript, // Full formatted transcript for immediate display
@@ -256,7 +239,9 @@ module.exports = async (req, res) => {
           // Try to look up the original scam detection data from S3
           try {
             const originalCallMetadata = await getCallMetadata(call.metadata.originalCallSid);
-            if (originalCallMetadata?.scamAnalysis?.confidence !== undefined) {
+            if (originalCallMetadata?.scamAnalysis?.ensemble?.confidence !== undefined) {
+              confidence = originalCallMetadata.scamAnalysis.ensemble.confidence;
+            } else if (originalCallMetadata?.scamAnalysis?.confidence !== undefined) {
               confidence = originalCallMetadata.scamAnalysis.confidence;
             } else if (call.successful) {
               confidence = 95;
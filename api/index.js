@@ -9,6 +9,9 @@ const twilio = require('twilio');
 const NodeCache = require('node-cache');
 const apiCache = new NodeCache({ stdTTL: 30 }); // Cache for 30 seconds
 
+// Refuse to start with a transcriber that can't read the storage backend
+require('../src/transcription-service').resolveTranscriberConfig();
+
 // Lazy load services to keep cold starts fast
 let vapiService = null;
 function getVapiService() {
@@ -112,39 +115,37 @@ async function handleAudioEndpoint(req, res, pathname) {
     console.log(`[AUDIO ENDPOINT] Fetching audio for recording SID: ${recordingSid}`);
 
     // Import required modules
-    const { S3Client, GetObjectCommand, HeadObjectCommand } = require('@aws-sdk/client-s3');
+    const { getStorage } = require('../src/storage-backend');
     const axios = require('axios');
 
     // Get Twilio client
     const twilio = require('twilio');
     const twilioClient = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
 
-    // First, try to construct the S3 URL directly since we know external storage is enabled
+    // First, look for the recording where Twilio external storage writes it
+    const storage = getStorage();
     const accountSid = process.env.TWILIO_ACCOUNT_SID;
+    let storedRecording = null;
     let recordingUrl = null;
 
     if (accountSid) {
-      // Construct the S3 URL based on the known pattern from Twilio external storage
-      recordingUrl = `https://sip-sentinel.s3.us-west-2.amazonaws.com/${accountSid}/${recordingSid}`;
-      console.log(`[AUDIO ENDPOINT] Trying S3 URL: ${recordingUrl}`);
+      const key = `${accountSid}/${recordingSid}`;
+      console.log(`[AUDIO ENDPOINT] Trying storage: ${storage.uri(key)}`);
 
-      // Test if the S3 URL exists by making a HEAD request
       try {
-        const headResponse = await axios.head(recordingUrl);
-        if (headResponse.status === 200) {
-          console.log(`[AUDIO ENDPOINT] Found recording in S3: ${recordingUrl}`);
+        storedRecording = await storage.head(key);
+        if (storedRecording) {
+          console.log(`[AUDIO ENDPOINT] Found recording in storage: ${storage.uri(key)}`);
         } else {
-          console.log(`[AUDIO ENDPOINT] S3 HEAD request returned status: ${headResponse.status}`);
-          recordingUrl = null;
+          console.log(`[AUDIO ENDPOINT] Recording not found in storage: ${storage.uri(key)}`);
         }
       } catch (headError) {
-        console.log(`[AUDIO ENDPOINT] S3 HEAD request failed: ${headError.response?.status || headError.message}`);
-        recordingUrl = null;
+        console.log(`[AUDIO ENDPOINT] Storage lookup failed: ${headError.message}`);
       }
     }
 
-    // If S3 direct access failed, try getting the URL from Twilio (fallback)
-    if (!recordingUrl) {
+    // If the recording isn't in storage, try getting the URL from Twilio (fallback)
+    if (!storedRecording) {
       try {
         console.log(`[AUDIO ENDPOINT] Falling back to Twilio API for recording ${recordingSid}`);
         const recording = await twilioClient.recordings(recordingSid).fetch();
@@ -164,71 +165,40 @@ async function handleAudioEndpoint(req, res, pathname) {
         console.error(`[AUDIO ENDPOINT] Twilio API failed for recording ${recordingSid}:`, twilioError.message);
         return res.status(404).json({
           error: 'Recording not found',
-          message: 'Recording not found in S3 or Twilio',
+          message: 'Recording not found in storage or Twilio',
           recordingSid: recordingSid,
           details: twilioError.message
         });
       }
     }
 
-    console.log(`[AUDIO ENDPOINT] Final recording URL: ${recordingUrl}`);
-
     // Parse range header for seeking support
     const range = req.headers.range;
     console.log('Range header:', range);
 
-    // Check if this is an S3 URL
-    if (recordingUrl.includes('s3.amazonaws.com') || recordingUrl.includes('s3.us-west-2.amazonaws.com')) {
-      // Get AWS configuration
-      const awsConfig = {
-        region: process.env.AWS_REGION || 'us-west-2',
-        credentials: {
-          accessKeyId: process.env.AWS_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY,
-          secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || process.env.AWS_SECRET_KEY
-        }
-      };
-
-      // Parse the S3 URL to get bucket and key
-      const urlParts = recordingUrl.replace('https://', '').split('/');
-      const bucket = urlParts[0].split('.')[0]; // Extract bucket name
-      const key = urlParts.slice(1).join('/'); // Everything after bucket
-
-      if (!bucket || !key) {
-        throw new Error('Could not parse S3 URL correctly');
-      }
-
-      // Create S3 client
-      const s3Client = new S3Client(awsConfig);
-
-      // First, get the object metadata to know the content length
-      const headCommand = new HeadObjectCommand({
-        Bucket: bucket,
-        Key: key
-      });
-      const headResponse = await s3Client.send(headCommand);
-      const contentLength = headResponse.ContentLength;
-
-      // Set up parameters for getObject
-      const params = {
-        Bucket: bucket,
-        Key: key
-      };
+    if (storedRecording) {
+      const contentLength = storedRecording.size;
 
       // Handle range requests for seeking support
       if (range) {
         const parts = range.replace(/bytes=/, "").split("-");
         const start = parseInt(parts[0], 10);
-        const end = parts[1] ? parseInt(parts[1], 10) : contentLength - 1;
-        const chunksize = (end - start) + 1;
+        const end = Math.min(parts[1] ? parseInt(parts[1], 10) : contentLength - 1, contentLength - 1);
 
-        // Add range to S3 request
-        params.Range = `bytes=${start}-${end}`;
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start > end) {
+          res.status(416); // Range Not Satisfiable
+          res.setHeader('Content-Range', `bytes */${contentLength}`);
+          return res.end();
+        }
 
+        const chunksize = (end - start) + 1;
         console.log(`Serving range: ${start}-${end} (${chunksize} bytes) of ${contentLength} total`);
 
-        // Get the object from S3 with range
-        const command = new GetObjectCommand(params);
-        const response = await s3Client.send(command);
+        // Stream the range from storage
+        const body = await storage.getStream(storedRecording.key, { range: { start, end } });
+        if (!body) {
+          return res.status(404).json({ error: 'Recording not found', recordingSid: recordingSid });
+        }
 
         // Set appropriate headers for partial content
         res.status(206); // Partial Content
@@ -237,12 +207,17 @@ async function handleAudioEndpoint(req, res, pathname) {
         res.setHeader('Content-Length', chunksize);
         res.setHeader('Content-Type', 'audio/wav');
 
-        // Stream the audio data to the response
-        response.Body.pipe(res);
+        body.on('error', error => {
+          console.error(`[AUDIO ENDPOINT] Error streaming recording ${recordingSid}:`, error.message);
+          res.destroy(error);
+        });
+        body.pipe(res);
       } else {
-        // No range request, serve the entire file
-        const command = new GetObjectCommand(params);
-        const response = await s3Client.send(command);
+        // No range request, stream the entire file
+        const body = await storage.getStream(storedRecording.key);
+        if (!body) {
+          return res.status(404).json({ error: 'Recording not found', recordingSid: recordingSid });
+        }
 
         // Set appropriate headers
         res.setHeader('Content-Type', 'audio/wav');
@@ -250,11 +225,14 @@ async function handleAudioEndpoint(req, res, pathname) {
         res.setHeader('Accept-Ranges', 'bytes');
         res.setHeader('Content-Disposition', `attachment; filename="${recordingSid}.wav"`);
 
-        // Stream the audio data to the response
-        response.Body.pipe(res);
+        body.on('error', error => {
+          console.error(`[AUDIO ENDPOINT] Error streaming recording ${recordingSid}:`, error.message);
+          res.destroy(error);
+        });
+        body.pipe(res);
       }
     } else {
-      // For non-S3 URLs, proxy the request with range support
+      // Recordings only on Twilio: proxy the request with range support
       const headers = {};
       if (range) {
         headers.Range = range;
@@ -309,7 +287,7 @@ async function handleAudioEndpoint(req, res, pathname) {
     } else if (error.response && error.response.status === 404) {
       res.status(404).json({
         error: 'Recording not found',
-        message: 'The requested recording does not exist in S3 or Twilio',
+        message: 'The requested recording does not exist in storage or Twilio',
         recordingSid: recordingSid,
         hint: 'Check if Twilio External Storage is properly configured'
       });
@@ -346,7 +324,7 @@ async function handleTranscriptionEndpoint(req, res, pathname) {
     // Import required modules
     const { getTranscription, storeTranscription } = require('../src/s3-storage-service');
     const { transcribeAudioFromUrl, getOrCreateTranscription } = require('../src/transcription-service');
-    const { redactPhoneNumber } = require('../src/vapi-service');
+    const { redactPhoneNumbersInText } = require('../src/vapi-service');
 
     // Get Twilio client
     const twilio = require('twilio');
@@ -357,15 +335,7 @@ async function handleTranscriptionEndpoint(req, res, pathname) {
       if (!transcriptionText) return 'No transcript available';
 
       // Redact phone numbers for privacy
-      let formattedText = transcriptionText;
-
-      // Replace phone numbers with redacted versions
-      const phoneRegex = /(\+?1?[-.\s]?)?\(?([0-9]{3})\)?[-.\s]?([0-9]{3})[-.\s]?([0-9]{4})/g;
-      formattedText = formattedText.replace(phoneRegex, (match) => {
-        return redactPhoneNumber(match);
-      });
-
-      return formattedText;
+      return redactPhoneNumbersInText(transcriptionText);
     }
 
     // Try to get the transcription from S3
@@ -559,6 +529,11 @@ async function handleProcessTranscription(req, res) {
     const { verifyQStashSignature, TASK_TYPES } = require('../src/qstash-service');
     const { publishEvent, removeActiveCall, EVENT_TYPES } = require('../src/redis-service');
     const { analyzeMessageWithLLM, shouldEngageScammer } = require('../src/llm-scam-detector');
+    const { isLikelyScam } = require('../src/scam-detector');
+    const { scoreScam } = require('../src/ensemble-scorer');
+    const { getScoringHistory } = require('../src/caller-history');
+    const { recordMessageNumbers } = require('../src/number-reputation');
+    const { selectCallbackTarget } = require('../src/callback-extractor');
     const { storeCallMetadata, storeTranscription } = require('../src/s3-storage-service');
     const { createVapiCall, redactPhoneNumber, isValidPhoneNumber } = require('../src/vapi-service');
     const { transcribeAudioFromUrl } = require('../src/transcription-service');
@@ -573,17 +548,18 @@ async function handleProcessTranscription(req, res) {
     console.log(`🔄 Processing QStash task: ${taskType} (ID: ${taskId})`);
 
     if (taskType === TASK_TYPES.PROCESS_TRANSCRIPTION) {
-      const { callSid, recordingUrl, recordingSid, recordingDuration, useS3 } = taskData;
+      const { callSid, recordingUrl, recordingSid, callerNumber, recordingDuration, useS3 } = taskData;
 
       console.log(`📝 Processing transcription for call ${callSid}`);
 
       let actualRecordingUrl = recordingUrl;
 
-      // If using AWS external storage, construct the S3 URL
+      // If using external storage, construct the storage URL
       if (useS3) {
+        const { getStorage } = require('../src/storage-backend');
         const accountSid = process.env.TWILIO_ACCOUNT_SID;
-        actualRecordingUrl = `https://sip-sentinel.s3.us-west-2.amazonaws.com/${accountSid}/${recordingSid}.wav`;
-        console.log(`Constructed S3 URL: ${actualRecordingUrl}`);
+        actualRecordingUrl = getStorage().objectUrl(`${accountSid}/${recordingSid}.wav`);
+        console.log(`Constructed storage URL: ${actualRecordingUrl}`);
       }
 
       // Get transcription from AWS Transcribe
@@ -607,14 +583,27 @@ async function handleProcessTranscription(req, res) {
         timestamp: new Date().toISOString()
       });
 
-      // Analyze for scams
-      const scamAnalysis = await analyzeMessageWithLLM(transcriptionResult.text);
+      // Analyze for scams, fusing the same regex, LLM, caller-history and callback-number signals as the queue worker
+      const scamAnalysis = await analyzeMessageWithLLM(transcriptionResult.text, { language: transcriptionResult.language });
+      const regexAnalysis = isLikelyScam(transcriptionResult.text, { language: scamAnalysis?.language });
+      const callbackNumber = selectCallbackTarget({ text: transcriptionResult.text, llmAnalysis: scamAnalysis }).number;
+      const { callerHistory, callbackReputation } = await getScoringHistory({ callerNumber, callbackNumber });
+      scamAnalysis.ensemble = scoreScam({ regexAnalysis, llmAnalysis: scamAnalysis, callerHistory, callbackReputation });
+      await recordMessageNumbers({
+        callerNumber,
+        callbackNumber,
+        isScam: scamAnalysis.ensemble.isScam,
+        company: scamAnalysis?.impersonatedCompany,
+        channel: 'voicemail',
+        messageId: callSid
+      });
       const shouldDisplay = shouldEngageScammer(scamAnalysis, transcriptionResult.text, recordingDuration);
 
       // Store call metadata
       const callMetadata = {
         callSid,
         recordingSid,
+        callerNumber,
         transcriptionText: transcriptionResult.text,
         scamAnalysis,
         recordingDuration,
@@ -624,13 +613,13 @@ async function handleProcessTranscription(req, res) {
 
       await storeCallMetadata(callSid, callMetadata);
 
-      if (shouldDisplay && scamAnalysis.isScam) {
+      if (shouldDisplay && scamAnalysis.ensemble.isScam) {
         // Publish scam detected event
         await publishEvent(EVENT_TYPES.SCAM_DETECTED, {
           callSid,
           company: scamAnalysis.impersonatedCompany || 'Unknown',
-          scamType: scamAnalysis.scamType || 'unknown',
-          confidence: scamAnalysis.confidence,
+          scamType: scamAnalysis.ensemble.scamType || 'unknown',
+          confidence: scamAnalysis.ensemble.confidence,
           timestamp: new Date().toISOString()
         });
       }
@@ -654,19 +643,11 @@ async function handleProcessTranscription(req, res) {
 
 async function handleS3RecordingProcessor(req, res) {
   try {
-    const { S3Client, ListObjectsV2Command, GetObjectCommand } = require('@aws-sdk/client-s3');
+    const { getStorage } = require('../src/storage-backend');
     const { publishEvent, getActiveCall, storeActiveCall, EVENT_TYPES } = require('../src/redis-service');
     const { queueTranscriptionProcessing } = require('../src/qstash-service');
 
-    const s3Client = new S3Client({
-      region: process.env.AWS_REGION || 'us-west-2',
-      credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-      },
-    });
-
-    const S3_BUCKET = 'sip-sentinel';
+    const storage = getStorage();
 
     if (req.method === 'GET') {
       // Handle polling request
@@ -675,31 +656,25 @@ async function handleS3RecordingProcessor(req, res) {
       const accountSid = process.env.TWILIO_ACCOUNT_SID;
       const prefix = `${accountSid}/`;
 
-      const listCommand = new ListObjectsV2Command({
-        Bucket: S3_BUCKET,
-        Prefix: prefix,
-        MaxKeys: 50
-      });
-
-      const response = await s3Client.send(listCommand);
+      const objects = await storage.list(prefix, { limit: 50 });
       const newRecordings = [];
 
-      if (response.Contents) {
+      if (objects.length > 0) {
         const now = new Date();
         const fiveMinutesAgo = new Date(now.getTime() - 5 * 60 * 1000);
 
-        for (const object of response.Contents) {
-          if (object.LastModified > fiveMinutesAgo && object.Key.endsWith('.wav')) {
-            const recordingSid = object.Key.split('/')[1].replace('.wav', '');
+        for (const object of objects) {
+          if (object.lastModified > fiveMinutesAgo && object.key.endsWith('.wav')) {
+            const recordingSid = object.key.split('/')[1].replace('.wav', '');
 
             // Check if we've already processed this recording
             const activeCall = await getActiveCall(recordingSid);
             if (activeCall && activeCall.status !== 'recording_processed') {
               newRecordings.push({
-                key: object.Key,
+                key: object.key,
                 recordingSid: recordingSid,
-                lastModified: object.LastModified,
-                size: object.Size
+                lastModified: object.lastModified,
+                size: object.size
               });
             }
           }
@@ -710,7 +685,7 @@ async function handleS3RecordingProcessor(req, res) {
 
       // Process each new recording
       for (const recording of newRecordings) {
-        const recordingUrl = `https://${S3_BUCKET}.s3.${process.env.AWS_REGION || 'us-west-2'}.amazonaws.com/${recording.key}`;
+        const recordingUrl = storage.objectUrl(recording.key);
 
         // Queue transcription processing
         await queueTranscriptionProcessing({
@@ -793,6 +768,9 @@ module.exports = async (req, res) => {
     if (webhookType === 'vapi') {
       return require('./webhooks/vapi.js')(req, res);
     }
+    if (webhookType === 'canary') {
+      return require('./webhooks/canary.js')(req, res);
+    }
 
     console.warn(`[Webhook Router] No handler for webhook type: ${webhookType}`);
     return res.status(404).json({ error: 'Unknown webhook type' });
@@ -1056,6 +1034,195 @@ module.exports = async (req, res) => {
     }
   }
 
+  // --- Call Index ---
+  if (pathname === '/api/calls') {
+    try {
+      const { queryCalls } = require('../src/call-index');
+      const filters = {};
+      for (const name of ['since', 'until', 'scamType', 'company', 'minConfidence', 'maxConfidence', 'outcome', 'channel', 'scam', 'limit', 'cursor']) {
+        if (url.searchParams.has(name)) filters[name] = url.searchParams.get(name);
+      }
+      const { calls, nextCursor } = await queryCalls(filters);
+      return res.status(200).json({ success: true, calls, nextCursor, timestamp: new Date().toISOString() });
+    } catch (error) {
+      if (error.code === 'INVALID_CALL_QUERY') {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      if (error.code === 'CALL_INDEX_DISABLED') {
+        return res.status(503).json({ success: false, error: error.message });
+      }
+      console.error('Error querying calls:', error);
+      return res.status(500).json({ success: false, error: 'Failed to query calls' });
+    }
+  }
+
+  // --- Persona Experiments ---
+  if (pathname === '/api/experiments' || pathname.startsWith('/api/experiments/')) {
+    try {
+      const { getExperimentReport } = require('../src/persona-experiments');
+      const experimentId = pathname.split('/')[3];
+      const experiments = await getExperimentReport({ experimentId: experimentId ? decodeURIComponent(experimentId) : undefined });
+      return res.status(200).json({ success: true, experiments, timestamp: new Date().toISOString() });
+    } catch (error) {
+      if (error.code === 'UNKNOWN_EXPERIMENT') {
+        return res.status(404).json({ success: false, error: error.message });
+      }
+      console.error('Error building experiment report:', error);
+      return res.status(500).json({ success: false, error: 'Failed to build experiment report' });
+    }
+  }
+
+  // --- Fake Identities (with the call's canary credentials, so behind the intel export token) ---
+  if (pathname.startsWith('/api/identities/')) {
+    const { isExportAuthorized } = require('../src/intel-export');
+    if (!process.env.INTEL_EXPORT_TOKEN) {
+      return res.status(503).json({ success: false, error: 'Identity review is disabled (set INTEL_EXPORT_TOKEN)' });
+    }
+    if (!isExportAuthorized(req.headers)) {
+      return res.status(401).json({ success: false, error: 'Invalid or missing API token' });
+    }
+
+    try {
+      const { getCallIdentityReview } = getVapiService();
+      const callId = decodeURIComponent(pathname.split('/')[3] || '');
+      const identity = callId ? await getCallIdentityReview(callId) : null;
+      if (!identity) {
+        return res.status(404).json({ success: false, error: 'No fake identity stored for this call' });
+      }
+      return res.status(200).json({ success: true, ...identity });
+    } catch (error) {
+      console.error('Error getting fake identity:', error);
+      return res.status(500).json({ success: false, error: 'Failed to get fake identity' });
+    }
+  }
+
+  // --- Scam Campaigns ---
+  if (pathname === '/api/campaigns' || pathname.startsWith('/api/campaigns/')) {
+    try {
+      const { listCampaigns, getCampaign } = require('../src/campaign-tracker');
+      const campaignId = pathname.split('/')[3];
+      if (campaignId) {
+        const campaign = await getCampaign(decodeURIComponent(campaignId));
+        if (!campaign) {
+          return res.status(404).json({ success: false, error: 'Campaign not found' });
+        }
+        return res.status(200).json({ success: true, campaign });
+      }
+
+      const limit = Math.min(parseInt(url.searchParams.get('limit'), 10) || 20, 100);
+      const minMessages = Math.max(parseInt(url.searchParams.get('minMessages'), 10) || 1, 1);
+      const { campaigns, total } = await listCampaigns({ limit, minMessages });
+      return res.status(200).json({ success: true, campaigns, total, timestamp: new Date().toISOString() });
+    } catch (error) {
+      console.error('Error fetching campaigns:', error);
+      return res.status(500).json({ success: false, error: 'Failed to fetch campaigns' });
+    }
+  }
+
+  // --- Number Reputation ---
+  if (pathname.startsWith('/api/numbers/')) {
+    try {
+      const { getNumberReputation } = require('../src/number-reputation');
+      const reputation = await getNumberReputation(decodeURIComponent(pathname.split('/')[3] || ''));
+      if (!reputation) {
+        return res.status(400).json({ success: false, error: 'Invalid phone number' });
+      }
+      return res.status(200).json({ success: true, reputation });
+    } catch (error) {
+      console.error('Error fetching number reputation:', error);
+      return res.status(500).json({ success: false, error: 'Failed to fetch number reputation' });
+    }
+  }
+
+  // --- Indicators of Compromise ---
+  if (pathname === '/api/iocs' || pathname.startsWith('/api/iocs/')) {
+    try {
+      const { listCallIndicators, getCallIndicators, searchIndicators, INDICATOR_TYPES } = require('../src/ioc-extractor');
+      const callId = pathname.split('/')[3];
+      if (callId) {
+        const record = await getCallIndicators(decodeURIComponent(callId));
+        if (!record) {
+          return res.status(404).json({ success: false, error: 'No indicators for this call' });
+        }
+        return res.status(200).json({ success: true, ...record });
+      }
+
+      const limit = Math.min(parseInt(url.searchParams.get('limit'), 10) || 20, 100);
+      const query = url.searchParams.get('q');
+      const type = url.searchParams.get('type');
+      if (type && !INDICATOR_TYPES.includes(type)) {
+        return res.status(400).json({ success: false, error: `Unknown indicator type (expected one of ${INDICATOR_TYPES.join(', ')})` });
+      }
+      if (query) {
+        const { matches, calls } = await searchIndicators(query, { type, limit });
+        return res.status(200).json({ success: true, query, matches, calls, timestamp: new Date().toISOString() });
+      }
+
+      const { calls, total } = await listCallIndicators({ limit });
+      return res.status(200).json({ success: true, calls, total, timestamp: new Date().toISOString() });
+    } catch (error) {
+      console.error('Error fetching indicators:', error);
+      return res.status(500).json({ success: false, error: 'Failed to fetch indicators' });
+    }
+  }
+
+  // --- Threat-Intel Export ---
+  if (pathname === '/api/intel/export') {
+    const { exportIntel, isExportAuthorized } = require('../src/intel-export');
+    if (!process.env.INTEL_EXPORT_TOKEN) {
+      return res.status(503).json({ success: false, error: 'Intel export is disabled (set INTEL_EXPORT_TOKEN)' });
+    }
+    if (!isExportAuthorized(req.headers)) {
+      return res.status(401).json({ success: false, error: 'Invalid or missing export token' });
+    }
+
+    try {
+      const result = await exportIntel({
+        format: url.searchParams.get('format') || undefined,
+        since: url.searchParams.get('since') || undefined,
+        until: url.searchParams.get('until') || undefined,
+        tlp: url.searchParams.get('tlp') || undefined
+      });
+      res.setHeader('Content-Type', result.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="sipsentinel-${result.format}-${result.until.slice(0, 10)}.json"`);
+      return res.status(200).send(JSON.stringify(result.document));
+    } catch (error) {
+      if (error.code === 'INVALID_EXPORT_OPTIONS') {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      console.error('Error exporting intel:', error);
+      return res.status(500).json({ success: false, error: 'Failed to export intel' });
+    }
+  }
+
+  // --- Signed Storage URLs (local storage backend) ---
+  if (pathname.startsWith('/api/storage/')) {
+    const { getStorage, verifySignedUrl, contentTypeFor } = require('../src/storage-backend');
+    try {
+      const key = decodeURIComponent(pathname.slice('/api/storage/'.length));
+      if (!verifySignedUrl(key, url.searchParams.get('expires'), url.searchParams.get('signature'))) {
+        return res.status(403).json({ success: false, error: 'Invalid or expired storage URL' });
+      }
+
+      const body = await getStorage().getStream(key);
+      if (!body) {
+        return res.status(404).json({ success: false, error: 'Object not found' });
+      }
+      res.setHeader('Content-Type', contentTypeFor(key));
+      body.on('error', error => {
+        console.error('Error streaming stored object:', error.message);
+        res.destroy(error);
+      });
+      return body.pipe(res);
+    } catch (error) {
+      if (error.code === 'INVALID_STORAGE_KEY' || error instanceof URIError) {
+        return res.status(400).json({ success: false, error: 'Invalid storage key' });
+      }
+      console.error('Error serving stored object:', error);
+      return res.status(500).json({ success: false, error: 'Failed to read stored object' });
+    }
+  }
+
   // --- Audio & Transcription Endpoints ---
   if (pathname.startsWith('/api/audio/')) {
     return handleAudioEndpoint(req, res, pathname);
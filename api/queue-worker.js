@@ -22,14 +22,25 @@ function loadModules() {
   if (!modules) {
     console.log(`[QUEUE WORKER] Loading modules...`);
     try {
+      // Refuse to run with a transcriber that can't read the storage backend
+      require('../src/transcription-service').resolveTranscriberConfig();
       modules = {
         verifySignature: require('@upstash/qstash/nextjs').verifySignature,
         vapiService: require('../src/vapi-service'),
         llmDetector: require('../src/llm-scam-detector'),
+        scamDetector: require('../src/scam-detector'),
+        ensembleScorer: require('../src/ensemble-scorer'),
+        callerHistory: require('../src/caller-history'),
+        numberReputation: require('../src/number-reputation'),
+        callbackExtractor: require('../src/callback-extractor'),
+        callbackRateLimiter: require('../src/callback-rate-limiter'),
+        campaignTracker: require('../src/campaign-tracker'),
+        urlAnalyzer: require('../src/url-analyzer'),
         transcriptionService: require('../src/transcription-service'),
         webhookService: require('../src/webhook-service'),
         redisService: require('../src/redis-service'),
         s3Service: require('../src/s3-storage-service'),
+        callIndex: require('../src/call-index'),
         qstashService: require('../src/qstash-service')
       };
       console.log(`[QUEUE WORKER] Modules loaded successfully`);
@@ -168,6 +179,33 @@ module.exports = async (req, res) => {
   }
 };
 
+/**
+ * Fuses the regex, LLM, caller-history, callback-number reputation and (for SMS) link signals
+ * and attaches the result to the analysis as `ensemble` (which shouldEngageScammer then uses
+ * for the engage decision). The caller ID and callback number are then recorded with the verdict.
+ */
+async function applyEnsembleScore(text, scamAnalysis, callerNumber, modules, { urlAnalysis = null, channel, messageId } = {}) {
+  const regexAnalysis = modules.scamDetector.isLikelyScam(text, { language: scamAnalysis?.language });
+  const callbackNumber = modules.callbackExtractor.selectCallbackTarget({ text, llmAnalysis: scamAnalysis }).number;
+  const { callerHistory, callbackReputation } = await modules.callerHistory.getScoringHistory({ callerNumber, callbackNumber });
+  const ensemble = modules.ensembleScorer.scoreScam({ regexAnalysis, llmAnalysis: scamAnalysis, callerHistory, callbackReputation, urlAnalysis });
+  await modules.numberReputation.recordMessageNumbers({
+    callerNumber,
+    callbackNumber,
+    isScam: ensemble.isScam,
+    company: scamAnalysis?.impersonatedCompany,
+    channel,
+    messageId
+  });
+  if (callbackReputation?.assessment.knownBad) {
+    console.log(`[ENSEMBLE] Callback number ${modules.vapiService.redactPhoneNumber(callbackNumber)} is known bad (${callbackReputation.scamSightings} scam sightings, ${callbackReputation.engagements} agent calls)`);
+  }
+
+  console.log(`[ENSEMBLE] Scam probability ${ensemble.probability} (model ${ensemble.modelVersion})`);
+  scamAnalysis.ensemble = ensemble;
+  return ensemble;
+}
+
 /**
  * Handles the transcription task: transcribes audio, analyzes for scams, and triggers VAPI calls.
  */
@@ -184,7 +222,7 @@ async function handleTranscriptionTask(data, modules) {
   const transcriptionText = transcriptionResult ? transcriptionResult.text : null;
 
   // Stop if transcription failed or is empty
-  if (!transcriptionText || transcriptionText.length < 5 || transcriptionText.startsWith('(Transcription failed:')) {
+  if (!transcriptionText || transcriptionText.length < 5) {
     console.log(`[TRANSCRIPTION TASK] Transcription for ${callSid} failed or was empty. Text: "${transcriptionText}"`);
     await modules.redisService.removeActiveCall(callSid);
     return;
@@ -194,35 +232,48 @@ async function handleTranscriptionTask(data, modules) {
   await modules.s3Service.storeTranscription(callSid, recordingSid, transcriptionText);
   await modules.redisService.publishEvent(modules.redisService.EVENT_TYPES.CALL_STATUS_UPDATE, { callSid, status: 'transcription_completed', hasTranscript: true });
 
-  // Analyze the transcription with the LLM
-  console.log(`[TRANSCRIPTION TASK] Analyzing transcription for scams...`);
-  const scamAnalysis = await modules.llmDetector.analyzeMessageWithLLM(transcriptionText);
+  // Analyze the transcription with the LLM (in the language Transcribe identified)
+  console.log(`[TRANSCRIPTION TASK] Analyzing transcription for scams (language: ${transcriptionResult.language || 'unknown'})...`);
+  const scamAnalysis = await modules.llmDetector.analyzeMessageWithLLM(transcriptionText, { language: transcriptionResult.language });
+  const ensemble = await applyEnsembleScore(transcriptionText, scamAnalysis, callerNumber, modules, { channel: 'voicemail', messageId: callSid });
+
+  // Link scam voicemails to the campaign they belong to
+  const campaign = ensemble.isScam
+    ? await modules.campaignTracker.recordCampaignMessage({ id: callSid, channel: 'voicemail', text: transcriptionText, callerNumber, scamAnalysis, scamType: ensemble.scamType })
+    : null;
 
   // Store metadata regardless of scam outcome
-  await modules.s3Service.storeCallMetadata(callSid, { callSid, recordingSid, transcriptionText, scamAnalysis, recordingDuration, timestamp: new Date().toISOString() });
+  await modules.s3Service.storeCallMetadata(callSid, { callSid, recordingSid, callerNumber, transcriptionText, scamAnalysis, recordingDuration, language: scamAnalysis.language, campaignId: campaign?.campaignId || null, timestamp: new Date().toISOString() });
 
   // Decide if we should trigger a call
   const shouldEngage = modules.llmDetector.shouldEngageScammer(scamAnalysis, transcriptionText, recordingDuration);
-  if (scamAnalysis.isScam && shouldEngage) {
-    console.log(`[TRANSCRIPTION TASK] SCAM DETECTED in voicemail from ${callerNumber}. Confidence: ${scamAnalysis.confidence}. Engaging.`);
+  if (ensemble.isScam && shouldEngage) {
+    console.log(`[TRANSCRIPTION TASK] SCAM DETECTED in voicemail from ${callerNumber}. Confidence: ${ensemble.confidence}. Engaging.`);
 
     // Determine the target phone number for the VAPI call.
-    // It's either the callback number from the message or the original caller's number.
-    const targetNumber = scamAnalysis.callbackMethod?.details || callerNumber;
+    // It's either the top callback number extracted from the message or the original caller's number.
+    const callbackTarget = modules.callbackExtractor.selectCallbackTarget({
+      text: transcriptionText,
+      llmAnalysis: scamAnalysis,
+      fallbackNumber: callerNumber
+    });
+    const targetNumber = callbackTarget.number;
+    scamAnalysis.callbackCandidates = callbackTarget.candidates;
 
     // Publish event for the dashboard
     await modules.redisService.publishEvent(modules.redisService.EVENT_TYPES.SCAM_DETECTED, {
       callSid,
       callerNumber: modules.vapiService.redactPhoneNumber(callerNumber),
       company: scamAnalysis.impersonatedCompany || 'Unknown',
-      scamType: scamAnalysis.scamType || 'Unknown',
-      confidence: scamAnalysis.confidence,
+      scamType: ensemble.scamType || 'Unknown',
+      confidence: ensemble.confidence,
+      campaignId: campaign?.campaignId || null
     });
 
     // Queue the VAPI call to the scammer
     await modules.qstashService.queueVapiCall({
       targetNumber,
-      scamType: scamAnalysis.scamType,
+      scamType: ensemble.scamType,
       company: scamAnalysis.impersonatedCompany,
       originalCallSid: callSid,
       scamAnalysis
@@ -246,30 +297,53 @@ async function handleSmsTask(data, modules) {
     // Analyze the SMS content with the LLM
     const scamAnalysis = await modules.llmDetector.analyzeMessageWithLLM(message);
 
+    // Extract links and check them against the impersonated company's official domains
+    const urlAnalysis = modules.urlAnalyzer.analyzeUrls(message, { company: scamAnalysis?.impersonatedCompany });
+    scamAnalysis.urlAnalysis = urlAnalysis;
+    if (urlAnalysis.lookalikes.length > 0) {
+        console.log(`[SMS TASK] Lookalike domains: ${urlAnalysis.lookalikes.map(l => `${l.domain} (${l.company}, ${l.technique})`).join(', ')}`);
+    }
+    const ensemble = await applyEnsembleScore(message, scamAnalysis, callerNumber, modules, { urlAnalysis, channel: 'sms', messageId: messageSid });
+
+    // Link scam texts to the campaign they belong to
+    const campaign = ensemble.isScam
+        ? await modules.campaignTracker.recordCampaignMessage({ id: messageSid, channel: 'sms', text: message, callerNumber, scamAnalysis, scamType: ensemble.scamType, urlAnalysis })
+        : null;
+
+    // Store metadata regardless of scam outcome, including the domains linked from the message
+    await modules.s3Service.storeCallMetadata(messageSid, { messageSid, callerNumber, channel: 'sms', message, scamAnalysis, domains: urlAnalysis.domains, campaignId: campaign?.campaignId || null, timestamp: new Date().toISOString() });
+
     // Use the shouldEngageScammer function to check if the confidence is high enough to act.
     const shouldEngage = modules.llmDetector.shouldEngageScammer(scamAnalysis, message);
 
-    if (scamAnalysis.isScam && shouldEngage) {
-        console.log(`[SMS TASK] SCAM DETECTED in SMS from ${callerNumber}. Confidence: ${scamAnalysis.confidence}. Engaging.`);
+    if (ensemble.isScam && shouldEngage) {
+        console.log(`[SMS TASK] SCAM DETECTED in SMS from ${callerNumber}. Confidence: ${ensemble.confidence}. Engaging.`);
 
         // Determine the target phone number for the VAPI call.
-        // It's either the callback number from the message or the sender's number.
-        const targetNumber = scamAnalysis.callbackMethod?.details || callerNumber;
+        // It's either the top callback number extracted from the message or the sender's number.
+        const callbackTarget = modules.callbackExtractor.selectCallbackTarget({
+            text: message,
+            llmAnalysis: scamAnalysis,
+            fallbackNumber: callerNumber
+        });
+        const targetNumber = callbackTarget.number;
+        scamAnalysis.callbackCandidates = callbackTarget.candidates;
 
         // Publish event for the dashboard
         await modules.redisService.publishEvent(modules.redisService.EVENT_TYPES.SCAM_DETECTED, {
             callSid: messageSid, // Use message SID for tracking
             callerNumber: modules.vapiService.redactPhoneNumber(callerNumber),
             company: scamAnalysis.impersonatedCompany || 'Unknown',
-            scamType: scamAnalysis.scamType || 'Unknown',
-            confidence: scamAnalysis.confidence,
+            scamType: ensemble.scamType || 'Unknown',
+            confidence: ensemble.confidence,
+            campaignId: campaign?.campaignId || null,
             source: 'SMS'
         });
 
         // Queue the VAPI call to the scammer
         await modules.qstashService.queueVapiCall({
             targetNumber,
-            scamType: scamAnalysis.scamType,
+            scamType: ensemble.scamType,
             company: scamAnalysis.impersonatedCompany,
             originalCallSid: messageSid,
             originalCallerNumber: callerNumber,
@@ -281,23 +355,50 @@ async function handleSmsTask(data, modules) {
     }
 }
 
+/**
+ * Records a callback that never reached the agent in the call index (non-fatal).
+ */
+async function indexCallbackOutcome(modules, originalCallSid, outcome) {
+    try {
+        await modules.callIndex.recordCallOutcome(originalCallSid, outcome);
+    } catch (error) {
+        console.error(`[VAPI CALL TASK] Failed to index the ${outcome} callback for ${originalCallSid}:`, error.message);
+    }
+}
+
 /**
  * Handles the VAPI call trigger task.
  */
 async function handleVapiCallTask(data, modules) {
-    const { targetNumber, scamType, originalCallSid, scamAnalysis, originalCallerNumber } = data;
+    const { targetNumber, scamType, company, originalCallSid, scamAnalysis, originalCallerNumber } = data;
     console.log(`[VAPI CALL TASK] Initiating call to ${modules.vapiService.redactPhoneNumber(targetNumber)} for a ${scamType} scam.`);
 
     try {
-        const { call } = await modules.vapiService.createVapiCall(targetNumber, scamType, scamAnalysis, null, originalCallSid, originalCallerNumber);
+        // One engagement per callback number and company; duplicates are linked to it
+        const callback = await modules.callbackRateLimiter.runRateLimitedCallback(
+            { phoneNumber: targetNumber, company, scamType, originalCallSid, originalCallerNumber },
+            engagementId => modules.vapiService.createVapiCall(targetNumber, scamType, { ...scamAnalysis, callbackEngagementId: engagementId }, null, originalCallSid, originalCallerNumber)
+        );
+        if (callback.suppressed) {
+            console.log(`[VAPI CALL TASK] Call for ${originalCallSid} suppressed (${callback.reason})${callback.engagementId ? `, linked to engagement ${callback.engagementId}` : ''}.`);
+            await indexCallbackOutcome(modules, originalCallSid, 'suppressed');
+            return;
+        }
+
+        const { call } = callback.result;
         console.log(`[VAPI CALL TASK] VAPI call to ${modules.vapiService.redactPhoneNumber(targetNumber)} initiated successfully.`);
 
         // Note: createVapiCall() already sends the 'call initiated' notification
         // No need to send duplicate notification here
         console.log(`[VAPI CALL TASK] Call ${call.id} created, notification already sent by createVapiCall()`);
     } catch (error) {
+        if (error.code === 'CALLBACK_BLOCKED') {
+            console.warn(`[VAPI CALL TASK] Callback for ${originalCallSid} blocked by safety policy: ${error.policyDecision.reason}`);
+            await indexCallbackOutcome(modules, originalCallSid, 'blocked');
+            return;
+        }
         console.error(`[VAPI CALL TASK] Failed to create VAPI call for ${originalCallSid}:`, error);
-        // Optional: Add failure event to Redis or S3 for tracking
+        await indexCallbackOutcome(modules, originalCallSid, 'failed');
     }
 }
 
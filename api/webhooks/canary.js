@@ -0,0 +1,33 @@
+/**
+ * Canary Webhook Handler
+ * Records uses of canary credentials handed to scammers (src/canary-tokens.js), reported by
+ * whatever watches them: the canary mail domain, a login honeypot or a card-testing feed.
+ */
+const { recordCanaryTrip, isCanaryWebhookAuthorized } = require('../../src/canary-tokens');
+
+module.exports = async (req, res) => {
+  if (!process.env.CANARY_WEBHOOK_TOKEN) {
+    return res.status(503).json({ success: false, error: 'Canary webhook is disabled (set CANARY_WEBHOOK_TOKEN)' });
+  }
+  if (!isCanaryWebhookAuthorized(req.headers)) {
+    return res.status(401).json({ success: false, error: 'Invalid or missing canary webhook token' });
+  }
+
+  try {
+    const result = await recordCanaryTrip(req.body || {});
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Unknown canary value' });
+    }
+    const { canary } = result;
+    res.status(200).json({
+      success: true,
+      canary: { type: canary.type, callId: canary.callId, campaignId: canary.campaignId, tripCount: canary.tripCount }
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_CANARY_TRIP') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('Error in canary webhook handler:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
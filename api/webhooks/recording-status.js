@@ -6,6 +6,7 @@ const { buffer } = require('micro');
 const { URLSearchParams } = require('url');
 const { queueTranscriptionProcessing } = require('../../src/qstash-service');
 const { removeActiveCall, publishEvent, EVENT_TYPES } = require('../../src/redis-service');
+const { getStorage } = require('../../src/storage-backend');
 
 // Disable Vercel's default body parser to get the raw body for validation.
 const config = {
@@ -71,9 +72,9 @@ const handler = async (req, res) => {
       try {
         console.log('Attempting to queue background transcription for recording:', recordingSid);
         
-        // With external S3 storage, Twilio saves the file without an extension.
-        // We will construct the base S3 URL here, and the transcription service will handle renaming.
-        const finalRecordingUrl = `https://sip-sentinel.s3.us-west-2.amazonaws.com/${process.env.TWILIO_ACCOUNT_SID}/${recordingSid}`;
+        // With external storage, Twilio saves the file without an extension.
+        // We will construct the base storage URL here, and the transcription service will handle renaming.
+        const finalRecordingUrl = getStorage().objectUrl(`${process.env.TWILIO_ACCOUNT_SID}/${recordingSid}`);
 
         const result = await queueTranscriptionProcessing({
           recordingUrl: finalRecordingUrl,
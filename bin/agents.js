@@ -0,0 +1,124 @@
+/**
+ * Declarative Agent Sync for SIPSentinel
+ * `plan` shows how the saved VAPI assistants differ from the persona library; `apply` creates and
+ * updates them, deletes duplicate/stale/orphaned ones with --prune, and rewrites agent-config.json
+ */
+
+const readline = require('readline');
+const path = require('path');
+const { listPersonas } = require('../src/persona-library');
+const { listVapiAssistants } = require('../src/vapi-service');
+const {
+  planAgentSync,
+  applyAgentSync,
+  planHasChanges,
+  readAgentConfig,
+  DEFAULT_AGENT_CONFIG_PATH
+} = require('../src/agent-sync');
+
+const ACTIONS = ['plan', 'apply'];
+
+function printPlan(plan) {
+  console.log('\n📋 Agent sync plan');
+  for (const create of plan.creates) {
+    console.log(`  + ${create.desired.name} (persona ${create.personaId})`);
+  }
+  for (const update of plan.updates) {
+    console.log(`  ~ ${update.name} (${update.id}): ${update.changes.join(', ')}`);
+  }
+  for (const remove of plan.deletes) {
+    console.log(`  - ${remove.name} (${remove.id}): ${remove.reason}${remove.personaId ? ` persona ${remove.personaId}` : ''}`);
+  }
+  for (const change of plan.configChanges) {
+    console.log(`  agent-config.json ${change.personaId}: ${change.from || '(none)'} → ${change.to || '(removed)'}`);
+  }
+  console.log(`\n📊 ${plan.creates.length} to create, ${plan.updates.length} to update, ` +
+    `${plan.deletes.length} to delete, ${plan.unchanged.length} unchanged`);
+  if (!planHasChanges(plan)) {
+    console.log('✅ VAPI assistants match the persona library');
+  }
+}
+
+/**
+ * Ask on the terminal before deleting assistants
+ * @param {Object[]} deletes - Planned deletions
+ * @returns {Promise<boolean>} Whether the user typed yes
+ */
+function confirmDeletes(deletes) {
+  if (!process.stdin.isTTY) {
+    console.warn('⚠️ Not asking for confirmation without a terminal; pass --yes to delete');
+    return Promise.resolve(false);
+  }
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => {
+    rl.question(`Delete ${deletes.length} assistant(s) from VAPI? (y/N) `, answer => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+function createVapiClient() {
+  if (!process.env.VAPI_API_KEY) {
+    throw new Error('VAPI_API_KEY is required to apply changes');
+  }
+  const { VapiClient } = require('@vapi-ai/server-sdk');
+  return new VapiClient({ token: process.env.VAPI_API_KEY });
+}
+
+/**
+ * Run an agents action
+ * @param {string} action - plan or apply
+ * @param {Object} options - CLI options (prune, yes, config)
+ * @param {Object} [deps] - Overrides for the assistant list, VAPI client and confirmation prompt
+ * @returns {Promise<Object>} The plan, plus the apply result for `apply`
+ */
+async function runAgents(action, options = {}, deps = {}) {
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`Unknown action "${action}" (expected one of: ${ACTIONS.join(', ')})`);
+  }
+
+  const {
+    listAssistants = () => listVapiAssistants({ refresh: true, throwOnError: true }),
+    client = null,
+    confirm = confirmDeletes
+  } = deps;
+  const configPath = options.config ? path.resolve(options.config) : DEFAULT_AGENT_CONFIG_PATH;
+
+  const plan = planAgentSync({
+    personas: listPersonas(),
+    assistants: await listAssistants(),
+    agentConfig: readAgentConfig(configPath)
+  });
+  printPlan(plan);
+
+  if (action === 'plan') {
+    return { plan };
+  }
+
+  if (!planHasChanges(plan)) {
+    return { plan, result: null };
+  }
+
+  console.log('\n🔄 Applying...');
+  const result = await applyAgentSync(plan, {
+    client: client || createVapiClient(),
+    prune: Boolean(options.prune),
+    confirm: options.yes ? async () => true : confirm,
+    configPath
+  });
+
+  console.log(`\n📊 Created ${result.created.length}, updated ${result.updated.length}, ` +
+    `deleted ${result.deleted.length}, failed ${result.failed.length}`);
+  if (result.failed.length > 0) {
+    const err = new Error(`${result.failed.length} change(s) failed`);
+    err.code = 'AGENT_SYNC_FAILED';
+    throw err;
+  }
+
+  return { plan, result };
+}
+
+module.exports = {
+  runAgents
+};
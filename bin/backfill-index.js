@@ -0,0 +1,36 @@
+/**
+ * Call Index Backfill for SIPSentinel
+ * Indexes the metadata and transcriptions already in storage so the dashboard and
+ * /api/calls can query calls stored before the index existed. Safe to re-run.
+ */
+
+/**
+ * Index the existing storage archive and print a summary
+ * @returns {Promise<Object>} The backfillCallIndex() stats
+ */
+async function runBackfillIndex() {
+  const { backfillCallIndex, resolveCallIndexConfig, resetCallIndex } = require('../src/call-index');
+  const { getStorage } = require('../src/storage-backend');
+  const config = resolveCallIndexConfig();
+  const storage = getStorage();
+
+  console.log(`\n🗂️ Indexing ${storage.type} storage (${storage.uri('metadata')}) into ${config.dialect}${config.filename ? ` (${config.filename})` : ''}...`);
+  try {
+    const stats = await backfillCallIndex({
+      onProgress: progress => console.log(`   ...${progress.metadata} calls, ${progress.transcripts} transcripts`)
+    }, storage);
+
+    console.log(`✅ Indexed ${stats.metadata} calls and messages and ${stats.transcripts} transcripts`);
+    if (stats.failed.length > 0) {
+      console.log(`⚠️ ${stats.failed.length} objects could not be indexed:`);
+      for (const { key, error } of stats.failed) {
+        console.log(`   - ${key}: ${error}`);
+      }
+    }
+    return stats;
+  } finally {
+    await resetCallIndex();
+  }
+}
+
+module.exports = { runBackfillIndex };
@@ -0,0 +1,84 @@
+/**
+ * Callback Policy Management for SIPSentinel
+ * Lists, edits and checks the allowlist/denylist consulted before every agent callback
+ */
+
+const {
+  evaluateCallbackTarget,
+  getCallbackPolicy,
+  getCallbackLists,
+  addToCallbackList,
+  removeFromCallbackLists,
+  getBlockedCallbacks
+} = require('../src/callback-policy');
+
+const ACTIONS = ['list', 'allow', 'deny', 'remove', 'check'];
+
+function printList(title, entries) {
+  console.log(`\n${title} (${entries.length})`);
+  if (entries.length === 0) {
+    console.log('  (empty)');
+    return;
+  }
+  for (const entry of entries) {
+    console.log(`  ${entry.number}  added ${entry.addedAt}${entry.note ? `  - ${entry.note}` : ''}`);
+  }
+}
+
+/**
+ * Run a callback-policy action
+ * @param {string} action - list, allow, deny, remove or check
+ * @param {string} [phoneNumber] - Number for allow/deny/remove/check
+ * @param {Object} options - CLI options (note)
+ * @returns {Promise<Object>} The lists, or the decision for `check`
+ */
+async function runCallbackPolicy(action, phoneNumber, options = {}) {
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`Unknown action "${action}" (expected one of: ${ACTIONS.join(', ')})`);
+  }
+  if (action !== 'list' && !phoneNumber) {
+    throw new Error(`A phone number is required for "${action}"`);
+  }
+  if (!process.env.UPSTASH_REDIS_URL || !process.env.UPSTASH_REDIS_REST_TOKEN) {
+    console.warn('⚠️ Upstash Redis is not configured; list changes only last for this process');
+  }
+
+  if (action === 'check') {
+    const lists = await getCallbackLists();
+    const decision = evaluateCallbackTarget(phoneNumber, { lists });
+    const target = decision.number || phoneNumber;
+    if (decision.allowed) {
+      console.log(`✅ ${target} may be called (${decision.rule}, type: ${decision.type})`);
+    } else {
+      console.log(`🚫 ${target} would be blocked (${decision.rule}): ${decision.reason}`);
+    }
+    return decision;
+  }
+
+  let lists;
+  if (action === 'allow' || action === 'deny') {
+    lists = await addToCallbackList(action === 'allow' ? 'allowlist' : 'denylist', phoneNumber, options.note || null);
+  } else if (action === 'remove') {
+    lists = await removeFromCallbackLists(phoneNumber);
+  } else {
+    lists = await getCallbackLists();
+  }
+
+  console.log(`📋 Callback policy ${getCallbackPolicy().version}`);
+  printList('✅ Allowlist', lists.allowlist);
+  printList('🚫 Denylist', lists.denylist);
+
+  if (action === 'list') {
+    const blocked = await getBlockedCallbacks(10);
+    console.log(`\n🛡️ Recently blocked callbacks (${blocked.length})`);
+    for (const entry of blocked) {
+      console.log(`  ${entry.blockedAt}  ${entry.phoneNumber}  ${entry.rule}: ${entry.reason}`);
+    }
+  }
+
+  return lists;
+}
+
+module.exports = {
+  runCallbackPolicy
+};
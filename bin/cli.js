@@ -57,9 +57,9 @@ program
 // Create agents command
 program
   .command('create-agents')
-  .description('Create VAPI agents from templates')
-  .option('--template <name>', 'Specific template to create (coinbase, kraken, binance, etc.)')
-  .option('--all', 'Create all available agent templates')
+  .description('Create VAPI agents from the persona library (config/personas/)')
+  .option('--template <name>', 'Persona to create (coinbase, kraken, binance, etc.)')
+  .option('--all', 'Create an agent for every company persona')
   .action(async (options) => {
     console.log('🤖 Creating VAPI agents...');
     try {
@@ -71,6 +71,26 @@ program
     }
   });
 
+// Declarative agent sync command
+program
+  .command('agents <action>')
+  .description('Sync saved VAPI assistants with the persona library: plan (show changes) or apply')
+  .option('--prune', 'Delete duplicate, stale and orphaned SIPSentinel assistants (apply)')
+  .option('--yes', 'Delete without asking for confirmation (apply --prune)')
+  .option('--config <file>', 'Agent ID file to read and rewrite (default: agent-config.json)')
+  .action(async (action, options) => {
+    const envPath = path.resolve(program.opts().env);
+    require('dotenv').config(fs.existsSync(envPath) ? { path: envPath } : {});
+
+    try {
+      const agentsModule = require('./agents.js');
+      await agentsModule.runAgents(action, options);
+    } catch (error) {
+      console.error('❌ Agent sync failed:', error.message);
+      process.exit(1);
+    }
+  });
+
 // Configure VAPI webhooks command
 program
   .command('configure-vapi')
@@ -87,6 +107,157 @@ program
     }
   });
 
+// Evaluate detection command
+program
+  .command('eval')
+  .description('Evaluate scam detection against a labeled corpus (precision/recall/F1, confusion matrix, regressions)')
+  .option('--corpus <file>', 'Labeled JSONL corpus (default: tests/eval/corpus.jsonl)')
+  .option('--llm <mode>', 'LLM to use: stub (recorded responses), live (LLM_PROVIDERS chain) or none', 'stub')
+  .option('--stub-responses <file>', 'Recorded LLM responses for --llm stub (default: tests/eval/llm-stub-responses.jsonl)')
+  .option('--weights <file>', 'Ensemble weights file to evaluate instead of the configured one')
+  .option('--baseline <file>', 'Baseline to compare against (default: tests/eval/baseline.json)')
+  .option('--save-baseline', 'Save this run as the new baseline instead of comparing')
+  .option('--tolerance <delta>', 'Metric drop tolerated before it counts as a regression', '0.01')
+  .option('--json <file>', 'Write the full report, including per-sample predictions, as JSON')
+  .option('--verbose', 'Show detector logs')
+  .action(async (options) => {
+    const envPath = path.resolve(program.opts().env);
+    require('dotenv').config(fs.existsSync(envPath) ? { path: envPath } : {});
+
+    try {
+      const evalModule = require('./eval.js');
+      const report = await evalModule.runEvaluation(options);
+      if (report.comparison && report.comparison.regressions.length > 0) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error('❌ Evaluation failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Callback safety policy command
+program
+  .command('callback-policy <action> [number]')
+  .description('Manage the callback allowlist/denylist: list, allow <number>, deny <number>, remove <number>, check <number>')
+  .option('--note <text>', 'Why the number was added (allow/deny)')
+  .action(async (action, number, options) => {
+    const envPath = path.resolve(program.opts().env);
+    require('dotenv').config(fs.existsSync(envPath) ? { path: envPath } : {});
+
+    try {
+      const policyModule = require('./callback-policy.js');
+      await policyModule.runCallbackPolicy(action, number, options);
+    } catch (error) {
+      console.error('❌ Callback policy command failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Threat-intel export command
+program
+  .command('export')
+  .description('Export scam campaigns and agent-call indicators as a STIX 2.1 bundle or MISP event')
+  .option('--format <format>', 'stix or misp', 'stix')
+  .option('--since <time>', 'Window start: ISO date or duration before now (24h, 7d, 2w)', '7d')
+  .option('--until <time>', 'Window end: ISO date or duration before now (default: now)')
+  .option('--tlp <level>', 'TLP marking: clear, green, amber or red (default: INTEL_EXPORT_TLP or amber)')
+  .option('--output <file>', 'Output file, or - for stdout (default: sipsentinel-<format>-<date>.json)')
+  .action(async (options) => {
+    const envPath = path.resolve(program.opts().env);
+    require('dotenv').config(fs.existsSync(envPath) ? { path: envPath } : {});
+
+    try {
+      const exportModule = require('./export.js');
+      await exportModule.runExport(options);
+    } catch (error) {
+      console.error('❌ Export failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Complaint report command
+program
+  .command('complaints')
+  .description('Build FTC, FCC and carrier (7726) complaint packages for scam voicemails and texts')
+  .option('--since <time>', 'Window start: ISO date or duration before now (24h, 7d, 2w)', '7d')
+  .option('--until <time>', 'Window end: ISO date or duration before now (default: now)')
+  .option('--id <sids...>', 'Report these call or message SIDs instead of a window')
+  .option('--format <format>', 'json, html or all', 'all')
+  .option('--timezone <zone>', 'Time zone for form dates (default: COMPLAINT_TIMEZONE or UTC)')
+  .option('--output-dir <dir>', 'Directory for the report files', '.')
+  .action(async (options) => {
+    const envPath = path.resolve(program.opts().env);
+    require('dotenv').config(fs.existsSync(envPath) ? { path: envPath } : {});
+
+    try {
+      const complaintsModule = require('./complaints.js');
+      await complaintsModule.runComplaints(options);
+    } catch (error) {
+      console.error('❌ Complaint reports failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Evidence verification command
+program
+  .command('verify-evidence <callSid>')
+  .description('Check a call\'s evidence manifest and re-hash its stored artifacts to detect tampering')
+  .option('--json <file>', 'Write the verification report as JSON')
+  .action(async (callSid, options) => {
+    const envPath = path.resolve(program.opts().env);
+    require('dotenv').config(fs.existsSync(envPath) ? { path: envPath } : {});
+
+    try {
+      const verifyModule = require('./verify-evidence.js');
+      const result = await verifyModule.runVerifyEvidence(callSid, options);
+      if (!result.valid) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error('❌ Evidence verification failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Persona experiment report command
+program
+  .command('experiments [experimentId]')
+  .description('Report persona A/B experiments: success rates with confidence intervals, time wasted and traffic share per variant')
+  .option('--json <file>', 'Write the report as JSON')
+  .action(async (experimentId, options) => {
+    const envPath = path.resolve(program.opts().env);
+    require('dotenv').config(fs.existsSync(envPath) ? { path: envPath } : {});
+
+    try {
+      const experimentsModule = require('./experiments.js');
+      await experimentsModule.runExperiments(experimentId, options);
+    } catch (error) {
+      console.error('❌ Experiment report failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Call index backfill command
+program
+  .command('backfill-index')
+  .description('Index the calls and transcriptions already in storage for the dashboard and /api/calls')
+  .action(async () => {
+    const envPath = path.resolve(program.opts().env);
+    require('dotenv').config(fs.existsSync(envPath) ? { path: envPath } : {});
+
+    try {
+      const backfillModule = require('./backfill-index.js');
+      const stats = await backfillModule.runBackfillIndex();
+      if (stats.failed.length > 0) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error('❌ Call index backfill failed:', error.message);
+      process.exit(1);
+    }
+  });
+
 // Start command (default)
 program
   .command('start', { isDefault: true })
@@ -142,8 +313,16 @@ QUICK START:
 COMMANDS:
   setup                  Interactive setup wizard
   validate              Validate environment and services
-  create-agents         Create VAPI agents from templates
+  create-agents         Create VAPI agents from the persona library
+  agents                Plan/apply syncing saved VAPI agents with the persona library
   configure-vapi        Configure VAPI webhook URLs for Telegram uploads
+  eval                  Evaluate detection accuracy against a labeled corpus
+  callback-policy       Manage the numbers agents may or may not call back
+  export                Export threat intel as STIX 2.1 or MISP JSON
+  complaints            Build FTC/FCC/7726 complaint reports (JSON and printable HTML)
+  verify-evidence       Detect tampered or missing recordings, transcripts and analyses
+  backfill-index        Index calls already in storage for the dashboard and /api/calls
+  experiments           Report persona A/B experiment results per variant
   start                 Start the server (default command)
   help                  Show this help message
 
@@ -157,8 +336,19 @@ EXAMPLES:
   sipsentinel setup                    # Run setup wizard
   sipsentinel validate                 # Check configuration
   sipsentinel create-agents --all      # Create all agent templates
+  sipsentinel agents plan              # Show agents to create, update or delete
+  sipsentinel agents apply --prune     # Apply, deleting stale agents after confirmation
   sipsentinel start --web-ui           # Start with dashboard
   sipsentinel start --headless         # Start without UI
+  sipsentinel eval                     # Score detectors against tests/eval/corpus.jsonl
+  sipsentinel eval --llm live          # ...using the configured LLM (e.g. local Ollama)
+  sipsentinel callback-policy deny +18885550142 --note "reporter's own line"
+  sipsentinel callback-policy check +19005550123
+  sipsentinel export --format misp --since 30d --tlp green
+  sipsentinel complaints --since 2026-10-01 --until 2026-10-15 --output-dir reports
+  sipsentinel verify-evidence CA1234567890abcdef  # Check a call's chain of custody
+  sipsentinel backfill-index           # Index the existing storage archive
+  sipsentinel experiments coinbase-opening  # Compare an experiment's persona variants
   sipsentinel --port 8080              # Start on port 8080
 
 ENVIRONMENT VARIABLES:
@@ -166,10 +356,20 @@ ENVIRONMENT VARIABLES:
   TWILIO_AUTH_TOKEN      Twilio auth token
   TWILIO_PHONE_NUMBER    Twilio honeypot phone number (displayed prominently)
   VAPI_API_KEY          VAPI API key
-  OPENROUTER_API_KEY    OpenRouter API key for LLM
+  OPENROUTER_API_KEY    OpenRouter API key for LLM (default provider)
+  LLM_PROVIDERS         LLM failover order, e.g. openrouter,ollama
   AWS_ACCESS_KEY_ID     AWS access key
   AWS_SECRET_ACCESS_KEY AWS secret key
   AWS_REGION            AWS region (default: us-west-2)
+  STORAGE_BACKEND       s3 (default), minio or local
+  STORAGE_BUCKET        Bucket for recordings and call data (default: sip-sentinel)
+  STORAGE_ENDPOINT      S3-compatible endpoint for minio, e.g. http://localhost:9000
+  STORAGE_LOCAL_DIR     Directory for the local backend (default: data/storage)
+  TRANSCRIBER           amazon (default, needs s3 storage), whisper or none
+  TRANSCRIBER_BASE_URL  OpenAI-compatible speech-to-text URL for whisper, e.g. http://localhost:8000/v1
+  PERSONAS_PATH         Extra persona files or directories (comma-separated)
+  CALL_INDEX_URL        Call index database, e.g. sqlite:data/call-index.db or postgres://... (unset: no index)
+  EXPERIMENTS_PATH      Extra persona experiment files or directories (comma-separated)
 
 For more information, visit: https://github.com/your-repo/sipsentinel
     `);
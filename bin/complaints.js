@@ -0,0 +1,43 @@
+/**
+ * Complaint Reports for SIPSentinel
+ * Writes pre-filled FTC, FCC and carrier (7726) complaint packages for confirmed scam
+ * voicemails and texts, as JSON and as printable HTML
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Build the complaint packages for a window (or the given SIDs) and write them to disk
+ * @param {Object} options - CLI options (since, until, id, format, timezone, outputDir)
+ * @returns {Promise<Object>} The generateComplaintReports() result
+ */
+async function runComplaints(options = {}) {
+  const { generateComplaintReports, renderComplaintHtml } = require('../src/complaint-reports');
+  const result = await generateComplaintReports({ ...options, ids: options.id });
+
+  if (result.reports.length === 0) {
+    console.log(`ℹ️ No confirmed scam voicemails or texts between ${result.since} and ${result.until} (${result.stats.scanned} stored messages checked)`);
+    return result;
+  }
+
+  const outputDir = path.resolve(options.outputDir || '.');
+  fs.mkdirSync(outputDir, { recursive: true });
+  const baseName = `sipsentinel-complaints-${result.until.slice(0, 10)}`;
+
+  if (result.format === 'json' || result.format === 'all') {
+    const jsonPath = path.join(outputDir, `${baseName}.json`);
+    fs.writeFileSync(jsonPath, `${JSON.stringify(result, null, 2)}\n`);
+    console.log(`📁 JSON complaint packages written to ${jsonPath}`);
+  }
+  if (result.format === 'html' || result.format === 'all') {
+    const htmlPath = path.join(outputDir, `${baseName}.html`);
+    fs.writeFileSync(htmlPath, renderComplaintHtml(result));
+    console.log(`🖨️ Printable reports written to ${htmlPath} (print to PDF from a browser)`);
+  }
+
+  console.log(`   ${result.stats.reported} complaint packages, ${result.stats.skipped} stored messages were not confirmed scams`);
+  return result;
+}
+
+module.exports = { runComplaints };
@@ -1,12 +1,12 @@
 /**
  * VAPI Agent Creation from Templates
- * Creates pre-configured agents for different scam types
+ * Creates pre-configured agents for different scam types from the persona library
  */
 
 require('dotenv').config();
 const { VapiClient } = require('@vapi-ai/server-sdk');
-const { generateDynamicAgentName } = require('../src/vapi-service');
-const fs = require('fs');
+const { buildManagedAssistant, writeAgentConfig } = require('../src/agent-sync');
+const { listPersonas } = require('../src/persona-library');
 const path = require('path');
 
 // Initialize VAPI client
@@ -15,142 +15,15 @@ const vapiClient = new VapiClient({
 });
 
 /**
- * Agent templates for different scam types
+ * Agent templates for every persona in the persona library (config/personas/), keyed by persona id.
+ * Templates are tagged with their persona so `sipsentinel agents plan` recognises the agents.
  */
 function createAgentTemplates() {
-  // Generate dynamic names for each agent type
-  const coinbaseAgent = generateDynamicAgentName('coinbase', 'crypto_exchange');
-  const krakenAgent = generateDynamicAgentName('kraken', 'crypto_exchange');
-  const binanceAgent = generateDynamicAgentName('binance', 'crypto_exchange');
-  const microsoftAgent = generateDynamicAgentName('microsoft', 'it_support');
-
-  return {
-    coinbase: {
-      name: `Coinbase ${coinbaseAgent.fullName}`,
-      firstMessage: "Hello, I'm calling about my Coinbase account. I received a message saying there was suspicious activity.",
-      systemMessage: `You are ${coinbaseAgent.firstName}, a concerned Coinbase user who received a suspicious message about your account. Your goal is to waste scammers' time by pretending to be a potential victim.
-
-Key behaviors:
-- Act confused and ask lots of questions
-- Pretend to have limited crypto knowledge
-- Ask them to repeat information frequently
-- Pretend to have technical difficulties
-- Keep them engaged as long as possible
-- Never reveal you are an AI or know they are scammers
-
-If they ask you to press phone buttons, acknowledge and say you're pressing them.
-If they ask for personal info, provide fake but believable information.
-Act concerned about your account security and ask for detailed explanations.`,
-      voice: {
-        provider: "vapi",
-        voiceId: coinbaseAgent.gender === 'male' ? "Elliot" : "Paige",
-        cachingEnabled: true,
-        speed: 1.0,
-        language: "en-US"
-      },
-      model: {
-        provider: "openai",
-        model: "gpt-4",
-        temperature: 0.7,
-        maxTokens: 500
-      },
-      silenceTimeoutSeconds: 45,
-      maxDurationSeconds: 900
-    },
-
-    kraken: {
-      name: `Kraken ${krakenAgent.fullName}`,
-      firstMessage: "Hi, I got a call about my Kraken account being compromised. Is this really Kraken support?",
-      systemMessage: `You are ${krakenAgent.firstName}, a concerned Kraken user who received a suspicious message about account security. Your goal is to waste scammers' time.
-
-Key behaviors:
-- Act worried about your crypto investments
-- Ask detailed questions about the security issue
-- Pretend to be technically challenged
-- Ask them to explain crypto terms
-- Keep asking for verification of their identity
-- Never reveal you know they are scammers
-
-Engage them in long conversations about account security and crypto trading.`,
-      voice: {
-        provider: "vapi",
-        voiceId: krakenAgent.gender === 'male' ? "Elliot" : "Paige",
-        cachingEnabled: true,
-        speed: 1.0,
-        language: "en-US"
-      },
-    model: {
-      provider: "openai",
-      model: "gpt-4",
-      temperature: 0.7,
-      maxTokens: 500
-    },
-    silenceTimeoutSeconds: 45,
-    maxDurationSeconds: 900
-  },
-
-    binance: {
-      name: `Binance ${binanceAgent.fullName}`,
-      firstMessage: "Hello? I received a message about my Binance account. Something about unauthorized access?",
-      systemMessage: `You are ${binanceAgent.firstName}, a Binance user concerned about account security. Waste scammers' time by acting like a confused victim.
-
-Key behaviors:
-- Act panicked about potential account compromise
-- Ask many questions about the security process
-- Pretend to have trouble with technology
-- Ask them to walk you through everything step by step
-- Express confusion about crypto terminology
-- Keep them on the line as long as possible
-
-Never reveal you are an AI or that you know they are scammers.`,
-      voice: {
-        provider: "vapi",
-        voiceId: binanceAgent.gender === 'male' ? "Elliot" : "Hana",
-        cachingEnabled: true,
-        speed: 1.0,
-        language: "en-US"
-      },
-    model: {
-      provider: "openai",
-      model: "gpt-4",
-      temperature: 0.7,
-      maxTokens: 500
-    },
-    silenceTimeoutSeconds: 45,
-    maxDurationSeconds: 900
-  },
-
-    microsoft: {
-      name: `Microsoft ${microsoftAgent.fullName}`,
-      firstMessage: "Hello, I got a call saying my computer has a virus. Is this really Microsoft?",
-      systemMessage: `You are ${microsoftAgent.firstName}, a concerned computer user who received a message about computer problems. Waste IT support scammers' time.
-
-Key behaviors:
-- Act worried about computer security
-- Pretend to be not tech-savvy
-- Ask lots of questions about the computer problem
-- Pretend to have trouble following technical instructions
-- Ask them to repeat things multiple times
-- Express confusion about computer terms
-
-Keep them engaged by acting like a confused but cooperative victim.`,
-      voice: {
-        provider: "vapi",
-        voiceId: microsoftAgent.gender === 'male' ? "Rohan" : "Paige",
-        cachingEnabled: true,
-        speed: 1.0,
-        language: "en-US"
-      },
-    model: {
-      provider: "openai",
-      model: "gpt-4",
-      temperature: 0.7,
-      maxTokens: 500
-    },
-      silenceTimeoutSeconds: 45,
-      maxDurationSeconds: 900
-    }
-  };
+  const templates = {};
+  for (const persona of listPersonas()) {
+    templates[persona.id] = buildManagedAssistant(persona);
+  }
+  return templates;
 }
 
 /**
@@ -159,13 +32,14 @@ Keep them engaged by acting like a confused but cooperative victim.`,
 async function createAgents(options = {}) {
   console.log('🤖 Creating VAPI agents from templates...\n');
 
-  // Generate fresh templates with dynamic names
   const AGENT_TEMPLATES = createAgentTemplates();
 
+  // Saved agents are matched to calls by the company in their name, so --all only creates
+  // company personas; scam-type and catch-all personas stay transient unless named
   const templatesToCreate = options.template
     ? [options.template]
     : options.all
-    ? Object.keys(AGENT_TEMPLATES)
+    ? listPersonas().filter(persona => persona.companies.length > 0).map(persona => persona.id)
     : [];
 
   if (templatesToCreate.length === 0) {
@@ -179,36 +53,14 @@ async function createAgents(options = {}) {
     const template = AGENT_TEMPLATES[templateName];
     
     if (!template) {
-      console.log(`❌ Template '${templateName}' not found`);
+      console.log(`❌ Template '${templateName}' not found (personas: ${Object.keys(AGENT_TEMPLATES).join(', ')})`);
       continue;
     }
 
     try {
       console.log(`Creating agent: ${template.name}...`);
       
-      const agent = await vapiClient.assistants.create({
-        name: template.name,
-        firstMessage: template.firstMessage,
-        model: {
-          provider: template.model.provider,
-          model: template.model.model,
-          temperature: template.model.temperature,
-          maxTokens: template.model.maxTokens,
-          messages: [
-            {
-              role: "system",
-              content: template.systemMessage
-            }
-          ]
-        },
-        voice: template.voice,
-        silenceTimeoutSeconds: template.silenceTimeoutSeconds,
-        maxDurationSeconds: template.maxDurationSeconds,
-        backgroundSound: "office",
-        backchannelingEnabled: true,
-        backgroundDenoisingEnabled: true,
-        modelOutputInMessagesEnabled: true
-      });
+      const agent = await vapiClient.assistants.create(template);
 
       console.log(`✅ Created agent: ${template.name} (ID: ${agent.id})`);
       results.push({
@@ -240,7 +92,7 @@ async function createAgents(options = {}) {
   });
 
   try {
-    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+    writeAgentConfig(config, configPath);
     console.log(`\n📝 Agent configuration saved to ${configPath}`);
   } catch (error) {
     console.log(`⚠️  Could not save agent configuration: ${error.message}`);
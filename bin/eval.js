@@ -0,0 +1,101 @@
+/**
+ * Detection Evaluation for SIPSentinel
+ * Scores the regex, LLM and ensemble detectors against a labeled corpus
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  loadCorpus,
+  loadStubResponses,
+  evaluateCorpus,
+  buildBaseline,
+  formatReport,
+  DEFAULT_REGRESSION_TOLERANCE
+} = require('../src/detection-evaluator');
+const { loadEnsembleModel } = require('../src/ensemble-scorer');
+
+const EVAL_DIR = path.join(__dirname, '..', 'tests', 'eval');
+const DEFAULT_CORPUS = path.join(EVAL_DIR, 'corpus.jsonl');
+const DEFAULT_STUB_RESPONSES = path.join(EVAL_DIR, 'llm-stub-responses.jsonl');
+const DEFAULT_BASELINE = path.join(EVAL_DIR, 'baseline.json');
+
+/**
+ * Run the evaluation and print the report
+ * @param {Object} options - CLI options
+ * @returns {Promise<Object>} The report (with `comparison` when a baseline was found)
+ */
+async function runEvaluation(options = {}) {
+  const corpusPath = path.resolve(options.corpus || DEFAULT_CORPUS);
+  const baselinePath = path.resolve(options.baseline || DEFAULT_BASELINE);
+  const llm = options.llm || 'stub';
+
+  const samples = loadCorpus(corpusPath);
+  console.log(`📚 Loaded ${samples.length} labeled samples from ${path.relative(process.cwd(), corpusPath)}`);
+
+  const stubResponses = llm === 'stub'
+    ? loadStubResponses(path.resolve(options.stubResponses || DEFAULT_STUB_RESPONSES))
+    : undefined;
+  const ensembleModel = options.weights ? loadEnsembleModel(path.resolve(options.weights)) : undefined;
+
+  let baseline = null;
+  if (!options.saveBaseline && fs.existsSync(baselinePath)) {
+    baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+    if (baseline.llm && baseline.llm !== llm) {
+      console.warn(`⚠️ Baseline was recorded with LLM "${baseline.llm}", comparing against "${llm}"`);
+    }
+  }
+
+  // The detectors log every step; keep the report readable unless asked otherwise
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  const originalError = console.error;
+  if (!options.verbose) {
+    console.log = console.warn = console.error = () => {};
+  }
+
+  let report;
+  try {
+    report = await evaluateCorpus(samples, {
+      llm,
+      stubResponses,
+      ensembleModel,
+      baseline,
+      tolerance: options.tolerance !== undefined ? parseFloat(options.tolerance) : DEFAULT_REGRESSION_TOLERANCE,
+      onProgress: (index, total) => {
+        if (!options.verbose && process.stdout.isTTY) process.stdout.write(`\r🔎 Evaluating ${index + 1}/${total}...`);
+      }
+    });
+  } finally {
+    console.log = originalLog;
+    console.warn = originalWarn;
+    console.error = originalError;
+    if (!options.verbose && process.stdout.isTTY) process.stdout.write('\r\x1b[K');
+  }
+
+  console.log('');
+  console.log(formatReport(report));
+
+  if (options.json) {
+    fs.writeFileSync(path.resolve(options.json), JSON.stringify(report, null, 2));
+    console.log(`\n💾 Full report written to ${options.json}`);
+  }
+
+  if (options.saveBaseline) {
+    const saved = buildBaseline(report, {
+      corpus: path.relative(path.dirname(baselinePath), corpusPath),
+      llm,
+      ensembleModel: (ensembleModel || loadEnsembleModel()).version
+    });
+    fs.writeFileSync(baselinePath, JSON.stringify(saved, null, 2) + '\n');
+    console.log(`\n💾 Baseline saved to ${path.relative(process.cwd(), baselinePath)}`);
+  } else if (!baseline) {
+    console.log(`\nℹ️ No baseline at ${path.relative(process.cwd(), baselinePath)}; run with --save-baseline to create one`);
+  }
+
+  return report;
+}
+
+module.exports = {
+  runEvaluation
+};
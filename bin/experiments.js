@@ -0,0 +1,55 @@
+/**
+ * Persona Experiment Report for SIPSentinel
+ * Prints each experiment's variants: calls assigned and completed, success rate with a 95%
+ * confidence interval, time wasted and the share of traffic the variant currently gets
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function formatRate(variant) {
+  if (variant.successRate === null) return 'no completed calls';
+  const interval = variant.successRateInterval;
+  return `${(variant.successRate * 100).toFixed(1)}% (95% CI ${(interval.low * 100).toFixed(1)}-${(interval.high * 100).toFixed(1)}%)`;
+}
+
+/**
+ * Report persona experiments
+ * @param {string} [experimentId] - Only this experiment
+ * @param {Object} options - CLI options (json)
+ * @returns {Promise<Object[]>} The getExperimentReport() result
+ */
+async function runExperiments(experimentId, options = {}) {
+  const { getExperimentReport } = require('../src/persona-experiments');
+  const reports = await getExperimentReport({ experimentId });
+
+  if (reports.length === 0) {
+    console.log('🧪 No persona experiments defined (add them to config/experiments/ or EXPERIMENTS_PATH)');
+  }
+
+  for (const report of reports) {
+    console.log(`\n🧪 ${report.id}${report.enabled ? '' : ' (not running)'} - ${report.allocation} allocation, success = ${report.successSeconds}s+`);
+    if (report.description) {
+      console.log(`   ${report.description}`);
+    }
+    for (const variant of report.variants) {
+      const wasted = variant.timeWasted;
+      console.log(`\n   ${variant.id === report.leader ? '🏆' : '  '} ${variant.id}${variant.persona ? ` (persona ${variant.persona})` : ''}`);
+      console.log(`      Calls: ${variant.completed} completed of ${variant.assigned} assigned, traffic share ${(variant.trafficShare * 100).toFixed(1)}%`);
+      console.log(`      Success rate: ${formatRate(variant)}`);
+      if (variant.completed > 0) {
+        console.log(`      Time wasted: ${wasted.totalMinutes} min total, median ${wasted.medianSeconds}s, mean ${wasted.meanSeconds}s, p90 ${wasted.p90Seconds}s, max ${wasted.maxSeconds}s`);
+        console.log(`      Distribution: ${wasted.histogram.map(bucket => `${bucket.label} ${bucket.count}`).join(' | ')}`);
+      }
+    }
+  }
+
+  if (options.json) {
+    const output = path.resolve(options.json);
+    fs.writeFileSync(output, `${JSON.stringify(reports, null, 2)}\n`);
+    console.log(`\n📁 Experiment report written to ${output}`);
+  }
+  return reports;
+}
+
+module.exports = { runExperiments };
@@ -0,0 +1,45 @@
+/**
+ * Threat-Intel Export for SIPSentinel
+ * Writes detected scam campaigns and agent-call indicators as a STIX 2.1 bundle or MISP event
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Run an export and write the document to a file (or stdout with `--output -`)
+ * @param {Object} options - CLI options (format, since, until, tlp, output)
+ * @returns {Promise<Object>} The exportIntel() result
+ */
+async function runExport(options = {}) {
+  const toStdout = options.output === '-';
+  if (!process.env.UPSTASH_REDIS_URL || !process.env.UPSTASH_REDIS_REST_TOKEN) {
+    console.warn('⚠️ Upstash Redis is not configured; there is no stored intelligence to export');
+  }
+
+  // Keep module logs out of a document written to stdout
+  const log = console.log;
+  if (toStdout) console.log = (...args) => console.error(...args);
+
+  let result;
+  try {
+    const { exportIntel } = require('../src/intel-export');
+    result = await exportIntel(options);
+  } finally {
+    console.log = log;
+  }
+
+  const json = JSON.stringify(result.document, null, 2);
+  if (toStdout) {
+    process.stdout.write(`${json}\n`);
+    return result;
+  }
+
+  const output = path.resolve(options.output || `sipsentinel-${result.format}-${result.until.slice(0, 10)}.json`);
+  fs.writeFileSync(output, `${json}\n`);
+  console.log(`📁 ${result.format.toUpperCase()} export for ${result.since} to ${result.until} written to ${output}`);
+  console.log(`   ${result.stats.campaigns} campaigns, ${result.stats.calls} agent calls, ${result.stats.items} items, TLP:${result.tlp.toUpperCase()}`);
+  return result;
+}
+
+module.exports = { runExport };
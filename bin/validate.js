@@ -6,8 +6,9 @@
 require('dotenv').config();
 const twilio = require('twilio');
 const { VapiClient } = require('@vapi-ai/server-sdk');
-const { OpenAI } = require('openai');
-const { S3Client, ListBucketsCommand } = require('@aws-sdk/client-s3');
+const { getProviderChain, checkProviderHealth } = require('../src/llm-providers');
+const { getStorage, resolveStorageConfig } = require('../src/storage-backend');
+const { resolveTranscriberConfig } = require('../src/transcription-service');
 
 /**
  * Validate environment configuration and service connectivity
@@ -27,7 +28,6 @@ async function validateEnvironment() {
     'TWILIO_AUTH_TOKEN', 
     'TWILIO_PHONE_NUMBER',
     'VAPI_API_KEY',
-    'OPENROUTER_API_KEY',
     'AWS_ACCESS_KEY_ID',
     'AWS_SECRET_ACCESS_KEY',
     'AWS_REGION'
@@ -97,40 +97,42 @@ async function validateEnvironment() {
     results.overall = false;
   }
 
-  // Test OpenRouter connectivity
-  console.log('\n🧠 Testing OpenRouter connectivity...');
+  // Test LLM providers (in failover order); at least one must be reachable
+  console.log('\n🧠 Testing LLM providers...');
+  results.services.llm = false;
+  for (const provider of getProviderChain()) {
+    try {
+      const detail = await checkProviderHealth(provider);
+      console.log(`✅ ${provider.name} (${provider.type}, ${provider.model}): Connected (${detail})`);
+      results.services.llm = true;
+    } catch (error) {
+      console.log(`❌ ${provider.name} (${provider.type}): ${error.message}`);
+    }
+  }
+  if (!results.services.llm) {
+    console.log('❌ No LLM provider reachable - set LLM_PROVIDERS or OPENROUTER_API_KEY');
+    results.overall = false;
+  }
+
+  // Test storage connectivity
+  console.log('\n☁️  Testing storage connectivity...');
   try {
-    const openai = new OpenAI({
-      apiKey: process.env.OPENROUTER_API_KEY,
-      baseURL: 'https://openrouter.ai/api/v1'
-    });
-    
-    const models = await openai.models.list();
-    console.log(`✅ OpenRouter: Connected (${models.data?.length || 0} models available)`);
-    results.services.openrouter = true;
+    const storage = getStorage();
+    await storage.list('', { limit: 1 });
+    console.log(`✅ Storage (${storage.type}): Connected${storage.type === 'local' ? ` (${resolveStorageConfig().localDir})` : ` (bucket ${storage.bucket})`}`);
+    results.services.storage = true;
   } catch (error) {
-    console.log(`❌ OpenRouter: Connection failed - ${error.message}`);
-    results.services.openrouter = false;
+    console.log(`❌ Storage: Connection failed - ${error.message}`);
+    results.services.storage = false;
     results.overall = false;
   }
 
-  // Test AWS connectivity
-  console.log('\n☁️  Testing AWS connectivity...');
+  // The transcriber has to be able to read the storage backend
   try {
-    const s3Client = new S3Client({
-      region: process.env.AWS_REGION,
-      credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-      }
-    });
-    
-    const buckets = await s3Client.send(new ListBucketsCommand({}));
-    console.log(`✅ AWS S3: Connected (${buckets.Buckets?.length || 0} buckets accessible)`);
-    results.services.aws = true;
+    const { transcriber, baseURL } = resolveTranscriberConfig();
+    console.log(`✅ Transcriber: ${transcriber}${baseURL ? ` (${baseURL})` : ''}`);
   } catch (error) {
-    console.log(`❌ AWS: Connection failed - ${error.message}`);
-    results.services.aws = false;
+    console.log(`❌ Transcriber: ${error.message}`);
     results.overall = false;
   }
 
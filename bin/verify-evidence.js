@@ -0,0 +1,47 @@
+/**
+ * Evidence Verification for SIPSentinel
+ * Checks a call's chain-of-custody manifest and re-hashes its stored audio, transcript,
+ * metadata and LLM analysis to detect tampering or missing artifacts
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const STATUS_ICONS = { ok: '✅', tampered: '❌', missing: '⚠️' };
+
+/**
+ * Verify a call's evidence and print the result
+ * @param {string} callSid - Call or message SID
+ * @param {Object} options - CLI options (json)
+ * @returns {Promise<Object>} The verifyEvidence() result
+ */
+async function runVerifyEvidence(callSid, options = {}) {
+  const { verifyEvidence } = require('../src/evidence-manifest');
+  const result = await verifyEvidence(callSid);
+
+  console.log(`\n🔏 Evidence for ${callSid}: ${result.entries} manifest entries`);
+  console.log(`   Hash chain: ${result.chain.valid ? '✅ intact' : '❌ broken'}`);
+  for (const error of result.chain.errors) {
+    console.log(`     - ${error}`);
+  }
+  for (const artifact of result.artifacts) {
+    console.log(`   ${STATUS_ICONS[artifact.status]} ${artifact.artifact.padEnd(10)} ${artifact.status.padEnd(8)} ${artifact.key} (recorded ${artifact.recordedAt})`);
+    console.log(`      sha256 ${artifact.expectedSha256}`);
+    if (artifact.status === 'tampered') {
+      console.log(`      now    ${artifact.actualSha256}`);
+    }
+  }
+  for (const warning of result.warnings) {
+    console.log(`   ⚠️ ${warning}`);
+  }
+  console.log(`\n${result.valid ? '✅ Evidence verified: every artifact matches its recorded hash' : '❌ Evidence verification failed'}`);
+
+  if (options.json) {
+    const output = path.resolve(options.json);
+    fs.writeFileSync(output, `${JSON.stringify(result, null, 2)}\n`);
+    console.log(`📁 Verification report written to ${output}`);
+  }
+  return result;
+}
+
+module.exports = { runVerifyEvidence };
@@ -15,6 +15,9 @@ document.addEventListener('DOMContentLoaded', () => {
     // Load leaderboard
     loadLeaderboard();
 
+    // Load scam campaigns
+    loadCampaigns();
+
     // Set up real-time updates (SSE preferred, periodic as fallback)
     // setupPeriodicUpdates() is called automatically if SSE fails
 });
@@ -261,6 +264,12 @@ function setupEventListeners() {
     if (refreshLeaderboardBtn) {
         refreshLeaderboardBtn.addEventListener('click', loadLeaderboard);
     }
+
+    // Set up campaigns refresh button
+    const refreshCampaignsBtn = document.getElementById('refresh-campaigns-btn');
+    if (refreshCampaignsBtn) {
+        refreshCampaignsBtn.addEventListener('click', loadCampaigns);
+    }
 }
 
 // Set active filter
@@ -2439,6 +2448,9 @@ function handleSSEMessage(message) {
         case 'vapi_call_failed':
             handleVapiCallFailed(message.data);
             break;
+        case 'agent_call_blocked':
+            handleAgentCallBlocked(message.data);
+            break;
         case 'scam_detected':
             handleScamDetected(message.data);
             break;
@@ -2710,6 +2722,13 @@ function handleVapiCallFailed(data) {
     showCallNotification('Agent Call Failed', `Call failed: ${data.reason}`, 'failed');
 }
 
+function handleAgentCallBlocked(data) {
+    console.log('Agent call blocked:', data);
+
+    // The callback never started, so there is no live call to remove
+    showCallNotification('Agent Call Blocked', `Did not call ${data.phoneNumber}: ${data.reason}`, 'callback_failed');
+}
+
 function handleScamDetected(data) {
     console.log('🚨 Scam Detected Event:', data);
     updateLiveCallStatus(data.callSid, 'scam_detected', 'Scam Detected!', 'scam_detected');
@@ -3311,3 +3330,85 @@ function renderLeaderboard(leaderboard) {
         container.appendChild(item);
     });
 }
+
+// Load and display scam campaigns
+async function loadCampaigns() {
+    const container = document.getElementById('campaigns-container');
+    if (!container) return;
+
+    try {
+        container.innerHTML = '<div class="loading-message">Loading campaigns...</div>';
+
+        const response = await fetch('/api/campaigns?limit=10');
+        const data = await response.json();
+
+        if (data.success) {
+            renderCampaigns(data.campaigns);
+        } else {
+            container.innerHTML = '<div class="loading-message">No campaign data available</div>';
+        }
+    } catch (error) {
+        console.error('Error loading campaigns:', error);
+        container.innerHTML = '<div class="loading-message">Error loading campaigns</div>';
+    }
+}
+
+// Escape text from messages before putting it in the page
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value == null ? '' : String(value);
+    return div.innerHTML;
+}
+
+// Render scam campaigns
+function renderCampaigns(campaigns) {
+    const container = document.getElementById('campaigns-container');
+    if (!container) return;
+
+    if (!campaigns || campaigns.length === 0) {
+        container.innerHTML = '<div class="loading-message">No campaigns yet</div>';
+        return;
+    }
+
+    container.innerHTML = '';
+
+    campaigns.forEach(campaign => {
+        const item = document.createElement('div');
+        item.className = 'campaign-item';
+
+        const companies = campaign.companies.map(company => company.name).join(', ') || 'Unknown company';
+        const scamTypes = Object.keys(campaign.scamTypes).join(', ');
+        const maxDaily = Math.max(...campaign.volume.map(day => day.count), 1);
+        const volumeBars = campaign.volume.slice(-14).map(day =>
+            `<div class="campaign-volume-bar" style="height: ${Math.max(10, (day.count / maxDaily) * 100)}%" title="${day.date}: ${day.count}"></div>`
+        ).join('');
+        const indicators = [...campaign.callbackNumbers, ...campaign.domains].slice(0, 4).join(' · ');
+
+        item.innerHTML = `
+            <div class="campaign-header">
+                <div>
+                    <div class="agent-name">${escapeHtml(companies)}</div>
+                    <div class="campaign-meta">${escapeHtml(scamTypes)} · first seen ${new Date(campaign.firstSeen).toLocaleDateString()} · last seen ${new Date(campaign.lastSeen).toLocaleString()}</div>
+                </div>
+                <div class="leaderboard-stats campaign-stats">
+                    <div class="stat-item">
+                        <div class="stat-value">${campaign.messageCount}</div>
+                        <div class="stat-label">Messages</div>
+                    </div>
+                    <div class="stat-item">
+                        <div class="stat-value">${campaign.callerIdCount}</div>
+                        <div class="stat-label">Caller IDs</div>
+                    </div>
+                    <div class="stat-item">
+                        <div class="campaign-volume">${volumeBars}</div>
+                        <div class="stat-label">Daily</div>
+                    </div>
+                </div>
+            </div>
+            <div class="campaign-sample">“${escapeHtml(campaign.sampleText)}”</div>
+            ${indicators ? `<div class="campaign-meta">${escapeHtml(indicators)}</div>` : ''}
+        `;
+
+        container.appendChild(item);
+    });
+}
@@ -0,0 +1,129 @@
+// Number History page: reputation and activity of one caller ID or callback number
+document.addEventListener('DOMContentLoaded', () => {
+    const form = document.getElementById('number-search-form');
+    const input = document.getElementById('number-input');
+
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        const number = input.value.trim();
+        if (!number) return;
+        history.replaceState(null, '', `?number=${encodeURIComponent(number)}`);
+        loadNumberHistory(number);
+    });
+
+    // Support links like number.html?number=%2B18885550142
+    const initialNumber = new URLSearchParams(window.location.search).get('number');
+    if (initialNumber) {
+        input.value = initialNumber;
+        loadNumberHistory(initialNumber);
+    }
+});
+
+const VERDICT_LABELS = {
+    known_bad: 'Known scam number',
+    suspicious: 'Suspicious',
+    clean: 'No scams seen',
+    unknown: 'Never seen'
+};
+
+// Escape text from the API before putting it in the page
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value == null ? '' : String(value);
+    return div.innerHTML;
+}
+
+// Load and display a number's reputation
+async function loadNumberHistory(number) {
+    const summary = document.getElementById('number-summary');
+    const events = document.getElementById('number-events');
+    summary.innerHTML = '';
+    events.innerHTML = '<div class="loading-message">Loading history...</div>';
+
+    try {
+        const response = await fetch(`/api/numbers/${encodeURIComponent(number)}`);
+        const data = await response.json();
+
+        if (!data.success) {
+            events.innerHTML = `<div class="loading-message">${escapeHtml(data.error || 'Lookup failed')}</div>`;
+            return;
+        }
+        renderSummary(data.reputation);
+        renderEvents(data.reputation.events);
+    } catch (error) {
+        console.error('Error loading number history:', error);
+        events.innerHTML = '<div class="loading-message">Error loading history</div>';
+    }
+}
+
+// Render the reputation counters
+function renderSummary(reputation) {
+    const summary = document.getElementById('number-summary');
+    const { assessment } = reputation;
+    const companies = Object.values(reputation.companies).map(company => `${company.name} (${company.count})`).join(', ');
+    const seen = reputation.firstSeenAt
+        ? `First seen ${new Date(reputation.firstSeenAt).toLocaleString()} · last seen ${new Date(reputation.lastSeenAt).toLocaleString()}`
+        : 'No activity recorded';
+
+    summary.innerHTML = `
+        <div class="number-heading">
+            <span class="agent-name">${escapeHtml(reputation.number)}</span>
+            <span class="verdict-badge ${assessment.verdict}">${VERDICT_LABELS[assessment.verdict]}</span>
+        </div>
+        <div class="campaign-meta">${escapeHtml(seen)}</div>
+        ${companies ? `<div class="campaign-meta">Impersonated: ${escapeHtml(companies)}</div>` : ''}
+        <div class="leaderboard-stats number-stats">
+            <div class="stat-item">
+                <div class="stat-value">${reputation.roles.caller.sightings}</div>
+                <div class="stat-label">As caller</div>
+            </div>
+            <div class="stat-item">
+                <div class="stat-value">${reputation.roles.callback.sightings}</div>
+                <div class="stat-label">As callback</div>
+            </div>
+            <div class="stat-item">
+                <div class="stat-value">${reputation.scamSightings}</div>
+                <div class="stat-label">Scams</div>
+            </div>
+            <div class="stat-item">
+                <div class="stat-value">${reputation.engagements}</div>
+                <div class="stat-label">Agent calls</div>
+            </div>
+            <div class="stat-item">
+                <div class="stat-value">${assessment.minutesWasted}m</div>
+                <div class="stat-label">Time wasted</div>
+            </div>
+        </div>
+    `;
+}
+
+// Render the most recent sightings and engagements, newest first
+function renderEvents(events) {
+    const container = document.getElementById('number-events');
+    if (!events || events.length === 0) {
+        container.innerHTML = '<div class="loading-message">No activity recorded</div>';
+        return;
+    }
+
+    container.innerHTML = '';
+    [...events].reverse().forEach(event => {
+        const item = document.createElement('div');
+        item.className = 'campaign-item';
+
+        let description;
+        if (event.type === 'sighting') {
+            const role = event.role === 'caller' ? 'Called or texted the honeypot' : 'Given as callback number';
+            description = `${role}${event.channel ? ` (${event.channel})` : ''} · ${event.isScam ? 'scam' : 'not a scam'}${event.company ? ` · ${event.company}` : ''}`;
+        } else if (event.type === 'engagement') {
+            description = `Agent call placed${event.company ? ` · ${event.company}` : ''}`;
+        } else {
+            description = `Agent call ended after ${Math.round(event.durationSeconds / 60 * 10) / 10} minutes${event.endedReason ? ` · ${event.endedReason}` : ''}`;
+        }
+
+        item.innerHTML = `
+            <div class="agent-name">${escapeHtml(description)}</div>
+            <div class="campaign-meta">${new Date(event.at).toLocaleString()}${event.messageId ? ` · ${escapeHtml(event.messageId)}` : ''}${event.callId ? ` · ${escapeHtml(event.callId)}` : ''}</div>
+        `;
+        container.appendChild(item);
+    });
+}
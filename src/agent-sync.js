@@ -0,0 +1,322 @@
+/**
+ * Agent Sync
+ * Keeps the saved VAPI assistants in step with the persona library (config/personas/), the way
+ * `terraform plan` / `apply` keep infrastructure in step with its definitions.
+ *
+ * Every company persona should have exactly one saved assistant. Assistants SIPSentinel manages
+ * are tagged with `metadata: { managedBy: 'sipsentinel', personaId }`; older, untagged ones are
+ * recognised through agent-config.json. A plan lists the assistants to create, the ones whose
+ * settings drifted from their persona (and which fields), and the ones to delete: duplicates of a
+ * persona, tagged assistants whose persona is gone (stale) and agent-config.json entries for
+ * personas that are no longer saved agents (orphaned). Assistants SIPSentinel never created are
+ * left alone.
+ *
+ * Desired assistants are built with a random source seeded by the persona id, so the same persona
+ * always renders the same last name, city and voice and a second plan shows no changes.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { buildPersonaAssistant } = require('./vapi-service');
+
+const MANAGED_BY = 'sipsentinel';
+
+const DEFAULT_AGENT_CONFIG_PATH = path.join(process.cwd(), 'agent-config.json');
+
+// Call settings every saved SIPSentinel assistant is created with
+const ASSISTANT_PLATFORM_SETTINGS = {
+  backgroundSound: 'office',
+  backchannelingEnabled: true,
+  backgroundDenoisingEnabled: true,
+  modelOutputInMessagesEnabled: true
+};
+
+const AGENT_CONFIG_HEADER = {
+  _comment: 'This file stores VAPI agent IDs for the personas in config/personas/, keyed by persona id',
+  _note: "Agent IDs are written by 'sipsentinel agents apply' (and 'npm run create-agents')"
+};
+
+/**
+ * Deterministic random number source (mulberry32) seeded from a string
+ * @param {string} seed - Seed text
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+function seededRandom(seed) {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+  return function random() {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Build the saved assistant for a persona, tagged so later syncs recognise it
+ * @param {Object} persona - Persona from src/persona-library.js
+ * @returns {Object} Assistant create/update payload
+ */
+function buildManagedAssistant(persona) {
+  return {
+    ...buildPersonaAssistant(persona, null, { random: seededRandom(persona.id) }),
+    ...ASSISTANT_PLATFORM_SETTINGS,
+    metadata: { managedBy: MANAGED_BY, personaId: persona.id }
+  };
+}
+
+/**
+ * Whether an assistant was created by SIPSentinel
+ * @param {Object} assistant - VAPI assistant
+ * @returns {boolean}
+ */
+function isManagedAssistant(assistant) {
+  return assistant?.metadata?.managedBy === MANAGED_BY;
+}
+
+/**
+ * Flatten the fields SIPSentinel manages into comparable `path: value` pairs
+ * @param {Object} assistant - VAPI assistant or create payload
+ * @returns {Object} Managed fields keyed by dotted path
+ */
+function managedFields(assistant) {
+  const model = assistant.model || {};
+  const voice = assistant.voice || {};
+  const systemMessage = (model.messages || []).find(message => message.role === 'system');
+  return {
+    name: assistant.name,
+    firstMessage: assistant.firstMessage,
+    'model.provider': model.provider,
+    'model.model': model.model,
+    'model.temperature': model.temperature,
+    'model.maxTokens': model.maxTokens,
+    'model.systemPrompt': systemMessage?.content,
+    'voice.provider': voice.provider,
+    'voice.voiceId': voice.voiceId,
+    endCallPhrases: assistant.endCallPhrases,
+    maxDurationSeconds: assistant.maxDurationSeconds,
+    silenceTimeoutSeconds: assistant.silenceTimeoutSeconds,
+    backgroundSound: assistant.backgroundSound,
+    backchannelingEnabled: assistant.backchannelingEnabled,
+    backgroundDenoisingEnabled: assistant.backgroundDenoisingEnabled,
+    modelOutputInMessagesEnabled: assistant.modelOutputInMessagesEnabled,
+    'metadata.managedBy': assistant.metadata?.managedBy,
+    'metadata.personaId': assistant.metadata?.personaId
+  };
+}
+
+/**
+ * List the managed fields where an existing assistant differs from the desired one. Fields the
+ * persona leaves unset are not compared, so VAPI's own defaults don't show up as drift.
+ * @param {Object} existing - Assistant from VAPI
+ * @param {Object} desired - Payload from buildManagedAssistant()
+ * @returns {string[]} Changed field paths
+ */
+function diffAssistant(existing, desired) {
+  const have = managedFields(existing);
+  const want = managedFields(desired);
+  return Object.keys(want).filter(field =>
+    want[field] !== undefined && want[field] !== null &&
+    JSON.stringify(have[field] ?? null) !== JSON.stringify(want[field])
+  );
+}
+
+/**
+ * Read agent-config.json, ignoring its `_comment`-style keys
+ * @param {string} [configPath] - Path to agent-config.json
+ * @returns {Object} Agent IDs keyed by persona id ({} when the file doesn't exist)
+ */
+function readAgentConfig(configPath = DEFAULT_AGENT_CONFIG_PATH) {
+  if (!fs.existsSync(configPath)) {
+    return {};
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    const err = new Error(`Could not parse ${configPath}: ${error.message}`);
+    err.code = 'INVALID_AGENT_CONFIG';
+    throw err;
+  }
+  const entries = {};
+  for (const [key, value] of Object.entries(parsed || {})) {
+    if (!key.startsWith('_') && typeof value === 'string') {
+      entries[key] = value;
+    }
+  }
+  return entries;
+}
+
+/**
+ * Write agent-config.json with the standard header
+ * @param {Object} entries - Agent IDs keyed by persona id
+ * @param {string} [configPath] - Path to agent-config.json
+ */
+function writeAgentConfig(entries, configPath = DEFAULT_AGENT_CONFIG_PATH) {
+  const sorted = Object.keys(entries).sort().reduce((config, key) => {
+    config[key] = entries[key];
+    return config;
+  }, { ...AGENT_CONFIG_HEADER });
+  fs.writeFileSync(configPath, JSON.stringify(sorted, null, 2) + '\n');
+}
+
+/**
+ * Diff the desired persona assistants against the assistants in VAPI
+ * @param {Object} input
+ * @param {Object[]} input.personas - Personas from the library; company personas become saved agents
+ * @param {Object[]} input.assistants - Assistants from listVapiAssistants()
+ * @param {Object} [input.agentConfig] - Current agent-config.json entries
+ * @returns {Object} Plan: creates, updates, unchanged, deletes, config (the agent-config.json
+ *   entries after apply, minus creates) and configChanges
+ */
+function planAgentSync({ personas, assistants, agentConfig = {} }) {
+  const desiredPersonas = personas.filter(persona => persona.companies.length > 0);
+  const desiredIds = new Set(desiredPersonas.map(persona => persona.id));
+  const claimed = new Set();
+  const plan = { creates: [], updates: [], unchanged: [], deletes: [], config: {}, configChanges: [] };
+
+  const describe = assistant => ({ id: assistant.id, name: assistant.name || 'Unnamed' });
+
+  for (const persona of desiredPersonas) {
+    const desired = buildManagedAssistant(persona);
+    const configured = assistants.find(assistant => assistant.id === agentConfig[persona.id]);
+    const tagged = assistants.filter(assistant =>
+      isManagedAssistant(assistant) && assistant.metadata.personaId === persona.id);
+    const candidates = [...new Set([configured, ...tagged].filter(Boolean))]
+      .filter(assistant => !claimed.has(assistant.id));
+
+    if (candidates.length === 0) {
+      plan.creates.push({ personaId: persona.id, desired });
+      continue;
+    }
+
+    const [keep, ...duplicates] = candidates;
+    candidates.forEach(assistant => claimed.add(assistant.id));
+    plan.config[persona.id] = keep.id;
+
+    const changes = diffAssistant(keep, desired);
+    if (changes.length > 0) {
+      plan.updates.push({ personaId: persona.id, ...describe(keep), changes, desired });
+    } else {
+      plan.unchanged.push({ personaId: persona.id, ...describe(keep) });
+    }
+    for (const duplicate of duplicates) {
+      plan.deletes.push({ personaId: persona.id, ...describe(duplicate), reason: 'duplicate' });
+    }
+  }
+
+  for (const assistant of assistants) {
+    if (claimed.has(assistant.id)) continue;
+    const configKey = Object.keys(agentConfig).find(key => agentConfig[key] === assistant.id);
+    if (isManagedAssistant(assistant)) {
+      claimed.add(assistant.id);
+      plan.deletes.push({ personaId: assistant.metadata.personaId || null, ...describe(assistant), reason: 'stale' });
+    } else if (configKey && !desiredIds.has(configKey)) {
+      claimed.add(assistant.id);
+      plan.deletes.push({ personaId: configKey, ...describe(assistant), reason: 'orphaned' });
+    }
+  }
+
+  for (const key of new Set([...Object.keys(agentConfig), ...Object.keys(plan.config)])) {
+    const from = agentConfig[key] || null;
+    const to = plan.config[key] || null;
+    if (from !== to && !plan.creates.some(create => create.personaId === key)) {
+      plan.configChanges.push({ personaId: key, from, to });
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Whether a plan would change VAPI or agent-config.json
+ * @param {Object} plan - Plan from planAgentSync()
+ * @returns {boolean}
+ */
+function planHasChanges(plan) {
+  return plan.creates.length + plan.updates.length + plan.deletes.length + plan.configChanges.length > 0;
+}
+
+/**
+ * Apply a plan: create and update assistants, delete the planned ones only when pruning is
+ * requested and confirmed, then rewrite agent-config.json to match
+ * @param {Object} plan - Plan from planAgentSync()
+ * @param {Object} options
+ * @param {Object} options.client - VAPI client (assistants.create/update/delete)
+ * @param {boolean} [options.prune] - Delete duplicate, stale and orphaned assistants
+ * @param {Function} [options.confirm] - async (deletes) => boolean, asked before deleting
+ * @param {string} [options.configPath] - agent-config.json to rewrite
+ * @returns {Promise<Object>} { created, updated, deleted, skippedDeletes, failed, config }
+ */
+async function applyAgentSync(plan, { client, prune = false, confirm = async () => false, configPath = DEFAULT_AGENT_CONFIG_PATH }) {
+  const result = { created: [], updated: [], deleted: [], skippedDeletes: [], failed: [], config: { ...plan.config } };
+
+  for (const create of plan.creates) {
+    try {
+      const assistant = await client.assistants.create(create.desired);
+      result.config[create.personaId] = assistant.id;
+      result.created.push({ personaId: create.personaId, id: assistant.id, name: create.desired.name });
+      console.log(`✅ Created ${create.desired.name} (ID: ${assistant.id})`);
+    } catch (error) {
+      result.failed.push({ action: 'create', personaId: create.personaId, error: error.message });
+      console.error(`❌ Failed to create ${create.desired.name}: ${error.message}`);
+    }
+  }
+
+  for (const update of plan.updates) {
+    try {
+      await client.assistants.update(update.id, update.desired);
+      result.updated.push({ personaId: update.personaId, id: update.id, changes: update.changes });
+      console.log(`✅ Updated ${update.name} (${update.changes.join(', ')})`);
+    } catch (error) {
+      result.failed.push({ action: 'update', personaId: update.personaId, id: update.id, error: error.message });
+      console.error(`❌ Failed to update ${update.name}: ${error.message}`);
+    }
+  }
+
+  if (plan.deletes.length > 0) {
+    if (!prune || !(await confirm(plan.deletes))) {
+      result.skippedDeletes = plan.deletes;
+      console.log(`⏭️ Left ${plan.deletes.length} assistant(s) in place${prune ? '' : ' (run with --prune to delete them)'}`);
+    } else {
+      for (const remove of plan.deletes) {
+        try {
+          await client.assistants.delete(remove.id);
+          result.deleted.push(remove);
+          console.log(`🗑️ Deleted ${remove.name} (${remove.reason})`);
+        } catch (error) {
+          result.failed.push({ action: 'delete', personaId: remove.personaId, id: remove.id, error: error.message });
+          console.error(`❌ Failed to delete ${remove.name}: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  // Orphaned entries stay in agent-config.json until their assistant is actually deleted, so a
+  // later `apply --prune` can still find them
+  for (const remove of plan.deletes) {
+    if (remove.reason === 'orphaned' && !result.deleted.includes(remove)) {
+      result.config[remove.personaId] = remove.id;
+    }
+  }
+
+  writeAgentConfig(result.config, configPath);
+  console.log(`📝 Agent configuration saved to ${configPath}`);
+
+  return result;
+}
+
+module.exports = {
+  planAgentSync,
+  applyAgentSync,
+  planHasChanges,
+  buildManagedAssistant,
+  isManagedAssistant,
+  diffAssistant,
+  readAgentConfig,
+  writeAgentConfig,
+  seededRandom,
+  ASSISTANT_PLATFORM_SETTINGS,
+  MANAGED_BY,
+  DEFAULT_AGENT_CONFIG_PATH
+};
@@ -0,0 +1,31 @@
+/**
+ * API Token Authentication
+ * Shared check for the endpoints that are called by other systems rather than Twilio or VAPI
+ * (the intel export and the canary webhook). A request presents the configured token either
+ * as `Authorization: Bearer <token>` or as `X-API-Key: <token>`.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Check a request's token against the configured one. Both are hashed first so the comparison
+ * is constant-time whatever their lengths.
+ * @param {Object} headers - Request headers (lower-case names, as Node provides them)
+ * @param {string} [expected] - Configured token; without one every request is refused
+ * @returns {boolean}
+ */
+function isTokenAuthorized(headers = {}, expected) {
+  if (!expected) return false;
+
+  const authorization = headers.authorization || '';
+  const provided = /^Bearer\s+/i.test(authorization)
+    ? authorization.replace(/^Bearer\s+/i, '').trim()
+    : String(headers['x-api-key'] || '');
+  const expectedHash = crypto.createHash('sha256').update(expected).digest();
+  const providedHash = crypto.createHash('sha256').update(provided).digest();
+  return provided.length > 0 && crypto.timingSafeEqual(expectedHash, providedHash);
+}
+
+module.exports = {
+  isTokenAuthorized
+};
@@ -14,6 +14,13 @@ const {
 } = require('./webhook-service');
 const { queueTelegramUpload } = require('./qstash-service');
 const { removeActiveCall } = require('./redis-service');
+const { resolveImpersonatedCompany } = require('./company-resolver');
+const { scoreScam } = require('./ensemble-scorer');
+const { getScoringHistory } = require('./caller-history');
+const { recordMessageNumbers } = require('./number-reputation');
+const { selectCallbackTarget } = require('./callback-extractor');
+const { runRateLimitedCallback } = require('./callback-rate-limiter');
+const { recordCampaignMessage } = require('./campaign-tracker');
 
 // Timeout configurations optimized for Vercel
 const TIMEOUTS = {
@@ -65,49 +72,46 @@ async function processScamDetectionAsync(transcriptionText, callerNumber, callSi
       // Continue with regex-only analysis
     }
 
-    // Step 2: Combine analysis results
-    const finalIsScam = llmAnalysis?.isScam || regexAnalysis.isScam;
-    const finalScamType = llmAnalysis?.scamType || regexAnalysis.scamType;
-    const finalConfidence = llmAnalysis?.confidence || (regexAnalysis.scamDetails?.scamScore * 10) || 0;
-    
-    console.log('📊 Final analysis:', { 
-      isScam: finalIsScam, 
-      scamType: finalScamType, 
-      confidence: finalConfidence 
+    // Step 2: Fuse regex, LLM, caller-history and callback-number reputation with the ensemble scorer
+    const callbackNumber = selectCallbackTarget({ text: transcriptionText, llmAnalysis }).number;
+    const { callerHistory, callbackReputation } = await getScoringHistory({ callerNumber, callbackNumber });
+    const ensemble = scoreScam({ regexAnalysis, llmAnalysis, callerHistory, callbackReputation });
+    await recordMessageNumbers({
+      callerNumber,
+      callbackNumber,
+      isScam: ensemble.isScam,
+      company: llmAnalysis?.impersonatedCompany,
+      channel: 'voicemail',
+      messageId: callSid
+    });
+
+    const finalIsScam = ensemble.isScam;
+    const finalScamType = ensemble.scamType;
+    const finalConfidence = ensemble.confidence;
+
+    // Link scam voicemails to the campaign they belong to
+    const campaign = finalIsScam
+      ? await recordCampaignMessage({ id: callSid, channel: 'voicemail', text: transcriptionText, callerNumber, scamAnalysis: llmAnalysis, scamType: finalScamType })
+      : null;
+
+    console.log('📊 Final analysis:', {
+      isScam: finalIsScam,
+      scamType: finalScamType,
+      confidence: finalConfidence,
+      probability: ensemble.probability,
+      shouldEngage: ensemble.shouldEngage
     });
 
     // Step 3: Send scam detection notification (fast)
     if (finalIsScam) {
       try {
-        // Extract and normalize company name
-        let impersonatedCompany = llmAnalysis?.impersonatedCompany || 'Unknown';
-
-        if (!llmAnalysis?.impersonatedCompany) {
-          // If LLM didn't provide company, extract from regex analysis
-          const rawCompany = regexAnalysis.scamDetails?.cryptoTerms?.[0] ||
-                           regexAnalysis.scamDetails?.itTerms?.[0];
-
-          if (rawCompany) {
-            // Normalize company names to proper case
-            const normalized = rawCompany.toLowerCase();
-            if (normalized === 'kraken' || normalized === 'crack' || normalized === 'crackin' || normalized === 'cracken' || normalized === 'kracken') {
-              impersonatedCompany = 'Kraken';
-            } else if (normalized === 'coinbase' || normalized === 'coin base') {
-              impersonatedCompany = 'Coinbase';
-            } else if (normalized === 'binance') {
-              impersonatedCompany = 'Binance';
-            } else if (normalized === 'microsoft' || normalized === 'micro soft') {
-              impersonatedCompany = 'Microsoft';
-            } else if (normalized === 'apple') {
-              impersonatedCompany = 'Apple';
-            } else if (normalized === 'google') {
-              impersonatedCompany = 'Google';
-            } else {
-              // Capitalize first letter for other companies
-              impersonatedCompany = rawCompany.charAt(0).toUpperCase() + rawCompany.slice(1).toLowerCase();
-            }
-          }
-        }
+        // Resolve the impersonated company (handles transcription/spelling variants)
+        const resolvedCompany = resolveImpersonatedCompany({
+          llmCompany: llmAnalysis?.impersonatedCompany,
+          regexDetails: regexAnalysis.scamDetails,
+          text: transcriptionText
+        });
+        const impersonatedCompany = resolvedCompany ? resolvedCompany.name : 'Unknown';
 
         await notifyScamDetected({
           callerNumber: callerNumber,
@@ -125,7 +129,7 @@ async function processScamDetectionAsync(transcriptionText, callerNumber, callSi
     }
 
     // Step 4: Create VAPI call if scam detected with timeout protection
-    if (finalIsScam && callerNumber && finalConfidence >= 70) {
+    if (finalIsScam && callerNumber && ensemble.shouldEngage) {
       // Check if we have enough time left for VAPI call creation
       const timeElapsed = Date.now() - startTime;
       if (timeElapsed > TIMEOUTS.TOTAL_PROCESSING - TIMEOUTS.VAPI_CALL_CREATION) {
@@ -141,13 +145,41 @@ async function processScamDetectionAsync(transcriptionText, callerNumber, callSi
       try {
         console.log('📞 Creating VAPI agent callback with timeout protection...');
 
+        // Call back the number given in the message, else the caller
+        const callbackTarget = selectCallbackTarget({ text: transcriptionText, llmAnalysis, fallbackNumber: callerNumber });
         const finalScamDetails = {
           ...regexAnalysis.scamDetails,
-          llmAnalysis: llmAnalysis
+          llmAnalysis: llmAnalysis,
+          ensemble: ensemble,
+          callbackCandidates: callbackTarget.candidates,
+          campaignId: campaign?.campaignId || null
         };
+        console.log(`📞 Callback target: ${callbackTarget.number} (${callbackTarget.source})`);
+
+        // One engagement per callback number and company; duplicates are linked to it
+        const vapiPromise = runRateLimitedCallback(
+          {
+            phoneNumber: callbackTarget.number,
+            company: llmAnalysis?.impersonatedCompany || regexAnalysis.scamDetails?.impersonatedCompany,
+            scamType: finalScamType,
+            originalCallSid: callSid,
+            originalCallerNumber: callerNumber
+          },
+          engagementId => createVapiCall(callbackTarget.number, finalScamType, { ...finalScamDetails, callbackEngagementId: engagementId }, null, callSid, callerNumber)
+        );
+        const callback = await withTimeout(vapiPromise, TIMEOUTS.VAPI_CALL_CREATION, 'VAPI Call Creation');
+        if (callback.suppressed) {
+          console.log(`🔁 Callback suppressed (${callback.reason}), linked to engagement ${callback.engagementId || 'none'}`);
+          return {
+            success: true,
+            scamDetected: true,
+            confidence: finalConfidence,
+            reason: `callback_suppressed_${callback.reason}`,
+            engagementId: callback.engagementId
+          };
+        }
 
-        const vapiPromise = createVapiCall(callerNumber, finalScamType, finalScamDetails);
-        const call = await withTimeout(vapiPromise, TIMEOUTS.VAPI_CALL_CREATION, 'VAPI Call Creation');
+        const { call } = callback.result;
         console.log('✅ VAPI call created:', call.id, 'Time elapsed:', Date.now() - startTime);
 
         // Note: createVapiCall() already sends the 'agent call initiated' notification
@@ -175,7 +207,7 @@ async function processScamDetectionAsync(transcriptionText, callerNumber, callSi
         isScam: finalIsScam,
         hasCallerNumber: !!callerNumber,
         confidence: finalConfidence,
-        meetsThreshold: finalConfidence >= 70
+        meetsThreshold: ensemble.shouldEngage
       });
       
       return {
@@ -0,0 +1,640 @@
+/**
+ * Call Index
+ * A queryable table of every stored call and message, so the dashboard and /api/calls don't
+ * have to list and fetch every metadata object in storage. A row is written alongside storage
+ * on every metadata or transcription write and updated as the agent callback progresses.
+ *
+ * The index is opt-in: it is kept only when CALL_INDEX_URL names a database, either a SQLite file
+ * (sqlite:data/call-index.db) or a postgres:// connection string. Both speak the same SQL here;
+ * only the placeholder style differs. `sipsentinel backfill-index` indexes an existing archive.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseTimeBound } = require('./intel-export');
+const { isConfirmedScam } = require('./complaint-reports');
+const { resolveCompany } = require('./company-resolver');
+const { formatToE164, redactPhoneNumber } = require('./phone-utils');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const CHANNELS = ['voicemail', 'sms'];
+
+// pending: transcript stored, analysis not yet; not_scam/detected: the analysis verdict;
+// the rest follow the agent callback
+const ENGAGEMENT_OUTCOMES = ['pending', 'not_scam', 'detected', 'agent_called', 'engaged', 'suppressed', 'blocked', 'failed'];
+const ANALYSIS_OUTCOMES = ['pending', 'not_scam', 'detected'];
+
+// Row columns in insert order, with the record field each one is read from
+const COLUMNS = [
+  ['call_sid', 'callSid'],
+  ['channel', 'channel'],
+  ['recording_sid', 'recordingSid'],
+  ['occurred_at', 'occurredAt'],
+  ['caller_number', 'callerNumber'],
+  ['callback_number', 'callbackNumber'],
+  ['company', 'company'],
+  ['scam_type', 'scamType'],
+  ['confidence', 'confidence'],
+  ['is_scam', 'isScam'],
+  ['engagement_outcome', 'engagementOutcome'],
+  ['recording_duration', 'recordingDuration'],
+  ['campaign_id', 'campaignId'],
+  ['language', 'language'],
+  ['metadata_key', 'metadataKey'],
+  ['transcript_key', 'transcriptKey'],
+  ['document', 'document'],
+  ['indexed_at', 'indexedAt']
+];
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS calls (
+    call_sid TEXT PRIMARY KEY,
+    channel TEXT NOT NULL,
+    recording_sid TEXT,
+    occurred_at BIGINT NOT NULL,
+    caller_number TEXT,
+    callback_number TEXT,
+    company TEXT,
+    scam_type TEXT,
+    confidence REAL,
+    is_scam INTEGER NOT NULL DEFAULT 0,
+    engagement_outcome TEXT NOT NULL,
+    agent_call_id TEXT,
+    engagement_seconds REAL,
+    recording_duration REAL,
+    campaign_id TEXT,
+    language TEXT,
+    metadata_key TEXT,
+    transcript_key TEXT,
+    document TEXT,
+    indexed_at BIGINT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS calls_occurred_at ON calls (occurred_at DESC, call_sid DESC);
+  CREATE INDEX IF NOT EXISTS calls_scam_type ON calls (scam_type, occurred_at DESC);
+  CREATE INDEX IF NOT EXISTS calls_company ON calls (company, occurred_at DESC);
+  CREATE INDEX IF NOT EXISTS calls_outcome ON calls (engagement_outcome, occurred_at DESC);
+`;
+
+/**
+ * Build a query error that the API reports as a 400
+ * @param {string} message - What was wrong with the query
+ * @returns {Error} Error with code INVALID_CALL_QUERY
+ */
+function queryError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_CALL_QUERY';
+  return error;
+}
+
+/**
+ * Build the error reported when the index is used without being configured
+ * @returns {Error} Error with code CALL_INDEX_DISABLED
+ */
+function disabledError() {
+  const error = new Error('The call index is not enabled (set CALL_INDEX_URL, and leave CALL_INDEX unset or "true")');
+  error.code = 'CALL_INDEX_DISABLED';
+  return error;
+}
+
+/**
+ * Whether calls are indexed on every storage write: only when CALL_INDEX_URL is set, and
+ * CALL_INDEX=false turns it off without removing the URL
+ * @returns {boolean}
+ */
+function isCallIndexEnabled() {
+  return !!(process.env.CALL_INDEX_URL || '').trim() && process.env.CALL_INDEX !== 'false';
+}
+
+/**
+ * Read the index database from CALL_INDEX_URL
+ * @param {Object} [env] - Environment variables (default process.env)
+ * @returns {{dialect: 'sqlite'|'postgres', url: string, filename?: string}}
+ */
+function resolveCallIndexConfig(env = process.env) {
+  const url = (env.CALL_INDEX_URL || '').trim();
+  if (!url) throw disabledError();
+  if (/^postgres(ql)?:\/\//i.test(url)) {
+    return { dialect: 'postgres', url };
+  }
+  const filename = url.replace(/^sqlite:/i, '');
+  return { dialect: 'sqlite', url, filename: filename === ':memory:' ? filename : path.resolve(filename) };
+}
+
+/**
+ * Open a SQLite database
+ * @param {string} filename - Database file, or ":memory:"
+ * @returns {Object} Database driver
+ */
+function createSqliteDriver(filename) {
+  const Database = require('better-sqlite3');
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+  const db = new Database(filename);
+  if (filename !== ':memory:') db.pragma('journal_mode = WAL');
+
+  return {
+    dialect: 'sqlite',
+    async exec(sql) {
+      db.exec(sql);
+    },
+    async run(sql, params = []) {
+      return db.prepare(sql).run(...params).changes;
+    },
+    async all(sql, params = []) {
+      return db.prepare(sql).all(...params);
+    },
+    async close() {
+      db.close();
+    }
+  };
+}
+
+/**
+ * Connect to a Postgres database
+ * @param {string} url - postgres:// connection string
+ * @returns {Object} Database driver
+ */
+function createPostgresDriver(url) {
+  const { Pool } = require('pg');
+  const pool = new Pool({ connectionString: url });
+  let position = 0;
+  const toPostgres = sql => {
+    position = 0;
+    return sql.replace(/\?/g, () => `$${++position}`);
+  };
+
+  return {
+    dialect: 'postgres',
+    async exec(sql) {
+      await pool.query(sql);
+    },
+    async run(sql, params = []) {
+      return (await pool.query(toPostgres(sql), params)).rowCount;
+    },
+    async all(sql, params = []) {
+      return (await pool.query(toPostgres(sql), params)).rows;
+    },
+    async close() {
+      await pool.end();
+    }
+  };
+}
+
+/**
+ * Open the index database and create the table if needed
+ * @param {Object} [config] - resolveCallIndexConfig() result (default: from the environment)
+ * @returns {Promise<Object>} Database driver
+ */
+async function openCallIndex(config = resolveCallIndexConfig()) {
+  const driver = config.dialect === 'postgres' ? createPostgresDriver(config.url) : createSqliteDriver(config.filename);
+  await driver.exec(SCHEMA);
+  return driver;
+}
+
+let sharedIndex = null;
+
+/**
+ * Get the index database configured by the environment (opened on first use)
+ * @returns {Promise<Object>} Database driver
+ */
+function getCallIndex() {
+  if (!sharedIndex) {
+    const config = resolveCallIndexConfig();
+    sharedIndex = openCallIndex(config).then(driver => {
+      console.log(`🗂️ Call index: ${driver.dialect}${config.filename ? ` (${config.filename})` : ''}`);
+      return driver;
+    });
+    // Let the next call retry if the database couldn't be opened
+    sharedIndex.catch(() => {
+      sharedIndex = null;
+    });
+  }
+  return sharedIndex;
+}
+
+/**
+ * Close the shared index so the next getCallIndex() re-reads the environment
+ * @returns {Promise<void>}
+ */
+async function resetCallIndex() {
+  const current = sharedIndex;
+  sharedIndex = null;
+  if (current) {
+    try {
+      await (await current).close();
+    } catch (error) {
+      // The database never opened; nothing to close
+    }
+  }
+}
+
+/**
+ * Turn stored call or message metadata into an index record
+ * @param {Object} metadata - Stored metadata (as written by storeCallMetadata)
+ * @param {Object} [options]
+ * @param {string} [options.metadataKey] - Storage key of the metadata document
+ * @returns {Object} Index record
+ */
+function buildCallRecord(metadata, { metadataKey = null } = {}) {
+  const analysis = metadata.scamAnalysis || {};
+  const callSid = metadata.callSid || metadata.messageSid;
+  if (!callSid) {
+    throw new Error('Metadata has no callSid or messageSid');
+  }
+
+  const channel = metadata.channel === 'sms' || (metadata.messageSid && !metadata.recordingSid) ? 'sms' : 'voicemail';
+  const isScam = isConfirmedScam(metadata);
+  const rawCompany = analysis.company || analysis.impersonatedCompany || analysis.details?.llmAnalysis?.impersonatedCompany;
+  const callback = analysis.callbackPhoneNumber || analysis.phoneNumber || null;
+  const occurredAt = new Date(metadata.timestamp).getTime();
+  const confidence = analysis.ensemble?.confidence ?? analysis.confidence;
+
+  return {
+    callSid,
+    channel,
+    recordingSid: metadata.recordingSid || null,
+    occurredAt: Number.isFinite(occurredAt) ? occurredAt : Date.now(),
+    callerNumber: metadata.callerNumber ? formatToE164(metadata.callerNumber) || metadata.callerNumber : null,
+    callbackNumber: callback ? formatToE164(callback) || callback : null,
+    company: rawCompany && rawCompany !== 'Unknown' ? resolveCompany(rawCompany)?.name || rawCompany : null,
+    scamType: analysis.ensemble?.scamType || analysis.scamType || null,
+    confidence: Number.isFinite(Number(confidence)) && confidence !== null ? Number(confidence) : null,
+    isScam: isScam ? 1 : 0,
+    engagementOutcome: isScam ? 'detected' : 'not_scam',
+    recordingDuration: Number.isFinite(Number(metadata.recordingDuration)) ? Number(metadata.recordingDuration) : null,
+    campaignId: metadata.campaignId || null,
+    language: metadata.language || analysis.language || null,
+    metadataKey,
+    transcriptKey: null,
+    document: JSON.stringify(metadata),
+    indexedAt: Date.now()
+  };
+}
+
+/**
+ * Index stored metadata. Re-indexing a call replaces its analysis but keeps its transcript and
+ * any callback outcome recorded since.
+ * @param {Object} metadata - Stored metadata
+ * @param {Object} [options]
+ * @param {string} [options.metadataKey] - Storage key of the metadata document
+ * @returns {Promise<Object|null>} The index record, or null when the index is disabled
+ */
+async function indexCallMetadata(metadata, { metadataKey = null } = {}) {
+  if (!isCallIndexEnabled()) return null;
+  const record = buildCallRecord(metadata, { metadataKey });
+  const db = await getCallIndex();
+
+  const keep = ['call_sid', 'transcript_key', 'engagement_outcome'];
+  const updates = COLUMNS
+    .filter(([column]) => !keep.includes(column))
+    .map(([column]) => `${column} = excluded.${column}`);
+  const analysisOutcomes = ANALYSIS_OUTCOMES.map(outcome => `'${outcome}'`).join(', ');
+
+  await db.run(
+    `INSERT INTO calls (${COLUMNS.map(([column]) => column).join(', ')})
+     VALUES (${COLUMNS.map(() => '?').join(', ')})
+     ON CONFLICT (call_sid) DO UPDATE SET ${updates.join(', ')},
+       engagement_outcome = CASE WHEN calls.engagement_outcome IN (${analysisOutcomes})
+         THEN excluded.engagement_outcome ELSE calls.engagement_outcome END`,
+    COLUMNS.map(([, field]) => record[field])
+  );
+  return record;
+}
+
+/**
+ * Index a stored transcription. The transcript is stored before the analysis, so this creates a
+ * pending row when the call isn't indexed yet.
+ * @param {string} callSid - The Twilio call SID
+ * @param {string} recordingSid - The Twilio recording SID
+ * @param {string} transcriptKey - Storage key of the transcription
+ * @returns {Promise<boolean>} False when the index is disabled
+ */
+async function indexTranscription(callSid, recordingSid, transcriptKey) {
+  if (!isCallIndexEnabled()) return false;
+  const db = await getCallIndex();
+  const now = Date.now();
+  await db.run(
+    `INSERT INTO calls (call_sid, channel, recording_sid, occurred_at, engagement_outcome, transcript_key, indexed_at)
+     VALUES (?, 'voicemail', ?, ?, 'pending', ?, ?)
+     ON CONFLICT (call_sid) DO UPDATE SET transcript_key = excluded.transcript_key,
+       recording_sid = COALESCE(calls.recording_sid, excluded.recording_sid), indexed_at = excluded.indexed_at`,
+    [callSid, recordingSid || null, now, transcriptKey, now]
+  );
+  return true;
+}
+
+/**
+ * Record how the agent callback for a call or message went
+ * @param {string} callSid - The voicemail or SMS that triggered the callback
+ * @param {string} outcome - agent_called, engaged, suppressed, blocked or failed
+ * @param {Object} [details]
+ * @param {string} [details.agentCallId] - VAPI call ID
+ * @param {number} [details.engagementSeconds] - Length of the agent call
+ * @returns {Promise<boolean>} Whether an indexed call was updated
+ */
+async function recordCallOutcome(callSid, outcome, { agentCallId = null, engagementSeconds = null } = {}) {
+  if (!isCallIndexEnabled() || !callSid) return false;
+  if (!ENGAGEMENT_OUTCOMES.includes(outcome) || ANALYSIS_OUTCOMES.includes(outcome)) {
+    throw new Error(`Unknown engagement outcome "${outcome}"`);
+  }
+
+  const db = await getCallIndex();
+  // An ended call stays "engaged" even if a late status event arrives
+  const changes = await db.run(
+    `UPDATE calls SET engagement_outcome = ?, agent_call_id = COALESCE(?, agent_call_id),
+       engagement_seconds = COALESCE(?, engagement_seconds), indexed_at = ?
+     WHERE call_sid = ? AND (engagement_outcome <> 'engaged' OR ? = 'engaged')`,
+    [outcome, agentCallId, Number.isFinite(engagementSeconds) ? engagementSeconds : null, Date.now(), callSid, outcome]
+  );
+  return changes > 0;
+}
+
+/**
+ * Encode a page position as an opaque cursor
+ * @param {{occurred_at: number, call_sid: string}} row - Last row of the page
+ * @returns {string} Cursor
+ */
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([Number(row.occurred_at), row.call_sid])).toString('base64url');
+}
+
+/**
+ * Decode a cursor from encodeCursor()
+ * @param {string} cursor - Cursor
+ * @returns {{occurredAt: number, callSid: string}}
+ */
+function decodeCursor(cursor) {
+  try {
+    const [occurredAt, callSid] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
+    if (Number.isFinite(occurredAt) && typeof callSid === 'string') {
+      return { occurredAt, callSid };
+    }
+  } catch (error) {
+    // Fall through to the error below
+  }
+  throw queryError('Invalid cursor');
+}
+
+/**
+ * Parse a confidence bound (0-100)
+ * @param {*} value - Query value
+ * @param {string} name - Parameter name for the error
+ * @returns {number|null}
+ */
+function parseConfidence(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const confidence = Number(value);
+  if (!Number.isFinite(confidence) || confidence < 0 || confidence > 100) {
+    throw queryError(`${name} must be a number from 0 to 100`);
+  }
+  return confidence;
+}
+
+/**
+ * Validate and normalize call query filters
+ * @param {Object} [filters]
+ * @param {string} [filters.since] - ISO date or duration before now (24h, 7d, 2w)
+ * @param {string} [filters.until] - ISO date or duration before now
+ * @param {string} [filters.scamType] - Scam type
+ * @param {string} [filters.company] - Impersonated company (aliases resolve to the canonical name)
+ * @param {number|string} [filters.minConfidence] - Lowest confidence (0-100)
+ * @param {number|string} [filters.maxConfidence] - Highest confidence (0-100)
+ * @param {string} [filters.outcome] - Engagement outcome
+ * @param {string} [filters.channel] - voicemail or sms
+ * @param {boolean|string} [filters.scam] - Only scams (true) or only non-scams (false)
+ * @param {number|string} [filters.limit] - Page size (default 50, max 200)
+ * @param {string} [filters.cursor] - nextCursor from the previous page
+ * @returns {Object} Normalized filters
+ */
+function resolveCallQuery(filters = {}) {
+  const now = new Date();
+  const bound = value => {
+    if (!value) return null;
+    try {
+      return parseTimeBound(value, now);
+    } catch (error) {
+      throw queryError(error.message);
+    }
+  };
+  const since = bound(filters.since);
+  const until = bound(filters.until);
+  if (since && until && since > until) {
+    throw queryError('The window starts after it ends');
+  }
+
+  const minConfidence = parseConfidence(filters.minConfidence, 'minConfidence');
+  const maxConfidence = parseConfidence(filters.maxConfidence, 'maxConfidence');
+  if (minConfidence !== null && maxConfidence !== null && minConfidence > maxConfidence) {
+    throw queryError('minConfidence is greater than maxConfidence');
+  }
+
+  const outcome = filters.outcome ? String(filters.outcome).toLowerCase() : null;
+  if (outcome && !ENGAGEMENT_OUTCOMES.includes(outcome)) {
+    throw queryError(`Unknown outcome "${filters.outcome}" (expected ${ENGAGEMENT_OUTCOMES.join(', ')})`);
+  }
+  const channel = filters.channel ? String(filters.channel).toLowerCase() : null;
+  if (channel && !CHANNELS.includes(channel)) {
+    throw queryError(`Unknown channel "${filters.channel}" (expected ${CHANNELS.join(', ')})`);
+  }
+
+  let scam = null;
+  if (filters.scam !== undefined && filters.scam !== null && filters.scam !== '') {
+    if (![true, false, 'true', 'false'].includes(filters.scam)) {
+      throw queryError('scam must be true or false');
+    }
+    scam = filters.scam === true || filters.scam === 'true';
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (filters.limit !== undefined && filters.limit !== null && filters.limit !== '') {
+    limit = Number(filters.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw queryError(`limit must be a whole number from 1 to ${MAX_LIMIT}`);
+    }
+  }
+
+  const company = filters.company ? resolveCompany(filters.company)?.name || String(filters.company) : null;
+
+  return {
+    since: since ? since.toISOString() : null,
+    until: until ? until.toISOString() : null,
+    scamType: filters.scamType ? String(filters.scamType) : null,
+    company,
+    minConfidence,
+    maxConfidence,
+    outcome,
+    channel,
+    scam,
+    limit,
+    cursor: filters.cursor ? decodeCursor(filters.cursor) : null
+  };
+}
+
+/**
+ * Convert an index row to the shape the API returns
+ * @param {Object} row - Database row
+ * @param {Object} [options]
+ * @param {boolean} [options.includeMetadata=false] - Include the stored metadata document
+ * @param {boolean} [options.redact=true] - Redact caller and callback numbers
+ * @returns {Object} Call summary
+ */
+function toCallSummary(row, { includeMetadata = false, redact = true } = {}) {
+  const number = value => (value && redact ? redactPhoneNumber(value) : value || null);
+  const summary = {
+    callSid: row.call_sid,
+    channel: row.channel,
+    recordingSid: row.recording_sid || null,
+    timestamp: new Date(Number(row.occurred_at)).toISOString(),
+    callerNumber: number(row.caller_number),
+    callbackNumber: number(row.callback_number),
+    company: row.company || null,
+    scamType: row.scam_type || null,
+    confidence: row.confidence === null || row.confidence === undefined ? null : Number(row.confidence),
+    isScam: Number(row.is_scam) === 1,
+    engagementOutcome: row.engagement_outcome,
+    agentCallId: row.agent_call_id || null,
+    engagementSeconds: row.engagement_seconds === null || row.engagement_seconds === undefined ? null : Number(row.engagement_seconds),
+    recordingDuration: row.recording_duration === null || row.recording_duration === undefined ? null : Number(row.recording_duration),
+    campaignId: row.campaign_id || null,
+    language: row.language || null,
+    hasTranscript: !!row.transcript_key
+  };
+  if (includeMetadata) {
+    summary.metadata = row.document ? JSON.parse(row.document) : null;
+  }
+  return summary;
+}
+
+/**
+ * Query indexed calls, newest first
+ * @param {Object} [filters] - See resolveCallQuery()
+ * @param {Object} [options] - See toCallSummary()
+ * @returns {Promise<{calls: Object[], nextCursor: string|null, filters: Object}>}
+ */
+async function queryCalls(filters = {}, options = {}) {
+  if (!isCallIndexEnabled()) throw disabledError();
+  const query = resolveCallQuery(filters);
+  const where = [];
+  const params = [];
+
+  if (query.since) {
+    where.push('occurred_at >= ?');
+    params.push(new Date(query.since).getTime());
+  }
+  if (query.until) {
+    where.push('occurred_at <= ?');
+    params.push(new Date(query.until).getTime());
+  }
+  if (query.scamType) {
+    where.push('LOWER(scam_type) = ?');
+    params.push(query.scamType.toLowerCase());
+  }
+  if (query.company) {
+    where.push('LOWER(company) = ?');
+    params.push(query.company.toLowerCase());
+  }
+  if (query.minConfidence !== null) {
+    where.push('confidence >= ?');
+    params.push(query.minConfidence);
+  }
+  if (query.maxConfidence !== null) {
+    where.push('confidence <= ?');
+    params.push(query.maxConfidence);
+  }
+  if (query.outcome) {
+    where.push('engagement_outcome = ?');
+    params.push(query.outcome);
+  }
+  if (query.channel) {
+    where.push('channel = ?');
+    params.push(query.channel);
+  }
+  if (query.scam !== null) {
+    where.push('is_scam = ?');
+    params.push(query.scam ? 1 : 0);
+  }
+  if (query.cursor) {
+    where.push('(occurred_at < ? OR (occurred_at = ? AND call_sid < ?))');
+    params.push(query.cursor.occurredAt, query.cursor.occurredAt, query.cursor.callSid);
+  }
+
+  const db = await getCallIndex();
+  // One extra row tells us whether there is another page
+  const rows = await db.all(
+    `SELECT * FROM calls${where.length > 0 ? ` WHERE ${where.join(' AND ')}` : ''}
+     ORDER BY occurred_at DESC, call_sid DESC LIMIT ?`,
+    [...params, query.limit + 1]
+  );
+  const page = rows.slice(0, query.limit);
+
+  const { cursor, ...appliedFilters } = query;
+  return {
+    calls: page.map(row => toCallSummary(row, options)),
+    nextCursor: rows.length > query.limit ? encodeCursor(page[page.length - 1]) : null,
+    filters: appliedFilters
+  };
+}
+
+/**
+ * Index every metadata document and transcription already in storage
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with the running stats every 100 objects
+ * @param {Object} [storage] - Storage backend (defaults to getStorage())
+ * @returns {Promise<{metadata: number, transcripts: number, failed: Array<{key: string, error: string}>}>}
+ */
+async function backfillCallIndex({ onProgress } = {}, storage = require('./storage-backend').getStorage()) {
+  if (!isCallIndexEnabled()) throw disabledError();
+
+  const stats = { metadata: 0, transcripts: 0, failed: [] };
+  const report = () => {
+    const processed = stats.metadata + stats.transcripts + stats.failed.length;
+    if (onProgress && processed % 100 === 0) onProgress(stats);
+  };
+
+  for (const { key } of await storage.list('metadata/')) {
+    if (!key.endsWith('.json')) continue;
+    try {
+      const content = await storage.get(key);
+      if (content) {
+        await indexCallMetadata(JSON.parse(content.toString('utf-8')), { metadataKey: key });
+        stats.metadata++;
+      }
+    } catch (error) {
+      stats.failed.push({ key, error: error.message });
+    }
+    report();
+  }
+
+  // transcriptions/<callSid>/<recordingSid>.txt
+  for (const { key } of await storage.list('transcriptions/')) {
+    const match = key.match(/^transcriptions\/([^/]+)\/([^/]+)\.txt$/);
+    if (!match) continue;
+    try {
+      await indexTranscription(match[1], match[2], key);
+      stats.transcripts++;
+    } catch (error) {
+      stats.failed.push({ key, error: error.message });
+    }
+    report();
+  }
+
+  return stats;
+}
+
+module.exports = {
+  indexCallMetadata,
+  indexTranscription,
+  recordCallOutcome,
+  queryCalls,
+  backfillCallIndex,
+  buildCallRecord,
+  resolveCallQuery,
+  resolveCallIndexConfig,
+  isCallIndexEnabled,
+  openCallIndex,
+  getCallIndex,
+  resetCallIndex,
+  ENGAGEMENT_OUTCOMES
+};
@@ -0,0 +1,317 @@
+/**
+ * Callback Number Extractor
+ * Finds the phone numbers a scammer asks to be called back on, in digits ("888-555-0142"),
+ * spoken form ("eight hundred five five five, double oh four two"), vanity form
+ * ("1-800-FLOWERS") and international form ("+44 20 7946 0958", "011 44 ..."), with
+ * extensions. Returns ranked E.164 candidates with their character span and confidence.
+ */
+
+const { formatToE164, getDefaultRegion } = require('./phone-utils');
+
+const ONES = {
+  zero: 0, oh: 0, o: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9
+};
+const TEENS = {
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+  sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19
+};
+const TENS = {
+  twenty: 2, thirty: 3, forty: 4, fifty: 5, sixty: 6, seventy: 7, eighty: 8, ninety: 9
+};
+const REPEATERS = { double: 2, triple: 3 };
+const MULTIPLIERS = { hundred: '00', thousand: '000' };
+
+const KEYPAD = {
+  a: 2, b: 2, c: 2, d: 3, e: 3, f: 3, g: 4, h: 4, i: 4, j: 5, k: 5, l: 5, m: 6,
+  n: 6, o: 6, p: 7, q: 7, r: 7, s: 7, t: 8, u: 8, v: 8, w: 9, x: 9, y: 9, z: 9
+};
+
+// Starting confidence per extraction method
+const METHOD_CONFIDENCE = {
+  formatted: 0.85,     // 888-555-0142, (888) 555 0142
+  international: 0.8,  // +44 20 7946 0958, 011 44 20 7946 0958
+  vanity: 0.8,         // 1-800-FLOWERS
+  digits: 0.75,        // 8885550142
+  spoken: 0.7,         // eight eight eight, five five five...
+  llm: 0.6             // Only the LLM saw it
+};
+
+const CUE_BOOST = 0.1;         // "call us at", "dial", "reach us on"... just before the number
+const REPEAT_BOOST = 0.05;     // Scammers repeat the callback number
+const LLM_AGREEMENT_BOOST = 0.1;
+const MAX_CONFIDENCE = 0.99;
+
+const CUE_PATTERN = /\b(call|calling|dial|reach|contact|number|phone|line|text|hotline|toll[- ]free)\b[^.!?]{0,40}$/i;
+const EXTENSION_PATTERN = /^\s*,?\s*(?:ext\.?|extension|x)\s*(\d{1,6})\b/i;
+
+const NUMERIC_PATTERN = /(?:\+\s?|\b)\(?\d[\d\s().-]{5,22}\d\b/g;
+const VANITY_PATTERN = /\b(?:1[\s.-]?)?\(?(8(?:00|33|44|55|66|77|88))\)?[\s.-]?((?:[a-z0-9][.-]?){7,10})\b/gi;
+const WORD_PATTERN = /[a-z]+|\d+/gi;
+
+/**
+ * Convert a digit string to E.164, or null if it isn't a plausible phone number.
+ * @param {string} digits - Digits only.
+ * @param {boolean} international - Whether the digits start with a country code.
+ * @param {string} region - Region for national numbers (see phone-utils).
+ * @returns {string|null}
+ */
+function toE164(digits, international, region) {
+  const e164 = formatToE164(international ? `+${digits}` : digits, region);
+  if (!e164 || !/^\+[1-9]\d{7,14}$/.test(e164)) return null;
+
+  // North American numbers: area code and exchange can't start with 0 or 1
+  if (e164.startsWith('+1') && !/^\+1[2-9]\d{2}[2-9]\d{6}$/.test(e164)) return null;
+  return e164;
+}
+
+/**
+ * Split a digit run into its international flag and digits (handles +, 00 and 011 prefixes).
+ */
+function splitInternationalPrefix(raw, digits) {
+  if (raw.trim().startsWith('+')) return { international: true, digits };
+  if (digits.startsWith('011') && digits.length > 11) return { international: true, digits: digits.slice(3) };
+  if (digits.startsWith('00') && digits.length > 10) return { international: true, digits: digits.slice(2) };
+  return { international: false, digits };
+}
+
+function findNumericCandidates(text, region) {
+  const candidates = [];
+  for (const match of text.matchAll(NUMERIC_PATTERN)) {
+    const raw = match[0];
+    const { international, digits } = splitInternationalPrefix(raw, raw.replace(/\D/g, ''));
+    const e164 = toE164(digits, international, region);
+    if (!e164) continue;
+
+    const formatted = /[\s().-]/.test(raw.trim());
+    candidates.push({
+      e164,
+      raw,
+      start: match.index,
+      end: match.index + raw.length,
+      method: international ? 'international' : (formatted ? 'formatted' : 'digits')
+    });
+  }
+  return candidates;
+}
+
+function findVanityCandidates(text) {
+  const candidates = [];
+  for (const match of text.matchAll(VANITY_PATTERN)) {
+    const letters = match[2].replace(/[.-]/g, '');
+    if ((letters.match(/[a-z]/gi) || []).length < 3) continue;
+
+    // Only the first seven characters are dialed; extra letters are decoration
+    const subscriber = letters.slice(0, 7).toLowerCase().split('').map(ch => KEYPAD[ch] ?? ch).join('');
+    const e164 = toE164(`1${match[1]}${subscriber}`, true, 'US');
+    if (!e164) continue;
+
+    candidates.push({
+      e164,
+      raw: match[0],
+      start: match.index,
+      end: match.index + match[0].length,
+      method: 'vanity'
+    });
+  }
+  return candidates;
+}
+
+function isNumberWord(word) {
+  return word in ONES || word in TEENS || word in TENS || word in REPEATERS || word in MULTIPLIERS || word === 'plus';
+}
+
+/**
+ * Turn a run of spoken tokens into digits ("eight hundred" → 800, "double five" → 55).
+ * @returns {{digits: string, international: boolean}}
+ */
+function spokenTokensToDigits(tokens) {
+  let digits = '';
+  let international = false;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const word = tokens[i].word;
+    const next = tokens[i + 1]?.word;
+
+    if (/^\d+$/.test(word)) {
+      digits += word;
+      if (next in MULTIPLIERS && word.length === 1) {
+        digits += MULTIPLIERS[next];
+        i++;
+      }
+    } else if (word === 'plus') {
+      if (digits === '') international = true;
+    } else if (word in REPEATERS && next !== undefined && (next in ONES || /^\d$/.test(next))) {
+      digits += String(ONES[next] ?? next).repeat(REPEATERS[word]);
+      i++;
+    } else if (word in ONES) {
+      digits += ONES[word];
+      if (next in MULTIPLIERS) {
+        digits += MULTIPLIERS[next];
+        i++;
+      }
+    } else if (word in TEENS) {
+      digits += TEENS[word];
+    } else if (word in TENS) {
+      if (next in ONES && ONES[next] !== 0) {
+        digits += `${TENS[word]}${ONES[next]}`;
+        i++;
+      } else {
+        digits += `${TENS[word]}0`;
+      }
+    }
+  }
+
+  return { digits, international };
+}
+
+function findSpokenCandidates(text, region) {
+  const tokens = [...text.matchAll(WORD_PATTERN)].map(match => ({
+    word: match[0].toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+
+  // Group consecutive number tokens separated only by spaces/punctuation (or "dash")
+  const runs = [];
+  let run = [];
+  for (const token of tokens) {
+    const isNumberToken = isNumberWord(token.word) || (/^\d+$/.test(token.word) && token.word.length <= 4);
+    const previous = run[run.length - 1];
+    const gap = previous ? text.slice(previous.end, token.start) : '';
+    if (token.word === 'dash' && run.length > 0) continue;
+    if (isNumberToken && (!previous || /^[\s,.\-–]*(dash\s*)?[\s,.\-–]*$/i.test(gap))) {
+      run.push(token);
+    } else {
+      if (run.length) runs.push(run);
+      run = isNumberToken ? [token] : [];
+    }
+  }
+  if (run.length) runs.push(run);
+
+  const candidates = [];
+  for (const tokensInRun of runs) {
+    // Digit-only runs are handled by the numeric scanner
+    if (!tokensInRun.some(token => /[a-z]/.test(token.word))) continue;
+
+    // Stray words before the number ("one of our agents, eight eight eight...") are trimmed
+    for (let offset = 0; offset < tokensInRun.length; offset++) {
+      const slice = tokensInRun.slice(offset);
+      const { digits, international } = spokenTokensToDigits(slice);
+      if (digits.length < 7) break;
+
+      const prefixed = splitInternationalPrefix(international ? '+' : '', digits);
+      const e164 = toE164(prefixed.digits, prefixed.international, region);
+      if (e164) {
+        const start = slice[0].start;
+        const end = slice[slice.length - 1].end;
+        candidates.push({ e164, raw: text.slice(start, end), start, end, method: 'spoken' });
+        break;
+      }
+    }
+  }
+  return candidates;
+}
+
+function normalizeForComparison(number, region) {
+  if (!number) return null;
+  return formatToE164(String(number), region);
+}
+
+/**
+ * Extract ranked callback-number candidates from a message.
+ * @param {string} text - Transcript or SMS body.
+ * @param {Object} [options]
+ * @param {string} [options.llmNumber] - Number the LLM extracted; agreement raises confidence.
+ * @param {string[]} [options.excludeNumbers] - Numbers never returned (e.g. our own honeypot line).
+ * @param {string} [options.region] - Region for national numbers (default DEFAULT_PHONE_REGION).
+ * @returns {Array<{e164: string, raw: string|null, start: number|null, end: number|null,
+ *   method: string, confidence: number, extension: string|null, occurrences: number}>}
+ */
+function extractCallbackNumbers(text, options = {}) {
+  const {
+    llmNumber = null,
+    excludeNumbers = [process.env.TWILIO_PHONE_NUMBER],
+    region = getDefaultRegion()
+  } = options;
+  const source = typeof text === 'string' ? text : '';
+
+  const found = [
+    ...findNumericCandidates(source, region),
+    ...findVanityCandidates(source),
+    ...findSpokenCandidates(source, region)
+  ];
+
+  // A span claimed by a higher-priority scanner isn't reused (e.g. digits inside a vanity number)
+  found.sort((a, b) => METHOD_CONFIDENCE[b.method] - METHOD_CONFIDENCE[a.method] || a.start - b.start);
+  const accepted = [];
+  for (const candidate of found) {
+    if (accepted.some(other => candidate.start < other.end && other.start < candidate.end)) continue;
+    accepted.push(candidate);
+  }
+
+  const excluded = new Set(excludeNumbers.map(number => normalizeForComparison(number, region)).filter(Boolean));
+  const byNumber = new Map();
+
+  for (const candidate of accepted.sort((a, b) => a.start - b.start)) {
+    if (excluded.has(candidate.e164)) continue;
+
+    let confidence = METHOD_CONFIDENCE[candidate.method];
+    if (CUE_PATTERN.test(source.slice(Math.max(0, candidate.start - 60), candidate.start))) {
+      confidence += CUE_BOOST;
+    }
+    const extensionMatch = source.slice(candidate.end).match(EXTENSION_PATTERN);
+    const extension = extensionMatch ? extensionMatch[1] : null;
+
+    const existing = byNumber.get(candidate.e164);
+    if (existing) {
+      existing.occurrences++;
+      existing.extension = existing.extension || extension;
+      if (confidence > existing.baseConfidence) {
+        Object.assign(existing, { raw: candidate.raw, start: candidate.start, end: candidate.end, method: candidate.method, baseConfidence: confidence });
+      }
+    } else {
+      byNumber.set(candidate.e164, { ...candidate, baseConfidence: confidence, extension, occurrences: 1 });
+    }
+  }
+
+  const llmE164 = normalizeForComparison(llmNumber, region);
+  if (llmE164 && !excluded.has(llmE164) && !byNumber.has(llmE164)) {
+    byNumber.set(llmE164, {
+      e164: llmE164, raw: null, start: null, end: null, method: 'llm',
+      baseConfidence: METHOD_CONFIDENCE.llm, extension: null, occurrences: 0
+    });
+  }
+
+  return [...byNumber.values()]
+    .map(({ baseConfidence, ...candidate }) => {
+      let confidence = baseConfidence + REPEAT_BOOST * Math.max(0, candidate.occurrences - 1);
+      if (llmE164 === candidate.e164 && candidate.method !== 'llm') confidence += LLM_AGREEMENT_BOOST;
+      return { ...candidate, confidence: Math.round(Math.min(confidence, MAX_CONFIDENCE) * 100) / 100 };
+    })
+    .sort((a, b) => b.confidence - a.confidence || (a.start ?? Infinity) - (b.start ?? Infinity));
+}
+
+/**
+ * Pick the number an agent should call back: the top extracted candidate, or the fallback
+ * (usually the caller/sender) when the message contains no usable number.
+ * @param {Object} params
+ * @param {string} [params.text] - Transcript or SMS body.
+ * @param {Object} [params.llmAnalysis] - LLM analysis (its phoneNumber is used as a hint).
+ * @param {string} [params.fallbackNumber] - Number to use when nothing is extracted.
+ * @param {Object} [params.options] - Extra extractCallbackNumbers() options.
+ * @returns {{number: string|null, source: 'extracted'|'fallback'|'none', candidate: Object|null, candidates: Object[]}}
+ */
+function selectCallbackTarget({ text, llmAnalysis = null, fallbackNumber = null, options = {} } = {}) {
+  const candidates = extractCallbackNumbers(text, { ...options, llmNumber: llmAnalysis?.phoneNumber || null });
+  if (candidates.length > 0) {
+    return { number: candidates[0].e164, source: 'extracted', candidate: candidates[0], candidates };
+  }
+  const fallback = fallbackNumber ? formatToE164(fallbackNumber, options.region) || fallbackNumber : null;
+  return { number: fallback, source: fallback ? 'fallback' : 'none', candidate: null, candidates };
+}
+
+module.exports = {
+  extractCallbackNumbers,
+  selectCallbackTarget,
+  METHOD_CONFIDENCE
+};
@@ -0,0 +1,335 @@
+/**
+ * Callback Safety Policy
+ * Decides whether an agent may dial a number before any outbound VAPI call is placed.
+ * Blocks emergency numbers, premium-rate and international revenue-share ranges, our own
+ * honeypot/Twilio numbers and the user-managed denylist; the allowlist overrides the
+ * revenue-share range and denylist rules (never the emergency, own-number and premium-rate rules).
+ *
+ * Static rules live in config/callback-policy.json (or CALLBACK_POLICY_PATH). The
+ * allowlist/denylist managed with `sipsentinel callback-policy` and the log of blocked
+ * attempts are kept in Redis when Upstash is configured and in memory otherwise.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parsePhoneNumber, formatToE164, redactPhoneNumber, NEVER_AUTO_CALL_TYPES } = require('./phone-utils');
+
+const DEFAULT_POLICY_FILE = path.join(__dirname, '..', 'config', 'callback-policy.json');
+const LISTS_KEY = 'callback_policy:lists';
+const BLOCKED_LOG_KEY = 'callback_policy:blocked';
+const BLOCKED_LOG_LIMIT = 100;
+
+const LIST_NAMES = ['allowlist', 'denylist'];
+
+// Used if the policy file is missing or unreadable
+const FALLBACK_POLICY = {
+  version: 'fallback',
+  emergencyNumbers: ['911', '112', '999', '000'],
+  blockedPrefixes: [],
+  ownNumbers: [],
+  allowlist: [],
+  denylist: []
+};
+
+let cachedPolicy = null;
+
+// In-memory fallback when Redis is not configured
+const memoryLists = { allowlist: [], denylist: [] };
+const memoryBlockedLog = [];
+
+// Local listeners (the dashboard server broadcasts blocked attempts over SSE)
+const blockedListeners = [];
+
+function isRedisConfigured() {
+  return !!(process.env.UPSTASH_REDIS_URL && process.env.UPSTASH_REDIS_REST_TOKEN);
+}
+
+/**
+ * Load the callback policy.
+ * @param {string} [filePath] - Defaults to CALLBACK_POLICY_PATH or the built-in file.
+ * @returns {Object}
+ */
+function loadCallbackPolicy(filePath = process.env.CALLBACK_POLICY_PATH || DEFAULT_POLICY_FILE) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return {
+      version: parsed.version || path.basename(filePath),
+      emergencyNumbers: (parsed.emergencyNumbers || FALLBACK_POLICY.emergencyNumbers).map(String),
+      blockedPrefixes: parsed.blockedPrefixes || [],
+      ownNumbers: parsed.ownNumbers || [],
+      allowlist: parsed.allowlist || [],
+      denylist: parsed.denylist || []
+    };
+  } catch (error) {
+    console.warn(`⚠️ Could not load callback policy from ${filePath}, using defaults: ${error.message}`);
+    return { ...FALLBACK_POLICY };
+  }
+}
+
+/**
+ * Get the cached callback policy.
+ * @returns {Object}
+ */
+function getCallbackPolicy() {
+  if (!cachedPolicy) {
+    cachedPolicy = loadCallbackPolicy();
+  }
+  return cachedPolicy;
+}
+
+/**
+ * Numbers that belong to us: TWILIO_PHONE_NUMBER, HONEYPOT_PHONE_NUMBERS and the policy's ownNumbers.
+ * @param {Object} [policy]
+ * @returns {string[]} E.164 numbers
+ */
+function getOwnNumbers(policy = getCallbackPolicy()) {
+  const configured = [
+    process.env.TWILIO_PHONE_NUMBER,
+    ...(process.env.HONEYPOT_PHONE_NUMBERS || '').split(','),
+    ...policy.ownNumbers
+  ];
+  return [...new Set(configured.map(number => formatToE164((number || '').trim())).filter(Boolean))];
+}
+
+function normalizeEntries(entries) {
+  return entries
+    .map(entry => formatToE164(typeof entry === 'string' ? entry : entry.number))
+    .filter(Boolean);
+}
+
+/**
+ * Decide whether a number may be dialed. Pure; does not record anything.
+ * @param {string} phoneNumber - Number the agent would dial.
+ * @param {Object} [options]
+ * @param {Object} [options.policy] - Policy (defaults to getCallbackPolicy()).
+ * @param {{allowlist: Array, denylist: Array}} [options.lists] - User-managed lists.
+ * @param {string[]} [options.ownNumbers] - Defaults to getOwnNumbers(policy).
+ * @returns {{allowed: boolean, number: string|null, rule: string, reason: string|null, type: string}}
+ */
+function evaluateCallbackTarget(phoneNumber, options = {}) {
+  const policy = options.policy || getCallbackPolicy();
+  const lists = options.lists || { allowlist: [], denylist: [] };
+  const ownNumbers = options.ownNumbers || getOwnNumbers(policy);
+
+  const raw = typeof phoneNumber === 'string' ? phoneNumber.trim() : '';
+  const digits = raw.replace(/\D/g, '');
+  const parsed = parsePhoneNumber(raw);
+  const number = parsed && parsed.isPossible ? parsed.e164 : null;
+  const type = parsed ? parsed.type : 'unknown';
+  const decision = (allowed, rule, reason) => ({ allowed, number, rule, reason, type });
+
+  // Emergency and service short codes, dialed bare or behind a country code (+44 999)
+  const emergencyNumber = policy.emergencyNumbers.find(code => code === digits || code === parsed?.nationalNumber);
+  if (emergencyNumber) {
+    return decision(false, 'emergency', `emergency number ${emergencyNumber}`);
+  }
+
+  if (!number) {
+    return decision(false, 'invalid', 'not a dialable phone number');
+  }
+
+  if (ownNumbers.includes(number)) {
+    return decision(false, 'own_number', 'our own honeypot number');
+  }
+
+  // Premium-rate numbers bill the caller however they got on the allowlist
+  if (NEVER_AUTO_CALL_TYPES.includes(type)) {
+    return decision(false, 'premium_rate', `${type.replace('_', '-')} number`);
+  }
+
+  if (normalizeEntries([...policy.allowlist, ...lists.allowlist]).includes(number)) {
+    return decision(true, 'allowlist', null);
+  }
+
+  if (normalizeEntries([...policy.denylist, ...lists.denylist]).includes(number)) {
+    return decision(false, 'denylist', 'number is on the denylist');
+  }
+
+  const blockedRange = policy.blockedPrefixes.find(range => number.startsWith(range.prefix));
+  if (blockedRange) {
+    return decision(false, 'revenue_share', blockedRange.reason || `blocked range ${blockedRange.prefix}`);
+  }
+
+  return decision(true, 'default', null);
+}
+
+/**
+ * Get the user-managed allowlist and denylist.
+ * @returns {Promise<{allowlist: Array<{number: string, note: string|null, addedAt: string}>, denylist: Array}>}
+ */
+async function getCallbackLists() {
+  if (!isRedisConfigured()) {
+    return { allowlist: [...memoryLists.allowlist], denylist: [...memoryLists.denylist] };
+  }
+
+  try {
+    const { redis } = require('./redis-service');
+    const stored = await redis.get(LISTS_KEY);
+    const lists = typeof stored === 'string' ? JSON.parse(stored) : stored;
+    return { allowlist: lists?.allowlist || [], denylist: lists?.denylist || [] };
+  } catch (error) {
+    console.error('❌ Error reading callback policy lists:', error.message);
+    return { allowlist: [], denylist: [] };
+  }
+}
+
+async function saveCallbackLists(lists) {
+  if (!isRedisConfigured()) {
+    memoryLists.allowlist = lists.allowlist;
+    memoryLists.denylist = lists.denylist;
+    return;
+  }
+
+  const { redis } = require('./redis-service');
+  await redis.set(LISTS_KEY, JSON.stringify(lists));
+}
+
+/**
+ * Add a number to the allowlist or denylist (removing it from the other list).
+ * @param {string} listName - "allowlist" or "denylist".
+ * @param {string} phoneNumber
+ * @param {string} [note] - Why the number was added.
+ * @returns {Promise<Object>} The updated lists.
+ */
+async function addToCallbackList(listName, phoneNumber, note = null) {
+  if (!LIST_NAMES.includes(listName)) {
+    throw new Error(`Unknown callback list "${listName}" (expected ${LIST_NAMES.join(' or ')})`);
+  }
+  const number = formatToE164(phoneNumber);
+  if (!number) {
+    throw new Error(`Invalid phone number: "${phoneNumber}"`);
+  }
+
+  const lists = await getCallbackLists();
+  for (const name of LIST_NAMES) {
+    lists[name] = lists[name].filter(entry => entry.number !== number);
+  }
+  lists[listName].push({ number, note, addedAt: new Date().toISOString() });
+
+  await saveCallbackLists(lists);
+  console.log(`📝 Added ${redactPhoneNumber(number)} to the callback ${listName}`);
+  return lists;
+}
+
+/**
+ * Remove a number from both user-managed lists.
+ * @param {string} phoneNumber
+ * @returns {Promise<Object>} The updated lists.
+ */
+async function removeFromCallbackLists(phoneNumber) {
+  const number = formatToE164(phoneNumber) || phoneNumber;
+  const lists = await getCallbackLists();
+  for (const name of LIST_NAMES) {
+    lists[name] = lists[name].filter(entry => entry.number !== number);
+  }
+
+  await saveCallbackLists(lists);
+  console.log(`📝 Removed ${redactPhoneNumber(number)} from the callback lists`);
+  return lists;
+}
+
+/**
+ * Register a listener for blocked attempts (used by the local dashboard server).
+ * @param {Function} listener - Called with the event data.
+ */
+function onCallbackBlocked(listener) {
+  blockedListeners.push(listener);
+}
+
+/**
+ * Record a blocked attempt and publish it to the dashboard as `agent_call_blocked`.
+ * @param {Object} decision - Result of evaluateCallbackTarget().
+ * @param {Object} [context] - scamType, company, originalCallSid, originalCallerNumber.
+ * @returns {Promise<Object>} The recorded entry (phone numbers redacted).
+ */
+async function recordBlockedCallback(decision, context = {}) {
+  const entry = {
+    phoneNumber: redactPhoneNumber(decision.number || '') || 'unknown',
+    rule: decision.rule,
+    reason: decision.reason,
+    numberType: decision.type,
+    scamType: context.scamType || null,
+    company: context.company || null,
+    originalCallSid: context.originalCallSid || null,
+    originalCaller: context.originalCallerNumber ? redactPhoneNumber(context.originalCallerNumber) : null,
+    blockedAt: new Date().toISOString()
+  };
+
+  console.warn(`🚫 Agent callback to ${entry.phoneNumber} blocked (${entry.rule}): ${entry.reason}`);
+
+  if (!isRedisConfigured()) {
+    memoryBlockedLog.unshift(entry);
+    memoryBlockedLog.splice(BLOCKED_LOG_LIMIT);
+  } else {
+    try {
+      const { redis, publishEvent, EVENT_TYPES } = require('./redis-service');
+      await redis.lpush(BLOCKED_LOG_KEY, JSON.stringify(entry));
+      await redis.ltrim(BLOCKED_LOG_KEY, 0, BLOCKED_LOG_LIMIT - 1);
+      await publishEvent(EVENT_TYPES.AGENT_CALL_BLOCKED, entry);
+    } catch (error) {
+      console.error('❌ Error recording blocked callback:', error.message);
+    }
+  }
+
+  for (const listener of blockedListeners) {
+    try {
+      listener(entry);
+    } catch (error) {
+      console.error('❌ Callback-blocked listener failed:', error.message);
+    }
+  }
+
+  return entry;
+}
+
+/**
+ * Get the most recent blocked attempts.
+ * @param {number} [limit]
+ * @returns {Promise<Object[]>}
+ */
+async function getBlockedCallbacks(limit = 20) {
+  if (!isRedisConfigured()) {
+    return memoryBlockedLog.slice(0, limit);
+  }
+
+  try {
+    const { redis } = require('./redis-service');
+    const entries = await redis.lrange(BLOCKED_LOG_KEY, 0, limit - 1);
+    return entries.map(entry => (typeof entry === 'string' ? JSON.parse(entry) : entry));
+  } catch (error) {
+    console.error('❌ Error reading blocked callbacks:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Check a number against the policy and the user-managed lists, recording it if blocked.
+ * Called by createVapiCall() before every outbound agent call.
+ * @param {string} phoneNumber - Number the agent would dial.
+ * @param {Object} [context] - scamType, company, originalCallSid, originalCallerNumber.
+ * @returns {Promise<Object>} The decision from evaluateCallbackTarget().
+ */
+async function checkCallbackAllowed(phoneNumber, context = {}) {
+  const lists = await getCallbackLists();
+  const decision = evaluateCallbackTarget(phoneNumber, { lists });
+  // Unparseable input is rejected by the caller's own validation, not logged as an attack
+  if (!decision.allowed && decision.rule !== 'invalid') {
+    await recordBlockedCallback(decision, context);
+  }
+  return decision;
+}
+
+module.exports = {
+  loadCallbackPolicy,
+  getCallbackPolicy,
+  getOwnNumbers,
+  evaluateCallbackTarget,
+  checkCallbackAllowed,
+  getCallbackLists,
+  addToCallbackList,
+  removeFromCallbackLists,
+  recordBlockedCallback,
+  getBlockedCallbacks,
+  onCallbackBlocked,
+  LIST_NAMES
+};
@@ -0,0 +1,383 @@
+/**
+ * Callback Rate Limiter
+ * Deduplicates agent callbacks per callback number and impersonated company. Many voicemails
+ * from one campaign leave the same number; only the first one within the cooldown starts an
+ * engagement, at most CALLBACK_MAX_CONCURRENT agent calls run against a number at once and
+ * at most CALLBACK_DAILY_BUDGET are placed per day. Suppressed triggers are linked to the
+ * engagement they duplicate instead of being dropped.
+ *
+ * State is kept in Redis when Upstash is configured (so limits hold across serverless
+ * instances) and in memory otherwise.
+ */
+
+const { formatToE164, redactPhoneNumber } = require('./phone-utils');
+const { resolveCompany } = require('./company-resolver');
+
+const DEFAULT_LIMITS = {
+  cooldownSeconds: 15 * 60,
+  maxConcurrent: 1,
+  dailyBudget: 5
+};
+
+const ENGAGEMENT_TTL_SECONDS = 7 * 24 * 60 * 60; // Engagements (and their linked triggers) are kept a week
+const ACTIVE_TTL_SECONDS = 60 * 60; // An active call stops counting an hour after it started if no end webhook arrives
+const DAILY_TTL_SECONDS = 2 * 24 * 60 * 60;
+const MAX_LINKED_TRIGGERS = 50;
+
+const SUPPRESSION_REASONS = {
+  COOLDOWN: 'cooldown',
+  CONCURRENCY: 'concurrency',
+  DAILY_BUDGET: 'daily_budget'
+};
+
+// In-memory fallback when Redis is not configured
+const memoryStore = {
+  values: new Map(), // key -> { value, expiresAt }
+  active: new Map() // key -> Map(engagementId -> startedAt ms)
+};
+
+function isRedisConfigured() {
+  return !!(process.env.UPSTASH_REDIS_URL && process.env.UPSTASH_REDIS_REST_TOKEN);
+}
+
+function readIntEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Get the configured limits.
+ * @returns {{cooldownSeconds: number, maxConcurrent: number, dailyBudget: number}} 0 disables a limit.
+ */
+function getCallbackLimits() {
+  return {
+    cooldownSeconds: readIntEnv('CALLBACK_COOLDOWN_SECONDS', DEFAULT_LIMITS.cooldownSeconds),
+    maxConcurrent: readIntEnv('CALLBACK_MAX_CONCURRENT', DEFAULT_LIMITS.maxConcurrent),
+    dailyBudget: readIntEnv('CALLBACK_DAILY_BUDGET', DEFAULT_LIMITS.dailyBudget)
+  };
+}
+
+/**
+ * Build the limiter key for a callback number and impersonated company.
+ * @param {string} phoneNumber - Callback number in any format.
+ * @param {string} [company] - Impersonated company (resolved to its canonical id).
+ * @returns {string} e.g. "+18885550142:coinbase"
+ */
+function getLimiterKey(phoneNumber, company) {
+  const number = formatToE164(phoneNumber) || String(phoneNumber || '').replace(/\D/g, '');
+  const resolved = resolveCompany(company);
+  const companyKey = resolved
+    ? resolved.id
+    : (company || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'unknown';
+  return `${number}:${companyKey}`;
+}
+
+// --- Storage primitives (Redis or memory) -----------------------------------------------
+
+function memoryGet(key) {
+  const entry = memoryStore.values.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+    memoryStore.values.delete(key);
+    return null;
+  }
+  return entry.value;
+}
+
+function memorySet(key, value, ttlSeconds) {
+  memoryStore.values.set(key, { value, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null });
+}
+
+async function getValue(key) {
+  if (!isRedisConfigured()) return memoryGet(key);
+  const { redis } = require('./redis-service');
+  const value = await redis.get(key);
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+async function setValue(key, value, ttlSeconds) {
+  if (!isRedisConfigured()) return memorySet(key, value, ttlSeconds);
+  const { redis } = require('./redis-service');
+  await redis.set(key, JSON.stringify(value), { ex: ttlSeconds });
+}
+
+// Set only if absent; returns true when this caller set it
+async function setValueIfAbsent(key, value, ttlSeconds) {
+  if (!isRedisConfigured()) {
+    if (memoryGet(key) !== null) return false;
+    memorySet(key, value, ttlSeconds);
+    return true;
+  }
+  const { redis } = require('./redis-service');
+  return (await redis.set(key, JSON.stringify(value), { nx: true, ex: ttlSeconds })) === 'OK';
+}
+
+async function deleteValue(key) {
+  if (!isRedisConfigured()) return memoryStore.values.delete(key);
+  const { redis } = require('./redis-service');
+  await redis.del(key);
+}
+
+async function incrementCounter(key, ttlSeconds) {
+  if (!isRedisConfigured()) {
+    const count = (memoryGet(key) || 0) + 1;
+    const existing = memoryStore.values.get(key);
+    memoryStore.values.set(key, { value: count, expiresAt: existing?.expiresAt || Date.now() + ttlSeconds * 1000 });
+    return count;
+  }
+  const { redis } = require('./redis-service');
+  const count = await redis.incr(key);
+  if (count === 1) await redis.expire(key, ttlSeconds);
+  return count;
+}
+
+async function decrementCounter(key) {
+  if (!isRedisConfigured()) {
+    const existing = memoryStore.values.get(key);
+    if (existing) existing.value = Math.max(0, existing.value - 1);
+    return;
+  }
+  const { redis } = require('./redis-service');
+  await redis.decr(key);
+}
+
+// Active calls are a sorted set scored by start time, so each one expires on its own
+async function addActiveCall(key, member, ttlSeconds) {
+  const now = Date.now();
+  const cutoff = now - ttlSeconds * 1000;
+  if (!isRedisConfigured()) {
+    if (!memoryStore.active.has(key)) memoryStore.active.set(key, new Map());
+    const calls = memoryStore.active.get(key);
+    for (const [id, startedAtMs] of calls) {
+      if (startedAtMs <= cutoff) calls.delete(id);
+    }
+    calls.set(member, now);
+    return calls.size;
+  }
+  const { redis } = require('./redis-service');
+  await redis.zremrangebyscore(key, 0, cutoff);
+  await redis.zadd(key, { score: now, member });
+  await redis.expire(key, ttlSeconds);
+  return await redis.zcard(key);
+}
+
+async function removeActiveCall(key, member) {
+  if (!isRedisConfigured()) {
+    const calls = memoryStore.active.get(key);
+    return calls ? calls.delete(member) : false;
+  }
+  const { redis } = require('./redis-service');
+  return (await redis.zrem(key, member)) > 0;
+}
+
+// --- Keys -------------------------------------------------------------------------------
+
+function todayStamp() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+const keys = {
+  cooldown: limiterKey => `callback_limit:cooldown:${limiterKey}`,
+  latest: limiterKey => `callback_limit:latest:${limiterKey}`,
+  active: limiterKey => `callback_limit:active_calls:${limiterKey}`,
+  daily: limiterKey => `callback_limit:daily:${limiterKey}:${todayStamp()}`,
+  engagement: engagementId => `callback_engagement:${engagementId}`
+};
+
+// --- Engagements ------------------------------------------------------------------------
+
+/**
+ * Get an engagement and the triggers linked to it.
+ * @param {string} engagementId
+ * @returns {Promise<Object|null>}
+ */
+async function getEngagement(engagementId) {
+  if (!engagementId) return null;
+  try {
+    return await getValue(keys.engagement(engagementId));
+  } catch (error) {
+    console.error(`❌ Error reading engagement ${engagementId}:`, error.message);
+    return null;
+  }
+}
+
+async function linkSuppressedTrigger(engagementId, trigger) {
+  const engagement = await getEngagement(engagementId);
+  if (!engagement) return null;
+
+  engagement.linkedTriggers = [...(engagement.linkedTriggers || []), trigger].slice(-MAX_LINKED_TRIGGERS);
+  engagement.suppressedCount = (engagement.suppressedCount || 0) + 1;
+  await setValue(keys.engagement(engagementId), engagement, ENGAGEMENT_TTL_SECONDS);
+  return engagement;
+}
+
+/**
+ * Record the VAPI call that carries out an engagement.
+ * @param {string} engagementId
+ * @param {string} callId - VAPI call id.
+ * @returns {Promise<Object|null>} The updated engagement.
+ */
+async function attachCallToEngagement(engagementId, callId) {
+  const engagement = await getEngagement(engagementId);
+  if (!engagement) return null;
+
+  engagement.callId = callId;
+  await setValue(keys.engagement(engagementId), engagement, ENGAGEMENT_TTL_SECONDS);
+  return engagement;
+}
+
+// --- Public API -------------------------------------------------------------------------
+
+/**
+ * Try to start an agent callback for a number. Either reserves a slot (a new engagement) or
+ * reports why the trigger was suppressed and links it to the engagement it duplicates.
+ * @param {Object} trigger
+ * @param {string} trigger.phoneNumber - Callback number.
+ * @param {string} [trigger.company] - Impersonated company.
+ * @param {string} [trigger.scamType]
+ * @param {string} [trigger.originalCallSid] - Voicemail or SMS that triggered the callback.
+ * @param {string} [trigger.originalCallerNumber]
+ * @param {Object} [limits] - Defaults to getCallbackLimits().
+ * @returns {Promise<{allowed: boolean, reason: string|null, engagementId: string|null, limiterKey: string}>}
+ */
+async function acquireCallbackSlot(trigger, limits = getCallbackLimits()) {
+  const limiterKey = getLimiterKey(trigger.phoneNumber, trigger.company);
+  const now = new Date().toISOString();
+  const engagementId = `eng_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const triggerRecord = {
+    originalCallSid: trigger.originalCallSid || null,
+    originalCaller: trigger.originalCallerNumber ? redactPhoneNumber(trigger.originalCallerNumber) : null,
+    scamType: trigger.scamType || null,
+    at: now
+  };
+
+  const suppress = async (reason, linkedEngagementId) => {
+    const linked = linkedEngagementId ? await linkSuppressedTrigger(linkedEngagementId, { ...triggerRecord, reason }) : null;
+    console.log(`🔁 Callback to ${redactPhoneNumber(trigger.phoneNumber)} suppressed (${reason})` +
+      (linked ? `, linked to engagement ${linked.engagementId}` : ''));
+    return { allowed: false, reason, engagementId: linked ? linked.engagementId : null, limiterKey };
+  };
+
+  try {
+    // 1. Cooldown: the first trigger within the window owns the engagement
+    if (limits.cooldownSeconds > 0) {
+      const claimed = await setValueIfAbsent(keys.cooldown(limiterKey), engagementId, limits.cooldownSeconds);
+      if (!claimed) {
+        return await suppress(SUPPRESSION_REASONS.COOLDOWN, await getValue(keys.cooldown(limiterKey)));
+      }
+    }
+
+    const releaseCooldown = () => (limits.cooldownSeconds > 0 ? deleteValue(keys.cooldown(limiterKey)) : null);
+
+    // 2. Daily budget
+    if (limits.dailyBudget > 0) {
+      const count = await incrementCounter(keys.daily(limiterKey), DAILY_TTL_SECONDS);
+      if (count > limits.dailyBudget) {
+        await decrementCounter(keys.daily(limiterKey));
+        await releaseCooldown();
+        return await suppress(SUPPRESSION_REASONS.DAILY_BUDGET, await getValue(keys.latest(limiterKey)));
+      }
+    }
+
+    // 3. Concurrent agent calls against this number
+    if (limits.maxConcurrent > 0) {
+      const active = await addActiveCall(keys.active(limiterKey), engagementId, ACTIVE_TTL_SECONDS);
+      if (active > limits.maxConcurrent) {
+        await removeActiveCall(keys.active(limiterKey), engagementId);
+        if (limits.dailyBudget > 0) await decrementCounter(keys.daily(limiterKey));
+        await releaseCooldown();
+        return await suppress(SUPPRESSION_REASONS.CONCURRENCY, await getValue(keys.latest(limiterKey)));
+      }
+    }
+
+    await setValue(keys.engagement(engagementId), {
+      engagementId,
+      limiterKey,
+      phoneNumber: redactPhoneNumber(formatToE164(trigger.phoneNumber) || trigger.phoneNumber),
+      company: trigger.company || null,
+      scamType: trigger.scamType || null,
+      originalCallSid: trigger.originalCallSid || null,
+      startedAt: now,
+      callId: null,
+      suppressedCount: 0,
+      linkedTriggers: []
+    }, ENGAGEMENT_TTL_SECONDS);
+    await setValue(keys.latest(limiterKey), engagementId, ENGAGEMENT_TTL_SECONDS);
+
+    return { allowed: true, reason: null, engagementId, limiterKey };
+  } catch (error) {
+    // Never block engagement on a limiter outage
+    console.error(`❌ Callback rate limiter error for ${limiterKey}, allowing the call:`, error.message);
+    return { allowed: true, reason: null, engagementId: null, limiterKey };
+  }
+}
+
+/**
+ * Release the concurrency slot of an engagement (call ended or could not be created).
+ * Safe to call more than once.
+ * @param {string} engagementId
+ * @param {Object} [options]
+ * @param {boolean} [options.failed=false] - The call was never placed; also refund the daily
+ *   budget and lift the cooldown so the next trigger can try again.
+ * @returns {Promise<boolean>} True if a slot was released.
+ */
+async function releaseCallbackSlot(engagementId, options = {}) {
+  const engagement = await getEngagement(engagementId);
+  if (!engagement || engagement.releasedAt) return false;
+
+  try {
+    await removeActiveCall(keys.active(engagement.limiterKey), engagementId);
+    if (options.failed) {
+      await decrementCounter(keys.daily(engagement.limiterKey));
+      if ((await getValue(keys.cooldown(engagement.limiterKey))) === engagementId) {
+        await deleteValue(keys.cooldown(engagement.limiterKey));
+      }
+    }
+
+    engagement.releasedAt = new Date().toISOString();
+    engagement.outcome = options.failed ? 'failed' : 'ended';
+    await setValue(keys.engagement(engagementId), engagement, ENGAGEMENT_TTL_SECONDS);
+    return true;
+  } catch (error) {
+    console.error(`❌ Error releasing callback slot for ${engagementId}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Place an agent callback through the limiter: reserve a slot, run `placeCall` and record
+ * the resulting call on the engagement, or report the suppression.
+ * @param {Object} trigger - See acquireCallbackSlot().
+ * @param {Function} placeCall - async (engagementId) => result of createVapiCall().
+ * @returns {Promise<{suppressed: boolean, reason: string|null, engagementId: string|null, result: Object|null}>}
+ */
+async function runRateLimitedCallback(trigger, placeCall) {
+  const slot = await acquireCallbackSlot(trigger);
+  if (!slot.allowed) {
+    return { suppressed: true, reason: slot.reason, engagementId: slot.engagementId, result: null };
+  }
+
+  try {
+    const result = await placeCall(slot.engagementId);
+    const callId = result?.call?.id || result?.id;
+    if (slot.engagementId && callId) {
+      await attachCallToEngagement(slot.engagementId, callId);
+    }
+    return { suppressed: false, reason: null, engagementId: slot.engagementId, result };
+  } catch (error) {
+    await releaseCallbackSlot(slot.engagementId, { failed: true });
+    throw error;
+  }
+}
+
+module.exports = {
+  getCallbackLimits,
+  getLimiterKey,
+  acquireCallbackSlot,
+  releaseCallbackSlot,
+  runRateLimitedCallback,
+  attachCallToEngagement,
+  getEngagement,
+  SUPPRESSION_REASONS,
+  DEFAULT_LIMITS
+};
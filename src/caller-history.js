@@ -0,0 +1,74 @@
+/**
+ * Caller History
+ * Tracks how often a phone number has contacted the honeypot and how many of those
+ * contacts were judged to be scams. Used as a signal by the ensemble scorer.
+ *
+ * This is the caller-ID view of the number reputation store (src/number-reputation.js),
+ * which keeps the history in Redis when Upstash is configured and in memory otherwise.
+ */
+
+const { getNumberReputation, recordNumberSighting } = require('./number-reputation');
+
+function emptyHistory() {
+  return {
+    totalContacts: 0,
+    scamContacts: 0,
+    firstSeenAt: null,
+    lastSeenAt: null
+  };
+}
+
+function toHistory(reputation) {
+  if (!reputation) return emptyHistory();
+  return {
+    totalContacts: reputation.roles.caller.sightings,
+    scamContacts: reputation.roles.caller.scams,
+    firstSeenAt: reputation.firstSeenAt,
+    lastSeenAt: reputation.lastSeenAt
+  };
+}
+
+/**
+ * Get the contact history for a phone number.
+ * @param {string} phoneNumber - Caller or sender number.
+ * @returns {Promise<{totalContacts: number, scamContacts: number, firstSeenAt: string|null, lastSeenAt: string|null}>}
+ */
+async function getCallerHistory(phoneNumber) {
+  if (!phoneNumber) return emptyHistory();
+  return toHistory(await getNumberReputation(phoneNumber));
+}
+
+/**
+ * The caller-history and callback-number reputation inputs of the ensemble scorer, so every
+ * entry point scores a message on the same signals.
+ * @param {Object} numbers
+ * @param {string} [numbers.callerNumber] - Caller ID or SMS sender.
+ * @param {string} [numbers.callbackNumber] - Callback number extracted from the message.
+ * @returns {Promise<{callerHistory: Object, callbackReputation: Object|null}>}
+ */
+async function getScoringHistory({ callerNumber, callbackNumber } = {}) {
+  const [callerHistory, callbackReputation] = await Promise.all([
+    getCallerHistory(callerNumber),
+    callbackNumber ? getNumberReputation(callbackNumber) : null
+  ]);
+  return { callerHistory, callbackReputation };
+}
+
+/**
+ * Record one contact from a phone number along with its verdict.
+ * The pipeline records callers through recordMessageNumbers() so the callback number and
+ * company are kept too; this is the caller-only shortcut.
+ * @param {string} phoneNumber - Caller or sender number.
+ * @param {boolean} isScam - Whether this contact was judged to be a scam.
+ * @returns {Promise<Object>} The updated history.
+ */
+async function recordCallerContact(phoneNumber, isScam) {
+  if (!phoneNumber) return emptyHistory();
+  return toHistory(await recordNumberSighting(phoneNumber, { role: 'caller', isScam }));
+}
+
+module.exports = {
+  getCallerHistory,
+  getScoringHistory,
+  recordCallerContact
+};
@@ -0,0 +1,544 @@
+/**
+ * Campaign Tracker
+ * Groups scam voicemails and texts into campaigns. One robocall operation leaves the same
+ * script from dozens of caller IDs; the tracker links those messages so they show up as one
+ * campaign instead of forty unrelated scams.
+ *
+ * A message joins a campaign when it shares the campaign's callback number or linked domain,
+ * or when its script is similar to the campaign's (MinHash over word shingles with numbers
+ * masked, so the same script with a different number still matches) and the impersonated
+ * company does not conflict. Each campaign keeps first/last seen, daily volume, callback
+ * numbers, domains and every caller ID it was sent from.
+ *
+ * State is kept in Redis when Upstash is configured (so campaigns span serverless instances)
+ * and in memory otherwise. CAMPAIGN_SIMILARITY_THRESHOLD (0-1) and CAMPAIGN_RETENTION_DAYS
+ * tune matching and retention.
+ */
+
+const { formatToE164, redactPhoneNumber } = require('./phone-utils');
+const { resolveCompany } = require('./company-resolver');
+const { selectCallbackTarget } = require('./callback-extractor');
+
+const MINHASH = {
+  SHINGLE_SIZE: 3, // words (or Han characters) per shingle
+  NUM_HASHES: 64,
+  BANDS: 16 // LSH bands of NUM_HASHES / BANDS rows; candidates share at least one band
+};
+
+const DEFAULTS = {
+  similarityThreshold: 0.5,
+  retentionDays: 90
+};
+
+const MAX_CALLER_IDS = 500;
+const MAX_MESSAGES = 50;
+const SAMPLE_TEXT_LENGTH = 280;
+
+// In-memory fallback when Redis is not configured
+const memoryStore = {
+  values: new Map(), // key -> value
+  sets: new Map(), // key -> Set
+  recent: new Map() // campaignId -> lastSeen (ms)
+};
+
+function isRedisConfigured() {
+  return !!(process.env.UPSTASH_REDIS_URL && process.env.UPSTASH_REDIS_REST_TOKEN);
+}
+
+/**
+ * Get the configured matching threshold and retention.
+ * @returns {{similarityThreshold: number, retentionDays: number}}
+ */
+function getCampaignSettings() {
+  const threshold = parseFloat(process.env.CAMPAIGN_SIMILARITY_THRESHOLD);
+  const retention = parseInt(process.env.CAMPAIGN_RETENTION_DAYS, 10);
+  return {
+    similarityThreshold: threshold > 0 && threshold <= 1 ? threshold : DEFAULTS.similarityThreshold,
+    retentionDays: retention > 0 ? retention : DEFAULTS.retentionDays
+  };
+}
+
+// --- MinHash ----------------------------------------------------------------------------
+
+// 32-bit FNV-1a
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Fixed seeds so signatures stored by one instance compare with those of another
+const HASH_SEEDS = Array.from({ length: MINHASH.NUM_HASHES }, (_, i) => hashString(`campaign-minhash-${i}`));
+
+function mixHash(value, seed) {
+  let x = Math.imul(value ^ seed, 0x85ebca6b);
+  x ^= x >>> 13;
+  x = Math.imul(x, 0xc2b2ae35);
+  x ^= x >>> 16;
+  return x >>> 0;
+}
+
+/**
+ * Normalize a script for comparison: lowercase, numbers masked, punctuation dropped.
+ * Han text is split into characters since it has no spaces between words.
+ * @param {string} text
+ * @returns {string[]} Tokens
+ */
+function normalizeScript(text) {
+  if (!text || typeof text !== 'string') return [];
+  const masked = text.toLowerCase().replace(/\d[\d\s().,-]*\d|\d/g, ' # ');
+  return masked.match(/\p{Script=Han}|#|[^\P{L}\p{Script=Han}]+/gu) || [];
+}
+
+/**
+ * Compute the MinHash signature of a script.
+ * @param {string} text - Transcript or SMS body.
+ * @returns {number[]|null} NUM_HASHES values, or null for text without words.
+ */
+function computeSignature(text) {
+  const tokens = normalizeScript(text);
+  if (tokens.length === 0) return null;
+
+  const shingles = new Set();
+  if (tokens.length <= MINHASH.SHINGLE_SIZE) {
+    shingles.add(tokens.join(' '));
+  } else {
+    for (let i = 0; i <= tokens.length - MINHASH.SHINGLE_SIZE; i++) {
+      shingles.add(tokens.slice(i, i + MINHASH.SHINGLE_SIZE).join(' '));
+    }
+  }
+
+  const signature = new Array(MINHASH.NUM_HASHES).fill(0xffffffff);
+  for (const shingle of shingles) {
+    const base = hashString(shingle);
+    for (let i = 0; i < MINHASH.NUM_HASHES; i++) {
+      const value = mixHash(base, HASH_SEEDS[i]);
+      if (value < signature[i]) signature[i] = value;
+    }
+  }
+  return signature;
+}
+
+/**
+ * Estimate the Jaccard similarity of two scripts from their signatures.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} 0-1
+ */
+function estimateSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let equal = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) equal++;
+  }
+  return equal / a.length;
+}
+
+function bandKeys(signature) {
+  const rows = MINHASH.NUM_HASHES / MINHASH.BANDS;
+  const keys = [];
+  for (let band = 0; band < MINHASH.BANDS; band++) {
+    keys.push(`${band}:${hashString(signature.slice(band * rows, (band + 1) * rows).join(',')).toString(36)}`);
+  }
+  return keys;
+}
+
+// --- Storage primitives (Redis or memory) -----------------------------------------------
+
+const keys = {
+  campaign: campaignId => `campaign:${campaignId}`,
+  recent: () => 'campaigns:recent',
+  callbackIndex: number => `campaign_index:callback:${number}`,
+  domainIndex: domain => `campaign_index:domain:${domain}`,
+  bandIndex: band => `campaign_index:band:${band}`
+};
+
+async function getValue(key) {
+  if (!isRedisConfigured()) return memoryStore.values.get(key) || null;
+  const { redis } = require('./redis-service');
+  const value = await redis.get(key);
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+async function setValue(key, value, ttlSeconds) {
+  if (!isRedisConfigured()) {
+    memoryStore.values.set(key, value);
+    return;
+  }
+  const { redis } = require('./redis-service');
+  await redis.set(key, JSON.stringify(value), { ex: ttlSeconds });
+}
+
+async function addToSet(key, member, ttlSeconds) {
+  if (!isRedisConfigured()) {
+    if (!memoryStore.sets.has(key)) memoryStore.sets.set(key, new Set());
+    memoryStore.sets.get(key).add(member);
+    return;
+  }
+  const { redis } = require('./redis-service');
+  await redis.sadd(key, member);
+  await redis.expire(key, ttlSeconds);
+}
+
+async function getSetMembers(key) {
+  if (!isRedisConfigured()) return Array.from(memoryStore.sets.get(key) || []);
+  const { redis } = require('./redis-service');
+  return (await redis.smembers(key)) || [];
+}
+
+async function touchRecent(campaignId, lastSeenMs, retentionDays) {
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  if (!isRedisConfigured()) {
+    memoryStore.recent.set(campaignId, lastSeenMs);
+    for (const [id, seen] of memoryStore.recent) {
+      if (seen < cutoff) memoryStore.recent.delete(id);
+    }
+    return;
+  }
+  const { redis } = require('./redis-service');
+  await redis.zadd(keys.recent(), { score: lastSeenMs, member: campaignId });
+  await redis.zremrangebyscore(keys.recent(), 0, cutoff);
+}
+
+async function getRecentIds(limit) {
+  if (!isRedisConfigured()) {
+    return Array.from(memoryStore.recent.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([id]) => id);
+  }
+  const { redis } = require('./redis-service');
+  return (await redis.zrange(keys.recent(), 0, limit - 1, { rev: true })) || [];
+}
+
+// Campaigns last seen at or after sinceMs, newest first
+async function getIdsActiveSince(sinceMs) {
+  if (!isRedisConfigured()) {
+    return Array.from(memoryStore.recent.entries())
+      .filter(([, seen]) => seen >= sinceMs)
+      .sort((a, b) => b[1] - a[1])
+      .map(([id]) => id);
+  }
+  const { redis } = require('./redis-service');
+  return ((await redis.zrange(keys.recent(), sinceMs, '+inf', { byScore: true })) || []).reverse();
+}
+
+async function countCampaigns() {
+  if (!isRedisConfigured()) return memoryStore.recent.size;
+  const { redis } = require('./redis-service');
+  return (await redis.zcard(keys.recent())) || 0;
+}
+
+// --- Matching ---------------------------------------------------------------------------
+
+function addUnique(list, value, max = Infinity) {
+  if (!value || list.includes(value)) return list;
+  return [...list, value].slice(-max);
+}
+
+function increment(counts, key) {
+  if (!key) return counts;
+  return { ...counts, [key]: (counts[key] || 0) + 1 };
+}
+
+// Lookalike and unknown domains identify an operation; official sites and shorteners do not
+function campaignDomains(urlAnalysis) {
+  if (!urlAnalysis) return [];
+  const official = new Set(urlAnalysis.officialDomains || []);
+  const shared = new Set((urlAnalysis.urls || []).filter(entry => entry.shortener).map(entry => entry.domain));
+  return (urlAnalysis.domains || []).filter(domain => !official.has(domain) && !shared.has(domain));
+}
+
+/**
+ * Score how well a message fits an existing campaign.
+ * @returns {{matched: boolean, matchedBy: string|null, similarity: number}}
+ */
+function scoreCampaignMatch(campaign, message, threshold) {
+  const similarity = estimateSimilarity(campaign.signature, message.signature);
+  if (message.callbackNumber && campaign.callbackNumbers.includes(message.callbackNumber)) {
+    return { matched: true, matchedBy: 'callback_number', similarity };
+  }
+  if (message.domains.some(domain => campaign.domains.includes(domain))) {
+    return { matched: true, matchedBy: 'domain', similarity };
+  }
+  const companyConflict = message.companyId && Object.keys(campaign.companies).length > 0 &&
+    !campaign.companies[message.companyId];
+  if (!companyConflict && similarity >= threshold) {
+    return { matched: true, matchedBy: 'script', similarity };
+  }
+  return { matched: false, matchedBy: null, similarity };
+}
+
+const MATCH_PRIORITY = { callback_number: 3, domain: 2, script: 1 };
+
+async function findMatchingCampaign(message, settings) {
+  const candidateKeys = [
+    ...(message.callbackNumber ? [keys.callbackIndex(message.callbackNumber)] : []),
+    ...message.domains.map(domain => keys.domainIndex(domain)),
+    ...(message.signature ? bandKeys(message.signature).map(band => keys.bandIndex(band)) : [])
+  ];
+  const candidateIds = new Set((await Promise.all(candidateKeys.map(getSetMembers))).flat());
+
+  let best = null;
+  for (const campaignId of candidateIds) {
+    const campaign = await getValue(keys.campaign(campaignId));
+    if (!campaign) continue;
+    const match = scoreCampaignMatch(campaign, message, settings.similarityThreshold);
+    if (!match.matched) continue;
+    const rank = MATCH_PRIORITY[match.matchedBy] * 10 + match.similarity;
+    if (!best || rank > best.rank) {
+      best = { campaign, ...match, rank };
+    }
+  }
+  return best;
+}
+
+function createCampaign(message) {
+  return {
+    id: `cmp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    firstSeen: message.timestamp,
+    lastSeen: message.timestamp,
+    messageCount: 0,
+    channels: {},
+    companies: {},
+    scamTypes: {},
+    callbackNumbers: [],
+    domains: [],
+    callerIds: [],
+    callerIdCount: 0,
+    volume: {},
+    signature: message.signature,
+    sampleText: (message.text || '').slice(0, SAMPLE_TEXT_LENGTH),
+    messages: []
+  };
+}
+
+function addMessageToCampaign(campaign, message, match, retentionDays) {
+  const day = message.timestamp.slice(0, 10);
+  const cutoffDay = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const volume = Object.fromEntries(Object.entries(increment(campaign.volume, day)).filter(([date]) => date >= cutoffDay));
+  const newCaller = !!message.callerNumber && !campaign.callerIds.includes(message.callerNumber);
+
+  return {
+    ...campaign,
+    firstSeen: campaign.firstSeen < message.timestamp ? campaign.firstSeen : message.timestamp,
+    lastSeen: campaign.lastSeen > message.timestamp ? campaign.lastSeen : message.timestamp,
+    messageCount: campaign.messageCount + 1,
+    channels: increment(campaign.channels, message.channel),
+    companies: message.companyId
+      ? { ...campaign.companies, [message.companyId]: { name: message.companyName, count: (campaign.companies[message.companyId]?.count || 0) + 1 } }
+      : campaign.companies,
+    scamTypes: increment(campaign.scamTypes, message.scamType),
+    callbackNumbers: addUnique(campaign.callbackNumbers, message.callbackNumber),
+    domains: message.domains.reduce((list, domain) => addUnique(list, domain), campaign.domains),
+    // Only the latest MAX_CALLER_IDS are listed; the count covers all of them
+    callerIds: addUnique(campaign.callerIds, message.callerNumber, MAX_CALLER_IDS),
+    callerIdCount: campaign.callerIdCount + (newCaller ? 1 : 0),
+    volume,
+    messages: [...campaign.messages, {
+      id: message.id,
+      channel: message.channel,
+      at: message.timestamp,
+      callerNumber: message.callerNumber,
+      callbackNumber: message.callbackNumber,
+      matchedBy: match.matchedBy,
+      similarity: Math.round(match.similarity * 100) / 100
+    }].slice(-MAX_MESSAGES)
+  };
+}
+
+/**
+ * Add a scam message to its campaign, creating a new campaign if none matches.
+ * @param {Object} params
+ * @param {string} params.id - CallSid or MessageSid.
+ * @param {string} params.channel - "voicemail" or "sms".
+ * @param {string} params.text - Transcript or SMS body.
+ * @param {string} [params.callerNumber] - Caller ID / sender.
+ * @param {Object} [params.scamAnalysis] - LLM analysis (impersonated company, scam type, phone hint).
+ * @param {string} [params.scamType] - Final scam type (e.g. from the ensemble).
+ * @param {Object} [params.urlAnalysis] - analyzeUrls() result for SMS.
+ * @param {string} [params.timestamp] - ISO time of the message (defaults to now).
+ * @returns {Promise<{campaignId: string, isNew: boolean, matchedBy: string|null, similarity: number, messageCount: number}|null>}
+ */
+async function recordCampaignMessage({ id, channel, text, callerNumber, scamAnalysis = null, scamType, urlAnalysis = null, timestamp } = {}) {
+  const settings = getCampaignSettings();
+  const company = resolveCompany(scamAnalysis?.impersonatedCompany);
+  const message = {
+    id,
+    channel: channel || 'voicemail',
+    text,
+    timestamp: timestamp || new Date().toISOString(),
+    callerNumber: callerNumber ? formatToE164(callerNumber) || callerNumber : null,
+    callbackNumber: selectCallbackTarget({ text, llmAnalysis: scamAnalysis }).number,
+    domains: campaignDomains(urlAnalysis),
+    companyId: company?.id || null,
+    companyName: company?.name || null,
+    scamType: scamType || scamAnalysis?.scamType || null,
+    signature: computeSignature(text)
+  };
+  if (!message.signature && !message.callbackNumber && message.domains.length === 0) {
+    return null;
+  }
+
+  try {
+    const match = await findMatchingCampaign(message, settings);
+    const campaign = addMessageToCampaign(
+      match ? match.campaign : createCampaign(message),
+      message,
+      match || { matchedBy: null, similarity: 1 },
+      settings.retentionDays
+    );
+
+    const ttlSeconds = settings.retentionDays * 24 * 60 * 60;
+    await setValue(keys.campaign(campaign.id), campaign, ttlSeconds);
+    await touchRecent(campaign.id, Date.parse(campaign.lastSeen), settings.retentionDays);
+    if (message.callbackNumber) await addToSet(keys.callbackIndex(message.callbackNumber), campaign.id, ttlSeconds);
+    for (const domain of message.domains) {
+      await addToSet(keys.domainIndex(domain), campaign.id, ttlSeconds);
+    }
+    if (message.signature) {
+      for (const band of bandKeys(message.signature)) {
+        await addToSet(keys.bandIndex(band), campaign.id, ttlSeconds);
+      }
+    }
+
+    if (match) {
+      console.log(`🧩 Message ${id} joined campaign ${campaign.id} by ${match.matchedBy} (${campaign.messageCount} messages, similarity ${match.similarity.toFixed(2)})`);
+    } else {
+      console.log(`🧩 Message ${id} started campaign ${campaign.id}`);
+    }
+    return {
+      campaignId: campaign.id,
+      isNew: !match,
+      matchedBy: match ? match.matchedBy : null,
+      similarity: match ? Math.round(match.similarity * 100) / 100 : 1,
+      messageCount: campaign.messageCount
+    };
+  } catch (error) {
+    console.error(`❌ Error recording campaign for message ${id}:`, error.message);
+    return null;
+  }
+}
+
+// --- Reading ----------------------------------------------------------------------------
+
+/**
+ * Shape a stored campaign for the API: numbers redacted, volume as a sorted series,
+ * signature dropped.
+ * @param {Object} campaign
+ * @param {Object} [options]
+ * @param {boolean} [options.includeMessages=false]
+ * @returns {Object}
+ */
+function summarizeCampaign(campaign, { includeMessages = false } = {}) {
+  const summary = {
+    id: campaign.id,
+    firstSeen: campaign.firstSeen,
+    lastSeen: campaign.lastSeen,
+    messageCount: campaign.messageCount,
+    channels: campaign.channels,
+    companies: Object.entries(campaign.companies)
+      .map(([id, entry]) => ({ id, name: entry.name, count: entry.count }))
+      .sort((a, b) => b.count - a.count),
+    scamTypes: campaign.scamTypes,
+    callbackNumbers: campaign.callbackNumbers.map(redactPhoneNumber),
+    domains: campaign.domains,
+    callerIds: campaign.callerIds.map(redactPhoneNumber),
+    callerIdCount: campaign.callerIdCount,
+    volume: Object.entries(campaign.volume)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, count]) => ({ date, count })),
+    sampleText: campaign.sampleText
+  };
+  if (includeMessages) {
+    summary.messages = campaign.messages.map(message => ({
+      ...message,
+      callerNumber: message.callerNumber ? redactPhoneNumber(message.callerNumber) : null,
+      callbackNumber: message.callbackNumber ? redactPhoneNumber(message.callbackNumber) : null
+    }));
+  }
+  return summary;
+}
+
+/**
+ * Get one campaign with its recent messages.
+ * @param {string} campaignId
+ * @returns {Promise<Object|null>} Summarized campaign.
+ */
+async function getCampaign(campaignId) {
+  if (!campaignId) return null;
+  try {
+    const campaign = await getValue(keys.campaign(campaignId));
+    return campaign ? summarizeCampaign(campaign, { includeMessages: true }) : null;
+  } catch (error) {
+    console.error(`❌ Error reading campaign ${campaignId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * List the most recently active campaigns.
+ * @param {Object} [options]
+ * @param {number} [options.limit=20]
+ * @param {number} [options.minMessages=1] - Hide campaigns with fewer messages (2 shows only real clusters).
+ * @returns {Promise<{campaigns: Object[], total: number}>}
+ */
+async function listCampaigns({ limit = 20, minMessages = 1 } = {}) {
+  try {
+    // Over-fetch so the minMessages filter can still fill the page
+    const ids = await getRecentIds(minMessages > 1 ? limit * 5 : limit);
+    const campaigns = (await Promise.all(ids.map(campaignId => getValue(keys.campaign(campaignId)))))
+      .filter(campaign => campaign && campaign.messageCount >= minMessages)
+      .slice(0, limit)
+      .map(campaign => summarizeCampaign(campaign));
+    return { campaigns, total: await countCampaigns() };
+  } catch (error) {
+    console.error('❌ Error listing campaigns:', error.message);
+    return { campaigns: [], total: 0 };
+  }
+}
+
+/**
+ * List the stored campaigns active in a time window, unredacted (for threat-intel export).
+ * @param {Object} params
+ * @param {string} params.since - ISO start of the window.
+ * @param {string} [params.until] - ISO end of the window (default now).
+ * @returns {Promise<Object[]>} Campaigns without their signature, most recently active first.
+ */
+async function listCampaignsInWindow({ since, until = new Date().toISOString() } = {}) {
+  try {
+    const ids = await getIdsActiveSince(Date.parse(since));
+    const campaigns = await Promise.all(ids.map(campaignId => getValue(keys.campaign(campaignId))));
+    return campaigns
+      .filter(campaign => campaign && campaign.firstSeen <= until)
+      .map(({ signature, ...campaign }) => campaign);
+  } catch (error) {
+    console.error('❌ Error listing campaigns in window:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Forget all in-memory campaigns (Redis-backed campaigns are left alone)
+ */
+function resetCampaigns() {
+  memoryStore.values.clear();
+  memoryStore.sets.clear();
+  memoryStore.recent.clear();
+}
+
+module.exports = {
+  recordCampaignMessage,
+  getCampaign,
+  listCampaigns,
+  listCampaignsInWindow,
+  computeSignature,
+  estimateSimilarity,
+  normalizeScript,
+  getCampaignSettings,
+  resetCampaigns,
+  MINHASH
+};
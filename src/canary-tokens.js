@@ -0,0 +1,406 @@
+/**
+ * Canary Credentials
+ * Plants trackable credentials in each agent's fake identity (src/fake-identity.js): an email
+ * address on a domain we control, card numbers and an online banking password, all unique to
+ * the engagement. Card canaries keep the identity card's issuer prefix but end in a suffix
+ * drawn for the engagement, and like every fake identity card they fail the Luhn check, so they
+ * can never be a real card. Values are claimed before the agent is given them
+ * (claimCanaries()), and each one is then mapped to the agent call that handed it out, with the
+ * original scam call, its campaign and the scammer's number.
+ *
+ * Whatever watches those credentials (the mail server for CANARY_EMAIL_DOMAIN, a login
+ * honeypot, a card-testing feed) reports a use to the canary webhook
+ * (POST /canary/webhook, authenticated with CANARY_WEBHOOK_TOKEN). The trip is recorded against
+ * the canary and sent out through the webhook-service channels (webhooks, Slack, Telegram).
+ *
+ * Records are kept in Redis when Upstash is configured and in memory otherwise, for
+ * CANARY_TTL_DAYS after the last activity. CANARIES=false turns canaries off; without
+ * CANARY_EMAIL_DOMAIN the identity keeps its ordinary email address.
+ */
+
+const crypto = require('crypto');
+const { isTokenAuthorized } = require('./api-auth');
+const { luhnCheckDigit, formatCardNumber } = require('./fake-identity');
+
+const DEFAULT_TTL_DAYS = 365;
+const MAX_TRIPS = 50;
+const MAX_CLAIM_ATTEMPTS = 5;
+const TOKEN_ALPHABET = 'abcdefghijkmnpqrstuvwxyz23456789';
+
+// Digits before the check digit that are drawn for each engagement
+const CARD_SUFFIX_LENGTH = 8;
+
+const PASSWORD_WORDS = [
+  'Buster', 'Sunshine', 'Bailey', 'Peanut', 'Rosebud', 'Tigger', 'Daisy', 'Cowboys',
+  'Yankees', 'Grandkids', 'Bluebird', 'Muffin', 'Lucky', 'Patches', 'Willow', 'Shadow'
+];
+
+// In-memory fallback when Redis is not configured
+const memoryStore = new Map();
+
+function isRedisConfigured() {
+  return !!(process.env.UPSTASH_REDIS_URL && process.env.UPSTASH_REDIS_REST_TOKEN);
+}
+
+function getTtlSeconds() {
+  const days = parseInt(process.env.CANARY_TTL_DAYS, 10);
+  return (days > 0 ? days : DEFAULT_TTL_DAYS) * 24 * 60 * 60;
+}
+
+/**
+ * Whether agent identities carry canary credentials (CANARIES=false turns them off)
+ * @returns {boolean}
+ */
+function isCanaryEnabled() {
+  return String(process.env.CANARIES || '').toLowerCase() !== 'false';
+}
+
+function getCanaryEmailDomain() {
+  return (process.env.CANARY_EMAIL_DOMAIN || '').trim().toLowerCase().replace(/^@/, '') || null;
+}
+
+function cryptoRandom() {
+  return crypto.randomBytes(4).readUInt32BE() / 0x100000000;
+}
+
+function randomToken(length, random) {
+  let token = '';
+  for (let i = 0; i < length; i++) {
+    token += TOKEN_ALPHABET[Math.floor(random() * TOKEN_ALPHABET.length)];
+  }
+  return token;
+}
+
+/**
+ * Normalize a reported canary value so it matches however it was typed: email addresses are
+ * lower-cased, card numbers reduced to digits, passwords kept as they are
+ * @param {string} value
+ * @returns {string|null}
+ */
+function normalizeCanaryValue(value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  if (text.includes('@')) return text.toLowerCase();
+  if (/^[\d\s-]{12,}$/.test(text)) return text.replace(/\D/g, '');
+  return text;
+}
+
+function canaryKey(normalized) {
+  return `canary:${crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 32)}`;
+}
+
+function callCanariesKey(callId) {
+  return `canary_call:${callId}`;
+}
+
+// The memory store keeps JSON like Redis does, so callers never share a record object
+async function readValue(key) {
+  if (!isRedisConfigured()) return memoryStore.has(key) ? JSON.parse(memoryStore.get(key)) : null;
+  const { redis } = require('./redis-service');
+  const value = await redis.get(key);
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+async function writeValue(key, value) {
+  if (!isRedisConfigured()) {
+    memoryStore.set(key, JSON.stringify(value));
+    return;
+  }
+  const { redis } = require('./redis-service');
+  await redis.set(key, JSON.stringify(value), { ex: getTtlSeconds() });
+}
+
+// Set only if absent; returns true when this caller set it
+async function writeValueIfAbsent(key, value) {
+  if (!isRedisConfigured()) {
+    if (memoryStore.has(key)) return false;
+    memoryStore.set(key, JSON.stringify(value));
+    return true;
+  }
+  const { redis } = require('./redis-service');
+  return (await redis.set(key, JSON.stringify(value), { nx: true, ex: getTtlSeconds() })) === 'OK';
+}
+
+// The card with a fresh engagement suffix and a check digit that fails the Luhn check, keeping
+// its issuer prefix, expiry and CVV
+function canaryCard(card, random) {
+  const digits = card.number.replace(/\s/g, '');
+  let payload = digits.slice(0, -(CARD_SUFFIX_LENGTH + 1));
+  while (payload.length < digits.length - 1) {
+    payload += String(Math.floor(random() * 10));
+  }
+  const wrongCheckDigit = (luhnCheckDigit(payload) + 1 + Math.floor(random() * 9)) % 10;
+  const number = payload + wrongCheckDigit;
+  return { ...card, number: formatCardNumber(number), last4: number.slice(-4) };
+}
+
+/**
+ * Replace one canary of an identity with a freshly generated value of the same type
+ * @returns {Object} The identity with the new value in its canaries and in the detail it stands for
+ */
+function replaceCanary(identity, canary, random) {
+  let updated;
+  let value;
+  if (canary.type === 'email') {
+    const [local, domain] = canary.value.split('@');
+    value = `${local.replace(/\.[^.]+$/, '')}.${randomToken(5, random)}@${domain}`;
+    updated = { ...identity, email: value };
+  } else if (canary.type === 'password') {
+    value = `${canary.value.slice(0, -5)}${randomToken(5, random)}`;
+    updated = { ...identity, password: value };
+  } else {
+    const cards = identity.cards.map(card => (card.number.replace(/\s/g, '') === canary.value ? canaryCard(card, random) : card));
+    const replaced = cards.find((card, index) => card !== identity.cards[index]);
+    value = replaced.number.replace(/\s/g, '');
+    updated = { ...identity, cards };
+  }
+  updated.canaries = identity.canaries.map(entry => (entry === canary ? { type: canary.type, value } : entry));
+  return updated;
+}
+
+/**
+ * Add canary credentials to a fake identity: an email address on CANARY_EMAIL_DOMAIN (when
+ * set), an online banking password and card numbers with an engagement suffix (still failing
+ * the Luhn check), each unique to this identity
+ * @param {Object} identity - Result of generateFakeIdentity()
+ * @param {Object} [options]
+ * @param {Function} [options.random] - Random number source (default: crypto random)
+ * @returns {Object} The identity with `password`, canary `cards` and `canaries` ([{ type, value }])
+ */
+function addCanaries(identity, { random = cryptoRandom } = {}) {
+  const domain = getCanaryEmailDomain();
+  const email = domain
+    ? `${identity.email.split('@')[0]}.${randomToken(5, random)}@${domain}`
+    : identity.email;
+  const password = `${PASSWORD_WORDS[Math.floor(random() * PASSWORD_WORDS.length)]}${identity.dateOfBirth.slice(2, 4)}${randomToken(5, random)}`;
+  const cards = identity.cards.map(card => canaryCard(card, random));
+
+  const canaries = [
+    ...(domain ? [{ type: 'email', value: email }] : []),
+    { type: 'password', value: password },
+    ...cards.map(card => ({ type: 'card', value: card.number.replace(/\s/g, '') }))
+  ];
+  return { ...identity, email, password, cards, canaries };
+}
+
+/**
+ * Reserve an identity's canary values before the agent is given them. A value another
+ * engagement already holds is replaced with a fresh one, so a trip always leads back to a
+ * single call.
+ * @param {Object} identity - Identity with canaries (addCanaries())
+ * @param {Object} [options]
+ * @param {Function} [options.random] - Random number source (default: crypto random)
+ * @returns {Promise<Object>} The identity, or a copy with the taken values replaced
+ */
+async function claimCanaries(identity, { random = cryptoRandom } = {}) {
+  let claimed = identity;
+  for (const original of identity?.canaries || []) {
+    let canary = original;
+    for (let attempt = 1; ; attempt++) {
+      const reserved = await writeValueIfAbsent(canaryKey(normalizeCanaryValue(canary.value)), {
+        type: canary.type,
+        value: canary.value,
+        callId: null,
+        reservedAt: new Date().toISOString()
+      });
+      if (reserved) break;
+      if (attempt >= MAX_CLAIM_ATTEMPTS) {
+        const error = new Error(`Could not find an unused ${canary.type} canary after ${MAX_CLAIM_ATTEMPTS} attempts`);
+        error.code = 'CANARY_COLLISION';
+        throw error;
+      }
+      console.log(`🐤 ${canary.type} canary already handed out, generating another`);
+      claimed = replaceCanary(claimed, canary, random);
+      canary = claimed.canaries[identity.canaries.indexOf(original)];
+    }
+  }
+  return claimed;
+}
+
+/**
+ * Map an identity's canaries to the engagement that hands them out
+ * @param {Object} identity - Identity with claimed canaries (claimCanaries())
+ * @param {Object} engagement
+ * @param {string} engagement.callId - VAPI call ID of the agent call
+ * @param {string} [engagement.originalCallSid] - Scam call or message that triggered the callback
+ * @param {string} [engagement.scammerNumber] - Number the agent called
+ * @param {string} [engagement.originalCaller] - Caller ID of the scam call
+ * @param {string} [engagement.campaignId] - Campaign of the scam call (src/campaign-tracker.js)
+ * @param {string} [engagement.company] - Impersonated company
+ * @param {string} [engagement.assistantName] - Agent name
+ * @returns {Promise<Object[]>} The stored canary records (values held by another call are skipped)
+ */
+async function registerCanaries(identity, engagement) {
+  const records = [];
+  for (const canary of identity?.canaries || []) {
+    // Fill in our own reservation, never another engagement's canary
+    const key = canaryKey(normalizeCanaryValue(canary.value));
+    const existing = await readValue(key);
+    if (existing?.callId && existing.callId !== engagement.callId) {
+      console.warn(`⚠️ ${canary.type} canary already belongs to call ${existing.callId}, not registering it for ${engagement.callId}`);
+      continue;
+    }
+
+    const record = {
+      type: canary.type,
+      value: canary.value,
+      callId: engagement.callId,
+      originalCallSid: engagement.originalCallSid || null,
+      scammerNumber: engagement.scammerNumber || null,
+      originalCaller: engagement.originalCaller || null,
+      campaignId: engagement.campaignId || null,
+      company: engagement.company || null,
+      assistantName: engagement.assistantName || null,
+      identityName: identity.fullName,
+      createdAt: new Date().toISOString(),
+      tripCount: 0,
+      firstTrippedAt: null,
+      lastTrippedAt: null,
+      trips: []
+    };
+    await writeValue(key, record);
+    records.push(record);
+  }
+  if (records.length > 0) {
+    await writeValue(callCanariesKey(engagement.callId), records.map(record => record.value));
+    console.log(`🐤 Registered ${records.length} canaries for call ${engagement.callId}`);
+  }
+  return records;
+}
+
+/**
+ * Look up the canary a value belongs to
+ * @param {string} value - Email address, card number or password
+ * @returns {Promise<Object|null>} Canary record with its trips, or null for an unknown value
+ */
+async function getCanary(value) {
+  const normalized = normalizeCanaryValue(value);
+  return normalized ? readValue(canaryKey(normalized)) : null;
+}
+
+/**
+ * The canaries an agent call handed out, with their trips
+ * @param {string} callId - VAPI call ID
+ * @returns {Promise<Object[]>}
+ */
+async function listCallCanaries(callId) {
+  const values = (await readValue(callCanariesKey(callId))) || [];
+  const records = await Promise.all(values.map(getCanary));
+  return records.filter(Boolean);
+}
+
+/**
+ * The campaign a canary's engagement belongs to: the one registered with it, else the one
+ * stored with the original scam call's metadata
+ */
+async function resolveCampaignId(record) {
+  if (record.campaignId || !record.originalCallSid) return record.campaignId;
+  try {
+    const { getCallMetadata } = require('./s3-storage-service');
+    const metadata = await getCallMetadata(record.originalCallSid);
+    return metadata?.campaignId || null;
+  } catch (error) {
+    console.error(`Error reading metadata for ${record.originalCallSid}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Record a reported use of a canary credential and notify the webhook-service channels
+ * @param {Object} report
+ * @param {string} report.value - The credential that was used
+ * @param {string} [report.source] - What saw it used, e.g. "mail", "login-honeypot"
+ * @param {string} [report.occurredAt] - When it was used (default: now)
+ * @param {string} [report.ip] - Address it was used from
+ * @param {string} [report.userAgent] - User agent it was used with
+ * @param {Object} [report.details] - Anything else the source reports
+ * @param {Object} [deps]
+ * @param {Function} [deps.notify] - Sends the notifications (default: notifyCanaryTripped())
+ * @returns {Promise<Object|null>} { canary, trip, notifications }, or null for an unknown value
+ */
+async function recordCanaryTrip(report = {}, { notify = data => require('./webhook-service').notifyCanaryTripped(data) } = {}) {
+  const normalized = normalizeCanaryValue(report.value);
+  if (!normalized) {
+    const error = new Error('A canary trip needs the credential value that was used');
+    error.code = 'INVALID_CANARY_TRIP';
+    throw error;
+  }
+
+  const record = await readValue(canaryKey(normalized));
+  if (!record) {
+    console.log('🐤 Canary webhook reported an unknown value');
+    return null;
+  }
+
+  const occurredAt = report.occurredAt && !Number.isNaN(Date.parse(report.occurredAt))
+    ? new Date(report.occurredAt).toISOString()
+    : new Date().toISOString();
+  const trip = {
+    occurredAt,
+    receivedAt: new Date().toISOString(),
+    source: report.source || null,
+    ip: report.ip || null,
+    userAgent: report.userAgent || null,
+    details: report.details || null
+  };
+
+  record.campaignId = await resolveCampaignId(record);
+  // A value can be tripped while only reserved, if registering it with its call failed
+  record.trips = [...(record.trips || []), trip].slice(-MAX_TRIPS);
+  record.tripCount = (record.tripCount || 0) + 1;
+  record.firstTrippedAt = record.firstTrippedAt || occurredAt;
+  record.lastTrippedAt = occurredAt;
+  await writeValue(canaryKey(normalized), record);
+  console.log(`🚨 Canary ${record.type} from call ${record.callId} tripped (${record.tripCount}x) via ${trip.source || 'unknown source'}`);
+
+  let notifications = [];
+  try {
+    notifications = await notify({
+      type: record.type,
+      value: record.value,
+      callId: record.callId,
+      originalCallSid: record.originalCallSid,
+      campaignId: record.campaignId,
+      scammerNumber: record.scammerNumber,
+      originalCaller: record.originalCaller,
+      company: record.company,
+      agentName: record.assistantName,
+      tripCount: record.tripCount,
+      ...trip
+    });
+  } catch (error) {
+    console.error('Error sending canary trip notifications:', error.message);
+  }
+
+  return { canary: record, trip, notifications };
+}
+
+/**
+ * Check a canary webhook request's credentials: `Authorization: Bearer <CANARY_WEBHOOK_TOKEN>`
+ * or `X-API-Key: <CANARY_WEBHOOK_TOKEN>`. Always false when no token is configured.
+ * @param {Object} headers - Request headers (lower-case names, as Node provides them)
+ * @returns {boolean}
+ */
+function isCanaryWebhookAuthorized(headers = {}) {
+  return isTokenAuthorized(headers, process.env.CANARY_WEBHOOK_TOKEN);
+}
+
+/**
+ * Forget all canaries (tests and local development)
+ */
+function resetCanaries() {
+  memoryStore.clear();
+}
+
+module.exports = {
+  addCanaries,
+  claimCanaries,
+  registerCanaries,
+  recordCanaryTrip,
+  getCanary,
+  listCallCanaries,
+  normalizeCanaryValue,
+  isCanaryEnabled,
+  isCanaryWebhookAuthorized,
+  resetCanaries
+};
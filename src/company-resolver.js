@@ -0,0 +1,480 @@
+/**
+ * Company Resolver
+ * Maps raw company names and transcript spans (often mangled by speech-to-text,
+ * e.g. "crack and" or "coin base") to canonical company ids with a confidence value.
+ *
+ * Resolution combines an alias table (config/companies.json plus COMPANY_ALIASES_PATH),
+ * phonetic codes (Soundex and Metaphone) and Levenshtein edit distance. Companies
+ * listed in the scam-category registry are included automatically.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { getCategoryRegistry } = require('./scam-category-registry');
+
+const DEFAULT_COMPANIES_FILE = path.join(__dirname, '..', 'config', 'companies.json');
+
+const RESOLUTION_THRESHOLDS = {
+  // Minimum confidence for resolveCompany() to return a match
+  MIN_CONFIDENCE: 0.7,
+  // Minimum confidence for a non-alias match inside free text
+  MIN_TEXT_CONFIDENCE: 0.8,
+  // Fuzzy matches never report more than this, so exact and alias matches always win
+  MAX_FUZZY_CONFIDENCE: 0.9,
+  // Spans shorter than this (letters only) are only matched exactly
+  MIN_FUZZY_LENGTH: 4
+};
+
+const CONFIDENCE = {
+  EXACT: 1,
+  ALIAS: 0.95
+};
+
+let cachedCompanies = null;
+
+/**
+ * Calculate the Levenshtein distance between two strings.
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} The Levenshtein distance.
+ */
+function levenshteinDistance(a, b) {
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  const matrix = Array(b.length + 1).fill(null).map(() => Array(a.length + 1).fill(null));
+
+  for (let i = 0; i <= a.length; i++) {
+    matrix[0][i] = i;
+  }
+
+  for (let j = 0; j <= b.length; j++) {
+    matrix[j][0] = j;
+  }
+
+  for (let j = 1; j <= b.length; j++) {
+    for (let i = 1; i <= a.length; i++) {
+      const indicator = a[i - 1] === b[j - 1] ? 0 : 1;
+      matrix[j][i] = Math.min(
+        matrix[j][i - 1] + 1,        // deletion
+        matrix[j - 1][i] + 1,        // insertion
+        matrix[j - 1][i - 1] + indicator, // substitution
+      );
+    }
+  }
+
+  return matrix[b.length][a.length];
+}
+
+/**
+ * Similarity in [0, 1] derived from the Levenshtein distance.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editSimilarity(a, b) {
+  const maxLen = Math.max(a.length, b.length);
+  return maxLen === 0 ? 1 : 1 - levenshteinDistance(a, b) / maxLen;
+}
+
+/**
+ * Reduce a name to lowercase letters and digits ("Coin-Base" → "coinbase", "微 软" → "微软").
+ * @param {string} value
+ * @returns {string}
+ */
+function compact(value) {
+  return (value || '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * American Soundex code (e.g. "Robert" → "R163").
+ * @param {string} value
+ * @returns {string}
+ */
+function soundex(value) {
+  const letters = (value || '').toUpperCase().replace(/[^A-Z]/g, '');
+  if (!letters) return '';
+
+  const codes = {
+    B: '1', F: '1', P: '1', V: '1',
+    C: '2', G: '2', J: '2', K: '2', Q: '2', S: '2', X: '2', Z: '2',
+    D: '3', T: '3',
+    L: '4',
+    M: '5', N: '5',
+    R: '6'
+  };
+
+  let result = letters[0];
+  let previous = codes[letters[0]] || '';
+
+  for (let i = 1; i < letters.length && result.length < 4; i++) {
+    const char = letters[i];
+    const code = codes[char] || '';
+    if (code && code !== previous) {
+      result += code;
+    }
+    // H and W do not separate letters with the same code; vowels do
+    if (char !== 'H' && char !== 'W') {
+      previous = code;
+    }
+  }
+
+  return result.padEnd(4, '0');
+}
+
+/**
+ * Simplified Metaphone code, good enough to collapse common spelling and
+ * transcription variants ("cracken", "kraken", "crackin" → "KRKN").
+ * @param {string} value
+ * @returns {string}
+ */
+function metaphone(value) {
+  let word = (value || '').toUpperCase().replace(/[^A-Z]/g, '');
+  if (!word) return '';
+
+  if (/^(AE|GN|KN|PN|WR)/.test(word)) word = word.slice(1);
+  if (word[0] === 'X') word = 'S' + word.slice(1);
+  if (word.startsWith('WH')) word = 'W' + word.slice(2);
+
+  const isVowel = char => 'AEIOU'.includes(char || '');
+  let code = '';
+
+  for (let i = 0; i < word.length; i++) {
+    const char = word[i];
+    const prev = word[i - 1];
+    const next = word[i + 1];
+    const nextNext = word[i + 2];
+
+    if (char === prev && char !== 'C') continue;
+
+    switch (char) {
+      case 'A': case 'E': case 'I': case 'O': case 'U':
+        if (i === 0) code += char;
+        break;
+      case 'B':
+        if (!(prev === 'M' && i === word.length - 1)) code += 'B';
+        break;
+      case 'C':
+        if (next === 'I' && nextNext === 'A') code += 'X';
+        else if (next === 'H') code += prev === 'S' ? 'K' : 'X';
+        else if ('IEY'.includes(next || '-')) { if (prev !== 'S') code += 'S'; }
+        else code += 'K';
+        break;
+      case 'D':
+        code += next === 'G' && 'EIY'.includes(nextNext || '-') ? 'J' : 'T';
+        break;
+      case 'G':
+        if (next === 'H' && !isVowel(nextNext)) break;
+        if (next === 'N' && (i + 2 === word.length || word.slice(i + 1) === 'NED')) break;
+        code += 'IEY'.includes(next || '-') ? 'J' : 'K';
+        break;
+      case 'H':
+        if (isVowel(next) && !'CSPTG'.includes(prev || '-')) code += 'H';
+        break;
+      case 'K':
+        if (prev !== 'C') code += 'K';
+        break;
+      case 'P':
+        code += next === 'H' ? 'F' : 'P';
+        break;
+      case 'Q':
+        code += 'K';
+        break;
+      case 'S':
+        if (next === 'H' || (next === 'I' && (nextNext === 'O' || nextNext === 'A'))) code += 'X';
+        else code += 'S';
+        break;
+      case 'T':
+        if (next === 'I' && (nextNext === 'O' || nextNext === 'A')) code += 'X';
+        else if (next === 'H') code += '0';
+        else if (!(next === 'C' && nextNext === 'H')) code += 'T';
+        break;
+      case 'V':
+        code += 'F';
+        break;
+      case 'W': case 'Y':
+        if (isVowel(next)) code += char;
+        break;
+      case 'X':
+        code += 'KS';
+        break;
+      case 'Z':
+        code += 'S';
+        break;
+      default:
+        code += char;
+    }
+  }
+
+  return code;
+}
+
+/**
+ * Parse a JSON or YAML alias file into a list of company entries.
+ * @param {string} filePath
+ * @returns {Object[]}
+ */
+function loadCompanyFile(filePath) {
+  try {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    const parsed = path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(raw) : yaml.load(raw);
+    return Array.isArray(parsed?.companies) ? parsed.companies : Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.warn(`⚠️ Failed to load company aliases from ${filePath}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Turn a lowercase registry term into a display name ("geek squad" → "Geek Squad").
+ * @param {string} term
+ * @returns {string}
+ */
+function toDisplayName(term) {
+  if (term.length <= 3) return term.toUpperCase();
+  return term.replace(/\b[a-z]/g, char => char.toUpperCase());
+}
+
+/**
+ * Build the company table: alias files first, then any registry companies not yet covered.
+ * Each entry gets precomputed match keys (compact form and phonetic codes).
+ * @returns {Object[]}
+ */
+function loadCompanies() {
+  const files = [DEFAULT_COMPANIES_FILE, ...(process.env.COMPANY_ALIASES_PATH || '')
+    .split(',')
+    .map(p => p.trim())
+    .filter(Boolean)];
+
+  const byId = new Map();
+  for (const file of files) {
+    for (const entry of loadCompanyFile(file)) {
+      if (!entry || typeof entry.id !== 'string' || typeof entry.name !== 'string') {
+        console.warn(`⚠️ Ignoring company entry without id/name in ${file}`);
+        continue;
+      }
+      const existing = byId.get(entry.id);
+      byId.set(entry.id, {
+        id: entry.id,
+        name: entry.name,
+        scamType: entry.scamType || existing?.scamType || null,
+        aliases: [...new Set([...(existing?.aliases || []), ...(entry.aliases || [])].map(a => String(a).toLowerCase()))],
+        domains: [...new Set([...(existing?.domains || []), ...(entry.domains || [])].map(d => String(d).toLowerCase()))]
+      });
+    }
+  }
+
+  // Fold in companies declared by scam categories so new categories resolve without extra config
+  const known = new Set();
+  for (const company of byId.values()) {
+    known.add(compact(company.name));
+    company.aliases.forEach(alias => known.add(compact(alias)));
+  }
+  for (const category of getCategoryRegistry().categories) {
+    for (const term of category.companies) {
+      if (known.has(compact(term))) continue;
+      const id = compact(term).replace(/\W/g, '_') || term;
+      byId.set(id, { id, name: toDisplayName(term), scamType: category.scamType, aliases: [], domains: [] });
+      known.add(compact(term));
+    }
+  }
+
+  return Array.from(byId.values()).map(company => ({
+    ...company,
+    keys: [
+      { text: company.name.toLowerCase(), kind: 'exact' },
+      ...company.aliases.map(alias => ({ text: alias, kind: 'alias' }))
+    ].map(key => ({
+      ...key,
+      compact: compact(key.text),
+      metaphone: metaphone(key.text),
+      soundex: soundex(key.text)
+    }))
+  }));
+}
+
+/**
+ * Get the cached company table.
+ * @returns {Object[]}
+ */
+function getCompanies() {
+  if (!cachedCompanies) {
+    cachedCompanies = loadCompanies();
+  }
+  return cachedCompanies;
+}
+
+/**
+ * Drop the cached company table so it is rebuilt on next use.
+ */
+function reloadCompanies() {
+  cachedCompanies = null;
+}
+
+/**
+ * Score a raw span against one company key.
+ * @param {Object} span - { compact, metaphone, soundex } for the raw text.
+ * @param {Object} key - Precomputed company key.
+ * @returns {{confidence: number, method: string}}
+ */
+function scoreKey(span, key) {
+  if (span.compact === key.compact) {
+    return { confidence: key.kind === 'exact' ? CONFIDENCE.EXACT : CONFIDENCE.ALIAS, method: key.kind };
+  }
+
+  if (span.compact.length < RESOLUTION_THRESHOLDS.MIN_FUZZY_LENGTH ||
+      key.compact.length < RESOLUTION_THRESHOLDS.MIN_FUZZY_LENGTH) {
+    return { confidence: 0, method: 'none' };
+  }
+
+  const edit = editSimilarity(span.compact, key.compact);
+
+  // Phonetic matching only applies when both codes start with the same sound
+  let phonetic = 0;
+  if (span.metaphone && key.metaphone && span.metaphone[0] === key.metaphone[0]) {
+    if (span.metaphone === key.metaphone) {
+      phonetic = 1;
+    } else if (span.soundex === key.soundex) {
+      phonetic = 0.9;
+    } else {
+      phonetic = editSimilarity(span.metaphone, key.metaphone);
+    }
+  }
+
+  const blended = 0.6 * phonetic + 0.4 * edit;
+  const confidence = Math.min(Math.max(edit, blended), RESOLUTION_THRESHOLDS.MAX_FUZZY_CONFIDENCE);
+  return {
+    confidence: Math.round(confidence * 100) / 100,
+    method: blended > edit ? 'phonetic' : 'fuzzy'
+  };
+}
+
+/**
+ * Find the best company for a raw span, regardless of threshold.
+ * @param {string} raw
+ * @returns {Object|null}
+ */
+function bestMatch(raw) {
+  const span = { compact: compact(raw), metaphone: metaphone(raw), soundex: soundex(raw) };
+  if (!span.compact) return null;
+
+  let best = null;
+  for (const company of getCompanies()) {
+    for (const key of company.keys) {
+      const { confidence, method } = scoreKey(span, key);
+      if (confidence > 0 && (!best || confidence > best.confidence)) {
+        best = {
+          id: company.id,
+          name: company.name,
+          scamType: company.scamType,
+          confidence,
+          method,
+          matched: key.text,
+          raw
+        };
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Resolve a raw company name (from an LLM, regex match or agent name) to a canonical company.
+ * @param {string} raw - Raw company text, e.g. "coin base" or "Cracken".
+ * @param {Object} [options]
+ * @param {number} [options.minConfidence] - Minimum confidence to accept.
+ * @returns {{id: string, name: string, scamType: string|null, confidence: number, method: string, matched: string, raw: string}|null}
+ */
+function resolveCompany(raw, options = {}) {
+  if (!raw || typeof raw !== 'string') return null;
+  const minConfidence = options.minConfidence ?? RESOLUTION_THRESHOLDS.MIN_CONFIDENCE;
+
+  const match = bestMatch(raw.trim());
+  return match && match.confidence >= minConfidence ? match : null;
+}
+
+/**
+ * Scan free text (a transcript or SMS) for the best company mention.
+ * Every one- to three-word span is tried; fuzzy matches must clear MIN_TEXT_CONFIDENCE.
+ * @param {string} text - Text to scan.
+ * @param {Object} [options]
+ * @param {boolean} [options.exactOnly=false] - Only accept exact name or alias matches.
+ * @param {number} [options.minConfidence] - Minimum confidence for fuzzy matches.
+ * @returns {Object|null} Same shape as resolveCompany().
+ */
+function findCompanyInText(text, options = {}) {
+  if (!text || typeof text !== 'string') return null;
+
+  const minConfidence = options.exactOnly
+    ? CONFIDENCE.ALIAS
+    : (options.minConfidence ?? RESOLUTION_THRESHOLDS.MIN_TEXT_CONFIDENCE);
+  const words = text.toLowerCase().split(/[^a-z0-9.&'-]+/).filter(Boolean);
+
+  let best = null;
+  for (let size = 3; size >= 1; size--) {
+    for (let i = 0; i + size <= words.length; i++) {
+      const spanText = words.slice(i, i + size).join(' ');
+      const match = bestMatch(spanText);
+      if (match && match.confidence >= minConfidence && (!best || match.confidence > best.confidence)) {
+        best = match;
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Pick the impersonated company for a detection result: the LLM's answer first,
+ * then the regex category matches, then a scan of the original text.
+ * @param {Object} sources
+ * @param {string} [sources.llmCompany] - impersonatedCompany from the LLM.
+ * @param {Object} [sources.regexDetails] - scamDetails from isLikelyScam().
+ * @param {string} [sources.text] - Original message or transcript.
+ * @returns {Object|null} Resolved company, or null if nothing matched.
+ */
+function resolveImpersonatedCompany({ llmCompany, regexDetails, text } = {}) {
+  const fromLlm = resolveCompany(llmCompany);
+  if (fromLlm) return fromLlm;
+
+  const regexCandidates = [
+    ...(regexDetails?.matchedCompanies || []),
+    ...(regexDetails?.cryptoTerms || []),
+    ...(regexDetails?.itTerms || [])
+  ];
+  for (const candidate of regexCandidates) {
+    const resolved = resolveCompany(candidate, { minConfidence: CONFIDENCE.ALIAS });
+    if (resolved) return resolved;
+  }
+
+  return findCompanyInText(text);
+}
+
+/**
+ * Known transcription errors from the alias table, for use in LLM prompts.
+ * @param {number} [limit=12] - Maximum number of hints.
+ * @returns {string[]} Lines like '"crack and" → Kraken'.
+ */
+function getTranscriptionHints(limit = 12) {
+  const hints = [];
+  for (const company of getCompanies()) {
+    const alias = company.aliases.find(a => a.includes(' ') || compact(a) !== compact(company.name));
+    if (alias) hints.push(`"${alias}" → ${company.name}`);
+    if (hints.length >= limit) break;
+  }
+  return hints;
+}
+
+module.exports = {
+  resolveCompany,
+  findCompanyInText,
+  resolveImpersonatedCompany,
+  getTranscriptionHints,
+  getCompanies,
+  reloadCompanies,
+  levenshteinDistance,
+  editSimilarity,
+  soundex,
+  metaphone,
+  RESOLUTION_THRESHOLDS
+};
@@ -0,0 +1,435 @@
+/**
+ * Complaint Reports
+ * Turns confirmed scam voicemails and texts into pre-filled complaint packages for:
+ * - the FTC (ReportFraud.ftc.gov, plus the Do Not Call registry for voicemails)
+ * - the FCC (Consumer Complaint Center, unwanted calls/texts)
+ * - the carrier spam short code 7726 ("SPAM")
+ *
+ * Each package is built from the stored call metadata and transcription (src/s3-storage-service.js)
+ * and carries the date/time, caller ID, callback number, impersonated company, a transcript
+ * excerpt and a reference to the recording. Unlike the threat-intel export, packages include the
+ * raw caller ID: regulators and carriers ask for it even when it is spoofed.
+ *
+ * Packages are written as JSON and as a printable HTML document (one package per page), which
+ * can be saved as PDF from any browser's print dialog.
+ */
+
+const { parseTimeBound } = require('./intel-export');
+const { extractCallbackNumbers } = require('./callback-extractor');
+const { resolveCompany } = require('./company-resolver');
+const { formatToE164 } = require('./phone-utils');
+
+const FORMATS = ['json', 'html', 'all'];
+const DEFAULT_WINDOW = '7d';
+const DEFAULT_TIMEZONE = 'UTC';
+const EXCERPT_LENGTH = 600;
+
+const FTC_REPORT_URL = 'https://reportfraud.ftc.gov/';
+const FTC_DNC_URL = 'https://www.donotcall.gov/report.html';
+const FCC_COMPLAINT_URL = 'https://consumercomplaints.fcc.gov/hc/en-us/requests/new';
+const CARRIER_SPAM_SHORT_CODE = '7726';
+
+/**
+ * Build an options error the CLI can show as-is
+ * @param {string} message - What was wrong
+ * @returns {Error} Error with code INVALID_COMPLAINT_OPTIONS
+ */
+function optionError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_COMPLAINT_OPTIONS';
+  return error;
+}
+
+/**
+ * Check that a time zone name is one Intl understands
+ * @param {string} timezone - IANA time zone, e.g. "America/New_York"
+ * @returns {boolean} Whether the zone is usable
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate and normalize report options
+ * @param {Object} [options]
+ * @param {string} [options.since] - Window start: ISO date or duration (default 7d)
+ * @param {string} [options.until] - Window end (default now)
+ * @param {string} [options.format] - json, html or all (default all)
+ * @param {string} [options.timezone] - Zone for the dates on the forms (default COMPLAINT_TIMEZONE or UTC)
+ * @returns {{since: string, until: string, format: string, timezone: string}}
+ */
+function resolveComplaintOptions({ since = DEFAULT_WINDOW, until, format = 'all', timezone } = {}) {
+  const normalizedFormat = String(format).toLowerCase();
+  if (!FORMATS.includes(normalizedFormat)) {
+    throw optionError(`Unknown report format "${format}" (expected ${FORMATS.join(', ')})`);
+  }
+
+  const zone = timezone || process.env.COMPLAINT_TIMEZONE || DEFAULT_TIMEZONE;
+  if (!isValidTimezone(zone)) {
+    throw optionError(`Unknown time zone "${zone}" (use an IANA name like America/New_York)`);
+  }
+
+  let start;
+  let end;
+  const now = new Date();
+  try {
+    start = parseTimeBound(since || DEFAULT_WINDOW, now);
+    end = until ? parseTimeBound(until, now) : now;
+  } catch (error) {
+    throw optionError(error.message);
+  }
+  if (start > end) {
+    throw optionError('The window starts after it ends');
+  }
+
+  return { since: start.toISOString(), until: end.toISOString(), format: normalizedFormat, timezone: zone };
+}
+
+/**
+ * Whether stored metadata describes a confirmed scam (the ensemble verdict wins over the LLM's)
+ * @param {Object} metadata - Stored call or message metadata
+ * @returns {boolean} True when the message was judged a scam
+ */
+function isConfirmedScam(metadata) {
+  const analysis = metadata?.scamAnalysis;
+  if (!analysis) return false;
+  if (analysis.ensemble && typeof analysis.ensemble.isScam === 'boolean') {
+    return analysis.ensemble.isScam;
+  }
+  return analysis.isScam === true;
+}
+
+/**
+ * Split a timestamp into the date and time fields the complaint forms ask for
+ * @param {string} timestamp - ISO timestamp
+ * @param {string} timezone - IANA time zone
+ * @returns {{date: string, time: string, timezone: string}}
+ */
+function formatDateTime(timestamp, timezone) {
+  const date = new Date(timestamp);
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}`, timezone };
+}
+
+/**
+ * Shorten a transcript or message to an excerpt that fits the complaint forms
+ * @param {string} text - Full transcript or message body
+ * @param {number} [maxLength] - Maximum excerpt length in characters
+ * @returns {string|null} Excerpt, cut at a word boundary
+ */
+function buildExcerpt(text, maxLength = EXCERPT_LENGTH) {
+  if (!text || typeof text !== 'string') return null;
+  const normalized = text.replace(/\s+/g, ' ').trim();
+  if (normalized.length <= maxLength) return normalized || null;
+
+  const cut = normalized.slice(0, maxLength);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s,;:]+$/, '')}…`;
+}
+
+/**
+ * Find the number the scammer asked to be called back on
+ * @param {Object} analysis - Stored scam analysis
+ * @param {string} text - Transcript or message body
+ * @returns {string|null} E.164 callback number
+ */
+function resolveCallbackNumber(analysis, text) {
+  const stored = analysis?.callbackPhoneNumber || analysis?.phoneNumber || analysis?.details?.llmAnalysis?.phoneNumber;
+  if (stored) return formatToE164(stored) || stored;
+
+  const candidates = extractCallbackNumbers(text, { llmNumber: null });
+  return candidates.length > 0 ? candidates[0].e164 : null;
+}
+
+/**
+ * Find the company the scammer pretended to be, by its canonical name when known
+ * @param {Object} analysis - Stored scam analysis
+ * @returns {string|null} Company name
+ */
+function resolveImpersonatedCompany(analysis) {
+  const raw = analysis?.company || analysis?.impersonatedCompany || analysis?.details?.llmAnalysis?.impersonatedCompany;
+  if (!raw || raw === 'Unknown') return null;
+  return resolveCompany(raw)?.name || raw;
+}
+
+/**
+ * Write the free-text description shared by the FTC and FCC forms
+ * @param {Object} report - Complaint facts
+ * @returns {string} Narrative description
+ */
+function describeComplaint(report) {
+  const medium = report.channel === 'sms' ? 'a text message' : 'a voicemail';
+  const sender = report.channel === 'sms' ? 'sender' : 'caller';
+  const sentences = [
+    `On ${report.dateTime.date} at ${report.dateTime.time} (${report.dateTime.timezone}) we received ${medium} from ${report.callerId || 'an unknown number'}.`
+  ];
+  if (report.impersonatedCompany) {
+    sentences.push(`The ${sender} claimed to be ${report.impersonatedCompany}.`);
+  }
+  if (report.callbackNumber && report.callbackNumber !== report.callerId) {
+    sentences.push(`The ${sender} asked us to call back at ${report.callbackNumber}.`);
+  }
+  if (report.transcriptExcerpt) {
+    sentences.push(`${report.channel === 'sms' ? 'Message' : 'Transcript'}: "${report.transcriptExcerpt}"`);
+  }
+  sentences.push('No money or personal information was provided.');
+  return sentences.join(' ');
+}
+
+/**
+ * Build the complaint package for one scam voicemail or text
+ * @param {Object} metadata - Stored call or message metadata
+ * @param {Object} [context]
+ * @param {string} [context.transcript] - Transcription text (falls back to the metadata's copy)
+ * @param {string} [context.recordingKey] - Storage key of the recording, if found
+ * @param {string} [context.timezone] - Zone for form dates (default UTC)
+ * @returns {Object} Complaint package with FTC, FCC and 7726 sections
+ */
+function buildComplaintPackage(metadata, { transcript = null, recordingKey = null, timezone = DEFAULT_TIMEZONE } = {}) {
+  const analysis = metadata.scamAnalysis || {};
+  const channel = metadata.channel === 'sms' || (metadata.messageSid && !metadata.recordingSid) ? 'sms' : 'voicemail';
+  const text = channel === 'sms' ? metadata.message : transcript || metadata.transcriptionText;
+  const id = metadata.callSid || metadata.messageSid;
+
+  const report = {
+    id,
+    channel,
+    receivedAt: metadata.timestamp,
+    dateTime: formatDateTime(metadata.timestamp, timezone),
+    callerId: metadata.callerNumber ? formatToE164(metadata.callerNumber) || metadata.callerNumber : null,
+    calledNumber: process.env.TWILIO_PHONE_NUMBER || null,
+    callbackNumber: resolveCallbackNumber(analysis, text),
+    impersonatedCompany: resolveImpersonatedCompany(analysis),
+    scamType: analysis.ensemble?.scamType || analysis.scamType || null,
+    confidence: analysis.ensemble?.confidence ?? analysis.confidence ?? null,
+    campaignId: metadata.campaignId || null,
+    transcriptExcerpt: buildExcerpt(text),
+    recording: channel === 'voicemail' && metadata.recordingSid
+      ? { recordingSid: metadata.recordingSid, storageKey: recordingKey, durationSeconds: metadata.recordingDuration ? Number(metadata.recordingDuration) : null }
+      : null
+  };
+  const description = describeComplaint(report);
+
+  const ftc = {
+    portal: FTC_REPORT_URL,
+    fields: {
+      category: 'Impostor',
+      contactMethod: channel === 'sms' ? 'Text message' : 'Phone call',
+      dateOfContact: report.dateTime.date,
+      companyOrAgencyImpersonated: report.impersonatedCompany,
+      phoneNumberUsed: report.callerId,
+      callbackNumber: report.callbackNumber,
+      amountPaid: 0,
+      description
+    }
+  };
+  if (channel === 'voicemail') {
+    ftc.doNotCall = {
+      portal: FTC_DNC_URL,
+      fields: {
+        yourPhoneNumber: report.calledNumber,
+        dateOfCall: report.dateTime.date,
+        timeOfCall: report.dateTime.time,
+        callerIdNumber: report.callerId,
+        companyName: report.impersonatedCompany,
+        leftMessage: true,
+        comments: description
+      }
+    };
+  }
+
+  const fcc = {
+    portal: FCC_COMPLAINT_URL,
+    fields: {
+      method: channel === 'sms' ? 'Text message' : 'Wireless (cell phone) / Internet (VoIP)',
+      issue: channel === 'sms' ? 'Unwanted texts' : 'Unwanted calls',
+      dateOfIssue: report.dateTime.date,
+      timeOfIssue: report.dateTime.time,
+      callerIdNumber: report.callerId,
+      numberReceivingCall: report.calledNumber,
+      callbackNumber: report.callbackNumber,
+      impersonatedCompany: report.impersonatedCompany,
+      prerecordedOrArtificialVoice: channel === 'voicemail' ? 'Unknown' : null,
+      description
+    }
+  };
+
+  // Carriers take spam texts forwarded as-is; calls are reported by texting "Call" then the number
+  const carrier = channel === 'sms'
+    ? {
+      shortCode: CARRIER_SPAM_SHORT_CODE,
+      steps: [
+        `Forward the original text to ${CARRIER_SPAM_SHORT_CODE}`,
+        `When asked for the sender, reply with ${report.callerId || 'the sender\'s number'}`
+      ],
+      messages: [metadata.message || '', report.callerId].filter(Boolean)
+    }
+    : {
+      shortCode: CARRIER_SPAM_SHORT_CODE,
+      steps: [
+        `Text "Call" to ${CARRIER_SPAM_SHORT_CODE}`,
+        `When asked for the number, reply with ${report.callerId || 'the calling number'}`
+      ],
+      messages: ['Call', report.callerId].filter(Boolean)
+    };
+
+  return { ...report, complaints: { ftc, fcc, carrier } };
+}
+
+/**
+ * Load the stored scam voicemails and texts in a window (or by id) and build their packages
+ * @param {Object} [options] - resolveComplaintOptions() options, plus:
+ * @param {string[]} [options.ids] - Call or message SIDs to report instead of a window
+ * @param {Object} [storage] - Storage backend (defaults to src/s3-storage-service.js)
+ * @returns {Promise<{since: string, until: string, format: string, timezone: string, generatedAt: string,
+ *   reports: Object[], stats: {scanned: number, reported: number, skipped: number}}>}
+ */
+async function generateComplaintReports(options = {}, storage = require('./s3-storage-service')) {
+  const resolved = resolveComplaintOptions(options);
+  const ids = (options.ids || []).filter(Boolean);
+
+  let records;
+  if (ids.length > 0) {
+    records = [];
+    for (const id of ids) {
+      const metadata = await storage.getCallMetadata(id);
+      if (metadata) records.push(metadata);
+      else console.warn(`⚠️ No stored metadata for ${id}`);
+    }
+  } else {
+    records = await storage.listCallMetadataInWindow({ since: resolved.since, until: resolved.until });
+  }
+
+  const reports = [];
+  for (const metadata of records.filter(isConfirmedScam)) {
+    const id = metadata.callSid || metadata.messageSid;
+    let transcript = null;
+    let recordingKey = null;
+    if (metadata.recordingSid && metadata.channel !== 'sms') {
+      transcript = await storage.getTranscription(id, metadata.recordingSid);
+      recordingKey = await storage.findRecordingInS3(metadata.recordingSid);
+    }
+    reports.push(buildComplaintPackage(metadata, { transcript, recordingKey, timezone: resolved.timezone }));
+  }
+
+  console.log(`📝 Built ${reports.length} complaint packages from ${records.length} stored messages`);
+  return {
+    ...resolved,
+    generatedAt: new Date().toISOString(),
+    reports,
+    stats: { scanned: records.length, reported: reports.length, skipped: records.length - reports.length }
+  };
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render a form's fields as a two-column table
+ * @param {Object} fields - Field name to value
+ * @returns {string} HTML table
+ */
+function renderFieldTable(fields) {
+  const rows = Object.entries(fields)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([name, value]) => {
+      const label = name.replace(/([A-Z])/g, ' $1').replace(/^./, letter => letter.toUpperCase());
+      return `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value === true ? 'Yes' : value)}</td></tr>`;
+    });
+  return `<table>${rows.join('')}</table>`;
+}
+
+/**
+ * Render complaint packages as a printable HTML document (one package per printed page)
+ * @param {Object} result - generateComplaintReports() result
+ * @returns {string} HTML document
+ */
+function renderComplaintHtml(result) {
+  const sections = result.reports.map(report => {
+    const { ftc, fcc, carrier } = report.complaints;
+    const recording = report.recording
+      ? `${report.recording.recordingSid}${report.recording.storageKey ? ` (${report.recording.storageKey})` : ''}`
+      : null;
+    return `
+  <section class="package">
+    <h2>${escapeHtml(report.channel === 'sms' ? 'Scam text' : 'Scam voicemail')} ${escapeHtml(report.id)}</h2>
+    ${renderFieldTable({
+      dateTime: `${report.dateTime.date} ${report.dateTime.time} ${report.dateTime.timezone}`,
+      callerId: report.callerId,
+      callbackNumber: report.callbackNumber,
+      impersonatedCompany: report.impersonatedCompany,
+      scamType: report.scamType,
+      campaign: report.campaignId,
+      recording
+    })}
+    ${report.transcriptExcerpt ? `<blockquote>${escapeHtml(report.transcriptExcerpt)}</blockquote>` : ''}
+    <h3>FTC &mdash; <a href="${escapeHtml(ftc.portal)}">${escapeHtml(ftc.portal)}</a></h3>
+    ${renderFieldTable(ftc.fields)}
+    ${ftc.doNotCall ? `<h3>FTC Do Not Call &mdash; <a href="${escapeHtml(ftc.doNotCall.portal)}">${escapeHtml(ftc.doNotCall.portal)}</a></h3>
+    ${renderFieldTable(ftc.doNotCall.fields)}` : ''}
+    <h3>FCC &mdash; <a href="${escapeHtml(fcc.portal)}">${escapeHtml(fcc.portal)}</a></h3>
+    ${renderFieldTable(fcc.fields)}
+    <h3>Carrier (${escapeHtml(carrier.shortCode)})</h3>
+    <ol>${carrier.steps.map(step => `<li>${escapeHtml(step)}</li>`).join('')}</ol>
+  </section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>SIPSentinel complaint reports ${escapeHtml(result.since.slice(0, 10))} to ${escapeHtml(result.until.slice(0, 10))}</title>
+  <style>
+    body { font-family: Georgia, serif; font-size: 11pt; color: #111; margin: 2em; }
+    h1 { font-size: 16pt; } h2 { font-size: 13pt; border-bottom: 1px solid #999; } h3 { font-size: 11pt; margin-bottom: 0.3em; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 0.8em; }
+    th, td { border: 1px solid #ccc; padding: 3px 6px; text-align: left; vertical-align: top; }
+    th { width: 30%; background: #f3f3f3; font-weight: normal; }
+    blockquote { border-left: 3px solid #999; margin: 0.8em 0; padding-left: 0.8em; font-style: italic; }
+    @media print { body { margin: 0; } a { color: inherit; } .package { page-break-after: always; } }
+  </style>
+</head>
+<body>
+  <h1>SIPSentinel complaint reports</h1>
+  <p>${escapeHtml(result.reports.length)} scam messages received ${escapeHtml(result.since)} to ${escapeHtml(result.until)}. Generated ${escapeHtml(result.generatedAt)}.</p>
+${sections}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  generateComplaintReports,
+  buildComplaintPackage,
+  renderComplaintHtml,
+  resolveComplaintOptions,
+  isConfirmedScam,
+  buildExcerpt,
+  FORMATS,
+  CARRIER_SPAM_SHORT_CODE
+};
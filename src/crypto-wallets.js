@@ -0,0 +1,257 @@
+/**
+ * Crypto Wallets
+ * Finds Bitcoin, Ethereum and Tron wallet addresses in text and validates their checksums, so a
+ * mistranscribed or made-up address never becomes an indicator:
+ * - BTC legacy (1...) and P2SH (3...) addresses: Base58Check (double SHA-256)
+ * - BTC SegWit (bc1...): Bech32 for witness v0, Bech32m for v1+ (BIP-173/BIP-350)
+ * - ETH (0x + 40 hex): EIP-55 mixed-case checksum (Keccak-256); all-lower/all-upper has none
+ * - TRX (T...): Base58Check with the 0x41 version byte
+ */
+
+const crypto = require('crypto');
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_GENERATORS = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+const BECH32_CONST = 1;
+const BECH32M_CONST = 0x2bc830a3;
+
+const BTC_BASE58_VERSIONS = { 0x00: 'p2pkh', 0x05: 'p2sh' };
+const TRX_VERSION = 0x41;
+
+const WALLET_PATTERNS = [
+  { chain: 'BTC', pattern: /(?<![0-9A-Za-z])[13][1-9A-HJ-NP-Za-km-z]{25,34}(?![0-9A-Za-z])/g },
+  { chain: 'BTC', pattern: /(?<![0-9A-Za-z])(?:bc1[02-9ac-hj-np-z]{11,71}|BC1[02-9AC-HJ-NP-Z]{11,71})(?![0-9A-Za-z])/g },
+  { chain: 'ETH', pattern: /(?<![0-9A-Za-z])0x[0-9a-fA-F]{40}(?![0-9A-Za-z])/g },
+  { chain: 'TRX', pattern: /(?<![0-9A-Za-z])T[1-9A-HJ-NP-Za-km-z]{33}(?![0-9A-Za-z])/g }
+];
+
+// --- Base58Check ------------------------------------------------------------------------
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest();
+}
+
+/**
+ * Decode a Base58Check string to its payload (version byte included).
+ * @param {string} value
+ * @returns {Buffer|null} Payload, or null when the characters or checksum are invalid.
+ */
+function decodeBase58Check(value) {
+  let number = 0n;
+  for (const char of value) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit < 0) return null;
+    number = number * 58n + BigInt(digit);
+  }
+
+  const bytes = [];
+  while (number > 0n) {
+    bytes.unshift(Number(number % 256n));
+    number /= 256n;
+  }
+  // Each leading "1" is a leading zero byte
+  for (const char of value) {
+    if (char !== '1') break;
+    bytes.unshift(0);
+  }
+
+  const decoded = Buffer.from(bytes);
+  if (decoded.length < 5) return null;
+  const payload = decoded.subarray(0, -4);
+  const checksum = sha256(sha256(payload)).subarray(0, 4);
+  return checksum.equals(decoded.subarray(-4)) ? payload : null;
+}
+
+// --- Bech32 / Bech32m -------------------------------------------------------------------
+
+function bech32Polymod(values) {
+  let checksum = 1;
+  for (const value of values) {
+    const top = checksum >>> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1) checksum ^= BECH32_GENERATORS[i];
+    }
+  }
+  return checksum >>> 0;
+}
+
+function expandHrp(hrp) {
+  return [...[...hrp].map(char => char.charCodeAt(0) >> 5), 0, ...[...hrp].map(char => char.charCodeAt(0) & 31)];
+}
+
+/**
+ * Validate a Bitcoin SegWit address.
+ * @param {string} address
+ * @returns {'bech32'|'bech32m'|null} Encoding, or null when invalid.
+ */
+function validateSegwitAddress(address) {
+  if (address !== address.toLowerCase() && address !== address.toUpperCase()) return null;
+  const lower = address.toLowerCase();
+  const separator = lower.lastIndexOf('1');
+  const hrp = lower.slice(0, separator);
+  if (hrp !== 'bc') return null;
+
+  const data = [...lower.slice(separator + 1)].map(char => BECH32_CHARSET.indexOf(char));
+  if (data.length < 7 || data.some(value => value < 0)) return null;
+
+  const witnessVersion = data[0];
+  const checksum = bech32Polymod([...expandHrp(hrp), ...data]);
+  if (witnessVersion === 0 && checksum === BECH32_CONST) return 'bech32';
+  if (witnessVersion > 0 && witnessVersion <= 16 && checksum === BECH32M_CONST) return 'bech32m';
+  return null;
+}
+
+// --- Keccak-256 (EIP-55) ----------------------------------------------------------------
+
+const MASK_64 = (1n << 64n) - 1n;
+const KECCAK_ROUND_CONSTANTS = [
+  0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+  0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+  0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+  0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+  0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+  0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+];
+// Rotation offset of lane (x, y) at index x + 5y
+const KECCAK_ROTATIONS = [
+  0, 1, 62, 28, 27,
+  36, 44, 6, 55, 20,
+  3, 10, 43, 25, 39,
+  41, 45, 15, 21, 8,
+  18, 2, 61, 56, 14
+];
+const KECCAK_RATE_BYTES = 136;
+
+function rotateLeft64(value, shift) {
+  if (shift === 0) return value;
+  const bits = BigInt(shift);
+  return ((value << bits) | (value >> (64n - bits))) & MASK_64;
+}
+
+function keccakPermute(state) {
+  for (const roundConstant of KECCAK_ROUND_CONSTANTS) {
+    const parity = [0, 1, 2, 3, 4].map(x => state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20]);
+    for (let x = 0; x < 5; x++) {
+      const mix = parity[(x + 4) % 5] ^ rotateLeft64(parity[(x + 1) % 5], 1);
+      for (let y = 0; y < 25; y += 5) state[x + y] ^= mix;
+    }
+
+    const moved = new Array(25);
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        moved[y + 5 * ((2 * x + 3 * y) % 5)] = rotateLeft64(state[x + 5 * y], KECCAK_ROTATIONS[x + 5 * y]);
+      }
+    }
+
+    for (let y = 0; y < 25; y += 5) {
+      for (let x = 0; x < 5; x++) {
+        state[x + y] = moved[x + y] ^ (~moved[(x + 1) % 5 + y] & MASK_64 & moved[(x + 2) % 5 + y]);
+      }
+    }
+    state[0] ^= roundConstant;
+  }
+}
+
+/**
+ * Keccak-256 as used by Ethereum (original Keccak padding, not NIST SHA3-256).
+ * @param {string|Buffer} input
+ * @returns {string} Hex digest.
+ */
+function keccak256(input) {
+  const message = Buffer.isBuffer(input) ? input : Buffer.from(String(input), 'utf8');
+  const paddedLength = Math.ceil((message.length + 1) / KECCAK_RATE_BYTES) * KECCAK_RATE_BYTES;
+  const padded = Buffer.alloc(paddedLength);
+  message.copy(padded);
+  padded[message.length] ^= 0x01;
+  padded[paddedLength - 1] ^= 0x80;
+
+  const state = new Array(25).fill(0n);
+  for (let offset = 0; offset < paddedLength; offset += KECCAK_RATE_BYTES) {
+    for (let lane = 0; lane < KECCAK_RATE_BYTES / 8; lane++) {
+      state[lane] ^= padded.readBigUInt64LE(offset + lane * 8);
+    }
+    keccakPermute(state);
+  }
+
+  const digest = Buffer.alloc(32);
+  for (let lane = 0; lane < 4; lane++) digest.writeBigUInt64LE(state[lane], lane * 8);
+  return digest.toString('hex');
+}
+
+/**
+ * Validate an Ethereum address.
+ * @param {string} address - 0x-prefixed, 40 hex characters.
+ * @returns {'eip55'|'unchecksummed'|null} Checksum kind, or null when the mixed-case checksum is wrong.
+ */
+function validateEthereumAddress(address) {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address)) return null;
+  const hex = address.slice(2);
+  if (hex === hex.toLowerCase() || hex === hex.toUpperCase()) return 'unchecksummed';
+
+  const hash = keccak256(hex.toLowerCase());
+  for (let i = 0; i < 40; i++) {
+    const upper = parseInt(hash[i], 16) >= 8;
+    if (/[a-f]/i.test(hex[i]) && (hex[i] === hex[i].toUpperCase()) !== upper) return null;
+  }
+  return 'eip55';
+}
+
+// --- Detection --------------------------------------------------------------------------
+
+/**
+ * Validate one wallet address.
+ * @param {string} address
+ * @returns {{address: string, chain: 'BTC'|'ETH'|'TRX', format: string}|null} Null when invalid.
+ */
+function validateWalletAddress(address) {
+  if (!address || typeof address !== 'string') return null;
+  const value = address.trim();
+
+  if (/^0x/i.test(value)) {
+    const format = validateEthereumAddress(value);
+    return format ? { address: value, chain: 'ETH', format } : null;
+  }
+  if (/^bc1/i.test(value)) {
+    const format = validateSegwitAddress(value);
+    return format ? { address: value.toLowerCase(), chain: 'BTC', format } : null;
+  }
+
+  const payload = decodeBase58Check(value);
+  if (!payload || payload.length !== 21) return null;
+  if (value[0] === 'T' && payload[0] === TRX_VERSION) {
+    return { address: value, chain: 'TRX', format: 'base58check' };
+  }
+  const btcFormat = BTC_BASE58_VERSIONS[payload[0]];
+  return btcFormat ? { address: value, chain: 'BTC', format: btcFormat } : null;
+}
+
+/**
+ * Find valid wallet addresses in text (failed checksums are dropped).
+ * @param {string} text
+ * @returns {Array<{address: string, chain: 'BTC'|'ETH'|'TRX', format: string}>}
+ */
+function extractWalletAddresses(text) {
+  if (!text || typeof text !== 'string') return [];
+
+  const seen = new Set();
+  const wallets = [];
+  for (const { pattern } of WALLET_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      const wallet = validateWalletAddress(match[0]);
+      if (!wallet) continue;
+      const key = wallet.chain === 'ETH' ? wallet.address.toLowerCase() : wallet.address;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      wallets.push(wallet);
+    }
+  }
+  return wallets;
+}
+
+module.exports = {
+  extractWalletAddresses,
+  validateWalletAddress,
+  keccak256
+};
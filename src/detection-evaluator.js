@@ -0,0 +1,510 @@
+/**
+ * Detection Evaluator
+ * Runs the regex detector, the LLM detector and the ensemble scorer over a labeled
+ * JSONL corpus and computes precision/recall/F1 per scam type, confusion matrices,
+ * callback-number extraction accuracy and regressions against a saved baseline.
+ *
+ * Corpus lines look like:
+ *   {"id": "vm-001", "channel": "voicemail", "text": "...", "isScam": true,
+ *    "scamType": "crypto_exchange", "callbackNumber": "+18885550142"}
+ *
+ * The LLM can be "stub" (recorded responses served by a local fake Ollama endpoint, so the
+ * real prompt/parse/re-ask pipeline runs offline), "live" (the configured LLM_PROVIDERS
+ * chain, e.g. a local Ollama) or "none".
+ */
+
+const fs = require('fs');
+const http = require('http');
+const crypto = require('crypto');
+const { formatToE164 } = require('./phone-utils');
+
+const NOT_A_SCAM = 'not_a_scam';
+const LLM_MODES = ['stub', 'live', 'none'];
+const DETECTORS = ['regex', 'llm', 'ensemble'];
+
+// Metric drops smaller than this are treated as noise when comparing to a baseline
+const DEFAULT_REGRESSION_TOLERANCE = 0.01;
+
+/**
+ * Read a JSONL file into an array of objects (blank lines and # comments are skipped).
+ * @param {string} filePath
+ * @returns {Object[]}
+ */
+function readJsonl(filePath) {
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .map((line, index) => ({ line: line.trim(), lineNumber: index + 1 }))
+    .filter(({ line }) => line && !line.startsWith('#'))
+    .map(({ line, lineNumber }) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${filePath}:${lineNumber}: ${error.message}`);
+      }
+    });
+}
+
+/**
+ * Load and validate a labeled corpus.
+ * @param {string} filePath - Path to the JSONL corpus.
+ * @returns {Object[]} Samples with normalized labels.
+ */
+function loadCorpus(filePath) {
+  const seen = new Set();
+  return readJsonl(filePath).map((sample, index) => {
+    const id = sample.id || `sample-${index + 1}`;
+    if (seen.has(id)) throw new Error(`Duplicate corpus id "${id}"`);
+    seen.add(id);
+    if (typeof sample.text !== 'string' || !sample.text.trim()) throw new Error(`Corpus sample "${id}" has no text`);
+    if (typeof sample.isScam !== 'boolean') throw new Error(`Corpus sample "${id}" needs a boolean isScam label`);
+
+    return {
+      ...sample,
+      id,
+      channel: sample.channel || 'voicemail',
+      scamType: sample.isScam ? (sample.scamType || 'other') : NOT_A_SCAM,
+      // undefined = callback not labeled for this sample; null = labeled as "no callback number"
+      callbackNumber: sample.callbackNumber === undefined ? undefined : normalizeNumber(sample.callbackNumber)
+    };
+  });
+}
+
+/**
+ * Load recorded LLM responses for the stub provider.
+ * @param {string} filePath - JSONL of { id, response } lines.
+ * @returns {Map<string, string>} Raw response text by sample id.
+ */
+function loadStubResponses(filePath) {
+  const responses = new Map();
+  for (const entry of readJsonl(filePath)) {
+    responses.set(entry.id, typeof entry.response === 'string' ? entry.response : JSON.stringify(entry.response));
+  }
+  return responses;
+}
+
+function normalizeNumber(number) {
+  if (!number) return null;
+  return formatToE164(String(number)) || String(number);
+}
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Start a fake Ollama endpoint that answers with the recorded response for the message
+ * embedded in the prompt. Messages without a recording get an empty (failed) reply.
+ * @param {Object[]} samples - Corpus samples.
+ * @param {Map<string, string>} responses - Recorded responses by sample id.
+ * @returns {Promise<{baseURL: string, close: Function}>}
+ */
+function startStubLlmServer(samples, responses) {
+  const entries = samples
+    .filter(sample => responses.has(sample.id))
+    .map(sample => ({ text: sample.text, response: responses.get(sample.id) }))
+    // Longest first so a message that contains another one still resolves to itself
+    .sort((a, b) => b.text.length - a.text.length);
+
+  return new Promise(resolve => {
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        let prompt = '';
+        try {
+          prompt = JSON.parse(body).messages.map(message => message.content).join('\n');
+        } catch (error) {
+          // Fall through to the empty reply
+        }
+        const match = entries.find(entry => prompt.includes(entry.text));
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ message: { role: 'assistant', content: match ? match.response : '' } }));
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseURL: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * Run the detectors over every sample.
+ * @param {Object[]} samples - Corpus samples.
+ * @param {Object} [options]
+ * @param {string} [options.llm='stub'] - One of LLM_MODES.
+ * @param {Map<string, string>} [options.stubResponses] - Required for the stub LLM.
+ * @param {Object} [options.ensembleModel] - Override ensemble weights.
+ * @param {Function} [options.onProgress] - Called with (index, total, sample).
+ * @returns {Promise<Object[]>} One { id, label, predictions } entry per sample.
+ */
+async function runDetectors(samples, options = {}) {
+  const { llm = 'stub', stubResponses = new Map(), ensembleModel, onProgress } = options;
+  if (!LLM_MODES.includes(llm)) {
+    throw new Error(`Unknown LLM mode "${llm}" (expected ${LLM_MODES.join(', ')})`);
+  }
+
+  const { isLikelyScam } = require('./scam-detector');
+  const { scoreScam, getEnsembleModel } = require('./ensemble-scorer');
+  const { analyzeMessageWithLLM } = require('./llm-scam-detector');
+  const { selectCallbackTarget } = require('./callback-extractor');
+  const { analyzeUrls } = require('./url-analyzer');
+  const model = ensembleModel || getEnsembleModel();
+
+  let stubServer = null;
+  const previousEnv = { ...process.env };
+  if (llm === 'stub') {
+    stubServer = await startStubLlmServer(samples, stubResponses);
+    process.env.LLM_PROVIDERS = 'eval-stub';
+    process.env.LLM_EVAL_STUB_TYPE = 'ollama';
+    process.env.LLM_EVAL_STUB_BASE_URL = stubServer.baseURL;
+    process.env.LLM_EVAL_STUB_MODEL = 'recorded-responses';
+  }
+
+  const results = [];
+  try {
+    for (const [index, sample] of samples.entries()) {
+      if (onProgress) onProgress(index, samples.length, sample);
+
+      const regexAnalysis = isLikelyScam(sample.text);
+      const llmAnalysis = llm === 'none' ? null : await analyzeMessageWithLLM(sample.text);
+      // Link analysis only runs on SMS in the live paths
+      const urlAnalysis = sample.channel === 'sms'
+        ? analyzeUrls(sample.text, { company: llmAnalysis?.impersonatedCompany })
+        : null;
+      const ensemble = scoreScam({ regexAnalysis, llmAnalysis, callerHistory: sample.callerHistory, callbackReputation: sample.callbackReputation, urlAnalysis }, model);
+
+      const predictions = {
+        regex: {
+          isScam: regexAnalysis.isScam,
+          scamType: predictedType(regexAnalysis.isScam, regexAnalysis.scamType),
+          callbackNumber: regexAnalysis.scamDetails.callbackCandidates?.[0]?.e164 || null
+        },
+        ensemble: {
+          isScam: ensemble.isScam,
+          scamType: predictedType(ensemble.isScam, ensemble.scamType),
+          probability: ensemble.probability,
+          // What the live paths would dial: the extractor's top candidate, hinted by the LLM
+          callbackNumber: selectCallbackTarget({ text: sample.text, llmAnalysis }).number
+        }
+      };
+      if (llmAnalysis) {
+        predictions.llm = {
+          isScam: llmAnalysis.isScam,
+          scamType: predictedType(llmAnalysis.isScam, llmAnalysis.scamType),
+          confidence: llmAnalysis.confidence,
+          parseStatus: llmAnalysis.parseStatus,
+          callbackNumber: normalizeNumber(llmAnalysis.phoneNumber)
+        };
+      }
+
+      results.push({
+        id: sample.id,
+        channel: sample.channel,
+        textHash: hashText(sample.text),
+        label: { isScam: sample.isScam, scamType: sample.scamType, callbackNumber: sample.callbackNumber },
+        predictions
+      });
+    }
+  } finally {
+    process.env = previousEnv;
+    if (stubServer) await stubServer.close();
+  }
+
+  return results;
+}
+
+function predictedType(isScam, scamType) {
+  if (!isScam) return NOT_A_SCAM;
+  return scamType && scamType !== NOT_A_SCAM ? scamType : 'other';
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function prf(truePositives, falsePositives, falseNegatives) {
+  const precision = truePositives + falsePositives > 0 ? truePositives / (truePositives + falsePositives) : 0;
+  const recall = truePositives + falseNegatives > 0 ? truePositives / (truePositives + falseNegatives) : 0;
+  const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+  return { precision: round(precision), recall: round(recall), f1: round(f1) };
+}
+
+/**
+ * Build a confusion matrix of actual vs. predicted scam type.
+ * @param {Array<{actual: string, predicted: string}>} pairs
+ * @returns {{labels: string[], matrix: Object<string, Object<string, number>>}}
+ */
+function buildConfusionMatrix(pairs) {
+  const labels = [...new Set(pairs.flatMap(pair => [pair.actual, pair.predicted]))]
+    .sort((a, b) => (a === NOT_A_SCAM) - (b === NOT_A_SCAM) || a.localeCompare(b));
+
+  const matrix = {};
+  for (const actual of labels) {
+    matrix[actual] = Object.fromEntries(labels.map(predicted => [predicted, 0]));
+  }
+  for (const { actual, predicted } of pairs) {
+    matrix[actual][predicted]++;
+  }
+  return { labels, matrix };
+}
+
+/**
+ * Compute precision/recall/F1 for scam vs. not-scam and for each scam type.
+ * @param {Array<{actual: string, predicted: string}>} pairs - Scam types (NOT_A_SCAM for clean).
+ * @returns {{binary: Object, perType: Object<string, Object>, accuracy: number}}
+ */
+function computeClassificationMetrics(pairs) {
+  let tp = 0, fp = 0, fn = 0;
+  for (const { actual, predicted } of pairs) {
+    const actualScam = actual !== NOT_A_SCAM;
+    const predictedScam = predicted !== NOT_A_SCAM;
+    if (actualScam && predictedScam) tp++;
+    else if (!actualScam && predictedScam) fp++;
+    else if (actualScam && !predictedScam) fn++;
+  }
+
+  const types = [...new Set(pairs.flatMap(pair => [pair.actual, pair.predicted]))]
+    .filter(type => type !== NOT_A_SCAM)
+    .sort();
+  const perType = {};
+  for (const type of types) {
+    const typeTp = pairs.filter(p => p.actual === type && p.predicted === type).length;
+    const typeFp = pairs.filter(p => p.actual !== type && p.predicted === type).length;
+    const typeFn = pairs.filter(p => p.actual === type && p.predicted !== type).length;
+    perType[type] = { ...prf(typeTp, typeFp, typeFn), support: pairs.filter(p => p.actual === type).length };
+  }
+
+  const correct = pairs.filter(p => p.actual === p.predicted).length;
+  return {
+    binary: { ...prf(tp, fp, fn), support: tp + fn },
+    perType,
+    accuracy: pairs.length ? round(correct / pairs.length) : 0
+  };
+}
+
+/**
+ * Compare extracted callback numbers with the labels (only samples with a labeled callback).
+ * @param {Array<{expected: string|null, actual: string|null, id: string}>} pairs
+ * @returns {{total: number, correct: number, accuracy: number, mismatches: Object[]}}
+ */
+function computeCallbackAccuracy(pairs) {
+  const mismatches = pairs.filter(pair => (pair.expected || null) !== (pair.actual || null));
+  return {
+    total: pairs.length,
+    correct: pairs.length - mismatches.length,
+    accuracy: pairs.length ? round((pairs.length - mismatches.length) / pairs.length) : 0,
+    mismatches
+  };
+}
+
+/**
+ * Turn per-sample results into a metrics report.
+ * @param {Object[]} results - Output of runDetectors().
+ * @returns {Object} Report keyed by detector name.
+ */
+function buildReport(results) {
+  const detectors = {};
+
+  for (const detector of DETECTORS) {
+    const scored = results.filter(result => result.predictions[detector]);
+    if (scored.length === 0) continue;
+
+    const pairs = scored.map(result => ({
+      id: result.id,
+      actual: result.label.scamType,
+      predicted: result.predictions[detector].scamType
+    }));
+
+    const callbackPairs = scored
+      .filter(result => result.label.callbackNumber !== undefined && result.predictions[detector].callbackNumber !== undefined)
+      .map(result => ({
+        id: result.id,
+        expected: result.label.callbackNumber,
+        actual: result.predictions[detector].callbackNumber
+      }));
+
+    detectors[detector] = {
+      samples: scored.length,
+      ...computeClassificationMetrics(pairs),
+      confusion: buildConfusionMatrix(pairs),
+      callback: callbackPairs.length ? computeCallbackAccuracy(callbackPairs) : null,
+      predictions: Object.fromEntries(pairs.map(pair => [pair.id, pair.predicted]))
+    };
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    samples: results.length,
+    labels: Object.fromEntries(results.map(result => [result.id, result.label.scamType])),
+    detectors
+  };
+}
+
+/**
+ * Strip a report down to what is worth committing as a baseline.
+ * @param {Object} report - Output of buildReport().
+ * @param {Object} [meta] - Extra fields (corpus path, LLM mode...).
+ * @returns {Object}
+ */
+function buildBaseline(report, meta = {}) {
+  const detectors = {};
+  for (const [name, metrics] of Object.entries(report.detectors)) {
+    detectors[name] = {
+      binary: metrics.binary,
+      perType: metrics.perType,
+      accuracy: metrics.accuracy,
+      callbackAccuracy: metrics.callback ? metrics.callback.accuracy : null,
+      predictions: metrics.predictions
+    };
+  }
+  return {
+    ...meta,
+    createdAt: report.generatedAt,
+    samples: report.samples,
+    detectors
+  };
+}
+
+/**
+ * Find metric drops and per-sample flips compared to a baseline.
+ * @param {Object} report - Output of buildReport().
+ * @param {Object} baseline - Output of buildBaseline().
+ * @param {Object} [options]
+ * @param {number} [options.tolerance=DEFAULT_REGRESSION_TOLERANCE]
+ * @returns {{regressions: Object[], improvements: Object[]}}
+ */
+function compareWithBaseline(report, baseline, { tolerance = DEFAULT_REGRESSION_TOLERANCE } = {}) {
+  const regressions = [];
+  const improvements = [];
+
+  const compare = (detector, metric, before, after) => {
+    if (typeof before !== 'number' || typeof after !== 'number') return;
+    const entry = { detector, metric, before, after, delta: round(after - before) };
+    if (after < before - tolerance) regressions.push(entry);
+    else if (after > before + tolerance) improvements.push(entry);
+  };
+
+  for (const [detector, current] of Object.entries(report.detectors)) {
+    const previous = baseline.detectors?.[detector];
+    if (!previous) continue;
+
+    compare(detector, 'binary.f1', previous.binary?.f1, current.binary.f1);
+    compare(detector, 'accuracy', previous.accuracy, current.accuracy);
+    for (const [type, metrics] of Object.entries(previous.perType || {})) {
+      compare(detector, `${type}.f1`, metrics.f1, current.perType[type]?.f1 ?? 0);
+    }
+    compare(detector, 'callbackAccuracy', previous.callbackAccuracy, current.callback?.accuracy);
+
+    // Samples that used to be classified correctly and no longer are
+    for (const [id, predicted] of Object.entries(current.predictions)) {
+      const before = previous.predictions?.[id];
+      if (before === undefined || before === predicted) continue;
+      const actual = report.labels?.[id];
+      if (actual === undefined) continue;
+      const entry = { detector, sample: id, actual, before, after: predicted };
+      if (before === actual) regressions.push(entry);
+      else if (predicted === actual) improvements.push(entry);
+    }
+  }
+
+  return { regressions, improvements };
+}
+
+/**
+ * Run a full evaluation: detectors, report and optional baseline comparison.
+ * @param {Object[]} samples - Corpus samples.
+ * @param {Object} [options] - runDetectors() options plus `baseline` and `tolerance`.
+ * @returns {Promise<Object>} Report with `labels`, `results` and `comparison` (when a baseline is given).
+ */
+async function evaluateCorpus(samples, options = {}) {
+  const results = await runDetectors(samples, options);
+  const report = buildReport(results);
+  report.llm = options.llm || 'stub';
+  report.results = results;
+  if (options.baseline) {
+    report.comparison = compareWithBaseline(report, options.baseline, { tolerance: options.tolerance });
+  }
+  return report;
+}
+
+function pct(value) {
+  return `${(value * 100).toFixed(1)}%`.padStart(6);
+}
+
+/**
+ * Format a report as plain text for the terminal.
+ * @param {Object} report - Output of evaluateCorpus().
+ * @returns {string}
+ */
+function formatReport(report) {
+  const lines = [];
+  lines.push(`📊 Detection evaluation: ${report.samples} samples (LLM: ${report.llm})`);
+
+  for (const [detector, metrics] of Object.entries(report.detectors)) {
+    lines.push('');
+    lines.push(`=== ${detector} ===`);
+    lines.push(`Scam vs. not scam: precision ${pct(metrics.binary.precision)}  recall ${pct(metrics.binary.recall)}  F1 ${pct(metrics.binary.f1)}`);
+    lines.push(`Exact type accuracy: ${pct(metrics.accuracy)}`);
+    lines.push('');
+    lines.push(`${'scam type'.padEnd(18)} ${'prec'.padStart(6)} ${'recall'.padStart(6)} ${'F1'.padStart(6)} support`);
+    for (const [type, typeMetrics] of Object.entries(metrics.perType)) {
+      lines.push(`${type.padEnd(18)} ${pct(typeMetrics.precision)} ${pct(typeMetrics.recall)} ${pct(typeMetrics.f1)} ${String(typeMetrics.support).padStart(7)}`);
+    }
+
+    const { labels, matrix } = metrics.confusion;
+    const width = Math.max(...labels.map((label, i) => `[${i}] ${label}`.length)) + 1;
+    lines.push('');
+    lines.push('Confusion matrix (rows = actual, columns = predicted):');
+    lines.push(''.padEnd(width) + labels.map((_, i) => `[${i}]`.padStart(5)).join(''));
+    labels.forEach((actual, i) => {
+      lines.push(`[${i}] ${actual}`.padEnd(width) + labels.map(predicted => String(matrix[actual][predicted]).padStart(5)).join(''));
+    });
+
+    if (metrics.callback) {
+      lines.push('');
+      lines.push(`Callback number extraction: ${metrics.callback.correct}/${metrics.callback.total} (${pct(metrics.callback.accuracy).trim()})`);
+      for (const mismatch of metrics.callback.mismatches) {
+        lines.push(`  ✗ ${mismatch.id}: expected ${mismatch.expected || 'none'}, got ${mismatch.actual || 'none'}`);
+      }
+    }
+  }
+
+  if (report.comparison) {
+    const { regressions, improvements } = report.comparison;
+    lines.push('');
+    lines.push(`=== baseline comparison ===`);
+    if (regressions.length === 0) lines.push('✅ No regressions against the baseline');
+    for (const entry of regressions) lines.push(`❌ ${describeChange(entry)}`);
+    for (const entry of improvements) lines.push(`⬆️  ${describeChange(entry)}`);
+  }
+
+  return lines.join('\n');
+}
+
+function describeChange(entry) {
+  if (entry.sample) {
+    return `${entry.detector}: ${entry.sample} (${entry.actual}) was ${entry.before}, now ${entry.after}`;
+  }
+  return `${entry.detector}: ${entry.metric} ${entry.before} → ${entry.after} (${entry.delta > 0 ? '+' : ''}${entry.delta})`;
+}
+
+module.exports = {
+  NOT_A_SCAM,
+  LLM_MODES,
+  DEFAULT_REGRESSION_TOLERANCE,
+  loadCorpus,
+  loadStubResponses,
+  startStubLlmServer,
+  runDetectors,
+  buildConfusionMatrix,
+  computeClassificationMetrics,
+  computeCallbackAccuracy,
+  buildReport,
+  buildBaseline,
+  compareWithBaseline,
+  evaluateCorpus,
+  formatReport
+};
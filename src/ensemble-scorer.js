@@ -0,0 +1,187 @@
+/**
+ * Ensemble Scam Scorer
+ * Fuses the regex feature vector from isLikelyScam(), the LLM verdict, caller-history,
+ * callback-number reputation and link-analysis signals into one calibrated scam probability
+ * (logistic model) with a per-signal breakdown.
+ *
+ * Weights and thresholds live in config/ensemble-weights.json and can be replaced with
+ * ENSEMBLE_WEIGHTS_PATH (compare candidate weights first with `sipsentinel eval --weights`).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SCAM_DETECTION_THRESHOLDS } = require('./scam-detector');
+
+const DEFAULT_WEIGHTS_FILE = path.join(__dirname, '..', 'config', 'ensemble-weights.json');
+
+// Used if the weights file is missing or unreadable
+const FALLBACK_MODEL = {
+  version: 'fallback',
+  bias: -1.5,
+  weights: {
+    regexScore: 1.2,
+    regexCategory: 0.3,
+    llmVerdict: 3.5,
+    callerScamHistory: 0.8,
+    callerRepeat: 0.2,
+    callbackReputation: 1.0,
+    urlLookalike: 2.5,
+    urlSuspicious: 1.0
+  },
+  thresholds: {
+    scam: 0.5,
+    engage: 0.7
+  }
+};
+
+// Regex scores above this multiple of the regex threshold add no further evidence
+const MAX_REGEX_FEATURE = 3;
+
+// LLM parse statuses whose output can be trusted (see src/llm-analysis-schema.js)
+const USABLE_LLM_STATUSES = ['valid', 'repaired'];
+
+// Contribution of each link flag from analyzeUrls() to the urlSuspicious feature (capped at 1)
+const URL_SUSPICION_WEIGHTS = {
+  obfuscated: 0.4,
+  shortener: 0.3,
+  ipHost: 0.5,
+  riskyTld: 0.3
+};
+
+let cachedModel = null;
+
+/**
+ * Load the ensemble model (bias, weights, thresholds).
+ * @param {string} [filePath] - Defaults to ENSEMBLE_WEIGHTS_PATH or the built-in file.
+ * @returns {Object}
+ */
+function loadEnsembleModel(filePath = process.env.ENSEMBLE_WEIGHTS_PATH || DEFAULT_WEIGHTS_FILE) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return {
+      version: parsed.version || path.basename(filePath),
+      bias: typeof parsed.bias === 'number' ? parsed.bias : FALLBACK_MODEL.bias,
+      weights: { ...FALLBACK_MODEL.weights, ...parsed.weights },
+      thresholds: { ...FALLBACK_MODEL.thresholds, ...parsed.thresholds }
+    };
+  } catch (error) {
+    console.warn(`⚠️ Could not load ensemble weights from ${filePath}, using defaults: ${error.message}`);
+    return { ...FALLBACK_MODEL };
+  }
+}
+
+/**
+ * Get the cached ensemble model.
+ * @returns {Object}
+ */
+function getEnsembleModel() {
+  if (!cachedModel) {
+    cachedModel = loadEnsembleModel();
+  }
+  return cachedModel;
+}
+
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+/**
+ * Turn the detector outputs into normalized features.
+ * Each feature is null when its source is unavailable, so it contributes nothing.
+ * @param {Object} inputs - { regexAnalysis, llmAnalysis, callerHistory, callbackReputation, urlAnalysis }.
+ * @returns {Object} Feature values keyed like the model weights.
+ */
+function extractFeatures({ regexAnalysis, llmAnalysis, callerHistory, callbackReputation, urlAnalysis } = {}) {
+  const regexDetails = regexAnalysis?.scamDetails;
+  const hasRegex = regexDetails && typeof regexDetails.scamScore === 'number';
+
+  const llmUsable = llmAnalysis &&
+    typeof llmAnalysis.confidence === 'number' &&
+    // Analyses stored before parseStatus existed are trusted as-is
+    (llmAnalysis.parseStatus === undefined || USABLE_LLM_STATUSES.includes(llmAnalysis.parseStatus));
+
+  const priorContacts = callerHistory?.totalContacts || 0;
+  const priorScams = callerHistory?.scamContacts || 0;
+  const urlFlags = urlAnalysis?.flags;
+
+  return {
+    // Regex score in units of the regex threshold, so 1.0 means "just met the threshold"
+    regexScore: hasRegex
+      ? Math.min(Math.max(regexDetails.scamScore, 0) / SCAM_DETECTION_THRESHOLDS.MIN_REGEX_SCAM_SCORE, MAX_REGEX_FEATURE)
+      : null,
+    regexCategory: hasRegex ? (regexAnalysis.scamType ? 1 : 0) : null,
+    // Signed LLM confidence: +0.9 for "scam, 90%", -0.9 for "not a scam, 90%"
+    llmVerdict: llmUsable
+      ? (llmAnalysis.isScam ? 1 : -1) * Math.min(Math.max(llmAnalysis.confidence, 0), 100) / 100
+      : null,
+    callerScamHistory: callerHistory ? Math.log1p(priorScams) : null,
+    callerRepeat: callerHistory ? Math.log1p(Math.max(priorContacts - priorScams, 0)) : null,
+    // Earlier scam sightings of the number the message asks to call. Agent calls placed to it are
+    // left out: they follow from our own verdicts, so counting them would feed those back as evidence
+    callbackReputation: callbackReputation
+      ? Math.log1p(callbackReputation.scamSightings || 0)
+      : null,
+    urlLookalike: urlFlags ? (urlFlags.lookalike ? 1 : 0) : null,
+    urlSuspicious: urlFlags
+      ? Math.min(Object.entries(URL_SUSPICION_WEIGHTS).reduce((sum, [flag, weight]) => sum + (urlFlags[flag] ? weight : 0), 0), 1)
+      : null
+  };
+}
+
+/**
+ * Score a message with the ensemble model.
+ * @param {Object} inputs
+ * @param {Object} [inputs.regexAnalysis] - Result of isLikelyScam().
+ * @param {Object} [inputs.llmAnalysis] - Result of analyzeMessageWithLLM().
+ * @param {Object} [inputs.callerHistory] - Result of getCallerHistory().
+ * @param {Object} [inputs.callbackReputation] - getNumberReputation() of the extracted callback number.
+ * @param {Object} [inputs.urlAnalysis] - Result of analyzeUrls() (SMS links).
+ * @param {Object} [model] - Override model (defaults to getEnsembleModel()).
+ * @returns {{isScam: boolean, probability: number, confidence: number, shouldEngage: boolean,
+ *   scamType: string|null, breakdown: Object[], modelVersion: string}}
+ */
+function scoreScam(inputs = {}, model = getEnsembleModel()) {
+  const features = extractFeatures(inputs);
+
+  let logit = model.bias;
+  const breakdown = Object.entries(model.weights).map(([signal, weight]) => {
+    const value = features[signal];
+    const available = value !== null && value !== undefined;
+    const contribution = available ? weight * value : 0;
+    logit += contribution;
+    return {
+      signal,
+      available,
+      value: available ? Math.round(value * 1000) / 1000 : null,
+      weight,
+      contribution: Math.round(contribution * 1000) / 1000
+    };
+  });
+
+  const probability = sigmoid(logit);
+  const isScam = probability >= model.thresholds.scam;
+
+  // Prefer the LLM's scam type when it is usable and agrees that this is a scam
+  const { regexAnalysis, llmAnalysis } = inputs;
+  const llmType = features.llmVerdict !== null && llmAnalysis.isScam && llmAnalysis.scamType !== 'not_a_scam'
+    ? llmAnalysis.scamType
+    : null;
+  const scamType = isScam ? (llmType || regexAnalysis?.scamType || 'other') : null;
+
+  return {
+    isScam,
+    probability: Math.round(probability * 10000) / 10000,
+    confidence: Math.round(probability * 100),
+    shouldEngage: probability >= model.thresholds.engage,
+    scamType,
+    breakdown,
+    modelVersion: model.version
+  };
+}
+
+module.exports = {
+  scoreScam,
+  extractFeatures,
+  loadEnsembleModel,
+  getEnsembleModel
+};
@@ -0,0 +1,219 @@
+/**
+ * Evidence Manifest
+ * Chain-of-custody records for the artifacts stored for each call or message: the audio
+ * recording, the transcript, the metadata document and the LLM analysis inside it.
+ *
+ * Every artifact is hashed with SHA-256 when it is stored, and the hash is appended to the
+ * call's manifest. Manifest entries are write-once objects (evidence/<callSid>/<sequence>.json)
+ * and each one carries the hash of the entry before it, so removing, reordering or editing an
+ * entry breaks the chain. verifyEvidence() re-hashes the stored artifacts against the latest
+ * entry for each one and reports tampered or missing artifacts.
+ */
+
+const crypto = require('crypto');
+
+const ARTIFACT_TYPES = ['audio', 'transcript', 'metadata', 'analysis'];
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 3;
+
+/**
+ * SHA-256 of a string or buffer
+ * @param {string|Buffer} content - Artifact content
+ * @returns {string} Hex digest
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Serialize a value as JSON with object keys sorted, so equal values always hash the same
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJson(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash a manifest entry (every field except entryHash itself)
+ * @param {Object} entry - Manifest entry
+ * @returns {string} Hex digest
+ */
+function computeEntryHash(entry) {
+  const { entryHash, ...fields } = entry;
+  return hashContent(canonicalJson(fields));
+}
+
+/**
+ * Whether evidence hashing runs on ingest (EVIDENCE_HASHING, default on)
+ * @returns {boolean} False only when EVIDENCE_HASHING is "false"
+ */
+function isEvidenceHashingEnabled() {
+  return process.env.EVIDENCE_HASHING !== 'false';
+}
+
+/**
+ * Read the content an analysis entry covers out of a stored metadata document
+ * @param {Buffer|string} metadataContent - Stored metadata JSON
+ * @param {string} pointer - Top-level field holding the analysis
+ * @returns {string|null} Canonical JSON of the analysis, or null if it can't be read
+ */
+function extractPointer(metadataContent, pointer) {
+  try {
+    const value = JSON.parse(metadataContent.toString('utf-8'))[pointer];
+    return value === undefined ? null : canonicalJson(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Append hashed artifacts to a call's manifest
+ * @param {string} callSid - Call or message SID
+ * @param {Array<{artifact: string, key: string, content: string|Buffer, pointer?: string}>} artifacts -
+ *   Artifacts as stored; `pointer` names the metadata field an analysis artifact was read from
+ * @param {Object} [storage] - Storage backend (defaults to src/s3-storage-service.js)
+ * @returns {Promise<Object[]>} The appended entries
+ */
+async function recordEvidence(callSid, artifacts, storage = require('./s3-storage-service')) {
+  for (const { artifact } of artifacts) {
+    if (!ARTIFACT_TYPES.includes(artifact)) {
+      throw new Error(`Unknown evidence artifact "${artifact}" (expected ${ARTIFACT_TYPES.join(', ')})`);
+    }
+  }
+
+  // Entries are write-once; if another writer takes a sequence number first, rebuild on its entry
+  for (let attempt = 1; ; attempt++) {
+    const existing = await storage.listEvidenceEntries(callSid);
+    let previous = existing[existing.length - 1] || null;
+    const appended = [];
+    try {
+      for (const { artifact, key, content, pointer } of artifacts) {
+        const body = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf-8');
+        const entry = {
+          callSid,
+          sequence: previous ? previous.sequence + 1 : 0,
+          artifact,
+          key,
+          pointer: pointer || null,
+          sha256: hashContent(body),
+          size: body.length,
+          recordedAt: new Date().toISOString(),
+          previousHash: previous ? previous.entryHash : GENESIS_HASH
+        };
+        entry.entryHash = computeEntryHash(entry);
+        await storage.appendEvidenceEntry(callSid, entry);
+        appended.push(entry);
+        previous = entry;
+      }
+      console.log(`🔏 Recorded ${appended.map(entry => `${entry.artifact} ${entry.sha256.slice(0, 12)}`).join(', ')} in the evidence manifest for ${callSid}`);
+      return appended;
+    } catch (error) {
+      if (error.code !== 'EVIDENCE_ENTRY_EXISTS' || attempt >= MAX_APPEND_ATTEMPTS) throw error;
+      console.warn(`⚠️ Evidence manifest for ${callSid} changed while appending; retrying (${attempt}/${MAX_APPEND_ATTEMPTS})`);
+      artifacts = artifacts.slice(appended.length);
+    }
+  }
+}
+
+/**
+ * Check a manifest's hash chain
+ * @param {Object[]} entries - Manifest entries in sequence order
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function verifyChain(entries) {
+  const errors = [];
+  entries.forEach((entry, index) => {
+    if (entry.sequence !== index) {
+      errors.push(`Entry ${index} has sequence ${entry.sequence} (an entry is missing or out of order)`);
+    }
+    const expectedPrevious = index === 0 ? GENESIS_HASH : entries[index - 1].entryHash;
+    if (entry.previousHash !== expectedPrevious) {
+      errors.push(`Entry ${entry.sequence} does not link to the entry before it`);
+    }
+    if (computeEntryHash(entry) !== entry.entryHash) {
+      errors.push(`Entry ${entry.sequence} (${entry.artifact}) was modified after it was recorded`);
+    }
+  });
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Verify a call's evidence: the manifest chain, then every artifact against its latest hash
+ * @param {string} callSid - Call or message SID
+ * @param {Object} [storage] - Storage backend (defaults to src/s3-storage-service.js)
+ * @returns {Promise<{callSid: string, valid: boolean, entries: number, chain: {valid: boolean, errors: string[]},
+ *   artifacts: Array<{artifact: string, key: string, status: 'ok'|'tampered'|'missing', expectedSha256: string,
+ *   actualSha256: string|null, recordedAt: string}>, warnings: string[]}>}
+ */
+async function verifyEvidence(callSid, storage = require('./s3-storage-service')) {
+  const entries = await storage.listEvidenceEntries(callSid);
+  const chain = entries.length > 0
+    ? verifyChain(entries)
+    : { valid: false, errors: [`No evidence manifest found for ${callSid}`] };
+
+  // A re-stored artifact supersedes its earlier entries
+  const latest = new Map();
+  for (const entry of entries) {
+    if (entry.callSid !== callSid) {
+      chain.valid = false;
+      chain.errors.push(`Entry ${entry.sequence} belongs to ${entry.callSid}`);
+    }
+    latest.set(`${entry.artifact}:${entry.key}:${entry.pointer || ''}`, entry);
+  }
+
+  const artifacts = [];
+  for (const entry of latest.values()) {
+    const stored = await storage.getObjectContent(entry.key);
+    const content = stored !== null && entry.pointer ? extractPointer(stored, entry.pointer) : stored;
+    const actualSha256 = content === null ? null : hashContent(content);
+    let status = actualSha256 === entry.sha256 ? 'ok' : 'tampered';
+    if (stored === null) status = 'missing';
+    artifacts.push({
+      artifact: entry.artifact,
+      key: entry.key,
+      status,
+      expectedSha256: entry.sha256,
+      actualSha256,
+      recordedAt: entry.recordedAt
+    });
+  }
+
+  // A transcript without audio means the recording was never hashed (e.g. not in S3 at ingest)
+  const warnings = [];
+  const recorded = new Set(entries.map(entry => entry.artifact));
+  if (recorded.has('transcript') && !recorded.has('audio')) {
+    warnings.push('No audio hash was recorded for this call; the recording cannot be verified');
+  }
+
+  return {
+    callSid,
+    valid: chain.valid && artifacts.every(artifact => artifact.status === 'ok'),
+    entries: entries.length,
+    chain,
+    artifacts,
+    warnings
+  };
+}
+
+module.exports = {
+  recordEvidence,
+  verifyEvidence,
+  verifyChain,
+  hashContent,
+  canonicalJson,
+  computeEntryHash,
+  isEvidenceHashingEnabled,
+  ARTIFACT_TYPES,
+  GENESIS_HASH
+};
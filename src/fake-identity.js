@@ -0,0 +1,373 @@
+/**
+ * Fake Identity Generator
+ * Gives an agent one coherent, made-up victim profile for a whole engagement instead of letting
+ * it improvise personal details (and contradict itself) mid-call: name, date of birth, street
+ * address, phone, email, payment cards, account balances and the device it is "using".
+ *
+ * The profile is added to the assistant's system prompt and stored with the agent call
+ * (src/s3-storage-service.js) so its transcript can be reviewed against it.
+ *
+ * Card numbers use real issuer prefixes and lengths but always fail the Luhn check, so they can
+ * never be a real card. Phone numbers use the 555-01XX range reserved for fiction.
+ * FAKE_IDENTITIES=false leaves identities out of agent prompts; FAKE_IDENTITY_EMAIL_DOMAINS
+ * (comma-separated) sets the email domains used. src/canary-tokens.js swaps in trackable canary
+ * credentials (email address, password and card numbers) before the identity is used.
+ */
+
+const DEFAULT_EMAIL_DOMAINS = ['gmail.com', 'yahoo.com', 'outlook.com', 'aol.com', 'hotmail.com'];
+
+// ZIP prefix and area code for the states in getRandomLocation()
+const STATE_DETAILS = {
+  AL: { zip: '352', areaCode: '205' }, AZ: { zip: '850', areaCode: '602' }, CA: { zip: '900', areaCode: '213' },
+  CO: { zip: '802', areaCode: '303' }, DC: { zip: '200', areaCode: '202' }, FL: { zip: '331', areaCode: '305' },
+  GA: { zip: '303', areaCode: '404' }, HI: { zip: '968', areaCode: '808' }, IL: { zip: '606', areaCode: '312' },
+  IN: { zip: '462', areaCode: '317' }, KS: { zip: '672', areaCode: '316' }, KY: { zip: '402', areaCode: '502' },
+  LA: { zip: '701', areaCode: '504' }, MA: { zip: '021', areaCode: '617' }, MD: { zip: '212', areaCode: '410' },
+  MI: { zip: '482', areaCode: '313' }, MN: { zip: '554', areaCode: '612' }, MO: { zip: '631', areaCode: '314' },
+  NC: { zip: '282', areaCode: '704' }, NE: { zip: '681', areaCode: '402' }, NM: { zip: '871', areaCode: '505' },
+  NV: { zip: '891', areaCode: '702' }, NY: { zip: '100', areaCode: '212' }, OH: { zip: '432', areaCode: '614' },
+  OK: { zip: '741', areaCode: '918' }, OR: { zip: '972', areaCode: '503' }, PA: { zip: '191', areaCode: '215' },
+  TN: { zip: '372', areaCode: '615' }, TX: { zip: '770', areaCode: '713' }, VA: { zip: '234', areaCode: '757' },
+  WA: { zip: '981', areaCode: '206' }, WI: { zip: '532', areaCode: '414' }
+};
+
+const STREET_NAMES = [
+  'Maple', 'Oak', 'Cedar', 'Pine', 'Elm', 'Willow', 'Birch', 'Lakeview', 'Hillcrest', 'Sunset',
+  'Park', 'Meadow', 'Ridge', 'Highland', 'Chestnut', 'Walnut', 'Spring', 'Forest', 'River', 'Washington'
+];
+const STREET_SUFFIXES = ['Street', 'Avenue', 'Drive', 'Lane', 'Court', 'Road', 'Way', 'Boulevard'];
+
+const BANKS = ['Chase', 'Bank of America', 'Wells Fargo', 'Citibank', 'US Bank', 'PNC', 'Capital One', 'TD Bank'];
+
+// Issuer prefixes and lengths; the check digit is always made wrong
+const CARD_BRANDS = [
+  { brand: 'Visa', prefixes: ['4'], length: 16 },
+  { brand: 'Mastercard', prefixes: ['51', '52', '53', '54', '55'], length: 16 },
+  { brand: 'Discover', prefixes: ['6011'], length: 16 },
+  { brand: 'American Express', prefixes: ['34', '37'], length: 15 }
+];
+
+const DEVICES = {
+  computer: [
+    { type: 'laptop', model: 'Dell Inspiron 15', os: 'Windows 11', browser: 'Chrome' },
+    { type: 'laptop', model: 'HP Pavilion', os: 'Windows 10', browser: 'Microsoft Edge' },
+    { type: 'desktop', model: 'Lenovo IdeaCentre', os: 'Windows 10', browser: 'Chrome' },
+    { type: 'laptop', model: 'MacBook Air', os: 'macOS', browser: 'Safari' }
+  ],
+  phone: [
+    { type: 'phone', model: 'iPhone 12', os: 'iOS', browser: 'Safari' },
+    { type: 'phone', model: 'Samsung Galaxy S21', os: 'Android', browser: 'Chrome' },
+    { type: 'phone', model: 'Google Pixel 6', os: 'Android', browser: 'Chrome' }
+  ]
+};
+
+// Scam types where the scammer will want the victim at a computer
+const COMPUTER_SCAM_TYPES = ['it_support', 'crypto_exchange'];
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * Whether agents get a generated identity (FAKE_IDENTITIES=false turns it off)
+ * @returns {boolean}
+ */
+function isFakeIdentityEnabled() {
+  return String(process.env.FAKE_IDENTITIES || '').toLowerCase() !== 'false';
+}
+
+function getEmailDomains() {
+  const domains = (process.env.FAKE_IDENTITY_EMAIL_DOMAINS || '')
+    .split(',')
+    .map(domain => domain.trim().toLowerCase())
+    .filter(Boolean);
+  return domains.length > 0 ? domains : DEFAULT_EMAIL_DOMAINS;
+}
+
+function pick(list, random) {
+  return list[Math.floor(random() * list.length)];
+}
+
+function randomInt(min, max, random) {
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+function randomDigits(count, random) {
+  let digits = '';
+  for (let i = 0; i < count; i++) {
+    digits += String(Math.floor(random() * 10));
+  }
+  return digits;
+}
+
+/**
+ * Luhn check digit for a number without its check digit
+ * @param {string} payload - Digits
+ * @returns {number}
+ */
+function luhnCheckDigit(payload) {
+  let sum = 0;
+  for (let i = 0; i < payload.length; i++) {
+    let digit = Number(payload[payload.length - 1 - i]);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * Whether a card number passes the Luhn check
+ * @param {string} number - Card number (spaces and dashes allowed)
+ * @returns {boolean}
+ */
+function isLuhnValid(number) {
+  const digits = String(number).replace(/[\s-]/g, '');
+  if (!/^\d{2,}$/.test(digits)) return false;
+  return luhnCheckDigit(digits.slice(0, -1)) === Number(digits[digits.length - 1]);
+}
+
+/**
+ * Group a card number the way it is printed (4-6-5 for American Express, 4-4-4-4 otherwise)
+ * @param {string} digits - Card number digits
+ * @returns {string}
+ */
+function formatCardNumber(digits) {
+  return digits.length === 15
+    ? `${digits.slice(0, 4)} ${digits.slice(4, 10)} ${digits.slice(10)}`
+    : digits.match(/.{1,4}/g).join(' ');
+}
+
+/**
+ * Make a card number with a real issuer prefix that fails the Luhn check
+ * @param {Object} cardBrand - Entry of CARD_BRANDS
+ * @param {Function} random - Random number source
+ * @param {Date} now - Reference date for the expiry
+ * @returns {Object} { brand, number, last4, expiry, cvv }
+ */
+function generateCard(cardBrand, random, now) {
+  const prefix = pick(cardBrand.prefixes, random);
+  const payload = prefix + randomDigits(cardBrand.length - prefix.length - 1, random);
+  const wrongCheckDigit = (luhnCheckDigit(payload) + randomInt(1, 9, random)) % 10;
+  const digits = payload + wrongCheckDigit;
+  const expiryYear = (now.getFullYear() + randomInt(1, 4, random)) % 100;
+  return {
+    brand: cardBrand.brand,
+    number: formatCardNumber(digits),
+    last4: digits.slice(-4),
+    expiry: `${String(randomInt(1, 12, random)).padStart(2, '0')}/${String(expiryYear).padStart(2, '0')}`,
+    cvv: randomDigits(cardBrand.length === 15 ? 4 : 3, random)
+  };
+}
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Generate a coherent fake identity for one engagement
+ * @param {Object} details - Details the agent already has
+ * @param {string} details.firstName - First name (matches the assistant's name)
+ * @param {string} details.lastName - Last name
+ * @param {string} details.gender - 'male' or 'female'
+ * @param {string} details.city - Home city as "City, ST" (from getRandomLocation())
+ * @param {string} [details.company] - Impersonated company, for the account balance held there
+ * @param {string} [details.scamType] - Scam type; picks a computer or a phone as the device
+ * @param {Object} [options]
+ * @param {Function} [options.random] - Random number source (default: Math.random)
+ * @param {Date} [options.now] - Reference date for the age and card expiry dates
+ * @returns {Object} Identity profile
+ */
+function generateFakeIdentity({ firstName, lastName, gender, city, company = null, scamType = null }, { random = Math.random, now = new Date() } = {}) {
+  const [cityName, state = 'NY'] = String(city || 'New York, NY').split(',').map(part => part.trim());
+  const stateDetails = STATE_DETAILS[state] || STATE_DETAILS.NY;
+
+  // Scam callbacks mostly reach older victims
+  const age = randomInt(52, 78, random);
+  const birthMonth = randomInt(1, 12, random);
+  const birthDay = randomInt(1, 28, random);
+  let birthYear = now.getFullYear() - age;
+  // Birthday still to come this year: born a year earlier to be `age` today
+  if (birthMonth > now.getMonth() + 1 || (birthMonth === now.getMonth() + 1 && birthDay > now.getDate())) {
+    birthYear -= 1;
+  }
+  const dateOfBirth = `${birthYear}-${String(birthMonth).padStart(2, '0')}-${String(birthDay).padStart(2, '0')}`;
+
+  const street = `${randomInt(100, 9899, random)} ${pick(STREET_NAMES, random)} ${pick(STREET_SUFFIXES, random)}`;
+  const apartment = random() < 0.3 ? `Apt ${randomInt(1, 20, random)}${pick(['A', 'B', 'C', 'D'], random)}` : null;
+  const zip = stateDetails.zip + randomDigits(2, random);
+
+  const emailName = `${firstName}.${lastName}`.toLowerCase().replace(/[^a-z.]/g, '');
+  const email = `${emailName}${String(birthYear).slice(-2)}@${pick(getEmailDomains(), random)}`;
+
+  const bank = company && !BANKS.includes(company) ? pick(BANKS, random) : (company || pick(BANKS, random));
+  const [firstBrand, secondBrand] = [...CARD_BRANDS].sort(() => random() - 0.5);
+  const balances = [
+    { account: 'Checking', institution: bank, amount: roundMoney(randomInt(800, 6000, random) + random()) },
+    { account: 'Savings', institution: bank, amount: roundMoney(randomInt(3000, 45000, random) + random()) }
+  ];
+  if (company && company !== bank) {
+    balances.push({ account: `${company} account`, institution: company, amount: roundMoney(randomInt(1200, 25000, random) + random()) });
+  }
+
+  const device = pick(COMPUTER_SCAM_TYPES.includes(scamType) ? DEVICES.computer : [...DEVICES.computer, ...DEVICES.phone], random);
+
+  return {
+    firstName,
+    lastName,
+    fullName: `${firstName} ${lastName}`,
+    gender,
+    dateOfBirth,
+    age,
+    address: {
+      street,
+      apartment,
+      city: cityName,
+      state,
+      zip,
+      full: `${street}${apartment ? `, ${apartment}` : ''}, ${cityName}, ${state} ${zip}`
+    },
+    phone: `(${stateDetails.areaCode}) 555-01${randomDigits(2, random)}`,
+    email,
+    cards: [generateCard(firstBrand, random, now), generateCard(secondBrand, random, now)],
+    balances,
+    device: { ...device }
+  };
+}
+
+function formatMoney(amount) {
+  return `$${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatDateOfBirth(dateOfBirth) {
+  const [year, month, day] = dateOfBirth.split('-').map(Number);
+  return `${MONTHS[month - 1]} ${day}, ${year}`;
+}
+
+/**
+ * Render an identity as system prompt instructions
+ * @param {Object} identity - Result of generateFakeIdentity()
+ * @returns {string}
+ */
+function formatIdentityPrompt(identity) {
+  const lines = [
+    'Your personal details for this call. Use exactly these whenever you are asked and never make up others:',
+    `- Full name: ${identity.fullName}`,
+    `- Date of birth: ${formatDateOfBirth(identity.dateOfBirth)} (age ${identity.age})`,
+    `- Home address: ${identity.address.full}`,
+    `- Phone: ${identity.phone}`,
+    `- Email: ${identity.email}`,
+    ...(identity.password ? [`- Online banking password: ${identity.password}`] : []),
+    ...identity.cards.map(card => `- ${card.brand} card: ${card.number}, expires ${card.expiry}, security code ${card.cvv}`),
+    ...identity.balances.map(balance => `- ${balance.account}${balance.account === balance.institution + ' account' ? '' : ` at ${balance.institution}`}: balance ${formatMoney(balance.amount)}`),
+    `- You are using a ${identity.device.model} ${identity.device.type} (${identity.device.os}, ${identity.device.browser})`,
+    'Give these details slowly and only when asked, one at a time, as a nervous person would.'
+  ];
+  return lines.join('\n');
+}
+
+/**
+ * Split a call into what the agent said and what the scammer said. VAPI messages use role
+ * "assistant"/"bot" for the agent and "user" for the scammer; transcripts prefix lines with
+ * "AI:"/"Assistant:" and "User:".
+ */
+function splitSpeakers({ transcript, messages } = {}) {
+  if (Array.isArray(messages) && messages.length > 0) {
+    const text = roles => messages
+      .filter(message => message && roles.includes(message.role))
+      .map(message => message.message || message.content || '')
+      .join('\n');
+    return { agent: text(['assistant', 'bot']), scammer: text(['user']) };
+  }
+
+  const agent = [];
+  const scammer = [];
+  for (const line of String(transcript || '').split('\n')) {
+    const match = line.match(/^\s*(user|customer|ai|assistant|bot|agent)\s*:\s*(.*)$/i);
+    if (!match) continue;
+    (/^(user|customer)$/i.test(match[1]) ? scammer : agent).push(match[2]);
+  }
+  return { agent: agent.join('\n'), scammer: scammer.join('\n') };
+}
+
+function digitsOnly(text) {
+  return String(text).replace(/\D/g, '');
+}
+
+/**
+ * List the identity details that appear in some text
+ * @returns {string[]} Field names
+ */
+function findIdentityFields(identity, text) {
+  const lower = text.toLowerCase();
+  const digits = digitsOnly(text);
+  const fields = [];
+  if (lower.includes(identity.lastName.toLowerCase())) fields.push('lastName');
+  if (lower.includes(identity.address.street.toLowerCase())) fields.push('address');
+  if (digits.includes(identity.address.zip)) fields.push('zip');
+  if (digits.includes(digitsOnly(identity.phone).slice(-7))) fields.push('phone');
+  if (lower.includes(identity.email)) fields.push('email');
+  if (identity.password && text.includes(identity.password)) fields.push('password');
+  if (lower.includes(formatDateOfBirth(identity.dateOfBirth).toLowerCase()) || text.includes(identity.dateOfBirth)) fields.push('dateOfBirth');
+  identity.cards.forEach((card, index) => {
+    if (digits.includes(digitsOnly(card.number))) fields.push(`cards[${index}]`);
+  });
+  return fields;
+}
+
+/**
+ * Review a transcript against the identity the agent was given: which details the agent gave
+ * out, which the scammer repeated back, and details the agent said that are not in the profile
+ * (other email addresses, card numbers, ZIP codes or birth years)
+ * @param {Object} identity - Result of generateFakeIdentity()
+ * @param {Object} call
+ * @param {string} [call.transcript] - Transcript with speaker labels
+ * @param {Object[]} [call.messages] - VAPI artifact messages
+ * @returns {{disclosed: string[], repeatedByScammer: string[], inconsistencies: Object[]}}
+ */
+function reviewTranscriptAgainstIdentity(identity, { transcript, messages } = {}) {
+  const { agent, scammer } = splitSpeakers({ transcript, messages });
+  const inconsistencies = [];
+
+  for (const email of agent.match(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g) || []) {
+    if (email.toLowerCase() !== identity.email) {
+      inconsistencies.push({ field: 'email', said: email, expected: identity.email });
+    }
+  }
+
+  const cardDigits = identity.cards.map(card => digitsOnly(card.number));
+  for (const run of agent.match(/(?<!\d)\d(?:[ -]?\d){12,18}(?!\d)/g) || []) {
+    if (!cardDigits.includes(digitsOnly(run))) {
+      inconsistencies.push({ field: 'card', said: run, expected: identity.cards.map(card => card.number).join(' or ') });
+    }
+  }
+
+  for (const match of agent.matchAll(/\bzip(?:\s*code)?(?:\s*is)?\s*(\d{5})\b/gi)) {
+    if (match[1] !== identity.address.zip) {
+      inconsistencies.push({ field: 'zip', said: match[1], expected: identity.address.zip });
+    }
+  }
+
+  const birthYear = identity.dateOfBirth.slice(0, 4);
+  for (const match of agent.matchAll(/\b(?:born|birthday|birth date|date of birth|dob)\b[^.\n]{0,40}?\b((?:19|20)\d{2})\b/gi)) {
+    if (match[1] !== birthYear) {
+      inconsistencies.push({ field: 'dateOfBirth', said: match[1], expected: birthYear });
+    }
+  }
+
+  return {
+    disclosed: findIdentityFields(identity, agent),
+    repeatedByScammer: findIdentityFields(identity, scammer),
+    inconsistencies
+  };
+}
+
+module.exports = {
+  generateFakeIdentity,
+  formatIdentityPrompt,
+  reviewTranscriptAgainstIdentity,
+  isFakeIdentityEnabled,
+  isLuhnValid,
+  luhnCheckDigit,
+  formatCardNumber
+};
@@ -4,9 +4,9 @@ const path = require('path');
 const twilio = require('twilio');
 const axios = require('axios');
 const { VapiClient } = require('@vapi-ai/server-sdk');
-const { transcribeAudioFromUrl, getOrCreateTranscription } = require('./transcription-service');
+const { transcribeAudioFromUrl, getOrCreateTranscription, resolveTranscriberConfig } = require('./transcription-service');
 const { analyzeMessageWithLLM, shouldEngageScammer, SCAM_DETECTION_THRESHOLDS } = require('./llm-scam-detector');
-const { S3Client, GetObjectCommand, HeadObjectCommand } = require('@aws-sdk/client-s3');
+const { getStorage, resolveStorageConfig, verifySignedUrl, contentTypeFor } = require('./storage-backend');
 const {
   storeCallMetadata,
   storeTranscription,
@@ -56,58 +56,6 @@ const hasWebUIArg = process.argv.includes('--web-ui');
 const isHeadlessMode = isCliMode === 'headless' || hasHeadlessArg;
 const isWebUIMode = isCliMode === 'web-ui' || hasWebUIArg || (!isCliMode && !hasHeadlessArg);
 
-/**
- * Extract bucket name and key from S3 URL
- * @param {string} url - The S3 URL
- * @returns {Object} - The bucket and key
- */
-function parseS3Url(url) {
-  // Handle URLs in the format: https://bucket-name.s3.region.amazonaws.com/key
-  // or https://s3.region.amazonaws.com/bucket-name/key
-  let bucket, key;
-
-  // For Twilio recordings, always use the sip-sentinel bucket
-  if (url.includes('sip-sentinel.s3.us-west-2.amazonaws.com')) {
-    // Special case for Twilio recordings
-    const parts = url.split('amazonaws.com/')[1].split('/');
-    bucket = 'sip-sentinel';
-    key = parts.join('/');
-  } else if (url.includes('s3.us-west-2.amazonaws.com')) {
-    // For Twilio recordings in the format: https://s3.us-west-2.amazonaws.com/bucket-name/key
-    // Always use sip-sentinel bucket for Twilio recordings
-    bucket = 'sip-sentinel';
-
-    // Extract the key from the URL
-    const urlParts = url.split('s3.us-west-2.amazonaws.com/');
-    if (urlParts.length > 1) {
-      const pathParts = urlParts[1].split('/');
-      // Skip the first part (account SID) and use the rest as the key
-      key = pathParts.join('/');
-    }
-  } else if (url.includes('s3.amazonaws.com/')) {
-    // Format: https://s3.region.amazonaws.com/bucket-name/key
-    const parts = url.split('s3.amazonaws.com/')[1].split('/');
-    bucket = parts[0];
-    key = parts.slice(1).join('/');
-  } else if (url.includes('.s3.')) {
-    // Format: https://bucket-name.s3.region.amazonaws.com/key
-    const urlObj = new URL(url);
-    const hostParts = urlObj.hostname.split('.');
-    bucket = hostParts[0];
-    key = urlObj.pathname.substring(1); // Remove leading slash
-  }
-
-  // If we couldn't parse the URL, use default values
-  if (!bucket || !key) {
-    console.log('Could not parse S3 URL correctly, using default values');
-    bucket = 'sip-sentinel';
-    key = `unknown-key-${Date.now()}`;
-  }
-
-  console.log(`Parsed S3 URL - Bucket: ${bucket}, Key: ${key}`);
-  return { bucket, key };
-}
-
 const app = express();
 
 app.use(express.json());
@@ -150,6 +98,10 @@ const twilioClient = twilio(
   process.env.TWILIO_AUTH_TOKEN
 );
 
+// Refuse to start with a transcriber that can't read the storage backend
+const transcriberConfig = resolveTranscriberConfig();
+console.log(`🎙️ Transcriber: ${transcriberConfig.transcriber}`);
+
 // Function to fetch transcription from Twilio
 async function fetchTranscription(recordingSid) {
   try {
@@ -245,50 +197,12 @@ async function fetchTranscription(recordingSid) {
 
 /**
  * Redact phone numbers from transcript text for privacy protection
- * Handles various phone number formats including spaced digits
+ * Handles US, UK, Indian and EU formats as well as spaced digits
  * @param {string} text - Text to redact phone numbers from
  * @returns {string} Text with phone numbers redacted
  */
 function redactPhoneNumbersFromTranscript(text) {
-  if (!text || typeof text !== 'string') {
-    return text;
-  }
-
-  let redactedText = text;
-
-  // Pattern 1: Spaced digits like "3 3 0 9 7 8 8 9 4 7" (common in voicemail transcripts)
-  // Matches 10-11 digits with spaces between them
-  const spacedDigitsPattern = /\b(\d\s){9,10}\d\b/g;
-  redactedText = redactedText.replace(spacedDigitsPattern, (match) => {
-    const digits = match.replace(/\s/g, '');
-    return redactPhoneNumber(digits);
-  });
-
-  // Pattern 2: Standard phone number formats
-  const phonePatterns = [
-    // US formats with country code
-    /\+?1[-.\s]?(\d{3})[-.\s]?(\d{3})[-.\s]?(\d{4})\b/g,
-    // US formats without country code:
-    /\b(\d{3})[-.\s]?(\d{3})[-.\s]?(\d{4})\b/g,
-    // Parentheses format: 
-    /\(\d{3}\)\s?-?\d{3}-?\d{4}\b/g,
-    // Long format without separators
-    /\b1?\d{10}\b/g
-  ];
-
-  phonePatterns.forEach(pattern => {
-    redactedText = redactedText.replace(pattern, (match) => {
-      // Extract just the digits
-      const digits = match.replace(/\D/g, '');
-      // Only redact if it looks like a valid phone number (10-11 digits)
-      if (digits.length >= 10 && digits.length <= 11) {
-        return redactPhoneNumber(digits);
-      }
-      return match; // Return original if not a valid phone number
-    });
-  });
-
-  return redactedText;
+  return redactPhoneNumbersInText(text);
 }
 
 // Function to format transcript for better display
@@ -337,16 +251,29 @@ const {
   getCallAnalytics,
   handleVapiWebhook,
   getCallDetails,
+  getCallIdentityReview,
   getOrCreateVapiPhoneNumber,
   listVapiCalls,
   getVapiCallRecording,
   detectGenderFromName,
   redactPhoneNumber,
+  redactPhoneNumbersInText,
   getRandomVoice,
   callTracker,
   extractCompanyFromAgent
 } = require('./vapi-service');
 
+// Import callback safety policy
+const {
+  getCallbackPolicy,
+  getCallbackLists,
+  getBlockedCallbacks,
+  onCallbackBlocked
+} = require('./callback-policy');
+
+// Import callback rate limiter
+const { runRateLimitedCallback, getEngagement } = require('./callback-rate-limiter');
+
 // Import webhook service
 const {
   WEBHOOK_EVENTS,
@@ -654,150 +581,22 @@ const VAPI_AGENTS = {
 // Note: Voice options are now handled by the vapi-service.js module
 // All voice configurations use VAPI native voices to prevent pipeline errors
 
-// Define patterns for detecting crypto/exchange scams
-const CRYPTO_EXCHANGES = [
-  'kraken',
-  'coinbase',
-  'binance',
-  'crypto.com',
-  'gemini',
-  'bitfinex',
-  'bitstamp',
-  'kucoin',
-  'ftx',
-  'blockchain',
-  'metamask',
-  'wallet',
-  'bitcoin',
-  'ethereum',
-  'ledger',
-  'trezor',
-  // Add common misspellings or transcription errors
-  'crack',
-  'crackin',
-  'cracken',
-  'kracken',
-  'crypto',
-  'order',
-  'purchase'
-];
-
-// Define patterns for IT support scams
-const IT_SERVICES = [
-  'microsoft',
-  'apple',
-  'google',
-  'amazon',
-  'paypal',
-  'netflix',
-  'facebook',
-  'instagram',
-  'icloud',
-  'gmail',
-  'account',
-  'password',
-  'login',
-  'sign in',
-  'security',
-  'verification'
-];
-
-// Define alert/urgent terms commonly used in scams
-const ALERT_TERMS = [
-  'alert',
-  'urgent',
-  'warning',
-  'attention',
-  'important',
-  'notice',
-  'suspicious',
-  'unusual',
-  'unauthorized',
-  'security',
-  'fraud',
-  'fraudulent',
-  'compromised',
-  'hacked',
-  'breach',
-  'locked',
-  'disabled',
-  'restricted',
-  'limited',
-  'verify',
-  'confirm',
-  'validate',
-  'critical'
-];
-
-// Define action terms that indicate what the scammer wants the victim to do
-const ACTION_TERMS = [
-  'call',
-  'contact',
-  'press',
-  'dial',
-  'reach',
-  'speak',
-  'representative',
-  'support',
-  'service',
-  'team',
-  'department',
-  'agent',
-  'specialist',
-  'immediately',
-  'urgently',
-  'asap',
-  'now',
-  'today',
-  'customer service'
-];
-
-// Define interactive prompt terms that suggest the scam wants the user to interact with an automated system
-const INTERACTIVE_PROMPTS = [
-  'press 1',
-  'press one',
-  'press 2',
-  'press two',
-  'press 3',
-  'press three',
-  'press 4',
-  'press four',
-  'press 5',
-  'press five',
-  'press 6',
-  'press six',
-  'press 7',
-  'press seven',
-  'press 8',
-  'press eight',
-  'press 9',
-  'press nine',
-  'press 0',
-  'press zero',
-  'press the number',
-  'press any key',
-  'press pound',
-  'press star',
-  'press hashtag',
-  'press #',
-  'press *',
-  'if this was not you',
-  'if this wasn\'t you',
-  'if you did not',
-  'if you didn\'t',
-  'to speak with',
-  'to talk to',
-  'to connect with',
-  'to be connected',
-  'for more information',
-  'for assistance',
-  'for help',
-  'to verify',
-  'to confirm'
-];
-
-// Import the actual scam detection function
+// Import the actual scam detection function (keyword lists live in config/scam-categories)
 const { isLikelyScam } = require('./scam-detector');
+const { listCategories } = require('./scam-category-registry');
+const { resolveImpersonatedCompany } = require('./company-resolver');
+const { getProviderChain, isProviderConfigured } = require('./llm-providers');
+const { scoreScam } = require('./ensemble-scorer');
+const { analyzeUrls } = require('./url-analyzer');
+const { selectCallbackTarget } = require('./callback-extractor');
+const { getScoringHistory } = require('./caller-history');
+const { getNumberReputation, recordMessageNumbers } = require('./number-reputation');
+const { recordCampaignMessage, listCampaigns, getCampaign } = require('./campaign-tracker');
+const { listCallIndicators, getCallIndicators, searchIndicators, INDICATOR_TYPES } = require('./ioc-extractor');
+const { exportIntel, isExportAuthorized } = require('./intel-export');
+const { queryCalls } = require('./call-index');
+const { getExperimentReport } = require('./persona-experiments');
+const { recordCanaryTrip, isCanaryWebhookAuthorized } = require('./canary-tokens');
 
 // Function to handle fallback calls when transcription fails
 const handleFallbackCall = async (callerNumber) => {
@@ -832,8 +631,12 @@ const handleFallbackCall = async (callerNumber) => {
 
 // Function to create a callback to a scammer number with interactive prompts
 const createScammerCallback = async (scammerNumber, scamType = null, scamDetails = {}, originalCaller = null) => {
-  // Check if we have a phone number from the LLM analysis
-  if (scamDetails.llmAnalysis && scamDetails.llmAnalysis.phoneNumber) {
+  // Prefer the top callback number extracted from the message over the caller's number
+  const topCandidate = scamDetails.callbackCandidates?.[0];
+  if (topCandidate) {
+    console.log(`Using extracted callback number: ${topCandidate.e164} (${topCandidate.method}, confidence ${topCandidate.confidence})`);
+    scammerNumber = topCandidate.e164;
+  } else if (scamDetails.llmAnalysis && scamDetails.llmAnalysis.phoneNumber) {
     const llmPhoneNumber = scamDetails.llmAnalysis.phoneNumber;
     console.log(`LLM detected a callback phone number in the message: ${llmPhoneNumber}`);
 
@@ -1224,7 +1027,7 @@ const createCoinbaseVapiCall = async (phoneNumber, scamDetails = {}, originalCal
 const createVapiCall = async (phoneNumber, scamType = null, scamDetails = {}, originalCaller = null) => {
   try {
     // Use the new VAPI service for call creation
-    const vapiCall = await createVapiCallService(phoneNumber, scamType, scamDetails, null, originalCaller);
+    const vapiCall = await createVapiCallService(phoneNumber, scamType, scamDetails, null, null, originalCaller);
 
     if (vapiCall && vapiCall.id) {
       // Add to live calls tracking
@@ -1290,48 +1093,77 @@ app.post('/sms', async (req, res) => {
     console.error('SMS LLM analysis failed:', error);
   }
 
-  // Combine results - use LLM if available, fallback to regex
-  const isScam = llmAnalysis?.isScam || regexAnalysis.isScam;
-  const scamType = llmAnalysis?.scamType || regexAnalysis.scamType;
+  // Extract links and check them against the impersonated company's official domains
+  const urlAnalysis = analyzeUrls(message, { company: llmAnalysis?.impersonatedCompany });
+  if (urlAnalysis.urls.length > 0) {
+    console.log('SMS URL analysis:', { domains: urlAnalysis.domains, lookalikes: urlAnalysis.lookalikes, flags: urlAnalysis.flags });
+  }
+
+  // Fuse regex, LLM, caller-history, callback-number reputation and link signals into one calibrated score
+  const callbackNumber = selectCallbackTarget({ text: message, llmAnalysis }).number;
+  const { callerHistory, callbackReputation } = await getScoringHistory({ callerNumber: req.body.From, callbackNumber });
+  const ensemble = scoreScam({ regexAnalysis, llmAnalysis, callerHistory, callbackReputation, urlAnalysis });
+  await recordMessageNumbers({
+    callerNumber: req.body.From,
+    callbackNumber,
+    isScam: ensemble.isScam,
+    company: llmAnalysis?.impersonatedCompany,
+    channel: 'sms',
+    messageId: req.body.MessageSid
+  });
+  console.log('SMS ensemble score:', ensemble);
+
+  const isScam = ensemble.isScam;
+  const scamType = ensemble.scamType;
+
+  // Link scam texts to the campaign they belong to
+  const campaign = isScam
+    ? await recordCampaignMessage({ id: req.body.MessageSid, channel: 'sms', text: message, callerNumber: req.body.From, scamAnalysis: llmAnalysis, scamType, urlAnalysis })
+    : null;
+
   const scamDetails = {
     ...regexAnalysis.scamDetails,
-    llmAnalysis: llmAnalysis
+    llmAnalysis: llmAnalysis,
+    urlAnalysis: urlAnalysis,
+    ensemble: ensemble,
+    campaignId: campaign?.campaignId || null
   };
 
+  // Keep the linked domains and campaign with the message so campaigns can be traced later
+  if (req.body.MessageSid && (urlAnalysis.domains.length > 0 || campaign)) {
+    try {
+      await storeCallMetadata(req.body.MessageSid, {
+        messageSid: req.body.MessageSid,
+        callerNumber: req.body.From,
+        channel: 'sms',
+        message,
+        domains: urlAnalysis.domains,
+        campaignId: campaign?.campaignId || null,
+        scamAnalysis: { isScam, scamType, confidence: ensemble.confidence, ensemble, urlAnalysis },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error storing SMS metadata:', error);
+    }
+  }
+
   if (isScam) {
     console.log(`Detected ${scamType} scam in SMS:`, scamDetails);
 
     // Send webhook notification for scam detected
     try {
-      // Extract and normalize company name
-      let impersonatedCompany = 'Unknown';
-      const rawCompany = scamDetails.cryptoTerms?.[0] || scamDetails.itTerms?.[0];
-
-      if (rawCompany) {
-        // Normalize company names to proper case
-        const normalized = rawCompany.toLowerCase();
-        if (normalized === 'kraken' || normalized === 'crack' || normalized === 'crackin' || normalized === 'cracken' || normalized === 'kracken') {
-          impersonatedCompany = 'Kraken';
-        } else if (normalized === 'coinbase' || normalized === 'coin base') {
-          impersonatedCompany = 'Coinbase';
-        } else if (normalized === 'binance') {
-          impersonatedCompany = 'Binance';
-        } else if (normalized === 'microsoft' || normalized === 'micro soft') {
-          impersonatedCompany = 'Microsoft';
-        } else if (normalized === 'apple') {
-          impersonatedCompany = 'Apple';
-        } else if (normalized === 'google') {
-          impersonatedCompany = 'Google';
-        } else {
-          // Capitalize first letter for other companies
-          impersonatedCompany = rawCompany.charAt(0).toUpperCase() + rawCompany.slice(1).toLowerCase();
-        }
-      }
+      // Resolve the impersonated company (handles transcription/spelling variants)
+      const resolvedCompany = resolveImpersonatedCompany({
+        llmCompany: llmAnalysis?.impersonatedCompany,
+        regexDetails: regexAnalysis.scamDetails,
+        text: message
+      });
+      const impersonatedCompany = resolvedCompany ? resolvedCompany.name : 'Unknown';
 
       await notifyScamDetected({
         callerNumber: req.body.From,
         scamType: scamType,
-        confidence: scamDetails.scamScore || 8,
+        confidence: ensemble.confidence,
         company: impersonatedCompany, // Use 'company' for consistency
         impersonatedCompany: impersonatedCompany, // Keep both for backward compatibility
         callSid: null, // SMS doesn't have a call SID
@@ -1342,57 +1174,57 @@ app.post('/sms', async (req, res) => {
       console.error('Error sending scam detection webhook for SMS:', error);
     }
 
-    try {
-      // Determine which phone number to call back
-      let callbackNumber = req.body.From; // Default to SMS sender
-
-      // Check if we have a phone number from the LLM analysis (callback number in the message)
-      if (scamDetails.llmAnalysis && scamDetails.llmAnalysis.phoneNumber) {
-        const llmPhoneNumber = scamDetails.llmAnalysis.phoneNumber;
-        console.log(`LLM detected a callback phone number in the message: ${llmPhoneNumber}`);
-
-        // Format the phone number to E.164 format for VAPI
-        const digitsOnly = llmPhoneNumber.replace(/\D/g, '');
-        let formattedNumber;
-
-        if (llmPhoneNumber.startsWith('+')) {
-          // Keep the + but ensure the rest is just digits
-          formattedNumber = `+${digitsOnly}`;
-        } else if (digitsOnly.length === 10) {
-          // If it's a 10-digit number, assume it's a US number
-          formattedNumber = `+1${digitsOnly}`;
-        } else if (digitsOnly.length === 11 && digitsOnly.startsWith('1')) {
-          // If it's an 11-digit number starting with 1, assume it's a US number with country code
-          formattedNumber = `+${digitsOnly}`;
-        } else {
-          // For any other format, just add a + at the beginning
-          formattedNumber = `+${digitsOnly}`;
+    if (!ensemble.shouldEngage) {
+      console.log(`SMS scam probability ${ensemble.probability} below engagement threshold, not calling back`);
+      twiml.message('Thank you for your message. We will process your request.');
+    } else {
+      try {
+        // Call back the number given in the message (ranked candidates), else the SMS sender
+        const callbackTarget = selectCallbackTarget({
+          text: message,
+          llmAnalysis,
+          fallbackNumber: req.body.From
+        });
+        const callbackNumber = callbackTarget.number;
+        scamDetails.callbackCandidates = callbackTarget.candidates;
+        if (callbackTarget.candidate) {
+          console.log(`Callback number ${callbackNumber} extracted from the message (${callbackTarget.candidate.method}, confidence ${callbackTarget.candidate.confidence}); ${callbackTarget.candidates.length - 1} alternative(s)`);
         }
 
-        console.log(`Formatted callback number: ${llmPhoneNumber} -> ${formattedNumber}`);
-        callbackNumber = formattedNumber;
-      }
-
-      // Add detailed debugging for phone number format
-      console.log(`About to create VAPI call with phone number: "${callbackNumber}"`);
-      console.log(`Phone number type: ${typeof callbackNumber}`);
-      console.log(`Phone number length: ${callbackNumber ? callbackNumber.length : 'undefined'}`);
-      console.log(`Original SMS sender: ${req.body.From}`);
-      console.log(`Using callback number: ${callbackNumber}`);
+        // Add detailed debugging for phone number format
+        console.log(`About to create VAPI call with phone number: "${callbackNumber}"`);
+        console.log(`Phone number type: ${typeof callbackNumber}`);
+        console.log(`Phone number length: ${callbackNumber ? callbackNumber.length : 'undefined'}`);
+        console.log(`Original SMS sender: ${req.body.From}`);
+        console.log(`Using callback number: ${callbackNumber}`);
 
-      // Initiate VAPI call with scam-specific assistant
-      await createVapiCall(callbackNumber, scamType, scamDetails, req.body.From);
+        // Initiate VAPI call with scam-specific assistant (one engagement per number and company)
+        const callback = await runRateLimitedCallback(
+          {
+            phoneNumber: callbackNumber,
+            company: llmAnalysis?.impersonatedCompany || scamDetails.impersonatedCompany,
+            scamType,
+            originalCallSid: req.body.MessageSid,
+            originalCallerNumber: req.body.From
+          },
+          engagementId => createVapiCall(callbackNumber, scamType, { ...scamDetails, callbackEngagementId: engagementId }, req.body.From)
+        );
 
-      // Send a neutral response to avoid alerting potential scammers
-      twiml.message('Thank you for your message. We will process your request.');
+        // Send a neutral response to avoid alerting potential scammers
+        twiml.message('Thank you for your message. We will process your request.');
 
-      // Log the detection for monitoring
-      console.log(`Initiated scam response call for ${scamType} to ${callbackNumber} (original sender: ${req.body.From})`);
-    } catch (error) {
-      console.error('Error initiating scam response call:', error);
-      console.error('Error details:', error.message);
-      console.error('Phone number that caused error:', req.body.From);
-      twiml.message('We received your message but encountered an issue. Please try again later.');
+        // Log the detection for monitoring
+        if (callback.suppressed) {
+          console.log(`Scam response call for ${scamType} to ${callbackNumber} suppressed (${callback.reason}), linked to engagement ${callback.engagementId || 'none'}`);
+        } else {
+          console.log(`Initiated scam response call for ${scamType} to ${callbackNumber} (original sender: ${req.body.From})`);
+        }
+      } catch (error) {
+        console.error('Error initiating scam response call:', error);
+        console.error('Error details:', error.message);
+        console.error('Phone number that caused error:', req.body.From);
+        twiml.message('We received your message but encountered an issue. Please try again later.');
+      }
     }
   } else {
     // For non-scam messages, provide a standard response
@@ -1962,6 +1794,14 @@ function broadcastToSSEClients(message) {
   console.log(`Broadcasted ${message.type} to ${dashboardState.sseClients.size} SSE clients`);
 }
 
+// Show blocked agent callbacks on the dashboard
+onCallbackBlocked(entry => {
+  broadcastToSSEClients({
+    type: 'agent_call_blocked',
+    data: entry
+  });
+});
+
 // Set up periodic updates for real-time dashboard data (only in non-serverless environments)
 if (!process.env.VERCEL && !process.env.NETLIFY) {
   setInterval(async () => {
@@ -2484,7 +2324,6 @@ app.get('/deployment-info', (req, res) => {
         'TWILIO_AUTH_TOKEN',
         'TWILIO_PHONE_NUMBER',
         'VAPI_API_KEY',
-        'OPENROUTER_API_KEY',
         'AWS_ACCESS_KEY_ID',
         'AWS_SECRET_ACCESS_KEY',
         'AWS_REGION'
@@ -2499,54 +2338,38 @@ app.get('/deployment-info', (req, res) => {
         AWS_SECRET_ACCESS_KEY: !!(process.env.AWS_SECRET_ACCESS_KEY || process.env.AWS_SECRET_KEY),
         AWS_REGION: !!process.env.AWS_REGION
       }
-    }
+    },
+    llmProviders: getProviderChain().map(provider => ({
+      name: provider.name,
+      type: provider.type,
+      model: provider.model,
+      configured: isProviderConfigured(provider)
+    }))
   });
 });
 
-// Add S3 debug endpoint to test S3 connectivity and list bucket contents
+// Add storage debug endpoint to test storage connectivity and list bucket contents
 app.get('/debug/s3', async (req, res) => {
   try {
     console.log('=== S3 Debug Endpoint Called ===');
 
-    // Test S3 configuration
-    const { S3Client, ListObjectsV2Command } = require('@aws-sdk/client-s3');
-
-    const awsConfig = {
-      region: process.env.AWS_REGION || 'us-west-2',
-      credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || process.env.AWS_SECRET_KEY
-      }
-    };
+    // Test the storage backend
+    const storage = getStorage();
+    const { backend, bucket, region, endpoint, localDir, credentials } = resolveStorageConfig();
 
-    console.log('AWS Config:', {
-      region: awsConfig.region,
-      hasAccessKey: !!awsConfig.credentials.accessKeyId,
-      hasSecretKey: !!awsConfig.credentials.secretAccessKey
+    console.log('Storage Config:', {
+      backend,
+      bucket,
+      region,
+      endpoint,
+      hasCredentials: !!credentials
     });
 
-    const s3Client = new S3Client(awsConfig);
-    const bucketName = 'sip-sentinel';
-
     // List objects in metadata folder
-    const listParams = {
-      Bucket: bucketName,
-      Prefix: 'metadata/',
-      MaxKeys: 20
-    };
+    console.log('Listing stored objects under metadata/');
+    const objects = await storage.list('metadata/', { limit: 20 });
 
-    console.log('Listing S3 objects with params:', listParams);
-    const response = await s3Client.send(new ListObjectsV2Command(listParams));
-
-    console.log('S3 ListObjects response:', {
-      KeyCount: response.KeyCount,
-      IsTruncated: response.IsTruncated,
-      Contents: response.Contents?.map(obj => ({
-        Key: obj.Key,
-        Size: obj.Size,
-        LastModified: obj.LastModified
-      }))
-    });
+    console.log('Storage list response:', objects);
 
     // Also try to call the listRecentCallMetadata function directly
     const callMetadata = await listRecentCallMetadata(5);
@@ -2555,18 +2378,16 @@ app.get('/debug/s3', async (req, res) => {
     res.json({
       success: true,
       s3Config: {
-        region: awsConfig.region,
-        bucket: bucketName,
-        hasCredentials: !!awsConfig.credentials.accessKeyId && !!awsConfig.credentials.secretAccessKey
+        backend,
+        region,
+        bucket,
+        ...(endpoint ? { endpoint } : {}),
+        ...(backend === 'local' ? { localDir } : {}),
+        hasCredentials: !!credentials
       },
       s3Response: {
-        keyCount: response.KeyCount || 0,
-        isTruncated: response.IsTruncated || false,
-        objects: response.Contents?.map(obj => ({
-          key: obj.Key,
-          size: obj.Size,
-          lastModified: obj.LastModified
-        })) || []
+        keyCount: objects.length,
+        objects
       },
       callMetadata: callMetadata,
       timestamp: new Date().toISOString()
@@ -2632,41 +2453,20 @@ app.post('/debug/process-recording', async (req, res) => {
       console.error('LLM analysis failed:', llmError);
     }
 
-    // Determine final analysis results
-    const isScam = llmAnalysis?.isScam || regexAnalysis.isScam;
-    const scamType = llmAnalysis?.scamType || regexAnalysis.scamType;
-
-    // Extract and normalize company name
-    let company = llmAnalysis?.impersonatedCompany || 'Unknown';
-
-    if (!llmAnalysis?.impersonatedCompany) {
-      // If LLM didn't provide company, extract from regex analysis
-      const rawCompany = regexAnalysis.scamDetails.cryptoTerms.length > 0 ?
-                        regexAnalysis.scamDetails.cryptoTerms[0] :
-                        regexAnalysis.scamDetails.itTerms.length > 0 ?
-                          regexAnalysis.scamDetails.itTerms[0] : null;
-
-      if (rawCompany) {
-        // Normalize company names to proper case
-        const normalized = rawCompany.toLowerCase();
-        if (normalized === 'kraken' || normalized === 'crack' || normalized === 'crackin' || normalized === 'cracken' || normalized === 'kracken') {
-          company = 'Kraken';
-        } else if (normalized === 'coinbase' || normalized === 'coin base') {
-          company = 'Coinbase';
-        } else if (normalized === 'binance') {
-          company = 'Binance';
-        } else if (normalized === 'microsoft' || normalized === 'micro soft') {
-          company = 'Microsoft';
-        } else if (normalized === 'apple') {
-          company = 'Apple';
-        } else if (normalized === 'google') {
-          company = 'Google';
-        } else {
-          // Capitalize first letter for other companies
-          company = rawCompany.charAt(0).toUpperCase() + rawCompany.slice(1).toLowerCase();
-        }
-      }
-    }
+    // Determine final analysis results (manual reprocessing doesn't count as a new contact)
+    const callbackNumber = selectCallbackTarget({ text: transcriptionText, llmAnalysis }).number;
+    const { callerHistory, callbackReputation } = await getScoringHistory({ callerNumber, callbackNumber });
+    const ensemble = scoreScam({ regexAnalysis, llmAnalysis, callerHistory, callbackReputation });
+    const isScam = ensemble.isScam;
+    const scamType = ensemble.scamType;
+
+    // Resolve the impersonated company (handles transcription/spelling variants)
+    const resolvedCompany = resolveImpersonatedCompany({
+      llmCompany: llmAnalysis?.impersonatedCompany,
+      regexDetails: regexAnalysis.scamDetails,
+      text: transcriptionText
+    });
+    const company = resolvedCompany ? resolvedCompany.name : 'Unknown';
 
     // Store metadata in S3 if it's a scam
     let s3StorageResult = null;
@@ -2682,8 +2482,9 @@ app.post('/debug/process-recording', async (req, res) => {
             isScam: isScam,
             scamType: scamType,
             company: company,
-            confidence: llmAnalysis?.confidence || (regexAnalysis.scamDetails.scamScore * 10),
+            confidence: ensemble.confidence,
             callbackPhoneNumber: llmAnalysis?.phoneNumber || null,
+            ensemble: ensemble,
             details: {
               ...regexAnalysis.scamDetails,
               llmAnalysis: llmAnalysis
@@ -2718,7 +2519,8 @@ app.post('/debug/process-recording', async (req, res) => {
         scamType: scamType,
         company: company,
         regexAnalysis: regexAnalysis,
-        llmAnalysis: llmAnalysis
+        llmAnalysis: llmAnalysis,
+        ensemble: ensemble
       },
       s3Storage: s3StorageResult,
       timestamp: new Date().toISOString()
@@ -2793,6 +2595,249 @@ app.get('/api/vapi/calls', async (req, res) => {
   }
 });
 
+// Callback safety policy: user-managed lists and recently blocked agent callbacks
+app.get('/api/callback-policy', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const [lists, blocked] = await Promise.all([getCallbackLists(), getBlockedCallbacks(limit)]);
+    res.json({
+      success: true,
+      policyVersion: getCallbackPolicy().version,
+      allowlist: lists.allowlist.map(entry => ({ ...entry, number: redactPhoneNumber(entry.number) })),
+      denylist: lists.denylist.map(entry => ({ ...entry, number: redactPhoneNumber(entry.number) })),
+      blocked,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error getting callback policy:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Indexed calls and messages, newest first, filtered and paged with ?cursor=
+app.get('/api/calls', async (req, res) => {
+  try {
+    const { since, until, scamType, company, minConfidence, maxConfidence, outcome, channel, scam, limit, cursor } = req.query;
+    const { calls, nextCursor } = await queryCalls({
+      since, until, scamType, company, minConfidence, maxConfidence, outcome, channel, scam, limit, cursor
+    });
+    res.json({
+      success: true,
+      calls,
+      nextCursor,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_CALL_QUERY') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error.code === 'CALL_INDEX_DISABLED') {
+      return res.status(503).json({ success: false, error: error.message });
+    }
+    console.error('Error querying calls:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Persona A/B experiments: per-variant success rates, time wasted and traffic share
+app.get(['/api/experiments', '/api/experiments/:experimentId'], async (req, res) => {
+  try {
+    const experiments = await getExperimentReport({ experimentId: req.params.experimentId });
+    res.json({
+      success: true,
+      experiments,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.code === 'UNKNOWN_EXPERIMENT') {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    console.error('Error building experiment report:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Fake identity an agent call played, reviewed against the call's transcript; it includes the
+// call's canary credentials, so it requires INTEL_EXPORT_TOKEN like the intel export
+app.get('/api/identities/:callId', async (req, res) => {
+  if (!process.env.INTEL_EXPORT_TOKEN) {
+    return res.status(503).json({ success: false, error: 'Identity review is disabled (set INTEL_EXPORT_TOKEN)' });
+  }
+  if (!isExportAuthorized(req.headers)) {
+    return res.status(401).json({ success: false, error: 'Invalid or missing API token' });
+  }
+
+  try {
+    const identity = await getCallIdentityReview(req.params.callId);
+    if (!identity) {
+      return res.status(404).json({ success: false, error: 'No fake identity stored for this call' });
+    }
+    res.json({
+      success: true,
+      ...identity
+    });
+  } catch (error) {
+    console.error('Error getting fake identity:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Scam campaigns: voicemails and texts grouped by callback number, linked domain and script
+app.get('/api/campaigns', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const minMessages = Math.max(parseInt(req.query.minMessages, 10) || 1, 1);
+    const { campaigns, total } = await listCampaigns({ limit, minMessages });
+    res.json({
+      success: true,
+      campaigns,
+      total,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error listing campaigns:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/campaigns/:campaignId', async (req, res) => {
+  try {
+    const campaign = await getCampaign(req.params.campaignId);
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+    res.json({ success: true, campaign });
+  } catch (error) {
+    console.error('Error getting campaign:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Reputation and history of a caller ID or callback number
+app.get('/api/numbers/:number', async (req, res) => {
+  try {
+    const reputation = await getNumberReputation(req.params.number);
+    if (!reputation) {
+      return res.status(400).json({ success: false, error: 'Invalid phone number' });
+    }
+    res.json({ success: true, reputation });
+  } catch (error) {
+    console.error('Error getting number reputation:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Indicators of compromise mined from agent call transcripts; ?q= searches across calls
+app.get('/api/iocs', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const { q, type } = req.query;
+    if (type && !INDICATOR_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, error: `Unknown indicator type (expected one of ${INDICATOR_TYPES.join(', ')})` });
+    }
+
+    if (q) {
+      const { matches, calls } = await searchIndicators(q, { type, limit });
+      return res.json({ success: true, query: q, matches, calls, timestamp: new Date().toISOString() });
+    }
+
+    const { calls, total } = await listCallIndicators({ limit });
+    res.json({
+      success: true,
+      calls,
+      total,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error getting indicators:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/iocs/:callId', async (req, res) => {
+  try {
+    const record = await getCallIndicators(req.params.callId);
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'No indicators for this call' });
+    }
+    res.json({ success: true, ...record });
+  } catch (error) {
+    console.error('Error getting call indicators:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Threat-intel export (STIX 2.1 bundle or MISP event); requires INTEL_EXPORT_TOKEN
+app.get('/api/intel/export', async (req, res) => {
+  if (!process.env.INTEL_EXPORT_TOKEN) {
+    return res.status(503).json({ success: false, error: 'Intel export is disabled (set INTEL_EXPORT_TOKEN)' });
+  }
+  if (!isExportAuthorized(req.headers)) {
+    return res.status(401).json({ success: false, error: 'Invalid or missing export token' });
+  }
+
+  try {
+    const { format, since, until, tlp } = req.query;
+    const result = await exportIntel({ format, since, until, tlp });
+    res.set('Content-Type', result.contentType);
+    res.set('Content-Disposition', `attachment; filename="sipsentinel-${result.format}-${result.until.slice(0, 10)}.json"`);
+    res.send(JSON.stringify(result.document));
+  } catch (error) {
+    if (error.code === 'INVALID_EXPORT_OPTIONS') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('Error exporting intel:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Agent callback engagement with the triggers the rate limiter linked to it
+app.get('/api/engagements/:engagementId', async (req, res) => {
+  try {
+    const engagement = await getEngagement(req.params.engagementId);
+    if (!engagement) {
+      return res.status(404).json({ success: false, error: 'Engagement not found' });
+    }
+    res.json({ success: true, engagement });
+  } catch (error) {
+    console.error('Error getting engagement:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Background task monitoring endpoints
 app.get('/api/background-tasks/stats', (req, res) => {
   try {
@@ -3119,7 +3164,35 @@ app.get('/test-microsoft-callback', async (req, res) => {
   }
 });
 
-// Add an endpoint to serve audio files from S3 with range request support
+// Serve objects behind signed URLs from the local storage backend
+app.get('/api/storage/*', async (req, res) => {
+  const key = req.params[0];
+
+  if (!verifySignedUrl(key, req.query.expires, req.query.signature)) {
+    return res.status(403).json({ success: false, error: 'Invalid or expired storage URL' });
+  }
+
+  try {
+    const body = await getStorage().getStream(key);
+    if (!body) {
+      return res.status(404).json({ success: false, error: 'Object not found' });
+    }
+    res.setHeader('Content-Type', contentTypeFor(key));
+    body.on('error', error => {
+      console.error('Error streaming stored object:', error.message);
+      res.destroy(error);
+    });
+    body.pipe(res);
+  } catch (error) {
+    if (error.code === 'INVALID_STORAGE_KEY') {
+      return res.status(400).json({ success: false, error: 'Invalid storage key' });
+    }
+    console.error('Error serving stored object:', error);
+    res.status(500).json({ success: false, error: 'Failed to read stored object' });
+  }
+});
+
+// Add an endpoint to serve audio files from storage with range request support
 app.get('/api/audio/:recordingSid', async (req, res) => {
   const { recordingSid } = req.params;
 
@@ -3130,33 +3203,30 @@ app.get('/api/audio/:recordingSid', async (req, res) => {
   try {
     console.log(`[AUDIO ENDPOINT] Fetching audio for recording SID: ${recordingSid}`);
 
-    // First, try to construct the S3 URL directly since we know external storage is enabled
+    // First, look for the recording where Twilio external storage writes it
+    const storage = getStorage();
     const accountSid = process.env.TWILIO_ACCOUNT_SID;
+    let storedRecording = null;
     let recordingUrl = null;
 
     if (accountSid) {
-      // Construct the S3 URL based on the known pattern from Twilio external storage
-      recordingUrl = `https://sip-sentinel.s3.us-west-2.amazonaws.com/${accountSid}/${recordingSid}`;
-      console.log(`[AUDIO ENDPOINT] Trying S3 URL: ${recordingUrl}`);
+      const key = `${accountSid}/${recordingSid}`;
+      console.log(`[AUDIO ENDPOINT] Trying storage: ${storage.uri(key)}`);
 
-      // Test if the S3 URL exists by making a HEAD request
-      const axios = require('axios');
       try {
-        const headResponse = await axios.head(recordingUrl);
-        if (headResponse.status === 200) {
-          console.log(`[AUDIO ENDPOINT] Found recording in S3: ${recordingUrl}`);
+        storedRecording = await storage.head(key);
+        if (storedRecording) {
+          console.log(`[AUDIO ENDPOINT] Found recording in storage: ${storage.uri(key)}`);
         } else {
-          console.log(`[AUDIO ENDPOINT] S3 HEAD request returned status: ${headResponse.status}`);
-          recordingUrl = null;
+          console.log(`[AUDIO ENDPOINT] Recording not found in storage: ${storage.uri(key)}`);
         }
       } catch (headError) {
-        console.log(`[AUDIO ENDPOINT] S3 HEAD request failed: ${headError.response?.status || headError.message}`);
-        recordingUrl = null;
+        console.log(`[AUDIO ENDPOINT] Storage lookup failed: ${headError.message}`);
       }
     }
 
-    // If S3 direct access failed, try getting the URL from Twilio (fallback)
-    if (!recordingUrl) {
+    // If the recording isn't in storage, try getting the URL from Twilio (fallback)
+    if (!storedRecording) {
       try {
         console.log(`[AUDIO ENDPOINT] Falling back to Twilio API for recording ${recordingSid}`);
         const recording = await twilioClient.recordings(recordingSid).fetch();
@@ -3176,69 +3246,40 @@ app.get('/api/audio/:recordingSid', async (req, res) => {
         console.error(`[AUDIO ENDPOINT] Twilio API failed for recording ${recordingSid}:`, twilioError.message);
         return res.status(404).json({
           error: 'Recording not found',
-          message: 'Recording not found in S3 or Twilio',
+          message: 'Recording not found in storage or Twilio',
           recordingSid: recordingSid,
           details: twilioError.message
         });
       }
     }
 
-    console.log(`[AUDIO ENDPOINT] Final recording URL: ${recordingUrl}`);
-
     // Parse range header for seeking support
     const range = req.headers.range;
     console.log('Range header:', range);
 
-    // Check if this is an S3 URL
-    if (recordingUrl.includes('s3.amazonaws.com') || recordingUrl.includes('s3.us-west-2.amazonaws.com')) {
-      // Get AWS configuration
-      const awsConfig = {
-        region: process.env.AWS_REGION || 'us-west-2',
-        credentials: {
-          accessKeyId: process.env.AWS_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY,
-          secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || process.env.AWS_SECRET_KEY
-        }
-      };
-
-      // Parse the S3 URL to get bucket and key
-      const { bucket, key } = parseS3Url(recordingUrl);
-
-      if (!bucket || !key) {
-        throw new Error('Could not parse S3 URL correctly');
-      }
-
-      // Create S3 client
-      const s3Client = new S3Client(awsConfig);
-
-      // First, get the object metadata to know the content length
-      const headCommand = new HeadObjectCommand({
-        Bucket: bucket,
-        Key: key
-      });
-      const headResponse = await s3Client.send(headCommand);
-      const contentLength = headResponse.ContentLength;
-
-      // Set up parameters for getObject
-      const params = {
-        Bucket: bucket,
-        Key: key
-      };
+    if (storedRecording) {
+      const contentLength = storedRecording.size;
 
       // Handle range requests for seeking support
       if (range) {
         const parts = range.replace(/bytes=/, "").split("-");
         const start = parseInt(parts[0], 10);
-        const end = parts[1] ? parseInt(parts[1], 10) : contentLength - 1;
-        const chunksize = (end - start) + 1;
+        const end = Math.min(parts[1] ? parseInt(parts[1], 10) : contentLength - 1, contentLength - 1);
 
-        // Add range to S3 request
-        params.Range = `bytes=${start}-${end}`;
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start > end) {
+          res.status(416); // Range Not Satisfiable
+          res.setHeader('Content-Range', `bytes */${contentLength}`);
+          return res.end();
+        }
 
+        const chunksize = (end - start) + 1;
         console.log(`Serving range: ${start}-${end} (${chunksize} bytes) of ${contentLength} total`);
 
-        // Get the object from S3 with range
-        const command = new GetObjectCommand(params);
-        const response = await s3Client.send(command);
+        // Stream the range from storage
+        const body = await storage.getStream(storedRecording.key, { range: { start, end } });
+        if (!body) {
+          return res.status(404).json({ error: 'Recording not found', recordingSid: recordingSid });
+        }
 
         // Set appropriate headers for partial content
         res.status(206); // Partial Content
@@ -3247,12 +3288,17 @@ app.get('/api/audio/:recordingSid', async (req, res) => {
         res.setHeader('Content-Length', chunksize);
         res.setHeader('Content-Type', 'audio/wav');
 
-        // Stream the audio data to the response
-        response.Body.pipe(res);
+        body.on('error', error => {
+          console.error(`[AUDIO ENDPOINT] Error streaming recording ${recordingSid}:`, error.message);
+          res.destroy(error);
+        });
+        body.pipe(res);
       } else {
-        // No range request, serve the entire file
-        const command = new GetObjectCommand(params);
-        const response = await s3Client.send(command);
+        // No range request, stream the entire file
+        const body = await storage.getStream(storedRecording.key);
+        if (!body) {
+          return res.status(404).json({ error: 'Recording not found', recordingSid: recordingSid });
+        }
 
         // Set appropriate headers
         res.setHeader('Content-Type', 'audio/wav');
@@ -3260,11 +3306,14 @@ app.get('/api/audio/:recordingSid', async (req, res) => {
         res.setHeader('Accept-Ranges', 'bytes');
         res.setHeader('Content-Disposition', `attachment; filename="${recordingSid}.wav"`);
 
-        // Stream the audio data to the response
-        response.Body.pipe(res);
+        body.on('error', error => {
+          console.error(`[AUDIO ENDPOINT] Error streaming recording ${recordingSid}:`, error.message);
+          res.destroy(error);
+        });
+        body.pipe(res);
       }
     } else {
-      // For non-S3 URLs, proxy the request with range support
+      // Recordings only on Twilio: proxy the request with range support
       const headers = {};
       if (range) {
         headers.Range = range;
@@ -3319,7 +3368,7 @@ app.get('/api/audio/:recordingSid', async (req, res) => {
     } else if (error.response && error.response.status === 404) {
       res.status(404).json({
         error: 'Recording not found',
-        message: 'The requested recording does not exist in S3 or Twilio',
+        message: 'The requested recording does not exist in storage or Twilio',
         recordingSid: recordingSid,
         hint: 'Check if Twilio External Storage is properly configured'
       });
@@ -3854,6 +3903,37 @@ app.get('/vapi/calls/:callId', async (req, res) => {
   }
 });
 
+// Canary webhook: a canary credential handed to a scammer was used
+app.post(['/canary/webhook', '/api/webhooks/canary'], async (req, res) => {
+  if (!process.env.CANARY_WEBHOOK_TOKEN) {
+    return res.status(503).json({ success: false, error: 'Canary webhook is disabled (set CANARY_WEBHOOK_TOKEN)' });
+  }
+  if (!isCanaryWebhookAuthorized(req.headers)) {
+    return res.status(401).json({ success: false, error: 'Invalid or missing canary webhook token' });
+  }
+
+  try {
+    const result = await recordCanaryTrip(req.body || {});
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Unknown canary value' });
+    }
+    const { canary } = result;
+    res.json({
+      success: true,
+      canary: { type: canary.type, callId: canary.callId, campaignId: canary.campaignId, tripCount: canary.tripCount }
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_CANARY_TRIP') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('Error recording canary trip:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // VAPI webhook endpoint
 app.post('/vapi/webhook', async (req, res) => {
   try {
@@ -4794,8 +4874,9 @@ if (!process.env.VERCEL && !process.env.NETLIFY) {
     console.log(`=== SIPSentinel - Scam Detection Service ===`);
     console.log(`Mode: ${isHeadlessMode ? 'Headless (webhooks only)' : 'Web UI + Webhooks'}`);
     console.log(`Server is running on port ${PORT}`);
-    console.log(`Monitoring for crypto exchange scams with terms: ${CRYPTO_EXCHANGES.slice(0, 5).join(', ')}...`);
-    console.log(`Monitoring for IT support scams with terms: ${IT_SERVICES.slice(0, 5).join(', ')}...`);
+    listCategories().forEach(category => {
+      console.log(`Monitoring for ${category.label} scams with terms: ${[...category.companies, ...category.terms].slice(0, 5).join(', ')}...`);
+    });
 
     if (isWebUIMode) {
       console.log(`🌐 Web Dashboard: http://localhost:${PORT}`);
@@ -4826,6 +4907,7 @@ if (!process.env.VERCEL && !process.env.NETLIFY) {
     console.log(`- GET /vapi/analytics: Get call analytics and success metrics`);
     console.log(`- GET /vapi/calls/:callId: Get specific call details`);
     console.log(`- POST /vapi/webhook: VAPI webhook endpoint for call events`);
+    console.log(`- POST /canary/webhook: Report a canary credential being used (CANARY_WEBHOOK_TOKEN)`);
     console.log(`- POST /vapi/test-call: Test VAPI call with specific parameters`);
     console.log(`\nWebhook Management endpoints (localhost only):`);
     console.log(`- GET /webhooks/config: Get current webhook configuration`);
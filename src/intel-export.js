@@ -0,0 +1,535 @@
+/**
+ * Threat-Intel Export
+ * Packages what SIPSentinel has learned for a threat-intel platform, as a STIX 2.1 bundle or a
+ * MISP event:
+ * - scam campaigns from voicemails and texts, with their sightings, callback numbers, lookalike
+ *   domains and impersonated brands (src/campaign-tracker.js)
+ * - indicators mined from agent calls: wallets, links, bank numbers, remote-access tools,
+ *   gift cards, aliases and phone numbers (src/ioc-extractor.js)
+ *
+ * Caller IDs are not exported: they are usually spoofed and often belong to uninvolved people.
+ *
+ * Every export covers a time window and carries a TLP marking (INTEL_EXPORT_TLP, default
+ * amber). Object ids are UUIDv5 of their content, so exporting an overlapping window updates
+ * objects in the receiving platform instead of duplicating them. Phone numbers, wallets and
+ * bank accounts use the custom observable types OpenCTI understands (phone-number,
+ * cryptocurrency-wallet, bank-account). The API route requires INTEL_EXPORT_TOKEN.
+ */
+
+const crypto = require('crypto');
+const { listCampaignsInWindow } = require('./campaign-tracker');
+const { listCallIndicatorsInWindow } = require('./ioc-extractor');
+const { resolveCompany } = require('./company-resolver');
+const { isTokenAuthorized } = require('./api-auth');
+
+const FORMATS = ['stix', 'misp'];
+const DEFAULT_WINDOW = '7d';
+const DEFAULT_TLP = 'amber';
+
+// Namespace for UUIDv5 ids of exported objects
+const EXPORT_NAMESPACE = '6f1d1d3e-7c3a-5b0e-9a51-53495053454e';
+const IDENTITY_CREATED = '2024-01-01T00:00:00.000Z';
+
+// TLP marking definitions predefined by the STIX 2.1 specification
+const STIX_TLP_MARKINGS = {
+  clear: { id: 'marking-definition--613f2e26-407d-48c7-9eca-b8e91df99dc9', name: 'TLP:WHITE', tlp: 'white' },
+  green: { id: 'marking-definition--34098fce-860f-48ae-8e50-ebd3cc5e41da', name: 'TLP:GREEN', tlp: 'green' },
+  amber: { id: 'marking-definition--f88d31f6-486f-44da-b317-01333bde0b82', name: 'TLP:AMBER', tlp: 'amber' },
+  red: { id: 'marking-definition--5e57c739-391a-4eb3-b6be-7d15ca92d5ed', name: 'TLP:RED', tlp: 'red' }
+};
+const TLP_MARKING_CREATED = '2017-01-20T00:00:00.000Z';
+
+// MISP distribution for each TLP level (0 = your organisation only ... 3 = all communities)
+const MISP_DISTRIBUTION = { clear: '3', green: '2', amber: '1', red: '0' };
+
+const RELATIVE_TIME_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// --- Options ----------------------------------------------------------------------------
+
+function optionError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_EXPORT_OPTIONS';
+  return error;
+}
+
+/**
+ * Parse a window bound: an ISO date/time, or a duration before now ("30m", "24h", "7d", "2w").
+ * @param {string} value
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+function parseTimeBound(value, now = new Date()) {
+  const relative = String(value).trim().match(/^(\d+)\s*([mhdw])$/i);
+  if (relative) {
+    return new Date(now.getTime() - parseInt(relative[1], 10) * RELATIVE_TIME_UNITS[relative[2].toLowerCase()]);
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw optionError(`Invalid time "${value}" (use an ISO date or a duration like 24h, 7d, 2w)`);
+  }
+  return date;
+}
+
+/**
+ * Normalize a TLP level. "white" is accepted as the TLP 1.0 name of "clear".
+ * @param {string} [level]
+ * @returns {'clear'|'green'|'amber'|'red'}
+ */
+function normalizeTlp(level) {
+  const value = String(level || process.env.INTEL_EXPORT_TLP || DEFAULT_TLP).toLowerCase().replace(/^tlp:/, '');
+  const normalized = value === 'white' ? 'clear' : value;
+  if (!STIX_TLP_MARKINGS[normalized]) {
+    throw optionError(`Unknown TLP "${level}" (expected clear, green, amber or red)`);
+  }
+  return normalized;
+}
+
+/**
+ * Validate and fill in export options.
+ * @param {Object} [options]
+ * @param {string} [options.format='stix'] - "stix" or "misp".
+ * @param {string} [options.since='7d'] - Window start (ISO or duration before now).
+ * @param {string} [options.until] - Window end (ISO or duration before now; default now).
+ * @param {string} [options.tlp] - TLP level (default INTEL_EXPORT_TLP or amber).
+ * @returns {{format: string, since: string, until: string, tlp: string}}
+ */
+function resolveExportOptions({ format = 'stix', since = DEFAULT_WINDOW, until, tlp } = {}) {
+  const normalizedFormat = String(format).toLowerCase();
+  if (!FORMATS.includes(normalizedFormat)) {
+    throw optionError(`Unknown export format "${format}" (expected ${FORMATS.join(' or ')})`);
+  }
+  const now = new Date();
+  const start = parseTimeBound(since || DEFAULT_WINDOW, now);
+  const end = until ? parseTimeBound(until, now) : now;
+  if (start > end) {
+    throw optionError('The window starts after it ends');
+  }
+  return { format: normalizedFormat, since: start.toISOString(), until: end.toISOString(), tlp: normalizeTlp(tlp) };
+}
+
+// --- Collection -------------------------------------------------------------------------
+
+/**
+ * Gather the campaigns and agent calls active in a window.
+ * @param {Object} window
+ * @param {string} window.since - ISO start.
+ * @param {string} window.until - ISO end.
+ * @returns {Promise<{since: string, until: string, campaigns: Object[], calls: Object[]}>}
+ */
+async function collectIntel({ since, until }) {
+  const [campaigns, calls] = await Promise.all([
+    listCampaignsInWindow({ since, until }),
+    listCallIndicatorsInWindow({ since, until })
+  ]);
+
+  const sinceDay = since.slice(0, 10);
+  const untilDay = until.slice(0, 10);
+  return {
+    since,
+    until,
+    campaigns: campaigns.map(campaign => {
+      const messages = campaign.messages.filter(message => message.at >= since && message.at <= until);
+      const windowCount = Object.entries(campaign.volume)
+        .filter(([date]) => date >= sinceDay && date <= untilDay)
+        .reduce((sum, [, count]) => sum + count, 0);
+      return { ...campaign, messages, windowCount: Math.max(windowCount, messages.length) };
+    }),
+    calls
+  };
+}
+
+// --- Ids --------------------------------------------------------------------------------
+
+/**
+ * RFC 4122 version 5 UUID (SHA-1 of namespace and name).
+ * @param {string} name
+ * @param {string} [namespace]
+ * @returns {string}
+ */
+function uuidv5(name, namespace = EXPORT_NAMESPACE) {
+  const hash = crypto.createHash('sha1')
+    .update(Buffer.from(namespace.replace(/-/g, ''), 'hex'))
+    .update(String(name))
+    .digest();
+  hash[6] = (hash[6] & 0x0f) | 0x50;
+  hash[8] = (hash[8] & 0x3f) | 0x80;
+  const hex = hash.subarray(0, 16).toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+function stixId(type, key) {
+  return `${type}--${uuidv5(`${type}:${key}`)}`;
+}
+
+function stixString(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+function dominant(counts) {
+  const entries = Object.entries(counts || {}).sort((a, b) => b[1] - a[1]);
+  return entries.length > 0 ? entries[0][0] : null;
+}
+
+// --- STIX 2.1 ---------------------------------------------------------------------------
+
+/**
+ * Build a STIX 2.1 bundle.
+ * @param {Object} intel - Result of collectIntel().
+ * @param {Object} options
+ * @param {string} options.tlp - Normalized TLP level.
+ * @returns {Object} Bundle.
+ */
+function buildStixBundle(intel, { tlp }) {
+  const marking = STIX_TLP_MARKINGS[tlp];
+  const objects = new Map();
+  const sourceId = stixId('identity', 'sipsentinel');
+
+  const add = object => {
+    const existing = objects.get(object.id);
+    if (!existing) {
+      objects.set(object.id, object);
+      return object;
+    }
+    // The same indicator seen again: widen its time range
+    if (object.created < existing.created) existing.created = object.created;
+    if (object.modified > existing.modified) existing.modified = object.modified;
+    if (existing.valid_from && object.valid_from < existing.valid_from) existing.valid_from = object.valid_from;
+    return existing;
+  };
+  const sdo = (type, key, created, modified, properties) => add({
+    type,
+    spec_version: '2.1',
+    id: stixId(type, key),
+    created_by_ref: sourceId,
+    created,
+    modified: modified > created ? modified : created,
+    ...properties,
+    object_marking_refs: [marking.id]
+  });
+  const relate = (source, relationshipType, target, created, modified) => sdo(
+    'relationship', `${source.id}:${relationshipType}:${target.id}`, created, modified,
+    { relationship_type: relationshipType, source_ref: source.id, target_ref: target.id }
+  );
+  const indicator = (key, name, pattern, created, modified, labels = []) => sdo('indicator', key, created, modified, {
+    name,
+    indicator_types: ['malicious-activity'],
+    pattern,
+    pattern_type: 'stix',
+    valid_from: created,
+    ...(labels.length > 0 ? { labels } : {})
+  });
+  const brand = (company, created, modified) => {
+    const resolved = resolveCompany(company);
+    const key = resolved ? resolved.id : String(company).toLowerCase();
+    return sdo('identity', `brand:${key}`, created, modified, {
+      name: resolved ? resolved.name : company,
+      identity_class: 'organization',
+      description: 'Brand impersonated by phone scammers'
+    });
+  };
+
+  add({
+    type: 'marking-definition',
+    spec_version: '2.1',
+    id: marking.id,
+    created: TLP_MARKING_CREATED,
+    definition_type: 'tlp',
+    name: marking.name,
+    definition: { tlp: marking.tlp }
+  });
+  add({
+    type: 'identity',
+    spec_version: '2.1',
+    id: sourceId,
+    created: IDENTITY_CREATED,
+    modified: IDENTITY_CREATED,
+    name: 'SIPSentinel',
+    identity_class: 'system',
+    description: 'Scam voicemail and SMS honeypot with conversational AI agents',
+    object_marking_refs: [marking.id]
+  });
+
+  const campaignsByCallback = new Map();
+  for (const campaign of intel.campaigns) {
+    const scamType = dominant(campaign.scamTypes) || 'unknown';
+    const companies = Object.values(campaign.companies);
+    const channels = Object.entries(campaign.channels).map(([channel, count]) => `${count} ${channel}`).join(', ');
+    const stixCampaign = sdo('campaign', campaign.id, campaign.firstSeen, campaign.lastSeen, {
+      name: `${companies[0]?.name || 'Unknown brand'} ${scamType.replace(/_/g, ' ')} scam campaign (${campaign.id})`,
+      description: `${campaign.messageCount} scam messages (${channels}) from ${campaign.callerIdCount} caller IDs. Sample: ${campaign.sampleText}`,
+      first_seen: campaign.firstSeen,
+      last_seen: campaign.lastSeen,
+      x_sipsentinel_campaign_id: campaign.id,
+      x_sipsentinel_message_count: campaign.messageCount,
+      x_sipsentinel_window_message_count: campaign.windowCount,
+      x_sipsentinel_scam_types: campaign.scamTypes
+    });
+
+    for (const company of companies) {
+      relate(stixCampaign, 'impersonates', brand(company.name, campaign.firstSeen, campaign.lastSeen), campaign.firstSeen, campaign.lastSeen);
+    }
+
+    for (const number of campaign.callbackNumbers) {
+      campaignsByCallback.set(number, stixCampaign);
+      const messages = campaign.messages.filter(message => message.callbackNumber === number);
+      const firstSeen = messages[0]?.at || campaign.firstSeen;
+      const lastSeen = messages[messages.length - 1]?.at || campaign.lastSeen;
+      const phone = indicator(`phone:${number}`, `Scam callback number ${number}`,
+        `[phone-number:value = '${stixString(number)}']`, firstSeen, lastSeen, ['callback-number']);
+      relate(phone, 'indicates', stixCampaign, firstSeen, lastSeen);
+      if (messages.length > 0) {
+        sdo('sighting', `${phone.id}:${campaign.id}:${firstSeen}:${lastSeen}`, firstSeen, lastSeen, {
+          sighting_of_ref: phone.id,
+          where_sighted_refs: [sourceId],
+          first_seen: firstSeen,
+          last_seen: lastSeen,
+          count: messages.length,
+          description: `Given as the callback number in ${messages.length} scam ${messages.length === 1 ? 'message' : 'messages'}`
+        });
+      }
+    }
+
+    for (const domain of campaign.domains) {
+      const domainIndicator = indicator(`domain:${domain}`, `Scam domain ${domain}`,
+        `[domain-name:value = '${stixString(domain)}']`, campaign.firstSeen, campaign.lastSeen, ['phishing']);
+      relate(domainIndicator, 'indicates', stixCampaign, campaign.firstSeen, campaign.lastSeen);
+    }
+  }
+
+  for (const call of intel.calls) {
+    const { indicators } = call;
+    const at = call.extractedAt;
+    const aliases = indicators.names;
+    const giftCards = indicators.giftCards.map(card => card.name);
+    const tools = indicators.remoteAccessTools.map(tool => tool.name);
+    const asked = [
+      ...(tools.length > 0 ? [`asked for remote access with ${tools.join(', ')}`] : []),
+      ...(giftCards.length > 0 ? [`asked for payment in ${giftCards.join(', ')} gift cards`] : [])
+    ];
+
+    const actor = sdo('threat-actor', `call:${call.callId}`, at, at, {
+      name: aliases[0] || `Scam operator reached at ${call.phoneNumber || 'unknown number'}`,
+      ...(aliases.length > 1 ? { aliases: aliases.slice(1) } : {}),
+      threat_actor_types: ['criminal'],
+      description: `Engaged by a SIPSentinel agent on call ${call.callId}${asked.length > 0 ? `; ${asked.join('; ')}` : ''}.`,
+      first_seen: at,
+      last_seen: at,
+      x_sipsentinel_call_id: call.callId,
+      ...(giftCards.length > 0 ? { x_sipsentinel_gift_cards: giftCards } : {})
+    });
+
+    if (call.company) relate(actor, 'impersonates', brand(call.company, at, at), at, at);
+    if (call.phoneNumber) {
+      const phone = indicator(`phone:${call.phoneNumber}`, `Scam callback number ${call.phoneNumber}`,
+        `[phone-number:value = '${stixString(call.phoneNumber)}']`, at, at, ['callback-number']);
+      relate(phone, 'indicates', actor, at, at);
+      const campaign = campaignsByCallback.get(call.phoneNumber);
+      if (campaign) relate(campaign, 'attributed-to', actor, at, at);
+    }
+
+    const callIndicators = [
+      ...indicators.wallets.map(wallet => [`wallet:${wallet.chain}:${wallet.address}`, `${wallet.chain} wallet ${wallet.address}`,
+        `[cryptocurrency-wallet:value = '${stixString(wallet.address)}']`, ['cryptocurrency', wallet.chain.toLowerCase()]]),
+      ...indicators.urls.map(entry => [`url:${entry.url}`, `Scam URL ${entry.url}`, `[url:value = '${stixString(entry.url)}']`, ['phishing']]),
+      ...indicators.domains.map(domain => [`domain:${domain}`, `Scam domain ${domain}`, `[domain-name:value = '${stixString(domain)}']`, ['phishing']]),
+      ...indicators.bankAccountNumbers.map(number => [`bank-account:${number}`, `Mule bank account ${number}`,
+        `[bank-account:account_number = '${stixString(number)}']`, ['money-mule']]),
+      ...indicators.phoneNumbers.map(number => [`phone:${number}`, `Scam phone number ${number}`,
+        `[phone-number:value = '${stixString(number)}']`, ['callback-number']])
+    ];
+    for (const [key, name, pattern, labels] of callIndicators) {
+      relate(indicator(key, name, pattern, at, at, labels), 'indicates', actor, at, at);
+    }
+
+    for (const tool of indicators.remoteAccessTools) {
+      const stixTool = sdo('tool', `remote-access:${tool.id}`, at, at, { name: tool.name, tool_types: ['remote-access'] });
+      relate(actor, 'uses', stixTool, at, at);
+    }
+  }
+
+  return {
+    type: 'bundle',
+    id: `bundle--${crypto.randomUUID()}`,
+    objects: [...objects.values()]
+  };
+}
+
+// --- MISP -------------------------------------------------------------------------------
+
+/**
+ * Build a MISP event (JSON import format).
+ * @param {Object} intel - Result of collectIntel().
+ * @param {Object} options
+ * @param {string} options.tlp - Normalized TLP level.
+ * @returns {{Event: Object}}
+ */
+function buildMispEvent(intel, { tlp }) {
+  const attributes = new Map();
+  const objects = new Map();
+  const brands = new Set();
+
+  const toTimestamp = iso => String(Math.floor(Date.parse(iso) / 1000));
+  const attribute = (type, category, value, { comment, toIds = true, firstSeen, lastSeen }) => {
+    const key = `${type}:${value}`;
+    const existing = attributes.get(key);
+    if (existing) {
+      if (firstSeen && firstSeen < existing.first_seen) existing.first_seen = firstSeen;
+      if (lastSeen && lastSeen > existing.last_seen) {
+        existing.last_seen = lastSeen;
+        existing.timestamp = toTimestamp(lastSeen);
+      }
+      return;
+    }
+    attributes.set(key, {
+      uuid: uuidv5(`misp-attribute:${key}`),
+      type,
+      category,
+      value: String(value),
+      to_ids: toIds,
+      comment,
+      ...(firstSeen ? { first_seen: firstSeen, last_seen: lastSeen || firstSeen, timestamp: toTimestamp(lastSeen || firstSeen) } : {})
+    });
+  };
+  const addBrand = company => {
+    const resolved = resolveCompany(company);
+    brands.add(resolved ? resolved.name : company);
+  };
+
+  for (const campaign of intel.campaigns) {
+    const scamType = dominant(campaign.scamTypes) || 'unknown';
+    const companies = Object.values(campaign.companies).map(company => company.name);
+    companies.forEach(addBrand);
+    const label = `campaign ${campaign.id} (${companies.join(', ') || 'unknown brand'}, ${scamType})`;
+    const seen = { firstSeen: campaign.firstSeen, lastSeen: campaign.lastSeen };
+
+    attribute('campaign-id', 'Attribution', campaign.id, {
+      comment: `${campaign.messageCount} scam messages from ${campaign.callerIdCount} caller IDs (${campaign.windowCount} in this window); ${companies.join(', ') || 'unknown brand'}, ${scamType}`,
+      toIds: false,
+      ...seen
+    });
+    for (const number of campaign.callbackNumbers) {
+      const messages = campaign.messages.filter(message => message.callbackNumber === number);
+      attribute('phone-number', 'Financial fraud', number, {
+        comment: `Scam callback number in ${label}${messages.length > 0 ? `; ${messages.length} messages in this window` : ''}`,
+        firstSeen: messages[0]?.at || campaign.firstSeen,
+        lastSeen: messages[messages.length - 1]?.at || campaign.lastSeen
+      });
+    }
+    for (const domain of campaign.domains) {
+      attribute('domain', 'Network activity', domain, { comment: `Scam domain in ${label}`, ...seen });
+    }
+  }
+
+  for (const call of intel.calls) {
+    const { indicators } = call;
+    const seen = { firstSeen: call.extractedAt, lastSeen: call.extractedAt };
+    const source = `agent call ${call.callId}`;
+    if (call.company) addBrand(call.company);
+
+    if (call.phoneNumber) {
+      attribute('phone-number', 'Financial fraud', call.phoneNumber, { comment: `Scam number engaged on ${source}`, ...seen });
+    }
+    indicators.phoneNumbers.forEach(number =>
+      attribute('phone-number', 'Financial fraud', number, { comment: `Phone number given on ${source}`, ...seen }));
+    indicators.urls.forEach(entry =>
+      attribute('url', 'Network activity', entry.url, { comment: `URL given on ${source}`, ...seen }));
+    indicators.domains.forEach(domain =>
+      attribute('domain', 'Network activity', domain, { comment: `Domain given on ${source}`, ...seen }));
+    indicators.bankAccountNumbers.forEach(number =>
+      attribute('bank-account-nr', 'Financial fraud', number, { comment: `Bank account given on ${source}`, ...seen }));
+    indicators.bankRoutingNumbers.forEach(number =>
+      attribute('aba-rtn', 'Financial fraud', number, { comment: `Routing number given on ${source}`, toIds: false, ...seen }));
+    indicators.names.forEach(name =>
+      attribute('text', 'Attribution', name, { comment: `Name or alias used by the scammer on ${source}`, toIds: false, ...seen }));
+    indicators.remoteAccessTools.forEach(tool =>
+      attribute('text', 'Other', tool.name, { comment: `Remote-access tool requested on ${source}`, toIds: false, ...seen }));
+    indicators.giftCards.forEach(card =>
+      attribute('text', 'Financial fraud', `${card.name} gift card`, { comment: `Gift card payment requested on ${source}`, toIds: false, ...seen }));
+
+    for (const wallet of indicators.wallets) {
+      const key = `${wallet.chain}:${wallet.chain === 'ETH' ? wallet.address.toLowerCase() : wallet.address}`;
+      if (objects.has(key)) continue;
+      objects.set(key, {
+        uuid: uuidv5(`misp-object:coin-address:${key}`),
+        name: 'coin-address',
+        meta_category: 'financial',
+        comment: `Wallet given on ${source}`,
+        first_seen: call.extractedAt,
+        Attribute: [
+          { uuid: uuidv5(`misp-object-attribute:${key}:address`), object_relation: 'address', type: 'btc', category: 'Financial fraud', value: wallet.address, to_ids: true },
+          { uuid: uuidv5(`misp-object-attribute:${key}:symbol`), object_relation: 'symbol', type: 'text', category: 'Other', value: wallet.chain, to_ids: false }
+        ]
+      });
+    }
+  }
+
+  return {
+    Event: {
+      uuid: uuidv5(`misp-event:${intel.since}:${intel.until}`),
+      info: `SIPSentinel scam intelligence ${intel.since.slice(0, 10)} to ${intel.until.slice(0, 10)}`,
+      date: intel.until.slice(0, 10),
+      timestamp: toTimestamp(intel.until),
+      threat_level_id: '2',
+      analysis: '2',
+      distribution: MISP_DISTRIBUTION[tlp],
+      published: false,
+      Tag: [
+        { name: `tlp:${tlp}` },
+        ...[...brands].sort().map(name => ({ name: `sipsentinel:impersonated-brand="${name}"` }))
+      ],
+      Attribute: [...attributes.values()],
+      Object: [...objects.values()]
+    }
+  };
+}
+
+// --- Export -----------------------------------------------------------------------------
+
+/**
+ * Export the intelligence gathered in a time window.
+ * @param {Object} [options] - See resolveExportOptions().
+ * @returns {Promise<{format: string, since: string, until: string, tlp: string, contentType: string,
+ *   document: Object, stats: {campaigns: number, calls: number, items: number}}>}
+ */
+async function exportIntel(options = {}) {
+  const resolved = resolveExportOptions(options);
+  const intel = await collectIntel(resolved);
+
+  const document = resolved.format === 'stix'
+    ? buildStixBundle(intel, resolved)
+    : buildMispEvent(intel, resolved);
+  const items = resolved.format === 'stix'
+    ? document.objects.length
+    : document.Event.Attribute.length + document.Event.Object.length;
+
+  console.log(`📤 Exported ${intel.campaigns.length} campaigns and ${intel.calls.length} agent calls as ${resolved.format.toUpperCase()} (${items} items, TLP:${resolved.tlp.toUpperCase()})`);
+  return {
+    ...resolved,
+    contentType: resolved.format === 'stix' ? 'application/stix+json;version=2.1' : 'application/json',
+    document,
+    stats: { campaigns: intel.campaigns.length, calls: intel.calls.length, items }
+  };
+}
+
+/**
+ * Check a request's credentials for the export API: `Authorization: Bearer <INTEL_EXPORT_TOKEN>`
+ * or `X-API-Key: <INTEL_EXPORT_TOKEN>`. Always false when no token is configured.
+ * @param {Object} headers - Request headers (lower-case names, as Node provides them).
+ * @returns {boolean}
+ */
+function isExportAuthorized(headers = {}) {
+  return isTokenAuthorized(headers, process.env.INTEL_EXPORT_TOKEN);
+}
+
+module.exports = {
+  exportIntel,
+  collectIntel,
+  buildStixBundle,
+  buildMispEvent,
+  resolveExportOptions,
+  parseTimeBound,
+  isExportAuthorized,
+  uuidv5,
+  FORMATS,
+  STIX_TLP_MARKINGS
+};
@@ -0,0 +1,545 @@
+/**
+ * IOC Extractor
+ * Mines agent call transcripts for indicators of compromise: crypto wallet addresses (BTC, ETH
+ * and TRX, checksum-validated), URLs and domains, remote-access tools the scammer asked for,
+ * gift card brands, bank routing and account numbers, names and aliases the scammer used, and
+ * any other phone numbers they gave.
+ *
+ * Only the scammer's side of the conversation is mined when speaker roles are available, so
+ * the agent's own bait (fake names, fake account numbers) never becomes an indicator.
+ *
+ * Results are stored per call in Redis when Upstash is configured (in memory otherwise) with an
+ * index from each indicator to the calls it appeared in, so a wallet, domain or alias can be
+ * searched across every engagement. IOC_RETENTION_DAYS sets how long they are kept.
+ */
+
+const { formatToE164 } = require('./phone-utils');
+const { resolveCompany } = require('./company-resolver');
+const { analyzeUrls } = require('./url-analyzer');
+const { extractCallbackNumbers } = require('./callback-extractor');
+const { extractWalletAddresses, validateWalletAddress } = require('./crypto-wallets');
+
+const DEFAULT_RETENTION_DAYS = 365;
+
+const REMOTE_ACCESS_TOOLS = [
+  { id: 'anydesk', name: 'AnyDesk', pattern: /\bany\s?desk\b/i, domains: ['anydesk.com'] },
+  { id: 'teamviewer', name: 'TeamViewer', pattern: /\bteam\s?viewer\b/i, domains: ['teamviewer.com'] },
+  { id: 'ultraviewer', name: 'UltraViewer', pattern: /\bultra\s?viewer\b/i, domains: ['ultraviewer.net'] },
+  { id: 'rustdesk', name: 'RustDesk', pattern: /\brust\s?desk\b/i, domains: ['rustdesk.com'] },
+  { id: 'screenconnect', name: 'ScreenConnect', pattern: /\b(?:screen\s?connect|connect\s?wise)\b/i, domains: ['screenconnect.com', 'connectwise.com'] },
+  { id: 'logmein', name: 'LogMeIn', pattern: /\blog\s?me\s?in\b/i, domains: ['logmein.com'] },
+  { id: 'splashtop', name: 'Splashtop', pattern: /\bsplash\s?top\b/i, domains: ['splashtop.com'] },
+  { id: 'quick_assist', name: 'Quick Assist', pattern: /\bquick\s?assist\b/i, domains: [] }
+];
+
+// Brands only count in a sentence about gift cards (unless the brand is itself a voucher)
+const GIFT_CARD_BRANDS = [
+  { id: 'google_play', name: 'Google Play', pattern: /\bgoogle\s?play\b/i },
+  { id: 'apple', name: 'Apple', pattern: /\b(?:apple|itunes|app\s?store)\b/i },
+  { id: 'amazon', name: 'Amazon', pattern: /\bamazon\b/i },
+  { id: 'steam', name: 'Steam', pattern: /\bsteam\b/i },
+  { id: 'target', name: 'Target', pattern: /\btarget\b/i },
+  { id: 'walmart', name: 'Walmart', pattern: /\bwal-?mart\b/i },
+  { id: 'ebay', name: 'eBay', pattern: /\be-?bay\b/i },
+  { id: 'best_buy', name: 'Best Buy', pattern: /\bbest\s?buy\b/i },
+  { id: 'home_depot', name: 'Home Depot', pattern: /\bhome\s?depot\b/i },
+  { id: 'sephora', name: 'Sephora', pattern: /\bsephora\b/i },
+  { id: 'razer_gold', name: 'Razer Gold', pattern: /\brazer\s?gold\b/i },
+  { id: 'vanilla', name: 'Vanilla', pattern: /\bvanilla\b/i },
+  { id: 'visa', name: 'Visa', pattern: /\bvisa\b/i },
+  { id: 'green_dot', name: 'Green Dot', pattern: /\bgreen\s?dot\b/i, alwaysGiftCard: true },
+  { id: 'paysafecard', name: 'Paysafecard', pattern: /\bpaysafe\s?card\b/i, alwaysGiftCard: true }
+];
+
+const GIFT_CARD_CONTEXT = /\b(?:gift\s?cards?|e-?gift|prepaid\s?cards?|vouchers?|redeem|redemption|claim\s?codes?|scratch|(?:numbers?|pin|code) on the back)\b/i;
+
+const ROUTING_CUE = /\b(?:routing|aba|transit|wire)\b/i;
+const ACCOUNT_CUE = /\b(?:account|acct)\b/i;
+const CUE_WINDOW = 50;
+const DIGIT_RUN_PATTERN = /(?<!\d)\d(?:[ -]?\d){5,16}(?!\d)/g;
+
+const NAME_CUE_PATTERN = /\b(?:my name is|my name's|this is|i am|i'm|call me|ask for|you(?:'re| are) speaking (?:to|with))\s+((?:[A-Za-z][A-Za-z'.-]*\s+){0,2}[A-Za-z][A-Za-z'-]*)/gi;
+const TITLE_NAME_PATTERN = /\b(?:Officer|Agent|Detective|Sergeant|Inspector|Deputy|Marshal|Captain|Lieutenant)\s+[A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+)?/g;
+const NAME_TITLES = ['mr', 'mrs', 'ms', 'miss', 'dr', 'officer', 'agent', 'detective', 'sergeant', 'inspector', 'deputy', 'marshal', 'captain', 'lieutenant'];
+const NOT_NAMES = new Set([
+  'a', 'an', 'the', 'am', 'calling', 'here', 'from', 'with', 'your', 'not', 'just', 'very', 'so', 'going',
+  'gonna', 'sorry', 'okay', 'ok', 'yes', 'no', 'hello', 'hi', 'speaking', 'sir', 'madam', 'maam', 'trying',
+  'looking', 'sure', 'fine', 'good', 'glad', 'happy', 'afraid', 'telling', 'asking', 'still', 'also', 'really',
+  'department', 'security', 'support', 'customer', 'service', 'services', 'team', 'fraud', 'technical', 'tech',
+  'bank', 'on', 'in', 'at', 'and', 'or', 'waiting', 'there', 'that', 'it', 'what', 'who', 'regarding', 'about',
+  'for', 'to', 'of', 'is', 'was', 'my', 'our', 'their', 'his', 'her', 'officer', 'agent', 'senior',
+  'supervisor', 'manager', 'representative', 'right', 'ready', 'done', 'back', 'now', 'again', 'please'
+]);
+
+/**
+ * Indicator types as stored in the search index, in display order.
+ */
+const INDICATOR_TYPES = ['wallet', 'url', 'domain', 'remote_access_tool', 'gift_card', 'bank_routing', 'bank_account', 'name', 'phone'];
+
+// In-memory fallback when Redis is not configured
+const memoryStore = {
+  values: new Map(), // key -> value
+  sets: new Map(), // key -> Set
+  recent: new Map() // callId -> extractedAt (ms)
+};
+
+function isRedisConfigured() {
+  return !!(process.env.UPSTASH_REDIS_URL && process.env.UPSTASH_REDIS_REST_TOKEN);
+}
+
+function getRetentionDays() {
+  const days = parseInt(process.env.IOC_RETENTION_DAYS, 10);
+  return days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+// --- Scammer text -----------------------------------------------------------------------
+
+/**
+ * Get what the scammer said. VAPI messages use role "user" for the person the agent called;
+ * transcripts prefix those lines with "User:". Text without speaker labels is used whole.
+ * @param {Object} params
+ * @param {string} [params.transcript]
+ * @param {Object[]} [params.messages] - VAPI artifact messages.
+ * @returns {string}
+ */
+function getScammerText({ transcript, messages } = {}) {
+  if (Array.isArray(messages) && messages.length > 0) {
+    const spoken = messages
+      .filter(message => message && message.role === 'user')
+      .map(message => message.message || message.content || '')
+      .filter(Boolean);
+    if (spoken.length > 0) return spoken.join('\n');
+  }
+
+  if (!transcript || typeof transcript !== 'string') return '';
+  const lines = transcript.split('\n');
+  const labelled = lines.filter(line => /^\s*(?:user|customer|ai|assistant|bot|agent)\s*:/i.test(line));
+  if (labelled.length === 0) return transcript;
+  return lines
+    .filter(line => /^\s*(?:user|customer)\s*:/i.test(line))
+    .map(line => line.replace(/^\s*(?:user|customer)\s*:\s*/i, ''))
+    .join('\n');
+}
+
+// --- Extractors -------------------------------------------------------------------------
+
+function splitSentences(text) {
+  return text.split(/(?<=[.!?])\s+|\n+/).filter(sentence => sentence.trim());
+}
+
+function isAbaRoutingNumber(digits) {
+  if (!/^\d{9}$/.test(digits)) return false;
+  const d = [...digits].map(Number);
+  const sum = 3 * (d[0] + d[3] + d[6]) + 7 * (d[1] + d[4] + d[7]) + (d[2] + d[5] + d[8]);
+  return sum % 10 === 0;
+}
+
+function findBankNumbers(text) {
+  const routing = [];
+  const accounts = [];
+  const spans = [];
+
+  for (const match of text.matchAll(DIGIT_RUN_PATTERN)) {
+    const digits = match[0].replace(/\D/g, '');
+    const before = text.slice(Math.max(0, match.index - CUE_WINDOW), match.index);
+    const span = { start: match.index, end: match.index + match[0].length };
+
+    if (digits.length === 9 && isAbaRoutingNumber(digits) && ROUTING_CUE.test(before)) {
+      if (!routing.includes(digits)) routing.push(digits);
+      spans.push(span);
+    } else if (ACCOUNT_CUE.test(before)) {
+      if (!accounts.includes(digits)) accounts.push(digits);
+      spans.push(span);
+    }
+  }
+  return { routing, accounts, spans };
+}
+
+function findRemoteAccessTools(text, domains) {
+  return REMOTE_ACCESS_TOOLS
+    .filter(tool => tool.pattern.test(text) || tool.domains.some(domain => domains.includes(domain)))
+    .map(({ id, name }) => ({ id, name }));
+}
+
+function findGiftCards(text) {
+  const sentences = splitSentences(text);
+  const found = new Map();
+
+  sentences.forEach((sentence, index) => {
+    const context = sentences.slice(Math.max(0, index - 1), index + 2).join(' ');
+    const giftCardContext = GIFT_CARD_CONTEXT.test(context);
+    for (const brand of GIFT_CARD_BRANDS) {
+      if (found.has(brand.id) || !brand.pattern.test(sentence)) continue;
+      if (giftCardContext || brand.alwaysGiftCard) found.set(brand.id, { id: brand.id, name: brand.name });
+    }
+  });
+  return [...found.values()];
+}
+
+function cleanName(words) {
+  const kept = [];
+  for (const word of words) {
+    const bare = word.replace(/\.$/, '');
+    if (NAME_TITLES.includes(bare.toLowerCase()) && kept.length === 0) {
+      kept.push(bare[0].toUpperCase() + bare.slice(1).toLowerCase());
+      continue;
+    }
+    if (!/^[A-Z]/.test(bare) || NOT_NAMES.has(bare.toLowerCase())) break;
+    kept.push(bare);
+    // The name ends with its sentence
+    if (word.endsWith('.')) break;
+  }
+  // A title alone is not a name
+  const nameWords = kept.filter(word => !NAME_TITLES.includes(word.toLowerCase()));
+  if (nameWords.length === 0) return null;
+  // "This is Coinbase" names the impersonated company, not a person
+  if (resolveCompany(nameWords.join(' '))) return null;
+  return kept.join(' ');
+}
+
+function findNames(text) {
+  const names = new Map();
+  const add = name => {
+    if (name && !names.has(name.toLowerCase())) names.set(name.toLowerCase(), name);
+  };
+
+  for (const match of text.matchAll(NAME_CUE_PATTERN)) {
+    add(cleanName(match[1].split(/\s+/)));
+  }
+  for (const match of text.matchAll(TITLE_NAME_PATTERN)) {
+    add(cleanName(match[0].split(/\s+/)));
+  }
+  // "Officer Smith" and "Smith" from the same call are one alias; keep the fuller form
+  return [...names.values()].filter(name =>
+    ![...names.values()].some(other => other !== name && other.toLowerCase().endsWith(` ${name.toLowerCase()}`)));
+}
+
+/**
+ * Extract indicators of compromise from an agent call.
+ * @param {Object} params
+ * @param {string} [params.transcript] - Full call transcript.
+ * @param {Object[]} [params.messages] - VAPI artifact messages (preferred: they carry speaker roles).
+ * @param {string[]} [params.excludeNumbers] - Numbers that are not indicators (the number the agent dialed).
+ * @returns {{wallets: Object[], urls: Object[], domains: string[], remoteAccessTools: Object[],
+ *   giftCards: Object[], bankRoutingNumbers: string[], bankAccountNumbers: string[], names: string[],
+ *   phoneNumbers: string[]}}
+ */
+function extractIndicators({ transcript, messages, excludeNumbers = [] } = {}) {
+  const text = getScammerText({ transcript, messages });
+
+  const urlAnalysis = analyzeUrls(text);
+  const toolDomains = REMOTE_ACCESS_TOOLS.flatMap(tool => tool.domains);
+  const official = new Set([...urlAnalysis.officialDomains, ...toolDomains]);
+  const urls = urlAnalysis.urls
+    .filter(entry => !official.has(entry.domain))
+    .map(entry => ({ url: entry.url, domain: entry.domain, lookalikeOf: entry.lookalikeOf || null }));
+
+  const bank = findBankNumbers(text);
+  const phoneNumbers = extractCallbackNumbers(text, {
+    excludeNumbers: [process.env.TWILIO_PHONE_NUMBER, ...excludeNumbers]
+  })
+    .filter(candidate => candidate.start === null ||
+      !bank.spans.some(span => candidate.start < span.end && span.start < candidate.end))
+    .map(candidate => candidate.e164);
+
+  return {
+    wallets: extractWalletAddresses(text),
+    urls,
+    domains: [...new Set(urls.map(entry => entry.domain))],
+    remoteAccessTools: findRemoteAccessTools(text, urlAnalysis.domains),
+    giftCards: findGiftCards(text),
+    bankRoutingNumbers: bank.routing,
+    bankAccountNumbers: bank.accounts,
+    names: findNames(text),
+    phoneNumbers
+  };
+}
+
+/**
+ * Count the indicators in an extraction result.
+ * @param {Object} indicators - Result of extractIndicators().
+ * @returns {number}
+ */
+function countIndicators(indicators) {
+  return Object.values(indicators || {}).reduce((sum, list) => sum + (Array.isArray(list) ? list.length : 0), 0);
+}
+
+// --- Search index -----------------------------------------------------------------------
+
+function normalizeWallet(address) {
+  const wallet = validateWalletAddress(address);
+  if (!wallet) return null;
+  return wallet.chain === 'ETH' ? wallet.address.toLowerCase() : wallet.address;
+}
+
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Index entries ([type, value]) for one call's indicators
+function toIndexEntries(indicators) {
+  return [
+    ...indicators.wallets.map(wallet => ['wallet', normalizeWallet(wallet.address)]),
+    ...indicators.urls.map(entry => ['url', entry.url.toLowerCase()]),
+    ...indicators.domains.map(domain => ['domain', domain]),
+    ...indicators.remoteAccessTools.map(tool => ['remote_access_tool', tool.id]),
+    ...indicators.giftCards.map(card => ['gift_card', card.id]),
+    ...indicators.bankRoutingNumbers.map(number => ['bank_routing', number]),
+    ...indicators.bankAccountNumbers.map(number => ['bank_account', number]),
+    ...indicators.names.map(name => ['name', normalizeName(name)]),
+    ...indicators.phoneNumbers.map(number => ['phone', number])
+  ].filter(([, value]) => value);
+}
+
+// Every index entry a search query could mean
+function queryToIndexEntries(query) {
+  const value = String(query).trim();
+  const entries = [];
+
+  const wallet = normalizeWallet(value);
+  if (wallet) entries.push(['wallet', wallet]);
+
+  const [link] = analyzeUrls(value).urls;
+  if (link) {
+    entries.push(['url', link.url.toLowerCase()], ['domain', link.domain]);
+  }
+
+  const digits = value.replace(/[\s-]/g, '');
+  if (/^\d{6,17}$/.test(digits)) {
+    entries.push(['bank_routing', digits], ['bank_account', digits]);
+  }
+  const phone = formatToE164(value);
+  if (phone) entries.push(['phone', phone]);
+
+  for (const tool of REMOTE_ACCESS_TOOLS) {
+    if (tool.id === value.toLowerCase() || tool.pattern.test(value)) entries.push(['remote_access_tool', tool.id]);
+  }
+  for (const brand of GIFT_CARD_BRANDS) {
+    if (brand.id === value.toLowerCase() || brand.pattern.test(value)) entries.push(['gift_card', brand.id]);
+  }
+  if (/[a-z]/i.test(value)) entries.push(['name', normalizeName(value)]);
+
+  return entries;
+}
+
+// --- Storage primitives (Redis or memory) -----------------------------------------------
+
+const keys = {
+  call: callId => `call_iocs:${callId}`,
+  index: (type, value) => `ioc_index:${type}:${value}`,
+  recent: () => 'call_iocs:recent'
+};
+
+async function getValue(key) {
+  if (!isRedisConfigured()) return memoryStore.values.get(key) || null;
+  const { redis } = require('./redis-service');
+  const value = await redis.get(key);
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+async function setValue(key, value, ttlSeconds) {
+  if (!isRedisConfigured()) {
+    memoryStore.values.set(key, value);
+    return;
+  }
+  const { redis } = require('./redis-service');
+  await redis.set(key, JSON.stringify(value), { ex: ttlSeconds });
+}
+
+async function addToSet(key, member, ttlSeconds) {
+  if (!isRedisConfigured()) {
+    if (!memoryStore.sets.has(key)) memoryStore.sets.set(key, new Set());
+    memoryStore.sets.get(key).add(member);
+    return;
+  }
+  const { redis } = require('./redis-service');
+  await redis.sadd(key, member);
+  await redis.expire(key, ttlSeconds);
+}
+
+async function getSetMembers(key) {
+  if (!isRedisConfigured()) return Array.from(memoryStore.sets.get(key) || []);
+  const { redis } = require('./redis-service');
+  return (await redis.smembers(key)) || [];
+}
+
+async function touchRecent(callId, extractedAtMs, retentionDays) {
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  if (!isRedisConfigured()) {
+    memoryStore.recent.set(callId, extractedAtMs);
+    for (const [id, at] of memoryStore.recent) {
+      if (at < cutoff) memoryStore.recent.delete(id);
+    }
+    return;
+  }
+  const { redis } = require('./redis-service');
+  await redis.zadd(keys.recent(), { score: extractedAtMs, member: callId });
+  await redis.zremrangebyscore(keys.recent(), 0, cutoff);
+}
+
+async function getRecentIds(limit) {
+  if (!isRedisConfigured()) {
+    return Array.from(memoryStore.recent.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([id]) => id);
+  }
+  const { redis } = require('./redis-service');
+  return (await redis.zrange(keys.recent(), 0, limit - 1, { rev: true })) || [];
+}
+
+// Calls extracted between sinceMs and untilMs, newest first
+async function getIdsInWindow(sinceMs, untilMs) {
+  if (!isRedisConfigured()) {
+    return Array.from(memoryStore.recent.entries())
+      .filter(([, at]) => at >= sinceMs && at <= untilMs)
+      .sort((a, b) => b[1] - a[1])
+      .map(([id]) => id);
+  }
+  const { redis } = require('./redis-service');
+  return ((await redis.zrange(keys.recent(), sinceMs, untilMs, { byScore: true })) || []).reverse();
+}
+
+async function countRecent() {
+  if (!isRedisConfigured()) return memoryStore.recent.size;
+  const { redis } = require('./redis-service');
+  return (await redis.zcard(keys.recent())) || 0;
+}
+
+// --- Public API -------------------------------------------------------------------------
+
+/**
+ * Extract and store the indicators of one agent call. Safe to call again for the same call
+ * (the record is replaced and index entries are sets).
+ * @param {string} callId - VAPI call id.
+ * @param {Object} params
+ * @param {string} [params.transcript]
+ * @param {Object[]} [params.messages] - VAPI artifact messages.
+ * @param {string} [params.phoneNumber] - Number the agent called (not itself an indicator).
+ * @param {string} [params.company] - Impersonated company.
+ * @param {string} [params.timestamp] - ISO time (defaults to now).
+ * @returns {Promise<Object|null>} Stored record ({callId, phoneNumber, company, extractedAt,
+ *   indicators, indicatorCount}), or null when the call had no transcript or storing failed.
+ */
+async function recordCallIndicators(callId, { transcript, messages, phoneNumber, company, timestamp } = {}) {
+  if (!callId || (!transcript && !(Array.isArray(messages) && messages.length > 0))) return null;
+
+  const indicators = extractIndicators({ transcript, messages, excludeNumbers: [phoneNumber].filter(Boolean) });
+  const extractedAt = timestamp || new Date().toISOString();
+  const record = {
+    callId,
+    phoneNumber: formatToE164(phoneNumber) || phoneNumber || null,
+    company: company || null,
+    extractedAt,
+    indicators,
+    indicatorCount: countIndicators(indicators)
+  };
+
+  const retentionDays = getRetentionDays();
+  const ttlSeconds = retentionDays * 24 * 60 * 60;
+  try {
+    await setValue(keys.call(callId), record, ttlSeconds);
+    for (const [type, value] of toIndexEntries(indicators)) {
+      await addToSet(keys.index(type, value), callId, ttlSeconds);
+    }
+    await touchRecent(callId, new Date(extractedAt).getTime(), retentionDays);
+    return record;
+  } catch (error) {
+    console.error(`❌ Error storing indicators for call ${callId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the stored indicators of one call.
+ * @param {string} callId
+ * @returns {Promise<Object|null>}
+ */
+async function getCallIndicators(callId) {
+  if (!callId) return null;
+  try {
+    return await getValue(keys.call(callId));
+  } catch (error) {
+    console.error(`❌ Error reading indicators for call ${callId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * List the calls with extracted indicators, newest first.
+ * @param {Object} [options]
+ * @param {number} [options.limit=20]
+ * @returns {Promise<{calls: Object[], total: number}>}
+ */
+async function listCallIndicators({ limit = 20 } = {}) {
+  try {
+    const ids = await getRecentIds(limit);
+    const calls = (await Promise.all(ids.map(callId => getValue(keys.call(callId))))).filter(Boolean);
+    return { calls, total: await countRecent() };
+  } catch (error) {
+    console.error('❌ Error listing call indicators:', error.message);
+    return { calls: [], total: 0 };
+  }
+}
+
+/**
+ * List the calls whose indicators were extracted in a time window (for threat-intel export).
+ * @param {Object} params
+ * @param {string} params.since - ISO start of the window.
+ * @param {string} [params.until] - ISO end of the window (default now).
+ * @returns {Promise<Object[]>} Stored records, newest first.
+ */
+async function listCallIndicatorsInWindow({ since, until = new Date().toISOString() } = {}) {
+  try {
+    const ids = await getIdsInWindow(Date.parse(since), Date.parse(until));
+    return (await Promise.all(ids.map(callId => getValue(keys.call(callId))))).filter(Boolean);
+  } catch (error) {
+    console.error('❌ Error listing call indicators in window:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Find the calls in which an indicator appeared. The query may be a wallet address, URL,
+ * domain, phone number, bank number, tool or gift card brand, or a name.
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {string} [options.type] - Restrict to one of INDICATOR_TYPES.
+ * @param {number} [options.limit=50] - Maximum calls returned.
+ * @returns {Promise<{query: string, matches: Array<{type: string, value: string, callIds: string[]}>, calls: Object[]}>}
+ */
+async function searchIndicators(query, { type = null, limit = 50 } = {}) {
+  const result = { query, matches: [], calls: [] };
+  if (!query || !String(query).trim()) return result;
+
+  try {
+    const entries = queryToIndexEntries(query).filter(([entryType]) => !type || entryType === type);
+    for (const [entryType, value] of entries) {
+      const callIds = await getSetMembers(keys.index(entryType, value));
+      if (callIds.length > 0) result.matches.push({ type: entryType, value, callIds });
+    }
+
+    const callIds = [...new Set(result.matches.flatMap(match => match.callIds))];
+    result.calls = (await Promise.all(callIds.map(callId => getValue(keys.call(callId)))))
+      .filter(Boolean)
+      .sort((a, b) => new Date(b.extractedAt) - new Date(a.extractedAt))
+      .slice(0, limit);
+  } catch (error) {
+    console.error('❌ Error searching indicators:', error.message);
+  }
+  return result;
+}
+
+module.exports = {
+  extractIndicators,
+  getScammerText,
+  countIndicators,
+  recordCallIndicators,
+  getCallIndicators,
+  listCallIndicators,
+  listCallIndicatorsInWindow,
+  searchIndicators,
+  INDICATOR_TYPES,
+  REMOTE_ACCESS_TOOLS,
+  GIFT_CARD_BRANDS
+};
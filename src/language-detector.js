@@ -0,0 +1,208 @@
+/**
+ * Language Detector
+ * Identifies the language of a transcript or SMS so the regex detector can add the matching
+ * keyword pack, the LLM is told what it is reading and the agent answers in the scammer's
+ * language. Non-Latin scripts (Mandarin) are recognized by script, Latin-script languages by
+ * stopword and accent counts.
+ *
+ * Languages live in config/languages.json (or LANGUAGES_PATH); SUPPORTED_LANGUAGES
+ * (comma-separated codes) restricts detection and transcription to a subset.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LANGUAGES_FILE = path.join(__dirname, '..', 'config', 'languages.json');
+
+// Used if the languages file is missing or unreadable
+const FALLBACK_CONFIG = {
+  defaultLanguage: 'en',
+  languages: [
+    { code: 'en', name: 'English', nativeName: 'English', script: 'latin', transcribeLocale: 'en-US', transcriberLanguage: 'en', stopwords: [] }
+  ]
+};
+
+// Unicode script property per config "script" value
+const SCRIPT_PATTERNS = {
+  latin: /\p{Script=Latin}/gu,
+  han: /\p{Script=Han}/gu,
+  cyrillic: /\p{Script=Cyrillic}/gu,
+  arabic: /\p{Script=Arabic}/gu,
+  hangul: /\p{Script=Hangul}/gu,
+  devanagari: /\p{Script=Devanagari}/gu
+};
+
+const DETECTION_THRESHOLDS = {
+  // Share of letters a non-Latin script needs before the text counts as that language
+  MIN_SCRIPT_SHARE: 0.3,
+  // Stopword/marker hits at which a Latin-script guess reaches full confidence
+  FULL_CONFIDENCE_HITS: 3
+};
+
+let cachedConfig = null;
+
+/**
+ * Load the language table.
+ * @param {string} [filePath] - Defaults to LANGUAGES_PATH or config/languages.json.
+ * @returns {{defaultLanguage: string, languages: Object[]}}
+ */
+function loadLanguageConfig(filePath = process.env.LANGUAGES_PATH || DEFAULT_LANGUAGES_FILE) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.warn(`⚠️ Could not load languages from ${filePath}, using English only: ${error.message}`);
+    return { ...FALLBACK_CONFIG };
+  }
+
+  const enabled = (process.env.SUPPORTED_LANGUAGES || '')
+    .split(',')
+    .map(code => code.trim().toLowerCase())
+    .filter(Boolean);
+
+  const languages = (parsed.languages || [])
+    .filter(language => language && typeof language.code === 'string')
+    .map(language => ({
+      ...language,
+      code: language.code.toLowerCase(),
+      name: language.name || language.code,
+      nativeName: language.nativeName || language.name || language.code,
+      script: language.script || 'latin',
+      stopwords: (language.stopwords || []).map(word => String(word).toLowerCase()),
+      markers: language.markers || '',
+      firstMessages: language.firstMessages || {},
+      endCallPhrases: language.endCallPhrases || []
+    }))
+    .filter(language => enabled.length === 0 || enabled.includes(language.code));
+
+  const defaultLanguage = (parsed.defaultLanguage || 'en').toLowerCase();
+  if (languages.length === 0) {
+    return { ...FALLBACK_CONFIG };
+  }
+  return {
+    defaultLanguage: languages.some(language => language.code === defaultLanguage) ? defaultLanguage : languages[0].code,
+    languages
+  };
+}
+
+/**
+ * Get the cached language table.
+ * @returns {{defaultLanguage: string, languages: Object[]}}
+ */
+function getLanguageConfig() {
+  if (!cachedConfig) {
+    cachedConfig = loadLanguageConfig();
+  }
+  return cachedConfig;
+}
+
+/**
+ * Drop the cached language table so it is reloaded on next use.
+ */
+function reloadLanguageConfig() {
+  cachedConfig = null;
+}
+
+/**
+ * Find a configured language by code, locale or name ("es", "es-US", "Spanish", "zh-CN").
+ * @param {string} value
+ * @param {Object} [config]
+ * @returns {Object|null}
+ */
+function resolveLanguage(value, config = getLanguageConfig()) {
+  if (!value || typeof value !== 'string') return null;
+  const lower = value.trim().toLowerCase();
+  const base = lower.split(/[-_]/)[0];
+  return config.languages.find(language =>
+    language.code === lower ||
+    language.code === base ||
+    (language.transcribeLocale || '').toLowerCase() === lower ||
+    language.name.toLowerCase() === lower ||
+    language.nativeName.toLowerCase() === lower
+  ) || null;
+}
+
+/**
+ * The default (English unless configured otherwise) language.
+ * @param {Object} [config]
+ * @returns {Object}
+ */
+function getDefaultLanguage(config = getLanguageConfig()) {
+  return resolveLanguage(config.defaultLanguage, config) || config.languages[0];
+}
+
+/**
+ * Amazon Transcribe locales of the enabled languages (for automatic language identification).
+ * @returns {string[]}
+ */
+function getTranscribeLocales() {
+  return getLanguageConfig().languages.map(language => language.transcribeLocale).filter(Boolean);
+}
+
+/**
+ * Detect the language of a message.
+ * @param {string} text - Transcript or SMS body.
+ * @param {Object} [config]
+ * @returns {{language: string, name: string, locale: string|null, confidence: number, method: string, scores: Object}}
+ */
+function detectLanguage(text, config = getLanguageConfig()) {
+  const fallback = getDefaultLanguage(config);
+  const result = (language, confidence, method, scores = {}) => ({
+    language: language.code,
+    name: language.name,
+    locale: language.transcribeLocale || null,
+    confidence: Math.round(confidence * 100) / 100,
+    method,
+    scores
+  });
+
+  const letters = typeof text === 'string' ? (text.match(/\p{L}/gu) || []).length : 0;
+  if (letters === 0) {
+    return result(fallback, 0, 'default');
+  }
+
+  // Non-Latin scripts decide on their own
+  for (const language of config.languages) {
+    const pattern = SCRIPT_PATTERNS[language.script];
+    if (!pattern || language.script === 'latin') continue;
+    const share = (text.match(pattern) || []).length / letters;
+    if (share >= DETECTION_THRESHOLDS.MIN_SCRIPT_SHARE) {
+      return result(language, Math.min(share + DETECTION_THRESHOLDS.MIN_SCRIPT_SHARE, 1), 'script', { [language.code]: share });
+    }
+  }
+
+  // Latin-script languages: count stopwords and language-specific characters
+  const lower = text.toLowerCase();
+  const words = lower.match(/\p{L}+/gu) || [];
+  const scores = {};
+  for (const language of config.languages.filter(candidate => candidate.script === 'latin')) {
+    const stopwords = new Set(language.stopwords);
+    const markerHits = Array.from(lower).filter(char => language.markers.includes(char)).length;
+    scores[language.code] = words.filter(word => stopwords.has(word)).length + markerHits;
+  }
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const totalHits = ranked.reduce((sum, [, hits]) => sum + hits, 0);
+  if (ranked.length === 0 || ranked[0][1] === 0) {
+    return result(fallback, 0.3, 'default', scores);
+  }
+
+  const [bestCode, bestHits] = ranked[0];
+  // A tie keeps the default language
+  if (bestCode !== fallback.code && scores[fallback.code] === bestHits) {
+    return result(fallback, 0.5, 'stopwords', scores);
+  }
+  const confidence = (bestHits / totalHits) * Math.min(bestHits / DETECTION_THRESHOLDS.FULL_CONFIDENCE_HITS, 1);
+  return result(resolveLanguage(bestCode, config), confidence, 'stopwords', scores);
+}
+
+module.exports = {
+  detectLanguage,
+  resolveLanguage,
+  getDefaultLanguage,
+  getLanguageConfig,
+  loadLanguageConfig,
+  reloadLanguageConfig,
+  getTranscribeLocales,
+  DETECTION_THRESHOLDS
+};
@@ -0,0 +1,230 @@
+/**
+ * LLM Scam Analysis Schema
+ * JSON-Schema contract for the analysis object returned by the LLM, plus helpers to
+ * extract, coerce and validate raw model output so consumers always get the same shape.
+ */
+
+const Ajv = require('ajv');
+const { formatToE164 } = require('./phone-utils');
+
+// How the analysis object was obtained
+const PARSE_STATUS = {
+  VALID: 'valid',             // First response matched the schema
+  REPAIRED: 'repaired',       // Matched after re-asking with the validation errors
+  INVALID: 'invalid',         // Still invalid after the re-ask; defaults returned
+  UNAVAILABLE: 'unavailable'  // No LLM provider answered; defaults returned
+};
+
+const CALLBACK_TYPES = ['phone_number', 'press_key', 'none'];
+
+const SCAM_ANALYSIS_SCHEMA = {
+  $id: 'https://sipsentinel/schemas/scam-analysis.json',
+  type: 'object',
+  required: ['isScam', 'impersonatedCompany', 'callbackMethod', 'phoneNumber', 'scamType', 'confidence', 'reasoning'],
+  properties: {
+    isScam: { type: 'boolean' },
+    impersonatedCompany: { type: ['string', 'null'], maxLength: 100 },
+    callbackMethod: {
+      type: 'object',
+      required: ['type', 'details'],
+      properties: {
+        type: { type: 'string', enum: CALLBACK_TYPES },
+        details: { type: ['string', 'null'] }
+      }
+    },
+    phoneNumber: { type: ['string', 'null'], pattern: '^\\+[1-9]\\d{6,14}$' },
+    scamType: { type: 'string', pattern: '^[a-z][a-z0-9_]*$' },
+    confidence: { type: 'integer', minimum: 0, maximum: 100 },
+    reasoning: { type: 'string' },
+    // Optional: language of the analyzed message ("es"); resolved against config/languages.json later
+    language: { type: ['string', 'null'], maxLength: 35 }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateSchema = ajv.compile(SCAM_ANALYSIS_SCHEMA);
+
+/**
+ * Build an analysis object with safe defaults (used when the LLM can't be used).
+ * @param {string} parseStatus - One of PARSE_STATUS.
+ * @param {string} reasoning - Why the defaults were returned.
+ * @param {string[]} [validationErrors=[]]
+ * @returns {Object}
+ */
+function buildDefaultAnalysis(parseStatus, reasoning, validationErrors = []) {
+  return {
+    isScam: false,
+    impersonatedCompany: null,
+    callbackMethod: {
+      type: 'none',
+      details: null
+    },
+    phoneNumber: null,
+    scamType: 'not_a_scam',
+    confidence: 0,
+    reasoning,
+    parseStatus,
+    validationErrors
+  };
+}
+
+/**
+ * Pull the JSON object out of a model response (plain, fenced or surrounded by prose).
+ * @param {string} text - Raw model output.
+ * @returns {string|null} The JSON text, or null if no object was found.
+ */
+function extractJsonText(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const fenced = text.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/);
+  if (fenced) return fenced[1];
+
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  return start >= 0 && end > start ? text.slice(start, end + 1) : null;
+}
+
+/**
+ * Coerce loosely-typed model output towards the schema. Values that can't be
+ * interpreted are left as-is so validation reports them.
+ * @param {Object} raw - Parsed JSON from the model.
+ * @returns {Object} Coerced copy.
+ */
+function coerceAnalysis(raw) {
+  const analysis = { ...raw };
+
+  // isScam: "true"/"yes" → true
+  if (typeof analysis.isScam === 'string') {
+    const value = analysis.isScam.trim().toLowerCase();
+    if (['true', 'yes'].includes(value)) analysis.isScam = true;
+    if (['false', 'no'].includes(value)) analysis.isScam = false;
+  }
+
+  // confidence: "85%", 0.85 or 85.4 → 85, clamped to 0-100
+  if (typeof analysis.confidence === 'string') {
+    const parsed = parseFloat(analysis.confidence.replace('%', ''));
+    if (Number.isFinite(parsed)) analysis.confidence = parsed;
+  }
+  if (typeof analysis.confidence === 'number' && Number.isFinite(analysis.confidence)) {
+    const scaled = analysis.confidence > 0 && analysis.confidence <= 1 ? analysis.confidence * 100 : analysis.confidence;
+    analysis.confidence = Math.min(100, Math.max(0, Math.round(scaled)));
+  }
+
+  // Empty strings and "null"/"none" placeholders become null
+  for (const field of ['impersonatedCompany', 'phoneNumber']) {
+    if (typeof analysis[field] === 'string' && ['', 'null', 'none', 'n/a', 'unknown'].includes(analysis[field].trim().toLowerCase())) {
+      analysis[field] = null;
+    }
+    if (analysis[field] === undefined) analysis[field] = null;
+  }
+  if (typeof analysis.impersonatedCompany === 'string') {
+    analysis.impersonatedCompany = analysis.impersonatedCompany.trim();
+  }
+
+  // Phone numbers are normalized to E.164; anything unformattable is dropped
+  if (typeof analysis.phoneNumber === 'number') analysis.phoneNumber = String(analysis.phoneNumber);
+  if (typeof analysis.phoneNumber === 'string') {
+    analysis.phoneNumber = formatToE164(analysis.phoneNumber);
+  }
+
+  // callbackMethod: a bare string becomes { type, details: null }
+  if (typeof analysis.callbackMethod === 'string') {
+    analysis.callbackMethod = { type: analysis.callbackMethod, details: null };
+  }
+  if (!analysis.callbackMethod || typeof analysis.callbackMethod !== 'object') {
+    analysis.callbackMethod = { type: analysis.phoneNumber ? 'phone_number' : 'none', details: analysis.phoneNumber };
+  } else {
+    const callbackMethod = { ...analysis.callbackMethod };
+    if (typeof callbackMethod.type === 'string') {
+      callbackMethod.type = callbackMethod.type.trim().toLowerCase().replace(/[\s-]+/g, '_');
+    }
+    if (callbackMethod.details === undefined || callbackMethod.details === '') callbackMethod.details = null;
+    if (typeof callbackMethod.details === 'number') callbackMethod.details = String(callbackMethod.details);
+    if (callbackMethod.type === 'phone_number' && callbackMethod.details === null) {
+      callbackMethod.details = analysis.phoneNumber;
+    }
+    analysis.callbackMethod = callbackMethod;
+  }
+
+  // scamType: "IT Support" → "it_support"; a non-scam defaults to not_a_scam
+  if (typeof analysis.scamType === 'string') {
+    analysis.scamType = analysis.scamType.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  }
+  if ((analysis.scamType === null || analysis.scamType === undefined || analysis.scamType === '') && analysis.isScam === false) {
+    analysis.scamType = 'not_a_scam';
+  }
+
+  if (analysis.reasoning === undefined || analysis.reasoning === null) analysis.reasoning = '';
+
+  return analysis;
+}
+
+/**
+ * Validate an analysis object against the schema.
+ * @param {Object} analysis
+ * @returns {string[]} Human-readable validation errors (empty when valid).
+ */
+function validateAnalysis(analysis) {
+  if (validateSchema(analysis)) return [];
+  return validateSchema.errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+}
+
+/**
+ * Extract, coerce and validate a raw model response.
+ * @param {string} text - Raw model output.
+ * @returns {{analysis: Object|null, errors: string[]}}
+ */
+function parseAnalysisResponse(text) {
+  const jsonText = extractJsonText(text);
+  if (!jsonText) {
+    return { analysis: null, errors: ['response does not contain a JSON object'] };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonText);
+  } catch (error) {
+    return { analysis: null, errors: [`invalid JSON: ${error.message}`] };
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { analysis: null, errors: ['response JSON is not an object'] };
+  }
+
+  const analysis = coerceAnalysis(parsed);
+  const errors = validateAnalysis(analysis);
+  return { analysis: errors.length === 0 ? analysis : null, errors };
+}
+
+/**
+ * Build the follow-up prompt used to re-ask the model after an invalid response.
+ * @param {string} originalPrompt - The first prompt.
+ * @param {string} previousResponse - The invalid response.
+ * @param {string[]} errors - Validation errors.
+ * @returns {string}
+ */
+function buildRepairPrompt(originalPrompt, previousResponse, errors) {
+  return `${originalPrompt}
+
+Your previous response did not match the required format:
+---
+${previousResponse}
+---
+
+Validation errors:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Respond again with ONLY a JSON object (no markdown, no commentary) that matches this JSON Schema:
+${JSON.stringify(SCAM_ANALYSIS_SCHEMA.properties, null, 2)}
+Phone numbers must be in E.164 format (e.g. "+18885551234") or null.`;
+}
+
+module.exports = {
+  SCAM_ANALYSIS_SCHEMA,
+  PARSE_STATUS,
+  buildDefaultAnalysis,
+  buildRepairPrompt,
+  coerceAnalysis,
+  extractJsonText,
+  parseAnalysisResponse,
+  validateAnalysis
+};
@@ -0,0 +1,303 @@
+/**
+ * LLM Provider Backends
+ * Adapters for OpenAI-compatible endpoints (OpenRouter, OpenAI, llama.cpp, vLLM...),
+ * Anthropic-style Messages APIs and local Ollama servers, plus ordered failover.
+ *
+ * Configuration (per deployment, via environment):
+ *   LLM_PROVIDERS=openrouter,ollama        Fallback order (default: openrouter)
+ *   LLM_<NAME>_TYPE=openai|anthropic|ollama
+ *   LLM_<NAME>_BASE_URL, LLM_<NAME>_MODEL, LLM_<NAME>_API_KEY, LLM_<NAME>_TIMEOUT_MS
+ * Built-in names (openrouter, openai, anthropic, ollama, llamacpp) come with defaults,
+ * so only the overrides need to be set.
+ */
+
+const axios = require('axios');
+const { OpenAI } = require('openai');
+require('dotenv').config();
+
+const PROVIDER_TYPES = {
+  OPENAI: 'openai',
+  ANTHROPIC: 'anthropic',
+  OLLAMA: 'ollama'
+};
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// Defaults for the built-in provider names
+const PROVIDER_PRESETS = {
+  openrouter: {
+    type: PROVIDER_TYPES.OPENAI,
+    baseURL: 'https://openrouter.ai/api/v1',
+    model: 'meta-llama/llama-3.3-8b-instruct:free',
+    apiKeyEnv: 'OPENROUTER_API_KEY',
+    requiresApiKey: true,
+    headers: {
+      'HTTP-Referer': 'https://sipsentinel.example.com', // Required for billing
+      'X-Title': 'SIPSentinel Scam Detector' // Shows in OpenRouter logs
+    }
+  },
+  openai: {
+    type: PROVIDER_TYPES.OPENAI,
+    baseURL: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    requiresApiKey: true
+  },
+  anthropic: {
+    type: PROVIDER_TYPES.ANTHROPIC,
+    baseURL: 'https://api.anthropic.com',
+    model: 'claude-3-5-haiku-latest',
+    apiKeyEnv: 'ANTHROPIC_API_KEY',
+    requiresApiKey: true
+  },
+  ollama: {
+    type: PROVIDER_TYPES.OLLAMA,
+    baseURL: 'http://localhost:11434',
+    model: 'llama3.1:8b',
+    requiresApiKey: false
+  },
+  llamacpp: {
+    // llama.cpp's server exposes an OpenAI-compatible /v1 API
+    type: PROVIDER_TYPES.OPENAI,
+    baseURL: 'http://localhost:8080/v1',
+    model: 'local-model',
+    requiresApiKey: false
+  }
+};
+
+/**
+ * Read the configuration for one named provider from the environment.
+ * @param {string} name - Provider name, e.g. "openrouter" or "lab-ollama".
+ * @param {Object} [env=process.env]
+ * @returns {Object|null} Provider config, or null if the type is unknown.
+ */
+function getProviderConfig(name, env = process.env) {
+  const key = name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+  const preset = PROVIDER_PRESETS[name.toLowerCase()] || {};
+  const read = suffix => env[`LLM_${key}_${suffix}`];
+
+  const type = (read('TYPE') || preset.type || '').toLowerCase();
+  if (!Object.values(PROVIDER_TYPES).includes(type)) {
+    console.warn(`⚠️ LLM provider "${name}" has unknown type "${type}" (set LLM_${key}_TYPE)`);
+    return null;
+  }
+
+  const timeout = parseInt(read('TIMEOUT_MS') || env.LLM_TIMEOUT_MS, 10);
+
+  return {
+    name,
+    type,
+    baseURL: (read('BASE_URL') || preset.baseURL || '').replace(/\/$/, ''),
+    model: read('MODEL') || preset.model,
+    apiKey: read('API_KEY') || (preset.apiKeyEnv ? env[preset.apiKeyEnv] : undefined),
+    requiresApiKey: read('REQUIRES_API_KEY') !== undefined
+      ? read('REQUIRES_API_KEY') === 'true'
+      : preset.requiresApiKey ?? type === PROVIDER_TYPES.ANTHROPIC,
+    timeout: Number.isFinite(timeout) && timeout > 0 ? timeout : DEFAULT_TIMEOUT_MS,
+    headers: preset.headers || {}
+  };
+}
+
+/**
+ * Get the provider chain in failover order.
+ * @param {Object} [env=process.env]
+ * @returns {Object[]} Provider configs.
+ */
+function getProviderChain(env = process.env) {
+  const names = (env.LLM_PROVIDERS || 'openrouter')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  return names
+    .map(name => getProviderConfig(name, env))
+    .filter(Boolean);
+}
+
+/**
+ * Whether a provider has everything it needs to be called.
+ * @param {Object} config - Provider config.
+ * @returns {boolean}
+ */
+function isProviderConfigured(config) {
+  return !!(config.baseURL && config.model && (!config.requiresApiKey || config.apiKey));
+}
+
+// OpenAI SDK clients are reused per provider name
+const openaiClients = new Map();
+
+function getOpenAIClient(config) {
+  const cacheKey = `${config.name}|${config.baseURL}|${config.apiKey}|${config.timeout}`;
+  if (!openaiClients.has(cacheKey)) {
+    openaiClients.set(cacheKey, new OpenAI({
+      // Local servers ignore the key, but the SDK insists on one
+      apiKey: config.apiKey || 'not-needed',
+      baseURL: config.baseURL,
+      timeout: config.timeout,
+      maxRetries: 0,
+      defaultHeaders: config.headers
+    }));
+  }
+  return openaiClients.get(cacheKey);
+}
+
+/**
+ * Send a chat completion to an OpenAI-compatible endpoint.
+ */
+async function completeOpenAI(config, { system, prompt, temperature, maxTokens }) {
+  const response = await getOpenAIClient(config).chat.completions.create({
+    model: config.model,
+    messages: [
+      { role: 'system', content: system },
+      { role: 'user', content: prompt }
+    ],
+    temperature,
+    max_tokens: maxTokens
+  });
+  return response.choices?.[0]?.message?.content || '';
+}
+
+/**
+ * Send a request to an Anthropic-style Messages API.
+ */
+async function completeAnthropic(config, { system, prompt, temperature, maxTokens }) {
+  const response = await axios.post(`${config.baseURL}/v1/messages`, {
+    model: config.model,
+    system,
+    messages: [{ role: 'user', content: prompt }],
+    temperature,
+    max_tokens: maxTokens
+  }, {
+    timeout: config.timeout,
+    headers: {
+      'x-api-key': config.apiKey,
+      'anthropic-version': '2023-06-01',
+      'Content-Type': 'application/json'
+    }
+  });
+
+  return (response.data?.content || [])
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+}
+
+/**
+ * Send a chat request to a local Ollama server.
+ */
+async function completeOllama(config, { system, prompt, temperature, maxTokens }) {
+  const response = await axios.post(`${config.baseURL}/api/chat`, {
+    model: config.model,
+    messages: [
+      { role: 'system', content: system },
+      { role: 'user', content: prompt }
+    ],
+    stream: false,
+    options: {
+      temperature,
+      num_predict: maxTokens
+    }
+  }, { timeout: config.timeout });
+
+  return response.data?.message?.content || '';
+}
+
+const ADAPTERS = {
+  [PROVIDER_TYPES.OPENAI]: completeOpenAI,
+  [PROVIDER_TYPES.ANTHROPIC]: completeAnthropic,
+  [PROVIDER_TYPES.OLLAMA]: completeOllama
+};
+
+/**
+ * Run a completion against a single provider.
+ * @param {Object} config - Provider config.
+ * @param {Object} request - { system, prompt, temperature, maxTokens }.
+ * @returns {Promise<string>} The model's text output.
+ */
+async function completeWithProvider(config, request) {
+  const adapter = ADAPTERS[config.type];
+  if (!adapter) {
+    throw new Error(`No adapter for provider type "${config.type}"`);
+  }
+  return adapter(config, {
+    system: request.system || '',
+    prompt: request.prompt,
+    temperature: request.temperature ?? 0.1,
+    maxTokens: request.maxTokens ?? 1000
+  });
+}
+
+/**
+ * Run a completion, trying each configured provider in order until one succeeds.
+ * @param {Object} request - { system, prompt, temperature, maxTokens }.
+ * @param {Object[]} [chain] - Provider configs; defaults to getProviderChain().
+ * @returns {Promise<{text: string, provider: string, model: string, attempts: Object[]}>}
+ * @throws {Error} If no provider is configured or every provider fails.
+ */
+async function completeWithFailover(request, chain = getProviderChain()) {
+  const attempts = [];
+
+  for (const config of chain) {
+    if (!isProviderConfigured(config)) {
+      console.log(`⏭️ Skipping LLM provider "${config.name}": not configured`);
+      attempts.push({ provider: config.name, skipped: true, error: 'not configured' });
+      continue;
+    }
+
+    const startTime = Date.now();
+    try {
+      console.log(`🧠 Calling LLM provider "${config.name}" (${config.type}, ${config.model})`);
+      const text = await completeWithProvider(config, request);
+      if (!text || !text.trim()) {
+        throw new Error('Empty response');
+      }
+      attempts.push({ provider: config.name, durationMs: Date.now() - startTime });
+      return { text, provider: config.name, model: config.model, attempts };
+    } catch (error) {
+      console.error(`❌ LLM provider "${config.name}" failed after ${Date.now() - startTime}ms: ${error.message}`);
+      attempts.push({ provider: config.name, durationMs: Date.now() - startTime, error: error.message });
+    }
+  }
+
+  const error = new Error(`All LLM providers failed (${attempts.map(a => `${a.provider}: ${a.error}`).join('; ') || 'none configured'})`);
+  error.attempts = attempts;
+  throw error;
+}
+
+/**
+ * Check that a provider is reachable (used by `sipsentinel validate`).
+ * @param {Object} config - Provider config.
+ * @returns {Promise<string>} Short description of what was found.
+ */
+async function checkProviderHealth(config) {
+  if (!isProviderConfigured(config)) {
+    throw new Error('not configured');
+  }
+
+  if (config.type === PROVIDER_TYPES.OLLAMA) {
+    const response = await axios.get(`${config.baseURL}/api/tags`, { timeout: config.timeout });
+    return `${response.data?.models?.length || 0} local models`;
+  }
+
+  if (config.type === PROVIDER_TYPES.ANTHROPIC) {
+    const response = await axios.get(`${config.baseURL}/v1/models`, {
+      timeout: config.timeout,
+      headers: { 'x-api-key': config.apiKey, 'anthropic-version': '2023-06-01' }
+    });
+    return `${response.data?.data?.length || 0} models available`;
+  }
+
+  const models = await getOpenAIClient(config).models.list();
+  return `${models.data?.length || 0} models available`;
+}
+
+module.exports = {
+  completeWithFailover,
+  completeWithProvider,
+  checkProviderHealth,
+  getProviderChain,
+  getProviderConfig,
+  isProviderConfigured,
+  PROVIDER_TYPES,
+  PROVIDER_PRESETS
+};
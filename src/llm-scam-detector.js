@@ -1,7 +1,17 @@
 /**
- * LLM-based scam detection service using OpenRouter.ai and Meta's Llama 3.3 8B model
+ * LLM-based scam detection service.
+ * Providers (OpenRouter by default, OpenAI-compatible, Anthropic or local Ollama/llama.cpp)
+ * are configured per deployment and tried in order; see src/llm-providers.js.
  */
-const { OpenAI } = require('openai');
+const { completeWithFailover } = require('./llm-providers');
+const { resolveCompany, findCompanyInText, getTranscriptionHints } = require('./company-resolver');
+const { detectLanguage, resolveLanguage } = require('./language-detector');
+const {
+  PARSE_STATUS,
+  buildDefaultAnalysis,
+  buildRepairPrompt,
+  parseAnalysisResponse
+} = require('./llm-analysis-schema');
 require('dotenv').config();
 
 // Scam detection thresholds
@@ -16,27 +26,22 @@ const SCAM_DETECTION_THRESHOLDS = {
   MIN_RECORDING_DURATION: 1
 };
 
-// Initialize OpenAI client with OpenRouter.ai endpoint
-const openai = new OpenAI({
-  apiKey: process.env.OPENROUTER_API_KEY,
-  baseURL: 'https://openrouter.ai/api/v1',
-  defaultHeaders: {
-    'HTTP-Referer': 'https://sipsentinel.example.com', // Required for billing
-    'X-Title': 'SIPSentinel Scam Detector', // Shows in OpenRouter logs
-    'Content-Type': 'application/json'
-  },
-  dangerouslyAllowBrowser: true
-});
-
 /**
  * Analyze a message using LLM to detect scams
+ * The response is validated against SCAM_ANALYSIS_SCHEMA (src/llm-analysis-schema.js);
+ * an invalid response is re-asked once. The result always has the schema's fields plus
+ * parseStatus, validationErrors, companyId, companyConfidence, provider, model and language.
  * @param {string} message - The message to analyze
+ * @param {Object} [options]
+ * @param {string} [options.language] - Known language of the message (e.g. from transcription)
  * @returns {Promise<Object>} - Analysis results
  */
-async function analyzeMessageWithLLM(message) {
+async function analyzeMessageWithLLM(message, options = {}) {
   try {
     console.log('Analyzing message with LLM:', message);
-    console.log('Using OpenRouter API key:', process.env.OPENROUTER_API_KEY ? 'Key is set' : 'Key is not set');
+
+    const knownLanguage = resolveLanguage(options.language);
+    const languageHint = knownLanguage ? ` The message is in ${knownLanguage.name}.` : '';
 
     const prompt = `
 You are a cybersecurity expert specializing in detecting scam messages, particularly voice and text scams.
@@ -57,10 +62,12 @@ IMPORTANT INSTRUCTIONS:
 
 3. For the scamType field, use "crypto_exchange" for cryptocurrency exchanges like Kraken, Coinbase, Binance, etc.
 
-4. Pay close attention to common transcription errors, e.g. "Crack and" should be interpreted as "Kraken".
+4. Pay close attention to common transcription errors, e.g. "Crack and" should be interpreted as "Kraken". Other known errors: ${getTranscriptionHints().join(', ')}.
 
 5. The "impersonatedCompany" field must contain ONLY the corrected company name, without any extra text or explanation. E.g. only say "Kraken" and not "Crack and (corrected to) Kraken".
 
+6. The message may be in any language, e.g. Spanish or Mandarin Chinese.${languageHint} Analyze it in its original language, but write "reasoning" in English and give the company's usual English name in "impersonatedCompany" (e.g. "微软" → "Microsoft"). Set "language" to the ISO 639-1 code of the message ("en", "es", "zh", ...).
+
 Message to analyze:
 ---
 ${message}
@@ -77,142 +84,118 @@ Respond with a JSON object in this exact format:
   "phoneNumber": "the exact phone number from the message or null if none",
   "scamType": "crypto_exchange" or "it_support" or "banking" or "other" or "not_a_scam",
   "confidence": 85,
-  "reasoning": "brief explanation of your analysis"
+  "reasoning": "brief explanation of your analysis",
+  "language": "en"
 }
 `;
 
-    const response = await openai.chat.completions.create({
-      model: 'meta-llama/llama-3.3-8b-instruct:free',
-      messages: [
-        { role: 'system', content: 'You are a cybersecurity expert specializing in scam detection.' },
-        { role: 'user', content: prompt }
-      ],
+    const request = {
+      system: 'You are a cybersecurity expert specializing in scam detection.',
+      prompt,
       temperature: 0.1, // Low temperature for more deterministic responses
-      max_tokens: 1000
-      // Removed response_format parameter as it's not supported by this model
-    });
-
-    const analysisText = response.choices[0].message.content;
-    console.log('LLM analysis response:', analysisText);
+      maxTokens: 1000
+    };
 
+    let completion;
     try {
-      // Extract JSON from the response (it might be wrapped in markdown code blocks)
-      let jsonStr = analysisText;
-
-      // Check if the response contains a JSON object wrapped in markdown code blocks
-      const jsonMatch = analysisText.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/);
-      if (jsonMatch && jsonMatch[1]) {
-        jsonStr = jsonMatch[1];
-        console.log('Extracted JSON from markdown code blocks:', jsonStr);
-      }
-
-      // Parse the JSON response
-      const analysis = JSON.parse(jsonStr);
-
-      // Post-processing to correct common LLM misclassifications.
-      if (analysis.impersonatedCompany) {
-        const companyLower = analysis.impersonatedCompany.toLowerCase();
-        const cryptoCompanies = ['kraken', 'coinbase', 'binance'];
-        if (cryptoCompanies.includes(companyLower)) {
-          console.log(`Correcting scamType to 'crypto_exchange' for company: ${analysis.impersonatedCompany}`);
-          analysis.scamType = 'crypto_exchange';
-        }
-      }
-      
-      // Validate the analysis object
-      if (!analysis.isScam || !analysis.scamType || !analysis.impersonatedCompany) {
-        console.warn('LLM analysis missing required fields:', analysis);
-      }
+      completion = await completeWithFailover(request);
+    } catch (error) {
+      console.error('Error analyzing message with LLM:', error.message);
+      // Callers fall back to the regex detector
+      return finalizeAnalysis(
+        buildDefaultAnalysis(PARSE_STATUS.UNAVAILABLE, `Error calling LLM API: ${error.message}`),
+        message,
+        options
+      );
+    }
+    console.log(`LLM analysis response (${completion.provider}):`, completion.text);
 
-      return analysis;
-    } catch (parseError) {
-      console.error('Error parsing LLM response as JSON:', parseError);
-      console.log('Raw response:', analysisText);
+    let { analysis, errors } = parseAnalysisResponse(completion.text);
+    let parseStatus = PARSE_STATUS.VALID;
 
-      // Try to extract information from the response using regex
+    // Re-ask once with the validation errors attached
+    if (!analysis) {
+      console.warn('LLM response failed schema validation, re-asking once:', errors);
       try {
-        console.log('Attempting to extract information using regex...');
-
-        // Check if it contains "isScam": true or similar
-        const isScam = /["']isScam["']\s*:\s*true/i.test(analysisText);
-
-        // Try to extract the impersonated company
-        let impersonatedCompany = null;
-        const companyMatch = analysisText.match(/["']impersonatedCompany["']\s*:\s*["']([^"']+)["']/i);
-        if (companyMatch && companyMatch[1]) {
-          impersonatedCompany = companyMatch[1];
-        }
-
-        // Try to extract the callback method
-        let callbackMethod = { type: 'none', details: null };
-        const callbackTypeMatch = analysisText.match(/["']type["']\s*:\s*["']([^"']+)["']/i);
-        if (callbackTypeMatch && callbackTypeMatch[1]) {
-          callbackMethod.type = callbackTypeMatch[1];
-        }
-
-        // Try to extract the scam type
-        let scamType = 'not_a_scam';
-        const scamTypeMatch = analysisText.match(/["']scamType["']\s*:\s*["']([^"']+)["']/i);
-        if (scamTypeMatch && scamTypeMatch[1]) {
-          scamType = scamTypeMatch[1];
-        }
-
-        // Try to extract the confidence
-        let confidence = 0;
-        const confidenceMatch = analysisText.match(/["']confidence["']\s*:\s*(\d+)/i);
-        if (confidenceMatch && confidenceMatch[1]) {
-          confidence = parseInt(confidenceMatch[1], 10);
-        }
-
-        console.log('Extracted information using regex:', {
-          isScam,
-          impersonatedCompany,
-          callbackMethod,
-          scamType,
-          confidence
+        const retry = await completeWithFailover({
+          ...request,
+          prompt: buildRepairPrompt(prompt, completion.text, errors)
         });
-
-        return {
-          isScam,
-          impersonatedCompany,
-          callbackMethod,
-          scamType,
-          confidence,
-          reasoning: 'Extracted from LLM response using regex'
-        };
-      } catch (regexError) {
-        console.error('Error extracting information using regex:', regexError);
-
-        // Return a default response if all parsing fails
-        return {
-          isScam: false,
-          impersonatedCompany: null,
-          callbackMethod: {
-            type: 'none',
-            details: null
-          },
-          scamType: 'not_a_scam',
-          confidence: 0,
-          reasoning: 'Error parsing LLM response'
-        };
+        console.log(`LLM repair response (${retry.provider}):`, retry.text);
+        completion = retry;
+        ({ analysis, errors } = parseAnalysisResponse(retry.text));
+        parseStatus = PARSE_STATUS.REPAIRED;
+      } catch (error) {
+        errors = [...errors, `re-ask failed: ${error.message}`];
       }
     }
+
+    if (!analysis) {
+      console.error('LLM response still invalid after re-ask:', errors);
+      analysis = buildDefaultAnalysis(PARSE_STATUS.INVALID, 'LLM response did not match the analysis schema', errors);
+    } else {
+      analysis.parseStatus = parseStatus;
+      analysis.validationErrors = [];
+    }
+
+    analysis.provider = completion.provider;
+    analysis.model = completion.model;
+    return finalizeAnalysis(analysis, message, options);
   } catch (error) {
     console.error('Error analyzing message with LLM:', error);
+    return finalizeAnalysis(
+      buildDefaultAnalysis(PARSE_STATUS.INVALID, `Error processing LLM response: ${error.message}`),
+      message,
+      options
+    );
+  }
+}
 
-    // Return a default response if the API call fails
-    return {
-      isScam: false,
-      impersonatedCompany: null,
-      callbackMethod: {
-        type: 'none',
-        details: null
-      },
-      scamType: 'not_a_scam',
-      confidence: 0,
-      reasoning: `Error calling LLM API: ${error.message}`
-    };
+/**
+ * Post-process a schema-valid analysis: normalize the company name, correct common
+ * LLM misclassifications and fill in the optional fields so the shape is always the same.
+ * @param {Object} analysis - Analysis object (valid or default).
+ * @param {string} message - The analyzed message.
+ * @param {Object} [options] - Options passed to analyzeMessageWithLLM().
+ * @returns {Object}
+ */
+function finalizeAnalysis(analysis, message, options = {}) {
+  analysis.companyId = null;
+  analysis.companyConfidence = null;
+  analysis.provider = analysis.provider || null;
+  analysis.model = analysis.model || null;
+
+  // A known language (transcription) wins over the LLM's answer, which wins over text detection.
+  // Codes of languages we have no pack for ("fr") are kept as reported.
+  const language = resolveLanguage(options.language) || resolveLanguage(analysis.language);
+  const reportedCode = typeof analysis.language === 'string' && /^[a-z]{2,3}$/i.test(analysis.language.trim())
+    ? analysis.language.trim().toLowerCase()
+    : null;
+  analysis.language = language ? language.code : (reportedCode || detectLanguage(message).language);
+
+  const usable = analysis.parseStatus === PARSE_STATUS.VALID || analysis.parseStatus === PARSE_STATUS.REPAIRED;
+  if (!usable) {
+    return analysis;
+  }
+
+  const resolvedCompany = analysis.impersonatedCompany
+    ? resolveCompany(analysis.impersonatedCompany)
+    : (analysis.isScam ? findCompanyInText(message) : null);
+  if (resolvedCompany) {
+    if (resolvedCompany.name !== analysis.impersonatedCompany) {
+      console.log(`Normalized company "${analysis.impersonatedCompany || resolvedCompany.raw}" → ${resolvedCompany.name} (${resolvedCompany.method}, ${resolvedCompany.confidence})`);
+    }
+    analysis.impersonatedCompany = resolvedCompany.name;
+    analysis.companyId = resolvedCompany.id;
+    analysis.companyConfidence = resolvedCompany.confidence;
+
+    if (resolvedCompany.scamType === 'crypto_exchange' && analysis.scamType !== 'crypto_exchange') {
+      console.log(`Correcting scamType to 'crypto_exchange' for company: ${analysis.impersonatedCompany}`);
+      analysis.scamType = 'crypto_exchange';
+    }
   }
+
+  return analysis;
 }
 
 /**
@@ -241,6 +224,22 @@ function shouldEngageScammer(scamAnalysis, messageText, duration = null) {
     return false;
   }
 
+  // When an ensemble score is attached (src/ensemble-scorer.js) it is the single source of truth
+  if (scamAnalysis.ensemble) {
+    if (!scamAnalysis.ensemble.shouldEngage) {
+      console.log(`Message filtered out: Ensemble probability ${scamAnalysis.ensemble.probability} below engagement threshold`);
+      return false;
+    }
+    console.log(`Message passed filtering criteria for engagement (ensemble probability ${scamAnalysis.ensemble.probability})`);
+    return true;
+  }
+
+  // An analysis the LLM couldn't produce carries no signal (the regex detector decides instead)
+  if (scamAnalysis.parseStatus === PARSE_STATUS.INVALID || scamAnalysis.parseStatus === PARSE_STATUS.UNAVAILABLE) {
+    console.log(`Message filtered out: LLM analysis not usable (parseStatus: ${scamAnalysis.parseStatus})`);
+    return false;
+  }
+
   // Check LLM-based detection first (if available)
   if (scamAnalysis.confidence !== undefined) {
     const meetsLLMThreshold = scamAnalysis.confidence >= SCAM_DETECTION_THRESHOLDS.MIN_LLM_CONFIDENCE;
@@ -273,5 +272,6 @@ function shouldEngageScammer(scamAnalysis, messageText, duration = null) {
 module.exports = {
   analyzeMessageWithLLM,
   shouldEngageScammer,
-  SCAM_DETECTION_THRESHOLDS
+  SCAM_DETECTION_THRESHOLDS,
+  PARSE_STATUS
 };
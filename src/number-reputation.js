@@ -0,0 +1,275 @@
+/**
+ * Number Reputation
+ * Remembers every caller ID and extracted callback number across calls: how often it was seen
+ * in each role, how many of those sightings were judged scams, which companies it impersonated,
+ * how many agent calls were placed to it and how many scammer minutes they wasted.
+ *
+ * The detection pipeline reads it before scoring (a known-bad callback number raises the
+ * ensemble score) and the dashboard shows it as a per-number history.
+ *
+ * Records are kept in Redis when Upstash is configured (so they survive serverless cold
+ * starts) and in memory otherwise. NUMBER_REPUTATION_TTL_DAYS sets how long a number is
+ * remembered after its last activity.
+ */
+
+const { formatToE164 } = require('./phone-utils');
+const { resolveCompany } = require('./company-resolver');
+
+const DEFAULT_TTL_DAYS = 365;
+const MAX_EVENTS = 50;
+
+// Scam sightings (or any agent engagement) after which a number counts as known bad
+const KNOWN_BAD_MIN_SCAM_SIGHTINGS = 2;
+
+const ROLES = ['caller', 'callback'];
+
+// In-memory fallback when Redis is not configured
+const memoryStore = new Map();
+
+function isRedisConfigured() {
+  return !!(process.env.UPSTASH_REDIS_URL && process.env.UPSTASH_REDIS_REST_TOKEN);
+}
+
+function getTtlSeconds() {
+  const days = parseInt(process.env.NUMBER_REPUTATION_TTL_DAYS, 10);
+  return (days > 0 ? days : DEFAULT_TTL_DAYS) * 24 * 60 * 60;
+}
+
+function normalizeNumber(phoneNumber) {
+  if (!phoneNumber) return null;
+  return formatToE164(phoneNumber) || String(phoneNumber).trim() || null;
+}
+
+function reputationKey(number) {
+  return `number_reputation:${number}`;
+}
+
+function emptyReputation(number) {
+  return {
+    number,
+    firstSeenAt: null,
+    lastSeenAt: null,
+    roles: {
+      caller: { sightings: 0, scams: 0 },
+      callback: { sightings: 0, scams: 0 }
+    },
+    sightings: 0,
+    scamSightings: 0,
+    channels: {},
+    companies: {},
+    engagements: 0,
+    secondsWasted: 0,
+    lastEngagementAt: null,
+    events: []
+  };
+}
+
+async function readRecord(number) {
+  if (!isRedisConfigured()) return memoryStore.get(number) || null;
+  const { redis } = require('./redis-service');
+  const value = await redis.get(reputationKey(number));
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+async function writeRecord(record) {
+  if (!isRedisConfigured()) {
+    memoryStore.set(record.number, record);
+    return;
+  }
+  const { redis } = require('./redis-service');
+  await redis.set(reputationKey(record.number), JSON.stringify(record), { ex: getTtlSeconds() });
+}
+
+/**
+ * Judge a reputation record.
+ * @param {Object} record - Result of getNumberReputation().
+ * @returns {{verdict: 'known_bad'|'suspicious'|'clean'|'unknown', knownBad: boolean, scamRatio: number, minutesWasted: number}}
+ */
+function assessReputation(record) {
+  const scamRatio = record.sightings > 0 ? record.scamSightings / record.sightings : 0;
+  const knownBad = record.scamSightings >= KNOWN_BAD_MIN_SCAM_SIGHTINGS || record.engagements > 0;
+  let verdict = 'unknown';
+  if (knownBad) verdict = 'known_bad';
+  else if (record.scamSightings > 0) verdict = 'suspicious';
+  else if (record.sightings > 0) verdict = 'clean';
+
+  return {
+    verdict,
+    knownBad,
+    scamRatio: Math.round(scamRatio * 100) / 100,
+    minutesWasted: Math.round(record.secondsWasted / 6) / 10
+  };
+}
+
+/**
+ * Get the reputation of a number (an empty record if it was never seen).
+ * @param {string} phoneNumber - Number in any format.
+ * @returns {Promise<Object|null>} Record plus `assessment`; null for a missing number.
+ */
+async function getNumberReputation(phoneNumber) {
+  const number = normalizeNumber(phoneNumber);
+  if (!number) return null;
+
+  let record = null;
+  try {
+    record = await readRecord(number);
+  } catch (error) {
+    console.error(`❌ Error reading reputation for ${number}:`, error.message);
+  }
+  const reputation = { ...emptyReputation(number), ...record };
+  return { ...reputation, assessment: assessReputation(reputation) };
+}
+
+// Read-modify-write one record; failures are logged, never thrown into the pipeline
+async function updateReputation(phoneNumber, update) {
+  const number = normalizeNumber(phoneNumber);
+  if (!number) return null;
+
+  try {
+    const current = { ...emptyReputation(number), ...(await readRecord(number)) };
+    const updated = update(current);
+    if (!updated) return current;
+    updated.events = updated.events.slice(-MAX_EVENTS);
+    await writeRecord(updated);
+    return updated;
+  } catch (error) {
+    console.error(`❌ Error updating reputation for ${number}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Record that a number was seen in a message.
+ * @param {string} phoneNumber
+ * @param {Object} sighting
+ * @param {'caller'|'callback'} sighting.role - Caller ID of the message, or number it asks to call.
+ * @param {boolean} sighting.isScam - Verdict for the message.
+ * @param {string} [sighting.company] - Impersonated company (resolved to its canonical id).
+ * @param {string} [sighting.channel] - "voicemail" or "sms".
+ * @param {string} [sighting.messageId] - CallSid or MessageSid.
+ * @param {string} [sighting.timestamp] - ISO time (defaults to now).
+ * @returns {Promise<Object|null>} The updated record.
+ */
+async function recordNumberSighting(phoneNumber, { role, isScam, company, channel, messageId, timestamp } = {}) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown number role "${role}" (expected ${ROLES.join(' or ')})`);
+  }
+  const at = timestamp || new Date().toISOString();
+  const resolved = resolveCompany(company);
+
+  return updateReputation(phoneNumber, record => {
+    const companies = { ...record.companies };
+    if (resolved) {
+      companies[resolved.id] = { name: resolved.name, count: (companies[resolved.id]?.count || 0) + 1 };
+    }
+    return {
+      ...record,
+      firstSeenAt: record.firstSeenAt || at,
+      lastSeenAt: at,
+      roles: {
+        ...record.roles,
+        [role]: {
+          sightings: record.roles[role].sightings + 1,
+          scams: record.roles[role].scams + (isScam ? 1 : 0)
+        }
+      },
+      sightings: record.sightings + 1,
+      scamSightings: record.scamSightings + (isScam ? 1 : 0),
+      channels: channel ? { ...record.channels, [channel]: (record.channels[channel] || 0) + 1 } : record.channels,
+      companies,
+      events: [...record.events, {
+        type: 'sighting',
+        at,
+        role,
+        isScam: !!isScam,
+        channel: channel || null,
+        messageId: messageId || null,
+        company: resolved ? resolved.name : (company || null)
+      }]
+    };
+  });
+}
+
+/**
+ * Record the caller ID and callback number of one message. A callback number equal to the
+ * caller ID is counted once, as the caller.
+ * @param {Object} params
+ * @param {string} [params.callerNumber]
+ * @param {string} [params.callbackNumber] - Number extracted from the message.
+ * @param {boolean} params.isScam
+ * @param {string} [params.company]
+ * @param {string} [params.channel]
+ * @param {string} [params.messageId]
+ * @returns {Promise<void>}
+ */
+async function recordMessageNumbers({ callerNumber, callbackNumber, isScam, company, channel, messageId } = {}) {
+  const caller = normalizeNumber(callerNumber);
+  const callback = normalizeNumber(callbackNumber);
+  const details = { isScam, company, channel, messageId };
+
+  if (caller) await recordNumberSighting(caller, { ...details, role: 'caller' });
+  if (callback && callback !== caller) await recordNumberSighting(callback, { ...details, role: 'callback' });
+}
+
+/**
+ * Record an agent call placed to a number.
+ * @param {string} phoneNumber
+ * @param {Object} engagement
+ * @param {string} engagement.callId - VAPI call id.
+ * @param {string} [engagement.company]
+ * @returns {Promise<Object|null>}
+ */
+async function recordAgentEngagement(phoneNumber, { callId, company } = {}) {
+  const at = new Date().toISOString();
+  return updateReputation(phoneNumber, record => {
+    if (callId && record.events.some(event => event.type === 'engagement' && event.callId === callId)) {
+      return null;
+    }
+    return {
+      ...record,
+      firstSeenAt: record.firstSeenAt || at,
+      lastSeenAt: at,
+      engagements: record.engagements + 1,
+      lastEngagementAt: at,
+      events: [...record.events, { type: 'engagement', at, callId: callId || null, company: company || null }]
+    };
+  });
+}
+
+/**
+ * Record how long an agent call kept the scammer busy. Safe to call for every end webhook;
+ * each call is counted once.
+ * @param {string} phoneNumber
+ * @param {Object} result
+ * @param {string} result.callId - VAPI call id.
+ * @param {number} result.durationSeconds
+ * @param {string} [result.endedReason]
+ * @returns {Promise<Object|null>}
+ */
+async function recordEngagementEnded(phoneNumber, { callId, durationSeconds, endedReason } = {}) {
+  const seconds = Number(durationSeconds);
+  if (!callId || !Number.isFinite(seconds) || seconds < 0) return null;
+
+  const at = new Date().toISOString();
+  return updateReputation(phoneNumber, record => {
+    if (record.events.some(event => event.type === 'engagement_ended' && event.callId === callId)) {
+      return null;
+    }
+    return {
+      ...record,
+      lastSeenAt: at,
+      secondsWasted: record.secondsWasted + Math.round(seconds),
+      events: [...record.events, { type: 'engagement_ended', at, callId, durationSeconds: Math.round(seconds), endedReason: endedReason || null }]
+    };
+  });
+}
+
+module.exports = {
+  getNumberReputation,
+  assessReputation,
+  recordNumberSighting,
+  recordMessageNumbers,
+  recordAgentEngagement,
+  recordEngagementEnded,
+  KNOWN_BAD_MIN_SCAM_SIGHTINGS
+};
@@ -0,0 +1,618 @@
+/**
+ * Persona Experiments
+ * A/B tests agent personas on real callbacks. An experiment covers some scam types and companies
+ * and lists persona variants: a persona from the library (src/persona-library.js), optionally with
+ * a different first message, system prompt, stalling tactics, voice, first name or temperature.
+ * Each callback the experiment covers is assigned one variant, by fixed weights or by a
+ * multi-armed bandit (Thompson sampling on the success rate) that shifts traffic toward the
+ * variants keeping scammers on the line longest.
+ *
+ * Experiments are read from config/experiments/ by default; EXPERIMENTS_PATH adds files or
+ * directories (comma-separated) and EXPERIMENTS=false turns assignment off. The experiment and
+ * variant ids are written into the VAPI call metadata, and when the call ends its duration is
+ * recorded against the variant. A call counts as a success when it lasts at least the
+ * experiment's successSeconds (300 by default).
+ *
+ * Results are kept in Redis when Upstash is configured (so they survive serverless cold starts)
+ * and in memory otherwise.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { resolveCompany } = require('./company-resolver');
+const { getPersona, selectPersona, normalizePersona } = require('./persona-library');
+
+const DEFAULT_EXPERIMENTS_DIR = path.join(__dirname, '..', 'config', 'experiments');
+
+const SUPPORTED_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+const ALLOCATIONS = ['weighted', 'bandit'];
+
+// Variant fields that replace the persona's own
+const VARIANT_OVERRIDES = ['firstName', 'gender', 'voiceId', 'firstMessage', 'systemPrompt', 'stallingTactics'];
+
+const DEFAULT_SUCCESS_SECONDS = 300;
+
+// Completed calls each variant gets before the bandit starts favouring winners
+const DEFAULT_MIN_SAMPLES = 10;
+
+// Durations kept per variant for the time-wasted distribution
+const MAX_OUTCOMES = 1000;
+
+const DURATION_BUCKETS = [
+  { label: '<1m', max: 60 },
+  { label: '1-3m', max: 180 },
+  { label: '3-5m', max: 300 },
+  { label: '5-10m', max: 600 },
+  { label: '10m+', max: Infinity }
+];
+
+// Draws used to estimate each variant's share of bandit traffic
+const TRAFFIC_SHARE_DRAWS = 2000;
+
+// In-memory fallback when Redis is not configured
+const memoryStore = new Map();
+
+let cachedExperiments = null;
+
+function isRedisConfigured() {
+  return !!(process.env.UPSTASH_REDIS_URL && process.env.UPSTASH_REDIS_REST_TOKEN);
+}
+
+function experimentKey(experimentId) {
+  return `persona_experiment:${experimentId}`;
+}
+
+/**
+ * Whether callbacks are assigned to experiment variants (EXPERIMENTS=false turns it off)
+ * @returns {boolean}
+ */
+function isExperimentsEnabled() {
+  return String(process.env.EXPERIMENTS || '').toLowerCase() !== 'false';
+}
+
+function normalizeStringList(list) {
+  if (!Array.isArray(list)) return [];
+  return [...new Set(list.filter(entry => typeof entry === 'string').map(entry => entry.trim()).filter(Boolean))];
+}
+
+/**
+ * Validate and normalize a raw experiment definition. Variant personas are checked when a
+ * variant is assigned, since the persona library can change independently.
+ * @param {Object} raw - Experiment as read from a config file
+ * @param {string} source - Where the experiment came from (for log messages)
+ * @returns {Object|null} Normalized experiment, or null if invalid
+ */
+function normalizeExperiment(raw, source = 'inline') {
+  if (!raw || typeof raw !== 'object') {
+    console.warn(`⚠️ Ignoring experiment from ${source}: not an object`);
+    return null;
+  }
+
+  const id = typeof raw.id === 'string' ? raw.id.trim() : '';
+  if (!id) {
+    console.warn(`⚠️ Ignoring experiment from ${source}: missing "id"`);
+    return null;
+  }
+
+  const allocation = typeof raw.allocation === 'string' ? raw.allocation.trim().toLowerCase() : 'weighted';
+  if (!ALLOCATIONS.includes(allocation)) {
+    console.warn(`⚠️ Ignoring experiment "${id}" from ${source}: allocation must be one of ${ALLOCATIONS.join(', ')}`);
+    return null;
+  }
+
+  const variants = [];
+  for (const rawVariant of Array.isArray(raw.variants) ? raw.variants : []) {
+    const variantId = typeof rawVariant?.id === 'string' ? rawVariant.id.trim() : '';
+    if (!variantId || variants.some(variant => variant.id === variantId)) {
+      console.warn(`⚠️ Ignoring experiment "${id}" from ${source}: every variant needs a unique "id"`);
+      return null;
+    }
+    const weight = rawVariant.weight === undefined ? 1 : rawVariant.weight;
+    if (typeof weight !== 'number' || !(weight > 0)) {
+      console.warn(`⚠️ Ignoring experiment "${id}" from ${source}: variant "${variantId}" weight must be a positive number`);
+      return null;
+    }
+    const temperature = rawVariant.temperature;
+    if (temperature !== undefined && (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+      console.warn(`⚠️ Ignoring experiment "${id}" from ${source}: variant "${variantId}" temperature must be between 0 and 2`);
+      return null;
+    }
+
+    const overrides = {};
+    for (const field of VARIANT_OVERRIDES) {
+      if (rawVariant[field] !== undefined) overrides[field] = rawVariant[field];
+    }
+    variants.push({
+      id: variantId,
+      description: typeof rawVariant.description === 'string' ? rawVariant.description.trim() : '',
+      persona: typeof rawVariant.persona === 'string' && rawVariant.persona.trim() ? rawVariant.persona.trim() : null,
+      weight,
+      temperature: temperature === undefined ? null : temperature,
+      overrides
+    });
+  }
+  if (variants.length < 2) {
+    console.warn(`⚠️ Ignoring experiment "${id}" from ${source}: needs at least two variants`);
+    return null;
+  }
+
+  return {
+    id,
+    description: typeof raw.description === 'string' ? raw.description.trim() : '',
+    enabled: raw.enabled !== false,
+    scamTypes: normalizeStringList(raw.scamTypes),
+    companies: normalizeStringList(raw.companies),
+    allocation,
+    successSeconds: Number.isInteger(raw.successSeconds) && raw.successSeconds > 0 ? raw.successSeconds : DEFAULT_SUCCESS_SECONDS,
+    minSamples: Number.isInteger(raw.minSamples) && raw.minSamples >= 0 ? raw.minSamples : DEFAULT_MIN_SAMPLES,
+    variants,
+    source
+  };
+}
+
+/**
+ * Read every experiment defined in a file: a single experiment or { experiments: [...] }
+ * @param {string} filePath - Path to a JSON or YAML file
+ * @returns {Object[]} Normalized experiments
+ */
+function loadExperimentsFromFile(filePath) {
+  let parsed;
+  try {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    parsed = path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(raw) : yaml.load(raw);
+  } catch (error) {
+    console.warn(`⚠️ Failed to parse experiment file ${filePath}: ${error.message}`);
+    return [];
+  }
+
+  const rawExperiments = Array.isArray(parsed?.experiments)
+    ? parsed.experiments
+    : Array.isArray(parsed) ? parsed : [parsed];
+
+  return rawExperiments
+    .map(raw => normalizeExperiment(raw, filePath))
+    .filter(Boolean);
+}
+
+function resolveExperimentFiles(target) {
+  if (!target || !fs.existsSync(target)) {
+    console.warn(`⚠️ Experiment path not found: ${target}`);
+    return [];
+  }
+  if (fs.statSync(target).isFile()) {
+    return [target];
+  }
+  return fs.readdirSync(target)
+    .filter(name => SUPPORTED_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+    .sort()
+    .map(name => path.join(target, name));
+}
+
+/**
+ * Load experiments from the default directory plus EXPERIMENTS_PATH; a later experiment with
+ * the same id replaces the earlier one
+ * @param {Object} [options]
+ * @param {string[]} [options.paths] - Files or directories to load
+ * @returns {Object[]} Experiments
+ */
+function loadExperiments(options = {}) {
+  const extraPaths = (process.env.EXPERIMENTS_PATH || '')
+    .split(',')
+    .map(p => p.trim())
+    .filter(Boolean);
+  const paths = options.paths || [DEFAULT_EXPERIMENTS_DIR, ...extraPaths];
+
+  const byId = new Map();
+  for (const target of paths) {
+    for (const file of resolveExperimentFiles(target)) {
+      for (const experiment of loadExperimentsFromFile(file)) {
+        byId.set(experiment.id, experiment);
+      }
+    }
+  }
+  return Array.from(byId.values());
+}
+
+/**
+ * Get the loaded experiments, loading them on first use
+ * @returns {Object[]}
+ */
+function listExperiments() {
+  if (!cachedExperiments) {
+    cachedExperiments = loadExperiments();
+    const running = cachedExperiments.filter(experiment => experiment.enabled);
+    console.log(`🧪 Loaded ${cachedExperiments.length} persona experiments (${running.length} running)`);
+  }
+  return cachedExperiments;
+}
+
+/**
+ * Discard the loaded experiments and read them again from disk
+ * @returns {Object[]}
+ */
+function reloadExperiments() {
+  cachedExperiments = null;
+  return listExperiments();
+}
+
+/**
+ * Find the running experiment that covers a callback: the first enabled experiment whose scam
+ * types and companies (empty means any) include the scam
+ * @param {string} scamType - Scam type, e.g. "crypto_exchange"
+ * @param {string} [company] - Impersonated company; aliases resolve to the canonical name
+ * @param {Object[]} [experiments] - Experiments to choose from (default: the loaded ones)
+ * @returns {Object|null}
+ */
+function matchExperiment(scamType, company = null, experiments = listExperiments()) {
+  const canonical = company ? (resolveCompany(company)?.name || company).toLowerCase() : null;
+  return experiments.find(experiment =>
+    experiment.enabled &&
+    (experiment.scamTypes.length === 0 || experiment.scamTypes.includes(scamType)) &&
+    (experiment.companies.length === 0 || (canonical && experiment.companies.some(name => name.toLowerCase() === canonical)))
+  ) || null;
+}
+
+/**
+ * Build the persona a variant plays: its own persona (or the one the scam would get anyway)
+ * with the variant's overrides applied
+ * @param {Object} variant - Experiment variant
+ * @param {string} scamType - Scam type
+ * @param {string} [company] - Impersonated company
+ * @returns {Object|null} Normalized persona, or null if it doesn't exist or the overrides are invalid
+ */
+function resolveVariantPersona(variant, scamType, company = null) {
+  const base = variant.persona ? getPersona(variant.persona) : selectPersona(scamType, company);
+  if (!base) {
+    console.warn(`⚠️ Persona "${variant.persona || scamType}" for experiment variant "${variant.id}" not found`);
+    return null;
+  }
+  const model = variant.temperature === null ? base.model : { ...base.model, temperature: variant.temperature };
+  return normalizePersona({ ...base, ...variant.overrides, model }, `experiment variant ${variant.id}`);
+}
+
+function emptyVariantStats() {
+  return { assigned: 0, completed: 0, successes: 0, outcomes: [] };
+}
+
+function emptyExperimentRecord(experimentId) {
+  return { experimentId, variants: {}, updatedAt: null };
+}
+
+async function readRecord(experimentId) {
+  if (!isRedisConfigured()) return memoryStore.get(experimentId) || null;
+  const { redis } = require('./redis-service');
+  const value = await redis.get(experimentKey(experimentId));
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+async function writeRecord(record) {
+  if (!isRedisConfigured()) {
+    memoryStore.set(record.experimentId, record);
+    return;
+  }
+  const { redis } = require('./redis-service');
+  await redis.set(experimentKey(record.experimentId), JSON.stringify(record));
+}
+
+async function getExperimentRecord(experimentId) {
+  return { ...emptyExperimentRecord(experimentId), ...(await readRecord(experimentId)) };
+}
+
+function variantStats(record, variantId) {
+  return { ...emptyVariantStats(), ...record.variants[variantId] };
+}
+
+/**
+ * Draw from a Gamma(shape, 1) distribution (Marsaglia-Tsang; shape >= 1)
+ */
+function sampleGamma(shape, random) {
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      // Box-Muller standard normal
+      x = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = 1 - random();
+    if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) {
+      return d * v;
+    }
+  }
+}
+
+/**
+ * Draw from a Beta(alpha, beta) distribution (alpha, beta >= 1)
+ * @param {number} alpha
+ * @param {number} beta
+ * @param {Function} [random] - Random number source
+ * @returns {number}
+ */
+function sampleBeta(alpha, beta, random = Math.random) {
+  const x = sampleGamma(alpha, random);
+  const y = sampleGamma(beta, random);
+  return x / (x + y);
+}
+
+function pickWeighted(variants, random) {
+  const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  let point = random() * total;
+  for (const variant of variants) {
+    point -= variant.weight;
+    if (point < 0) return variant;
+  }
+  return variants[variants.length - 1];
+}
+
+/**
+ * Choose a variant for the next callback. Weighted experiments split traffic by weight. Bandit
+ * experiments split by weight until every variant has minSamples completed calls, then pick the
+ * variant with the highest success rate drawn from its Beta posterior (Thompson sampling).
+ * @param {Object} experiment - Normalized experiment
+ * @param {Object} record - Stored results ({ variants: { [variantId]: stats } })
+ * @param {Function} [random] - Random number source
+ * @returns {Object} The chosen variant
+ */
+function allocateVariant(experiment, record, random = Math.random) {
+  if (experiment.allocation === 'weighted') {
+    return pickWeighted(experiment.variants, random);
+  }
+
+  const unexplored = experiment.variants.filter(variant =>
+    variantStats(record, variant.id).completed < experiment.minSamples);
+  if (unexplored.length > 0) {
+    return pickWeighted(unexplored, random);
+  }
+
+  let best = null;
+  let bestDraw = -1;
+  for (const variant of experiment.variants) {
+    const stats = variantStats(record, variant.id);
+    const draw = sampleBeta(1 + stats.successes, 1 + stats.completed - stats.successes, random);
+    if (draw > bestDraw) {
+      best = variant;
+      bestDraw = draw;
+    }
+  }
+  return best;
+}
+
+/**
+ * Assign a callback to a variant of the experiment covering it and count the assignment
+ * @param {string} scamType - Scam type
+ * @param {string} [company] - Impersonated company
+ * @param {Object} [options]
+ * @param {Object[]} [options.experiments] - Experiments to choose from (default: the loaded ones)
+ * @param {Function} [options.random] - Random number source
+ * @returns {Promise<Object|null>} { experimentId, variantId, persona } or null when no experiment
+ *   covers the callback (or the variant's persona can't be built)
+ */
+async function assignVariant(scamType, company = null, { experiments, random = Math.random } = {}) {
+  if (!isExperimentsEnabled()) return null;
+
+  const experiment = matchExperiment(scamType, company, experiments || listExperiments());
+  if (!experiment) return null;
+
+  const record = await getExperimentRecord(experiment.id);
+  const variant = allocateVariant(experiment, record, random);
+  const persona = resolveVariantPersona(variant, scamType, company);
+  if (!persona) return null;
+
+  const stats = variantStats(record, variant.id);
+  stats.assigned += 1;
+  record.variants[variant.id] = stats;
+  record.updatedAt = new Date().toISOString();
+  await writeRecord(record);
+
+  console.log(`🧪 Experiment ${experiment.id}: assigned variant ${variant.id} (persona ${persona.id})`);
+  return { experimentId: experiment.id, variantId: variant.id, persona };
+}
+
+/**
+ * Record how long an experiment call kept the scammer on the line (each call is counted once)
+ * @param {Object} outcome
+ * @param {string} outcome.experimentId
+ * @param {string} outcome.variantId
+ * @param {string} outcome.callId - VAPI call id
+ * @param {number} outcome.durationSeconds - Call duration
+ * @param {Object[]} [experiments] - Experiments (for the success threshold)
+ * @returns {Promise<Object|null>} Updated variant stats, or null if not recorded
+ */
+async function recordExperimentOutcome({ experimentId, variantId, callId, durationSeconds }, experiments = listExperiments()) {
+  if (!experimentId || !variantId || !Number.isFinite(durationSeconds)) return null;
+
+  try {
+    const experiment = experiments.find(candidate => candidate.id === experimentId);
+    const successSeconds = experiment ? experiment.successSeconds : DEFAULT_SUCCESS_SECONDS;
+    const record = await getExperimentRecord(experimentId);
+    const stats = variantStats(record, variantId);
+    if (callId && stats.outcomes.some(outcome => outcome.callId === callId)) {
+      return stats;
+    }
+
+    const success = durationSeconds >= successSeconds;
+    stats.completed += 1;
+    if (success) stats.successes += 1;
+    stats.outcomes = [...stats.outcomes, { callId: callId || null, seconds: Math.round(durationSeconds), success }].slice(-MAX_OUTCOMES);
+    record.variants[variantId] = stats;
+    record.updatedAt = new Date().toISOString();
+    await writeRecord(record);
+
+    console.log(`🧪 Experiment ${experimentId}/${variantId}: call ${callId} lasted ${Math.round(durationSeconds)}s (${success ? 'success' : 'no success'})`);
+    return stats;
+  } catch (error) {
+    console.error(`❌ Error recording experiment outcome for ${experimentId}/${variantId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Wilson score interval for a success rate
+ * @param {number} successes
+ * @param {number} trials
+ * @param {number} [z] - Normal quantile (1.96 for 95%)
+ * @returns {{low: number, high: number}|null} Null without trials
+ */
+function wilsonInterval(successes, trials, z = 1.96) {
+  if (trials === 0) return null;
+  const p = successes / trials;
+  const z2 = z * z;
+  const center = (p + z2 / (2 * trials)) / (1 + z2 / trials);
+  const margin = (z / (1 + z2 / trials)) * Math.sqrt((p * (1 - p)) / trials + z2 / (4 * trials * trials));
+  return {
+    low: Math.max(0, Math.round((center - margin) * 1000) / 1000),
+    high: Math.min(1, Math.round((center + margin) * 1000) / 1000)
+  };
+}
+
+function percentile(sorted, fraction) {
+  if (sorted.length === 0) return null;
+  const index = (sorted.length - 1) * fraction;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return Math.round(sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower));
+}
+
+/**
+ * Summarize the time wasted by a variant's calls
+ * @param {number[]} durations - Call durations in seconds
+ * @returns {Object} totalMinutes, mean/median/p25/p75/p90/max seconds and a histogram
+ */
+function summarizeDurations(durations) {
+  const sorted = [...durations].sort((a, b) => a - b);
+  const total = sorted.reduce((sum, seconds) => sum + seconds, 0);
+  const histogram = DURATION_BUCKETS.map(bucket => ({ label: bucket.label, count: 0 }));
+  for (const seconds of sorted) {
+    histogram[DURATION_BUCKETS.findIndex(bucket => seconds < bucket.max)].count += 1;
+  }
+  return {
+    totalMinutes: Math.round(total / 6) / 10,
+    meanSeconds: sorted.length > 0 ? Math.round(total / sorted.length) : null,
+    medianSeconds: percentile(sorted, 0.5),
+    p25Seconds: percentile(sorted, 0.25),
+    p75Seconds: percentile(sorted, 0.75),
+    p90Seconds: percentile(sorted, 0.9),
+    maxSeconds: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+    histogram
+  };
+}
+
+/**
+ * Estimate the share of upcoming callbacks each variant would get
+ * @param {Object} experiment - Normalized experiment
+ * @param {Object} record - Stored results
+ * @param {Function} [random] - Random number source
+ * @returns {Object} Share (0-1) by variant id
+ */
+function estimateTrafficShare(experiment, record, random = Math.random) {
+  const shares = Object.fromEntries(experiment.variants.map(variant => [variant.id, 0]));
+  const unexplored = experiment.variants.filter(variant =>
+    variantStats(record, variant.id).completed < experiment.minSamples);
+
+  if (experiment.allocation === 'weighted' || unexplored.length > 0) {
+    const pool = experiment.allocation === 'weighted' ? experiment.variants : unexplored;
+    const total = pool.reduce((sum, variant) => sum + variant.weight, 0);
+    for (const variant of pool) {
+      shares[variant.id] = Math.round((variant.weight / total) * 1000) / 1000;
+    }
+    return shares;
+  }
+
+  for (let draw = 0; draw < TRAFFIC_SHARE_DRAWS; draw++) {
+    shares[allocateVariant(experiment, record, random).id] += 1;
+  }
+  for (const id of Object.keys(shares)) {
+    shares[id] = Math.round((shares[id] / TRAFFIC_SHARE_DRAWS) * 1000) / 1000;
+  }
+  return shares;
+}
+
+/**
+ * Report each experiment's variants: assignments, completed calls, success rate with a 95%
+ * confidence interval, the time-wasted distribution and the current traffic share
+ * @param {Object} [options]
+ * @param {string} [options.experimentId] - Only this experiment
+ * @param {Object[]} [options.experiments] - Experiments to report (default: the loaded ones)
+ * @returns {Promise<Object[]>} One report per experiment
+ */
+async function getExperimentReport({ experimentId, experiments } = {}) {
+  const selected = (experiments || listExperiments())
+    .filter(experiment => !experimentId || experiment.id === experimentId);
+  if (experimentId && selected.length === 0) {
+    const error = new Error(`Unknown experiment "${experimentId}"`);
+    error.code = 'UNKNOWN_EXPERIMENT';
+    throw error;
+  }
+
+  const reports = [];
+  for (const experiment of selected) {
+    const record = await getExperimentRecord(experiment.id);
+    const shares = estimateTrafficShare(experiment, record);
+    const variants = experiment.variants.map(variant => {
+      const stats = variantStats(record, variant.id);
+      return {
+        id: variant.id,
+        description: variant.description,
+        persona: variant.persona,
+        weight: variant.weight,
+        assigned: stats.assigned,
+        completed: stats.completed,
+        successes: stats.successes,
+        successRate: stats.completed > 0 ? Math.round((stats.successes / stats.completed) * 1000) / 1000 : null,
+        successRateInterval: wilsonInterval(stats.successes, stats.completed),
+        timeWasted: summarizeDurations(stats.outcomes.map(outcome => outcome.seconds)),
+        trafficShare: shares[variant.id]
+      };
+    });
+    const ranked = variants.filter(variant => variant.completed > 0)
+      .sort((a, b) => b.successRate - a.successRate || (b.timeWasted.meanSeconds || 0) - (a.timeWasted.meanSeconds || 0));
+
+    reports.push({
+      id: experiment.id,
+      description: experiment.description,
+      enabled: experiment.enabled,
+      allocation: experiment.allocation,
+      scamTypes: experiment.scamTypes,
+      companies: experiment.companies,
+      successSeconds: experiment.successSeconds,
+      minSamples: experiment.minSamples,
+      leader: ranked.length > 0 ? ranked[0].id : null,
+      variants,
+      updatedAt: record.updatedAt
+    });
+  }
+  return reports;
+}
+
+/**
+ * Clear the in-memory results (Redis-backed results are left alone)
+ */
+function resetExperimentResults() {
+  memoryStore.clear();
+}
+
+module.exports = {
+  loadExperiments,
+  listExperiments,
+  reloadExperiments,
+  normalizeExperiment,
+  matchExperiment,
+  resolveVariantPersona,
+  allocateVariant,
+  assignVariant,
+  recordExperimentOutcome,
+  getExperimentReport,
+  estimateTrafficShare,
+  summarizeDurations,
+  wilsonInterval,
+  sampleBeta,
+  isExperimentsEnabled,
+  resetExperimentResults,
+  DEFAULT_EXPERIMENTS_DIR,
+  VARIANT_OVERRIDES
+};
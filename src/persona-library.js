@@ -0,0 +1,354 @@
+/**
+ * Persona Library
+ * Loads the victim personas agents play from JSON or YAML files, so personas can be written and
+ * reviewed without touching JavaScript. Transient assistants (src/vapi-service.js) and
+ * `sipsentinel create-agents` both render from this library.
+ *
+ * Personas are read from config/personas/ by default. Additional files or directories can be
+ * supplied via PERSONAS_PATH (comma-separated); a persona loaded later with the same id replaces
+ * the earlier definition.
+ *
+ * A persona names the scam types and companies it answers, a first message and system prompt
+ * with {variables}, the stalling tactics listed in the prompt, the voice gender, model settings
+ * and the maximum call length.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { resolveCompany } = require('./company-resolver');
+
+const DEFAULT_PERSONAS_DIR = path.join(__dirname, '..', 'config', 'personas');
+
+const SUPPORTED_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Variables a persona's templates may use
+const PERSONA_VARIABLES = ['company', 'name', 'firstName', 'lastName', 'city', 'stallingTactics'];
+
+const GENDERS = ['male', 'female', 'neutral'];
+
+// Settings used when a persona does not declare its own
+const DEFAULT_MODEL = {
+  provider: 'openai',
+  model: 'gpt-4-turbo',
+  temperature: 0.7,
+  maxTokens: 500
+};
+const DEFAULT_ASSISTANT_NAME = '{company} {firstName}';
+const DEFAULT_END_CALL_PHRASES = ['take care', 'bye', 'goodbye', 'talk soon'];
+const DEFAULT_MAX_DURATION_SECONDS = 900;
+
+let cachedLibrary = null;
+
+/**
+ * Parse a JSON or YAML file based on its extension.
+ * @param {string} filePath - Path to the file.
+ * @returns {*} Parsed contents.
+ */
+function parseConfigFile(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+  return ext === '.json' ? JSON.parse(raw) : yaml.load(raw);
+}
+
+/**
+ * Trim and de-duplicate a list of strings, dropping anything else.
+ * @param {Array} list - Raw list.
+ * @returns {string[]}
+ */
+function normalizeStringList(list) {
+  if (!Array.isArray(list)) return [];
+  return [...new Set(list.filter(entry => typeof entry === 'string').map(entry => entry.trim()).filter(Boolean))];
+}
+
+/**
+ * List the {variables} a template uses.
+ * @param {string} template - Template text.
+ * @returns {string[]}
+ */
+function templateVariables(template) {
+  return [...template.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+}
+
+/**
+ * Merge model settings with the defaults, ignoring values of the wrong type.
+ * @param {Object} model - Raw model settings.
+ * @returns {{provider: string, model: string, temperature: number, maxTokens: number}}
+ */
+function normalizeModel(model = {}) {
+  const result = { ...DEFAULT_MODEL };
+  for (const key of Object.keys(DEFAULT_MODEL)) {
+    if (typeof model?.[key] === typeof DEFAULT_MODEL[key] && (typeof model[key] !== 'number' || Number.isFinite(model[key]))) {
+      result[key] = model[key];
+    }
+  }
+  return result;
+}
+
+/**
+ * Read an optional positive whole number of seconds.
+ * @param {*} value - Raw value.
+ * @returns {number|null}
+ */
+function normalizeSeconds(value) {
+  return Number.isInteger(value) && value > 0 ? value : null;
+}
+
+/**
+ * Validate and normalize a raw persona definition.
+ * @param {Object} raw - Persona as read from a config file.
+ * @param {string} source - Where the persona came from (for log messages).
+ * @returns {Object|null} Normalized persona, or null if invalid.
+ */
+function normalizePersona(raw, source = 'inline') {
+  if (!raw || typeof raw !== 'object') {
+    console.warn(`⚠️ Ignoring persona from ${source}: not an object`);
+    return null;
+  }
+
+  const id = typeof raw.id === 'string' ? raw.id.trim() : '';
+  if (!id) {
+    console.warn(`⚠️ Ignoring persona from ${source}: missing "id"`);
+    return null;
+  }
+
+  const templates = {
+    assistantName: typeof raw.assistantName === 'string' && raw.assistantName.trim() ? raw.assistantName.trim() : DEFAULT_ASSISTANT_NAME,
+    firstMessage: typeof raw.firstMessage === 'string' ? raw.firstMessage.trim() : '',
+    systemPrompt: typeof raw.systemPrompt === 'string' ? raw.systemPrompt.trim() : ''
+  };
+  if (!templates.firstMessage || !templates.systemPrompt) {
+    console.warn(`⚠️ Ignoring persona "${id}" from ${source}: missing "firstMessage" or "systemPrompt"`);
+    return null;
+  }
+  if (typeof raw.firstName !== 'string' || !raw.firstName.trim()) {
+    console.warn(`⚠️ Ignoring persona "${id}" from ${source}: missing "firstName"`);
+    return null;
+  }
+
+  const stallingTactics = normalizeStringList(raw.stallingTactics);
+  const used = [...Object.values(templates), ...stallingTactics].flatMap(templateVariables);
+  const unknown = used.filter(variable => !PERSONA_VARIABLES.includes(variable));
+  if (unknown.length > 0) {
+    console.warn(`⚠️ Ignoring persona "${id}" from ${source}: unknown template variables ${[...new Set(unknown)].map(v => `{${v}}`).join(', ')}`);
+    return null;
+  }
+
+  const companies = normalizeStringList(raw.companies);
+  const defaultCompany = typeof raw.defaultCompany === 'string' && raw.defaultCompany.trim() ? raw.defaultCompany.trim() : companies[0] || null;
+  if (used.includes('company') && !defaultCompany) {
+    console.warn(`⚠️ Ignoring persona "${id}" from ${source}: templates use {company} but no "companies" or "defaultCompany" is set`);
+    return null;
+  }
+
+  const gender = typeof raw.gender === 'string' ? raw.gender.trim().toLowerCase() : 'neutral';
+  if (!GENDERS.includes(gender)) {
+    console.warn(`⚠️ Ignoring persona "${id}" from ${source}: gender must be one of ${GENDERS.join(', ')}`);
+    return null;
+  }
+
+  const endCallPhrases = normalizeStringList(raw.endCallPhrases);
+
+  return {
+    id,
+    description: typeof raw.description === 'string' ? raw.description.trim() : '',
+    scamTypes: normalizeStringList(raw.scamTypes),
+    companies,
+    defaultCompany,
+    firstName: raw.firstName.trim(),
+    gender,
+    voiceId: typeof raw.voiceId === 'string' && raw.voiceId.trim() ? raw.voiceId.trim() : null,
+    ...templates,
+    stallingTactics,
+    model: normalizeModel(raw.model),
+    endCallPhrases: endCallPhrases.length > 0 ? endCallPhrases : DEFAULT_END_CALL_PHRASES,
+    maxDurationSeconds: normalizeSeconds(raw.maxDurationSeconds) || DEFAULT_MAX_DURATION_SECONDS,
+    silenceTimeoutSeconds: normalizeSeconds(raw.silenceTimeoutSeconds),
+    source
+  };
+}
+
+/**
+ * Read every persona defined in a file. A file may hold a single persona
+ * or an object of the form { personas: [...] }.
+ * @param {string} filePath - Path to a JSON or YAML file.
+ * @returns {Object[]} Normalized personas.
+ */
+function loadPersonasFromFile(filePath) {
+  let parsed;
+  try {
+    parsed = parseConfigFile(filePath);
+  } catch (error) {
+    console.warn(`⚠️ Failed to parse persona file ${filePath}: ${error.message}`);
+    return [];
+  }
+
+  const rawPersonas = Array.isArray(parsed?.personas)
+    ? parsed.personas
+    : Array.isArray(parsed) ? parsed : [parsed];
+
+  return rawPersonas
+    .map(raw => normalizePersona(raw, filePath))
+    .filter(Boolean);
+}
+
+/**
+ * Expand a file or directory path into the list of persona files it contains.
+ * Directory entries are sorted so load order is deterministic.
+ * @param {string} target - File or directory path.
+ * @returns {string[]}
+ */
+function resolvePersonaFiles(target) {
+  if (!target || !fs.existsSync(target)) {
+    console.warn(`⚠️ Persona path not found: ${target}`);
+    return [];
+  }
+
+  if (fs.statSync(target).isFile()) {
+    return [target];
+  }
+
+  return fs.readdirSync(target)
+    .filter(name => SUPPORTED_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+    .sort()
+    .map(name => path.join(target, name));
+}
+
+/**
+ * Build a persona library from the default directory plus any extra paths.
+ * @param {Object} [options]
+ * @param {string[]} [options.paths] - Files or directories to load; defaults to the
+ *   built-in directory followed by PERSONAS_PATH entries.
+ * @returns {{personas: Object[]}}
+ */
+function loadPersonaLibrary(options = {}) {
+  const extraPaths = (process.env.PERSONAS_PATH || '')
+    .split(',')
+    .map(p => p.trim())
+    .filter(Boolean);
+  const paths = options.paths || [DEFAULT_PERSONAS_DIR, ...extraPaths];
+
+  const byId = new Map();
+  for (const target of paths) {
+    for (const file of resolvePersonaFiles(target)) {
+      for (const persona of loadPersonasFromFile(file)) {
+        byId.set(persona.id, persona);
+      }
+    }
+  }
+
+  return { personas: Array.from(byId.values()) };
+}
+
+/**
+ * Get the shared library, loading it on first use.
+ * @returns {{personas: Object[]}}
+ */
+function getPersonaLibrary() {
+  if (!cachedLibrary) {
+    cachedLibrary = loadPersonaLibrary();
+    console.log(`🎭 Loaded ${cachedLibrary.personas.length} personas: ${cachedLibrary.personas.map(p => p.id).join(', ')}`);
+  }
+  return cachedLibrary;
+}
+
+/**
+ * Discard the cached library and load it again from disk.
+ * @returns {{personas: Object[]}}
+ */
+function reloadPersonaLibrary() {
+  cachedLibrary = null;
+  return getPersonaLibrary();
+}
+
+/**
+ * List the loaded personas.
+ * @returns {Object[]}
+ */
+function listPersonas() {
+  return getPersonaLibrary().personas;
+}
+
+/**
+ * Get a persona by id.
+ * @param {string} id - Persona id.
+ * @returns {Object|undefined}
+ */
+function getPersona(id) {
+  return listPersonas().find(p => p.id === id);
+}
+
+/**
+ * Pick the persona for a scam: one written for the company (and covering the scam type),
+ * then one written for the scam type, then a catch-all persona with no scam types or companies.
+ * @param {string} scamType - Scam type, e.g. "crypto_exchange".
+ * @param {string} [company] - Impersonated company; aliases resolve to the canonical name.
+ * @param {Object[]} [personas] - Personas to choose from (default: the shared library).
+ * @returns {Object|null}
+ */
+function selectPersona(scamType, company = null, personas = listPersonas()) {
+  const canonical = company ? (resolveCompany(company)?.name || company).toLowerCase() : null;
+  const coversType = persona => persona.scamTypes.length === 0 || persona.scamTypes.includes(scamType);
+  const forCompany = persona => canonical && persona.companies.some(name => name.toLowerCase() === canonical);
+
+  return personas.find(persona => forCompany(persona) && coversType(persona)) ||
+    personas.find(persona => persona.companies.length === 0 && persona.scamTypes.includes(scamType)) ||
+    personas.find(persona => persona.companies.length === 0 && persona.scamTypes.length === 0) ||
+    null;
+}
+
+/**
+ * Fill a template's {variables}.
+ * @param {string} template - Template text.
+ * @param {Object} variables - Values by variable name.
+ * @returns {string}
+ */
+function fillTemplate(template, variables) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (variables[name] === undefined ? match : variables[name]));
+}
+
+/**
+ * Render a persona's assistant name, first message and system prompt.
+ * @param {Object} persona - Normalized persona.
+ * @param {Object} [variables]
+ * @param {string} [variables.company] - Impersonated company (default: the persona's default company).
+ * @param {string} [variables.lastName] - The agent's last name.
+ * @param {string} [variables.city] - Where the agent lives, e.g. "Chicago, IL".
+ * @returns {{assistantName: string, firstMessage: string, systemPrompt: string, variables: Object}}
+ */
+function renderPersona(persona, { company, lastName = '', city = '' } = {}) {
+  const variables = {
+    company: company || persona.defaultCompany || '',
+    firstName: persona.firstName,
+    lastName,
+    name: [persona.firstName, lastName].filter(Boolean).join(' '),
+    city
+  };
+  variables.stallingTactics = persona.stallingTactics.map(tactic => `- ${fillTemplate(tactic, variables)}`).join('\n');
+
+  // A prompt that doesn't place the tactics itself gets them at the end
+  let systemPrompt = fillTemplate(persona.systemPrompt, variables);
+  if (persona.stallingTactics.length > 0 && !templateVariables(persona.systemPrompt).includes('stallingTactics')) {
+    systemPrompt = `${systemPrompt}\n\nKey behaviors:\n${variables.stallingTactics}`;
+  }
+
+  return {
+    assistantName: fillTemplate(persona.assistantName, variables).replace(/\s+/g, ' ').trim(),
+    firstMessage: fillTemplate(persona.firstMessage, variables),
+    systemPrompt,
+    variables
+  };
+}
+
+module.exports = {
+  loadPersonaLibrary,
+  getPersonaLibrary,
+  reloadPersonaLibrary,
+  listPersonas,
+  getPersona,
+  selectPersona,
+  renderPersona,
+  normalizePersona,
+  DEFAULT_PERSONAS_DIR,
+  PERSONA_VARIABLES
+};
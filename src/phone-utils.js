@@ -0,0 +1,187 @@
+/**
+ * Phone Number Utilities
+ * Country-aware parsing, validation, formatting, number-type detection and redaction shared
+ * by the SMS, voice and agent paths. Backed by the libphonenumber numbering-plan metadata;
+ * national numbers are read in DEFAULT_PHONE_REGION (ISO 3166 code, default "US").
+ */
+
+const {
+  parsePhoneNumberFromString,
+  findPhoneNumbersInText
+} = require('libphonenumber-js/max');
+
+const FALLBACK_REGION = 'US';
+
+// Number types (lower-cased libphonenumber types) that are never dialed automatically
+const NEVER_AUTO_CALL_TYPES = ['premium_rate'];
+
+/**
+ * Get the region used to read numbers without a country code.
+ * @returns {string} ISO 3166-1 alpha-2 code, e.g. "US", "GB", "IN".
+ */
+function getDefaultRegion() {
+  const region = (process.env.DEFAULT_PHONE_REGION || FALLBACK_REGION).trim().toUpperCase();
+  return /^[A-Z]{2}$/.test(region) ? region : FALLBACK_REGION;
+}
+
+/**
+ * Parse a phone number.
+ * @param {string} phoneNumber - Number in any common format.
+ * @param {string} [region] - Region for national numbers (defaults to getDefaultRegion()).
+ * @returns {{e164: string, country: string|null, countryCallingCode: string, nationalNumber: string,
+ *   type: string, isValid: boolean, isPossible: boolean}|null}
+ */
+function parsePhoneNumber(phoneNumber, region = getDefaultRegion()) {
+  if (!phoneNumber || typeof phoneNumber !== 'string') {
+    return null;
+  }
+
+  // "00" and "011" international prefixes are treated like "+"
+  let input = phoneNumber.trim();
+  const compact = input.replace(/[\s().-]/g, '');
+  if (/^(00|011)[1-9]\d{6,}$/.test(compact)) {
+    input = `+${compact.replace(/^(00|011)/, '')}`;
+  }
+
+  const parsed = parsePhoneNumberFromString(input, region);
+  if (!parsed) {
+    return null;
+  }
+
+  return {
+    e164: parsed.number,
+    country: parsed.country || null,
+    countryCallingCode: parsed.countryCallingCode,
+    nationalNumber: parsed.nationalNumber,
+    type: (parsed.getType() || 'unknown').toLowerCase(),
+    isValid: parsed.isValid(),
+    isPossible: parsed.isPossible()
+  };
+}
+
+/**
+ * Validate phone number format
+ * @param {string} phoneNumber - Phone number to validate
+ * @param {string} [region] - Region for national numbers
+ * @returns {boolean} True if the number is valid in its country's numbering plan
+ */
+function isValidPhoneNumber(phoneNumber, region = getDefaultRegion()) {
+  const parsed = parsePhoneNumber(phoneNumber, region);
+  return !!parsed && parsed.isValid;
+}
+
+/**
+ * Formats a phone number into E.164 format.
+ * National numbers are read in the default region; numbers with a +, 00 or 011 prefix keep
+ * their own country code.
+ * @param {string} phoneNumber - The phone number to format.
+ * @param {string} [region] - Region for national numbers.
+ * @returns {string|null} The formatted phone number or null if it can't be a phone number.
+ */
+function formatToE164(phoneNumber, region = getDefaultRegion()) {
+  const parsed = parsePhoneNumber(phoneNumber, region);
+  return parsed && parsed.isPossible ? parsed.e164 : null;
+}
+
+/**
+ * Detect the number type (mobile, fixed_line, toll_free, premium_rate, shared_cost, voip...).
+ * @param {string} phoneNumber
+ * @param {string} [region] - Region for national numbers.
+ * @returns {string} Lower-cased type, or "unknown".
+ */
+function getNumberType(phoneNumber, region = getDefaultRegion()) {
+  const parsed = parsePhoneNumber(phoneNumber, region);
+  return parsed ? parsed.type : 'unknown';
+}
+
+/**
+ * Whether a number may be dialed automatically by an agent.
+ * @param {string} phoneNumber
+ * @param {string} [region] - Region for national numbers.
+ * @returns {{allowed: boolean, type: string, reason: string|null}}
+ */
+function checkAutoCallable(phoneNumber, region = getDefaultRegion()) {
+  const type = getNumberType(phoneNumber, region);
+  if (NEVER_AUTO_CALL_TYPES.includes(type)) {
+    return { allowed: false, type, reason: `${type.replace('_', '-')} number` };
+  }
+  return { allowed: true, type, reason: null };
+}
+
+/**
+ * Redact phone number for privacy protection
+ * Keeps the country code, the first few national digits and the last 2 digits,
+ * e.g. 15551XXXX89 (US), 4479XXXXXX56 (UK mobile), 9198XXXXXX10 (India)
+ * @param {string} phoneNumber - Phone number to redact
+ * @returns {string} Redacted phone number
+ */
+function redactPhoneNumber(phoneNumber) {
+  if (!phoneNumber || typeof phoneNumber !== 'string') {
+    return ''; // Return empty string for invalid input
+  }
+  const digitsOnly = phoneNumber.replace(/\D/g, '');
+
+  if (digitsOnly.length < 8) {
+    return phoneNumber; // Too short to be a full phone number
+  }
+
+  const parsed = parsePhoneNumber(phoneNumber);
+  if (!parsed || !parsed.isPossible) {
+    // Unparseable: first 4, masked middle, last 4
+    if (digitsOnly.length < 9) {
+      return digitsOnly;
+    }
+    const maskedPart = 'X'.repeat(Math.max(0, digitsOnly.length - 8));
+    return `${digitsOnly.substring(0, 4)}${maskedPart}${digitsOnly.substring(digitsOnly.length - 4)}`;
+  }
+
+  // NANP keeps the area code plus one digit (15551XXXX89); elsewhere the first 2 national digits
+  const visiblePrefix = parsed.countryCallingCode === '1' ? 4 : 2;
+  const national = parsed.nationalNumber;
+  const keepStart = Math.min(visiblePrefix, Math.max(0, national.length - 4));
+  const masked = 'X'.repeat(Math.max(0, national.length - keepStart - 2));
+  return `${parsed.countryCallingCode}${national.substring(0, keepStart)}${masked}${national.substring(national.length - 2)}`;
+}
+
+/**
+ * Redact every phone number found in free text (transcripts, SMS bodies).
+ * @param {string} text
+ * @param {string} [region] - Region for national numbers.
+ * @returns {string} Text with phone numbers redacted
+ */
+function redactPhoneNumbersInText(text, region = getDefaultRegion()) {
+  if (!text || typeof text !== 'string') {
+    return text;
+  }
+
+  // Spaced digits like "3 3 0 9 7 8 8 9 4 7" (common in voicemail transcripts)
+  let redactedText = text.replace(/\b(\d\s){7,14}\d\b/g, match => redactPhoneNumber(match.replace(/\s/g, '')));
+
+  // Numbers in any format the numbering plan recognizes (replaced right to left to keep offsets)
+  const matches = findPhoneNumbersInText(redactedText, { defaultCountry: region, leniency: 'POSSIBLE' });
+  for (const match of matches.reverse()) {
+    redactedText = redactedText.slice(0, match.startsAt) +
+      redactPhoneNumber(match.number.number) +
+      redactedText.slice(match.endsAt);
+  }
+
+  // Remaining 10-11 digit runs (e.g. fictional numbers the numbering plan rejects)
+  redactedText = redactedText.replace(/(?:\+?1[-.\s]?)?\(?\b\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}\b/g, match => {
+    const digits = match.replace(/\D/g, '');
+    return digits.length >= 10 && digits.length <= 11 ? redactPhoneNumber(digits) : match;
+  });
+
+  return redactedText;
+}
+
+module.exports = {
+  getDefaultRegion,
+  parsePhoneNumber,
+  isValidPhoneNumber,
+  formatToE164,
+  getNumberType,
+  checkAutoCallable,
+  redactPhoneNumber,
+  redactPhoneNumbersInText,
+  NEVER_AUTO_CALL_TYPES
+};
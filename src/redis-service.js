@@ -29,6 +29,7 @@ const EVENT_TYPES = {
   VAPI_CALL_STARTED: 'vapi_call_started',
   VAPI_CALL_ENDED: 'vapi_call_ended',
   VAPI_CALL_FAILED: 'vapi_call_failed',
+  AGENT_CALL_BLOCKED: 'agent_call_blocked',
   ACTIVE_CALLS_UPDATE: 'active_calls_update'
 };
 
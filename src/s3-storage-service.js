@@ -1,337 +1,412 @@
 /**
- * S3 Storage Service for call data and transcriptions
- * This service handles storing and retrieving call data from S3
+ * Storage Service for call data and transcriptions
+ * This service handles storing and retrieving call data through the configured storage
+ * backend: AWS S3, an S3-compatible endpoint such as MinIO, or the local filesystem
+ * (see src/storage-backend.js)
  */
-const { S3Client, PutObjectCommand, GetObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+const { getStorage } = require('./storage-backend');
+const { recordEvidence, canonicalJson, isEvidenceHashingEnabled } = require('./evidence-manifest');
+const { indexCallMetadata, indexTranscription } = require('./call-index');
 require('dotenv').config();
 
-// S3 bucket name
-const BUCKET_NAME = 'sip-sentinel';
-
-// Folder structure in S3
+// Folder structure in the store
 const FOLDERS = {
   RECORDINGS: 'recordings',
   TRANSCRIPTIONS: 'transcriptions',
-  METADATA: 'metadata'
+  METADATA: 'metadata',
+  EVIDENCE: 'evidence',
+  IDENTITIES: 'identities'
 };
 
 /**
- * Get AWS configuration from environment variables
- * @returns {Object} AWS configuration object
+ * Read an object's content from storage
+ * @param {string} key - The object key
+ * @returns {Promise<Buffer|null>} - The content, or null if the object doesn't exist
  */
-function getAWSConfig() {
-  const accessKeyId = process.env.AWS_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY;
-  const secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY || process.env.AWS_SECRET_KEY;
+async function getObjectContent(key) {
+  return getStorage().get(key);
+}
 
-  if (!accessKeyId || !secretAccessKey) {
-    console.warn('AWS credentials not found in environment variables');
-    return null;
-  }
+/**
+ * Download a recording's audio from storage
+ * @param {string} recordingSid - The Twilio recording SID
+ * @returns {Promise<{key: string, body: Buffer}|null>} - The audio and its key, or null if not stored
+ */
+async function getRecordingAudio(recordingSid) {
+  const key = await findRecordingInS3(recordingSid);
+  if (!key) return null;
+  const body = await getObjectContent(key);
+  return body ? { key, body } : null;
+}
 
-  const config = {
-    region: process.env.AWS_REGION || 'us-west-2',
-    credentials: {
-      accessKeyId,
-      secretAccessKey
+/**
+ * Append an entry to a call's evidence manifest. Entries are write-once: the backend rejects
+ * the write if the sequence number is already taken.
+ * @param {string} callSid - The call or message SID
+ * @param {Object} entry - Manifest entry (see src/evidence-manifest.js)
+ * @returns {Promise<string>} - The key of the entry
+ */
+async function appendEvidenceEntry(callSid, entry) {
+  const key = `${FOLDERS.EVIDENCE}/${callSid}/${String(entry.sequence).padStart(6, '0')}.json`;
+  try {
+    await getStorage().put(key, JSON.stringify(entry, null, 2), { contentType: 'application/json', ifNoneMatch: true });
+  } catch (error) {
+    if (error.code === 'OBJECT_EXISTS') {
+      const exists = new Error(`Evidence entry ${entry.sequence} already exists for ${callSid}`);
+      exists.code = 'EVIDENCE_ENTRY_EXISTS';
+      throw exists;
     }
-  };
+    throw error;
+  }
+  return key;
+}
+
+/**
+ * List a call's evidence manifest
+ * @param {string} callSid - The call or message SID
+ * @returns {Promise<Object[]>} - Manifest entries in sequence order
+ */
+async function listEvidenceEntries(callSid) {
+  const objects = await getStorage().list(`${FOLDERS.EVIDENCE}/${callSid}/`);
+  return readJsonObjects(objects.map(object => object.key).sort());
+}
+
+/**
+ * Record stored artifacts in the call's evidence manifest. A manifest failure is logged
+ * rather than failing the ingest; verify-evidence reports the gap later.
+ * @param {string} callSid - The call or message SID
+ * @param {Object[]} artifacts - Artifacts for recordEvidence()
+ */
+async function recordIngestEvidence(callSid, artifacts) {
+  if (!isEvidenceHashingEnabled()) return;
+  try {
+    await recordEvidence(callSid, artifacts, module.exports);
+  } catch (error) {
+    console.error(`❌ Failed to record evidence hashes for ${callSid}:`, error.message);
+  }
+}
 
-  console.log('AWS SDK configured with credentials');
-  return config;
+/**
+ * Write a stored object through to the call index. Like the evidence manifest, an index failure
+ * is logged rather than failing the ingest; backfill-index repairs the gap.
+ * @param {string} callSid - The call or message SID
+ * @param {Function} update - Performs the index write
+ */
+async function updateCallIndex(callSid, update) {
+  try {
+    await update();
+  } catch (error) {
+    console.error(`❌ Failed to update the call index for ${callSid}:`, error.message);
+  }
 }
 
 /**
- * Create an S3 client
- * @returns {S3Client} S3 client
+ * Read and parse stored JSON documents, skipping any deleted since they were listed
+ * @param {string[]} keys - Object keys
+ * @returns {Promise<Object[]>} - Parsed documents
  */
-function createS3Client() {
-  const awsConfig = getAWSConfig();
-  if (!awsConfig) {
-    throw new Error('AWS credentials not configured');
+async function readJsonObjects(keys) {
+  const documents = [];
+  for (const key of keys) {
+    const content = await getObjectContent(key);
+    if (content) documents.push(JSON.parse(content.toString('utf-8')));
   }
-  return new S3Client(awsConfig);
+  return documents;
 }
 
 /**
- * Store call metadata in S3
+ * Store call metadata
  * @param {string} callSid - The Twilio call SID
  * @param {Object} metadata - The call metadata to store
- * @returns {Promise<string>} - The S3 key where the metadata was stored
+ * @returns {Promise<string>} - The key where the metadata was stored
  */
 async function storeCallMetadata(callSid, metadata) {
   try {
-    console.log(`Storing metadata for call ${callSid} in S3`);
-    
-    // Create S3 client
-    const s3Client = createS3Client();
-    
+    console.log(`Storing metadata for call ${callSid}`);
+
+    const storage = getStorage();
+
     // Create a unique key for the metadata
     const key = `${FOLDERS.METADATA}/${callSid}.json`;
-    
+
     // Add timestamp to metadata
     const metadataWithTimestamp = {
       ...metadata,
       timestamp: new Date().toISOString(),
       callSid
     };
-    
-    // Upload the metadata to S3
-    const uploadParams = {
-      Bucket: BUCKET_NAME,
-      Key: key,
-      Body: JSON.stringify(metadataWithTimestamp, null, 2),
-      ContentType: 'application/json'
-    };
-    
-    await s3Client.send(new PutObjectCommand(uploadParams));
-    console.log(`Metadata stored in S3: s3://${BUCKET_NAME}/${key}`);
-    
+
+    // Upload the metadata
+    const body = JSON.stringify(metadataWithTimestamp, null, 2);
+    await storage.put(key, body, { contentType: 'application/json' });
+    console.log(`Metadata stored: ${storage.uri(key)}`);
+
+    // Hash the document and the LLM analysis inside it into the call's evidence manifest
+    const artifacts = [{ artifact: 'metadata', key, content: body }];
+    const { scamAnalysis } = JSON.parse(body);
+    if (scamAnalysis) {
+      artifacts.push({ artifact: 'analysis', key, pointer: 'scamAnalysis', content: canonicalJson(scamAnalysis) });
+    }
+    await recordIngestEvidence(callSid, artifacts);
+    await updateCallIndex(callSid, () => indexCallMetadata(metadataWithTimestamp, { metadataKey: key }));
+
     return key;
   } catch (error) {
-    console.error('Error storing call metadata in S3:', error);
+    console.error('Error storing call metadata:', error);
     throw error;
   }
 }
 
 /**
- * Store transcription in S3
+ * Store a transcription
  * @param {string} callSid - The Twilio call SID
  * @param {string} recordingSid - The Twilio recording SID
  * @param {string} transcriptionText - The transcription text
- * @returns {Promise<string>} - The S3 key where the transcription was stored
+ * @returns {Promise<string>} - The key where the transcription was stored
  */
 async function storeTranscription(callSid, recordingSid, transcriptionText) {
   try {
-    console.log(`[S3 STORAGE] Storing transcription for recording ${recordingSid} in S3`);
-    console.log(`[S3 STORAGE] Transcription length: ${transcriptionText ? transcriptionText.length : 0} characters`);
-    console.log(`[S3 STORAGE] Transcription preview: "${transcriptionText ? transcriptionText.substring(0, 100) : 'null'}..."`);
+    console.log(`[STORAGE] Storing transcription for recording ${recordingSid}`);
+    console.log(`[STORAGE] Transcription length: ${transcriptionText ? transcriptionText.length : 0} characters`);
+    console.log(`[STORAGE] Transcription preview: "${transcriptionText ? transcriptionText.substring(0, 100) : 'null'}..."`);
 
-    // Create S3 client
-    const s3Client = createS3Client();
+    const storage = getStorage();
 
     // Create a unique key for the transcription
     const key = `${FOLDERS.TRANSCRIPTIONS}/${callSid}/${recordingSid}.txt`;
 
-    // Upload the transcription to S3
-    const uploadParams = {
-      Bucket: BUCKET_NAME,
-      Key: key,
-      Body: transcriptionText,
-      ContentType: 'text/plain'
-    };
-
-    await s3Client.send(new PutObjectCommand(uploadParams));
-    console.log(`[S3 STORAGE] Transcription stored in S3: s3://${BUCKET_NAME}/${key}`);
+    // Upload the transcription
+    await storage.put(key, transcriptionText, { contentType: 'text/plain' });
+    console.log(`[STORAGE] Transcription stored: ${storage.uri(key)}`);
+
+    // Hash the transcript and the audio it came from into the call's evidence manifest
+    const artifacts = [{ artifact: 'transcript', key, content: transcriptionText }];
+    if (isEvidenceHashingEnabled()) {
+      try {
+        const audio = await getRecordingAudio(recordingSid);
+        if (audio) {
+          artifacts.unshift({ artifact: 'audio', key: audio.key, content: audio.body });
+        } else {
+          console.warn(`[STORAGE] Recording ${recordingSid} not found in storage; its audio is not in the evidence manifest`);
+        }
+      } catch (error) {
+        console.error(`[STORAGE] Error reading recording ${recordingSid} for the evidence manifest:`, error.message);
+      }
+    }
+    await recordIngestEvidence(callSid, artifacts);
+    await updateCallIndex(callSid, () => indexTranscription(callSid, recordingSid, key));
 
     return key;
   } catch (error) {
-    console.error('[S3 STORAGE] Error storing transcription in S3:', error);
+    console.error('[STORAGE] Error storing transcription:', error);
     throw error;
   }
 }
 
 /**
- * Get call metadata from S3
+ * Get call metadata
  * @param {string} callSid - The Twilio call SID
  * @returns {Promise<Object>} - The call metadata
  */
 async function getCallMetadata(callSid) {
   try {
-    console.log(`Retrieving metadata for call ${callSid} from S3`);
-    
-    // Create S3 client
-    const s3Client = createS3Client();
-    
-    // Create the key for the metadata
-    const key = `${FOLDERS.METADATA}/${callSid}.json`;
-    
-    // Get the metadata from S3
-    const getParams = {
-      Bucket: BUCKET_NAME,
-      Key: key
-    };
-    
-    const response = await s3Client.send(new GetObjectCommand(getParams));
-    
-    // Convert the readable stream to a string
-    const chunks = [];
-    for await (const chunk of response.Body) {
-      chunks.push(chunk);
+    console.log(`Retrieving metadata for call ${callSid}`);
+
+    const content = await getObjectContent(`${FOLDERS.METADATA}/${callSid}.json`);
+    if (!content) {
+      console.log(`No metadata stored for call ${callSid}`);
+      return null;
     }
-    const buffer = Buffer.concat(chunks);
-    const metadataString = buffer.toString('utf-8');
-    
+
     // Parse the metadata
-    const metadata = JSON.parse(metadataString);
-    console.log(`Retrieved metadata for call ${callSid} from S3`);
-    
+    const metadata = JSON.parse(content.toString('utf-8'));
+    console.log(`Retrieved metadata for call ${callSid}`);
+
     return metadata;
   } catch (error) {
-    console.error(`Error retrieving metadata for call ${callSid} from S3:`, error);
+    console.error(`Error retrieving metadata for call ${callSid}:`, error);
     return null;
   }
 }
 
 /**
- * Get transcription from S3
+ * Get a transcription
  * @param {string} callSid - The Twilio call SID
  * @param {string} recordingSid - The Twilio recording SID
  * @returns {Promise<string>} - The transcription text
  */
 async function getTranscription(callSid, recordingSid) {
   try {
-    console.log(`[S3 RETRIEVAL] Retrieving transcription for recording ${recordingSid} from S3`);
-
-    // Create S3 client
-    const s3Client = createS3Client();
-
-    // Create the key for the transcription
-    const key = `${FOLDERS.TRANSCRIPTIONS}/${callSid}/${recordingSid}.txt`;
-
-    // Get the transcription from S3
-    const getParams = {
-      Bucket: BUCKET_NAME,
-      Key: key
-    };
-
-    const response = await s3Client.send(new GetObjectCommand(getParams));
+    console.log(`[STORAGE RETRIEVAL] Retrieving transcription for recording ${recordingSid}`);
 
-    // Convert the readable stream to a string
-    const chunks = [];
-    for await (const chunk of response.Body) {
-      chunks.push(chunk);
+    const content = await getObjectContent(`${FOLDERS.TRANSCRIPTIONS}/${callSid}/${recordingSid}.txt`);
+    if (!content) {
+      console.log(`[STORAGE RETRIEVAL] No transcription stored for recording ${recordingSid}`);
+      return null;
     }
-    const buffer = Buffer.concat(chunks);
-    const transcriptionText = buffer.toString('utf-8');
+    const transcriptionText = content.toString('utf-8');
 
-    console.log(`[S3 RETRIEVAL] Retrieved transcription for recording ${recordingSid} from S3`);
-    console.log(`[S3 RETRIEVAL] Retrieved transcription length: ${transcriptionText ? transcriptionText.length : 0} characters`);
-    console.log(`[S3 RETRIEVAL] Retrieved transcription preview: "${transcriptionText ? transcriptionText.substring(0, 100) : 'null'}..."`);
+    console.log(`[STORAGE RETRIEVAL] Retrieved transcription for recording ${recordingSid}`);
+    console.log(`[STORAGE RETRIEVAL] Retrieved transcription length: ${transcriptionText.length} characters`);
+    console.log(`[STORAGE RETRIEVAL] Retrieved transcription preview: "${transcriptionText.substring(0, 100)}..."`);
 
     return transcriptionText;
   } catch (error) {
-    console.error(`[S3 RETRIEVAL] Error retrieving transcription for recording ${recordingSid} from S3:`, error);
+    console.error(`[STORAGE RETRIEVAL] Error retrieving transcription for recording ${recordingSid}:`, error);
     return null;
   }
 }
 
 /**
- * Find recording in S3 by recording SID
+ * Store the fake identity an agent call played (src/fake-identity.js)
+ * @param {string} callId - The VAPI call ID
+ * @param {Object} record - { callId, originalCallSid, assistantName, identity, createdAt }
+ * @returns {Promise<string>} - The key where the identity was stored
+ */
+async function storeAgentIdentity(callId, record) {
+  const storage = getStorage();
+  const key = `${FOLDERS.IDENTITIES}/${callId}.json`;
+  await storage.put(key, JSON.stringify(record, null, 2), { contentType: 'application/json' });
+  console.log(`🪪 Fake identity stored: ${storage.uri(key)}`);
+  return key;
+}
+
+/**
+ * Get the fake identity an agent call played
+ * @param {string} callId - The VAPI call ID
+ * @returns {Promise<Object|null>} - The stored record, or null if there is none
+ */
+async function getAgentIdentity(callId) {
+  const content = await getObjectContent(`${FOLDERS.IDENTITIES}/${callId}.json`);
+  return content ? JSON.parse(content.toString('utf-8')) : null;
+}
+
+/**
+ * Find a recording in storage by recording SID. Twilio external storage writes recordings to
+ * <AccountSid>/<RecordingSid>; older uploads live under the recordings folder.
  * @param {string} recordingSid - The Twilio recording SID
- * @returns {Promise<string|null>} - The S3 key if found, null otherwise
+ * @returns {Promise<string|null>} - The object key if found, null otherwise
  */
 async function findRecordingInS3(recordingSid) {
   try {
-    console.log(`[S3 SEARCH] Looking for recording ${recordingSid} in S3`);
+    console.log(`[STORAGE SEARCH] Looking for recording ${recordingSid}`);
 
-    // Create S3 client
-    const s3Client = createS3Client();
+    const storage = getStorage();
 
-    // Search in the recordings folder
-    const listParams = {
-      Bucket: BUCKET_NAME,
-      Prefix: `${FOLDERS.RECORDINGS}/`,
-      MaxKeys: 1000 // Reasonable limit for search
-    };
+    const accountSid = process.env.TWILIO_ACCOUNT_SID;
+    if (accountSid) {
+      for (const key of [`${accountSid}/${recordingSid}`, `${accountSid}/${recordingSid}.wav`]) {
+        if (await storage.head(key)) {
+          console.log(`[STORAGE SEARCH] Found recording: ${key}`);
+          return key;
+        }
+      }
+    }
 
-    const response = await s3Client.send(new ListObjectsV2Command(listParams));
+    // Search in the recordings folder
+    const objects = await storage.list(`${FOLDERS.RECORDINGS}/`, { limit: 1000 });
 
-    if (!response.Contents || response.Contents.length === 0) {
-      console.log(`[S3 SEARCH] No recordings found in S3 recordings folder`);
+    if (objects.length === 0) {
+      console.log(`[STORAGE SEARCH] No recordings found in the recordings folder`);
       return null;
     }
 
     // Look for a key that contains the recording SID
-    const matchingObject = response.Contents.find(object =>
-      object.Key.includes(recordingSid)
-    );
+    const matchingObject = objects.find(object => object.key.includes(recordingSid));
 
     if (matchingObject) {
-      console.log(`[S3 SEARCH] Found recording in S3: ${matchingObject.Key}`);
-      return matchingObject.Key;
+      console.log(`[STORAGE SEARCH] Found recording: ${matchingObject.key}`);
+      return matchingObject.key;
     }
 
-    console.log(`[S3 SEARCH] Recording ${recordingSid} not found in S3`);
+    console.log(`[STORAGE SEARCH] Recording ${recordingSid} not found`);
     return null;
   } catch (error) {
-    console.error(`[S3 SEARCH] Error searching for recording ${recordingSid} in S3:`, error);
+    console.error(`[STORAGE SEARCH] Error searching for recording ${recordingSid}:`, error);
     return null;
   }
 }
 
 /**
- * List recent call metadata from S3
+ * List recent call metadata
  * @param {number} limit - Maximum number of items to return
  * @returns {Promise<Array>} - Array of call metadata objects
  */
 async function listRecentCallMetadata(limit = 10) {
   try {
-    console.log(`Listing recent call metadata from S3 (limit: ${limit})`);
+    console.log(`Listing recent call metadata (limit: ${limit})`);
 
-    // Create S3 client
-    let s3Client;
+    // List objects in the metadata folder
+    let objects;
     try {
-      s3Client = createS3Client();
+      objects = await getStorage().list(`${FOLDERS.METADATA}/`, { limit });
     } catch (error) {
-      console.warn('S3 client not available:', error.message);
+      console.warn('Storage not available:', error.message);
       return [];
     }
 
-    // List objects in the metadata folder
-    const listParams = {
-      Bucket: BUCKET_NAME,
-      Prefix: `${FOLDERS.METADATA}/`,
-      MaxKeys: limit
-    };
-
-    const response = await s3Client.send(new ListObjectsV2Command(listParams));
-
     // If no objects found, return empty array
-    if (!response.Contents || response.Contents.length === 0) {
-      console.log('No call metadata found in S3');
+    if (objects.length === 0) {
+      console.log('No call metadata found');
       return [];
     }
 
-    // Get metadata for each object
-    const metadataPromises = response.Contents.map(async (object) => {
-      const getParams = {
-        Bucket: BUCKET_NAME,
-        Key: object.Key
-      };
-
-      const objectResponse = await s3Client.send(new GetObjectCommand(getParams));
-
-      // Convert the readable stream to a string
-      const chunks = [];
-      for await (const chunk of objectResponse.Body) {
-        chunks.push(chunk);
-      }
-      const buffer = Buffer.concat(chunks);
-      const metadataString = buffer.toString('utf-8');
-
-      // Parse the metadata
-      return JSON.parse(metadataString);
-    });
-
-    const metadataList = await Promise.all(metadataPromises);
+    const metadataList = await readJsonObjects(objects.map(object => object.key));
 
     // Sort by timestamp (newest first)
     metadataList.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
 
-    console.log(`Retrieved ${metadataList.length} call metadata items from S3`);
+    console.log(`Retrieved ${metadataList.length} call metadata items`);
 
     return metadataList;
   } catch (error) {
-    console.error('Error listing call metadata from S3:', error);
+    console.error('Error listing call metadata:', error);
     return [];
   }
 }
 
+/**
+ * List call metadata stored within a time window
+ * @param {Object} window
+ * @param {string|Date} window.since - Start of the window (inclusive)
+ * @param {string|Date} [window.until] - End of the window (inclusive, defaults to now)
+ * @returns {Promise<Array>} - Call metadata objects in the window, oldest first
+ */
+async function listCallMetadataInWindow({ since, until = new Date() }) {
+  const start = new Date(since).getTime();
+  const end = new Date(until).getTime();
+
+  console.log(`Listing call metadata between ${new Date(start).toISOString()} and ${new Date(end).toISOString()}`);
+
+  // Objects last written before the window can't belong to it
+  const objects = await getStorage().list(`${FOLDERS.METADATA}/`);
+  const keys = objects
+    .filter(object => !object.lastModified || new Date(object.lastModified).getTime() >= start)
+    .map(object => object.key);
+
+  const metadataList = (await readJsonObjects(keys)).filter(metadata => {
+    const time = new Date(metadata.timestamp).getTime();
+    return time >= start && time <= end;
+  });
+
+  metadataList.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  console.log(`Retrieved ${metadataList.length} call metadata items in the window`);
+
+  return metadataList;
+}
+
 module.exports = {
   storeCallMetadata,
   storeTranscription,
   getCallMetadata,
   getTranscription,
   listRecentCallMetadata,
-  findRecordingInS3
+  listCallMetadataInWindow,
+  findRecordingInS3,
+  getObjectContent,
+  getRecordingAudio,
+  appendEvidenceEntry,
+  listEvidenceEntries,
+  storeAgentIdentity,
+  getAgentIdentity
 };
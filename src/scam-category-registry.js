@@ -0,0 +1,352 @@
+/**
+ * Scam Category Registry
+ * Loads scam categories (terms, companies, aliases and scoring weights) from
+ * JSON or YAML files so new scam families can be added without touching the detector.
+ *
+ * Categories are read from config/scam-categories/ by default. Additional files or
+ * directories can be supplied via SCAM_CATEGORIES_PATH (comma-separated); a category
+ * loaded later with the same id replaces the earlier definition.
+ *
+ * Language packs (config/language-packs/, plus LANGUAGE_PACKS_PATH) add translated signal
+ * terms and category terms for one language; the detector applies the pack of the
+ * message's detected language on top of the English terms.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_CATEGORIES_DIR = path.join(__dirname, '..', 'config', 'scam-categories');
+const DEFAULT_SIGNALS_FILE = path.join(__dirname, '..', 'config', 'scam-signals.json');
+const DEFAULT_LANGUAGE_PACKS_DIR = path.join(__dirname, '..', 'config', 'language-packs');
+
+const SUPPORTED_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Weights applied when a category or signal group does not declare its own
+const DEFAULT_WEIGHTS = {
+  base: 2,
+  perExtraTerm: 1,
+  maxExtraTerms: 2
+};
+
+let cachedRegistry = null;
+
+/**
+ * Parse a JSON or YAML file based on its extension.
+ * @param {string} filePath - Path to the file.
+ * @returns {*} Parsed contents.
+ */
+function parseConfigFile(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+  return ext === '.json' ? JSON.parse(raw) : yaml.load(raw);
+}
+
+/**
+ * Lowercase, trim and de-duplicate a list of terms.
+ * @param {Array} list - Raw term list.
+ * @returns {string[]}
+ */
+function normalizeTermList(list) {
+  if (!Array.isArray(list)) return [];
+  const seen = new Set();
+  const terms = [];
+  for (const entry of list) {
+    if (typeof entry !== 'string') continue;
+    const term = entry.trim().toLowerCase();
+    if (term && !seen.has(term)) {
+      seen.add(term);
+      terms.push(term);
+    }
+  }
+  return terms;
+}
+
+/**
+ * Merge a weights object with the defaults, ignoring non-numeric values.
+ * @param {Object} weights - Raw weights.
+ * @returns {{base: number, perExtraTerm: number, maxExtraTerms: number}}
+ */
+function normalizeWeights(weights = {}) {
+  const result = { ...DEFAULT_WEIGHTS };
+  for (const key of Object.keys(DEFAULT_WEIGHTS)) {
+    if (typeof weights[key] === 'number' && Number.isFinite(weights[key])) {
+      result[key] = weights[key];
+    }
+  }
+  return result;
+}
+
+/**
+ * Validate and normalize a raw category definition.
+ * @param {Object} raw - Category as read from a config file.
+ * @param {string} source - Where the category came from (for log messages).
+ * @returns {Object|null} Normalized category, or null if invalid.
+ */
+function normalizeCategory(raw, source = 'inline') {
+  if (!raw || typeof raw !== 'object') {
+    console.warn(`⚠️ Ignoring scam category from ${source}: not an object`);
+    return null;
+  }
+
+  const id = typeof raw.id === 'string' ? raw.id.trim() : '';
+  if (!id) {
+    console.warn(`⚠️ Ignoring scam category from ${source}: missing "id"`);
+    return null;
+  }
+
+  const companies = normalizeTermList(raw.companies);
+  const aliases = normalizeTermList(raw.aliases);
+  const terms = normalizeTermList(raw.terms);
+
+  if (companies.length === 0 && aliases.length === 0 && terms.length === 0) {
+    console.warn(`⚠️ Ignoring scam category "${id}" from ${source}: no companies, aliases or terms`);
+    return null;
+  }
+
+  return {
+    id,
+    label: typeof raw.label === 'string' ? raw.label : id,
+    scamType: typeof raw.scamType === 'string' && raw.scamType.trim() ? raw.scamType.trim() : id,
+    priority: typeof raw.priority === 'number' ? raw.priority : 0,
+    weights: normalizeWeights(raw.weights),
+    companies,
+    aliases,
+    terms,
+    source
+  };
+}
+
+/**
+ * Read every category defined in a file. A file may hold a single category
+ * or an object of the form { categories: [...] }.
+ * @param {string} filePath - Path to a JSON or YAML file.
+ * @returns {Object[]} Normalized categories.
+ */
+function loadCategoriesFromFile(filePath) {
+  let parsed;
+  try {
+    parsed = parseConfigFile(filePath);
+  } catch (error) {
+    console.warn(`⚠️ Failed to parse scam category file ${filePath}: ${error.message}`);
+    return [];
+  }
+
+  const rawCategories = Array.isArray(parsed?.categories)
+    ? parsed.categories
+    : Array.isArray(parsed) ? parsed : [parsed];
+
+  return rawCategories
+    .map(raw => normalizeCategory(raw, filePath))
+    .filter(Boolean);
+}
+
+/**
+ * Expand a file or directory path into the list of category files it contains.
+ * Directory entries are sorted so load order is deterministic.
+ * @param {string} target - File or directory path.
+ * @returns {string[]}
+ */
+function resolveCategoryFiles(target) {
+  if (!target || !fs.existsSync(target)) {
+    console.warn(`⚠️ Scam category path not found: ${target}`);
+    return [];
+  }
+
+  const stat = fs.statSync(target);
+  if (stat.isFile()) {
+    return [target];
+  }
+
+  return fs.readdirSync(target)
+    .filter(name => SUPPORTED_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+    .sort()
+    .map(name => path.join(target, name));
+}
+
+/**
+ * Load generic (category-independent) scam signals such as alert and action terms.
+ * @param {string} filePath - Path to the signals file.
+ * @returns {Object} Signal groups keyed by name, each with terms and weights.
+ */
+function loadSignals(filePath = DEFAULT_SIGNALS_FILE) {
+  let parsed = {};
+  try {
+    parsed = parseConfigFile(filePath) || {};
+  } catch (error) {
+    console.warn(`⚠️ Failed to load scam signals from ${filePath}: ${error.message}`);
+  }
+
+  const signals = {};
+  for (const [name, group] of Object.entries(parsed)) {
+    signals[name] = {
+      terms: normalizeTermList(group?.terms),
+      weights: normalizeWeights(group?.weights)
+    };
+  }
+  return signals;
+}
+
+/**
+ * Load language packs. Packs for the same language are merged in load order.
+ * @param {string[]} paths - Files or directories holding packs.
+ * @returns {Object} Packs keyed by language code, each with signals (terms by group) and
+ *   categories (companies, aliases and terms by category id).
+ */
+function loadLanguagePacks(paths) {
+  const packs = {};
+  for (const target of paths) {
+    for (const file of resolveCategoryFiles(target)) {
+      let parsed;
+      try {
+        parsed = parseConfigFile(file);
+      } catch (error) {
+        console.warn(`⚠️ Failed to parse language pack ${file}: ${error.message}`);
+        continue;
+      }
+
+      const language = typeof parsed?.language === 'string' ? parsed.language.trim().toLowerCase() : '';
+      if (!language) {
+        console.warn(`⚠️ Ignoring language pack ${file}: missing "language"`);
+        continue;
+      }
+
+      const pack = packs[language] || (packs[language] = { language, signals: {}, categories: {}, sources: [] });
+      pack.sources.push(file);
+      for (const [name, terms] of Object.entries(parsed.signals || {})) {
+        pack.signals[name] = normalizeTermList([...(pack.signals[name] || []), ...(terms || [])]);
+      }
+      for (const [id, raw] of Object.entries(parsed.categories || {})) {
+        const existing = pack.categories[id] || {};
+        pack.categories[id] = {
+          companies: normalizeTermList([...(existing.companies || []), ...(raw?.companies || [])]),
+          aliases: normalizeTermList([...(existing.aliases || []), ...(raw?.aliases || [])]),
+          terms: normalizeTermList([...(existing.terms || []), ...(raw?.terms || [])])
+        };
+      }
+    }
+  }
+  return packs;
+}
+
+/**
+ * Build a category registry from the default directory plus any extra paths.
+ * @param {Object} [options]
+ * @param {string[]} [options.paths] - Files or directories to load; defaults to the
+ *   built-in directory followed by SCAM_CATEGORIES_PATH entries.
+ * @param {string} [options.signalsFile] - Signals file path.
+ * @param {string[]} [options.languagePackPaths] - Language pack files or directories; defaults
+ *   to the built-in directory followed by LANGUAGE_PACKS_PATH entries.
+ * @returns {{categories: Object[], signals: Object, languagePacks: Object}}
+ */
+function loadCategoryRegistry(options = {}) {
+  const extraPaths = (process.env.SCAM_CATEGORIES_PATH || '')
+    .split(',')
+    .map(p => p.trim())
+    .filter(Boolean);
+  const paths = options.paths || [DEFAULT_CATEGORIES_DIR, ...extraPaths];
+
+  const byId = new Map();
+  for (const target of paths) {
+    for (const file of resolveCategoryFiles(target)) {
+      for (const category of loadCategoriesFromFile(file)) {
+        byId.set(category.id, category);
+      }
+    }
+  }
+
+  const extraPackPaths = (process.env.LANGUAGE_PACKS_PATH || '')
+    .split(',')
+    .map(p => p.trim())
+    .filter(Boolean);
+
+  return {
+    categories: Array.from(byId.values()),
+    signals: loadSignals(options.signalsFile || process.env.SCAM_SIGNALS_PATH || DEFAULT_SIGNALS_FILE),
+    languagePacks: loadLanguagePacks(options.languagePackPaths || [DEFAULT_LANGUAGE_PACKS_DIR, ...extraPackPaths])
+  };
+}
+
+/**
+ * Get the shared registry, loading it on first use.
+ * @returns {{categories: Object[], signals: Object, languagePacks: Object}}
+ */
+function getCategoryRegistry() {
+  if (!cachedRegistry) {
+    cachedRegistry = loadCategoryRegistry();
+    console.log(`📚 Loaded ${cachedRegistry.categories.length} scam categories: ${cachedRegistry.categories.map(c => c.id).join(', ')}`);
+    const packs = Object.keys(cachedRegistry.languagePacks);
+    if (packs.length > 0) {
+      console.log(`🌐 Loaded language packs: ${packs.join(', ')}`);
+    }
+  }
+  return cachedRegistry;
+}
+
+/**
+ * Discard the cached registry and load it again from disk.
+ * @returns {{categories: Object[], signals: Object, languagePacks: Object}}
+ */
+function reloadCategoryRegistry() {
+  cachedRegistry = null;
+  return getCategoryRegistry();
+}
+
+/**
+ * Register (or replace) a category at runtime.
+ * @param {Object} category - Raw category definition.
+ * @returns {Object|null} The normalized category, or null if it was invalid.
+ */
+function registerCategory(category) {
+  const normalized = normalizeCategory(category, 'runtime');
+  if (!normalized) return null;
+
+  const registry = getCategoryRegistry();
+  const index = registry.categories.findIndex(c => c.id === normalized.id);
+  if (index >= 0) {
+    registry.categories[index] = normalized;
+  } else {
+    registry.categories.push(normalized);
+  }
+  return normalized;
+}
+
+/**
+ * List the registered categories.
+ * @returns {Object[]}
+ */
+function listCategories() {
+  return getCategoryRegistry().categories;
+}
+
+/**
+ * Get a registered category by id.
+ * @param {string} id - Category id.
+ * @returns {Object|undefined}
+ */
+function getCategory(id) {
+  return listCategories().find(c => c.id === id);
+}
+
+/**
+ * Get the keyword pack for a language.
+ * @param {string} language - Language code, e.g. "es".
+ * @returns {Object|null}
+ */
+function getLanguagePack(language) {
+  return (language && getCategoryRegistry().languagePacks[language]) || null;
+}
+
+module.exports = {
+  loadCategoryRegistry,
+  getCategoryRegistry,
+  reloadCategoryRegistry,
+  registerCategory,
+  listCategories,
+  getCategory,
+  getLanguagePack,
+  normalizeCategory,
+  DEFAULT_CATEGORIES_DIR,
+  DEFAULT_LANGUAGE_PACKS_DIR,
+  DEFAULT_WEIGHTS
+};
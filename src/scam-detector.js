@@ -1,235 +1,222 @@
 /**
  * Scam Detection Service
  * Provides functions for detecting scams in messages using regex and heuristics.
+ * Scam categories and signal weights are loaded from config/ via the category registry.
+ * The keyword pack of the message's language (config/language-packs/) is matched on top
+ * of the English terms.
  */
 
+const { getCategoryRegistry, getLanguagePack } = require('./scam-category-registry');
+const { extractCallbackNumbers } = require('./callback-extractor');
+const { detectLanguage, resolveLanguage } = require('./language-detector');
+
 // Thresholds for scam detection
 const SCAM_DETECTION_THRESHOLDS = {
     MIN_REGEX_SCAM_SCORE: 5,
 };
 
-// Keywords for detecting crypto exchange scams
-const CRYPTO_EXCHANGES = [
-    'kraken',
-    'coinbase',
-    'binance',
-    'gemini',
-    'kucoin',
-    'crypto.com',
-    'uphold',
-    'bitstamp',
-    'etoro',
-    'bitcoin',
-    'ethereum',
-    'dogecoin',
-    'litecoin',
-    'xrp',
-    'cardano',
-    'solana',
-    'tether',
-    'usdc',
-    'stablecoin',
-    'cryptocurrency',
-    'crypto currency',
-    'digital asset',
-    'virtual currency',
-    'blockchain',
-    'wallet',
-    'withdrawal',
-    'deposit',
-    'trade',
-    'order'
-];
-
-// Keywords for detecting IT support scams
-const IT_SERVICES = [
-    'microsoft',
-    'apple',
-    'google',
-    'windows',
-    'amazon',
-    'aws',
-    'geek squad',
-    'best buy',
-    'norton',
-    'mcafee',
-    'kaspersky',
-    'webroot',
-    'lenovo',
-    'hp',
-    'dell',
-    'technical support',
-    'tech support',
-    'customer support',
-    'support team',
-    'security alert',
-    'virus',
-    'malware',
-    'suspicious activity',
-    'unusual activity',
-    'account compromised',
-    'subscription',
-    'auto-renewal',
-    'renewal',
-    'invoice',
-    'receipt',
-    'order',
-    'purchase'
-];
-
-// Keywords indicating urgency or alerts
-const ALERT_TERMS = [
-    'urgent',
-    'immediate',
-    'action required',
-    'security alert',
-    'suspicious',
-    'unusual',
-    'compromised',
-    'unauthorized',
-    'warning',
-    'final notice',
-    'important',
-    'critical'
-];
-
-// Keywords indicating a required action
-const ACTION_TERMS = [
-    'call us',
-    'contact us',
-    'dial',
-    'reach us',
-    'talk to',
-    'speak to',
-    'connect to',
-    'helpline',
-    'support line',
-    'toll-free',
-    'customer service'
-];
-
-// Keywords for interactive prompts
-const INTERACTIVE_PROMPTS = [
-    'press 1',
-    'press one',
-    'press 2',
-    'press two',
-    'press 3',
-    'press three',
-    'press 4',
-    'press four',
-    'press 5',
-    'press five',
-    'press 6',
-    'press six',
-    'press 7',
-    'press seven',
-    'press 8',
-    'press eight',
-    'press 9',
-    'press nine',
-    'press 0',
-    'press zero',
-    'press the number',
-    'press any key',
-    'press pound',
-    'press star',
-    'press hashtag',
-    'press #',
-    'press *',
-    'if this was not you',
-    'if this wasn\'t you',
-    'if you did not',
-    'if you didn\'t',
-    'to speak with',
-    'to talk to',
-    'to connect with',
-    'to be connected',
-    'for more information',
-    'for assistance',
-    'for help',
-    'to verify',
-    'to confirm'
-];
+/**
+ * Get the terms of a generic signal group (alert, action, interactive prompts...).
+ * @param {string} name - Signal group name from config/scam-signals.json.
+ * @param {Object} [pack] - Language pack whose translated terms are added.
+ * @returns {string[]}
+ */
+function getSignalTerms(name, pack = null) {
+  const terms = getCategoryRegistry().signals[name]?.terms || [];
+  return pack?.signals[name] ? [...terms, ...pack.signals[name]] : terms;
+}
+
+/**
+ * Get every matchable term (companies, aliases and keywords) of a category.
+ * @param {string} categoryId - Category id.
+ * @returns {string[]}
+ */
+function getCategoryTerms(categoryId) {
+  const category = getCategoryRegistry().categories.find(c => c.id === categoryId);
+  if (!category) return [];
+  return [...category.companies, ...category.terms];
+}
+
+/**
+ * Check whether a term occurs in the message as a whole word (a trailing plural
+ * "s" is allowed), so short terms like "irs" or "ups" don't match inside "first" or "groups".
+ * Chinese terms are matched as substrings since the text has no word breaks.
+ * @param {string} lowerMessage - Lowercased message.
+ * @param {string} term - Lowercased term.
+ * @returns {boolean}
+ */
+function containsTerm(lowerMessage, term) {
+  if (/\p{Script=Han}/u.test(term)) {
+    return lowerMessage.includes(term);
+  }
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}s?(?=$|[^\\p{L}\\p{N}])`, 'u').test(lowerMessage);
+}
+
+/**
+ * Score a list of matches using a weights object.
+ * The base weight applies once at least one term matches; each further match adds
+ * perExtraTerm, capped at maxExtraTerms extra matches.
+ * @param {number} matchCount - Number of matched terms.
+ * @param {{base: number, perExtraTerm: number, maxExtraTerms: number}} weights
+ * @returns {number}
+ */
+function scoreMatches(matchCount, weights) {
+  if (matchCount <= 0) return 0;
+  const extra = Math.min(matchCount - 1, weights.maxExtraTerms) * weights.perExtraTerm;
+  return weights.base + extra;
+}
+
+/**
+ * Score a message against every registered scam category.
+ * @param {string} lowerMessage - Lowercased message.
+ * @param {Object} [pack] - Language pack whose category terms are added.
+ * @returns {Object[]} One result per category, in registry order.
+ */
+function scoreCategories(lowerMessage, pack = null) {
+  return getCategoryRegistry().categories.map((category, index) => {
+    const translated = pack?.categories[category.id] || {};
+    const match = list => list.filter(term => containsTerm(lowerMessage, term));
+    const companies = match([...category.companies, ...(translated.companies || [])]);
+    const aliases = match([...category.aliases, ...(translated.aliases || [])]);
+    const terms = match([...category.terms, ...(translated.terms || [])]);
+    const matchCount = companies.length + aliases.length + terms.length;
+
+    return {
+      id: category.id,
+      scamType: category.scamType,
+      priority: category.priority,
+      index,
+      companies,
+      aliases,
+      terms,
+      score: scoreMatches(matchCount, category.weights)
+    };
+  });
+}
+
+/**
+ * Pick the best-scoring category; ties go to the higher priority, then registry order.
+ * @param {Object[]} categoryResults - Output of scoreCategories.
+ * @returns {Object|null} Best category result, or null if nothing matched.
+ */
+function pickBestCategory(categoryResults) {
+  const matched = categoryResults.filter(result => result.score > 0);
+  if (matched.length === 0) return null;
+
+  return matched.reduce((best, current) => {
+    if (current.score !== best.score) return current.score > best.score ? current : best;
+    if (current.priority !== best.priority) return current.priority > best.priority ? current : best;
+    return current.index < best.index ? current : best;
+  });
+}
 
 /**
- * Detects if a message is likely a crypto/exchange or IT support scam based on keywords and heuristics.
+ * Detects if a message is likely a scam by scoring it against every registered
+ * scam category (see src/scam-category-registry.js) plus generic urgency signals.
  * @param {string} message - The message to analyze.
+ * @param {Object} [options]
+ * @param {string} [options.language] - Known language (e.g. from transcription); detected otherwise.
  * @returns {{isScam: boolean, scamType: string|null, scamDetails: Object}}
  */
-function isLikelyScam(message) {
+function isLikelyScam(message, options = {}) {
   if (!message || typeof message !== 'string') {
     return { isScam: false, scamType: null, scamDetails: {} };
   }
 
   const lowerMessage = message.toLowerCase();
+  const { signals } = getCategoryRegistry();
 
-  const phoneNumberPattern = /(\+\d{1,3})?[-.,\s]?\(?\d{3}\)?[-.,\s]?\d{3}[-.,\s]?\d{4}/g;
-  const textNumberPattern = /\b(one|two|three|four|five|six|seven|eight|nine|zero|oh)[-\s](one|two|three|four|five|six|seven|eight|nine|zero|oh)[-\s](one|two|three|four|five|six|seven|eight|nine|zero|oh)/i;
-  const digitSequencePattern = /\d{3}[-.,\s]?\d{3}[-.,\s]?\d{4}/g;
+  const knownLanguage = resolveLanguage(options.language);
+  const detected = knownLanguage ? null : detectLanguage(message);
+  const language = knownLanguage ? knownLanguage.code : detected.language;
+  const pack = getLanguagePack(language);
 
-  const hasPhoneNumber = phoneNumberPattern.test(lowerMessage) ||
-                         textNumberPattern.test(lowerMessage) ||
-                         digitSequencePattern.test(lowerMessage);
+  // Spoken, vanity and international numbers are handled by the callback extractor;
+  // the loose pattern still counts digit runs that aren't valid dialable numbers
+  const phoneNumberPattern = /(\+\d{1,3})?[-.,\s]?\(?\d{3}\)?[-.,\s]?\d{3}[-.,\s]?\d{4}/;
+  const callbackCandidates = extractCallbackNumbers(message);
+  const hasPhoneNumber = callbackCandidates.length > 0 || phoneNumberPattern.test(lowerMessage);
 
-  const cryptoTermsFound = CRYPTO_EXCHANGES.filter(term => lowerMessage.includes(term.toLowerCase()));
-  const itTermsFound = IT_SERVICES.filter(term => lowerMessage.includes(term.toLowerCase()));
-  const alertTermsFound = ALERT_TERMS.filter(term => lowerMessage.includes(term.toLowerCase()));
-  const actionTermsFound = ACTION_TERMS.filter(term => lowerMessage.includes(term.toLowerCase()));
-  const interactivePromptsFound = INTERACTIVE_PROMPTS.filter(prompt => lowerMessage.includes(prompt.toLowerCase()));
+  const findSignal = name => getSignalTerms(name, pack).filter(term => lowerMessage.includes(term));
+  const alertTermsFound = findSignal('alertTerms');
+  const actionTermsFound = findSignal('actionTerms');
+  const interactivePromptsFound = findSignal('interactivePrompts');
+  const callbackMentionsFound = findSignal('callbackMentions');
 
   const hasInteractivePrompts = interactivePromptsFound.length > 0;
-  const hasCryptoTerms = cryptoTermsFound.length > 0;
-  const hasITTerms = itTermsFound.length > 0;
-  const hasAlertTerms = alertTermsFound.length > 0;
-  const hasActionTerms = actionTermsFound.length > 0;
-  const hasCallbackMention = lowerMessage.includes('representative') || lowerMessage.includes('agent') || lowerMessage.includes('will call') || lowerMessage.includes('calling you');
-
-  let scamType = null;
-  if (hasCryptoTerms) {
-    scamType = 'crypto_exchange';
-  } else if (hasITTerms) {
-    scamType = 'it_support';
-  }
+  const hasCallbackMention = callbackMentionsFound.length > 0;
 
-  let scamScore = 0;
-  if (hasCryptoTerms) scamScore += 3;
-  if (hasITTerms) scamScore += 2;
-  if (hasAlertTerms) scamScore += 2;
-  if (hasActionTerms) scamScore += 2;
-  if (hasPhoneNumber) scamScore += 3;
-  if (hasCallbackMention) scamScore += 2;
-  if (hasInteractivePrompts) scamScore += 3;
+  const categoryResults = scoreCategories(lowerMessage, pack);
+  const bestCategory = pickBestCategory(categoryResults);
+  const scamType = bestCategory ? bestCategory.scamType : null;
 
-  scamScore += Math.min(cryptoTermsFound.length - 1, 2);
-  scamScore += Math.min(itTermsFound.length - 1, 2);
-  scamScore += Math.min(alertTermsFound.length - 1, 2);
-  scamScore += Math.min(actionTermsFound.length - 1, 2);
+  const signalWeight = name => signals[name]?.weights || { base: 0, perExtraTerm: 0, maxExtraTerms: 0 };
+  let scamScore = bestCategory ? bestCategory.score : 0;
+  scamScore += scoreMatches(alertTermsFound.length, signalWeight('alertTerms'));
+  scamScore += scoreMatches(actionTermsFound.length, signalWeight('actionTerms'));
+  scamScore += scoreMatches(interactivePromptsFound.length, signalWeight('interactivePrompts'));
+  scamScore += scoreMatches(callbackMentionsFound.length, signalWeight('callbackMentions'));
+  if (hasPhoneNumber) scamScore += signalWeight('phoneNumber').base;
 
   const isScam = scamScore >= SCAM_DETECTION_THRESHOLDS.MIN_REGEX_SCAM_SCORE;
 
+  const categoryScores = {};
+  const categoryMatches = {};
+  for (const result of categoryResults) {
+    categoryScores[result.id] = result.score;
+    if (result.score > 0) {
+      categoryMatches[result.id] = {
+        companies: result.companies,
+        aliases: result.aliases,
+        terms: result.terms
+      };
+    }
+  }
+
+  const termsFor = id => {
+    const match = categoryMatches[id];
+    return match ? [...match.companies, ...match.aliases, ...match.terms] : [];
+  };
+
   const scamDetails = {
-    cryptoTerms: cryptoTermsFound,
-    itTerms: itTermsFound,
+    cryptoTerms: termsFor('crypto_exchange'),
+    itTerms: termsFor('it_support'),
     alertTerms: alertTermsFound,
     actionTerms: actionTermsFound,
     interactivePrompts: interactivePromptsFound,
     hasPhoneNumber,
+    callbackCandidates,
     hasCallbackMention,
     hasInteractivePrompts,
     scamType,
-    scamScore
+    scamScore,
+    bestCategory: bestCategory ? bestCategory.id : null,
+    matchedCompanies: bestCategory ? [...bestCategory.companies, ...bestCategory.aliases] : [],
+    matchedTerms: bestCategory ? termsFor(bestCategory.id) : [],
+    categoryScores,
+    categoryMatches,
+    language,
+    languageConfidence: detected ? detected.confidence : 1
   };
 
   return { isScam, scamType, scamDetails };
 }
 
+// Legacy keyword lists, now derived from the category registry
+const CRYPTO_EXCHANGES = getCategoryTerms('crypto_exchange');
+const IT_SERVICES = getCategoryTerms('it_support');
+const ALERT_TERMS = getSignalTerms('alertTerms');
+const ACTION_TERMS = getSignalTerms('actionTerms');
+const INTERACTIVE_PROMPTS = getSignalTerms('interactivePrompts');
+
 module.exports = {
   isLikelyScam,
+  scoreCategories,
   SCAM_DETECTION_THRESHOLDS,
   CRYPTO_EXCHANGES,
   IT_SERVICES,
   ALERT_TERMS,
   ACTION_TERMS,
   INTERACTIVE_PROMPTS
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,448 @@
+/**
+ * Storage Backend
+ * One interface for the object storage behind recordings, transcriptions, call metadata and
+ * evidence manifests, selected with STORAGE_BACKEND:
+ * - s3 (default): AWS S3, bucket STORAGE_BUCKET in AWS_REGION
+ * - minio: any S3-compatible endpoint (STORAGE_ENDPOINT), e.g. a self-hosted MinIO
+ * - local: a directory on disk (STORAGE_LOCAL_DIR), for self-hosting and tests
+ *
+ * Every backend implements put/get/head/list/delete/getSignedUrl on object keys (getStream reads
+ * an object, or a byte range of it, as a stream for serving large recordings), plus
+ * objectUrl()/keyFromUrl() to move between keys and the URLs stored in tasks (Twilio's external
+ * storage writes recordings to <bucket>/<AccountSid>/<RecordingSid>), and uri() for logs and
+ * evidence references. Local signed URLs point at /api/storage/<key> and are HMAC-signed with
+ * STORAGE_SIGNING_SECRET.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL, fileURLToPath } = require('url');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl: presignUrl } = require('@aws-sdk/s3-request-presigner');
+
+const BACKENDS = ['s3', 'minio', 'local'];
+const BACKEND_ALIASES = { aws: 's3', 's3-compatible': 'minio', filesystem: 'local', fs: 'local' };
+const DEFAULT_BUCKET = 'sip-sentinel';
+const DEFAULT_REGION = 'us-west-2';
+const DEFAULT_LOCAL_DIR = 'data/storage';
+const DEFAULT_SIGNED_URL_TTL = 3600;
+
+const CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.txt': 'text/plain',
+  '.html': 'text/html',
+  '.wav': 'audio/wav',
+  '.mp3': 'audio/mpeg'
+};
+
+/**
+ * Build a storage error with a code callers can branch on
+ * @param {string} message - What went wrong
+ * @param {string} code - OBJECT_EXISTS, INVALID_STORAGE_KEY or INVALID_STORAGE_CONFIG
+ * @returns {Error} Error with a code
+ */
+function storageError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Read the storage configuration from the environment
+ * @param {Object} [env] - Environment variables (default process.env)
+ * @returns {{backend: string, bucket: string, region: string, endpoint: string|null, forcePathStyle: boolean,
+ *   credentials: Object|null, localDir: string, signingSecret: string|null, publicBaseUrl: string}}
+ */
+function resolveStorageConfig(env = process.env) {
+  const requested = (env.STORAGE_BACKEND || 's3').trim().toLowerCase();
+  const backend = BACKEND_ALIASES[requested] || requested;
+  if (!BACKENDS.includes(backend)) {
+    throw storageError(`Unknown storage backend "${env.STORAGE_BACKEND}" (expected ${BACKENDS.join(', ')})`, 'INVALID_STORAGE_CONFIG');
+  }
+
+  const endpoint = env.STORAGE_ENDPOINT ? env.STORAGE_ENDPOINT.replace(/\/+$/, '') : null;
+  if (backend === 'minio' && !endpoint) {
+    throw storageError('STORAGE_ENDPOINT is required for the minio storage backend (e.g. http://localhost:9000)', 'INVALID_STORAGE_CONFIG');
+  }
+
+  const accessKeyId = env.STORAGE_ACCESS_KEY_ID || env.AWS_ACCESS_KEY_ID || env.AWS_ACCESS_KEY;
+  const secretAccessKey = env.STORAGE_SECRET_ACCESS_KEY || env.AWS_SECRET_ACCESS_KEY || env.AWS_SECRET_KEY;
+
+  return {
+    backend,
+    bucket: env.STORAGE_BUCKET || DEFAULT_BUCKET,
+    region: env.AWS_REGION || DEFAULT_REGION,
+    endpoint: backend === 'minio' ? endpoint : null,
+    forcePathStyle: backend === 'minio' && env.STORAGE_FORCE_PATH_STYLE !== 'false',
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : null,
+    localDir: path.resolve(env.STORAGE_LOCAL_DIR || DEFAULT_LOCAL_DIR),
+    signingSecret: env.STORAGE_SIGNING_SECRET || null,
+    publicBaseUrl: (env.PUBLIC_BASE_URL || `http://localhost:${env.PORT || 3000}`).replace(/\/+$/, '')
+  };
+}
+
+/**
+ * Check an object key is relative and stays inside the store
+ * @param {string} key - Object key
+ * @returns {string} The key
+ */
+function validateKey(key) {
+  if (typeof key !== 'string' || key.length === 0 || key.startsWith('/') ||
+      key.split('/').some(segment => segment === '..' || segment === '.') || key.includes('\\') || key.includes('\0')) {
+    throw storageError(`Invalid storage key "${key}"`, 'INVALID_STORAGE_KEY');
+  }
+  return key;
+}
+
+/**
+ * Guess an object's content type from its key
+ * @param {string} key - Object key
+ * @returns {string} MIME type
+ */
+function contentTypeFor(key) {
+  return CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Convert a byte range to the inclusive bounds both backends use
+ * @param {{start: number, end?: number}} range - Requested range
+ * @param {number} size - Object size
+ * @returns {{start: number, end: number}} Clamped range
+ */
+function clampRange(range, size) {
+  const start = Math.max(0, range.start || 0);
+  const end = Math.min(size - 1, Number.isInteger(range.end) ? range.end : size - 1);
+  return { start, end };
+}
+
+/**
+ * HMAC signature for a local signed URL
+ * @param {string} secret - STORAGE_SIGNING_SECRET
+ * @param {string} key - Object key
+ * @param {number} expires - Expiry as Unix seconds
+ * @returns {string} Hex signature
+ */
+function signLocalUrl(secret, key, expires) {
+  return crypto.createHmac('sha256', secret).update(`${key}\n${expires}`).digest('hex');
+}
+
+/**
+ * Check a local signed URL's signature and expiry
+ * @param {string} key - Object key from the URL path
+ * @param {string|number} expires - `expires` query parameter
+ * @param {string} signature - `signature` query parameter
+ * @param {Object} [config] - Storage configuration (default resolveStorageConfig())
+ * @returns {boolean} Whether the URL is valid now
+ */
+function verifySignedUrl(key, expires, signature, config = resolveStorageConfig()) {
+  const expiry = parseInt(expires, 10);
+  if (!config.signingSecret || !Number.isFinite(expiry) || expiry * 1000 < Date.now() || typeof signature !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(signLocalUrl(config.signingSecret, key, expiry), 'hex');
+  const provided = Buffer.from(signature, 'hex');
+  return provided.length === expected.length && crypto.timingSafeEqual(expected, provided);
+}
+
+/**
+ * Create the S3 backend (AWS, or any S3-compatible endpoint such as MinIO)
+ * @param {Object} config - resolveStorageConfig() result
+ * @returns {Object} Storage backend
+ */
+function createS3Backend(config) {
+  const { bucket, region, endpoint } = config;
+  let client = null;
+
+  const getClient = () => {
+    if (!config.credentials) {
+      throw new Error(endpoint ? 'Storage credentials not configured' : 'AWS credentials not configured');
+    }
+    if (!client) {
+      client = new S3Client({
+        region,
+        credentials: config.credentials,
+        ...(endpoint ? { endpoint, forcePathStyle: config.forcePathStyle } : {})
+      });
+    }
+    return client;
+  };
+
+  const isNotFound = error => error.name === 'NoSuchKey' || error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404;
+
+  // The object's body as a readable stream, or null when it doesn't exist
+  const getBody = async (key, range) => {
+    validateKey(key);
+    try {
+      const response = await getClient().send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ...(range ? { Range: `bytes=${range.start || 0}-${Number.isInteger(range.end) ? range.end : ''}` } : {})
+      }));
+      return response.Body;
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  };
+
+  return {
+    type: config.backend,
+    bucket,
+
+    async put(key, body, { contentType, ifNoneMatch = false } = {}) {
+      validateKey(key);
+      try {
+        await getClient().send(new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: body,
+          ContentType: contentType || contentTypeFor(key),
+          ...(ifNoneMatch ? { IfNoneMatch: '*' } : {})
+        }));
+      } catch (error) {
+        if (error.name === 'PreconditionFailed' || error.$metadata?.httpStatusCode === 412) {
+          throw storageError(`Object ${key} already exists`, 'OBJECT_EXISTS');
+        }
+        throw error;
+      }
+      return key;
+    },
+
+    async get(key, { range } = {}) {
+      const body = await getBody(key, range);
+      return body ? Buffer.from(await body.transformToByteArray()) : null;
+    },
+
+    async getStream(key, { range } = {}) {
+      return getBody(key, range);
+    },
+
+    async head(key) {
+      validateKey(key);
+      try {
+        const response = await getClient().send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return { key, size: response.ContentLength, lastModified: response.LastModified, contentType: response.ContentType || contentTypeFor(key) };
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+
+    async list(prefix = '', { limit = Infinity } = {}) {
+      const objects = [];
+      let continuationToken;
+      do {
+        const response = await getClient().send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix,
+          ContinuationToken: continuationToken,
+          ...(Number.isFinite(limit) ? { MaxKeys: Math.min(1000, limit - objects.length) } : {})
+        }));
+        for (const object of response.Contents || []) {
+          objects.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+        }
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (continuationToken && objects.length < limit);
+      return objects;
+    },
+
+    async delete(key) {
+      validateKey(key);
+      await getClient().send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    async getSignedUrl(key, { expiresIn = DEFAULT_SIGNED_URL_TTL } = {}) {
+      validateKey(key);
+      return presignUrl(getClient(), new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn });
+    },
+
+    objectUrl(key) {
+      return endpoint ? `${endpoint}/${bucket}/${key}` : `https://${bucket}.s3.${region}.amazonaws.com/${key}`;
+    },
+
+    keyFromUrl(url) {
+      if (typeof url !== 'string') return null;
+      if (url.startsWith('s3://')) {
+        const [urlBucket, ...rest] = url.slice(5).split('/');
+        return urlBucket === bucket && rest.length > 0 ? rest.join('/') : null;
+      }
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch (error) {
+        return null;
+      }
+      const segments = decodeURIComponent(parsed.pathname).split('/').filter(Boolean);
+      const pathStyle = endpoint
+        ? parsed.origin === new URL(endpoint).origin
+        : /^s3[.-]([a-z0-9-]+\.)?amazonaws\.com$/.test(parsed.hostname);
+      if (pathStyle) {
+        return segments[0] === bucket && segments.length > 1 ? segments.slice(1).join('/') : null;
+      }
+      // Virtual-hosted style: https://<bucket>.s3[.<region>].amazonaws.com/<key>
+      if (!endpoint && parsed.hostname.startsWith(`${bucket}.s3`) && parsed.hostname.endsWith('.amazonaws.com')) {
+        return segments.length > 0 ? segments.join('/') : null;
+      }
+      return null;
+    },
+
+    uri(key) {
+      return `s3://${bucket}/${key}`;
+    }
+  };
+}
+
+/**
+ * Create the local filesystem backend
+ * @param {Object} config - resolveStorageConfig() result
+ * @returns {Object} Storage backend
+ */
+function createLocalBackend(config) {
+  const root = config.localDir;
+  const resolvePath = key => path.join(root, ...validateKey(key).split('/'));
+
+  const walk = directory => {
+    if (!fs.existsSync(directory)) return [];
+    return fs.readdirSync(directory, { withFileTypes: true }).flatMap(entry => {
+      const fullPath = path.join(directory, entry.name);
+      return entry.isDirectory() ? walk(fullPath) : [fullPath];
+    });
+  };
+
+  return {
+    type: 'local',
+    bucket: null,
+
+    async put(key, body, { ifNoneMatch = false } = {}) {
+      const filePath = resolvePath(key);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      try {
+        fs.writeFileSync(filePath, body, { flag: ifNoneMatch ? 'wx' : 'w' });
+      } catch (error) {
+        if (error.code === 'EEXIST') throw storageError(`Object ${key} already exists`, 'OBJECT_EXISTS');
+        throw error;
+      }
+      return key;
+    },
+
+    async get(key, { range } = {}) {
+      const filePath = resolvePath(key);
+      if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) return null;
+      const content = fs.readFileSync(filePath);
+      if (!range) return content;
+      const { start, end } = clampRange(range, content.length);
+      return content.subarray(start, end + 1);
+    },
+
+    async getStream(key, { range } = {}) {
+      const filePath = resolvePath(key);
+      if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) return null;
+      return fs.createReadStream(filePath, range ? clampRange(range, fs.statSync(filePath).size) : {});
+    },
+
+    async head(key) {
+      const filePath = resolvePath(key);
+      if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) return null;
+      const stats = fs.statSync(filePath);
+      return { key, size: stats.size, lastModified: stats.mtime, contentType: contentTypeFor(key) };
+    },
+
+    async list(prefix = '', { limit = Infinity } = {}) {
+      // Only walk the directory the prefix points into
+      const prefixDir = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+      const start = prefixDir ? resolvePath(prefixDir) : root;
+      return walk(start)
+        .map(filePath => path.relative(root, filePath).split(path.sep).join('/'))
+        .filter(key => key.startsWith(prefix))
+        .sort()
+        .slice(0, limit)
+        .map(key => {
+          const stats = fs.statSync(path.join(root, ...key.split('/')));
+          return { key, size: stats.size, lastModified: stats.mtime };
+        });
+    },
+
+    async delete(key) {
+      fs.rmSync(resolvePath(key), { force: true });
+    },
+
+    async getSignedUrl(key, { expiresIn = DEFAULT_SIGNED_URL_TTL } = {}) {
+      validateKey(key);
+      if (!config.signingSecret) {
+        throw storageError('STORAGE_SIGNING_SECRET is required for signed URLs with the local storage backend', 'INVALID_STORAGE_CONFIG');
+      }
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+      return `${config.publicBaseUrl}/api/storage/${encodedKey}?expires=${expires}&signature=${signLocalUrl(config.signingSecret, key, expires)}`;
+    },
+
+    objectUrl(key) {
+      return pathToFileURL(resolvePath(key)).href;
+    },
+
+    keyFromUrl(url) {
+      if (typeof url !== 'string' || !url.startsWith('file://')) return null;
+      let filePath;
+      try {
+        filePath = fileURLToPath(url);
+      } catch (error) {
+        return null;
+      }
+      const relative = path.relative(root, filePath);
+      if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return null;
+      return relative.split(path.sep).join('/');
+    },
+
+    uri(key) {
+      return resolvePath(key);
+    }
+  };
+}
+
+/**
+ * Create a storage backend
+ * @param {Object} [config] - resolveStorageConfig() result (default: from the environment)
+ * @returns {Object} Storage backend
+ */
+function createStorageBackend(config = resolveStorageConfig()) {
+  return config.backend === 'local' ? createLocalBackend(config) : createS3Backend(config);
+}
+
+let sharedStorage = null;
+
+/**
+ * Get the storage backend configured by the environment (created on first use)
+ * @returns {Object} Storage backend
+ */
+function getStorage() {
+  if (!sharedStorage) {
+    sharedStorage = createStorageBackend();
+    console.log(`🗄️ Storage backend: ${sharedStorage.type}${sharedStorage.bucket ? ` (bucket ${sharedStorage.bucket})` : ''}`);
+  }
+  return sharedStorage;
+}
+
+/**
+ * Drop the shared backend so the next getStorage() re-reads the environment
+ */
+function resetStorage() {
+  sharedStorage = null;
+}
+
+module.exports = {
+  getStorage,
+  resetStorage,
+  createStorageBackend,
+  resolveStorageConfig,
+  verifySignedUrl,
+  contentTypeFor,
+  BACKENDS
+};
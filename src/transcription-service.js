@@ -1,12 +1,27 @@
+/**
+ * Transcription Service
+ * Turns voicemail recordings into text with the transcriber selected by TRANSCRIBER:
+ * - amazon (default): Amazon Transcribe, which reads the audio from the AWS S3 storage backend
+ * - whisper: an OpenAI-compatible /audio/transcriptions endpoint (TRANSCRIBER_BASE_URL), e.g. a
+ *   self-hosted whisper.cpp or faster-whisper server, for the minio and local storage backends
+ * - none: no transcription of our own; voicemails rely on Twilio's transcription callback
+ *
+ * Amazon Transcribe can't read MinIO or local storage, so that combination is rejected by
+ * resolveTranscriberConfig() when the server starts instead of failing every voicemail.
+ */
+
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-// Import AWS SDK v3 modules
-const { S3Client, GetObjectCommand, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
-const { TranscribeClient, StartTranscriptionJobCommand, GetTranscriptionJobCommand } = require('@aws-sdk/client-transcribe');
+const { resolveLanguage, getTranscribeLocales } = require('./language-detector');
+const { getStorage, resolveStorageConfig } = require('./storage-backend');
 require('dotenv').config();
 
+const TRANSCRIBERS = ['amazon', 'whisper', 'none'];
+const DEFAULT_WHISPER_MODEL = 'whisper-1';
+const DEFAULT_TIMEOUT_MS = 60000;
+
 // Create a temporary directory for downloaded audio files
 const TEMP_DIR = path.join(os.tmpdir(), 'audio-transcriptions');
 if (!fs.existsSync(TEMP_DIR)) {
@@ -14,12 +29,56 @@ if (!fs.existsSync(TEMP_DIR)) {
 }
 
 /**
- * Get AWS configuration from environment variables
+ * Build a transcriber configuration error
+ * @param {string} message - What is wrong with the configuration
+ * @returns {Error} Error with code INVALID_TRANSCRIBER_CONFIG
+ */
+function transcriberConfigError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_TRANSCRIBER_CONFIG';
+  return error;
+}
+
+/**
+ * Read the transcriber configuration from the environment
+ * @param {Object} [env] - Environment variables (default process.env)
+ * @returns {{transcriber: string, baseURL: string|null, model: string, apiKey: string|null, timeoutMs: number}}
+ */
+function resolveTranscriberConfig(env = process.env) {
+  const transcriber = (env.TRANSCRIBER || 'amazon').trim().toLowerCase();
+  if (!TRANSCRIBERS.includes(transcriber)) {
+    throw transcriberConfigError(`Unknown transcriber "${env.TRANSCRIBER}" (expected ${TRANSCRIBERS.join(', ')})`);
+  }
+
+  const { backend } = resolveStorageConfig(env);
+  if (transcriber === 'amazon' && backend !== 's3') {
+    throw transcriberConfigError(`Amazon Transcribe only reads audio from AWS S3 and can't be used with the ${backend} storage backend; ` +
+      'set TRANSCRIBER=whisper with TRANSCRIBER_BASE_URL, or TRANSCRIBER=none to rely on Twilio\'s transcription callback');
+  }
+
+  const baseURL = env.TRANSCRIBER_BASE_URL ? env.TRANSCRIBER_BASE_URL.replace(/\/+$/, '') : null;
+  if (transcriber === 'whisper' && !baseURL) {
+    throw transcriberConfigError('TRANSCRIBER_BASE_URL is required for the whisper transcriber (e.g. http://localhost:8000/v1)');
+  }
+
+  const timeoutMs = parseInt(env.TRANSCRIPTION_TIMEOUT, 10);
+  return {
+    transcriber,
+    baseURL: transcriber === 'whisper' ? baseURL : null,
+    model: env.TRANSCRIBER_MODEL || DEFAULT_WHISPER_MODEL,
+    apiKey: env.TRANSCRIBER_API_KEY || null,
+    timeoutMs: timeoutMs > 0 ? timeoutMs : DEFAULT_TIMEOUT_MS
+  };
+}
+
+/**
+ * Get AWS configuration from environment variables. Transcribe runs in the storage bucket's
+ * region, since it reads the audio straight from the bucket.
  * @returns {Object} AWS configuration object
  */
 function getAWSConfig() {
   const config = {
-    region: process.env.AWS_REGION || 'us-west-2',
+    region: resolveStorageConfig().region,
     credentials: {
       accessKeyId: process.env.AWS_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY,
       secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || process.env.AWS_SECRET_KEY
@@ -30,97 +89,47 @@ function getAWSConfig() {
   return config;
 }
 
-/**
- * Extract bucket name and key from S3 URL
- * @param {string} url - The S3 URL
- * @returns {Object} - The bucket and key
- */
-function parseS3Url(url) {
-  try {
-    const urlObj = new URL(url);
-    let bucket, key;
-
-    // Path-style URL: https://s3.region.amazonaws.com/bucket-name/key
-    if (urlObj.hostname.startsWith('s3.')) {
-      const pathParts = urlObj.pathname.split('/').filter(p => p);
-      bucket = pathParts[0];
-      key = pathParts.slice(1).join('/');
-    } 
-    // Virtual-hosted-style URL: https://bucket-name.s3.region.amazonaws.com/key
-    else {
-      bucket = urlObj.hostname.split('.')[0];
-      key = urlObj.pathname.substring(1); // Remove leading slash
-    }
-
-    if (!bucket || !key) {
-      throw new Error('Could not determine bucket or key from URL.');
-    }
-
-    console.log(`Successfully parsed S3 URL - Bucket: ${bucket}, Key: ${key}`);
-    return { bucket, key };
-
-  } catch (error) {
-    console.error(`Failed to parse S3 URL "${url}":`, error.message);
-    // Return a value that indicates failure but doesn't crash the app
-    return { bucket: null, key: null };
-  }
-}
-
 /**
  * Download an audio file from a URL
  * @param {string} url - The URL of the audio file
  * @returns {Promise<string>} - The path to the downloaded file
  */
 async function downloadAudio(url) {
-  // Check if this is an S3 URL that needs AWS SDK
-  if (url.includes('s3.amazonaws.com') || url.includes('s3.us-west-2.amazonaws.com')) {
-    console.log('S3 URL detected. Using AWS SDK v3 to download.');
-
-    // Get AWS configuration and parse URL
-    const awsConfig = getAWSConfig();
-    const { bucket, key } = parseS3Url(url);
+  // Check if this URL points into our own storage backend
+  const storage = getStorage();
+  const key = storage.keyFromUrl(url);
+  if (key) {
+    console.log(`Storage URL detected. Reading ${key} from the ${storage.type} storage backend.`);
 
-    if (!bucket || !key) {
-      throw new Error('Could not parse S3 URL correctly');
-    }
-
-    // Create S3 client and set up parameters
-    const s3Client = new S3Client(awsConfig);
-    const params = { Bucket: bucket, Key: key };
-    
-    // Retry logic to handle S3 propagation delay
+    // Retry logic to handle storage propagation delay
     const MAX_RETRIES = 3;
     const RETRY_DELAY_MS = 2500; // 2.5 seconds
 
     for (let i = 0; i < MAX_RETRIES; i++) {
-      try {
-        console.log(`Attempt ${i + 1}/${MAX_RETRIES} to fetch S3 object from bucket: ${bucket}, key: ${key}`);
-        const command = new GetObjectCommand(params);
-        const response = await s3Client.send(command);
+      console.log(`Attempt ${i + 1}/${MAX_RETRIES} to fetch stored object: ${key}`);
+      const buffer = await storage.get(key);
 
+      if (buffer) {
         // Create a unique filename and write the file to disk
-        const filename = `s3-recording-${Date.now()}.wav`;
+        const filename = `storage-recording-${Date.now()}.wav`;
         const filePath = path.join(TEMP_DIR, filename);
-        const buffer = await response.Body.transformToByteArray();
         fs.writeFileSync(filePath, buffer);
-        console.log(`S3 audio downloaded to ${filePath}`);
+        console.log(`Stored audio downloaded to ${filePath}`);
 
         return filePath; // Success
-      } catch (error) {
-        // Check if the error is "NoSuchKey" and if we can still retry
-        if (error.name === 'NoSuchKey' && i < MAX_RETRIES - 1) {
-          console.warn(`S3 object not found (key: ${key}), retrying in ${RETRY_DELAY_MS}ms...`);
-          await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
-        } else {
-          // If it's a different error or the last retry, re-throw to be caught by the caller
-          console.error(`Failed to download from S3 after ${i + 1} attempts. Error: ${error.message}`);
-          throw error;
-        }
+      }
+
+      if (i < MAX_RETRIES - 1) {
+        console.warn(`Stored object not found (key: ${key}), retrying in ${RETRY_DELAY_MS}ms...`);
+        await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
       }
     }
+
+    console.error(`Failed to download ${key} from storage after ${MAX_RETRIES} attempts`);
+    throw new Error(`Stored object ${key} not found`);
   }
 
-  // Fallback for non-S3 URLs
+  // Fallback for URLs outside our storage
   try {
     console.log(`Downloading audio from ${url}`);
     const response = await axios({
@@ -141,12 +150,33 @@ async function downloadAudio(url) {
   }
 }
 
+/**
+ * Language settings for a transcription job: the known language if there is one, otherwise
+ * automatic identification among the enabled languages (config/languages.json).
+ * @param {string} [language] - Language code or locale hint.
+ * @returns {Object} LanguageCode, or IdentifyLanguage with LanguageOptions.
+ */
+function getTranscriptionLanguageSettings(language) {
+  const known = resolveLanguage(language);
+  if (known && known.transcribeLocale) {
+    return { LanguageCode: known.transcribeLocale };
+  }
+  const locales = getTranscribeLocales();
+  if (locales.length > 1) {
+    return { IdentifyLanguage: true, LanguageOptions: locales };
+  }
+  return { LanguageCode: locales[0] || 'en-US' };
+}
+
 /**
  * Transcribe an audio file using Amazon Transcribe
  * @param {string} mediaUri - The URI of the audio file
- * @returns {Promise<string>} - The transcription text
+ * @param {Object} [options]
+ * @param {string} [options.language] - Known language; identified automatically when omitted
+ * @returns {Promise<{text: string, languageCode: string|null}|null>} - The transcription text and its
+ *   locale, or null when transcription failed
  */
-async function transcribeAudioWithAmazon(mediaUri) {
+async function transcribeAudioWithAmazon(mediaUri, options = {}) {
   let s3Key = ''; // To store the key of a temporary S3 object we create
   let isTempS3Object = false; // Flag if we created a temp S3 object
   let downloadedFilePath = null; // To store path of a temporarily downloaded file
@@ -154,15 +184,16 @@ async function transcribeAudioWithAmazon(mediaUri) {
   try {
     console.log(`Transcribing audio with Amazon Transcribe: ${mediaUri}`);
 
+    const { TranscribeClient, StartTranscriptionJobCommand, GetTranscriptionJobCommand } = require('@aws-sdk/client-transcribe');
+    const storage = getStorage();
     const awsConfig = getAWSConfig();
-    const s3Client = new S3Client(awsConfig);
     const transcribeClient = new TranscribeClient(awsConfig);
     const jobName = `transcription-job-${Date.now()}`;
     let finalS3Uri = '';
     let sourceMediaUri = mediaUri; // Keep original for reference
 
     // If we get an S3 https URL, download it first to bypass potential Transcribe service role issues on the original object.
-    if (sourceMediaUri.startsWith('https://') && sourceMediaUri.includes('.s3.us-west-2.amazonaws.com')) {
+    if (sourceMediaUri.startsWith('https://') && storage.keyFromUrl(sourceMediaUri)) {
       console.log('S3 HTTPS URL detected. Downloading locally before starting transcription.');
       downloadedFilePath = await downloadAudio(sourceMediaUri);
       if (!downloadedFilePath) {
@@ -178,22 +209,18 @@ async function transcribeAudioWithAmazon(mediaUri) {
     } else {
       // This is a local file path (either original or just downloaded). Upload it to S3 for Transcribe.
       s3Key = `transcribe-inputs/${path.basename(sourceMediaUri)}`;
-      finalS3Uri = `s3://sip-sentinel/${s3Key}`;
+      finalS3Uri = storage.uri(s3Key);
       isTempS3Object = true; // We created it, so we should delete it.
 
       console.log(`Uploading local file to S3 at: ${finalS3Uri}`);
-      await s3Client.send(new PutObjectCommand({
-        Bucket: 'sip-sentinel',
-        Key: s3Key,
-        Body: fs.readFileSync(sourceMediaUri),
-        ContentType: 'audio/wav'
-      }));
+      await storage.put(s3Key, fs.readFileSync(sourceMediaUri), { contentType: 'audio/wav' });
     }
     
-    console.log(`Starting Amazon Transcribe job: ${jobName} with media URI: ${finalS3Uri}`);
+    const languageSettings = getTranscriptionLanguageSettings(options.language);
+    console.log(`Starting Amazon Transcribe job: ${jobName} with media URI: ${finalS3Uri} (${languageSettings.LanguageCode || `identify: ${languageSettings.LanguageOptions.join(', ')}`})`);
     await transcribeClient.send(new StartTranscriptionJobCommand({
       TranscriptionJobName: jobName,
-      LanguageCode: 'en-US',
+      ...languageSettings,
       MediaFormat: 'wav', // Twilio recordings are wav by default
       Media: { MediaFileUri: finalS3Uri },
     }));
@@ -209,9 +236,8 @@ async function transcribeAudioWithAmazon(mediaUri) {
     while (attempts < maxAttempts) {
       // Check if we've exceeded our time limit
       if (Date.now() - startTime > maxWaitTime) {
-        console.log('Transcription job exceeded time limit, falling back to simulated transcription');
-        // Return a simulated message to allow the flow to continue
-        return `(Transcription timed out after ${maxWaitTime / 1000}s)`;
+        console.log(`Transcription job exceeded the ${maxWaitTime / 1000}s time limit, giving up`);
+        return null;
       }
 
       const getJobCommand = new GetTranscriptionJobCommand({
@@ -235,8 +261,8 @@ async function transcribeAudioWithAmazon(mediaUri) {
     }
 
     if (attempts >= maxAttempts) {
-      console.log('Transcription job polling exceeded max attempts, falling back to simulated transcription');
-      return `(Transcription timed out after ${maxAttempts} attempts)`;
+      console.log(`Transcription job polling exceeded ${maxAttempts} attempts, giving up`);
+      return null;
     }
 
     // Get the transcription results
@@ -249,29 +275,24 @@ async function transcribeAudioWithAmazon(mediaUri) {
 
     // Extract the transcription text
     const transcriptionText = transcriptionResults.results.transcripts[0].transcript;
-    console.log(`Amazon Transcribe result: "${transcriptionText}"`);
+    // With IdentifyLanguage the job reports the locale it picked
+    const languageCode = transcriptionJob.TranscriptionJob.LanguageCode || languageSettings.LanguageCode || null;
+    console.log(`Amazon Transcribe result (${languageCode}): "${transcriptionText}"`);
 
-    return transcriptionText;
+    return { text: transcriptionText, languageCode };
   } catch (error) {
+    // No text rather than an error message, so callers never analyze the failure as a transcript
     console.error('Error with Amazon Transcribe:', error.message);
-    // If the job failed, include the failure reason in the returned message
-    if (error.message.includes('Transcription job failed:')) {
-      return `(Transcription failed: ${error.message.split('Transcription job failed: ')[1]})`;
-    }
-    return `(Transcription failed: ${error.message})`;
+    return null;
   } finally {
     // Clean up temporary S3 file if we created one
     if (isTempS3Object && s3Key) {
+      const storage = getStorage();
       try {
-        console.log(`Cleaning up temporary S3 object: s3://sip-sentinel/${s3Key}`);
-        const deleteCommand = new DeleteObjectCommand({
-          Bucket: 'sip-sentinel',
-          Key: s3Key,
-        });
-        // Use a new client instance for cleanup to avoid issues with ongoing connections
-        await new S3Client(getAWSConfig()).send(deleteCommand);
+        console.log(`Cleaning up temporary S3 object: ${storage.uri(s3Key)}`);
+        await storage.delete(s3Key);
       } catch (cleanupError) {
-        console.error(`Failed to clean up temporary S3 object s3://sip-sentinel/${s3Key}:`, cleanupError.message);
+        console.error(`Failed to clean up temporary S3 object ${storage.uri(s3Key)}:`, cleanupError.message);
       }
     }
 
@@ -287,21 +308,81 @@ async function transcribeAudioWithAmazon(mediaUri) {
   }
 }
 
+/**
+ * Transcribe an audio file with an OpenAI-compatible speech-to-text endpoint
+ * @param {string} filePath - Path of the downloaded audio file
+ * @param {Object} config - Result of resolveTranscriberConfig()
+ * @param {Object} [options]
+ * @param {string} [options.language] - Known language; identified by the model when omitted
+ * @returns {Promise<{text: string, languageCode: string|null}|null>} - The transcription text and its
+ *   language, or null when transcription failed
+ */
+async function transcribeAudioWithWhisper(filePath, config, options = {}) {
+  try {
+    const known = resolveLanguage(options.language);
+    const form = new FormData();
+    form.append('file', new Blob([fs.readFileSync(filePath)], { type: 'audio/wav' }), path.basename(filePath));
+    form.append('model', config.model);
+    form.append('response_format', 'verbose_json');
+    if (known?.transcriberLanguage) {
+      form.append('language', known.transcriberLanguage);
+    }
+
+    console.log(`Transcribing ${filePath} with ${config.model} at ${config.baseURL}`);
+    const response = await axios.post(`${config.baseURL}/audio/transcriptions`, form, {
+      headers: config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {},
+      timeout: config.timeoutMs
+    });
+
+    // verbose_json reports the language it heard, as a code or a name ("spanish")
+    const text = (response.data?.text || '').trim();
+    const languageCode = response.data?.language || known?.code || null;
+    console.log(`Whisper result (${languageCode}): "${text}"`);
+    return { text, languageCode };
+  } catch (error) {
+    console.error('Error with Whisper transcription:', error.message);
+    return null;
+  }
+}
+
 /**
  * Transcribe audio from a URL
  * @param {string} audioUrl - The URL of the audio file
  * @param {string} callSid - Optional Twilio call SID for storing in S3
  * @param {string} recordingSid - Optional Twilio recording SID for storing in S3
- * @returns {Promise<string>} - The transcription text
+ * @param {Object} [options]
+ * @param {string} [options.language] - Known language; identified automatically when omitted
+ * @returns {Promise<{text: string, source: string, language: string|null}|null>} - The transcription
+ *   text and the detected language code ("es"), or null when the audio could not be transcribed
  */
-async function transcribeAudioFromUrl(audioUrl, callSid = null, recordingSid = null) {
+async function transcribeAudioFromUrl(audioUrl, callSid = null, recordingSid = null, options = {}) {
   try {
+    const config = resolveTranscriberConfig();
+    if (config.transcriber === 'none') {
+      console.log('Transcription is turned off (TRANSCRIBER=none); waiting for Twilio\'s transcription');
+      return null;
+    }
+
     console.log(`Transcribing audio from URL: ${audioUrl}`);
+    const storage = getStorage();
+    const toResult = (transcription, source) => (transcription ? {
+      text: transcription.text,
+      source,
+      language: resolveLanguage(transcription.languageCode)?.code || null
+    } : null);
+
+    if (config.transcriber === 'whisper') {
+      const audioFilePath = await downloadAudio(audioUrl);
+      try {
+        return toResult(await transcribeAudioWithWhisper(audioFilePath, config, options), 'whisper');
+      } finally {
+        fs.unlinkSync(audioFilePath);
+      }
+    }
 
-    // If it's an S3 URL, we can pass it directly to the transcription function
-    if (audioUrl.includes('.s3.us-west-2.amazonaws.com')) {
-      const transcriptionText = await transcribeAudioWithAmazon(audioUrl);
-      return { text: transcriptionText, source: 'amazon_s3_direct' };
+    // If it's a URL into our own storage, we can pass it directly to the transcription function
+    if (storage.keyFromUrl(audioUrl)) {
+      return toResult(await transcribeAudioWithAmazon(audioUrl, options), 'amazon_s3_direct');
     }
 
     // For other URLs, download first
@@ -310,10 +391,10 @@ async function transcribeAudioFromUrl(audioUrl, callSid = null, recordingSid = n
       throw new Error('Failed to download audio file.');
     }
 
-    const transcriptionText = await transcribeAudioWithAmazon(audioFilePath);
+    const transcription = await transcribeAudioWithAmazon(audioFilePath, options);
     fs.unlinkSync(audioFilePath); // Clean up temp file
 
-    return { text: transcriptionText, source: 'amazon_download' };
+    return toResult(transcription, 'amazon_download');
 
   } catch (error) {
     console.error('Error in transcription process:', error.message);
@@ -353,5 +434,7 @@ async function getOrCreateTranscription(audioUrl, callSid, recordingSid) {
 
 module.exports = {
   transcribeAudioFromUrl,
-  getOrCreateTranscription
+  getOrCreateTranscription,
+  getTranscriptionLanguageSettings,
+  resolveTranscriberConfig
 };
@@ -0,0 +1,266 @@
+/**
+ * URL Analyzer
+ * Extracts links from SMS bodies and transcripts, including obfuscated ones ("hxxp",
+ * "coinbase[.]com", "coinbase . com"), and flags phishing signals: lookalike domains of the
+ * companies in config/companies.json (homoglyphs, typosquats, brand names in foreign domains),
+ * URL shorteners, raw IP hosts and TLDs favoured by smishing kits.
+ */
+
+const { domainToUnicode } = require('url');
+const { getCompanies, levenshteinDistance } = require('./company-resolver');
+
+const SHORTENER_DOMAINS = [
+  'bit.ly', 'tinyurl.com', 't.co', 'goo.gl', 'ow.ly', 'is.gd', 'buff.ly', 'rebrand.ly', 'cutt.ly',
+  'shorturl.at', 'rb.gy', 't.ly', 'tiny.cc', 's.id', 'bl.ink', 'short.io', 'v.gd', 'qr.co', 'lnkd.in',
+  'shorte.st', 'adf.ly', 'bitly.com', 'tiny.one', 'urlz.fr', 'x.co'
+];
+
+// TLDs that show up disproportionately in smishing campaigns
+const RISKY_TLDS = [
+  'zip', 'mov', 'top', 'xyz', 'click', 'link', 'live', 'shop', 'support', 'icu', 'cfd', 'sbs', 'buzz',
+  'rest', 'online', 'site', 'info', 'tk', 'ml', 'ga', 'cf', 'gq', 'work', 'loan', 'win', 'bid', 'vip', 'pw'
+];
+
+// Bare domains (no scheme) are only accepted with a known TLD to avoid "Mr.Smith"-style false hits
+const BARE_DOMAIN_TLDS = [
+  'com', 'net', 'org', 'info', 'biz', 'io', 'co', 'app', 'dev', 'gov', 'edu', 'me', 'ly', 'us', 'uk', 'ca',
+  'de', 'fr', 'ru', 'cn', 'in', 'au', 'eu', 'cc', 'tv', 'ai', 'gl', 'gd', 'at', 'to', 'ws', ...RISKY_TLDS
+];
+
+// Second-level suffixes under which the registrable domain has three labels
+const MULTI_PART_SUFFIXES = [
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'me.uk', 'com.au', 'net.au', 'org.au', 'co.in', 'co.nz', 'co.za',
+  'com.br', 'com.mx', 'co.jp', 'com.cn', 'com.sg', 'com.tr', 'co.kr'
+];
+
+// Country-code TLDs commonly registered as generic domains, so brand.<cc> is not a country storefront
+const GENERIC_CC_TLDS = ['co', 'cc', 'tk', 'ml', 'ga', 'cf', 'gq', 'ws', 'su', 'ly', 'io', 'me', 'to', 'pw', 'ai'];
+
+// Characters that render like Latin letters (digits, Cyrillic and Greek lookalikes)
+const HOMOGLYPHS = {
+  '0': 'o', '1': 'l', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b',
+  'а': 'a', 'е': 'e', 'о': 'o', 'р': 'p', 'с': 'c', 'х': 'x', 'у': 'y', 'і': 'i', 'ј': 'j', 'ԁ': 'd',
+  'ѕ': 's', 'ӏ': 'l', 'ո': 'n', 'α': 'a', 'ο': 'o', 'ν': 'v', 'τ': 't', 'ε': 'e', 'ι': 'i', 'κ': 'k'
+};
+
+/**
+ * Undo common link obfuscation so the URL can be parsed.
+ * @param {string} text
+ * @returns {string}
+ */
+function deobfuscateText(text) {
+  const tlds = BARE_DOMAIN_TLDS.join('|');
+  return text
+    .replace(/\bh(?:xx|\*\*|tt)p(s?)(?:\[:\]|\(:\)|:)\/\//gi, 'http$1://')
+    .replace(/\bhxxp(s?)\b/gi, 'http$1')
+    .replace(/\s*(?:\[\.\]|\(\.\)|\{\.\}|\[dot\]|\(dot\)|\{dot\})\s*/gi, '.')
+    .replace(/\[:\]/g, ':')
+    .replace(/\[\/\]/g, '/')
+    // "coinbase dot com", "coinbase . com", "coinbase .com"
+    .replace(new RegExp(`\\b([a-z0-9-]+)(?:\\s+dot\\s+|\\s+\\.\\s*|\\s*\\.\\s+)(${tlds})\\b`, 'gi'), '$1.$2');
+}
+
+/**
+ * Registrable domain ("login.secure.coinbase.com" → "coinbase.com", "amazon.co.uk" stays).
+ * @param {string} hostname
+ * @returns {string}
+ */
+function getRegistrableDomain(hostname) {
+  const labels = hostname.split('.');
+  if (labels.length <= 2) return hostname;
+  const lastTwo = labels.slice(-2).join('.');
+  return MULTI_PART_SUFFIXES.includes(lastTwo) ? labels.slice(-3).join('.') : lastTwo;
+}
+
+/**
+ * Map lookalike characters to the Latin letters they imitate ("c0inbаse" → "coinbase").
+ * @param {string} value
+ * @returns {string}
+ */
+function toSkeleton(value) {
+  return Array.from(value.toLowerCase())
+    .map(char => HOMOGLYPHS[char] || char)
+    .join('')
+    .replace(/rn/g, 'm')
+    .replace(/vv/g, 'w');
+}
+
+/**
+ * Extract URLs and bare domains from text.
+ * @param {string} text
+ * @returns {Array<{url: string, hostname: string, domain: string, path: string, obfuscated: boolean,
+ *   shortener: boolean, ipHost: boolean, riskyTld: boolean}>}
+ */
+function extractUrls(text) {
+  if (!text || typeof text !== 'string') return [];
+
+  const cleaned = deobfuscateText(text);
+  // Lookbehinds instead of \b, which only knows ASCII word characters (Cyrillic homoglyphs)
+  const urlPattern = /(?:\bhttps?:\/\/)?(?<![\p{L}\p{N}_.-])(?:(?:[\p{L}\p{N}](?:[\p{L}\p{N}-]{0,61}[\p{L}\p{N}])?\.)+[\p{L}]{2,24}|\d{1,3}(?:\.\d{1,3}){3})(?![\p{L}\p{N}_-])(?::\d{2,5})?(?:[/?#][^\s<>"']*)?/giu;
+
+  const seen = new Set();
+  const urls = [];
+  for (const match of cleaned.matchAll(urlPattern)) {
+    // Skip e-mail addresses
+    if (match.index > 0 && cleaned[match.index - 1] === '@') continue;
+
+    const candidate = match[0].replace(/[.,;:!?)\]'"]+$/, '');
+    const hasScheme = /^https?:\/\//i.test(candidate);
+    const withoutScheme = candidate.replace(/^https?:\/\//i, '');
+    const hostPart = withoutScheme.split(/[/?#:]/)[0].toLowerCase();
+    const ipHost = /^\d{1,3}(?:\.\d{1,3}){3}$/.test(hostPart);
+    const tld = hostPart.split('.').pop();
+
+    if (ipHost && !hasScheme) continue;
+    if (!ipHost && !hasScheme && !BARE_DOMAIN_TLDS.includes(tld)) continue;
+
+    const hostname = ipHost ? hostPart : domainToUnicode(hostPart) || hostPart;
+    const domain = ipHost ? hostPart : getRegistrableDomain(hostname);
+    const url = hasScheme ? candidate : `http://${candidate}`;
+    if (seen.has(url.toLowerCase())) continue;
+    seen.add(url.toLowerCase());
+
+    urls.push({
+      url,
+      hostname,
+      domain,
+      path: withoutScheme.slice(hostPart.length) || '/',
+      // The link only exists after deobfuscation
+      obfuscated: !text.toLowerCase().includes(withoutScheme.toLowerCase()) ||
+        (hasScheme && !text.toLowerCase().includes(candidate.slice(0, 5).toLowerCase())),
+      shortener: SHORTENER_DOMAINS.includes(domain),
+      ipHost,
+      riskyTld: !ipHost && RISKY_TLDS.includes(tld)
+    });
+  }
+  return urls;
+}
+
+/**
+ * Brand strings for a company: its compact name, its aliases and its longer domain labels.
+ * @param {Object} company - Entry from getCompanies().
+ * @returns {string[]}
+ */
+function getBrandKeys(company) {
+  const compact = value => value.toLowerCase().replace(/[^a-z0-9]/g, '');
+  const domainLabels = (company.domains || []).map(domain => domain.split('.')[0]).filter(label => label.length >= 7);
+  return [...new Set([compact(company.name), ...company.aliases.map(compact), ...domainLabels])]
+    .filter(brand => brand.length >= 3);
+}
+
+/**
+ * Check one hostname against the companies' official domains.
+ * @param {string} hostname
+ * @param {string} domain - Registrable domain.
+ * @param {Object[]} companies - Entries from getCompanies() that declare domains.
+ * @returns {{official: boolean, company: Object, technique: string|null, brand: string|null}|null}
+ */
+function matchCompanyDomain(hostname, domain, companies) {
+  for (const company of companies) {
+    if (company.domains.some(official => hostname === official || hostname.endsWith(`.${official}`))) {
+      return { official: true, company, technique: null, brand: null };
+    }
+  }
+
+  const [label, ...suffixParts] = domain.split('.');
+  const suffix = suffixParts.join('.');
+  const tokens = label.split(/[-_]/).filter(Boolean);
+  const subdomainLabels = hostname.slice(0, -domain.length).split('.').filter(Boolean);
+
+  for (const company of companies) {
+    for (const brand of getBrandKeys(company)) {
+      if (label === brand) {
+        // Country storefronts such as amazon.de or amazon.co.uk
+        const countryStore = MULTI_PART_SUFFIXES.includes(suffix) ||
+          (suffix.length === 2 && !GENERIC_CC_TLDS.includes(suffix));
+        if (company.domains.some(official => official.split('.')[0] === brand) && countryStore) {
+          return { official: true, company, technique: null, brand };
+        }
+        return { official: false, company, technique: 'tld_swap', brand };
+      }
+      if (brand.length >= 4 && toSkeleton(label) === brand) {
+        return { official: false, company, technique: 'homoglyph', brand };
+      }
+      if (tokens.length > 1 && tokens.some(token => token === brand || (brand.length >= 4 && toSkeleton(token) === brand))) {
+        return { official: false, company, technique: 'brand_in_domain', brand };
+      }
+      if (brand.length >= 4 && subdomainLabels.some(sub => sub === brand || sub.split('-').includes(brand))) {
+        return { official: false, company, technique: 'brand_in_subdomain', brand };
+      }
+      const maxDistance = brand.length >= 9 ? 2 : brand.length >= 6 ? 1 : 0;
+      if (maxDistance > 0 && [label, ...tokens].some(part => {
+        const distance = levenshteinDistance(toSkeleton(part), brand);
+        return distance > 0 && distance <= maxDistance;
+      })) {
+        // A near-miss spelled with non-Latin characters (IDN) is a homoglyph attack, not a typo
+        const technique = /[^\x00-\x7f]/.test(label) ? 'homoglyph' : 'typosquat';
+        return { official: false, company, technique, brand };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Analyze the links in a message.
+ * @param {string} text - SMS body or transcript.
+ * @param {Object} [options]
+ * @param {string} [options.company] - Impersonated company (name or id) from the LLM/regex.
+ * @returns {{urls: Object[], domains: string[], officialDomains: string[], lookalikes: Object[],
+ *   flags: {shortener: boolean, obfuscated: boolean, ipHost: boolean, riskyTld: boolean, lookalike: boolean}}}
+ */
+function analyzeUrls(text, options = {}) {
+  const urls = extractUrls(text);
+  const companies = getCompanies().filter(company => company.domains && company.domains.length > 0);
+  const impersonated = (options.company || '').toLowerCase();
+
+  const lookalikes = [];
+  const officialDomains = [];
+  for (const entry of urls) {
+    if (entry.ipHost) continue;
+    const match = matchCompanyDomain(entry.hostname, entry.domain, companies);
+    if (!match) continue;
+    if (match.official) {
+      entry.officialFor = match.company.id;
+      officialDomains.push(entry.domain);
+      continue;
+    }
+    entry.lookalikeOf = match.company.id;
+    lookalikes.push({
+      domain: entry.domain,
+      hostname: entry.hostname,
+      companyId: match.company.id,
+      company: match.company.name,
+      technique: match.technique,
+      brand: match.brand,
+      matchesImpersonatedCompany: !!impersonated &&
+        (impersonated === match.company.id || impersonated === match.company.name.toLowerCase())
+    });
+  }
+
+  const flags = {
+    shortener: urls.some(entry => entry.shortener),
+    obfuscated: urls.some(entry => entry.obfuscated),
+    ipHost: urls.some(entry => entry.ipHost),
+    riskyTld: urls.some(entry => entry.riskyTld),
+    lookalike: lookalikes.length > 0
+  };
+
+  return {
+    urls,
+    domains: [...new Set(urls.map(entry => entry.domain))],
+    officialDomains: [...new Set(officialDomains)],
+    lookalikes,
+    flags
+  };
+}
+
+module.exports = {
+  analyzeUrls,
+  extractUrls,
+  deobfuscateText,
+  getRegistrableDomain,
+  toSkeleton,
+  SHORTENER_DOMAINS,
+  RISKY_TLDS
+};
@@ -1,6 +1,24 @@
 require('dotenv').config();
 const { VapiClient } = require('@vapi-ai/server-sdk');
 const { queueTelegramUpload } = require('./qstash-service');
+const { resolveCompany, findCompanyInText, editSimilarity } = require('./company-resolver');
+const {
+  isValidPhoneNumber,
+  formatToE164,
+  redactPhoneNumber,
+  redactPhoneNumbersInText,
+  checkAutoCallable
+} = require('./phone-utils');
+const { checkCallbackAllowed } = require('./callback-policy');
+const { releaseCallbackSlot } = require('./callback-rate-limiter');
+const { recordAgentEngagement, recordEngagementEnded } = require('./number-reputation');
+const { resolveLanguage, getDefaultLanguage } = require('./language-detector');
+const { recordCallIndicators, getCallIndicators } = require('./ioc-extractor');
+const { recordCallOutcome } = require('./call-index');
+const { selectPersona, renderPersona } = require('./persona-library');
+const { assignVariant, recordExperimentOutcome } = require('./persona-experiments');
+const { generateFakeIdentity, formatIdentityPrompt, reviewTranscriptAgainstIdentity, isFakeIdentityEnabled } = require('./fake-identity');
+const { addCanaries, claimCanaries, registerCanaries, listCallCanaries, isCanaryEnabled } = require('./canary-tokens');
 
 // Initialize VAPI client with validation
 let vapiClient = null;
@@ -37,21 +55,27 @@ const callTracker = new Map();
 
 /**
  * List all available VAPI assistants
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh] - Skip the cache and fetch from VAPI
+ * @param {boolean} [options.throwOnError] - Throw instead of returning an empty list when VAPI can't be reached
  * @returns {Array} List of assistants
  */
-async function listVapiAssistants() {
+async function listVapiAssistants({ refresh = false, throwOnError = false } = {}) {
   try {
     console.log('Fetching VAPI assistants...');
 
     // Check if VAPI client is available
     if (!vapiClient) {
+      if (throwOnError) {
+        throw new Error('VAPI client not initialized (is VAPI_API_KEY set?)');
+      }
       console.warn('VAPI client not initialized, returning empty assistants list');
       return [];
     }
 
     // Check cache first
     const now = new Date();
-    if (lastCacheUpdate && (now - lastCacheUpdate) < CACHE_DURATION && assistantsCache.length > 0) {
+    if (!refresh && lastCacheUpdate && (now - lastCacheUpdate) < CACHE_DURATION && assistantsCache.length > 0) {
       console.log(`Returning ${assistantsCache.length} cached assistants`);
       return assistantsCache;
     }
@@ -82,6 +106,9 @@ async function listVapiAssistants() {
 
     return assistants;
   } catch (error) {
+    if (throwOnError) {
+      throw error;
+    }
     console.error('Error listing VAPI assistants:', error);
     return [];
   }
@@ -183,40 +210,6 @@ async function getOrCreateVapiPhoneNumber(areaCode = '415') {
   }
 }
 
-/**
- * Calculate the Levenshtein distance between two strings.
- * @param {string} a - The first string.
- * @param {string} b - The second string.
- * @returns {number} The Levenshtein distance.
- */
-function levenshteinDistance(a, b) {
-  if (a.length === 0) return b.length;
-  if (b.length === 0) return a.length;
-
-  const matrix = Array(b.length + 1).fill(null).map(() => Array(a.length + 1).fill(null));
-
-  for (let i = 0; i <= a.length; i++) {
-    matrix[0][i] = i;
-  }
-
-  for (let j = 0; j <= b.length; j++) {
-    matrix[j][0] = j;
-  }
-
-  for (let j = 1; j <= b.length; j++) {
-    for (let i = 1; i <= a.length; i++) {
-      const indicator = a[i - 1] === b[j - 1] ? 0 : 1;
-      matrix[j][i] = Math.min(
-        matrix[j][i - 1] + 1,        // deletion
-        matrix[j - 1][i] + 1,        // insertion
-        matrix[j - 1][i - 1] + indicator, // substitution
-      );
-    }
-  }
-
-  return matrix[b.length][a.length];
-}
-
 /**
  * Synchronous function to find the best agent from a pre-fetched list.
  * @param {string} companyName - Name of the company being impersonated
@@ -237,25 +230,23 @@ function findVapiAgentForCompanySync(companyName, assistants, scamType = null) {
   const companyLower = companyName.toLowerCase();
   console.log(`(Sync) Looking for agent for company: "${companyName}"`);
 
+  // Resolve the detected company (handles "coin base", "cracken", etc.)
+  const resolvedCompany = resolveCompany(companyName);
+
   let bestMatch = null;
   let highestSimilarity = 0;
 
-  // A list of known targets for fuzzy matching, extracted from agent names.
-  const knownTargets = ['coinbase', 'kraken', 'binance', 'microsoft', 'apple', 'google', 'amazon', 'paypal'];
-
   for (const agent of assistants) {
-    const agentNameLower = (agent.name || '').toLowerCase();
-    
-    // Find which known company this agent is associated with.
-    const agentTarget = knownTargets.find(target => agentNameLower.includes(target));
-
-    if (agentTarget) {
-      // Calculate similarity between the detected company name and the agent's target name.
-      const distance = levenshteinDistance(companyLower, agentTarget);
-      const maxLen = Math.max(companyLower.length, agentTarget.length);
-      const similarity = (maxLen === 0) ? 1 : (1 - distance / maxLen);
-      
-      console.log(`(Sync) Comparing "${companyLower}" with agent "${agent.name}" (target: "${agentTarget}"). Similarity: ${similarity.toFixed(2)}`);
+    // Find which known company this agent is associated with (exact name or alias only).
+    const agentCompany = findCompanyInText(agent.name || '', { exactOnly: true });
+
+    if (agentCompany) {
+      // Same canonical company: trust the resolver's confidence; otherwise fall back to edit distance.
+      const similarity = resolvedCompany && resolvedCompany.id === agentCompany.id
+        ? resolvedCompany.confidence
+        : editSimilarity(companyLower, agentCompany.name.toLowerCase());
+
+      console.log(`(Sync) Comparing "${companyLower}" with agent "${agent.name}" (target: "${agentCompany.id}"). Similarity: ${similarity.toFixed(2)}`);
 
       if (similarity > highestSimilarity) {
         highestSimilarity = similarity;
@@ -302,13 +293,13 @@ async function findVapiAgentForCompany(companyName, scamType = null) {
 
 /**
  * Create a VAPI call with proper agent selection
- * @param {string} phoneNumber - Target phone number
+ * @param {string} phoneNumber - Target phone number (defaults to the top scamDetails.callbackCandidates entry)
  * @param {string} scamType - Type of scam detected
- * @param {Object} scamDetails - Details about the scam
+ * @param {Object} scamDetails - Details about the scam, optionally with ranked callbackCandidates
  * @param {string} agentId - Specific agent ID to use (optional)
  * @param {string} originalCallSid - The SID of the original incoming call
  * @param {string} originalCallerNumber - The original caller number
- * @returns {Promise<object>} The created VAPI call object.
+ * @returns {Promise<object>} The created VAPI call, agent id, assistant name and callback candidates.
  */
 async function createVapiCall(phoneNumber, scamType = null, scamDetails = {}, agentId = null, originalCallSid = null, originalCallerNumber = null) {
   try {
@@ -316,6 +307,26 @@ async function createVapiCall(phoneNumber, scamType = null, scamDetails = {}, ag
       throw new Error('VAPI client is not initialized. Cannot create call.');
     }
     
+    // Ranked numbers from src/callback-extractor.js; the top one is used when no number is given
+    const callbackCandidates = scamDetails?.callbackCandidates || [];
+    if (!phoneNumber && callbackCandidates.length > 0) {
+      phoneNumber = callbackCandidates[0].e164;
+    }
+
+    // Safety policy: emergency, premium-rate/revenue-share, own and denylisted numbers are never dialed
+    const policyDecision = await checkCallbackAllowed(phoneNumber, {
+      scamType,
+      company: scamDetails?.impersonatedCompany,
+      originalCallSid,
+      originalCallerNumber
+    });
+    if (!policyDecision.allowed && policyDecision.rule !== 'invalid') {
+      const error = new Error(`Callback blocked by safety policy (${policyDecision.rule}): ${policyDecision.reason}`);
+      error.code = 'CALLBACK_BLOCKED';
+      error.policyDecision = policyDecision;
+      throw error;
+    }
+
     const formattedPhoneNumber = formatToE164(phoneNumber);
     if (!formattedPhoneNumber) {
       throw new Error(`Invalid or unformattable phone number provided: "${phoneNumber}"`);
@@ -343,6 +354,22 @@ async function createVapiCall(phoneNumber, scamType = null, scamDetails = {}, ag
       impersonatedCompany: scamDetails?.impersonatedCompany,
       webhook: process.env.VAPI_WEBHOOK_URL,
     };
+    const targetCandidate = callbackCandidates.find(candidate => candidate.e164 === formattedPhoneNumber);
+    if (targetCandidate?.extension) {
+      metadata.callbackExtension = targetCandidate.extension;
+    }
+    const alternatives = callbackCandidates.filter(candidate => candidate.e164 !== formattedPhoneNumber);
+    if (alternatives.length > 0) {
+      metadata.callbackAlternatives = alternatives.slice(0, 4).map(candidate => ({
+        number: candidate.e164,
+        method: candidate.method,
+        confidence: candidate.confidence
+      }));
+    }
+    // Rate-limiter engagement (src/callback-rate-limiter.js); its slot is released when the call ends
+    if (scamDetails?.callbackEngagementId) {
+      metadata.callbackEngagementId = scamDetails.callbackEngagementId;
+    }
     if (originalCallerNumber) {
       metadata.originalCaller = originalCallerNumber;
     } else if (originalCallSid) {
@@ -385,8 +412,22 @@ async function createVapiCall(phoneNumber, scamType = null, scamDetails = {}, ag
     let assistantConfig;
     let assistantName = 'Unknown Agent';
     let finalAgentIdForTracking = agentId; // For analytics
+    let agentIdentity = null; // Fake identity the agent plays (src/fake-identity.js)
 
+    // Callbacks covered by a running persona experiment play the variant they are assigned
     if (!finalAgentIdForTracking) {
+      const assignment = await assignExperimentAssistant(scamType, scamDetails);
+      if (assignment) {
+        assistantConfig = assignment.assistant;
+        assistantName = assistantConfig.name;
+        agentIdentity = assignment.identity;
+        metadata.experimentId = assignment.experimentId;
+        metadata.variantId = assignment.variantId;
+        metadata.personaId = assignment.persona.id;
+      }
+    }
+
+    if (!finalAgentIdForTracking && !assistantConfig) {
       const companyName = metadata.impersonatedCompany;
       const agent = await findVapiAgentForCompany(companyName, scamType);
       if (agent) {
@@ -397,7 +438,9 @@ async function createVapiCall(phoneNumber, scamType = null, scamDetails = {}, ag
 
     // 4. Always create a transient assistant to ensure voice consistency.
     // If we found an existing agent, we clone it. Otherwise, we create a new one.
-    if (finalAgentIdForTracking) {
+    if (assistantConfig) {
+      console.log(`🧪 Using experiment ${metadata.experimentId} variant ${metadata.variantId}: "${assistantName}"`);
+    } else if (finalAgentIdForTracking) {
       console.log(`Found existing agent "${assistantName}". Cloning to a transient assistant to ensure native voice.`);
       const existingAssistant = (await listVapiAssistants()).find(a => a.id === finalAgentIdForTracking);
 
@@ -413,8 +456,15 @@ async function createVapiCall(phoneNumber, scamType = null, scamDetails = {}, ag
         metadata.baseAgentId = existingAssistant.id;
         metadata.baseAgentName = existingAssistant.name;
 
+        // One fake identity for the whole call, keeping any name and city the saved prompt gives
+        agentIdentity = createAgentIdentity({
+          firstName: existingAssistant.name.split(' ').pop(),
+          gender,
+          ...findPromptNameAndCity(existingAssistant)
+        }, { scamType, company: metadata.impersonatedCompany });
+
         // Generate dynamic prompt with random details
-        const dynamicPrompt = generateDynamicPrompt(existingAssistant, metadata.impersonatedCompany);
+        const dynamicPrompt = generateDynamicPrompt(existingAssistant, metadata.impersonatedCompany, agentIdentity);
 
         // Surgically build a new transient assistant from the existing one's parts
         // This is safer than cloning the whole object with ...spread
@@ -443,20 +493,45 @@ async function createVapiCall(phoneNumber, scamType = null, scamDetails = {}, ag
       } else {
         // Fallback if fetching fails
         console.warn(`Could not fetch full details for assistant ID ${finalAgentIdForTracking}. Creating a generic transient assistant.`);
-        assistantConfig = createTransientAssistant(scamType, scamDetails);
+        ({ assistant: assistantConfig, identity: agentIdentity } = createTransientEngagement(scamType, scamDetails));
         assistantName = assistantConfig.name;
         finalAgentIdForTracking = null; // It's no longer a tracked agent
       }
     } else {
       console.log(`No specific agent found for "${metadata.impersonatedCompany}". Creating a transient agent.`);
-      assistantConfig = createTransientAssistant(scamType, scamDetails);
+      ({ assistant: assistantConfig, identity: agentIdentity } = createTransientEngagement(scamType, scamDetails));
       assistantName = assistantConfig.name;
     }
 
+    // Reserve the identity's canary values; any already handed out are replaced in the prompt too
+    if (agentIdentity?.canaries) {
+      try {
+        const claimed = await claimCanaries(agentIdentity);
+        if (claimed !== agentIdentity) {
+          assistantConfig = replaceIdentityPrompt(assistantConfig, agentIdentity, claimed);
+          agentIdentity = claimed;
+        }
+      } catch (error) {
+        console.error('Error claiming canary credentials:', error.message);
+      }
+    }
+
+    if (agentIdentity) {
+      metadata.fakeIdentity = summarizeIdentity(agentIdentity);
+    }
+
+    // 4.1. Answer in the scammer's language (detected on the transcript or SMS)
+    const scamLanguage = resolveLanguage(scamDetails?.language || scamDetails?.llmAnalysis?.language) || getDefaultLanguage();
+    metadata.language = scamLanguage.code;
+    assistantConfig = localizeAssistantConfig(assistantConfig, scamLanguage.code, {
+      scamType,
+      company: metadata.impersonatedCompany
+    });
+
     // 5. Set the final assistant configuration and overrides
     callParams.assistant = sanitizeAssistantConfig(assistantConfig);
     callParams.assistantOverrides = {
-      maxDurationSeconds: 900 // 15 minutes
+      maxDurationSeconds: assistantConfig.maxDurationSeconds || 900 // The persona's limit, else 15 minutes
     };
 
     if (!callParams.assistant) {
@@ -531,10 +606,41 @@ async function createVapiCall(phoneNumber, scamType = null, scamDetails = {}, ag
       phoneProvider: metadata.phoneProvider,
       originalCallSid: originalCallSid,
       assistantName: assistantName,
+      callbackEngagementId: metadata.callbackEngagementId,
+      experimentId: metadata.experimentId,
+      variantId: metadata.variantId,
+      fakeIdentity: agentIdentity,
     });
 
     console.log(`📞 VAPI call created successfully: ${call.id}`);
 
+    // Count the engagement against the number's reputation
+    recordAgentEngagement(formattedPhoneNumber, { callId: call.id, company: metadata.impersonatedCompany })
+      .catch(error => console.error(`Error recording engagement for call ${call.id}:`, error.message));
+    recordCallOutcome(originalCallSid, 'agent_called', { agentCallId: call.id })
+      .catch(error => console.error(`Error indexing the callback for ${originalCallSid}:`, error.message));
+    // Keep the identity with the call so its transcript can be reviewed against it
+    if (agentIdentity) {
+      const { storeAgentIdentity } = require('./s3-storage-service');
+      storeAgentIdentity(call.id, {
+        callId: call.id,
+        originalCallSid,
+        assistantName,
+        identity: agentIdentity,
+        createdAt: new Date().toISOString()
+      }).catch(error => console.error(`Error storing the fake identity for call ${call.id}:`, error.message));
+      // Map its canary credentials to this engagement so their use can be traced back
+      registerCanaries(agentIdentity, {
+        callId: call.id,
+        originalCallSid,
+        scammerNumber: formattedPhoneNumber,
+        originalCaller: metadata.originalCaller || originalCallerNumber,
+        campaignId: scamDetails?.campaignId,
+        company: metadata.impersonatedCompany,
+        assistantName
+      }).catch(error => console.error(`Error registering canaries for call ${call.id}:`, error.message));
+    }
+
     // 8. Send webhook notification for agent call initiated
     try {
       const { notifyAgentCallInitiated } = require('./webhook-service');
@@ -559,118 +665,20 @@ async function createVapiCall(phoneNumber, scamType = null, scamDetails = {}, ag
       console.error(`Error sending webhook for agent call ${call.id}:`, error);
     }
 
-    return { call, agentId: finalAgentIdForTracking, assistantName };
+    return { call, agentId: finalAgentIdForTracking, assistantName, callbackCandidates };
   } catch (error) {
     console.error('Error creating VAPI call:', error);
     throw error;
   }
 }
 
-/**
- * Validate phone number format
- * @param {string} phoneNumber - Phone number to validate
- * @returns {boolean} True if valid, false otherwise
- */
-function isValidPhoneNumber(phoneNumber) {
-  if (!phoneNumber || typeof phoneNumber !== 'string') {
-    return false;
-  }
-
-  // Remove all non-digit characters to get clean number
-  const digitsOnly = phoneNumber.replace(/\D/g, '');
-
-  // Must have at least 10 digits
-  if (digitsOnly.length < 10) {
-    return false;
-  }
-
-  // Must not exceed 15 digits (E.164 standard)
-  if (digitsOnly.length > 15) {
-    return false;
-  }
-
-  // Basic format validation - allows common phone number formats
-  const phoneRegex = /^\+?[\d\s\-\(\)\.]{10,}$/;
-  return phoneRegex.test(phoneNumber);
-}
-
-/**
- * Formats a phone number into E.164 format.
- * Strips non-digit characters and assumes US country code if missing.
- * @param {string} phoneNumber - The phone number to format.
- * @returns {string|null} The formatted phone number or null if invalid input.
- */
-function formatToE164(phoneNumber) {
-  if (!phoneNumber || typeof phoneNumber !== 'string') {
-    return null;
-  }
-
-  // 1. Remove all non-digit characters.
-  const digitsOnly = phoneNumber.replace(/\D/g, '');
-
-  // 2. Check for common US number formats.
-  if (digitsOnly.length === 10) {
-    // 10 digits, assume US, prepend +1.
-    return `+1${digitsOnly}`;
-  }
-  if (digitsOnly.length === 11 && digitsOnly.startsWith('1')) {
-    // 11 digits starting with 1, assume US, prepend +.
-    return `+${digitsOnly}`;
-  }
-
-  // 3. Check if it's already in E.164 format (starts with a +, has enough digits)
-  // We check the original string for the '+'
-  if (phoneNumber.trim().startsWith('+')) {
-    // It has a plus, let's just return the cleaned version with a plus
-    return `+${digitsOnly}`;
-  }
-  
-  // 4. If we are here, we can't be sure. Return null.
-  return null;
-}
-
-/**
- * Redact phone number for privacy protection
- * Shows first 4 and last 2 digits, masks the middle digits
- * @param {string} phoneNumber - Phone number to redact
- * @returns {string} Redacted phone number
- */
-function redactPhoneNumber(phoneNumber) {
-  if (!phoneNumber || typeof phoneNumber !== 'string') {
-    return ''; // Return empty string for invalid input
-  }
-  const digitsOnly = phoneNumber.replace(/\D/g, '');
-  
-  if (digitsOnly.length < 10) {
-    return phoneNumber; // Too short to apply standard redaction
-  }
-  
-  // Normalize to 11 digits if it's a 10-digit US number
-  const normalizedNumber = (digitsOnly.length === 10) ? `1${digitsOnly}` : digitsOnly;
-
-  // Apply format '15551XXXX89' for 11-digit US numbers
-  if (normalizedNumber.length === 11 && normalizedNumber.startsWith('1')) {
-    const firstPart = normalizedNumber.substring(0, 5);
-    const lastPart = normalizedNumber.substring(normalizedNumber.length - 2);
-    return `${firstPart}XXXX${lastPart}`;
-  } else {
-    // Generic fallback for international numbers: first 4, XXXX, last 4
-    if (digitsOnly.length < 9) {
-      return digitsOnly;
-    }
-    const firstPart = digitsOnly.substring(0, 4);
-    const lastPart = digitsOnly.substring(digitsOnly.length - 4);
-    const maskedPart = 'X'.repeat(Math.max(0, digitsOnly.length - 8));
-    return `${firstPart}${maskedPart}${lastPart}`;
-  }
-}
-
 /**
  * Generate a random last name for dynamic agent naming
  * @param {string} gender - 'male', 'female', or 'neutral'
+ * @param {Function} [random] - Random number source (default: Math.random)
  * @returns {string} Random last name
  */
-function getRandomLastName(gender = 'neutral') {
+function getRandomLastName(gender = 'neutral', random = Math.random) {
   const lastNames = [
     'Anderson', 'Johnson', 'Williams', 'Brown', 'Jones', 'Garcia', 'Miller', 'Davis',
     'Rodriguez', 'Martinez', 'Hernandez', 'Lopez', 'Gonzalez', 'Wilson', 'Anderson',
@@ -687,14 +695,15 @@ function getRandomLastName(gender = 'neutral') {
     'Sanders', 'Patel', 'Myers', 'Long', 'Ross', 'Foster', 'Jimenez'
   ];
 
-  return lastNames[Math.floor(Math.random() * lastNames.length)];
+  return lastNames[Math.floor(random() * lastNames.length)];
 }
 
 /**
  * Generate a random location (city, state) for dynamic agent details
+ * @param {Function} [random] - Random number source (default: Math.random)
  * @returns {string} Random location like "Chicago, IL" or "Phoenix, AZ"
  */
-function getRandomLocation() {
+function getRandomLocation(random = Math.random) {
   const locations = [
     'New York, NY', 'Los Angeles, CA', 'Chicago, IL', 'Houston, TX', 'Phoenix, AZ',
     'Philadelphia, PA', 'San Antonio, TX', 'San Diego, CA', 'Dallas, TX', 'San Jose, CA',
@@ -711,7 +720,7 @@ function getRandomLocation() {
     'Henderson, NV', 'Saint Paul, MN', 'St. Louis, MO', 'Cincinnati, OH', 'Pittsburgh, PA'
   ];
 
-  return locations[Math.floor(Math.random() * locations.length)];
+  return locations[Math.floor(random() * locations.length)];
 }
 
 /**
@@ -825,9 +834,10 @@ function detectGenderFromName(name) {
  * Get random voice configuration based on gender using VAPI's high-quality native voices
  * @param {string} gender - 'male', 'female', or 'neutral'
  * @param {string} provider - 'vapi', 'elevenlabs', or 'azure' (default: 'vapi')
+ * @param {Function} [random] - Random number source (default: Math.random)
  * @returns {Object} Voice configuration object
  */
-function getRandomVoice(gender = 'neutral', provider = 'vapi') {
+function getRandomVoice(gender = 'neutral', provider = 'vapi', random = Math.random) {
   // Force VAPI provider to avoid ElevenLabs pipeline errors
   provider = 'vapi';
 
@@ -867,7 +877,7 @@ function getRandomVoice(gender = 'neutral', provider = 'vapi') {
     voices = [...maleVoices, ...femaleVoices];
   }
 
-  const selectedVoice = voices[Math.floor(Math.random() * voices.length)];
+  const selectedVoice = voices[Math.floor(random() * voices.length)];
 
   console.log(`Selected VAPI voice: ${selectedVoice} for gender: ${gender}`);
 
@@ -954,9 +964,11 @@ function validateVoiceConfig(voiceConfig) {
  * Generate dynamic prompt for existing assistants with random details
  * @param {Object} existingAssistant - The existing assistant configuration
  * @param {string} company - Company being impersonated
+ * @param {Object} [identity] - Fake identity for the call (createAgentIdentity()); its details
+ *   replace the random ones and are added to the prompt
  * @returns {string} Dynamic system prompt with random details
  */
-function generateDynamicPrompt(existingAssistant, company) {
+function generateDynamicPrompt(existingAssistant, company, identity = null) {
   const assistantName = existingAssistant.name;
   const gender = detectGenderFromName(assistantName);
 
@@ -965,28 +977,112 @@ function generateDynamicPrompt(existingAssistant, company) {
   const firstName = nameParts[nameParts.length - 1]; // Get last part as first name
 
   // Generate random details
-  const lastName = getRandomLastName(gender);
-  const location = getRandomLocation();
+  const lastName = identity ? identity.lastName : getRandomLastName(gender);
+  const location = identity ? `${identity.address.city}, ${identity.address.state}` : getRandomLocation();
   const fullName = `${firstName} ${lastName}`;
 
   console.log(`🎭 Generated dynamic details: ${fullName} from ${location}`);
 
-  // Check if this is a Kraken assistant and needs dynamic prompt
-  if (company.toLowerCase() === 'kraken' && assistantName.toLowerCase().includes('karen')) {
-    return `Your name is ${fullName} from ${location}. You are calling because you got a text about an unauthorized login to your ${company} account.
+  let prompt;
+  if (company && company.toLowerCase() === 'kraken' && assistantName.toLowerCase().includes('karen')) {
+    // Check if this is a Kraken assistant and needs dynamic prompt
+    prompt = `Your name is ${fullName} from ${location}. You are calling because you got a text about an unauthorized login to your ${company} account.
 
 Follow directions and if you are not sure, make something up. The goal is to continue the conversation as long as possible.
 
 If you receive what appears to be an automated message, wait until you hear a human answer before starting to share information.`;
+  } else if (existingAssistant.model && existingAssistant.model.messages && existingAssistant.model.messages[0]) {
+    // For other assistants, use the original prompt if it exists
+    prompt = existingAssistant.model.messages[0].content;
+  } else {
+    // Fallback generic prompt
+    prompt = `You are ${firstName}, a concerned ${company} user who received a suspicious message about your account. Your goal is to waste scammers' time by acting like a cooperative but confused victim.`;
   }
 
-  // For other assistants, return the original prompt if it exists
-  if (existingAssistant.model && existingAssistant.model.messages && existingAssistant.model.messages[0]) {
-    return existingAssistant.model.messages[0].content;
-  }
+  return identity ? `${prompt}\n\n${formatIdentityPrompt(identity)}` : prompt;
+}
+
+/**
+ * Swap the identity details block in an assistant's system prompt for an updated identity's
+ * @param {Object} assistant - Assistant configuration
+ * @param {Object} previous - Identity the prompt was built with
+ * @param {Object} identity - Identity to put in its place
+ * @returns {Object} The assistant configuration with the new details
+ */
+function replaceIdentityPrompt(assistant, previous, identity) {
+  const from = formatIdentityPrompt(previous);
+  const to = formatIdentityPrompt(identity);
+  return {
+    ...assistant,
+    model: {
+      ...assistant.model,
+      messages: assistant.model.messages.map(message => (message.role === 'system'
+        ? { ...message, content: message.content.replace(from, () => to) }
+        : message))
+    }
+  };
+}
+
+/**
+ * The last name and city a saved assistant's prompt already gives its agent
+ * ("You are Jim Parker from Denver, CO"), so its fake identity can agree with them
+ * @param {Object} existingAssistant - The existing assistant configuration
+ * @returns {Object} { lastName, city } for the parts found
+ */
+function findPromptNameAndCity(existingAssistant) {
+  const prompt = existingAssistant.model?.messages?.[0]?.content || '';
+  const firstName = existingAssistant.name.split(' ').pop().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const match = prompt.match(new RegExp(`\\b${firstName} ([A-Z][a-z'-]+) from ([A-Z][A-Za-z. ]+, [A-Z]{2})\\b`));
+  return match ? { lastName: match[1], city: match[2] } : {};
+}
+
+/**
+ * Generate the fake identity (src/fake-identity.js) an agent plays for one engagement. The name
+ * follows generateDynamicAgentName() and the home city getRandomLocation(); details the agent
+ * already has (first name, gender, last name, city) are kept. Canary credentials
+ * (src/canary-tokens.js) are added unless CANARIES=false.
+ * @param {Object} agent
+ * @param {string} [agent.agentType] - Agent or persona id, e.g. "coinbase"
+ * @param {string} [agent.firstName] - First name the agent already uses
+ * @param {string} [agent.gender] - 'male', 'female' or 'neutral'
+ * @param {string} [agent.lastName] - Last name the agent already uses
+ * @param {string} [agent.city] - Home city the agent already uses ("City, ST")
+ * @param {Object} [context]
+ * @param {string} [context.scamType] - Type of scam
+ * @param {string} [context.company] - Impersonated company
+ * @returns {Object|null} Identity, or null when FAKE_IDENTITIES=false
+ */
+function createAgentIdentity({ agentType, firstName, gender, lastName, city } = {}, { scamType = null, company = null } = {}) {
+  if (!isFakeIdentityEnabled()) return null;
+
+  const generated = generateDynamicAgentName(agentType, scamType);
+  const identityGender = gender && gender !== 'neutral' ? gender : generated.gender;
+  const identity = generateFakeIdentity({
+    firstName: firstName || generated.firstName,
+    lastName: lastName || (identityGender === generated.gender ? generated.lastName : getRandomLastName(identityGender)),
+    gender: identityGender,
+    city: city || getRandomLocation(),
+    company,
+    scamType
+  });
+  return isCanaryEnabled() ? addCanaries(identity) : identity;
+}
 
-  // Fallback generic prompt
-  return `You are ${firstName}, a concerned ${company} user who received a suspicious message about your account. Your goal is to waste scammers' time by acting like a cooperative but confused victim.`;
+/**
+ * The identity details that go into VAPI call metadata; card numbers and balances stay in the
+ * stored identity record
+ * @param {Object} identity - Fake identity
+ * @returns {Object}
+ */
+function summarizeIdentity(identity) {
+  return {
+    fullName: identity.fullName,
+    dateOfBirth: identity.dateOfBirth,
+    city: `${identity.address.city}, ${identity.address.state}`,
+    email: identity.email,
+    cardsLast4: identity.cards.map(card => card.last4),
+    device: identity.device.model
+  };
 }
 
 /**
@@ -1031,90 +1127,43 @@ function sanitizeAssistantConfig(assistantConfig) {
 }
 
 /**
- * Create a transient assistant for a specific scam type
- * @param {string} scamType - Type of scam
- * @param {Object} scamDetails - Scam details
+ * Build a VAPI assistant from a persona in the persona library, with a random last name,
+ * home city and (unless the persona names one) a voice matching the persona's gender
+ * @param {Object} persona - Persona from src/persona-library.js
+ * @param {string} [company] - Impersonated company (default: the persona's default company)
+ * @param {Object} [options]
+ * @param {Function} [options.random] - Random number source; a seeded one gives the same agent every time
+ * @param {Object} [options.identity] - Fake identity (createAgentIdentity()) whose name, city and
+ *   gender are used and whose details are added to the prompt
  * @returns {Object} Assistant configuration
  */
-function createTransientAssistant(scamType, scamDetails) {
-  let systemPrompt = '';
-  let firstMessage = '';
-  let assistantName = '';
-  let agentName = null; // Store the generated name for gender detection
-
-  if (scamType === 'crypto_exchange') {
-    // Determine the specific company being impersonated
-    const company = scamDetails?.impersonatedCompany ||
-                   scamDetails.cryptoTerms?.[0] || 'Coinbase';
-
-    // Generate dynamic name based on company
-    const companyLower = company.toLowerCase();
-    agentName = generateDynamicAgentName(companyLower, 'crypto_exchange');
-
-    assistantName = `${company} ${agentName.firstName}`;
-    firstMessage = `Hello, I'm calling about my ${company} account. I received a message saying there was suspicious activity and I need to verify my account. Is this really ${company} support?`;
-    systemPrompt = `You are ${agentName.firstName}, a concerned ${company} user who received a suspicious message about your cryptocurrency account. Your goal is to waste scammers' time by acting like a cooperative but confused victim.
-
-IMPORTANT: The company calling you is "${company}" - always refer to them by this name throughout the conversation.
-
-Key behaviors:
-- Act worried about your crypto account security and potential unauthorized access
-- Pretend to be somewhat tech-savvy but not expert-level with crypto
-- Ask lots of questions about the security issue and what ${company} needs you to do
-- Provide fake but believable personal information when asked (fake email, fake amounts, etc.)
-- Act confused about some technical terms but eager to protect your account
-- Use phrases like "Oh wow," "Okay, so what do I do?", "Can you walk me through that?"`;
-
-  } else if (scamType === 'it_support') {
-    const company = scamDetails?.impersonatedCompany ||
-                   scamDetails.techTerms?.[0] || 'Microsoft';
-
-    // Generate dynamic name based on company
-    const companyLower = company.toLowerCase();
-    agentName = generateDynamicAgentName(companyLower, 'it_support');
-
-    assistantName = `${company} ${agentName.firstName}`;
-    firstMessage = `Hi, I got a notification on my computer that said I should call this number about a virus. Is this ${company}?`;
-    systemPrompt = `You are ${agentName.firstName}, a concerned computer user who got a popup message about a virus. Your goal is to waste scammers' time by acting like a non-technical but concerned user.
-
-IMPORTANT: The company calling you is "${company}" - always refer to them by this name throughout the conversation.
-
-Key behaviors:
-- Act confused about technical jargon.
-- Ask for clarification on everything they ask you to do.
-- Be slow to follow instructions, pretending to look for keys or menus.
-- Express fear about losing your data or photos.
-- Ask if they are sure they are from ${company}.`;
-  } else {
-    // Generic fallback
-    agentName = generateDynamicAgentName('default', 'default');
-    assistantName = `Generic ${agentName.firstName}`;
-    firstMessage = "Hello? I got a message to call this number.";
-    systemPrompt = "You are a person who received a strange message and is cautiously calling back. Your goal is to figure out who is calling you and why, while wasting as much of their time as possible. Be curious, a little confused, and ask lots of questions.";
-  }
+function buildPersonaAssistant(persona, company = null, { random = Math.random, identity = null } = {}) {
+  // Personas marked neutral are played as either gender
+  const gender = identity ? identity.gender
+    : persona.gender === 'neutral' ? (random() > 0.5 ? 'male' : 'female') : persona.gender;
+  const rendered = renderPersona(persona, {
+    company,
+    lastName: identity ? identity.lastName : getRandomLastName(gender, random),
+    city: identity ? `${identity.address.city}, ${identity.address.state}` : getRandomLocation(random)
+  });
+  const voice = persona.voiceId
+    ? validateVoiceConfig({ provider: 'vapi', voiceId: persona.voiceId })
+    : getRandomVoice(gender, 'vapi', random);
 
   // Ensure the assistant name is not too long for VAPI
+  let assistantName = rendered.assistantName;
   if (assistantName.length > 40) {
     assistantName = assistantName.substring(0, 39).trim();
   }
 
-  // Generate dynamic voice based on the agent's detected gender.
-  const gender = agentName ? agentName.gender : 'neutral';
-  const voice = getRandomVoice(gender);
-
-  console.log(`Creating transient assistant "${assistantName}" with voice: ${voice.voiceId}`);
-
-  return {
+  const assistant = {
     name: assistantName,
     model: {
-      provider: "openai",
-      model: "gpt-4-turbo",
-      temperature: 0.7,
-      maxTokens: 500,
+      ...persona.model,
       messages: [
         {
           role: "system",
-          content: systemPrompt
+          content: identity ? `${rendered.systemPrompt}\n\n${formatIdentityPrompt(identity)}` : rendered.systemPrompt
         }
       ]
     },
@@ -1125,9 +1174,155 @@ Key behaviors:
       speed: 1.0
       // Note: VAPI native voices don't use language field
     },
-    firstMessage: firstMessage,
-    endCallPhrases: ["take care", "bye", "goodbye", "talk soon"],
+    firstMessage: rendered.firstMessage,
+    endCallPhrases: persona.endCallPhrases,
+    maxDurationSeconds: persona.maxDurationSeconds
+  };
+  if (persona.silenceTimeoutSeconds) {
+    assistant.silenceTimeoutSeconds = persona.silenceTimeoutSeconds;
+  }
+  return assistant;
+}
+
+/**
+ * Create a transient assistant for a specific scam type from the persona library
+ * (config/personas/): the persona written for the impersonated company, else the one for
+ * the scam type, else the catch-all persona
+ * @param {string} scamType - Type of scam
+ * @param {Object} scamDetails - Scam details
+ * @returns {Object} Assistant configuration
+ */
+function createTransientAssistant(scamType, scamDetails) {
+  return createTransientEngagement(scamType, scamDetails).assistant;
+}
+
+/**
+ * Create a transient assistant (see createTransientAssistant()) together with the fake identity
+ * it plays
+ * @param {string} scamType - Type of scam
+ * @param {Object} scamDetails - Scam details
+ * @returns {Object} { persona, assistant, identity }; identity is null when FAKE_IDENTITIES=false
+ */
+function createTransientEngagement(scamType, scamDetails) {
+  const detectedCompany = detectScamCompany(scamType, scamDetails);
+
+  const persona = selectPersona(scamType, detectedCompany);
+  if (!persona) {
+    throw new Error(`No persona in the persona library covers ${scamType || 'unknown'} scams`);
+  }
+
+  // A persona written for one company always plays that company's customer
+  const company = persona.companies.length > 0 ? persona.defaultCompany : detectedCompany;
+  const { assistant, identity } = buildEngagementAssistant(persona, company, scamType);
+
+  console.log(`Creating transient assistant "${assistant.name}" from persona ${persona.id} with voice: ${assistant.voice.voiceId}`);
+  return { persona, assistant, identity };
+}
+
+/**
+ * Build a persona's assistant for one engagement, playing a freshly generated fake identity
+ * @param {Object} persona - Persona from src/persona-library.js
+ * @param {string} company - Impersonated company
+ * @param {string} scamType - Type of scam
+ * @returns {Object} { assistant, identity }
+ */
+function buildEngagementAssistant(persona, company, scamType) {
+  const identity = createAgentIdentity({
+    agentType: persona.id,
+    firstName: persona.firstName,
+    gender: persona.gender
+  }, { scamType, company });
+  return { assistant: buildPersonaAssistant(persona, company, { identity }), identity };
+}
+
+/**
+ * The company a scam impersonates: the detected company, else the first exchange or tech
+ * company mentioned for crypto exchange and IT support scams
+ * @param {string} scamType - Type of scam
+ * @param {Object} scamDetails - Scam details
+ * @returns {string|null}
+ */
+function detectScamCompany(scamType, scamDetails) {
+  const details = scamDetails || {};
+  return details.impersonatedCompany ||
+    (scamType === 'crypto_exchange' ? details.cryptoTerms?.[0] : null) ||
+    (scamType === 'it_support' ? details.techTerms?.[0] : null) ||
+    null;
+}
+
+/**
+ * Assign a callback to a persona experiment variant (src/persona-experiments.js) and build
+ * its assistant
+ * @param {string} scamType - Type of scam
+ * @param {Object} scamDetails - Scam details
+ * @returns {Promise<Object|null>} { experimentId, variantId, persona, assistant, identity }, or
+ *   null when no running experiment covers the callback
+ */
+async function assignExperimentAssistant(scamType, scamDetails) {
+  try {
+    const detectedCompany = detectScamCompany(scamType, scamDetails);
+    const assignment = await assignVariant(scamType, detectedCompany);
+    if (!assignment) return null;
+
+    const { persona } = assignment;
+    const company = persona.companies.length > 0 ? persona.defaultCompany : detectedCompany;
+    return { ...assignment, ...buildEngagementAssistant(persona, company, scamType) };
+  } catch (error) {
+    console.error('Error assigning persona experiment variant:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Make an assistant speak the scammer's language: a language instruction in the prompt, the
+ * localized first message and end-call phrases from config/languages.json and a transcriber
+ * for that language. Assistants for the default language are returned unchanged.
+ * @param {Object} assistantConfig - Assistant configuration object
+ * @param {string} languageCode - Language code, e.g. "es"
+ * @param {Object} [context]
+ * @param {string} [context.scamType] - Picks the first message
+ * @param {string} [context.company] - Fills {company} in the first message
+ * @returns {Object} Localized assistant configuration
+ */
+function localizeAssistantConfig(assistantConfig, languageCode, { scamType, company } = {}) {
+  const language = resolveLanguage(languageCode);
+  if (!assistantConfig || !language || language.code === getDefaultLanguage().code) {
+    return assistantConfig;
+  }
+
+  const instruction = `LANGUAGE: The person you are calling speaks ${language.name}. Speak only ${language.name} (${language.nativeName}) for the whole call, naturally, like a native speaker, even though these instructions are written in English. Keep names and numbers as they are.`;
+  const messages = assistantConfig.model?.messages || [];
+  const localized = {
+    ...assistantConfig,
+    model: {
+      ...assistantConfig.model,
+      messages: messages.length > 0 && messages[0].role === 'system'
+        ? [{ ...messages[0], content: `${messages[0].content}
+
+${instruction}` }, ...messages.slice(1)]
+        : [{ role: 'system', content: instruction }, ...messages]
+    },
+    transcriber: {
+      provider: 'deepgram',
+      model: 'nova-2',
+      language: language.transcriberLanguage || language.code
+    }
   };
+
+  // Templates naming the company need one; otherwise use the language's generic opener
+  let firstMessage = language.firstMessages[scamType] || language.firstMessages.default;
+  if (firstMessage && firstMessage.includes('{company}') && !company) {
+    firstMessage = language.firstMessages.default;
+  }
+  if (firstMessage) {
+    localized.firstMessage = firstMessage.replace(/\{company\}/g, company);
+  }
+  if (language.endCallPhrases.length > 0) {
+    localized.endCallPhrases = language.endCallPhrases;
+  }
+
+  console.log(`🌐 Localized assistant "${assistantConfig.name}" to ${language.name}`);
+  return localized;
 }
 
 /**
@@ -1320,6 +1515,84 @@ function getBasicAnalytics() {
   return analytics;
 }
 
+/**
+ * Free the rate-limiter slot held by an ended agent call (safe to call for every end event)
+ * @param {Object} call - VAPI call from the webhook payload
+ */
+function releaseEngagementSlot(call) {
+  const engagementId = call.metadata?.callbackEngagementId || callTracker.get(call.id)?.callbackEngagementId;
+  if (!engagementId) return;
+
+  releaseCallbackSlot(engagementId)
+    .then(released => {
+      if (released) console.log(`🔓 Released callback slot for engagement ${engagementId} (call ${call.id})`);
+    })
+    .catch(error => console.error(`Error releasing callback slot for call ${call.id}:`, error.message));
+}
+
+/**
+ * Add an ended agent call's duration to the scammer minutes wasted by its number, mark the
+ * voicemail that triggered it as engaged in the call index and score its experiment variant
+ * (safe to call for every end event; each call is counted once)
+ * @param {Object} call - VAPI call from the webhook payload
+ * @param {number} durationSeconds - Call duration in seconds
+ */
+function recordEngagementDuration(call, durationSeconds) {
+  if (!Number.isFinite(durationSeconds)) return;
+  const trackedCall = callTracker.get(call.id) || {};
+
+  const phoneNumber = call.customer?.number || trackedCall.phoneNumber;
+  if (phoneNumber) {
+    recordEngagementEnded(phoneNumber, { callId: call.id, durationSeconds, endedReason: call.endedReason })
+      .catch(error => console.error(`Error recording engagement duration for call ${call.id}:`, error.message));
+  }
+
+  const originalCallSid = call.metadata?.originalCallSid || trackedCall.originalCallSid;
+  if (originalCallSid) {
+    recordCallOutcome(originalCallSid, 'engaged', { agentCallId: call.id, engagementSeconds: durationSeconds })
+      .catch(error => console.error(`Error indexing the engagement for ${originalCallSid}:`, error.message));
+  }
+
+  const experimentId = call.metadata?.experimentId || trackedCall.experimentId;
+  if (experimentId) {
+    recordExperimentOutcome({
+      experimentId,
+      variantId: call.metadata?.variantId || trackedCall.variantId,
+      callId: call.id,
+      durationSeconds
+    }).catch(error => console.error(`Error recording the experiment outcome for call ${call.id}:`, error.message));
+  }
+}
+
+/**
+ * Mine an ended agent call's transcript for indicators of compromise (wallets, links, remote-access
+ * tools, gift cards, bank numbers, aliases, other phone numbers) and store them with the call
+ * @param {Object} call - VAPI call from the webhook payload
+ * @param {Object} report - End-of-call report message
+ * @returns {Promise<Object|null>} Stored indicator record
+ */
+async function recordCallIntelligence(call, report = {}) {
+  const transcript = report.artifact?.transcript || report.transcript || call.artifact?.transcript || call.transcript;
+  const messages = report.artifact?.messages || report.messages || call.artifact?.messages || call.messages;
+  const trackedCall = callTracker.get(call.id) || {};
+
+  try {
+    const record = await recordCallIndicators(call.id, {
+      transcript,
+      messages,
+      phoneNumber: call.customer?.number || trackedCall.phoneNumber,
+      company: call.metadata?.impersonatedCompany || trackedCall.scamDetails?.impersonatedCompany
+    });
+    if (record && record.indicatorCount > 0) {
+      console.log(`🔎 Extracted ${record.indicatorCount} indicators from call ${call.id}`);
+    }
+    return record;
+  } catch (error) {
+    console.error(`Error extracting indicators for call ${call.id}:`, error.message);
+    return null;
+  }
+}
+
 /**
  * Handle VAPI webhook events
  * @param {Object} webhookData - Webhook payload
@@ -1380,6 +1653,7 @@ async function handleVapiWebhook(webhookData) {
     case 'call.end':
     case 'call.ended':
       console.log(`VAPI call ended: ${call.id}, Reason: ${call.endedReason || 'N/A'}`);
+      releaseEngagementSlot(call);
       if (callTracker.has(call.id)) {
         const callData = callTracker.get(call.id);
         callData.status = 'ended';
@@ -1387,6 +1661,9 @@ async function handleVapiWebhook(webhookData) {
         callData.duration = call.duration || (callData.endTime - callData.startTime) / 1000;
         callData.endedReason = call.endedReason;
         callTracker.set(call.id, callData);
+        recordEngagementDuration(call, callData.duration);
+      } else if (call.duration) {
+        recordEngagementDuration(call, call.duration);
       }
       
       // Send immediate text notification for call ended
@@ -1504,6 +1781,9 @@ async function handleVapiWebhook(webhookData) {
 
     case 'end-of-call-report':
       console.log(`End-of-call report received for call ${call.id}`);
+      releaseEngagementSlot(call);
+      recordEngagementDuration(call, webhookData.message?.durationSeconds ?? webhookData.message?.duration ?? call.duration);
+      const intelligence = await recordCallIntelligence(call, webhookData.message);
       // This is the comprehensive call summary - update tracker with final data
       if (callTracker.has(call.id)) {
         const callData = callTracker.get(call.id);
@@ -1532,6 +1812,10 @@ async function handleVapiWebhook(webhookData) {
         };
         callTracker.set(call.id, callData);
       }
+      if (intelligence) {
+        callData.iocs = intelligence.indicators;
+        callTracker.set(call.id, callData);
+      }
 
       if (!callData.telegramUploadQueued) {
         console.log(`Queuing Telegram upload for call ID: ${call.id} (end-of-call-report)`);
@@ -1644,33 +1928,55 @@ async function getCallDetails(callId) {
     // Get from tracker first
     const trackedCall = callTracker.get(callId);
 
+    // Indicators extracted from the transcript when the call ended
+    const iocs = await getCallIndicators(callId);
+
     // Also fetch from VAPI API for complete details
     const apiCall = await vapiClient.calls.get(callId);
 
     return {
       tracked: trackedCall,
-      api: apiCall
+      api: apiCall,
+      iocs
     };
   } catch (error) {
     console.error(`Error getting call details for ${callId}:`, error);
-    return { tracked: callTracker.get(callId), api: null };
+    return { tracked: callTracker.get(callId), api: null, iocs: await getCallIndicators(callId) };
+  }
+}
+
+/**
+ * The fake identity an agent call played, reviewed against the call's transcript: which details
+ * the agent gave out, which the scammer repeated back and what contradicted the profile
+ * @param {string} callId - VAPI call ID
+ * @returns {Promise<Object|null>} { callId, originalCallSid, assistantName, identity, createdAt,
+ *   review, canaries }, or null when no identity was stored for the call; review is null until
+ *   the call has a transcript and canaries lists the call's canary credentials with their trips
+ */
+async function getCallIdentityReview(callId) {
+  const { getAgentIdentity } = require('./s3-storage-service');
+  const record = await getAgentIdentity(callId);
+  if (!record) return null;
+
+  let call = null;
+  try {
+    call = vapiClient ? await vapiClient.calls.get(callId) : null;
+  } catch (error) {
+    console.error(`Error fetching call ${callId} for its identity review:`, error.message);
   }
+  const transcript = call?.artifact?.transcript || call?.transcript;
+  const messages = call?.artifact?.messages || call?.messages;
+  const review = transcript || messages?.length
+    ? reviewTranscriptAgainstIdentity(record.identity, { transcript, messages })
+    : null;
+  return { ...record, review, canaries: await listCallCanaries(callId) };
 }
 
 function extractCompanyFromAgent(agentName) {
   if (!agentName) return 'Unknown';
 
-  const name = agentName.toLowerCase();
-  if (name.includes('coinbase')) return 'Coinbase';
-  if (name.includes('kraken')) return 'Kraken';
-  if (name.includes('binance')) return 'Binance';
-  if (name.includes('microsoft')) return 'Microsoft';
-  if (name.includes('apple')) return 'Apple';
-  if (name.includes('google')) return 'Google';
-  if (name.includes('amazon')) return 'Amazon';
-  if (name.includes('paypal')) return 'PayPal';
-
-  return 'Unknown';
+  const company = findCompanyInText(agentName, { exactOnly: true });
+  return company ? company.name : 'Unknown';
 }
 
 /**
@@ -1862,13 +2168,22 @@ module.exports = {
   isValidPhoneNumber,
   formatToE164,
   redactPhoneNumber,
+  redactPhoneNumbersInText,
+  checkAutoCallable,
   getCallAnalytics,
   handleVapiWebhook,
   getCallDetails,
+  getCallIdentityReview,
   listVapiCalls,
   getVapiCallRecording,
   callTracker,
   createTransientAssistant,
+  createTransientEngagement,
+  createAgentIdentity,
+  replaceIdentityPrompt,
+  buildPersonaAssistant,
+  assignExperimentAssistant,
+  localizeAssistantConfig,
   extractCompanyFromAgent,
   findVapiAgentForCompanySync
 };
@@ -22,7 +22,8 @@ const WEBHOOK_EVENTS = {
   AGENT_CALL_STARTED: 'agent_call_started',
   AGENT_CALL_ENDED: 'agent_call_ended',
   AGENT_CALL_FAILED: 'agent_call_failed',
-  SCAM_DETECTED: 'scam_detected'
+  SCAM_DETECTED: 'scam_detected',
+  CANARY_TRIPPED: 'canary_tripped'
 };
 
 /**
@@ -213,6 +214,44 @@ function createScamDetectedPayload(scamData) {
   };
 }
 
+/**
+ * Create webhook payload for canary tripped event
+ * @param {Object} tripData - Canary trip data (src/canary-tokens.js)
+ * @returns {Object} Webhook payload
+ */
+function createCanaryTrippedPayload(tripData) {
+  return {
+    event: WEBHOOK_EVENTS.CANARY_TRIPPED,
+    timestamp: new Date().toISOString(),
+    data: {
+      type: tripData.type,
+      value: maskCanaryValue(tripData.type, tripData.value),
+      callId: tripData.callId,
+      originalCallSid: tripData.originalCallSid,
+      campaignId: tripData.campaignId,
+      scammerNumber: tripData.scammerNumber ? maskPhoneNumber(tripData.scammerNumber) : null,
+      company: tripData.company,
+      source: tripData.source,
+      occurredAt: tripData.occurredAt,
+      tripCount: tripData.tripCount
+    }
+  };
+}
+
+/**
+ * Mask a canary credential for notifications: cards keep their last 4 digits and passwords
+ * their first 3 characters; email addresses are shown as they are
+ * @param {string} type - 'email', 'card' or 'password'
+ * @param {string} value - Canary value
+ * @returns {string} Masked value
+ */
+function maskCanaryValue(type, value) {
+  if (!value) return value;
+  if (type === 'card') return `•••• ${String(value).slice(-4)}`;
+  if (type === 'password') return `${String(value).slice(0, 3)}${'*'.repeat(Math.max(String(value).length - 3, 0))}`;
+  return value;
+}
+
 /**
  * Mask phone number for privacy
  * @param {string} phoneNumber - Phone number to mask
@@ -625,6 +664,57 @@ function createSlackMessage(event, data) {
         ]
       };
 
+    case WEBHOOK_EVENTS.CANARY_TRIPPED:
+      return {
+        blocks: [
+          {
+            type: "header",
+            text: {
+              type: "plain_text",
+              text: "🐤 Canary Credential Used",
+              emoji: true
+            }
+          },
+          {
+            type: "section",
+            text: {
+              type: "mrkdwn",
+              text: `A scammer used the ${data.type} *${maskCanaryValue(data.type, data.value)}* that *${data.agentName || 'an agent'}* handed out`
+            }
+          },
+          {
+            type: "section",
+            fields: [
+              {
+                type: "mrkdwn",
+                text: `*📞 Agent Call:*\n${data.callId}`
+              },
+              {
+                type: "mrkdwn",
+                text: `*🧩 Campaign:*\n${data.campaignId || 'Unknown'}`
+              },
+              {
+                type: "mrkdwn",
+                text: `*☎️ Scammer Number:*\n${data.scammerNumber ? maskPhoneNumber(data.scammerNumber) : 'Unknown'}`
+              },
+              {
+                type: "mrkdwn",
+                text: `*🔎 Seen By:*\n${data.source || 'Unknown'} (${data.tripCount}x)`
+              }
+            ]
+          },
+          {
+            type: "context",
+            elements: [
+              {
+                type: "mrkdwn",
+                text: `🕐 ${new Date(data.occurredAt || Date.now()).toLocaleString()} | 🛡️ SIPSentinel Defense System`
+              }
+            ]
+          }
+        ]
+      };
+
     default:
       return {
         blocks: [
@@ -758,6 +848,22 @@ ${isSuccess ? '🎊 Great work keeping the scammer busy!' : ''}
 🛡️ SIPSentinel | ${new Date().toLocaleTimeString()}`
       };
 
+    case WEBHOOK_EVENTS.CANARY_TRIPPED:
+      return {
+        text: `🐤 CANARY CREDENTIAL USED
+
+A scammer used the ${data.type} ${maskCanaryValue(data.type, data.value)} that ${data.agentName || 'an agent'} handed out
+
+📊 Trip Details:
+• Agent Call: ${data.callId}
+• Campaign: ${data.campaignId || 'Unknown'}
+• Scammer Number: ${data.scammerNumber ? maskPhoneNumber(data.scammerNumber) : 'Unknown'}
+• Company: ${data.company || 'Unknown'}
+• Seen By: ${data.source || 'Unknown'} (${data.tripCount}x)
+
+🛡️ SIPSentinel | ${new Date(data.occurredAt || Date.now()).toLocaleTimeString()}`
+      };
+
     default:
       return {
         text: `🛡️ *SIPSentinel Event*
@@ -1277,6 +1383,42 @@ async function notifyCallEnded(callSid) {
   });
 }
 
+/**
+ * Main webhook notification function for canary tripped events
+ * @param {Object} tripData - Canary trip data (src/canary-tokens.js)
+ * @returns {Promise<Array>} Array of response objects
+ */
+async function notifyCanaryTripped(tripData) {
+  try {
+    console.log('Sending canary tripped notifications...');
+
+    const results = [];
+
+    // Send webhook notifications
+    const webhookUrls = getWebhookUrls();
+    const webhookSecret = getWebhookSecret();
+    const payload = createCanaryTrippedPayload(tripData);
+
+    if (webhookUrls.length > 0) {
+      const webhookResults = await sendWebhooks(webhookUrls, payload, webhookSecret);
+      results.push(...webhookResults);
+    }
+
+    // Send Slack notification
+    const slackResult = await sendSlackNotification(WEBHOOK_EVENTS.CANARY_TRIPPED, tripData);
+    results.push({ type: 'slack', ...slackResult });
+
+    // Send Telegram notification
+    const telegramResult = await sendTelegramTextOnly(WEBHOOK_EVENTS.CANARY_TRIPPED, tripData);
+    results.push({ type: 'telegram', ...telegramResult });
+
+    return results;
+  } catch (error) {
+    console.error('Error sending canary tripped notifications:', error);
+    return [{ type: 'error', success: false, error: error.message }];
+  }
+}
+
 /**
  * Send text-only notifications (Slack + Telegram text, no audio)
  * @param {string} event - Event type
@@ -1320,6 +1462,7 @@ module.exports = {
   notifyAgentCallStatus,
   notifyAgentCallStatusTextOnly,
   notifyScamDetected,
+  notifyCanaryTripped,
   notifyCallEnded,
   getWebhookUrls,
   getWebhookSecret,
@@ -1330,5 +1473,6 @@ module.exports = {
   sendTelegramTextOnly,
   sendTelegramAudio,
   sendTelegramAudioOnly,
-  createTelegramMessage // Export for testing
+  createTelegramMessage, // Export for testing
+  createCanaryTrippedPayload // Export for testing
 };
@@ -9,6 +9,31 @@ require('dotenv').config();
 // Import all test modules
 const { runScamDetectionTests } = require('./unit/scam-detection.test.js');
 const { runAgentSelectionTests } = require('./unit/agent-selection.test.js');
+const { runScamCategoryTests } = require('./unit/scam-categories.test.js');
+const { runCompanyResolverTests } = require('./unit/company-resolver.test.js');
+const { runLlmProviderTests } = require('./unit/llm-providers.test.js');
+const { runLlmAnalysisSchemaTests } = require('./unit/llm-analysis-schema.test.js');
+const { runEnsembleScorerTests } = require('./unit/ensemble-scorer.test.js');
+const { runDetectionEvaluatorTests } = require('./unit/detection-evaluator.test.js');
+const { runCallbackExtractorTests } = require('./unit/callback-extractor.test.js');
+const { runPhoneUtilsTests } = require('./unit/phone-utils.test.js');
+const { runCallbackPolicyTests } = require('./unit/callback-policy.test.js');
+const { runCallbackRateLimiterTests } = require('./unit/callback-rate-limiter.test.js');
+const { runUrlAnalyzerTests } = require('./unit/url-analyzer.test.js');
+const { runLanguageDetectorTests } = require('./unit/language-detector.test.js');
+const { runCampaignTrackerTests } = require('./unit/campaign-tracker.test.js');
+const { runNumberReputationTests } = require('./unit/number-reputation.test.js');
+const { runIocExtractorTests } = require('./unit/ioc-extractor.test.js');
+const { runIntelExportTests } = require('./unit/intel-export.test.js');
+const { runComplaintReportTests } = require('./unit/complaint-reports.test.js');
+const { runEvidenceManifestTests } = require('./unit/evidence-manifest.test.js');
+const { runStorageBackendTests } = require('./unit/storage-backend.test.js');
+const { runCallIndexTests } = require('./unit/call-index.test.js');
+const { runPersonaLibraryTests } = require('./unit/persona-library.test.js');
+const { runAgentSyncTests } = require('./unit/agent-sync.test.js');
+const { runPersonaExperimentTests } = require('./unit/persona-experiments.test.js');
+const { runFakeIdentityTests } = require('./unit/fake-identity.test.js');
+const { runCanaryTokenTests } = require('./unit/canary-tokens.test.js');
 const { runTelegramIntegrationTests } = require('./integration/telegram-integration.test.js');
 const { runVapiIntegrationTests } = require('./integration/vapi-integration.test.js');
 const { runQStashIntegrationTests } = require('./integration/qstash-integration.test.js');
@@ -23,13 +48,63 @@ async function runUnitTests() {
   
   const results = {
     scamDetection: await runScamDetectionTests(),
-    agentSelection: await runAgentSelectionTests()
+    agentSelection: await runAgentSelectionTests(),
+    scamCategories: await runScamCategoryTests(),
+    companyResolver: await runCompanyResolverTests(),
+    llmProviders: await runLlmProviderTests(),
+    llmAnalysisSchema: await runLlmAnalysisSchemaTests(),
+    ensembleScorer: await runEnsembleScorerTests(),
+    detectionEvaluator: await runDetectionEvaluatorTests(),
+    callbackExtractor: await runCallbackExtractorTests(),
+    phoneUtils: await runPhoneUtilsTests(),
+    callbackPolicy: await runCallbackPolicyTests(),
+    callbackRateLimiter: await runCallbackRateLimiterTests(),
+    urlAnalyzer: await runUrlAnalyzerTests(),
+    languageDetector: await runLanguageDetectorTests(),
+    campaignTracker: await runCampaignTrackerTests(),
+    numberReputation: await runNumberReputationTests(),
+    iocExtractor: await runIocExtractorTests(),
+    intelExport: await runIntelExportTests(),
+    complaints: await runComplaintReportTests(),
+    evidence: await runEvidenceManifestTests(),
+    storage: await runStorageBackendTests(),
+    callIndex: await runCallIndexTests(),
+    personaLibrary: await runPersonaLibraryTests(),
+    agentSync: await runAgentSyncTests(),
+    personaExperiments: await runPersonaExperimentTests(),
+    fakeIdentity: await runFakeIdentityTests(),
+    canaryTokens: await runCanaryTokenTests()
   };
   
   console.log('\n' + '=' .repeat(80));
   console.log('📊 Unit Test Results:');
   console.log(`   Scam Detection: ${results.scamDetection ? '✅ PASS' : '❌ FAIL'}`);
   console.log(`   Agent Selection: ${results.agentSelection ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Scam Categories: ${results.scamCategories ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Company Resolver: ${results.companyResolver ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   LLM Providers: ${results.llmProviders ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   LLM Analysis Schema: ${results.llmAnalysisSchema ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Ensemble Scorer: ${results.ensembleScorer ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Detection Evaluator: ${results.detectionEvaluator ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Callback Extractor: ${results.callbackExtractor ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Phone Utils: ${results.phoneUtils ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Callback Policy: ${results.callbackPolicy ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Callback Rate Limiter: ${results.callbackRateLimiter ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   URL Analyzer: ${results.urlAnalyzer ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Language Detector: ${results.languageDetector ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Campaign Tracker: ${results.campaignTracker ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Number Reputation: ${results.numberReputation ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   IOC Extractor: ${results.iocExtractor ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Intel Export: ${results.intelExport ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Complaint Reports: ${results.complaints ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Evidence Manifest: ${results.evidence ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Storage Backend: ${results.storage ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Call Index: ${results.callIndex ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Persona Library: ${results.personaLibrary ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Agent Sync: ${results.agentSync ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Persona Experiments: ${results.personaExperiments ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Fake Identity: ${results.fakeIdentity ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Canary Credentials: ${results.canaryTokens ? '✅ PASS' : '❌ FAIL'}`);
   
   const allPassed = Object.values(results).every(result => result);
   console.log(`\n🎯 Unit Tests Overall: ${allPassed ? '✅ ALL PASSED' : '❌ SOME FAILED'}`);
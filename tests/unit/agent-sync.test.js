@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for syncing saved VAPI assistants with the persona library (sipsentinel agents)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  planAgentSync,
+  applyAgentSync,
+  planHasChanges,
+  buildManagedAssistant,
+  readAgentConfig,
+  MANAGED_BY
+} = require('../../src/agent-sync');
+const { listPersonas, getPersona } = require('../../src/persona-library');
+const { runAgents } = require('../../bin/agents');
+
+const COMPANY_PERSONAS = ['coinbase', 'kraken', 'binance', 'microsoft'];
+
+/**
+ * In-memory stand-in for the VAPI assistants API
+ */
+function createFakeVapi(initial = []) {
+  const assistants = initial.map(assistant => JSON.parse(JSON.stringify(assistant)));
+  const calls = [];
+  let nextId = 1;
+  return {
+    assistants,
+    calls,
+    list: async () => assistants.map(assistant => JSON.parse(JSON.stringify(assistant))),
+    client: {
+      assistants: {
+        create: async (dto) => {
+          calls.push(['create', dto.metadata.personaId]);
+          const assistant = { id: `asst-new-${nextId++}`, createdAt: '2026-10-19T00:00:00Z', ...JSON.parse(JSON.stringify(dto)) };
+          assistants.push(assistant);
+          return assistant;
+        },
+        update: async (id, dto) => {
+          calls.push(['update', id]);
+          const assistant = assistants.find(candidate => candidate.id === id);
+          Object.assign(assistant, JSON.parse(JSON.stringify(dto)));
+          return assistant;
+        },
+        delete: async (id) => {
+          calls.push(['delete', id]);
+          assistants.splice(assistants.findIndex(candidate => candidate.id === id), 1);
+          return { id };
+        }
+      }
+    }
+  };
+}
+
+/**
+ * An account that has drifted: edited, duplicated, untagged, stale and hand-made assistants
+ */
+function driftedAccount() {
+  const coinbase = buildManagedAssistant(getPersona('coinbase'));
+  const kraken = buildManagedAssistant(getPersona('kraken'));
+  const binance = buildManagedAssistant(getPersona('binance'));
+  const { metadata, ...untaggedKraken } = kraken;
+  return {
+    assistants: [
+      { ...coinbase, id: 'asst-coinbase', firstMessage: 'Hello?', voice: { ...coinbase.voice, voiceId: 'Nobody' } },
+      { ...coinbase, id: 'asst-coinbase-copy' },
+      { ...untaggedKraken, id: 'asst-kraken', silenceTimeoutSeconds: 45, transcriber: { provider: 'deepgram' } },
+      { ...binance, id: 'asst-binance', isServerUrlSecretSet: false },
+      { ...binance, id: 'asst-apple', name: 'Apple Amy', metadata: { managedBy: MANAGED_BY, personaId: 'apple' } },
+      { id: 'asst-paypal', name: 'PayPal Pat' },
+      { id: 'asst-mine', name: 'My Test Assistant' }
+    ],
+    agentConfig: {
+      kraken: 'asst-kraken',
+      paypal: 'asst-paypal',
+      google: 'your-google-agent-id-here'
+    }
+  };
+}
+
+/**
+ * Test building desired assistants and planning changes
+ */
+function testPlanning() {
+  console.log('\n📋 Testing Agent Sync Plans');
+  console.log('-'.repeat(40));
+
+  let passed = 0;
+  const total = 4;
+
+  const first = buildManagedAssistant(getPersona('kraken'));
+  const second = buildManagedAssistant(getPersona('kraken'));
+  if (JSON.stringify(first) === JSON.stringify(second) && first.name === 'Kraken Karen' &&
+      first.metadata.personaId === 'kraken' && first.metadata.managedBy === MANAGED_BY &&
+      first.backgroundSound === 'office' && first.silenceTimeoutSeconds === 45) {
+    console.log('✅ PASS - A persona always renders the same tagged assistant');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Desired assistants differ:', first, second);
+  }
+
+  const fresh = planAgentSync({
+    personas: listPersonas(),
+    assistants: [],
+    agentConfig: { coinbase: 'your-coinbase-agent-id-here' }
+  });
+  const createdIds = fresh.creates.map(create => create.personaId).sort();
+  if (JSON.stringify(createdIds) === JSON.stringify([...COMPANY_PERSONAS].sort()) && fresh.deletes.length === 0 &&
+      fresh.updates.length === 0 && fresh.configChanges.length === 0) {
+    console.log('✅ PASS - An empty account plans one create per company persona');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Fresh plan:', createdIds, fresh.deletes, fresh.configChanges);
+  }
+
+  const account = driftedAccount();
+  const plan = planAgentSync({ personas: listPersonas(), ...account });
+  const updates = Object.fromEntries(plan.updates.map(update => [update.personaId, update.changes]));
+  const deletes = Object.fromEntries(plan.deletes.map(remove => [remove.id, remove.reason]));
+  if (JSON.stringify(updates.coinbase) === JSON.stringify(['firstMessage', 'voice.voiceId']) &&
+      JSON.stringify(updates.kraken) === JSON.stringify(['metadata.managedBy', 'metadata.personaId']) &&
+      plan.unchanged.map(entry => entry.id).join() === 'asst-binance' &&
+      plan.creates.map(create => create.personaId).join() === 'microsoft' &&
+      JSON.stringify(deletes) === JSON.stringify({ 'asst-coinbase-copy': 'duplicate', 'asst-apple': 'stale', 'asst-paypal': 'orphaned' })) {
+    console.log('✅ PASS - Drifted fields, duplicates, stale and orphaned assistants are planned; VAPI defaults are not drift');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Drift plan:', updates, deletes, plan.unchanged, plan.creates.map(create => create.personaId));
+  }
+
+  const configChanges = Object.fromEntries(plan.configChanges.map(change => [change.personaId, change.to]));
+  if (!Object.keys(deletes).includes('asst-mine') && plan.config.coinbase === 'asst-coinbase' &&
+      Object.keys(configChanges).length === 4 && configChanges.paypal === null && configChanges.google === null &&
+      configChanges.coinbase === 'asst-coinbase' && configChanges.binance === 'asst-binance') {
+    console.log('✅ PASS - Hand-made assistants are left alone and agent-config.json changes are listed');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Config changes:', plan.configChanges, deletes);
+  }
+
+  console.log(`\n📊 Agent Sync Plan Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test applying plans against a fake VAPI account
+ */
+async function testApplying() {
+  console.log('\n🔄 Testing Agent Sync Apply');
+  console.log('-'.repeat(40));
+
+  let passed = 0;
+  const total = 4;
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sipsentinel-agents-'));
+  const configPath = path.join(tempDir, 'agent-config.json');
+
+  try {
+    const account = driftedAccount();
+    const vapi = createFakeVapi(account.assistants);
+    let asked = 0;
+    const plan = planAgentSync({ personas: listPersonas(), ...account });
+    const result = await applyAgentSync(plan, { client: vapi.client, configPath, confirm: async () => { asked++; return true; } });
+    const written = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    if (result.created.length === 1 && result.updated.length === 2 && result.deleted.length === 0 && asked === 0 &&
+        vapi.calls.every(([action]) => action !== 'delete') && vapi.assistants.length === 8 &&
+        written._comment && written.microsoft === result.created[0].id && written.kraken === 'asst-kraken' &&
+        written.paypal === 'asst-paypal' && !('google' in written)) {
+      console.log('✅ PASS - Apply creates and updates, deletes nothing without --prune and keeps orphans in agent-config.json');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Apply without prune:', result, vapi.calls, written);
+    }
+
+    const declined = await applyAgentSync(planAgentSync({
+      personas: listPersonas(), assistants: await vapi.list(), agentConfig: readAgentConfig(configPath)
+    }), { client: vapi.client, configPath, prune: true, confirm: async () => false });
+    if (declined.deleted.length === 0 && declined.skippedDeletes.length === 3 && vapi.assistants.length === 8) {
+      console.log('✅ PASS - Pruning waits for confirmation');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Declined prune:', declined);
+    }
+
+    const pruned = await applyAgentSync(planAgentSync({
+      personas: listPersonas(), assistants: await vapi.list(), agentConfig: readAgentConfig(configPath)
+    }), { client: vapi.client, configPath, prune: true, confirm: async deletes => deletes.length === 3 });
+    const remaining = vapi.assistants.map(assistant => assistant.id).sort();
+    const prunedConfig = readAgentConfig(configPath);
+    if (pruned.deleted.length === 3 && remaining.join() === 'asst-binance,asst-coinbase,asst-kraken,asst-mine,asst-new-1' &&
+        !('paypal' in prunedConfig)) {
+      console.log('✅ PASS - Confirmed pruning deletes duplicate, stale and orphaned assistants but not hand-made ones');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Pruned:', pruned.deleted, remaining);
+    }
+
+    const again = planAgentSync({
+      personas: listPersonas(), assistants: await vapi.list(), agentConfig: readAgentConfig(configPath)
+    });
+    const callsBefore = vapi.calls.length;
+    const rerun = await runAgents('apply', { config: configPath }, { listAssistants: vapi.list, client: vapi.client });
+    let unknownRejected = false;
+    try {
+      await runAgents('destroy', {}, { listAssistants: vapi.list });
+    } catch (error) {
+      unknownRejected = /Unknown action "destroy"/.test(error.message);
+    }
+    if (!planHasChanges(again) && again.unchanged.length === COMPANY_PERSONAS.length && rerun.result === null &&
+        vapi.calls.length === callsBefore && unknownRejected) {
+      console.log('✅ PASS - Applying is idempotent: the next plan is empty and apply makes no calls');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Second run:', again, vapi.calls.slice(callsBefore), unknownRejected);
+    }
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Agent Sync Apply Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Run all agent sync tests
+ */
+async function runAgentSyncTests() {
+  console.log('🧪 SIPSentinel Agent Sync Tests\n');
+  console.log('=' .repeat(60));
+
+  const results = {
+    planning: testPlanning(),
+    applying: await testApplying()
+  };
+
+  console.log('=' .repeat(60));
+  console.log('📊 Final Results:');
+  console.log(`   Agent Sync Plans: ${results.planning ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Agent Sync Apply: ${results.applying ? '✅ PASS' : '❌ FAIL'}`);
+
+  const allPassed = Object.values(results).every(result => result);
+  console.log(`\n🎯 Overall: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runAgentSyncTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('💥 Test runner crashed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runAgentSyncTests,
+  testPlanning,
+  testApplying
+};
@@ -0,0 +1,408 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for the call index: records, filtered and paged queries, engagement outcomes,
+ * storage write-through and the archive backfill (on an in-memory SQLite database)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  indexCallMetadata,
+  indexTranscription,
+  recordCallOutcome,
+  queryCalls,
+  backfillCallIndex,
+  buildCallRecord,
+  resolveCallQuery,
+  resolveCallIndexConfig,
+  isCallIndexEnabled,
+  resetCallIndex
+} = require('../../src/call-index');
+const { createStorageBackend, resolveStorageConfig, resetStorage } = require('../../src/storage-backend');
+
+const hoursAgo = hours => new Date(Date.now() - hours * 3600000).toISOString();
+
+const VOICEMAILS = [
+  {
+    callSid: 'CA-index-1', recordingSid: 'RE-index-1', callerNumber: '+14155550101', recordingDuration: 42, timestamp: hoursAgo(1),
+    scamAnalysis: { isScam: true, impersonatedCompany: 'Amazon Prime', scamType: 'it_support', confidence: 70, callbackPhoneNumber: '888-555-0142',
+      ensemble: { isScam: true, scamType: 'it_support', confidence: 81 } }
+  },
+  {
+    callSid: 'CA-index-2', recordingSid: 'RE-index-2', callerNumber: '+14155550102', recordingDuration: 35, timestamp: hoursAgo(5),
+    scamAnalysis: { isScam: true, impersonatedCompany: 'Coinbase', scamType: 'crypto_exchange', confidence: 95 }
+  },
+  {
+    callSid: 'CA-index-3', recordingSid: 'RE-index-3', callerNumber: '+14155550103', recordingDuration: 12, timestamp: hoursAgo(30),
+    scamAnalysis: { isScam: false, confidence: 10 }
+  },
+  {
+    callSid: 'CA-index-4', recordingSid: 'RE-index-4', callerNumber: '+14155550104', recordingDuration: 60, timestamp: hoursAgo(72),
+    scamAnalysis: { isScam: true, impersonatedCompany: 'Chase', scamType: 'banking', confidence: 88 }
+  }
+];
+
+const TEXT_MESSAGE = {
+  messageSid: 'SM-index-1', callerNumber: '+14155550105', channel: 'sms', message: 'Your package is held', timestamp: hoursAgo(2),
+  scamAnalysis: { isScam: true, scamType: 'delivery', confidence: 77, impersonatedCompany: 'USPS' }
+};
+
+/**
+ * Point the call index (and optionally storage) at throwaway locations for one test
+ */
+async function withTestIndex(env, fn) {
+  const overrides = { CALL_INDEX: 'true', CALL_INDEX_URL: 'sqlite::memory:', ...env };
+  const saved = {};
+  for (const [name, value] of Object.entries(overrides)) {
+    saved[name] = process.env[name];
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  await resetCallIndex();
+  resetStorage();
+
+  try {
+    return await fn();
+  } finally {
+    await resetCallIndex();
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    resetStorage();
+  }
+}
+
+/**
+ * Expect a promise or function to fail with an error code
+ */
+async function rejectsWith(fn, code) {
+  try {
+    await fn();
+    return false;
+  } catch (error) {
+    return error.code === code;
+  }
+}
+
+/**
+ * Test database configuration and how stored metadata becomes an index record
+ */
+async function testRecords() {
+  console.log('\n🗂️ Testing Call Records');
+  console.log('-'.repeat(40));
+
+  let passed = 0;
+  const total = 4;
+
+  const sqlite = resolveCallIndexConfig({ CALL_INDEX_URL: 'sqlite:data/call-index.db' });
+  const postgres = resolveCallIndexConfig({ CALL_INDEX_URL: 'postgres://sentinel@db.internal:5432/calls' });
+  const memory = resolveCallIndexConfig({ CALL_INDEX_URL: 'sqlite::memory:' });
+  let unconfigured = null;
+  try {
+    resolveCallIndexConfig({});
+  } catch (error) {
+    unconfigured = error.code;
+  }
+  const disabled = await withTestIndex({ CALL_INDEX: undefined, CALL_INDEX_URL: undefined }, async () =>
+    !isCallIndexEnabled() && await indexCallMetadata(VOICEMAILS[0]) === null && await rejectsWith(() => queryCalls(), 'CALL_INDEX_DISABLED'));
+  if (sqlite.dialect === 'sqlite' && sqlite.filename === path.resolve('data/call-index.db') &&
+      postgres.dialect === 'postgres' && memory.filename === ':memory:' &&
+      unconfigured === 'CALL_INDEX_DISABLED' && disabled) {
+    console.log('✅ PASS - Off unless CALL_INDEX_URL is set; SQLite files and Postgres for postgres:// URLs');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Config:', { sqlite, postgres, memory, unconfigured, disabled });
+  }
+
+  const record = buildCallRecord(VOICEMAILS[0], { metadataKey: 'metadata/CA-index-1.json' });
+  if (record.channel === 'voicemail' && record.company === 'Amazon' && record.scamType === 'it_support' &&
+      record.confidence === 81 && record.callbackNumber === '+18885550142' && record.isScam === 1 &&
+      record.engagementOutcome === 'detected' && record.occurredAt === new Date(VOICEMAILS[0].timestamp).getTime()) {
+    console.log('✅ PASS - Voicemail records use the ensemble verdict and the canonical company');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Voicemail record:', record);
+  }
+
+  const text = buildCallRecord(TEXT_MESSAGE);
+  const benign = buildCallRecord(VOICEMAILS[2]);
+  if (text.callSid === 'SM-index-1' && text.channel === 'sms' && text.company === 'USPS' &&
+      benign.isScam === 0 && benign.engagementOutcome === 'not_scam' && benign.company === null) {
+    console.log('✅ PASS - Text messages and non-scams are recorded');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Text or non-scam record:', text, benign);
+  }
+
+  const invalid = await rejectsWith(() => resolveCallQuery({ outcome: 'hung_up' }), 'INVALID_CALL_QUERY') &&
+    await rejectsWith(() => resolveCallQuery({ minConfidence: 150 }), 'INVALID_CALL_QUERY') &&
+    await rejectsWith(() => resolveCallQuery({ since: 'yesterday' }), 'INVALID_CALL_QUERY') &&
+    await rejectsWith(() => resolveCallQuery({ limit: 500 }), 'INVALID_CALL_QUERY') &&
+    await rejectsWith(() => resolveCallQuery({ cursor: 'not-a-cursor' }), 'INVALID_CALL_QUERY');
+  if (invalid) {
+    console.log('✅ PASS - Invalid filters and cursors are rejected');
+    passed++;
+  } else {
+    console.log('❌ FAIL - An invalid query was accepted');
+  }
+
+  console.log(`\n📊 Call Records Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test filtering and cursor pagination
+ */
+async function testQueries() {
+  console.log('\n🔍 Testing Call Queries');
+  console.log('-'.repeat(40));
+
+  let passed = 0;
+  const total = 5;
+
+  await withTestIndex({}, async () => {
+    for (const metadata of [...VOICEMAILS, TEXT_MESSAGE]) {
+      await indexCallMetadata(metadata, { metadataKey: `metadata/${metadata.callSid || metadata.messageSid}.json` });
+    }
+
+    const all = await queryCalls();
+    const recent = await queryCalls({ since: '24h' });
+    const older = await queryCalls({ until: '24h' });
+    if (all.calls.map(call => call.callSid).join(',') === 'CA-index-1,SM-index-1,CA-index-2,CA-index-3,CA-index-4' &&
+        recent.calls.length === 3 && older.calls.length === 2 && all.nextCursor === null) {
+      console.log('✅ PASS - Calls are returned newest first and filtered by date range');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Date range:', all.calls.map(call => call.callSid), recent.calls.length, older.calls.length);
+    }
+
+    const crypto = await queryCalls({ scamType: 'crypto_exchange' });
+    const amazon = await queryCalls({ company: 'amazon prime' });
+    const confident = await queryCalls({ minConfidence: 85 });
+    const band = await queryCalls({ minConfidence: 75, maxConfidence: 85 });
+    if (crypto.calls.map(call => call.callSid).join() === 'CA-index-2' && amazon.calls.map(call => call.callSid).join() === 'CA-index-1' &&
+        confident.calls.map(call => call.callSid).join() === 'CA-index-2,CA-index-4' &&
+        band.calls.map(call => call.callSid).join() === 'CA-index-1,SM-index-1') {
+      console.log('✅ PASS - Scam type, company aliases and confidence bounds filter the results');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Filters:', { crypto, amazon, confident, band });
+    }
+
+    const texts = await queryCalls({ channel: 'sms' });
+    const nonScams = await queryCalls({ scam: 'false' });
+    const detected = await queryCalls({ outcome: 'detected', channel: 'voicemail' });
+    if (texts.calls.map(call => call.callSid).join() === 'SM-index-1' && nonScams.calls.map(call => call.callSid).join() === 'CA-index-3' &&
+        detected.calls.length === 3) {
+      console.log('✅ PASS - Channel, verdict and outcome filters combine');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Channel or outcome filters:', { texts, nonScams, detected });
+    }
+
+    const seen = [];
+    let cursor;
+    let pages = 0;
+    do {
+      const page = await queryCalls({ limit: 2, cursor });
+      seen.push(...page.calls.map(call => call.callSid));
+      cursor = page.nextCursor;
+      pages++;
+    } while (cursor && pages < 10);
+    if (pages === 3 && seen.join(',') === all.calls.map(call => call.callSid).join(',')) {
+      console.log('✅ PASS - Cursor pagination walks every call once, in order');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Pagination:', { pages, seen });
+    }
+
+    const [summary] = (await queryCalls({ limit: 1 })).calls;
+    const [full] = (await queryCalls({ limit: 1 }, { includeMetadata: true })).calls;
+    if (!summary.callerNumber.includes('5550101') && summary.metadata === undefined &&
+        full.metadata.callSid === 'CA-index-1' && full.metadata.callerNumber === '+14155550101') {
+      console.log('✅ PASS - Numbers are redacted and the stored metadata is returned on request');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Summary shape:', summary, full);
+    }
+  });
+
+  console.log(`\n📊 Call Queries Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test the order-independent transcript/metadata writes and the agent callback outcomes
+ */
+async function testOutcomes() {
+  console.log('\n📞 Testing Engagement Outcomes');
+  console.log('-'.repeat(40));
+
+  let passed = 0;
+  const total = 4;
+
+  await withTestIndex({}, async () => {
+    const [voicemail] = VOICEMAILS;
+    await indexTranscription(voicemail.callSid, voicemail.recordingSid, 'transcriptions/CA-index-1/RE-index-1.txt');
+    const pending = (await queryCalls({ outcome: 'pending' }, { includeMetadata: true })).calls;
+    await indexCallMetadata(voicemail);
+    const [detected] = (await queryCalls()).calls;
+    if (pending.length === 1 && pending[0].hasTranscript && pending[0].metadata === null &&
+        detected.engagementOutcome === 'detected' && detected.hasTranscript && detected.company === 'Amazon') {
+      console.log('✅ PASS - A transcript stored before its analysis is indexed as pending, then detected');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Transcript then metadata:', pending, detected);
+    }
+
+    await recordCallOutcome(voicemail.callSid, 'agent_called', { agentCallId: 'vapi-call-1' });
+    await recordCallOutcome(voicemail.callSid, 'engaged', { engagementSeconds: 245 });
+    await recordCallOutcome(voicemail.callSid, 'agent_called', { agentCallId: 'vapi-call-1' });
+    const [engaged] = (await queryCalls({ outcome: 'engaged' })).calls;
+    if (engaged && engaged.agentCallId === 'vapi-call-1' && engaged.engagementSeconds === 245) {
+      console.log('✅ PASS - Callbacks move to agent_called then engaged, and a late event does not undo it');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Engagement outcome:', engaged);
+    }
+
+    await indexCallMetadata({ ...voicemail, scamAnalysis: { ...voicemail.scamAnalysis, confidence: 99, ensemble: undefined } });
+    const [reindexed] = (await queryCalls()).calls;
+    if (reindexed.engagementOutcome === 'engaged' && reindexed.confidence === 99 && reindexed.hasTranscript) {
+      console.log('✅ PASS - Re-indexing metadata keeps the outcome and transcript');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Re-indexed call:', reindexed);
+    }
+
+    await indexCallMetadata(VOICEMAILS[1]);
+    await recordCallOutcome(VOICEMAILS[1].callSid, 'blocked');
+    const unknown = await recordCallOutcome('CA-not-indexed', 'failed');
+    const invalid = await rejectsWith(() => recordCallOutcome(voicemail.callSid, 'detected'), undefined);
+    const blocked = (await queryCalls({ outcome: 'blocked' })).calls;
+    if (blocked.map(call => call.callSid).join() === 'CA-index-2' && unknown === false && invalid) {
+      console.log('✅ PASS - Blocked callbacks are recorded; unknown calls and outcomes are not');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Blocked or unknown outcome:', { blocked, unknown, invalid });
+    }
+  });
+
+  console.log(`\n📊 Engagement Outcomes Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test write-through from the storage service and the backfill of an existing archive
+ */
+async function testStorageIntegration() {
+  console.log('\n🔁 Testing Storage Write-Through and Backfill');
+  console.log('-'.repeat(40));
+
+  let passed = 0;
+  const total = 3;
+  const localDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sipsentinel-call-index-'));
+  const env = { STORAGE_BACKEND: 'local', STORAGE_LOCAL_DIR: localDir, EVIDENCE_HASHING: 'false' };
+
+  try {
+    await withTestIndex(env, async () => {
+      const storageService = require('../../src/s3-storage-service');
+      await storageService.storeTranscription('CA-stored-1', 'RE-stored-1', 'Your Coinbase account is locked.');
+      await storageService.storeCallMetadata('CA-stored-1', {
+        recordingSid: 'RE-stored-1',
+        scamAnalysis: { isScam: true, impersonatedCompany: 'Coinbase', scamType: 'crypto_exchange', confidence: 90 }
+      });
+      const [stored] = (await queryCalls({ company: 'Coinbase' })).calls;
+      if (stored && stored.callSid === 'CA-stored-1' && stored.hasTranscript && stored.engagementOutcome === 'detected') {
+        console.log('✅ PASS - Storing metadata and transcriptions writes through to the index');
+        passed++;
+      } else {
+        console.log('❌ FAIL - Write-through:', stored);
+      }
+    });
+
+    // An archive written before the index existed
+    const storage = createStorageBackend(resolveStorageConfig(env));
+    for (const metadata of VOICEMAILS) {
+      await storage.put(`metadata/${metadata.callSid}.json`, JSON.stringify(metadata));
+      await storage.put(`transcriptions/${metadata.callSid}/${metadata.recordingSid}.txt`, 'transcript');
+    }
+    await storage.put('metadata/CA-corrupt.json', '{not json');
+
+    await withTestIndex(env, async () => {
+      const stats = await backfillCallIndex({}, storage);
+      const { calls } = await queryCalls({}, { includeMetadata: true });
+      const archived = calls.filter(call => call.callSid.startsWith('CA-index-'));
+      if (stats.metadata === 5 && stats.transcripts === 5 && stats.failed.map(failure => failure.key).join() === 'metadata/CA-corrupt.json' &&
+          calls.length === 5 && archived.length === 4 && archived.every(call => call.hasTranscript && call.metadata)) {
+        console.log('✅ PASS - Backfill indexes the archive and reports unreadable objects');
+        passed++;
+      } else {
+        console.log('❌ FAIL - Backfill:', stats, calls.map(call => call.callSid));
+      }
+
+      const again = await backfillCallIndex({}, storage);
+      if (again.metadata === 5 && (await queryCalls()).calls.length === 5) {
+        console.log('✅ PASS - Re-running the backfill does not duplicate calls');
+        passed++;
+      } else {
+        console.log('❌ FAIL - Second backfill:', again);
+      }
+    });
+  } finally {
+    fs.rmSync(localDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Storage Integration Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Run all call index tests
+ */
+async function runCallIndexTests() {
+  console.log('🧪 SIPSentinel Call Index Tests\n');
+  console.log('=' .repeat(60));
+
+  const results = {
+    records: await testRecords(),
+    queries: await testQueries(),
+    outcomes: await testOutcomes(),
+    storage: await testStorageIntegration()
+  };
+
+  console.log('=' .repeat(60));
+  console.log('📊 Final Results:');
+  console.log(`   Call Records: ${results.records ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Call Queries: ${results.queries ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Engagement Outcomes: ${results.outcomes ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Storage Write-Through and Backfill: ${results.storage ? '✅ PASS' : '❌ FAIL'}`);
+
+  const allPassed = Object.values(results).every(result => result);
+  console.log(`\n🎯 Overall: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runCallIndexTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('💥 Test runner crashed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runCallIndexTests,
+  testRecords,
+  testQueries,
+  testOutcomes,
+  testStorageIntegration
+};
@@ -0,0 +1,319 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for callback-number extraction (digits, spoken, vanity, international)
+ */
+
+const http = require('http');
+const { extractCallbackNumbers, selectCallbackTarget } = require('../../src/callback-extractor');
+
+const SMS_ANALYSIS = {
+  isScam: true,
+  impersonatedCompany: 'Coinbase',
+  callbackMethod: { type: 'phone_number', details: '+18885550163' },
+  phoneNumber: '+18885550163',
+  scamType: 'crypto_exchange',
+  confidence: 95,
+  reasoning: 'Impersonates Coinbase and asks for a callback'
+};
+
+/**
+ * Test extraction of the different number formats
+ */
+async function testNumberFormats() {
+  console.log('🔢 Testing Number Formats...\n');
+
+  const testCases = [
+    {
+      name: 'Formatted US number',
+      text: 'Please call us back at (888) 555-0142 to verify your identity.',
+      expected: '+18885550142',
+      method: 'formatted'
+    },
+    {
+      name: 'Spoken digits with "oh" and "double"',
+      text: 'call us at eight seven seven five five five oh one double two',
+      expected: '+18775550122',
+      method: 'spoken'
+    },
+    {
+      name: 'Spoken "eight hundred"',
+      text: 'dial one eight hundred five five five zero one four two',
+      expected: '+18005550142',
+      method: 'spoken'
+    },
+    {
+      name: 'Stray number words before a spoken number are trimmed',
+      text: 'one of our agents can help, eight seven seven, five five five, zero one nine nine',
+      expected: '+18775550199',
+      method: 'spoken'
+    },
+    {
+      name: 'Vanity number',
+      text: 'Call our support line at 1-800-FLOWERS right away.',
+      expected: '+18003569377',
+      method: 'vanity'
+    },
+    {
+      name: 'International number with extension',
+      text: 'Please call +44 20 7946 0958 ext. 204 to unblock your card.',
+      expected: '+442079460958',
+      method: 'international',
+      extension: '204'
+    },
+    {
+      name: 'US international dialing prefix',
+      text: 'dial 011 91 98765 43210',
+      expected: '+919876543210',
+      method: 'international'
+    }
+  ];
+
+  let passed = 0;
+
+  for (const testCase of testCases) {
+    const [top] = extractCallbackNumbers(testCase.text);
+    const ok = top && top.e164 === testCase.expected && top.method === testCase.method &&
+      (testCase.extension === undefined || top.extension === testCase.extension) &&
+      testCase.text.slice(top.start, top.end) === top.raw;
+    if (ok) {
+      console.log(`✅ PASS - ${testCase.name}: ${top.e164} (confidence ${top.confidence})`);
+      passed++;
+    } else {
+      console.log(`❌ FAIL - ${testCase.name}: expected ${testCase.expected}, got`, top);
+    }
+  }
+
+  console.log(`\n📊 Number Format Results: ${passed}/${testCases.length} tests passed\n`);
+  return passed === testCases.length;
+}
+
+/**
+ * Test things that must not be extracted
+ */
+async function testNonNumbers() {
+  console.log('🚫 Testing Non-Numbers...\n');
+
+  const testCases = [
+    { name: 'Verification code', text: 'Your verification code is 482913.' },
+    { name: 'Dates and amounts', text: 'On 10/19/2026 a wire of $2,400 was sent.' },
+    { name: 'Press-key prompt', text: 'Press 1 to speak with an officer.' },
+    { name: 'Short spoken numbers', text: 'nine one one' },
+    { name: 'Invalid North American area code', text: 'call 123-456-7890' }
+  ];
+
+  let passed = 0;
+
+  for (const testCase of testCases) {
+    const candidates = extractCallbackNumbers(testCase.text);
+    if (candidates.length === 0) {
+      console.log(`✅ PASS - ${testCase.name}`);
+      passed++;
+    } else {
+      console.log(`❌ FAIL - ${testCase.name}:`, candidates);
+    }
+  }
+
+  console.log(`\n📊 Non-Number Results: ${passed}/${testCases.length} tests passed\n`);
+  return passed === testCases.length;
+}
+
+/**
+ * Test ranking, exclusions and target selection
+ */
+async function testRanking() {
+  console.log('🏆 Testing Ranking...\n');
+
+  let passed = 0;
+  const total = 4;
+
+  const repeated = extractCallbackNumbers('Our office is 415-555-0100. To restore access call 833-555-0107, again that is 833 555 0107.');
+  if (repeated.length === 2 && repeated[0].e164 === '+18335550107' && repeated[0].occurrences === 2 &&
+      repeated[1].e164 === '+14155550100') {
+    console.log('✅ PASS - Repeated, cued numbers rank first and alternatives are kept');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Repeated numbers:', repeated);
+  }
+
+  const withLlm = extractCallbackNumbers('call 415-555-0100 or 833-555-0107', { llmNumber: '(833) 555-0107' });
+  if (withLlm[0].e164 === '+18335550107' && withLlm[0].confidence > withLlm[1].confidence) {
+    console.log('✅ PASS - LLM agreement breaks ties');
+    passed++;
+  } else {
+    console.log('❌ FAIL - LLM agreement:', withLlm);
+  }
+
+  const excluded = extractCallbackNumbers('call 833-555-0107', { excludeNumbers: ['+18335550107'] });
+  if (excluded.length === 0) {
+    console.log('✅ PASS - Excluded numbers (our own line) are never returned');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Excluded number returned:', excluded);
+  }
+
+  const fallback = selectCallbackTarget({ text: 'Press 1 to claim your prize', fallbackNumber: '5550107788' });
+  const extracted = selectCallbackTarget({ text: 'call 833-555-0107', fallbackNumber: '+15550107788' });
+  if (fallback.number === '+15550107788' && fallback.source === 'fallback' &&
+      extracted.number === '+18335550107' && extracted.source === 'extracted') {
+    console.log('✅ PASS - Falls back to the caller only when nothing is extracted');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Target selection:', fallback, extracted);
+  }
+
+  console.log(`\n📊 Ranking Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Load a fresh copy of the Express app whose VAPI client records the calls it is asked to create
+ */
+function loadAppWithFakeVapi(createdCalls) {
+  const sdk = require('@vapi-ai/server-sdk');
+  const original = Object.getOwnPropertyDescriptor(sdk, 'VapiClient');
+  Object.defineProperty(sdk, 'VapiClient', {
+    configurable: true,
+    value: class FakeVapiClient {
+      constructor() {
+        this.assistants = { list: async () => [] };
+        this.phoneNumbers = { list: async () => [{ id: 'pn-test', number: '+14155550100', provider: 'vapi', status: 'active' }] };
+        this.calls = {
+          create: async params => {
+            createdCalls.push(params);
+            return { id: `call-test-${createdCalls.length}`, ...params };
+          }
+        };
+      }
+    }
+  });
+
+  const fresh = ['../../src/index', '../../src/vapi-service'].map(modulePath => require.resolve(modulePath));
+  fresh.forEach(modulePath => delete require.cache[modulePath]);
+  const app = require('../../src/index');
+  return {
+    app,
+    restore() {
+      fresh.forEach(modulePath => delete require.cache[modulePath]);
+      Object.defineProperty(sdk, 'VapiClient', original);
+    }
+  };
+}
+
+/**
+ * Test that the SMS handler calls back the number in the text and records the sender
+ */
+async function testSmsCallback() {
+  console.log('💬 Testing SMS Callback...\n');
+
+  let passed = 0;
+  const total = 2;
+
+  const llmServer = http.createServer((req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ message: { content: JSON.stringify(SMS_ANALYSIS) } }));
+  });
+  await new Promise(resolve => llmServer.listen(0, '127.0.0.1', resolve));
+
+  const overrides = {
+    VERCEL: '1',
+    VAPI_API_KEY: 'test-key',
+    LLM_PROVIDERS: 'ollama',
+    LLM_OLLAMA_BASE_URL: `http://127.0.0.1:${llmServer.address().port}`,
+    TWILIO_ACCOUNT_SID: process.env.TWILIO_ACCOUNT_SID || 'AC00000000000000000000000000000000',
+    TWILIO_AUTH_TOKEN: process.env.TWILIO_AUTH_TOKEN || 'test-token'
+  };
+  const savedEnv = Object.fromEntries(Object.keys(overrides).map(name => [name, process.env[name]]));
+  Object.assign(process.env, overrides);
+
+  const createdCalls = [];
+  const { app, restore } = loadAppWithFakeVapi(createdCalls);
+  const server = app.listen(0, '127.0.0.1');
+  try {
+    await new Promise(resolve => server.once('listening', resolve));
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/sms`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        From: '+15125550177',
+        MessageSid: 'SMcallbacktest',
+        Body: 'Coinbase alert: a withdrawal of 2.3 BTC is pending. Call Coinbase support at 888-555-0163 now to cancel it.'
+      }).toString()
+    });
+    const reply = await response.text();
+    const [call] = createdCalls;
+
+    if (response.status === 200 && createdCalls.length === 1 && call.customer.number === '+18885550163' &&
+        reply.includes('We will process your request')) {
+      console.log('✅ PASS - The agent calls the number given in the text, not the sender');
+      passed++;
+    } else {
+      console.log('❌ FAIL - SMS callback:', response.status, reply, createdCalls);
+    }
+
+    if (call && call.metadata.originalCaller === '+15125550177' && call.metadata.originalCallSid === null) {
+      console.log('✅ PASS - The SMS sender is recorded as the original caller in the call metadata');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Call metadata:', call?.metadata);
+    }
+  } finally {
+    server.close();
+    llmServer.close();
+    restore();
+    Object.entries(savedEnv).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  }
+
+  console.log(`\n📊 SMS Callback Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Run all callback extractor tests
+ */
+async function runCallbackExtractorTests() {
+  console.log('🧪 Running Callback Extractor Unit Tests...\n');
+  console.log('=' .repeat(60));
+
+  const results = {
+    formats: await testNumberFormats(),
+    nonNumbers: await testNonNumbers(),
+    ranking: await testRanking(),
+    smsCallback: await testSmsCallback()
+  };
+
+  console.log('=' .repeat(60));
+  console.log('📊 Final Results:');
+  console.log(`   Number Formats: ${results.formats ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Non-Numbers: ${results.nonNumbers ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Ranking: ${results.ranking ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   SMS Callback: ${results.smsCallback ? '✅ PASS' : '❌ FAIL'}`);
+
+  const allPassed = Object.values(results).every(result => result);
+  console.log(`\n🎯 Overall: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runCallbackExtractorTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('💥 Test runner crashed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runCallbackExtractorTests,
+  testNumberFormats,
+  testNonNumbers,
+  testRanking,
+  testSmsCallback
+};
@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for per-number callback rate limiting and deduplication
+ */
+
+const {
+  getLimiterKey,
+  acquireCallbackSlot,
+  releaseCallbackSlot,
+  runRateLimitedCallback,
+  getEngagement,
+  getCallbackLimits,
+  SUPPRESSION_REASONS
+} = require('../../src/callback-rate-limiter');
+
+let numberSequence = 100;
+
+// Each test uses its own number so limiter state does not leak between tests
+function nextNumber() {
+  numberSequence++;
+  return `(888) 555-0${numberSequence}`;
+}
+
+/**
+ * Test key normalization
+ */
+async function testLimiterKeys() {
+  console.log('🔑 Testing Limiter Keys...\n');
+
+  let passed = 0;
+  const total = 2;
+
+  if (getLimiterKey('(888) 555-0142', 'Coin Base') === getLimiterKey('+1 888 555 0142', 'coinbase') &&
+      getLimiterKey('888.555.0142', 'Coinbase') === '+18885550142:coinbase') {
+    console.log('✅ PASS - Number formats and company spellings share one key');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Keys:', getLimiterKey('(888) 555-0142', 'Coin Base'), getLimiterKey('+1 888 555 0142', 'coinbase'));
+  }
+
+  if (getLimiterKey('8885550142', 'Coinbase') !== getLimiterKey('8885550142', 'Microsoft') &&
+      getLimiterKey('8885550142').endsWith(':unknown')) {
+    console.log('✅ PASS - Different companies on one number are limited separately');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Company separation');
+  }
+
+  console.log(`\n📊 Limiter Key Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test cooldown deduplication and linking to the original engagement
+ */
+async function testCooldown() {
+  console.log('⏳ Testing Cooldown...\n');
+
+  let passed = 0;
+  const total = 2;
+  const limits = { cooldownSeconds: 600, maxConcurrent: 0, dailyBudget: 0 };
+  const phoneNumber = nextNumber();
+
+  const first = await acquireCallbackSlot({ phoneNumber, company: 'Coinbase', originalCallSid: 'CA1' }, limits);
+  const second = await acquireCallbackSlot({ phoneNumber, company: 'coin base', originalCallSid: 'CA2' }, limits);
+  const third = await acquireCallbackSlot({ phoneNumber, company: 'Coinbase', originalCallSid: 'CA3' }, limits);
+
+  if (first.allowed && !second.allowed && second.reason === SUPPRESSION_REASONS.COOLDOWN &&
+      second.engagementId === first.engagementId && third.engagementId === first.engagementId) {
+    console.log('✅ PASS - Repeat triggers within the cooldown are suppressed');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Cooldown:', first, second, third);
+  }
+
+  const engagement = await getEngagement(first.engagementId);
+  if (engagement && engagement.suppressedCount === 2 &&
+      engagement.linkedTriggers.map(trigger => trigger.originalCallSid).join(',') === 'CA2,CA3' &&
+      engagement.originalCallSid === 'CA1') {
+    console.log('✅ PASS - Suppressed triggers are linked to the original engagement');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Linked triggers:', engagement);
+  }
+
+  console.log(`\n📊 Cooldown Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test the concurrency limit and daily budget
+ */
+async function testConcurrencyAndBudget() {
+  console.log('📈 Testing Concurrency and Daily Budget...\n');
+
+  let passed = 0;
+  const total = 4;
+
+  const concurrencyLimits = { cooldownSeconds: 0, maxConcurrent: 1, dailyBudget: 0 };
+  const busyNumber = nextNumber();
+  const running = await acquireCallbackSlot({ phoneNumber: busyNumber, company: 'Kraken' }, concurrencyLimits);
+  const blocked = await acquireCallbackSlot({ phoneNumber: busyNumber, company: 'Kraken' }, concurrencyLimits);
+  await releaseCallbackSlot(running.engagementId);
+  const afterRelease = await acquireCallbackSlot({ phoneNumber: busyNumber, company: 'Kraken' }, concurrencyLimits);
+
+  if (running.allowed && !blocked.allowed && blocked.reason === SUPPRESSION_REASONS.CONCURRENCY &&
+      blocked.engagementId === running.engagementId && afterRelease.allowed) {
+    console.log('✅ PASS - Only one agent call runs against a number at a time');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Concurrency:', running, blocked, afterRelease);
+  }
+
+  if (await releaseCallbackSlot(afterRelease.engagementId) && !(await releaseCallbackSlot(afterRelease.engagementId))) {
+    console.log('✅ PASS - Releasing twice (call.ended + end-of-call-report) is harmless');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Double release');
+  }
+
+  // A call whose end webhook never arrives stops holding the slot an hour after it started
+  const staleNumber = nextNumber();
+  const realNow = Date.now;
+  let stale, stillBusy, afterTimeout;
+  try {
+    const startedAt = realNow();
+    Date.now = () => startedAt;
+    stale = await acquireCallbackSlot({ phoneNumber: staleNumber, company: 'Kraken' }, concurrencyLimits);
+    Date.now = () => startedAt + 59 * 60 * 1000;
+    stillBusy = await acquireCallbackSlot({ phoneNumber: staleNumber, company: 'Kraken' }, concurrencyLimits);
+    Date.now = () => startedAt + 61 * 60 * 1000;
+    afterTimeout = await acquireCallbackSlot({ phoneNumber: staleNumber, company: 'Kraken' }, concurrencyLimits);
+  } finally {
+    Date.now = realNow;
+  }
+  if (stale.allowed && !stillBusy.allowed && stillBusy.reason === SUPPRESSION_REASONS.CONCURRENCY && afterTimeout.allowed) {
+    console.log('✅ PASS - Calls without an end webhook stop counting an hour after they started');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Stale active call:', stale, stillBusy, afterTimeout);
+  }
+
+  const budgetLimits = { cooldownSeconds: 0, maxConcurrent: 0, dailyBudget: 2 };
+  const budgetNumber = nextNumber();
+  const outcomes = [];
+  for (let i = 0; i < 3; i++) {
+    outcomes.push(await acquireCallbackSlot({ phoneNumber: budgetNumber, company: 'Microsoft' }, budgetLimits));
+  }
+  if (outcomes[0].allowed && outcomes[1].allowed && !outcomes[2].allowed &&
+      outcomes[2].reason === SUPPRESSION_REASONS.DAILY_BUDGET && outcomes[2].engagementId === outcomes[1].engagementId) {
+    console.log('✅ PASS - Daily budget caps calls per number');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Daily budget:', outcomes);
+  }
+
+  console.log(`\n📊 Concurrency and Budget Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test the call wrapper used by the SMS, voicemail and queue paths
+ */
+async function testRateLimitedCallback() {
+  console.log('📞 Testing Rate-Limited Callback...\n');
+
+  let passed = 0;
+  const total = 3;
+  const phoneNumber = nextNumber();
+  const placed = [];
+  const placeCall = async engagementId => {
+    placed.push(engagementId);
+    return { call: { id: `call-${placed.length}` } };
+  };
+
+  const first = await runRateLimitedCallback({ phoneNumber, company: 'Coinbase', originalCallSid: 'SM1' }, placeCall);
+  const duplicate = await runRateLimitedCallback({ phoneNumber, company: 'Coinbase', originalCallSid: 'SM2' }, placeCall);
+  const engagement = await getEngagement(first.engagementId);
+
+  if (!first.suppressed && duplicate.suppressed && placed.length === 1 && placed[0] === first.engagementId &&
+      engagement.callId === 'call-1' && duplicate.engagementId === first.engagementId) {
+    console.log('✅ PASS - Duplicate voicemails place one call and the call is recorded on the engagement');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Wrapper:', first, duplicate, engagement);
+  }
+
+  // A call that fails to be placed frees the cooldown and budget for the next trigger
+  const failingNumber = nextNumber();
+  let threw = false;
+  try {
+    await runRateLimitedCallback({ phoneNumber: failingNumber }, async () => {
+      throw new Error('VAPI unavailable');
+    });
+  } catch (error) {
+    threw = error.message === 'VAPI unavailable';
+  }
+  const retry = await runRateLimitedCallback({ phoneNumber: failingNumber }, placeCall);
+  if (threw && !retry.suppressed) {
+    console.log('✅ PASS - Failed calls release their slot and rethrow');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Failed call handling:', threw, retry);
+  }
+
+  const limits = getCallbackLimits();
+  if (limits.cooldownSeconds === 900 && limits.maxConcurrent === 1 && limits.dailyBudget === 5) {
+    console.log('✅ PASS - Defaults: 15 minute cooldown, 1 concurrent call, 5 calls a day');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Default limits:', limits);
+  }
+
+  console.log(`\n📊 Rate-Limited Callback Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Run all callback rate limiter tests
+ */
+async function runCallbackRateLimiterTests() {
+  console.log('🧪 Running Callback Rate Limiter Unit Tests...\n');
+  console.log('=' .repeat(60));
+
+  // Limiter state uses the in-memory store in tests
+  const savedRedisUrl = process.env.UPSTASH_REDIS_URL;
+  const savedLimits = ['CALLBACK_COOLDOWN_SECONDS', 'CALLBACK_MAX_CONCURRENT', 'CALLBACK_DAILY_BUDGET']
+    .map(name => [name, process.env[name]]);
+  delete process.env.UPSTASH_REDIS_URL;
+  savedLimits.forEach(([name]) => delete process.env[name]);
+
+  let results;
+  try {
+    results = {
+      keys: await testLimiterKeys(),
+      cooldown: await testCooldown(),
+      concurrency: await testConcurrencyAndBudget(),
+      wrapper: await testRateLimitedCallback()
+    };
+  } finally {
+    if (savedRedisUrl !== undefined) process.env.UPSTASH_REDIS_URL = savedRedisUrl;
+    savedLimits.forEach(([name, value]) => {
+      if (value !== undefined) process.env[name] = value;
+    });
+  }
+
+  console.log('=' .repeat(60));
+  console.log('📊 Final Results:');
+  console.log(`   Limiter Keys: ${results.keys ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Cooldown: ${results.cooldown ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Concurrency and Budget: ${results.concurrency ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Rate-Limited Callback: ${results.wrapper ? '✅ PASS' : '❌ FAIL'}`);
+
+  const allPassed = Object.values(results).every(result => result);
+  console.log(`\n🎯 Overall: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runCallbackRateLimiterTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('💥 Test runner crashed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runCallbackRateLimiterTests,
+  testLimiterKeys,
+  testCooldown,
+  testConcurrencyAndBudget,
+  testRateLimitedCallback
+};
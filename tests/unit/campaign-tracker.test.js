@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for scam campaign clustering
+ */
+
+const {
+  recordCampaignMessage,
+  getCampaign,
+  listCampaigns,
+  computeSignature,
+  estimateSimilarity
+} = require('../../src/campaign-tracker');
+const { analyzeUrls } = require('../../src/url-analyzer');
+
+const KRAKEN_SCRIPT = 'Hi, this is Kraken security. We detected a suspicious withdrawal of {amount} dollars from your account. Please call us back immediately at {number} to verify your identity.';
+
+/**
+ * Test the script similarity estimate
+ */
+function testSimilarity() {
+  console.log('🧬 Testing Script Similarity...\n');
+
+  const testCases = [
+    {
+      name: 'Same script with a different number and amount',
+      a: KRAKEN_SCRIPT.replace('{amount}', '950').replace('{number}', '888-555-0142'),
+      b: KRAKEN_SCRIPT.replace('{amount}', '1,200').replace('{number}', '(877) 555-0111'),
+      min: 0.9
+    },
+    {
+      name: 'Transcription variant (a few words differ)',
+      a: KRAKEN_SCRIPT.replace('{amount}', '950').replace('{number}', '888-555-0142'),
+      b: 'Hi this is Kraken security we detected a suspicious withdrawal of 950 dollars from your account please call us back right away at 888 555 0142 to verify your identity',
+      min: 0.5
+    },
+    {
+      name: 'Unrelated scripts',
+      a: KRAKEN_SCRIPT.replace('{amount}', '950').replace('{number}', '888-555-0142'),
+      b: 'Your USPS package could not be delivered due to an incomplete address. Update it within 24 hours.',
+      max: 0.1
+    },
+    {
+      name: 'Mandarin scripts are compared by character',
+      a: '您好，这里是中国大使馆。您的护照涉及一起案件，请立即回电 866-555-0177。',
+      b: '您好，这里是中国大使馆。您的护照涉及一起案件，请立即回电 833-555-0100。',
+      min: 0.9
+    }
+  ];
+
+  let passed = 0;
+  for (const testCase of testCases) {
+    const similarity = estimateSimilarity(computeSignature(testCase.a), computeSignature(testCase.b));
+    const ok = (testCase.min === undefined || similarity >= testCase.min) && (testCase.max === undefined || similarity <= testCase.max);
+    if (ok) {
+      console.log(`✅ PASS - ${testCase.name} (${similarity.toFixed(2)})`);
+      passed++;
+    } else {
+      console.log(`❌ FAIL - ${testCase.name}: similarity ${similarity.toFixed(2)}`);
+    }
+  }
+
+  if (computeSignature('') === null && computeSignature('123 456') !== null) {
+    console.log('✅ PASS - Empty text has no signature');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Empty text signature');
+  }
+
+  const total = testCases.length + 1;
+  console.log(`\n📊 Script Similarity Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test grouping messages into campaigns
+ */
+async function testClustering() {
+  console.log('🧩 Testing Campaign Clustering...\n');
+
+  let passed = 0;
+  const total = 6;
+  const scamAnalysis = { impersonatedCompany: 'Kraken', scamType: 'crypto_exchange' };
+
+  // Forty robocalls: rotating caller IDs and callback numbers, one script
+  const results = [];
+  for (let i = 0; i < 40; i++) {
+    const number = `888-555-01${String(i % 4).padStart(2, '0')}`;
+    results.push(await recordCampaignMessage({
+      id: `CA-kraken-${i}`,
+      channel: 'voicemail',
+      text: KRAKEN_SCRIPT.replace('{amount}', String(500 + i * 25)).replace('{number}', number),
+      callerNumber: `+1415555${String(1000 + i)}`,
+      scamAnalysis
+    }));
+  }
+  const campaignIds = new Set(results.map(result => result.campaignId));
+  if (campaignIds.size === 1 && results[39].messageCount === 40 && results[0].isNew && !results[1].isNew) {
+    console.log('✅ PASS - Forty voicemails from forty caller IDs form one campaign');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Kraken campaign:', campaignIds.size, results[39]);
+  }
+
+  const krakenId = results[0].campaignId;
+  const byCallback = await recordCampaignMessage({
+    id: 'SM-kraken-1',
+    channel: 'sms',
+    text: 'KRAKEN ALERT: withdrawal pending. Cancel: 888-555-0102',
+    callerNumber: '+14155559999'
+  });
+  if (byCallback.campaignId === krakenId && byCallback.matchedBy === 'callback_number') {
+    console.log('✅ PASS - A different script sharing a callback number joins the campaign');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Callback number match:', byCallback);
+  }
+
+  // Same script, another brand: a different operation reusing a template
+  const otherCompany = await recordCampaignMessage({
+    id: 'CA-coinbase-1',
+    channel: 'voicemail',
+    text: KRAKEN_SCRIPT.replace('Kraken', 'Coinbase').replace('{amount}', '700').replace('{number}', '877-555-0190'),
+    callerNumber: '+14155558888',
+    scamAnalysis: { impersonatedCompany: 'Coinbase', scamType: 'crypto_exchange' }
+  });
+  if (otherCompany.campaignId !== krakenId && otherCompany.isNew) {
+    console.log('✅ PASS - A similar script impersonating another company starts its own campaign');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Company conflict:', otherCompany);
+  }
+
+  // SMS linking the same lookalike domain with different wording
+  const smsA = 'USPS: your package is on hold. Update your address at hxxps://usps-redelivery[.]com/track';
+  const smsB = 'Final notice from the post office, confirm delivery details: https://usps-redelivery.com/a1';
+  const first = await recordCampaignMessage({ id: 'SM-usps-1', channel: 'sms', text: smsA, callerNumber: '+12025550101', urlAnalysis: analyzeUrls(smsA) });
+  const second = await recordCampaignMessage({ id: 'SM-usps-2', channel: 'sms', text: smsB, callerNumber: '+12025550102', urlAnalysis: analyzeUrls(smsB) });
+  if (first.campaignId === second.campaignId && second.matchedBy === 'domain') {
+    console.log('✅ PASS - Texts linking the same lookalike domain join one campaign');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Domain match:', first, second);
+  }
+
+  // Shorteners are shared by everyone and must not link unrelated texts
+  const shortA = 'Your Netflix payment failed, update billing: bit.ly/3xYz9';
+  const shortB = 'IRS notice: you owe back taxes, pay now at bit.ly/9QrT2';
+  const s1 = await recordCampaignMessage({ id: 'SM-short-1', channel: 'sms', text: shortA, urlAnalysis: analyzeUrls(shortA) });
+  const s2 = await recordCampaignMessage({ id: 'SM-short-2', channel: 'sms', text: shortB, urlAnalysis: analyzeUrls(shortB) });
+  if (s1.campaignId !== s2.campaignId) {
+    console.log('✅ PASS - Link shorteners do not merge unrelated campaigns');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Shortener merged campaigns');
+  }
+
+  const campaign = await getCampaign(krakenId);
+  if (campaign && campaign.messageCount === 41 && campaign.callerIdCount === 41 &&
+      campaign.callbackNumbers.length === 4 && campaign.channels.voicemail === 40 && campaign.channels.sms === 1 &&
+      campaign.volume.reduce((sum, day) => sum + day.count, 0) === 41 && !campaign.callerIds.some(id => id.includes('5551000'))) {
+    console.log('✅ PASS - Campaign tracks volume, channels, callback numbers and redacted caller IDs');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Campaign summary:', campaign && { messageCount: campaign.messageCount, callerIdCount: campaign.callerIdCount, callbackNumbers: campaign.callbackNumbers });
+  }
+
+  console.log(`\n📊 Campaign Clustering Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test listing campaigns for the API and dashboard
+ */
+async function testListing() {
+  console.log('📋 Testing Campaign Listing...\n');
+
+  let passed = 0;
+  const total = 2;
+
+  const { campaigns, total: campaignCount } = await listCampaigns({ limit: 10, minMessages: 2 });
+  if (campaigns.length === 2 && campaigns.every(campaign => campaign.messageCount >= 2) && campaignCount >= 5) {
+    console.log('✅ PASS - minMessages hides single messages');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Listing:', campaigns.map(campaign => campaign.messageCount), campaignCount);
+  }
+
+  const [latest] = (await listCampaigns({ limit: 1 })).campaigns;
+  if (latest && latest.signature === undefined && latest.messages === undefined && latest.sampleText) {
+    console.log('✅ PASS - Listing omits signatures and per-message detail');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Listing shape:', latest);
+  }
+
+  console.log(`\n📊 Campaign Listing Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Run all campaign tracker tests
+ */
+async function runCampaignTrackerTests() {
+  console.log('🧪 Running Campaign Tracker Unit Tests...\n');
+  console.log('=' .repeat(60));
+
+  // Campaigns use the in-memory store in tests
+  const savedRedisUrl = process.env.UPSTASH_REDIS_URL;
+  delete process.env.UPSTASH_REDIS_URL;
+
+  let results;
+  try {
+    results = {
+      similarity: testSimilarity(),
+      clustering: await testClustering(),
+      listing: await testListing()
+    };
+  } finally {
+    if (savedRedisUrl !== undefined) process.env.UPSTASH_REDIS_URL = savedRedisUrl;
+  }
+
+  console.log('=' .repeat(60));
+  console.log('📊 Final Results:');
+  console.log(`   Script Similarity: ${results.similarity ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Campaign Clustering: ${results.clustering ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Campaign Listing: ${results.listing ? '✅ PASS' : '❌ FAIL'}`);
+
+  const allPassed = Object.values(results).every(result => result);
+  console.log(`\n🎯 Overall: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runCampaignTrackerTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('💥 Test runner crashed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runCampaignTrackerTests,
+  testSimilarity,
+  testClustering,
+  testListing
+};
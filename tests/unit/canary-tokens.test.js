@@ -0,0 +1,339 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for canary credentials handed to scammers and their trip detection
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  addCanaries,
+  claimCanaries,
+  registerCanaries,
+  recordCanaryTrip,
+  getCanary,
+  listCallCanaries,
+  normalizeCanaryValue,
+  isCanaryWebhookAuthorized,
+  resetCanaries
+} = require('../../src/canary-tokens');
+const { generateFakeIdentity, formatIdentityPrompt, reviewTranscriptAgainstIdentity, isLuhnValid } = require('../../src/fake-identity');
+const { seededRandom } = require('../../src/agent-sync');
+const { getPersona } = require('../../src/persona-library');
+const { createAgentIdentity, buildPersonaAssistant, replaceIdentityPrompt } = require('../../src/vapi-service');
+const { createStorageBackend, resolveStorageConfig, resetStorage } = require('../../src/storage-backend');
+const { WEBHOOK_EVENTS, createTelegramMessage, createCanaryTrippedPayload } = require('../../src/webhook-service');
+
+/**
+ * Run a function with environment variables set, restoring them afterwards
+ */
+async function withEnv(overrides, fn) {
+  const saved = {};
+  for (const [name, value] of Object.entries(overrides)) {
+    saved[name] = process.env[name];
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  try {
+    return await fn();
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+}
+
+function sampleIdentity(seed) {
+  return generateFakeIdentity({
+    firstName: 'Karen',
+    lastName: 'Lopez',
+    gender: 'female',
+    city: 'Tampa, FL',
+    company: 'Kraken',
+    scamType: 'crypto_exchange'
+  }, { random: seededRandom(seed), now: new Date('2026-10-19T12:00:00Z') });
+}
+
+const ENGAGEMENT = {
+  callId: 'call-canary-1',
+  originalCallSid: 'CA-canary-1',
+  scammerNumber: '+18885550123',
+  originalCaller: '+14155550100',
+  campaignId: 'cmp-kraken-login',
+  company: 'Kraken',
+  assistantName: 'Kraken Karen'
+};
+
+/**
+ * Test planting canaries in identities
+ */
+async function testPlanting() {
+  console.log('\n🐤 Testing Canary Credentials');
+  console.log('-'.repeat(40));
+
+  let passed = 0;
+  const total = 4;
+
+  await withEnv({ CANARY_EMAIL_DOMAIN: 'mail.canary.example', CANARIES: undefined }, async () => {
+    const identities = Array.from({ length: 20 }, (_, index) => addCanaries(sampleIdentity('canary'), { random: seededRandom(`token-${index}`) }));
+    const [first] = identities;
+    const emails = new Set(identities.map(identity => identity.email));
+    const passwords = new Set(identities.map(identity => identity.password));
+    const types = first.canaries.map(canary => canary.type);
+    if (emails.size === 20 && passwords.size === 20 && /^karen\.lopez\d{2}\.[a-z2-9]{5}@mail\.canary\.example$/.test(first.email) &&
+        JSON.stringify(types) === JSON.stringify(['email', 'password', 'card', 'card']) &&
+        first.canaries[2].value === first.cards[0].number.replace(/\s/g, '')) {
+      console.log('✅ PASS - Every identity gets its own canary email on our domain, password and card numbers');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Canaries:', first.email, first.canaries, emails.size, passwords.size);
+    }
+
+    const prompt = formatIdentityPrompt(first);
+    const review = reviewTranscriptAgainstIdentity(first, { transcript: `User: And the password?\nAI: It's ${first.password}, I think.` });
+    if (prompt.includes(`Online banking password: ${first.password}`) && prompt.includes(`Email: ${first.email}`) &&
+        review.disclosed.includes('password')) {
+      console.log('✅ PASS - Canary credentials are what the agent reads out and the review notices them');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Prompt or review:', prompt, review);
+    }
+  });
+
+  const pairs = Array.from({ length: 20 }, (_, index) => {
+    const plain = sampleIdentity(`cards-${index}`);
+    return [plain, addCanaries(plain, { random: seededRandom(`cards-${index}`) })];
+  });
+  const cardsOk = pairs.every(([plain, planted]) => planted.cards.every((card, index) => {
+    const digits = card.number.replace(/\s/g, '');
+    const original = plain.cards[index];
+    const originalDigits = original.number.replace(/\s/g, '');
+    return !isLuhnValid(card.number) && digits !== originalDigits && digits.slice(0, 6) === originalDigits.slice(0, 6) &&
+      digits.length === originalDigits.length && card.last4 === digits.slice(-4) &&
+      card.brand === original.brand && card.expiry === original.expiry && card.cvv === original.cvv;
+  }));
+  const planted = pairs.flatMap(([, identity]) => identity.cards.map(card => card.number));
+  if (cardsOk && new Set(planted).size === planted.length) {
+    console.log('✅ PASS - Canary cards keep the issuer prefix, get their own suffix and still fail the Luhn check');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Canary cards:', pairs[0][1].cards);
+  }
+
+  const withoutDomain = await withEnv({ CANARY_EMAIL_DOMAIN: undefined }, async () => addCanaries(sampleIdentity('plain')));
+  const disabled = await withEnv({ CANARIES: 'false' }, async () => createAgentIdentity({ agentType: 'kraken' }, { scamType: 'crypto_exchange' }));
+  const enabled = await withEnv({ CANARIES: undefined }, async () => createAgentIdentity({ agentType: 'kraken' }, { scamType: 'crypto_exchange' }));
+  if (withoutDomain.email === sampleIdentity('plain').email && !withoutDomain.canaries.some(canary => canary.type === 'email') &&
+      withoutDomain.password && !disabled.canaries && !disabled.password && enabled.canaries.length >= 3) {
+    console.log('✅ PASS - Without CANARY_EMAIL_DOMAIN the email stays ordinary; CANARIES=false leaves identities without canaries');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Configuration:', withoutDomain.email, disabled, enabled.canaries);
+  }
+
+  console.log(`\n📊 Canary Credential Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test that a canary value is only ever handed out by one engagement
+ */
+async function testClaims() {
+  console.log('\n🔒 Testing Canary Claims');
+  console.log('-'.repeat(40));
+
+  let passed = 0;
+  const total = 3;
+
+  try {
+    resetCanaries();
+    await withEnv({ CANARY_EMAIL_DOMAIN: 'mail.canary.example' }, async () => {
+      // Two identities drawn from the same seed start out with the same canary values
+      const first = await claimCanaries(addCanaries(sampleIdentity('clash'), { random: seededRandom('clash') }));
+      await registerCanaries(first, { ...ENGAGEMENT, callId: 'call-claim-1' });
+      const duplicate = addCanaries(sampleIdentity('clash'), { random: seededRandom('clash') });
+      const second = await claimCanaries(duplicate);
+
+      const firstValues = first.canaries.map(canary => canary.value);
+      const replaced = second.canaries.every(canary => !firstValues.includes(canary.value));
+      const consistent = second.canaries[0].value === second.email && second.canaries[1].value === second.password &&
+        second.cards.every((card, index) => card.number.replace(/\s/g, '') === second.canaries[index + 2].value && !isLuhnValid(card.number));
+      const reserved = await getCanary(second.password);
+      if (JSON.stringify(duplicate.canaries.map(canary => canary.value)) === JSON.stringify(firstValues) &&
+          replaced && consistent && second.email.endsWith('@mail.canary.example') && reserved?.callId === null) {
+        console.log('✅ PASS - Values another engagement holds are replaced and the rest reserved before use');
+        passed++;
+      } else {
+        console.log('❌ FAIL - Claim:', first.canaries, second.canaries, reserved);
+      }
+
+      const stolen = await registerCanaries(duplicate, { ...ENGAGEMENT, callId: 'call-claim-3' });
+      const records = await registerCanaries(second, { ...ENGAGEMENT, callId: 'call-claim-2' });
+      if (stolen.length === 0 && (await getCanary(first.password)).callId === 'call-claim-1' &&
+          records.length === 4 && (await getCanary(second.password)).callId === 'call-claim-2') {
+        console.log('✅ PASS - Registering never takes over another call\'s canary');
+        passed++;
+      } else {
+        console.log('❌ FAIL - Registration:', stolen, records);
+      }
+
+      const assistant = buildPersonaAssistant(getPersona('kraken'), 'Kraken', { identity: duplicate });
+      const updated = replaceIdentityPrompt(assistant, duplicate, second);
+      const prompt = updated.model.messages[0].content;
+      if (prompt.endsWith(formatIdentityPrompt(second)) && prompt.includes(second.password) && !prompt.includes(duplicate.password) &&
+          assistant.model.messages[0].content.includes(duplicate.password)) {
+        console.log('✅ PASS - The agent\'s prompt carries the replacement values');
+        passed++;
+      } else {
+        console.log('❌ FAIL - Prompt:', prompt);
+      }
+    });
+  } finally {
+    resetCanaries();
+  }
+
+  console.log(`\n📊 Canary Claim Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test recording trips and linking them to the engagement
+ */
+async function testTrips() {
+  console.log('\n🚨 Testing Canary Trips');
+  console.log('-'.repeat(40));
+
+  let passed = 0;
+  const total = 4;
+  const localDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sipsentinel-canary-'));
+  const storageEnv = { STORAGE_BACKEND: 'local', STORAGE_LOCAL_DIR: localDir, EVIDENCE_HASHING: 'false' };
+
+  try {
+    resetCanaries();
+    const identity = await withEnv({ CANARY_EMAIL_DOMAIN: 'mail.canary.example' }, async () => addCanaries(sampleIdentity('trips'), { random: seededRandom('trips') }));
+    const records = await registerCanaries(identity, ENGAGEMENT);
+    const card = identity.cards[0].number;
+    const byCard = await getCanary(card.replace(/\s/g, '-'));
+    const byEmail = await getCanary(identity.email.toUpperCase());
+    const listed = await listCallCanaries(ENGAGEMENT.callId);
+    if (records.length === 4 && byCard?.type === 'card' && byCard.callId === ENGAGEMENT.callId && byEmail?.type === 'email' &&
+        listed.length === 4 && normalizeCanaryValue(` ${identity.password} `) === identity.password &&
+        await getCanary('someone.else@mail.canary.example') === null) {
+      console.log('✅ PASS - Canaries map back to their call however the value is written');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Lookups:', records.length, byCard, byEmail, listed.length);
+    }
+
+    const sent = [];
+    const notify = async data => { sent.push(data); return [{ type: 'slack', success: true }]; };
+    const first = await recordCanaryTrip({ value: identity.email, source: 'mail', ip: '203.0.113.7', occurredAt: '2026-10-19T13:00:00Z' }, { notify });
+    const second = await recordCanaryTrip({ value: card, source: 'card-feed' }, { notify });
+    const again = await recordCanaryTrip({ value: card.replace(/\s/g, ''), source: 'card-feed' }, { notify });
+    const unknown = await recordCanaryTrip({ value: 'Hunter2' }, { notify });
+    let invalid = false;
+    try {
+      await recordCanaryTrip({ source: 'mail' }, { notify });
+    } catch (error) {
+      invalid = error.code === 'INVALID_CANARY_TRIP';
+    }
+    if (first.trip.occurredAt === '2026-10-19T13:00:00.000Z' && first.canary.tripCount === 1 && second.canary.tripCount === 1 &&
+        again.canary.tripCount === 2 && again.canary.trips.length === 2 && unknown === null && invalid && sent.length === 3 &&
+        sent[0].callId === ENGAGEMENT.callId && sent[0].campaignId === 'cmp-kraken-login' &&
+        sent[0].scammerNumber === ENGAGEMENT.scammerNumber && sent[0].source === 'mail' && sent[0].ip === '203.0.113.7') {
+      console.log('✅ PASS - Trips are recorded per canary and sent out with the call, campaign and scammer number');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Trips:', first, again, unknown, invalid, sent);
+    }
+
+    await withEnv(storageEnv, async () => {
+      resetStorage();
+      const storage = createStorageBackend(resolveStorageConfig(storageEnv));
+      await storage.put('metadata/CA-canary-2.json', JSON.stringify({ callSid: 'CA-canary-2', campaignId: 'cmp-from-metadata' }));
+      const later = addCanaries(sampleIdentity('later'), { random: seededRandom('later') });
+      await registerCanaries(later, { ...ENGAGEMENT, callId: 'call-canary-2', originalCallSid: 'CA-canary-2', campaignId: null });
+      const tripped = await recordCanaryTrip({ value: later.password, source: 'login-honeypot' }, { notify });
+      const failing = await recordCanaryTrip({ value: later.cards[1].number }, { notify: async () => { throw new Error('Slack down'); } });
+      if (tripped.canary.campaignId === 'cmp-from-metadata' && sent[3].campaignId === 'cmp-from-metadata' &&
+          failing.canary.tripCount === 1 && failing.notifications.length === 0) {
+        console.log('✅ PASS - The campaign comes from the scam call\'s metadata when the engagement had none; notification failures don\'t lose trips');
+        passed++;
+      } else {
+        console.log('❌ FAIL - Campaign fallback:', tripped.canary, failing);
+      }
+    });
+    resetStorage();
+
+    const payload = createCanaryTrippedPayload(sent[1]);
+    const telegram = createTelegramMessage(WEBHOOK_EVENTS.CANARY_TRIPPED, sent[0]);
+    const authorized = await withEnv({ CANARY_WEBHOOK_TOKEN: 'canary-secret' }, async () => [
+      isCanaryWebhookAuthorized({ authorization: 'Bearer canary-secret' }),
+      isCanaryWebhookAuthorized({ 'x-api-key': 'canary-secret' }),
+      isCanaryWebhookAuthorized({ authorization: 'Bearer wrong' }),
+      isCanaryWebhookAuthorized({})
+    ]);
+    const unconfigured = await withEnv({ CANARY_WEBHOOK_TOKEN: undefined }, async () => isCanaryWebhookAuthorized({ authorization: 'Bearer ' }));
+    if (payload.event === 'canary_tripped' && payload.data.value === `•••• ${card.slice(-4)}` &&
+        !payload.data.scammerNumber.includes('555012') && payload.data.campaignId === 'cmp-kraken-login' &&
+        telegram.text.includes('CANARY CREDENTIAL USED') && telegram.text.includes('cmp-kraken-login') && telegram.text.includes(identity.email) &&
+        JSON.stringify(authorized) === JSON.stringify([true, true, false, false]) && unconfigured === false) {
+      console.log('✅ PASS - Notifications mask cards and numbers; the webhook needs CANARY_WEBHOOK_TOKEN');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Notification or auth:', payload, telegram.text, authorized, unconfigured);
+    }
+  } finally {
+    resetCanaries();
+    fs.rmSync(localDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Canary Trip Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Run all canary credential tests
+ */
+async function runCanaryTokenTests() {
+  console.log('🧪 SIPSentinel Canary Credential Tests\n');
+  console.log('=' .repeat(60));
+
+  const results = {
+    planting: await testPlanting(),
+    claims: await testClaims(),
+    trips: await testTrips()
+  };
+
+  console.log('=' .repeat(60));
+  console.log('📊 Final Results:');
+  console.log(`   Canary Credentials: ${results.planting ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Canary Claims: ${results.claims ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Canary Trips: ${results.trips ? '✅ PASS' : '❌ FAIL'}`);
+
+  const allPassed = Object.values(results).every(result => result);
+  console.log(`\n🎯 Overall: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runCanaryTokenTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('💥 Test runner crashed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runCanaryTokenTests,
+  testPlanting,
+  testClaims,
+  testTrips
+};
@@ -0,0 +1,407 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for the FTC / FCC / 7726 complaint report generator
+ */
+
+const {
+  generateComplaintReports,
+  buildComplaintPackage,
+  renderComplaintHtml,
+  resolveComplaintOptions,
+  isConfirmedScam,
+  buildExcerpt
+} = require('../../src/complaint-reports');
+
+const HOUR = 60 * 60 * 1000;
+const hoursAgo = hours => new Date(Date.now() - hours * HOUR).toISOString();
+
+const VOICEMAIL = {
+  callSid: 'CA-complaint-1',
+  recordingSid: 'RE-complaint-1',
+  callerNumber: '(415) 555-0101',
+  transcriptionText: 'stale copy of the transcript',
+  scamAnalysis: {
+    isScam: true,
+    impersonatedCompany: 'coin base',
+    scamType: 'crypto_exchange',
+    confidence: 90,
+    ensemble: { isScam: true, scamType: 'crypto_exchange', confidence: 94 }
+  },
+  recordingDuration: '41',
+  campaignId: 'cmp-coinbase-1',
+  timestamp: '2026-10-15T14:30:00.000Z'
+};
+
+const VOICEMAIL_TRANSCRIPT = 'This is Coinbase security. We blocked a withdrawal of 1,200 dollars. ' +
+  'Call us back at 888-555-0142 right away.';
+
+const SMS = {
+  messageSid: 'SM-complaint-1',
+  callerNumber: '+14155550102',
+  channel: 'sms',
+  message: 'USPS: your package is held. Pay the fee at usps-redelivery.top <b>now</b> or call 877-555-0110.',
+  scamAnalysis: { isScam: true, scamType: 'delivery', confidence: 88, ensemble: { isScam: true, confidence: 91, scamType: 'delivery' } },
+  timestamp: '2026-10-16T09:05:00.000Z'
+};
+
+/**
+ * In-memory stand-in for the S3 storage service
+ */
+function createStorage(records) {
+  const calls = { getTranscription: 0, findRecordingInS3: 0 };
+  return {
+    calls,
+    async listCallMetadataInWindow({ since, until }) {
+      return records.filter(record => record.timestamp >= since && record.timestamp <= until);
+    },
+    async getCallMetadata(id) {
+      return records.find(record => (record.callSid || record.messageSid) === id) || null;
+    },
+    async getTranscription(callSid, recordingSid) {
+      calls.getTranscription++;
+      return callSid === VOICEMAIL.callSid && recordingSid === VOICEMAIL.recordingSid ? VOICEMAIL_TRANSCRIPT : null;
+    },
+    async findRecordingInS3(recordingSid) {
+      calls.findRecordingInS3++;
+      return `recordings/${recordingSid}.mp3`;
+    }
+  };
+}
+
+/**
+ * Test report option parsing
+ */
+function testOptions() {
+  console.log('⚙️ Testing Complaint Options...\n');
+
+  let passed = 0;
+  const total = 3;
+
+  const defaults = resolveComplaintOptions();
+  if (defaults.format === 'all' && defaults.timezone === (process.env.COMPLAINT_TIMEZONE || 'UTC') &&
+      Date.parse(defaults.until) - Date.parse(defaults.since) === 7 * 24 * HOUR) {
+    console.log('✅ PASS - Defaults to JSON and HTML for the last 7 days');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Defaults:', defaults);
+  }
+
+  const window = resolveComplaintOptions({ since: '2026-10-01', until: '2026-10-15', format: 'HTML', timezone: 'America/New_York' });
+  if (window.since === '2026-10-01T00:00:00.000Z' && window.until === '2026-10-15T00:00:00.000Z' &&
+      window.format === 'html' && window.timezone === 'America/New_York') {
+    console.log('✅ PASS - Date ranges, formats and time zones are read');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Window options:', window);
+  }
+
+  const rejected = [{ format: 'pdf' }, { timezone: 'Mars/Olympus' }, { since: 'last week' }, { since: '1d', until: '7d' }]
+    .filter(options => {
+      try {
+        resolveComplaintOptions(options);
+        return false;
+      } catch (error) {
+        return error.code === 'INVALID_COMPLAINT_OPTIONS';
+      }
+    });
+  if (rejected.length === 4) {
+    console.log('✅ PASS - Unknown formats, time zones and bad windows are rejected');
+    passed++;
+  } else {
+    console.log(`❌ FAIL - Only ${rejected.length}/4 invalid option sets were rejected`);
+  }
+
+  console.log(`\n📊 Complaint Options Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test the package built for a scam voicemail
+ */
+function testVoicemailPackage() {
+  console.log('📞 Testing Voicemail Complaint Package...\n');
+
+  let passed = 0;
+  const total = 5;
+
+  const savedNumber = process.env.TWILIO_PHONE_NUMBER;
+  process.env.TWILIO_PHONE_NUMBER = '+15105550199';
+  let report;
+  try {
+    report = buildComplaintPackage(VOICEMAIL, {
+      transcript: VOICEMAIL_TRANSCRIPT,
+      recordingKey: 'recordings/RE-complaint-1.mp3',
+      timezone: 'America/New_York'
+    });
+  } finally {
+    if (savedNumber !== undefined) process.env.TWILIO_PHONE_NUMBER = savedNumber;
+    else delete process.env.TWILIO_PHONE_NUMBER;
+  }
+
+  if (report.channel === 'voicemail' && report.dateTime.date === '2026-10-15' && report.dateTime.time === '10:30' &&
+      report.callerId === '+14155550101' && report.calledNumber === '+15105550199') {
+    console.log('✅ PASS - Date/time is local to the report time zone and numbers are E.164');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Voicemail facts:', report.dateTime, report.callerId, report.calledNumber);
+  }
+
+  if (report.callbackNumber === '+18885550142' && report.impersonatedCompany === 'Coinbase' &&
+      report.scamType === 'crypto_exchange' && report.confidence === 94) {
+    console.log('✅ PASS - Callback number comes from the transcript and the company is canonicalized');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Voicemail details:', report.callbackNumber, report.impersonatedCompany, report.scamType, report.confidence);
+  }
+
+  if (report.transcriptExcerpt === VOICEMAIL_TRANSCRIPT && report.recording.recordingSid === 'RE-complaint-1' &&
+      report.recording.storageKey === 'recordings/RE-complaint-1.mp3' && report.recording.durationSeconds === 41) {
+    console.log('✅ PASS - Excerpt uses the stored transcription and the recording is referenced');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Excerpt/recording:', report.transcriptExcerpt, report.recording);
+  }
+
+  const { ftc, fcc, carrier } = report.complaints;
+  if (ftc.fields.contactMethod === 'Phone call' && ftc.fields.companyOrAgencyImpersonated === 'Coinbase' &&
+      ftc.fields.phoneNumberUsed === '+14155550101' && ftc.doNotCall.fields.timeOfCall === '10:30' &&
+      fcc.fields.issue === 'Unwanted calls' && fcc.fields.callbackNumber === '+18885550142' &&
+      fcc.fields.description.includes('call back at +18885550142') && fcc.fields.description.includes('claimed to be Coinbase')) {
+    console.log('✅ PASS - FTC, Do Not Call and FCC forms are pre-filled');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Regulator forms:', ftc, fcc);
+  }
+
+  if (carrier.shortCode === '7726' && carrier.messages[0] === 'Call' && carrier.messages[1] === '+14155550101') {
+    console.log('✅ PASS - Calls are reported to 7726 as "Call" followed by the number');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Carrier report:', carrier);
+  }
+
+  console.log(`\n📊 Voicemail Complaint Package Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test the package built for a scam text
+ */
+function testSmsPackage() {
+  console.log('💬 Testing SMS Complaint Package...\n');
+
+  let passed = 0;
+  const total = 3;
+
+  const report = buildComplaintPackage(SMS);
+
+  if (report.channel === 'sms' && report.recording === null && report.callbackNumber === '+18775550110' &&
+      report.transcriptExcerpt === SMS.message && report.dateTime.time === '09:05') {
+    console.log('✅ PASS - Texts carry the message body and no recording');
+    passed++;
+  } else {
+    console.log('❌ FAIL - SMS facts:', report);
+  }
+
+  const { ftc, fcc, carrier } = report.complaints;
+  if (ftc.fields.contactMethod === 'Text message' && !ftc.doNotCall && fcc.fields.issue === 'Unwanted texts') {
+    console.log('✅ PASS - Texts are filed as unwanted texts without a Do Not Call report');
+    passed++;
+  } else {
+    console.log('❌ FAIL - SMS regulator forms:', ftc, fcc);
+  }
+
+  if (carrier.messages[0] === SMS.message && carrier.messages[1] === '+14155550102' && carrier.steps[0].includes('Forward')) {
+    console.log('✅ PASS - Texts are forwarded to 7726, then the sender is given');
+    passed++;
+  } else {
+    console.log('❌ FAIL - SMS carrier report:', carrier);
+  }
+
+  console.log(`\n📊 SMS Complaint Package Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test batch generation over a window and by SID
+ */
+async function testBatchGeneration() {
+  console.log('📦 Testing Batch Generation...\n');
+
+  let passed = 0;
+  const total = 4;
+
+  const records = [
+    { ...VOICEMAIL, timestamp: hoursAgo(30) },
+    { ...SMS, timestamp: hoursAgo(5) },
+    { callSid: 'CA-benign', recordingSid: 'RE-benign', scamAnalysis: { isScam: false }, timestamp: hoursAgo(3) },
+    // The LLM said scam, but the ensemble overruled it
+    { callSid: 'CA-overruled', recordingSid: 'RE-overruled', scamAnalysis: { isScam: true, ensemble: { isScam: false } }, timestamp: hoursAgo(2) },
+    { ...SMS, messageSid: 'SM-old', timestamp: hoursAgo(24 * 20) }
+  ];
+  const storage = createStorage(records);
+
+  if (isConfirmedScam(records[0]) && !isConfirmedScam(records[2]) && !isConfirmedScam(records[3]) && !isConfirmedScam({})) {
+    console.log('✅ PASS - Only confirmed scams are reported, with the ensemble verdict taking priority');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Scam confirmation');
+  }
+
+  const result = await generateComplaintReports({ since: '7d' }, storage);
+  if (result.reports.map(report => report.id).join(',') === 'CA-complaint-1,SM-complaint-1' &&
+      result.stats.scanned === 4 && result.stats.reported === 2 && result.stats.skipped === 2) {
+    console.log('✅ PASS - A window reports the scams stored in it');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Window reports:', result.reports.map(report => report.id), result.stats);
+  }
+
+  if (result.reports[0].transcriptExcerpt === VOICEMAIL_TRANSCRIPT && result.reports[0].recording.storageKey === 'recordings/RE-complaint-1.mp3' &&
+      storage.calls.getTranscription === 1 && storage.calls.findRecordingInS3 === 1) {
+    console.log('✅ PASS - Voicemail transcriptions and recordings are looked up; texts are not');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Storage lookups:', storage.calls);
+  }
+
+  const byId = await generateComplaintReports({ ids: ['SM-old', 'CA-benign', 'CA-missing'] }, storage);
+  if (byId.reports.length === 1 && byId.reports[0].id === 'SM-old' && byId.stats.scanned === 2) {
+    console.log('✅ PASS - Reports can be built for specific SIDs regardless of the window');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Reports by id:', byId.reports.map(report => report.id), byId.stats);
+  }
+
+  console.log(`\n📊 Batch Generation Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test the printable HTML rendering
+ */
+function testHtmlRendering() {
+  console.log('🖨️ Testing Printable HTML...\n');
+
+  let passed = 0;
+  const total = 3;
+
+  const result = {
+    since: '2026-10-14T00:00:00.000Z',
+    until: '2026-10-17T00:00:00.000Z',
+    generatedAt: '2026-10-17T00:00:00.000Z',
+    reports: [
+      buildComplaintPackage(VOICEMAIL, { transcript: VOICEMAIL_TRANSCRIPT, recordingKey: 'recordings/RE-complaint-1.mp3' }),
+      buildComplaintPackage(SMS)
+    ]
+  };
+  const html = renderComplaintHtml(result);
+
+  if (html.startsWith('<!DOCTYPE html>') && (html.match(/<section class="package">/g) || []).length === 2 &&
+      html.includes('page-break-after: always')) {
+    console.log('✅ PASS - One printable page per complaint package');
+    passed++;
+  } else {
+    console.log('❌ FAIL - HTML structure');
+  }
+
+  if (!html.includes('<b>now</b>') && html.includes('&lt;b&gt;now&lt;/b&gt;')) {
+    console.log('✅ PASS - Scammer-controlled text is escaped');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Message text was not escaped');
+  }
+
+  if (html.includes('https://reportfraud.ftc.gov/') && html.includes('Carrier (7726)') &&
+      html.includes('RE-complaint-1 (recordings/RE-complaint-1.mp3)') && html.includes('Impersonated Company')) {
+    console.log('✅ PASS - Pages list the forms, recording reference and labeled fields');
+    passed++;
+  } else {
+    console.log('❌ FAIL - HTML content');
+  }
+
+  console.log(`\n📊 Printable HTML Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test transcript excerpts
+ */
+function testExcerpts() {
+  console.log('✂️ Testing Transcript Excerpts...\n');
+
+  let passed = 0;
+  const total = 2;
+
+  if (buildExcerpt('  Call   us\nback now. ') === 'Call us back now.' && buildExcerpt('') === null && buildExcerpt(null) === null) {
+    console.log('✅ PASS - Whitespace is collapsed and empty text has no excerpt');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Short excerpts');
+  }
+
+  const excerpt = buildExcerpt('word '.repeat(300), 100);
+  if (excerpt.length <= 101 && excerpt.endsWith('word…')) {
+    console.log('✅ PASS - Long transcripts are cut at a word boundary');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Long excerpt:', excerpt);
+  }
+
+  console.log(`\n📊 Transcript Excerpt Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Run all complaint report tests
+ */
+async function runComplaintReportTests() {
+  console.log('🧪 SIPSentinel Complaint Report Tests\n');
+  console.log('=' .repeat(60));
+
+  const results = {
+    options: testOptions(),
+    voicemail: testVoicemailPackage(),
+    sms: testSmsPackage(),
+    batch: await testBatchGeneration(),
+    html: testHtmlRendering(),
+    excerpts: testExcerpts()
+  };
+
+  console.log('=' .repeat(60));
+  console.log('📊 Final Results:');
+  console.log(`   Complaint Options: ${results.options ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Voicemail Complaint Package: ${results.voicemail ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   SMS Complaint Package: ${results.sms ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Batch Generation: ${results.batch ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Printable HTML: ${results.html ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Transcript Excerpts: ${results.excerpts ? '✅ PASS' : '❌ FAIL'}`);
+
+  const allPassed = Object.values(results).every(result => result);
+  console.log(`\n🎯 Overall: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runComplaintReportTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('💥 Test runner crashed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runComplaintReportTests,
+  testOptions,
+  testVoicemailPackage,
+  testSmsPackage,
+  testBatchGeneration,
+  testHtmlRendering,
+  testExcerpts
+};
@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for the ensemble scam scorer and caller history
+ */
+
+const { scoreScam, loadEnsembleModel } = require('../../src/ensemble-scorer');
+const { getCallerHistory, getScoringHistory, recordCallerContact } = require('../../src/caller-history');
+const { recordMessageNumbers } = require('../../src/number-reputation');
+const { isLikelyScam } = require('../../src/scam-detector');
+
+const KRAKEN_SCAM = 'This is Kraken security. Your account has been compromised. Please call us back at 888-555-1234 to verify your identity.';
+
+const LLM_SCAM = {
+  isScam: true,
+  scamType: 'crypto_exchange',
+  confidence: 90,
+  parseStatus: 'valid'
+};
+
+/**
+ * Test how the signals combine into one probability
+ */
+async function testSignalFusion() {
+  console.log('🧮 Testing Signal Fusion...\n');
+
+  const regexScam = isLikelyScam(KRAKEN_SCAM);
+  const regexClean = isLikelyScam('Hi, this is Sam from the dentist confirming your appointment tomorrow.');
+
+  const testCases = [
+    {
+      name: 'Regex and LLM agree on a scam',
+      inputs: { regexAnalysis: regexScam, llmAnalysis: LLM_SCAM },
+      check: result => result.isScam && result.shouldEngage && result.scamType === 'crypto_exchange'
+    },
+    {
+      name: 'Confident LLM "not a scam" outweighs a regex hit',
+      inputs: { regexAnalysis: regexScam, llmAnalysis: { isScam: false, scamType: 'not_a_scam', confidence: 95, parseStatus: 'valid' } },
+      check: result => !result.isScam && result.scamType === null
+    },
+    {
+      name: 'Unusable LLM output is ignored',
+      inputs: { regexAnalysis: regexClean, llmAnalysis: { ...LLM_SCAM, parseStatus: 'invalid' } },
+      check: result => !result.isScam && !result.breakdown.find(b => b.signal === 'llmVerdict').available
+    },
+    {
+      name: 'Clean message with no LLM is not a scam',
+      inputs: { regexAnalysis: regexClean },
+      check: result => !result.isScam && result.probability < 0.5
+    },
+    {
+      name: 'Prior scams from the same caller raise the probability',
+      inputs: { regexAnalysis: regexScam, callerHistory: { totalContacts: 3, scamContacts: 3 } },
+      check: result => {
+        const withoutHistory = scoreScam({ regexAnalysis: regexScam });
+        return result.probability > withoutHistory.probability &&
+          result.breakdown.find(b => b.signal === 'callerScamHistory').contribution > 0;
+      }
+    },
+    {
+      name: 'Breakdown lists every weighted signal',
+      inputs: { regexAnalysis: regexScam, llmAnalysis: LLM_SCAM },
+      check: result => result.breakdown.map(b => b.signal).join(',') ===
+        'regexScore,regexCategory,llmVerdict,callerScamHistory,callerRepeat,callbackReputation,urlLookalike,urlSuspicious' &&
+        result.confidence === Math.round(result.probability * 100)
+    }
+  ];
+
+  let passed = 0;
+
+  for (const testCase of testCases) {
+    const result = scoreScam(testCase.inputs);
+    if (testCase.check(result)) {
+      console.log(`✅ PASS - ${testCase.name} (p=${result.probability})`);
+      passed++;
+    } else {
+      console.log(`❌ FAIL - ${testCase.name}:`, result);
+    }
+  }
+
+  console.log(`\n📊 Signal Fusion Results: ${passed}/${testCases.length} tests passed\n`);
+  return passed === testCases.length;
+}
+
+/**
+ * Test model loading and threshold overrides
+ */
+async function testModelConfiguration() {
+  console.log('⚙️ Testing Model Configuration...\n');
+
+  let passed = 0;
+  const total = 2;
+
+  const model = loadEnsembleModel();
+  if (model.version && model.weights.llmVerdict > 0 && model.thresholds.engage >= model.thresholds.scam) {
+    console.log(`✅ PASS - Default weights load (version ${model.version})`);
+    passed++;
+  } else {
+    console.log('❌ FAIL - Default model:', model);
+  }
+
+  const strict = { ...model, thresholds: { scam: 0.5, engage: 0.999 } };
+  const result = scoreScam({ regexAnalysis: isLikelyScam(KRAKEN_SCAM), llmAnalysis: LLM_SCAM }, strict);
+  if (result.isScam && !result.shouldEngage) {
+    console.log('✅ PASS - Engage threshold is configurable');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Strict thresholds:', result);
+  }
+
+  console.log(`\n📊 Model Configuration Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test the in-memory caller history store
+ */
+async function testCallerHistory() {
+  console.log('📇 Testing Caller History...\n');
+
+  const previousEnv = { ...process.env };
+  delete process.env.UPSTASH_REDIS_URL;
+
+  let passed = 0;
+  const total = 3;
+
+  try {
+    await recordCallerContact('(555) 010-7788', true);
+    await recordCallerContact('+15550107788', false);
+    const history = await getCallerHistory('555-010-7788');
+    if (history.totalContacts === 2 && history.scamContacts === 1 && history.firstSeenAt) {
+      console.log('✅ PASS - Contacts are counted per normalized number');
+      passed++;
+    } else {
+      console.log('❌ FAIL - History:', history);
+    }
+
+    const unknown = await getCallerHistory('+15550109999');
+    if (unknown.totalContacts === 0 && unknown.lastSeenAt === null) {
+      console.log('✅ PASS - Unknown callers have an empty history');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Unknown caller:', unknown);
+    }
+
+    await recordMessageNumbers({ callerNumber: '+15550107788', callbackNumber: '888-555-0177', isScam: true, channel: 'voicemail' });
+    const inputs = await getScoringHistory({ callerNumber: '555-010-7788', callbackNumber: '+18885550177' });
+    const callerOnly = await getScoringHistory({ callerNumber: '555-010-7788' });
+    if (inputs.callerHistory.totalContacts === 3 && inputs.callbackReputation?.scamSightings === 1 &&
+        callerOnly.callbackReputation === null && callerOnly.callerHistory.scamContacts === 2) {
+      console.log('✅ PASS - Scoring inputs carry the caller history and the callback number\'s reputation');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Scoring inputs:', inputs, callerOnly);
+    }
+  } finally {
+    process.env = previousEnv;
+  }
+
+  console.log(`\n📊 Caller History Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Run all ensemble scorer tests
+ */
+async function runEnsembleScorerTests() {
+  console.log('🧪 Running Ensemble Scorer Unit Tests...\n');
+  console.log('=' .repeat(60));
+
+  const results = {
+    fusion: await testSignalFusion(),
+    configuration: await testModelConfiguration(),
+    history: await testCallerHistory()
+  };
+
+  console.log('=' .repeat(60));
+  console.log('📊 Final Results:');
+  console.log(`   Signal Fusion: ${results.fusion ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Model Configuration: ${results.configuration ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Caller History: ${results.history ? '✅ PASS' : '❌ FAIL'}`);
+
+  const allPassed = Object.values(results).every(result => result);
+  console.log(`\n🎯 Overall: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runEnsembleScorerTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('💥 Test runner crashed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runEnsembleScorerTests,
+  testSignalFusion,
+  testModelConfiguration,
+  testCallerHistory
+};
@@ -0,0 +1,347 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for evidence chain-of-custody hashing and verification
+ */
+
+const {
+  recordEvidence,
+  verifyEvidence,
+  verifyChain,
+  hashContent,
+  canonicalJson,
+  GENESIS_HASH
+} = require('../../src/evidence-manifest');
+
+const CALL_SID = 'CA-evidence-1';
+const AUDIO_KEY = 'recordings/RE-evidence-1.wav';
+const TRANSCRIPT_KEY = `transcriptions/${CALL_SID}/RE-evidence-1.txt`;
+const METADATA_KEY = `metadata/${CALL_SID}.json`;
+
+/**
+ * In-memory stand-in for the S3 storage service, with write-once manifest entries
+ */
+function createStorage() {
+  const objects = new Map();
+  const manifests = new Map();
+  return {
+    objects,
+    manifests,
+    async getObjectContent(key) {
+      return objects.has(key) ? Buffer.from(objects.get(key)) : null;
+    },
+    async listEvidenceEntries(callSid) {
+      return [...(manifests.get(callSid) || new Map()).entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([, entry]) => JSON.parse(entry));
+    },
+    async appendEvidenceEntry(callSid, entry) {
+      if (!manifests.has(callSid)) manifests.set(callSid, new Map());
+      const manifest = manifests.get(callSid);
+      if (manifest.has(entry.sequence)) {
+        const error = new Error('exists');
+        error.code = 'EVIDENCE_ENTRY_EXISTS';
+        throw error;
+      }
+      manifest.set(entry.sequence, JSON.stringify(entry));
+    }
+  };
+}
+
+/**
+ * Store a call's artifacts the way storeTranscription and storeCallMetadata do
+ */
+async function ingestCall(storage, { analysis = { isScam: true, impersonatedCompany: 'Coinbase', confidence: 92 } } = {}) {
+  const audio = Buffer.from([0x52, 0x49, 0x46, 0x46, 1, 2, 3, 4, 5, 6, 7, 8]);
+  const transcript = 'This is Coinbase security. Call us back at 888-555-0142.';
+  const metadata = JSON.stringify({ callSid: CALL_SID, scamAnalysis: analysis, timestamp: '2026-10-15T14:30:00.000Z' }, null, 2);
+  storage.objects.set(AUDIO_KEY, audio);
+  storage.objects.set(TRANSCRIPT_KEY, transcript);
+  storage.objects.set(METADATA_KEY, metadata);
+
+  await recordEvidence(CALL_SID, [
+    { artifact: 'audio', key: AUDIO_KEY, content: audio },
+    { artifact: 'transcript', key: TRANSCRIPT_KEY, content: transcript }
+  ], storage);
+  await recordEvidence(CALL_SID, [
+    { artifact: 'metadata', key: METADATA_KEY, content: metadata },
+    { artifact: 'analysis', key: METADATA_KEY, pointer: 'scamAnalysis', content: canonicalJson(analysis) }
+  ], storage);
+}
+
+const statusOf = (result, artifact) => result.artifacts.find(item => item.artifact === artifact)?.status;
+
+/**
+ * Test hashing and canonical serialization
+ */
+function testHashing() {
+  console.log('#️⃣ Testing Hashing...\n');
+
+  let passed = 0;
+  const total = 2;
+
+  if (hashContent('abc') === 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad' &&
+      hashContent(Buffer.from('abc')) === hashContent('abc')) {
+    console.log('✅ PASS - Artifacts are hashed with SHA-256');
+    passed++;
+  } else {
+    console.log('❌ FAIL - SHA-256 digest');
+  }
+
+  if (canonicalJson({ b: 1, a: { d: [1, { f: 2, e: 3 }], c: null } }) === canonicalJson({ a: { c: null, d: [1, { e: 3, f: 2 }] }, b: 1 }) &&
+      canonicalJson({ a: 1, b: undefined }) === '{"a":1}') {
+    console.log('✅ PASS - Analyses serialize the same regardless of key order');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Canonical JSON');
+  }
+
+  console.log(`\n📊 Hashing Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test the hash-chained manifest written on ingest
+ */
+async function testManifest() {
+  console.log('🔗 Testing Evidence Manifest...\n');
+
+  let passed = 0;
+  const total = 3;
+
+  const storage = createStorage();
+  await ingestCall(storage);
+  const entries = await storage.listEvidenceEntries(CALL_SID);
+
+  if (entries.map(entry => `${entry.sequence}:${entry.artifact}`).join(',') === '0:audio,1:transcript,2:metadata,3:analysis' &&
+      entries[0].previousHash === GENESIS_HASH &&
+      entries.slice(1).every((entry, index) => entry.previousHash === entries[index].entryHash)) {
+    console.log('✅ PASS - Each entry links to the hash of the entry before it');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Manifest entries:', entries);
+  }
+
+  if (entries[0].sha256 === hashContent(storage.objects.get(AUDIO_KEY)) && entries[0].size === 12 &&
+      entries[3].pointer === 'scamAnalysis' && verifyChain(entries).valid) {
+    console.log('✅ PASS - Entries record the artifact hash, size and location');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Entry contents:', entries[0], entries[3]);
+  }
+
+  // Another writer takes the next sequence number between our read and our write
+  const racing = createStorage();
+  await ingestCall(racing);
+  const append = racing.appendEvidenceEntry;
+  let raced = false;
+  racing.appendEvidenceEntry = async (callSid, entry) => {
+    if (!raced) {
+      raced = true;
+      await recordEvidence(CALL_SID, [{ artifact: 'transcript', key: TRANSCRIPT_KEY, content: racing.objects.get(TRANSCRIPT_KEY) }], { ...racing, appendEvidenceEntry: append });
+    }
+    return append(callSid, entry);
+  };
+  await recordEvidence(CALL_SID, [{ artifact: 'metadata', key: METADATA_KEY, content: racing.objects.get(METADATA_KEY) }], racing);
+  const racedEntries = await racing.listEvidenceEntries(CALL_SID);
+  if (racedEntries.length === 6 && racedEntries[5].artifact === 'metadata' && verifyChain(racedEntries).valid) {
+    console.log('✅ PASS - Concurrent appends never overwrite an entry and keep the chain intact');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Concurrent appends:', racedEntries.map(entry => entry.artifact));
+  }
+
+  console.log(`\n📊 Evidence Manifest Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test detection of altered and missing artifacts
+ */
+async function testArtifactVerification() {
+  console.log('🕵️ Testing Artifact Verification...\n');
+
+  let passed = 0;
+  const total = 5;
+
+  const storage = createStorage();
+  await ingestCall(storage);
+
+  const intact = await verifyEvidence(CALL_SID, storage);
+  if (intact.valid && intact.entries === 4 && intact.artifacts.length === 4 && intact.artifacts.every(item => item.status === 'ok') &&
+      intact.warnings.length === 0) {
+    console.log('✅ PASS - Untouched evidence verifies');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Intact evidence:', intact);
+  }
+
+  const audio = Buffer.from(storage.objects.get(AUDIO_KEY));
+  audio[6] ^= 0xff;
+  storage.objects.set(AUDIO_KEY, audio);
+  const alteredAudio = await verifyEvidence(CALL_SID, storage);
+  if (!alteredAudio.valid && statusOf(alteredAudio, 'audio') === 'tampered' && statusOf(alteredAudio, 'transcript') === 'ok' &&
+      alteredAudio.chain.valid) {
+    console.log('✅ PASS - A single changed byte of audio is detected');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Altered audio:', alteredAudio.artifacts);
+  }
+
+  storage.objects.delete(TRANSCRIPT_KEY);
+  const missing = await verifyEvidence(CALL_SID, storage);
+  if (statusOf(missing, 'transcript') === 'missing' && missing.artifacts.find(item => item.artifact === 'transcript').actualSha256 === null) {
+    console.log('✅ PASS - A deleted transcript is reported missing');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Missing transcript:', missing.artifacts);
+  }
+
+  const fresh = createStorage();
+  await ingestCall(fresh);
+  const edited = JSON.parse(fresh.objects.get(METADATA_KEY));
+  edited.scamAnalysis.impersonatedCompany = 'Kraken';
+  fresh.objects.set(METADATA_KEY, JSON.stringify(edited, null, 2));
+  const alteredAnalysis = await verifyEvidence(CALL_SID, fresh);
+  if (statusOf(alteredAnalysis, 'analysis') === 'tampered' && statusOf(alteredAnalysis, 'metadata') === 'tampered') {
+    console.log('✅ PASS - An edited LLM analysis is detected inside the metadata');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Altered analysis:', alteredAnalysis.artifacts);
+  }
+
+  // Re-storing the metadata appends new hashes that supersede the old ones
+  const restored = createStorage();
+  await ingestCall(restored);
+  await ingestCall(restored, { analysis: { isScam: true, impersonatedCompany: 'Coinbase', confidence: 97 } });
+  const reingested = await verifyEvidence(CALL_SID, restored);
+  if (reingested.valid && reingested.entries === 8 && reingested.artifacts.length === 4) {
+    console.log('✅ PASS - Artifacts stored again are verified against their latest hash');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Re-stored artifacts:', reingested);
+  }
+
+  console.log(`\n📊 Artifact Verification Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test detection of manifest tampering
+ */
+async function testChainVerification() {
+  console.log('⛓️ Testing Chain Verification...\n');
+
+  let passed = 0;
+  const total = 5;
+
+  // Someone replaces the audio and rewrites its manifest entry to match
+  const rewritten = createStorage();
+  await ingestCall(rewritten);
+  const forged = Buffer.from('forged audio');
+  rewritten.objects.set(AUDIO_KEY, forged);
+  const manifest = rewritten.manifests.get(CALL_SID);
+  manifest.set(0, JSON.stringify({ ...JSON.parse(manifest.get(0)), sha256: hashContent(forged), size: forged.length }));
+  const forgedResult = await verifyEvidence(CALL_SID, rewritten);
+  if (!forgedResult.valid && !forgedResult.chain.valid && statusOf(forgedResult, 'audio') === 'ok' &&
+      forgedResult.chain.errors.some(error => error.includes('modified'))) {
+    console.log('✅ PASS - A rewritten manifest entry breaks the chain');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Forged entry:', forgedResult.chain);
+  }
+
+  const pruned = createStorage();
+  await ingestCall(pruned);
+  pruned.manifests.get(CALL_SID).delete(1);
+  const prunedResult = await verifyEvidence(CALL_SID, pruned);
+  if (!prunedResult.valid && prunedResult.chain.errors.some(error => error.includes('missing or out of order')) &&
+      prunedResult.chain.errors.some(error => error.includes('does not link'))) {
+    console.log('✅ PASS - A removed manifest entry is detected');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Pruned manifest:', prunedResult.chain);
+  }
+
+  const empty = await verifyEvidence('CA-never-stored', createStorage());
+  if (!empty.valid && empty.entries === 0 && empty.chain.errors[0].includes('No evidence manifest')) {
+    console.log('✅ PASS - A call with no manifest fails verification');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Empty manifest:', empty);
+  }
+
+  const noAudio = createStorage();
+  noAudio.objects.set(TRANSCRIPT_KEY, 'transcript only');
+  await recordEvidence(CALL_SID, [{ artifact: 'transcript', key: TRANSCRIPT_KEY, content: 'transcript only' }], noAudio);
+  const noAudioResult = await verifyEvidence(CALL_SID, noAudio);
+  if (noAudioResult.valid && noAudioResult.warnings.some(warning => warning.includes('No audio hash'))) {
+    console.log('✅ PASS - A transcript whose audio was never hashed is flagged');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Missing audio hash warning:', noAudioResult.warnings);
+  }
+
+  let rejected = false;
+  try {
+    await recordEvidence(CALL_SID, [{ artifact: 'screenshot', key: 'x', content: 'x' }], createStorage());
+  } catch (error) {
+    rejected = error.message.includes('Unknown evidence artifact');
+  }
+  if (rejected) {
+    console.log('✅ PASS - Unknown artifact types are rejected');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Unknown artifact type was recorded');
+  }
+
+  console.log(`\n📊 Chain Verification Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Run all evidence manifest tests
+ */
+async function runEvidenceManifestTests() {
+  console.log('🧪 SIPSentinel Evidence Manifest Tests\n');
+  console.log('=' .repeat(60));
+
+  const results = {
+    hashing: testHashing(),
+    manifest: await testManifest(),
+    artifacts: await testArtifactVerification(),
+    chain: await testChainVerification()
+  };
+
+  console.log('=' .repeat(60));
+  console.log('📊 Final Results:');
+  console.log(`   Hashing: ${results.hashing ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Evidence Manifest: ${results.manifest ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Artifact Verification: ${results.artifacts ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Chain Verification: ${results.chain ? '✅ PASS' : '❌ FAIL'}`);
+
+  const allPassed = Object.values(results).every(result => result);
+  console.log(`\n🎯 Overall: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runEvidenceManifestTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('💥 Test runner crashed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runEvidenceManifestTests,
+  testHashing,
+  testManifest,
+  testArtifactVerification,
+  testChainVerification
+};
@@ -0,0 +1,355 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for the fake identity generator and its use in agent assistants
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  generateFakeIdentity,
+  formatIdentityPrompt,
+  reviewTranscriptAgainstIdentity,
+  isLuhnValid,
+  luhnCheckDigit
+} = require('../../src/fake-identity');
+const { seededRandom } = require('../../src/agent-sync');
+const { getPersona } = require('../../src/persona-library');
+const {
+  buildPersonaAssistant,
+  createTransientEngagement,
+  createAgentIdentity,
+  generateDynamicPrompt
+} = require('../../src/vapi-service');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+function sampleIdentity(seed = 'identity', details = {}) {
+  return generateFakeIdentity({
+    firstName: 'Jim',
+    lastName: 'Parker',
+    gender: 'male',
+    city: 'Denver, CO',
+    company: 'Coinbase',
+    scamType: 'crypto_exchange',
+    ...details
+  }, { random: seededRandom(seed), now: NOW });
+}
+
+/**
+ * Test that generated identities hang together
+ */
+function testGeneration() {
+  console.log('\n🪪 Testing Fake Identity Generation');
+  console.log('-'.repeat(40));
+
+  let passed = 0;
+  const total = 4;
+
+  const identity = sampleIdentity();
+  const [year, month, day] = identity.dateOfBirth.split('-').map(Number);
+  const birthdayPassed = month < 10 || (month === 10 && day <= 19);
+  if (identity.fullName === 'Jim Parker' && identity.address.city === 'Denver' && identity.address.state === 'CO' &&
+      identity.address.zip.startsWith('802') && identity.address.full.endsWith(`Denver, CO ${identity.address.zip}`) &&
+      identity.phone.startsWith('(303) 555-01') && identity.email.startsWith('jim.parker') &&
+      identity.age === 2026 - year - (birthdayPassed ? 0 : 1) && identity.age >= 52 && identity.age <= 78) {
+    console.log('✅ PASS - Name, city, ZIP, area code, email and age agree with each other');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Incoherent identity:', identity);
+  }
+
+  const cards = Array.from({ length: 25 }, (_, index) => sampleIdentity(`cards-${index}`).cards).flat();
+  const shapesOk = cards.every(card => {
+    const digits = card.number.replace(/\s/g, '');
+    return (card.brand === 'American Express' ? /^3[47]\d{13}$/ : card.brand === 'Visa' ? /^4\d{15}$/
+      : card.brand === 'Discover' ? /^6011\d{12}$/ : /^5[1-5]\d{14}$/).test(digits) &&
+      card.last4 === digits.slice(-4) && /^(0[1-9]|1[0-2])\/\d{2}$/.test(card.expiry) &&
+      card.cvv.length === (card.brand === 'American Express' ? 4 : 3);
+  });
+  if (cards.length === 50 && shapesOk && cards.every(card => !isLuhnValid(card.number)) &&
+      isLuhnValid('4111 1111 1111 1111') && luhnCheckDigit('411111111111111') === 1) {
+    console.log('✅ PASS - Card numbers have real issuer shapes and always fail the Luhn check');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Cards:', cards.filter(card => isLuhnValid(card.number)));
+  }
+
+  const balances = Object.fromEntries(identity.balances.map(balance => [balance.account, balance]));
+  const banking = sampleIdentity('bank', { company: 'Chase', scamType: 'banking' });
+  const support = Array.from({ length: 10 }, (_, index) => sampleIdentity(`pc-${index}`, { scamType: 'it_support' }).device);
+  if (balances.Checking && balances.Savings && balances['Coinbase account']?.institution === 'Coinbase' &&
+      banking.balances.length === 2 && banking.balances.every(balance => balance.institution === 'Chase') &&
+      support.every(device => ['laptop', 'desktop'].includes(device.type))) {
+    console.log('✅ PASS - Balances follow the impersonated company and IT support victims are at a computer');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Balances or device:', identity.balances, banking.balances, support);
+  }
+
+  if (JSON.stringify(sampleIdentity('same')) === JSON.stringify(sampleIdentity('same')) &&
+      JSON.stringify(sampleIdentity('same')) !== JSON.stringify(sampleIdentity('other'))) {
+    console.log('✅ PASS - A seeded random source always gives the same identity');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Seeded identities differ');
+  }
+
+  console.log(`\n📊 Fake Identity Generation Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test the identity in agent prompts
+ */
+function testPrompts() {
+  console.log('\n🎭 Testing Fake Identity Prompts');
+  console.log('-'.repeat(40));
+
+  let passed = 0;
+  const total = 4;
+
+  const identity = sampleIdentity();
+  const block = formatIdentityPrompt(identity);
+  if (block.includes('never make up others') && block.includes('Full name: Jim Parker') &&
+      block.includes(identity.address.full) && block.includes(identity.email) &&
+      identity.cards.every(card => block.includes(card.number)) && block.includes(identity.device.model)) {
+    console.log('✅ PASS - The prompt block lists every detail and forbids improvising others');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Prompt block:', block);
+  }
+
+  const assistant = buildPersonaAssistant(getPersona('coinbase'), 'Coinbase', { identity });
+  const prompt = assistant.model.messages[0].content;
+  if (prompt.startsWith('You are Jim Parker from Denver, CO, a concerned Coinbase user') && prompt.endsWith(block)) {
+    console.log('✅ PASS - Persona assistants play the identity\'s name and city and carry its details');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Persona prompt:', prompt);
+  }
+
+  const engagement = createTransientEngagement('crypto_exchange', { impersonatedCompany: 'Kraken' });
+  const engagementPrompt = engagement.assistant.model.messages[0].content;
+  const generated = createAgentIdentity({ agentType: 'paypal' }, { scamType: 'banking' });
+  if (engagement.identity.firstName === 'Karen' && engagement.identity.gender === 'female' &&
+      engagementPrompt.includes(`You are ${engagement.identity.fullName} from ${engagement.identity.address.city}, ${engagement.identity.address.state}`) &&
+      engagementPrompt.includes(engagement.identity.email) && generated.firstName === 'Chris' &&
+      ['male', 'female'].includes(generated.gender)) {
+    console.log('✅ PASS - Transient agents get a fresh identity matching their persona and generated name');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Engagement:', engagement.identity, generated);
+  }
+
+  const saved = {
+    name: 'Coinbase Jim',
+    model: { messages: [{ role: 'system', content: 'You are Jim Walker from Tampa, FL, worried about your account.' }] }
+  };
+  const clonedIdentity = createAgentIdentity({ firstName: 'Jim', gender: 'male', lastName: 'Walker', city: 'Tampa, FL' }, { company: 'Coinbase' });
+  const cloned = generateDynamicPrompt(saved, 'Coinbase', clonedIdentity);
+  const savedEnv = process.env.FAKE_IDENTITIES;
+  process.env.FAKE_IDENTITIES = 'false';
+  const disabled = createAgentIdentity({ agentType: 'coinbase' });
+  if (savedEnv === undefined) delete process.env.FAKE_IDENTITIES;
+  else process.env.FAKE_IDENTITIES = savedEnv;
+  if (cloned.startsWith(saved.model.messages[0].content) && cloned.includes('Full name: Jim Walker') &&
+      clonedIdentity.address.city === 'Tampa' && clonedIdentity.address.state === 'FL' && disabled === null) {
+    console.log('✅ PASS - Cloned saved agents keep their prompt\'s name and city; FAKE_IDENTITIES=false turns identities off');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Cloned prompt:', cloned, disabled);
+  }
+
+  console.log(`\n📊 Fake Identity Prompt Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test reviewing transcripts against the identity
+ */
+function testReview() {
+  console.log('\n🔍 Testing Transcript Review');
+  console.log('-'.repeat(40));
+
+  let passed = 0;
+  const total = 3;
+
+  const identity = sampleIdentity();
+  const [card] = identity.cards;
+  const consistent = reviewTranscriptAgainstIdentity(identity, {
+    transcript: [
+      'User: Can I get your email and card number to verify?',
+      `AI: Sure, it's ${identity.email}. The card is ${card.number}.`,
+      `User: Thank you Mr. Parker, so ${card.number}, correct?`,
+      `AI: My zip code is ${identity.address.zip}.`
+    ].join('\n')
+  });
+  if (consistent.inconsistencies.length === 0 && ['email', 'zip', 'cards[0]'].every(field => consistent.disclosed.includes(field)) &&
+      consistent.repeatedByScammer.includes('cards[0]') && consistent.repeatedByScammer.includes('lastName') &&
+      !consistent.disclosed.includes('cards[1]')) {
+    console.log('✅ PASS - Details the agent gave and the scammer repeated are listed');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Consistent review:', consistent);
+  }
+
+  const birthYear = Number(identity.dateOfBirth.slice(0, 4));
+  const contradicted = reviewTranscriptAgainstIdentity(identity, {
+    messages: [
+      { role: 'system', message: 'You are Jim. Card 4111 1111 1111 1111 is an example.' },
+      { role: 'user', message: 'Email please? Mine is scam@evil.example' },
+      { role: 'bot', message: 'Oh, it is jimmy1950@gmail.com. My card is 4111 1111 1111 1111.' },
+      { role: 'bot', message: `I was born in ${birthYear + 3}. My zip is 90210.` }
+    ]
+  });
+  const fields = contradicted.inconsistencies.map(entry => entry.field).sort();
+  if (JSON.stringify(fields) === JSON.stringify(['card', 'dateOfBirth', 'email', 'zip']) &&
+      contradicted.inconsistencies.find(entry => entry.field === 'zip').expected === identity.address.zip) {
+    console.log('✅ PASS - Made-up emails, cards, ZIP codes and birth years said by the agent are flagged');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Contradicted review:', contradicted);
+  }
+
+  const scammerOnly = reviewTranscriptAgainstIdentity(identity, {
+    transcript: 'User: Send it to refunds@evil.example, card 4111 1111 1111 1111\nAI: Okay, hold on.'
+  });
+  if (scammerOnly.inconsistencies.length === 0 && scammerOnly.disclosed.length === 0) {
+    console.log('✅ PASS - What the scammer says is never counted against the agent');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Scammer lines:', scammerOnly);
+  }
+
+  console.log(`\n📊 Transcript Review Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Call the serverless API router and capture its JSON response
+ */
+async function callApi(pathname, headers = {}) {
+  const router = require('../../api/index');
+  const response = { statusCode: 200, body: null };
+  const res = {
+    setHeader() {},
+    status(code) {
+      response.statusCode = code;
+      return res;
+    },
+    json(body) {
+      response.body = body;
+      return res;
+    }
+  };
+  await router({ url: pathname, method: 'GET', headers: { host: 'localhost', ...headers } }, res);
+  return response;
+}
+
+/**
+ * Test that the identity API, which reveals canary credentials, needs the API token
+ */
+async function testIdentityApi() {
+  console.log('\n🔐 Testing Identity API Access');
+  console.log('-'.repeat(40));
+
+  let passed = 0;
+  const total = 2;
+
+  const localDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sipsentinel-identities-'));
+  const overrides = { STORAGE_BACKEND: 'local', STORAGE_LOCAL_DIR: localDir, TRANSCRIBER: 'none', INTEL_EXPORT_TOKEN: undefined };
+  const saved = {};
+  for (const [name, value] of Object.entries(overrides)) {
+    saved[name] = process.env[name];
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  const { resetStorage } = require('../../src/storage-backend');
+  resetStorage();
+
+  try {
+    const { storeAgentIdentity } = require('../../src/s3-storage-service');
+    const identity = { ...sampleIdentity('api'), password: 'Buster57kq3xa' };
+    await storeAgentIdentity('call-identity-api', { callId: 'call-identity-api', identity, createdAt: NOW.toISOString() });
+
+    const disabled = await callApi('/api/identities/call-identity-api');
+    process.env.INTEL_EXPORT_TOKEN = 'identity-api-token';
+    const anonymous = await callApi('/api/identities/call-identity-api');
+    const wrongToken = await callApi('/api/identities/call-identity-api', { authorization: 'Bearer not-the-token' });
+    if (disabled.statusCode === 503 && anonymous.statusCode === 401 && wrongToken.statusCode === 401 &&
+        [disabled, anonymous, wrongToken].every(response => !JSON.stringify(response.body).includes(identity.password))) {
+      console.log('✅ PASS - Without INTEL_EXPORT_TOKEN, or without the right token, no identity is returned');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Unauthenticated responses:', disabled, anonymous, wrongToken);
+    }
+
+    const authorized = await callApi('/api/identities/call-identity-api', { 'x-api-key': 'identity-api-token' });
+    if (authorized.statusCode === 200 && authorized.body.identity.password === identity.password &&
+        authorized.body.identity.fullName === 'Jim Parker') {
+      console.log('✅ PASS - The API token unlocks the identity and its canary credentials');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Authorized response:', authorized);
+    }
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    resetStorage();
+    fs.rmSync(localDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Identity API Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Run all fake identity tests
+ */
+async function runFakeIdentityTests() {
+  console.log('🧪 SIPSentinel Fake Identity Tests\n');
+  console.log('=' .repeat(60));
+
+  const results = {
+    generation: testGeneration(),
+    prompts: testPrompts(),
+    review: testReview(),
+    identityApi: await testIdentityApi()
+  };
+
+  console.log('=' .repeat(60));
+  console.log('📊 Final Results:');
+  console.log(`   Fake Identity Generation: ${results.generation ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Fake Identity Prompts: ${results.prompts ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Transcript Review: ${results.review ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Identity API: ${results.identityApi ? '✅ PASS' : '❌ FAIL'}`);
+
+  const allPassed = Object.values(results).every(result => result);
+  console.log(`\n🎯 Overall: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runFakeIdentityTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('💥 Test runner crashed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runFakeIdentityTests,
+  testGeneration,
+  testPrompts,
+  testReview,
+  testIdentityApi
+};
@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for indicator-of-compromise extraction from agent call transcripts
+ */
+
+const { validateWalletAddress, extractWalletAddresses, keccak256 } = require('../../src/crypto-wallets');
+const {
+  extractIndicators,
+  getScammerText,
+  recordCallIndicators,
+  getCallIndicators,
+  listCallIndicators,
+  searchIndicators
+} = require('../../src/ioc-extractor');
+
+// Agent call as VAPI reports it: role "bot" is our agent, role "user" is the scammer
+const CALL_MESSAGES = [
+  { role: 'system', message: 'You are Mary, a retired teacher who is not good with computers.' },
+  { role: 'bot', message: 'Hello? This is Mary Johnson. My account number is 55512345678, is that what you need?' },
+  { role: 'user', message: 'Yes ma\'am, this is David Miller from Coinbase security. You can also call me Officer Brown.' },
+  { role: 'user', message: 'First download AnyDesk from anydesk.com and read me the code. Then log in at coinbase-secure-wallet.com slash verify.' },
+  { role: 'user', message: 'Send the funds to bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq or 0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed.' },
+  { role: 'user', message: 'If you cannot, buy Google Play gift cards at Target and scratch the back.' },
+  { role: 'user', message: 'The wire goes to routing number 021000021 and account number 4455 6677 8899.' },
+  { role: 'user', message: 'If we get disconnected call my supervisor at 888-555-0199.' }
+];
+
+/**
+ * Test wallet checksum validation
+ */
+function testWalletValidation() {
+  console.log('🪙 Testing Wallet Checksums...\n');
+
+  const testCases = [
+    { address: '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa', expected: 'BTC:p2pkh', description: 'BTC legacy address' },
+    { address: '3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy', expected: 'BTC:p2sh', description: 'BTC P2SH address' },
+    { address: 'bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq', expected: 'BTC:bech32', description: 'BTC SegWit v0 (Bech32)' },
+    { address: 'bc1p5d7rjq7g6rdk2yhzks9smlaqtedr4dekq08ge8ztwac72sfr9rusxg3297', expected: 'BTC:bech32m', description: 'BTC Taproot (Bech32m)' },
+    { address: '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed', expected: 'ETH:eip55', description: 'ETH EIP-55 address' },
+    { address: '0x52908400098527886e0f7030069857d2e4169ee7', expected: 'ETH:unchecksummed', description: 'ETH lowercase address' },
+    { address: 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t', expected: 'TRX:base58check', description: 'TRX address' },
+    { address: '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNb', expected: null, description: 'BTC address with one wrong character' },
+    { address: 'bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdr', expected: null, description: 'Bech32 address with a bad checksum' },
+    { address: '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD', expected: null, description: 'ETH address with a wrong capital' },
+    { address: 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6u', expected: null, description: 'TRX address with a bad checksum' }
+  ];
+
+  let passed = 0;
+  const total = testCases.length + 2;
+
+  testCases.forEach(testCase => {
+    const wallet = validateWalletAddress(testCase.address);
+    const result = wallet ? `${wallet.chain}:${wallet.format}` : null;
+    if (result === testCase.expected) {
+      console.log(`✅ PASS - ${testCase.description}`);
+      passed++;
+    } else {
+      console.log(`❌ FAIL - ${testCase.description}: expected ${testCase.expected}, got ${result}`);
+    }
+  });
+
+  if (keccak256('') === 'c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470') {
+    console.log('✅ PASS - Keccak-256 matches the Ethereum test vector');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Keccak-256 of the empty string:', keccak256(''));
+  }
+
+  const found = extractWalletAddresses('Send it to 1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa, not 1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNb.');
+  if (found.length === 1 && found[0].address === '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa') {
+    console.log('✅ PASS - Only addresses with a valid checksum are extracted');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Extracted wallets:', found);
+  }
+
+  console.log(`\n📊 Wallet Checksum Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test extraction of every indicator type from an agent call
+ */
+function testExtraction() {
+  console.log('🔎 Testing Indicator Extraction...\n');
+
+  const indicators = extractIndicators({ messages: CALL_MESSAGES, excludeNumbers: ['+14155550123'] });
+  const checks = [
+    {
+      description: 'BTC and ETH wallets',
+      ok: indicators.wallets.map(wallet => wallet.chain).join(',') === 'BTC,ETH'
+    },
+    {
+      description: 'Lookalike domain kept, official and download sites dropped',
+      ok: indicators.domains.join(',') === 'coinbase-secure-wallet.com' && indicators.urls[0].lookalikeOf === 'coinbase'
+    },
+    {
+      description: 'Remote-access tool requested',
+      ok: indicators.remoteAccessTools.map(tool => tool.id).join(',') === 'anydesk'
+    },
+    {
+      description: 'Gift card brands',
+      ok: indicators.giftCards.map(card => card.id).join(',') === 'google_play,target'
+    },
+    {
+      description: 'Bank routing (ABA checksum) and account numbers',
+      ok: indicators.bankRoutingNumbers.join(',') === '021000021' && indicators.bankAccountNumbers.join(',') === '445566778899'
+    },
+    {
+      description: 'Names and aliases',
+      ok: indicators.names.join(',') === 'David Miller,Officer Brown'
+    },
+    {
+      description: 'Additional phone numbers, not bank numbers',
+      ok: indicators.phoneNumbers.join(',') === '+18885550199'
+    },
+    {
+      description: 'The agent\'s own bait is not mined',
+      ok: !indicators.names.some(name => name.includes('Mary')) && !indicators.bankAccountNumbers.includes('55512345678')
+    }
+  ];
+
+  let passed = 0;
+  checks.forEach(check => {
+    if (check.ok) {
+      console.log(`✅ PASS - ${check.description}`);
+      passed++;
+    } else {
+      console.log(`❌ FAIL - ${check.description}`);
+    }
+  });
+
+  const total = checks.length + 2;
+
+  const transcriptText = getScammerText({ transcript: 'AI: My name is Mary.\nUser: This is Agent Smith from the IRS.\nAI: Oh dear.' });
+  if (transcriptText === 'This is Agent Smith from the IRS.') {
+    console.log('✅ PASS - Transcript lines are split by speaker');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Scammer text:', transcriptText);
+  }
+
+  // A sentence about Amazon or a random 9-digit number is not an indicator
+  const quiet = extractIndicators({ transcript: 'Your Amazon order 123456789 was cancelled. This is Amazon support.' });
+  if (quiet.giftCards.length === 0 && quiet.bankRoutingNumbers.length === 0 && quiet.names.length === 0) {
+    console.log('✅ PASS - Brands and numbers need gift card, bank or name context');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Context-free indicators:', quiet);
+  }
+
+  console.log(`\n📊 Indicator Extraction Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test storing indicators with the call and searching across calls
+ */
+async function testStorageAndSearch() {
+  console.log('🗂️ Testing Indicator Storage and Search...\n');
+
+  let passed = 0;
+  const total = 5;
+
+  const first = await recordCallIndicators('call-ioc-1', {
+    messages: CALL_MESSAGES,
+    phoneNumber: '(415) 555-0123',
+    company: 'Coinbase',
+    timestamp: '2026-10-01T10:00:00.000Z'
+  });
+  await recordCallIndicators('call-ioc-2', {
+    transcript: 'User: Pay with AnyDesk open. Send it to 0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed and ask for David Miller.',
+    phoneNumber: '+14155550124',
+    timestamp: '2026-10-02T10:00:00.000Z'
+  });
+
+  const stored = await getCallIndicators('call-ioc-1');
+  if (first && stored && stored.indicatorCount === first.indicatorCount && stored.phoneNumber === '+14155550123' && stored.indicators.wallets.length === 2) {
+    console.log('✅ PASS - Indicators are attached to the call record');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Stored record:', stored);
+  }
+
+  const byWallet = await searchIndicators('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed');
+  if (byWallet.calls.map(call => call.callId).join(',') === 'call-ioc-2,call-ioc-1' && byWallet.matches[0].type === 'wallet') {
+    console.log('✅ PASS - An ETH wallet is found across calls regardless of checksum case');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Wallet search:', byWallet.matches);
+  }
+
+  const byAlias = await searchIndicators('david miller', { type: 'name' });
+  const byDomain = await searchIndicators('https://coinbase-secure-wallet.com/verify');
+  if (byAlias.calls.length === 2 && byDomain.calls.map(call => call.callId).join(',') === 'call-ioc-1') {
+    console.log('✅ PASS - Aliases and domains are searchable');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Alias/domain search:', byAlias.matches, byDomain.matches);
+  }
+
+  const byPhone = await searchIndicators('1 (888) 555-0199');
+  const none = await searchIndicators('TeamViewer');
+  if (byPhone.calls.length === 1 && none.calls.length === 0) {
+    console.log('✅ PASS - Phone numbers are searchable in any format');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Phone search:', byPhone.matches, none.matches);
+  }
+
+  const { calls, total: count } = await listCallIndicators({ limit: 10 });
+  const empty = await recordCallIndicators('call-ioc-3', { transcript: '' });
+  if (count === 2 && calls[0].callId === 'call-ioc-2' && empty === null) {
+    console.log('✅ PASS - Calls are listed newest first; calls without a transcript are skipped');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Listing:', count, calls.map(call => call.callId), empty);
+  }
+
+  console.log(`\n📊 Indicator Storage Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Run all IOC extractor tests
+ */
+async function runIocExtractorTests() {
+  console.log('🧪 Running IOC Extractor Unit Tests...\n');
+  console.log('=' .repeat(60));
+
+  // Indicators use the in-memory store in tests
+  const savedRedisUrl = process.env.UPSTASH_REDIS_URL;
+  delete process.env.UPSTASH_REDIS_URL;
+
+  let results;
+  try {
+    results = {
+      wallets: testWalletValidation(),
+      extraction: testExtraction(),
+      storage: await testStorageAndSearch()
+    };
+  } finally {
+    if (savedRedisUrl !== undefined) process.env.UPSTASH_REDIS_URL = savedRedisUrl;
+  }
+
+  console.log('=' .repeat(60));
+  console.log('📊 Final Results:');
+  console.log(`   Wallet Checksums: ${results.wallets ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Indicator Extraction: ${results.extraction ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Indicator Storage and Search: ${results.storage ? '✅ PASS' : '❌ FAIL'}`);
+
+  const allPassed = Object.values(results).every(result => result);
+  console.log(`\n🎯 Overall: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runIocExtractorTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('💥 Test runner crashed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runIocExtractorTests,
+  testWalletValidation,
+  testExtraction,
+  testStorageAndSearch
+};
@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for language identification, per-language keyword packs and localized agents
+ */
+
+const { detectLanguage, resolveLanguage } = require('../../src/language-detector');
+const { isLikelyScam } = require('../../src/scam-detector');
+const { getTranscriptionLanguageSettings } = require('../../src/transcription-service');
+const { createTransientAssistant, localizeAssistantConfig } = require('../../src/vapi-service');
+
+/**
+ * Test language identification
+ */
+function testDetection() {
+  console.log('🌐 Testing Language Detection...\n');
+
+  const testCases = [
+    {
+      name: 'English voicemail',
+      text: 'This is Coinbase security. Your account has been locked, please call us back at 877-555-0199.',
+      expected: 'en'
+    },
+    {
+      name: 'Spanish voicemail',
+      text: 'Hola, le llamamos de su banco. Su cuenta ha sido bloqueada, por favor llame al 855-555-0133.',
+      expected: 'es'
+    },
+    {
+      name: 'Spanish without accents',
+      text: 'Su cuenta de Amazon tiene un cargo de 499 dolares, llame para cancelar el pedido',
+      expected: 'es'
+    },
+    {
+      name: 'Mandarin voicemail',
+      text: '您好，这里是中国大使馆。您的护照涉及一起案件，请立即回电 866-555-0177。',
+      expected: 'zh'
+    },
+    {
+      name: 'Mandarin with English brand names',
+      text: 'Coinbase 通知：您的账户已被冻结，请致电 833-555-0161',
+      expected: 'zh'
+    },
+    {
+      name: 'Empty text falls back to the default',
+      text: '',
+      expected: 'en'
+    }
+  ];
+
+  let passed = 0;
+  for (const testCase of testCases) {
+    const result = detectLanguage(testCase.text);
+    if (result.language === testCase.expected) {
+      console.log(`✅ PASS - ${testCase.name} (${result.method}, ${result.confidence})`);
+      passed++;
+    } else {
+      console.log(`❌ FAIL - ${testCase.name}: expected ${testCase.expected}, got ${result.language}`, result.scores);
+    }
+  }
+
+  const resolved = ['es', 'es-US', 'Spanish', 'español'].map(value => resolveLanguage(value)?.code);
+  if (resolved.every(code => code === 'es') && resolveLanguage('zh-CN')?.code === 'zh' && resolveLanguage('klingon') === null) {
+    console.log('✅ PASS - Languages resolve from codes, locales and names');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Language resolution:', resolved);
+  }
+
+  const total = testCases.length + 1;
+  console.log(`\n📊 Language Detection Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test that the regex detector applies the detected language's keyword pack
+ */
+function testKeywordPacks() {
+  console.log('🔑 Testing Language Keyword Packs...\n');
+
+  const testCases = [
+    {
+      name: 'Spanish bank fraud alert',
+      text: 'Hola, le llamamos del departamento de fraude de Wells Fargo. Hemos detectado un cargo sospechoso en su cuenta. Por favor llame de inmediato.',
+      isScam: true,
+      language: 'es',
+      category: 'banking'
+    },
+    {
+      name: 'Spanish crypto account lock',
+      text: 'Coinbase: su cuenta ha sido bloqueada por actividad inusual. Verifique su identidad llamando al 833-555-0161.',
+      isScam: true,
+      language: 'es',
+      category: 'crypto_exchange'
+    },
+    {
+      name: 'Mandarin embassy scam',
+      text: '您好，这里是中国大使馆。您有一份重要文件需要领取，您的护照涉及一起案件。请立即回电，否则将被冻结。',
+      isScam: true,
+      language: 'zh',
+      category: 'government'
+    },
+    {
+      name: 'Personal Spanish voicemail',
+      text: 'Hola mamá, soy Lucía. Ya llegué a casa, te llamo mañana para lo de la cena del domingo.',
+      isScam: false,
+      language: 'es'
+    }
+  ];
+
+  let passed = 0;
+  for (const testCase of testCases) {
+    const result = isLikelyScam(testCase.text);
+    const details = result.scamDetails || {};
+    const categoryOk = !testCase.category || details.scamType === testCase.category;
+    if (result.isScam === testCase.isScam && details.language === testCase.language && categoryOk) {
+      console.log(`✅ PASS - ${testCase.name}`);
+      passed++;
+    } else {
+      console.log(`❌ FAIL - ${testCase.name}: isScam ${result.isScam}, language ${details.language}, type ${details.scamType}`);
+    }
+  }
+
+  // A known language skips detection
+  const forced = isLikelyScam('Su cuenta ha sido bloqueada, llame de inmediato', { language: 'en' });
+  if (forced.scamDetails?.language === 'en') {
+    console.log('✅ PASS - An explicit language overrides detection');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Explicit language:', forced.scamDetails?.language);
+  }
+
+  const total = testCases.length + 1;
+  console.log(`\n📊 Keyword Pack Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test transcription settings and assistant localization
+ */
+function testEngagement() {
+  console.log('📞 Testing Localized Transcription and Agents...\n');
+
+  let passed = 0;
+  const total = 4;
+
+  const known = getTranscriptionLanguageSettings('es');
+  const unknown = getTranscriptionLanguageSettings(null);
+  if (known.LanguageCode === 'es-US' && unknown.IdentifyLanguage && unknown.LanguageOptions.includes('zh-CN')) {
+    console.log('✅ PASS - Transcription uses a known language or identifies among the enabled ones');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Transcription settings:', known, unknown);
+  }
+
+  const assistant = createTransientAssistant('crypto_exchange', { impersonatedCompany: 'Coinbase' });
+  const spanish = localizeAssistantConfig(assistant, 'es', { scamType: 'crypto_exchange', company: 'Coinbase' });
+  if (spanish.firstMessage.includes('Coinbase') && spanish.firstMessage.startsWith('Hola') &&
+      spanish.transcriber.language === 'es' && spanish.model.messages[0].content.includes('Speak only Spanish')) {
+    console.log('✅ PASS - Spanish agent gets a Spanish opener, prompt instruction and transcriber');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Spanish agent:', spanish.firstMessage, spanish.transcriber);
+  }
+
+  const mandarin = localizeAssistantConfig(assistant, 'zh', { scamType: 'banking' });
+  if (mandarin.firstMessage === '喂？我收到一条信息让我打这个号码。' && mandarin.endCallPhrases.includes('再见')) {
+    console.log('✅ PASS - Without a company the generic opener is used');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Mandarin agent:', mandarin.firstMessage);
+  }
+
+  if (localizeAssistantConfig(assistant, 'en') === assistant && localizeAssistantConfig(assistant, null) === assistant) {
+    console.log('✅ PASS - English and unknown languages leave the assistant unchanged');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Default language changed the assistant');
+  }
+
+  console.log(`\n📊 Localized Engagement Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Run all language tests
+ */
+async function runLanguageDetectorTests() {
+  console.log('🧪 Running Language Detector Unit Tests...\n');
+  console.log('=' .repeat(60));
+
+  const results = {
+    detection: testDetection(),
+    keywordPacks: testKeywordPacks(),
+    engagement: testEngagement()
+  };
+
+  console.log('=' .repeat(60));
+  console.log('📊 Final Results:');
+  console.log(`   Language Detection: ${results.detection ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Keyword Packs: ${results.keywordPacks ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Localized Engagement: ${results.engagement ? '✅ PASS' : '❌ FAIL'}`);
+
+  const allPassed = Object.values(results).every(result => result);
+  console.log(`\n🎯 Overall: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runLanguageDetectorTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('💥 Test runner crashed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runLanguageDetectorTests,
+  testDetection,
+  testKeywordPacks,
+  testEngagement
+};
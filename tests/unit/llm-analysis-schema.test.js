@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for LLM analysis schema validation, coercion and re-ask handling
+ */
+
+const http = require('http');
+const {
+  parseAnalysisResponse,
+  PARSE_STATUS
+} = require('../../src/llm-analysis-schema');
+
+const VALID_RESPONSE = {
+  isScam: true,
+  impersonatedCompany: 'Kraken',
+  callbackMethod: { type: 'phone_number', details: '+18885551234' },
+  phoneNumber: '+18885551234',
+  scamType: 'crypto_exchange',
+  confidence: 90,
+  reasoning: 'Impersonates Kraken and asks for a callback'
+};
+
+/**
+ * Test parsing and coercion of raw model output
+ */
+async function testResponseParsing() {
+  console.log('🧾 Testing Response Parsing...\n');
+
+  const testCases = [
+    {
+      name: 'Plain JSON',
+      text: JSON.stringify(VALID_RESPONSE),
+      check: analysis => analysis && analysis.confidence === 90
+    },
+    {
+      name: 'Fenced JSON with prose',
+      text: `Here you go:\n\`\`\`json\n${JSON.stringify(VALID_RESPONSE)}\n\`\`\``,
+      check: analysis => analysis && analysis.impersonatedCompany === 'Kraken'
+    },
+    {
+      name: 'Loose types are coerced',
+      text: JSON.stringify({
+        isScam: 'yes',
+        impersonatedCompany: 'none',
+        callbackMethod: 'Phone Number',
+        phoneNumber: '(888) 555-1234',
+        scamType: 'IT Support',
+        confidence: '0.87',
+        reasoning: null
+      }),
+      check: analysis => analysis &&
+        analysis.isScam === true &&
+        analysis.impersonatedCompany === null &&
+        analysis.callbackMethod.type === 'phone_number' &&
+        analysis.callbackMethod.details === '+18885551234' &&
+        analysis.phoneNumber === '+18885551234' &&
+        analysis.scamType === 'it_support' &&
+        analysis.confidence === 87
+    },
+    {
+      name: 'Out-of-range confidence is clamped',
+      text: JSON.stringify({ ...VALID_RESPONSE, confidence: 140 }),
+      check: analysis => analysis && analysis.confidence === 100
+    },
+    {
+      name: 'Missing fields are rejected',
+      text: JSON.stringify({ isScam: true, confidence: 80 }),
+      check: (analysis, errors) => analysis === null && errors.some(error => error.includes('scamType'))
+    },
+    {
+      name: 'Unknown callback type is rejected',
+      text: JSON.stringify({ ...VALID_RESPONSE, callbackMethod: { type: 'carrier pigeon', details: null } }),
+      check: (analysis, errors) => analysis === null && errors.some(error => error.includes('/callbackMethod/type'))
+    },
+    {
+      name: 'Non-JSON is rejected',
+      text: 'I think this is a scam.',
+      check: (analysis, errors) => analysis === null && errors.length === 1
+    }
+  ];
+
+  let passed = 0;
+
+  for (const testCase of testCases) {
+    const { analysis, errors } = parseAnalysisResponse(testCase.text);
+    if (testCase.check(analysis, errors)) {
+      console.log(`✅ PASS - ${testCase.name}`);
+      passed++;
+    } else {
+      console.log(`❌ FAIL - ${testCase.name}:`, analysis, errors);
+    }
+  }
+
+  console.log(`\n📊 Response Parsing Results: ${passed}/${testCases.length} tests passed\n`);
+  return passed === testCases.length;
+}
+
+/**
+ * Test analyzeMessageWithLLM's re-ask and parseStatus against a fake Ollama server
+ */
+async function testReaskFlow() {
+  console.log('🔁 Testing Re-ask Flow...\n');
+
+  const replies = [];
+  const prompts = [];
+  const server = await new Promise(resolve => {
+    const s = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        prompts.push(JSON.parse(body).messages[1].content);
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ message: { content: replies.shift() || '' } }));
+      });
+    });
+    s.listen(0, '127.0.0.1', () => resolve(s));
+  });
+
+  const previousEnv = { ...process.env };
+  process.env.LLM_PROVIDERS = 'ollama';
+  process.env.LLM_OLLAMA_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  const { analyzeMessageWithLLM, shouldEngageScammer } = require('../../src/llm-scam-detector');
+
+  let passed = 0;
+  const total = 3;
+
+  try {
+    replies.push(JSON.stringify(VALID_RESPONSE));
+    const valid = await analyzeMessageWithLLM('Kraken security, call 888-555-1234');
+    if (valid.parseStatus === PARSE_STATUS.VALID && prompts.length === 1 && valid.companyId === 'kraken') {
+      console.log('✅ PASS - Valid response accepted without re-ask');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Valid response:', valid);
+    }
+
+    prompts.length = 0;
+    replies.push('{"isScam": true}', JSON.stringify(VALID_RESPONSE));
+    const repaired = await analyzeMessageWithLLM('Kraken security, call 888-555-1234');
+    if (repaired.parseStatus === PARSE_STATUS.REPAIRED && prompts.length === 2 &&
+        prompts[1].includes('Validation errors')) {
+      console.log('✅ PASS - Invalid response re-asked once with errors');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Repaired response:', repaired, prompts.length);
+    }
+
+    prompts.length = 0;
+    replies.push('nope', 'still nope');
+    const invalid = await analyzeMessageWithLLM('Kraken security, call 888-555-1234');
+    const engage = shouldEngageScammer(invalid, 'Kraken security, call 888-555-1234');
+    if (invalid.parseStatus === PARSE_STATUS.INVALID && prompts.length === 2 &&
+        invalid.isScam === false && invalid.validationErrors.length > 0 && engage === false) {
+      console.log('✅ PASS - Gives up after one re-ask with an explicit parseStatus');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Invalid response:', invalid, prompts.length);
+    }
+  } finally {
+    server.close();
+    process.env = previousEnv;
+  }
+
+  console.log(`\n📊 Re-ask Flow Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Run all LLM analysis schema tests
+ */
+async function runLlmAnalysisSchemaTests() {
+  console.log('🧪 Running LLM Analysis Schema Unit Tests...\n');
+  console.log('=' .repeat(60));
+
+  const results = {
+    parsing: await testResponseParsing(),
+    reask: await testReaskFlow()
+  };
+
+  console.log('=' .repeat(60));
+  console.log('📊 Final Results:');
+  console.log(`   Response Parsing: ${results.parsing ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Re-ask Flow: ${results.reask ? '✅ PASS' : '❌ FAIL'}`);
+
+  const allPassed = Object.values(results).every(result => result);
+  console.log(`\n🎯 Overall: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runLlmAnalysisSchemaTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('💥 Test runner crashed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runLlmAnalysisSchemaTests,
+  testResponseParsing,
+  testReaskFlow
+};
@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for the caller and callback-number reputation store
+ */
+
+const {
+  getNumberReputation,
+  recordNumberSighting,
+  recordMessageNumbers,
+  recordAgentEngagement,
+  recordEngagementEnded
+} = require('../../src/number-reputation');
+const { getCallerHistory } = require('../../src/caller-history');
+const { scoreScam } = require('../../src/ensemble-scorer');
+
+/**
+ * Test recording sightings per role
+ */
+async function testSightings() {
+  console.log('📇 Testing Number Sightings...\n');
+
+  let passed = 0;
+  const total = 5;
+
+  await recordMessageNumbers({ callerNumber: '(415) 555-0101', callbackNumber: '888-555-0142', isScam: true, company: 'kraken', channel: 'voicemail', messageId: 'CA1' });
+  await recordMessageNumbers({ callerNumber: '+14155550102', callbackNumber: '1 888 555 0142', isScam: true, company: 'Crack and', channel: 'sms', messageId: 'SM1' });
+
+  const callback = await getNumberReputation('+18885550142');
+  if (callback.roles.callback.sightings === 2 && callback.roles.caller.sightings === 0 && callback.scamSightings === 2 &&
+      callback.companies.kraken?.count === 2 && callback.channels.sms === 1 && callback.channels.voicemail === 1) {
+    console.log('✅ PASS - Callback number sightings are merged across formats, channels and company spellings');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Callback reputation:', callback);
+  }
+
+  if (callback.assessment.verdict === 'known_bad' && callback.assessment.knownBad) {
+    console.log('✅ PASS - Two scam sightings make a number known bad');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Assessment:', callback.assessment);
+  }
+
+  const caller = await getCallerHistory('415-555-0101');
+  if (caller.totalContacts === 1 && caller.scamContacts === 1 && caller.firstSeenAt) {
+    console.log('✅ PASS - Caller history is the caller view of the reputation store');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Caller history:', caller);
+  }
+
+  // A message asking to call back the number it came from counts once
+  await recordMessageNumbers({ callerNumber: '+14155550199', callbackNumber: '415-555-0199', isScam: false, channel: 'voicemail' });
+  const self = await getNumberReputation('+14155550199');
+  if (self.sightings === 1 && self.roles.caller.sightings === 1 && self.assessment.verdict === 'clean') {
+    console.log('✅ PASS - A callback number equal to the caller ID is counted once');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Self callback:', self.roles);
+  }
+
+  const unknown = await getNumberReputation('+12125550000');
+  let rejected = false;
+  try {
+    await recordNumberSighting('+12125550000', { role: 'recipient', isScam: true });
+  } catch (error) {
+    rejected = /Unknown number role/.test(error.message);
+  }
+  if (unknown.sightings === 0 && unknown.assessment.verdict === 'unknown' && rejected && (await getNumberReputation('')) === null) {
+    console.log('✅ PASS - Unknown numbers are empty and invalid roles are rejected');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Unknown number:', unknown.assessment, rejected);
+  }
+
+  console.log(`\n📊 Number Sighting Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test agent engagements and wasted time
+ */
+async function testEngagements() {
+  console.log('⏱️ Testing Agent Engagements...\n');
+
+  let passed = 0;
+  const total = 3;
+  const number = '+18775550199';
+
+  await recordAgentEngagement(number, { callId: 'call-1', company: 'Coinbase' });
+  await recordAgentEngagement(number, { callId: 'call-1', company: 'Coinbase' });
+  let reputation = await getNumberReputation(number);
+  if (reputation.engagements === 1 && reputation.assessment.knownBad) {
+    console.log('✅ PASS - An agent call is counted once and marks the number known bad');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Engagements:', reputation.engagements, reputation.assessment);
+  }
+
+  // call.ended and end-of-call-report both report the same call
+  await recordEngagementEnded(number, { callId: 'call-1', durationSeconds: 754 });
+  await recordEngagementEnded(number, { callId: 'call-1', durationSeconds: 760 });
+  await recordAgentEngagement(number, { callId: 'call-2' });
+  await recordEngagementEnded(number, { callId: 'call-2', durationSeconds: 146, endedReason: 'customer-ended-call' });
+  reputation = await getNumberReputation(number);
+  if (reputation.secondsWasted === 900 && reputation.assessment.minutesWasted === 15 && reputation.engagements === 2) {
+    console.log('✅ PASS - Scammer minutes wasted add up once per call');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Time wasted:', reputation.secondsWasted, reputation.assessment);
+  }
+
+  const types = reputation.events.map(event => event.type).join(',');
+  if (types === 'engagement,engagement_ended,engagement,engagement_ended') {
+    console.log('✅ PASS - Engagements appear in the number history');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Events:', types);
+  }
+
+  console.log(`\n📊 Agent Engagement Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test that a known-bad callback number raises the ensemble score
+ */
+async function testEnsembleFeature() {
+  console.log('🧮 Testing Callback Reputation Feature...\n');
+
+  let passed = 0;
+  const total = 3;
+  const llmAnalysis = { isScam: false, confidence: 40, scamType: 'not_a_scam', parseStatus: 'valid' };
+
+  const fresh = scoreScam({ llmAnalysis, callbackReputation: await getNumberReputation('+13125550123') });
+  const knownBad = scoreScam({ llmAnalysis, callbackReputation: await getNumberReputation('+18885550142') });
+  const feature = knownBad.breakdown.find(entry => entry.signal === 'callbackReputation');
+  if (knownBad.probability > fresh.probability && feature.available && feature.contribution > 0) {
+    console.log('✅ PASS - A known-bad callback number raises the scam probability');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Callback reputation scoring:', fresh.probability, knownBad.probability, feature);
+  }
+
+  const engagedOnly = scoreScam({ llmAnalysis, callbackReputation: { scamSightings: 0, engagements: 4 } });
+  if (engagedOnly.probability === fresh.probability &&
+      engagedOnly.breakdown.find(entry => entry.signal === 'callbackReputation').contribution === 0) {
+    console.log('✅ PASS - Our own agent calls to a number are not counted as scam evidence');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Engagements counted:', fresh.probability, engagedOnly.probability);
+  }
+
+  const missing = scoreScam({ llmAnalysis }).breakdown.find(entry => entry.signal === 'callbackReputation');
+  if (!missing.available && missing.contribution === 0) {
+    console.log('✅ PASS - Messages without a callback number get no reputation signal');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Missing callback number:', missing);
+  }
+
+  console.log(`\n📊 Callback Reputation Feature Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Run all number reputation tests
+ */
+async function runNumberReputationTests() {
+  console.log('🧪 Running Number Reputation Unit Tests...\n');
+  console.log('=' .repeat(60));
+
+  // Reputation uses the in-memory store in tests
+  const savedRedisUrl = process.env.UPSTASH_REDIS_URL;
+  delete process.env.UPSTASH_REDIS_URL;
+
+  let results;
+  try {
+    results = {
+      sightings: await testSightings(),
+      engagements: await testEngagements(),
+      ensemble: await testEnsembleFeature()
+    };
+  } finally {
+    if (savedRedisUrl !== undefined) process.env.UPSTASH_REDIS_URL = savedRedisUrl;
+  }
+
+  console.log('=' .repeat(60));
+  console.log('📊 Final Results:');
+  console.log(`   Number Sightings: ${results.sightings ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Agent Engagements: ${results.engagements ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Callback Reputation Feature: ${results.ensemble ? '✅ PASS' : '❌ FAIL'}`);
+
+  const allPassed = Object.values(results).every(result => result);
+  console.log(`\n🎯 Overall: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runNumberReputationTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('💥 Test runner crashed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runNumberReputationTests,
+  testSightings,
+  testEngagements,
+  testEnsembleFeature
+};
@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for persona A/B experiments: definitions, variant allocation and result reporting
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadExperiments,
+  reloadExperiments,
+  normalizeExperiment,
+  matchExperiment,
+  resolveVariantPersona,
+  allocateVariant,
+  assignVariant,
+  recordExperimentOutcome,
+  getExperimentReport,
+  estimateTrafficShare,
+  summarizeDurations,
+  wilsonInterval,
+  resetExperimentResults,
+  DEFAULT_EXPERIMENTS_DIR
+} = require('../../src/persona-experiments');
+const { seededRandom } = require('../../src/agent-sync');
+const { assignExperimentAssistant } = require('../../src/vapi-service');
+
+const EXPERIMENT = {
+  id: 'test-opening',
+  scamTypes: ['crypto_exchange'],
+  companies: ['Coinbase'],
+  allocation: 'bandit',
+  minSamples: 5,
+  variants: [
+    { id: 'control', persona: 'coinbase' },
+    { id: 'anxious', persona: 'coinbase', voiceId: 'Cole', temperature: 0.9, firstMessage: 'Is this {company}? I am so worried.' }
+  ]
+};
+
+function withStats(variants) {
+  return { variants };
+}
+
+/**
+ * Test loading, validating and matching experiment definitions
+ */
+function testDefinitions() {
+  console.log('\n🧪 Testing Experiment Definitions');
+  console.log('-'.repeat(40));
+
+  let passed = 0;
+  const total = 3;
+
+  const shipped = loadExperiments({ paths: [DEFAULT_EXPERIMENTS_DIR] });
+  const invalid = [
+    { ...EXPERIMENT, variants: [EXPERIMENT.variants[0]] },
+    { ...EXPERIMENT, allocation: 'round-robin' },
+    { ...EXPERIMENT, variants: [EXPERIMENT.variants[0], { ...EXPERIMENT.variants[1], weight: 0 }] },
+    { ...EXPERIMENT, variants: [EXPERIMENT.variants[0], { ...EXPERIMENT.variants[1], id: 'control' }] },
+    { ...EXPERIMENT, variants: [EXPERIMENT.variants[0], { ...EXPERIMENT.variants[1], temperature: 5 }] },
+    { ...EXPERIMENT, id: '' }
+  ];
+  if (shipped.length > 0 && shipped.every(experiment => experiment.enabled === false) &&
+      matchExperiment('crypto_exchange', 'Coinbase', shipped) === null &&
+      invalid.every(raw => normalizeExperiment(raw, 'test') === null)) {
+    console.log('✅ PASS - Shipped examples load switched off; invalid experiments are rejected');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Definitions:', shipped);
+  }
+
+  const experiment = normalizeExperiment(EXPERIMENT);
+  const experiments = [experiment];
+  if (matchExperiment('crypto_exchange', 'coinbase support', experiments)?.id === 'test-opening' &&
+      matchExperiment('crypto_exchange', 'Kraken', experiments) === null &&
+      matchExperiment('it_support', 'Coinbase', experiments) === null &&
+      matchExperiment('crypto_exchange', null, experiments) === null &&
+      experiment.successSeconds === 300 && experiment.variants[0].weight === 1) {
+    console.log('✅ PASS - Experiments match their scam types and companies (aliases included)');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Matching:', experiment);
+  }
+
+  const anxious = resolveVariantPersona(experiment.variants[1], 'crypto_exchange', 'Coinbase');
+  const fallback = resolveVariantPersona({ id: 'plain', persona: null, temperature: null, overrides: {} }, 'it_support', null);
+  const broken = resolveVariantPersona({ ...experiment.variants[1], overrides: { firstMessage: 'Hi {nickname}' } }, 'crypto_exchange', 'Coinbase');
+  if (anxious.id === 'coinbase' && anxious.voiceId === 'Cole' && anxious.model.temperature === 0.9 &&
+      anxious.model.model === 'gpt-4' && anxious.firstMessage === 'Is this {company}? I am so worried.' &&
+      fallback?.id === 'it-support' && broken === null) {
+    console.log('✅ PASS - Variants override their persona; without one they use the persona the scam would get');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Variant personas:', anxious, fallback?.id, broken);
+  }
+
+  console.log(`\n📊 Experiment Definitions Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test weighted and bandit allocation and the statistics behind the report
+ */
+function testAllocation() {
+  console.log('\n🎰 Testing Variant Allocation');
+  console.log('-'.repeat(40));
+
+  let passed = 0;
+  const total = 4;
+
+  const weighted = normalizeExperiment({
+    ...EXPERIMENT,
+    allocation: 'weighted',
+    variants: [{ ...EXPERIMENT.variants[0], weight: 3 }, EXPERIMENT.variants[1]]
+  });
+  const random = seededRandom('weighted');
+  let control = 0;
+  for (let draw = 0; draw < 2000; draw++) {
+    if (allocateVariant(weighted, withStats({}), random).id === 'control') control++;
+  }
+  if (control / 2000 > 0.7 && control / 2000 < 0.8 && estimateTrafficShare(weighted, withStats({})).control === 0.75) {
+    console.log(`✅ PASS - Weighted experiments split traffic by weight (${control}/2000 to a 3:1 control)`);
+    passed++;
+  } else {
+    console.log('❌ FAIL - Weighted split:', control);
+  }
+
+  const bandit = normalizeExperiment(EXPERIMENT);
+  const exploring = withStats({
+    control: { assigned: 20, completed: 20, successes: 18, outcomes: [] },
+    anxious: { assigned: 3, completed: 3, successes: 0, outcomes: [] }
+  });
+  const banditRandom = seededRandom('explore');
+  const explored = Array.from({ length: 200 }, () => allocateVariant(bandit, exploring, banditRandom).id);
+  if (explored.every(id => id === 'anxious') && estimateTrafficShare(bandit, exploring).anxious === 1) {
+    console.log('✅ PASS - The bandit keeps exploring until every variant has minSamples completed calls');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Exploration:', explored.filter(id => id === 'control').length);
+  }
+
+  const exploiting = withStats({
+    control: { assigned: 40, completed: 40, successes: 8, outcomes: [] },
+    anxious: { assigned: 40, completed: 40, successes: 28, outcomes: [] }
+  });
+  const shares = estimateTrafficShare(bandit, exploiting, seededRandom('exploit'));
+  const even = estimateTrafficShare(bandit, withStats({
+    control: { assigned: 40, completed: 40, successes: 20, outcomes: [] },
+    anxious: { assigned: 40, completed: 40, successes: 20, outcomes: [] }
+  }), seededRandom('even'));
+  if (shares.anxious > 0.95 && shares.control < 0.05 && even.control > 0.4 && even.control < 0.6) {
+    console.log(`✅ PASS - Thompson sampling shifts traffic to the winner (${shares.anxious}) and splits ties`);
+    passed++;
+  } else {
+    console.log('❌ FAIL - Bandit shares:', shares, even);
+  }
+
+  const interval = wilsonInterval(17, 40);
+  const none = wilsonInterval(0, 10);
+  const durations = summarizeDurations([30, 90, 200, 320, 700, 900]);
+  if (interval.low > 0.27 && interval.low < 0.3 && interval.high > 0.56 && interval.high < 0.59 &&
+      none.low === 0 && none.high > 0.25 && wilsonInterval(0, 0) === null &&
+      durations.medianSeconds === 260 && durations.maxSeconds === 900 && durations.totalMinutes === 37.3 &&
+      durations.histogram.map(bucket => bucket.count).join() === '1,1,1,1,2') {
+    console.log('✅ PASS - Wilson intervals and time-wasted distributions are computed');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Statistics:', interval, none, durations);
+  }
+
+  console.log(`\n📊 Variant Allocation Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test assigning callbacks, recording outcomes and reporting them
+ */
+async function testResults() {
+  console.log('\n📈 Testing Experiment Results');
+  console.log('-'.repeat(40));
+
+  let passed = 0;
+  const total = 4;
+  resetExperimentResults();
+  const experiments = [normalizeExperiment({ ...EXPERIMENT, successSeconds: 120 })];
+
+  const assignment = await assignVariant('crypto_exchange', 'Coinbase', { experiments, random: seededRandom('assign') });
+  const savedFlag = process.env.EXPERIMENTS;
+  process.env.EXPERIMENTS = 'false';
+  const disabled = await assignVariant('crypto_exchange', 'Coinbase', { experiments });
+  if (savedFlag === undefined) delete process.env.EXPERIMENTS;
+  else process.env.EXPERIMENTS = savedFlag;
+  const unmatched = await assignVariant('romance', null, { experiments });
+  const [afterAssign] = await getExperimentReport({ experiments });
+  if (assignment && assignment.experimentId === 'test-opening' && assignment.persona.id === 'coinbase' && disabled === null &&
+      unmatched === null && afterAssign.variants.reduce((sum, variant) => sum + variant.assigned, 0) === 1) {
+    console.log('✅ PASS - Covered callbacks are assigned and counted; EXPERIMENTS=false turns assignment off');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Assignment:', assignment, disabled, unmatched);
+  }
+
+  await recordExperimentOutcome({ experimentId: 'test-opening', variantId: 'anxious', callId: 'call-1', durationSeconds: 400 }, experiments);
+  await recordExperimentOutcome({ experimentId: 'test-opening', variantId: 'anxious', callId: 'call-1', durationSeconds: 400 }, experiments);
+  await recordExperimentOutcome({ experimentId: 'test-opening', variantId: 'anxious', callId: 'call-2', durationSeconds: 150 }, experiments);
+  await recordExperimentOutcome({ experimentId: 'test-opening', variantId: 'control', callId: 'call-3', durationSeconds: 45 }, experiments);
+  await recordExperimentOutcome({ experimentId: 'test-opening', variantId: 'control', callId: 'call-4', durationSeconds: NaN }, experiments);
+  const [report] = await getExperimentReport({ experimentId: 'test-opening', experiments });
+  const anxious = report.variants.find(variant => variant.id === 'anxious');
+  const controlVariant = report.variants.find(variant => variant.id === 'control');
+  if (anxious.completed === 2 && anxious.successes === 2 && anxious.successRate === 1 &&
+      controlVariant.completed === 1 && controlVariant.successes === 0 && report.leader === 'anxious') {
+    console.log('✅ PASS - Outcomes are counted once per call against the experiment\'s success threshold');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Outcomes:', report.variants);
+  }
+
+  let unknown = null;
+  try {
+    await getExperimentReport({ experimentId: 'missing', experiments });
+  } catch (error) {
+    unknown = error.code;
+  }
+  if (anxious.successRateInterval.high === 1 && anxious.successRateInterval.low < 0.5 &&
+      anxious.timeWasted.totalMinutes === 9.2 && anxious.timeWasted.medianSeconds === 275 &&
+      controlVariant.trafficShare === 0.5 && unknown === 'UNKNOWN_EXPERIMENT') {
+    console.log('✅ PASS - Reports show confidence intervals, time wasted and where traffic goes next');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Report:', anxious, controlVariant.trafficShare, unknown);
+  }
+
+  const extraDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sipsentinel-experiments-'));
+  const savedPath = process.env.EXPERIMENTS_PATH;
+  try {
+    fs.writeFileSync(path.join(extraDir, 'coinbase.json'), JSON.stringify({
+      ...EXPERIMENT,
+      id: 'coinbase-only-anxious',
+      allocation: 'weighted',
+      variants: [{ ...EXPERIMENT.variants[1], id: 'anxious-a' }, { ...EXPERIMENT.variants[1], id: 'anxious-b' }]
+    }));
+    process.env.EXPERIMENTS_PATH = extraDir;
+    reloadExperiments();
+    const built = await assignExperimentAssistant('crypto_exchange', { impersonatedCompany: 'Coinbase' });
+    if (built && built.assistant.name === 'Coinbase Jim' && built.assistant.firstMessage === 'Is this Coinbase? I am so worried.' &&
+        built.assistant.voice.voiceId === 'Cole' && built.assistant.model.temperature === 0.9 &&
+        (await assignExperimentAssistant('crypto_exchange', { impersonatedCompany: 'Kraken' })) === null) {
+      console.log('✅ PASS - Agent callbacks covered by an experiment get an assistant built from their variant');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Experiment assistant:', built);
+    }
+  } finally {
+    if (savedPath === undefined) delete process.env.EXPERIMENTS_PATH;
+    else process.env.EXPERIMENTS_PATH = savedPath;
+    reloadExperiments();
+    resetExperimentResults();
+    fs.rmSync(extraDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Results Reporting Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Run all persona experiment tests
+ */
+async function runPersonaExperimentTests() {
+  console.log('🧪 SIPSentinel Persona Experiment Tests\n');
+  console.log('=' .repeat(60));
+
+  const results = {
+    definitions: testDefinitions(),
+    allocation: testAllocation(),
+    results: await testResults()
+  };
+
+  console.log('=' .repeat(60));
+  console.log('📊 Final Results:');
+  console.log(`   Experiment Definitions: ${results.definitions ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Variant Allocation: ${results.allocation ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Experiment Results: ${results.results ? '✅ PASS' : '❌ FAIL'}`);
+
+  const allPassed = Object.values(results).every(result => result);
+  console.log(`\n🎯 Overall: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runPersonaExperimentTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('💥 Test runner crashed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runPersonaExperimentTests,
+  testDefinitions,
+  testAllocation,
+  testResults
+};
@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for the persona library and the agents rendered from it
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadPersonaLibrary,
+  reloadPersonaLibrary,
+  listPersonas,
+  getPersona,
+  selectPersona,
+  renderPersona,
+  normalizePersona,
+  DEFAULT_PERSONAS_DIR
+} = require('../../src/persona-library');
+const { createTransientAssistant } = require('../../src/vapi-service');
+
+const FEMALE_VOICES = ['Paige', 'Hana', 'Kylie', 'Lily', 'Savannah', 'Neha'];
+
+const VALID_PERSONA = {
+  id: 'test-bank',
+  scamTypes: ['banking'],
+  companies: ['Chase'],
+  firstName: 'Dana',
+  gender: 'female',
+  firstMessage: 'Hi, is this {company}?',
+  systemPrompt: 'You are {name} from {city}.',
+  stallingTactics: ['Ask {company} to repeat everything']
+};
+
+/**
+ * Test loading the shipped personas and rejecting invalid ones
+ */
+function testLoading() {
+  console.log('\n📚 Testing Persona Loading');
+  console.log('-'.repeat(40));
+
+  let passed = 0;
+  const total = 3;
+
+  const files = fs.readdirSync(DEFAULT_PERSONAS_DIR).filter(name => /\.(ya?ml|json)$/.test(name));
+  const ids = listPersonas().map(persona => persona.id);
+  if (ids.length === files.length && ['coinbase', 'kraken', 'binance', 'microsoft', 'crypto-exchange', 'it-support', 'generic'].every(id => ids.includes(id))) {
+    console.log(`✅ PASS - Every shipped persona file loads (${ids.join(', ')})`);
+    passed++;
+  } else {
+    console.log('❌ FAIL - Shipped personas:', ids, files);
+  }
+
+  const kraken = getPersona('kraken');
+  const generic = getPersona('generic');
+  if (kraken.gender === 'female' && kraken.model.model === 'gpt-4' && kraken.silenceTimeoutSeconds === 45 &&
+      kraken.maxDurationSeconds === 900 && kraken.stallingTactics.length === 6 &&
+      generic.model.model === 'gpt-4-turbo' && generic.endCallPhrases.includes('goodbye') && generic.silenceTimeoutSeconds === null) {
+    console.log('✅ PASS - Persona settings are read, with defaults for the rest');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Persona settings:', kraken, generic);
+  }
+
+  const invalid = [
+    { ...VALID_PERSONA, systemPrompt: 'You are {nickname}.' },
+    { ...VALID_PERSONA, firstMessage: '' },
+    { ...VALID_PERSONA, companies: [] },
+    { ...VALID_PERSONA, gender: 'robot' },
+    { ...VALID_PERSONA, firstName: undefined },
+    { ...VALID_PERSONA, id: '' }
+  ];
+  if (normalizePersona(VALID_PERSONA) && invalid.every(raw => normalizePersona(raw, 'test') === null)) {
+    console.log('✅ PASS - Unknown variables, missing fields, {company} without a company and bad genders are rejected');
+    passed++;
+  } else {
+    console.log('❌ FAIL - An invalid persona was accepted');
+  }
+
+  console.log(`\n📊 Persona Loading Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test choosing a persona for a scam and rendering its templates
+ */
+function testSelectionAndRendering() {
+  console.log('\n🎭 Testing Persona Selection and Rendering');
+  console.log('-'.repeat(40));
+
+  let passed = 0;
+  const total = 4;
+
+  const picks = {
+    coinbase: selectPersona('crypto_exchange', 'Coinbase')?.id,
+    alias: selectPersona('crypto_exchange', 'coinbase support')?.id,
+    otherExchange: selectPersona('crypto_exchange', 'Gemini')?.id,
+    noCompany: selectPersona('it_support', null)?.id,
+    otherType: selectPersona('banking', 'Chase')?.id,
+    wrongType: selectPersona('banking', 'Coinbase')?.id
+  };
+  if (picks.coinbase === 'coinbase' && picks.alias === 'coinbase' && picks.otherExchange === 'crypto-exchange' &&
+      picks.noCompany === 'it-support' && picks.otherType === 'generic' && picks.wrongType === 'generic') {
+    console.log('✅ PASS - Company personas win, then scam-type personas, then the catch-all');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Selection:', picks);
+  }
+
+  const persona = normalizePersona(VALID_PERSONA);
+  const rendered = renderPersona(persona, { lastName: 'Reyes', city: 'Tulsa, OK' });
+  if (rendered.assistantName === 'Chase Dana' && rendered.firstMessage === 'Hi, is this Chase?' &&
+      rendered.systemPrompt === 'You are Dana Reyes from Tulsa, OK.\n\nKey behaviors:\n- Ask Chase to repeat everything') {
+    console.log('✅ PASS - Variables are filled and tactics are listed after a prompt that does not place them');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Rendered persona:', rendered);
+  }
+
+  const exchange = renderPersona(getPersona('crypto-exchange'), { company: 'Gemini', lastName: 'Kim', city: 'Reno, NV' });
+  if (exchange.assistantName === 'Gemini Mike' && exchange.systemPrompt.includes('- Ask lots of questions about the security issue and what Gemini needs you to do') &&
+      !/\{\w+\}/.test(exchange.systemPrompt + exchange.firstMessage)) {
+    console.log('✅ PASS - Shipped personas render with no unfilled variables');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Crypto exchange persona:', exchange);
+  }
+
+  if (selectPersona('banking', 'Chase', []) === null && selectPersona('banking', 'Chase', [persona])?.id === 'test-bank') {
+    console.log('✅ PASS - Selection works on any persona list and returns null when nothing fits');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Selection on a custom list');
+  }
+
+  console.log(`\n📊 Selection and Rendering Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test that agents render from the library and that PERSONAS_PATH overrides it
+ */
+function testAgents() {
+  console.log('\n🤖 Testing Agents Rendered From Personas');
+  console.log('-'.repeat(40));
+
+  let passed = 0;
+  const total = 4;
+
+  const coinbase = createTransientAssistant('crypto_exchange', { impersonatedCompany: 'Coinbase' });
+  if (coinbase.name === 'Coinbase Jim' && coinbase.model.model === 'gpt-4' && coinbase.maxDurationSeconds === 900 &&
+      coinbase.silenceTimeoutSeconds === 45 && /^You are Jim \w+ from [^,]+, [A-Z]{2}, a concerned Coinbase user/.test(coinbase.model.messages[0].content)) {
+    console.log('✅ PASS - Transient assistants render from the company persona');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Coinbase assistant:', coinbase);
+  }
+
+  const kraken = createTransientAssistant('crypto_exchange', { impersonatedCompany: 'Kraken' });
+  const gemini = createTransientAssistant('crypto_exchange', { cryptoTerms: ['Gemini'] });
+  const other = createTransientAssistant('romance', {});
+  if (FEMALE_VOICES.includes(kraken.voice.voiceId) && gemini.name === 'Gemini Mike' && gemini.firstMessage.includes('Gemini') &&
+      other.name.startsWith('Generic Alex') && other.firstMessage === 'Hello? I got a message to call this number.') {
+    console.log('✅ PASS - Voices follow the persona gender and scam-type and catch-all personas fill in');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Assistants:', kraken.voice, gemini.name, other.name);
+  }
+
+  const { createAgentTemplates } = require('../../bin/create-agents');
+  const templates = createAgentTemplates();
+  if (Object.keys(templates).length === listPersonas().length && templates.microsoft.name === 'Microsoft Mike' &&
+      templates.microsoft.model.messages[0].content.includes('- Pretend to be not tech-savvy')) {
+    console.log('✅ PASS - create-agents builds one template per persona');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Agent templates:', Object.keys(templates));
+  }
+
+  const extraDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sipsentinel-personas-'));
+  const saved = process.env.PERSONAS_PATH;
+  try {
+    fs.writeFileSync(path.join(extraDir, 'coinbase.json'), JSON.stringify({
+      ...VALID_PERSONA, id: 'coinbase', scamTypes: ['crypto_exchange'], companies: ['Coinbase'], firstName: 'Riley'
+    }));
+    fs.writeFileSync(path.join(extraDir, 'broken.yaml'), 'id: [unclosed');
+    process.env.PERSONAS_PATH = extraDir;
+    reloadPersonaLibrary();
+    const overridden = createTransientAssistant('crypto_exchange', { impersonatedCompany: 'Coinbase' });
+    const count = loadPersonaLibrary().personas.length;
+    if (overridden.name === 'Coinbase Riley' && overridden.firstMessage === 'Hi, is this Coinbase?' && count === listPersonas().length) {
+      console.log('✅ PASS - PERSONAS_PATH personas replace built-in ones with the same id; broken files are skipped');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Override:', overridden.name, count);
+    }
+  } finally {
+    if (saved === undefined) delete process.env.PERSONAS_PATH;
+    else process.env.PERSONAS_PATH = saved;
+    reloadPersonaLibrary();
+    fs.rmSync(extraDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Agents Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Run all persona library tests
+ */
+async function runPersonaLibraryTests() {
+  console.log('🧪 SIPSentinel Persona Library Tests\n');
+  console.log('=' .repeat(60));
+
+  const results = {
+    loading: testLoading(),
+    selection: testSelectionAndRendering(),
+    agents: testAgents()
+  };
+
+  console.log('=' .repeat(60));
+  console.log('📊 Final Results:');
+  console.log(`   Persona Loading: ${results.loading ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Selection and Rendering: ${results.selection ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Agents From Personas: ${results.agents ? '✅ PASS' : '❌ FAIL'}`);
+
+  const allPassed = Object.values(results).every(result => result);
+  console.log(`\n🎯 Overall: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runPersonaLibraryTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('💥 Test runner crashed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runPersonaLibraryTests,
+  testLoading,
+  testSelectionAndRendering,
+  testAgents
+};
@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for phone utilities (international parsing, number types, redaction)
+ */
+
+const {
+  formatToE164,
+  isValidPhoneNumber,
+  getNumberType,
+  checkAutoCallable,
+  redactPhoneNumber,
+  redactPhoneNumbersInText,
+  getDefaultRegion
+} = require('../../src/phone-utils');
+
+/**
+ * Test E.164 formatting and validation across regions
+ */
+async function testFormatting() {
+  console.log('🌍 Testing Formatting...\n');
+
+  const testCases = [
+    { name: 'US national number', input: '(888) 555-0142', expected: '+18885550142' },
+    { name: 'UK number with +', input: '+44 20 7946 0958', expected: '+442079460958' },
+    { name: 'UK national number in GB region', input: '07911 123456', region: 'GB', expected: '+447911123456' },
+    { name: 'India with 00 prefix', input: '00 91 98765 43210', expected: '+919876543210' },
+    { name: 'India with 011 prefix', input: '011 91 98765 43210', expected: '+919876543210' },
+    { name: 'German national number in DE region', input: '030 1234567', region: 'DE', expected: '+49301234567' },
+    { name: 'Too short to be a number', input: '4829', expected: null }
+  ];
+
+  let passed = 0;
+
+  for (const testCase of testCases) {
+    const result = formatToE164(testCase.input, testCase.region);
+    if (result === testCase.expected) {
+      console.log(`✅ PASS - ${testCase.name}: ${result}`);
+      passed++;
+    } else {
+      console.log(`❌ FAIL - ${testCase.name}: expected ${testCase.expected}, got ${result}`);
+    }
+  }
+
+  const validity = [
+    ['+447911123456', true],
+    ['+919876543210', true],
+    ['123-456-7890', false]
+  ];
+  const validityOk = validity.every(([input, expected]) => isValidPhoneNumber(input) === expected);
+  if (validityOk) {
+    console.log('✅ PASS - Validation follows each country\'s numbering plan');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Validation:', validity.map(([input]) => [input, isValidPhoneNumber(input)]));
+  }
+
+  const total = testCases.length + 1;
+  console.log(`\n📊 Formatting Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test number types and the auto-call guard
+ */
+async function testNumberTypes() {
+  console.log('📞 Testing Number Types...\n');
+
+  let passed = 0;
+  const total = 3;
+
+  if (getNumberType('+447911123456') === 'mobile' && getNumberType('+18005550142') === 'toll_free') {
+    console.log('✅ PASS - Mobile and toll-free numbers are detected');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Number types:', getNumberType('+447911123456'), getNumberType('+18005550142'));
+  }
+
+  const premium = checkAutoCallable('+19005550123');
+  if (!premium.allowed && premium.type === 'premium_rate' && premium.reason === 'premium-rate number') {
+    console.log('✅ PASS - Premium-rate numbers are never auto-called');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Premium-rate guard:', premium);
+  }
+
+  if (checkAutoCallable('+18885550142').allowed && checkAutoCallable('+447911123456').allowed) {
+    console.log('✅ PASS - Toll-free and mobile numbers can be called');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Callable numbers were blocked');
+  }
+
+  console.log(`\n📊 Number Type Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test redaction of single numbers and free text
+ */
+async function testRedaction() {
+  console.log('🔒 Testing Redaction...\n');
+
+  const testCases = [
+    { name: 'US number', input: '+15551234589', expected: '15551XXXX89' },
+    { name: 'UK mobile', input: '+447911123456', expected: '4479XXXXXX56' },
+    { name: 'India mobile', input: '+919876543210', expected: '9198XXXXXX10' }
+  ];
+
+  let passed = 0;
+
+  for (const testCase of testCases) {
+    const result = redactPhoneNumber(testCase.input);
+    if (result === testCase.expected) {
+      console.log(`✅ PASS - ${testCase.name}: ${result}`);
+      passed++;
+    } else {
+      console.log(`❌ FAIL - ${testCase.name}: expected ${testCase.expected}, got ${result}`);
+    }
+  }
+
+  const text = 'Call +44 7911 123456, +91 98765 43210, +33 6 12 34 56 78 or (555) 123-4567. ' +
+    'Again: 3 3 0 9 7 8 8 9 4 7. Your code is 482913.';
+  const redacted = redactPhoneNumbersInText(text);
+  const leaked = ['7911 123456', '98765 43210', '6 12 34 56 78', '123-4567', '3 3 0 9 7 8 8 9 4 7']
+    .filter(fragment => redacted.includes(fragment));
+  if (leaked.length === 0 && redacted.includes('482913') && redacted.includes('4479XXXXXX56')) {
+    console.log('✅ PASS - UK, Indian, EU, US and spaced numbers are redacted in text');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Text redaction:', redacted);
+  }
+
+  const ukText = redactPhoneNumbersInText('ring 020 7946 0958 today', 'GB');
+  if (ukText === 'ring 4420XXXXXX58 today') {
+    console.log('✅ PASS - National numbers are read in the given region');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Regional redaction:', ukText);
+  }
+
+  const total = testCases.length + 2;
+  console.log(`\n📊 Redaction Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test the configurable default region
+ */
+async function testDefaultRegion() {
+  console.log('🗺️ Testing Default Region...\n');
+
+  const original = process.env.DEFAULT_PHONE_REGION;
+  let passed = 0;
+  const total = 2;
+
+  try {
+    process.env.DEFAULT_PHONE_REGION = 'gb';
+    if (getDefaultRegion() === 'GB' && formatToE164('07911 123456') === '+447911123456') {
+      console.log('✅ PASS - DEFAULT_PHONE_REGION changes how national numbers are read');
+      passed++;
+    } else {
+      console.log('❌ FAIL - GB region:', getDefaultRegion(), formatToE164('07911 123456'));
+    }
+
+    process.env.DEFAULT_PHONE_REGION = 'not-a-region';
+    if (getDefaultRegion() === 'US') {
+      console.log('✅ PASS - Invalid regions fall back to US');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Fallback region:', getDefaultRegion());
+    }
+  } finally {
+    if (original === undefined) {
+      delete process.env.DEFAULT_PHONE_REGION;
+    } else {
+      process.env.DEFAULT_PHONE_REGION = original;
+    }
+  }
+
+  console.log(`\n📊 Default Region Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Run all phone utility tests
+ */
+async function runPhoneUtilsTests() {
+  console.log('🧪 Running Phone Utils Unit Tests...\n');
+  console.log('=' .repeat(60));
+
+  const results = {
+    formatting: await testFormatting(),
+    numberTypes: await testNumberTypes(),
+    redaction: await testRedaction(),
+    defaultRegion: await testDefaultRegion()
+  };
+
+  console.log('=' .repeat(60));
+  console.log('📊 Final Results:');
+  console.log(`   Formatting: ${results.formatting ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Number Types: ${results.numberTypes ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Redaction: ${results.redaction ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Default Region: ${results.defaultRegion ? '✅ PASS' : '❌ FAIL'}`);
+
+  const allPassed = Object.values(results).every(result => result);
+  console.log(`\n🎯 Overall: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runPhoneUtilsTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('💥 Test runner crashed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runPhoneUtilsTests,
+  testFormatting,
+  testNumberTypes,
+  testRedaction,
+  testDefaultRegion
+};
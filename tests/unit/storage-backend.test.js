@@ -0,0 +1,472 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for the storage backends and the storage pipeline on the local filesystem
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const {
+  createStorageBackend,
+  resolveStorageConfig,
+  verifySignedUrl,
+  resetStorage
+} = require('../../src/storage-backend');
+
+const ACCOUNT_SID = 'AC-storage-test';
+const CALL_SID = 'CA-storage-1';
+const RECORDING_SID = 'RE-storage-1';
+
+/**
+ * Create a local backend in a fresh temporary directory
+ */
+function createLocalStorage(env = {}) {
+  const localDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sipsentinel-storage-'));
+  const config = resolveStorageConfig({ STORAGE_BACKEND: 'local', STORAGE_LOCAL_DIR: localDir, ...env });
+  return { storage: createStorageBackend(config), config, localDir };
+}
+
+/**
+ * Expect a promise to reject with an error code
+ */
+async function rejectsWith(promise, code) {
+  try {
+    await promise;
+    return false;
+  } catch (error) {
+    return error.code === code;
+  }
+}
+
+/**
+ * Expect a function to throw an error with a code
+ */
+function throwsWith(fn, code) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return error.code === code;
+  }
+}
+
+/**
+ * Test the local filesystem backend's object operations
+ */
+async function testLocalBackend() {
+  console.log('\n🗄️ Testing Local Backend');
+  console.log('-'.repeat(40));
+
+  let passed = 0;
+  const total = 7;
+  const { storage, localDir } = createLocalStorage();
+
+  try {
+    await storage.put('metadata/CA-1.json', '{"callSid":"CA-1"}');
+    await storage.put('metadata/CA-2.json', '{"callSid":"CA-2"}');
+    await storage.put('transcriptions/CA-1/RE-1.txt', 'hello');
+    const content = await storage.get('metadata/CA-1.json');
+    const head = await storage.head('transcriptions/CA-1/RE-1.txt');
+    if (content && content.toString() === '{"callSid":"CA-1"}' && head && head.size === 5 && head.contentType === 'text/plain') {
+      console.log('✅ PASS - Objects round-trip through put, get and head');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Round trip:', content, head);
+    }
+
+    const listed = await storage.list('metadata/');
+    const limited = await storage.list('', { limit: 1 });
+    if (listed.map(object => object.key).join(',') === 'metadata/CA-1.json,metadata/CA-2.json' &&
+        listed.every(object => object.lastModified instanceof Date) && limited.length === 1) {
+      console.log('✅ PASS - Listing filters by prefix, sorts keys and honours the limit');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Listing:', listed, limited);
+    }
+
+    if (await storage.get('metadata/missing.json') === null && await storage.head('metadata/missing.json') === null) {
+      console.log('✅ PASS - Missing objects read as null');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Missing object was returned');
+    }
+
+    const conflict = await rejectsWith(storage.put('metadata/CA-1.json', 'overwrite', { ifNoneMatch: true }), 'OBJECT_EXISTS');
+    const unchanged = (await storage.get('metadata/CA-1.json')).toString() === '{"callSid":"CA-1"}';
+    if (conflict && unchanged) {
+      console.log('✅ PASS - Write-once puts reject an existing key');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Write-once put:', { conflict, unchanged });
+    }
+
+    await storage.put('recordings/RE-1.wav', Buffer.from('0123456789'));
+    const range = await storage.get('recordings/RE-1.wav', { range: { start: 2, end: 5 } });
+    const openRange = await storage.get('recordings/RE-1.wav', { range: { start: 7 } });
+    const readStream = async stream => {
+      const chunks = [];
+      for await (const chunk of stream) chunks.push(chunk);
+      return Buffer.concat(chunks).toString();
+    };
+    const streamed = await readStream(await storage.getStream('recordings/RE-1.wav', { range: { start: 2, end: 50 } }));
+    const whole = await readStream(await storage.getStream('recordings/RE-1.wav'));
+    if (range.toString() === '2345' && openRange.toString() === '789' && streamed === '23456789' && whole === '0123456789' &&
+        await storage.getStream('recordings/RE-missing.wav') === null) {
+      console.log('✅ PASS - Byte ranges are served inclusively, buffered or streamed');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Ranges:', range.toString(), openRange.toString());
+    }
+
+    const traversal = await rejectsWith(storage.get('../outside.txt'), 'INVALID_STORAGE_KEY') &&
+      await rejectsWith(storage.put('/etc/passwd', 'x'), 'INVALID_STORAGE_KEY') &&
+      await rejectsWith(storage.put('metadata/../../x', 'x'), 'INVALID_STORAGE_KEY');
+    if (traversal) {
+      console.log('✅ PASS - Keys that escape the storage directory are rejected');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Path traversal was allowed');
+    }
+
+    await storage.delete('metadata/CA-2.json');
+    const url = storage.objectUrl(`${ACCOUNT_SID}/${RECORDING_SID}`);
+    if (await storage.get('metadata/CA-2.json') === null && url.startsWith('file://') &&
+        storage.keyFromUrl(url) === `${ACCOUNT_SID}/${RECORDING_SID}` &&
+        storage.keyFromUrl('https://api.twilio.com/recording.wav') === null) {
+      console.log('✅ PASS - Deletes remove objects and object URLs map back to keys');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Delete or object URL:', url);
+    }
+  } finally {
+    fs.rmSync(localDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Local Backend Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test HMAC-signed URLs for the local backend
+ */
+async function testSignedUrls() {
+  console.log('\n🔑 Testing Signed URLs');
+  console.log('-'.repeat(40));
+
+  let passed = 0;
+  const total = 4;
+  const { storage, config, localDir } = createLocalStorage({
+    STORAGE_SIGNING_SECRET: 'test-secret',
+    PUBLIC_BASE_URL: 'https://sentinel.example.org/'
+  });
+
+  try {
+    const signed = new URL(await storage.getSignedUrl('recordings/RE 1.wav', { expiresIn: 60 }));
+    const key = decodeURIComponent(signed.pathname.slice('/api/storage/'.length));
+    const expires = signed.searchParams.get('expires');
+    const signature = signed.searchParams.get('signature');
+    if (signed.origin === 'https://sentinel.example.org' && key === 'recordings/RE 1.wav' && verifySignedUrl(key, expires, signature, config)) {
+      console.log('✅ PASS - Signed URLs point at /api/storage and verify');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Signed URL:', signed.href);
+    }
+
+    if (!verifySignedUrl('recordings/RE-2.wav', expires, signature, config) &&
+        !verifySignedUrl(key, Number(expires) + 60, signature, config) &&
+        !verifySignedUrl(key, expires, 'ab'.repeat(32), config)) {
+      console.log('✅ PASS - Changing the key, expiry or signature invalidates the URL');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Tampered signed URL verified');
+    }
+
+    const expired = new URL(await storage.getSignedUrl('recordings/RE-1.wav', { expiresIn: -10 }));
+    if (!verifySignedUrl('recordings/RE-1.wav', expired.searchParams.get('expires'), expired.searchParams.get('signature'), config)) {
+      console.log('✅ PASS - Expired URLs are rejected');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Expired URL verified');
+    }
+
+    const unsigned = createLocalStorage();
+    const noSecret = await rejectsWith(unsigned.storage.getSignedUrl('recordings/RE-1.wav'), 'INVALID_STORAGE_CONFIG');
+    fs.rmSync(unsigned.localDir, { recursive: true, force: true });
+    if (noSecret && !verifySignedUrl(key, expires, signature, unsigned.config)) {
+      console.log('✅ PASS - Local signed URLs require STORAGE_SIGNING_SECRET');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Signed URL issued or verified without a secret');
+    }
+  } finally {
+    fs.rmSync(localDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Signed URL Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test S3 and MinIO configuration and URL mapping (no requests are sent)
+ */
+async function testS3Backends() {
+  console.log('\n☁️ Testing S3 and MinIO Backends');
+  console.log('-'.repeat(40));
+
+  let passed = 0;
+  const total = 5;
+  const credentials = { AWS_ACCESS_KEY_ID: 'AKIATEST', AWS_SECRET_ACCESS_KEY: 'secret' };
+
+  const defaults = resolveStorageConfig(credentials);
+  if (defaults.backend === 's3' && defaults.bucket === 'sip-sentinel' && defaults.region === 'us-west-2' &&
+      defaults.credentials.accessKeyId === 'AKIATEST') {
+    console.log('✅ PASS - AWS S3 is the default backend with the existing bucket and region');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Defaults:', defaults);
+  }
+
+  const aws = createStorageBackend(resolveStorageConfig({ ...credentials, STORAGE_BUCKET: 'evidence-bucket', AWS_REGION: 'eu-west-1' }));
+  const objectUrl = aws.objectUrl(`${ACCOUNT_SID}/${RECORDING_SID}`);
+  if (objectUrl === `https://evidence-bucket.s3.eu-west-1.amazonaws.com/${ACCOUNT_SID}/${RECORDING_SID}` &&
+      aws.keyFromUrl(objectUrl) === `${ACCOUNT_SID}/${RECORDING_SID}` &&
+      aws.keyFromUrl('https://s3.eu-west-1.amazonaws.com/evidence-bucket/recordings/RE-1.wav') === 'recordings/RE-1.wav' &&
+      aws.keyFromUrl('s3://evidence-bucket/metadata/CA-1.json') === 'metadata/CA-1.json' &&
+      aws.keyFromUrl('https://other-bucket.s3.eu-west-1.amazonaws.com/x.wav') === null &&
+      aws.uri('metadata/CA-1.json') === 's3://evidence-bucket/metadata/CA-1.json') {
+    console.log('✅ PASS - AWS virtual-hosted, path-style and s3:// URLs map to keys in the configured bucket');
+    passed++;
+  } else {
+    console.log('❌ FAIL - AWS URLs:', objectUrl);
+  }
+
+  const minio = createStorageBackend(resolveStorageConfig({
+    STORAGE_BACKEND: 'minio',
+    STORAGE_ENDPOINT: 'http://localhost:9000/',
+    STORAGE_ACCESS_KEY_ID: 'minioadmin',
+    STORAGE_SECRET_ACCESS_KEY: 'minioadmin'
+  }));
+  const minioUrl = minio.objectUrl('recordings/RE-1.wav');
+  if (minio.type === 'minio' && minioUrl === 'http://localhost:9000/sip-sentinel/recordings/RE-1.wav' &&
+      minio.keyFromUrl(minioUrl) === 'recordings/RE-1.wav' &&
+      minio.keyFromUrl('https://sip-sentinel.s3.us-west-2.amazonaws.com/recordings/RE-1.wav') === null) {
+    console.log('✅ PASS - MinIO uses path-style URLs on the configured endpoint');
+    passed++;
+  } else {
+    console.log('❌ FAIL - MinIO URLs:', minioUrl);
+  }
+
+  const signedUrl = await aws.getSignedUrl('recordings/RE-1.wav', { expiresIn: 300 });
+  if (signedUrl.startsWith('https://evidence-bucket.s3.eu-west-1.amazonaws.com/recordings/RE-1.wav?') &&
+      signedUrl.includes('X-Amz-Expires=300') && signedUrl.includes('X-Amz-Signature=')) {
+    console.log('✅ PASS - S3 signed URLs are presigned GET requests');
+    passed++;
+  } else {
+    console.log('❌ FAIL - S3 signed URL:', signedUrl);
+  }
+
+  const unknownBackend = await rejectsWith(Promise.resolve().then(() => resolveStorageConfig({ STORAGE_BACKEND: 'ftp' })), 'INVALID_STORAGE_CONFIG');
+  const minioWithoutEndpoint = await rejectsWith(Promise.resolve().then(() => resolveStorageConfig({ STORAGE_BACKEND: 'minio' })), 'INVALID_STORAGE_CONFIG');
+  const aliases = resolveStorageConfig({ STORAGE_BACKEND: 'filesystem' }).backend === 'local' &&
+    resolveStorageConfig({ STORAGE_BACKEND: 'AWS' }).backend === 's3';
+  let missingCredentials = false;
+  try {
+    await createStorageBackend(resolveStorageConfig({})).get('metadata/CA-1.json');
+  } catch (error) {
+    missingCredentials = error.message === 'AWS credentials not configured';
+  }
+  if (unknownBackend && minioWithoutEndpoint && aliases && missingCredentials) {
+    console.log('✅ PASS - Invalid configuration and missing credentials are reported');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Configuration errors:', { unknownBackend, minioWithoutEndpoint, aliases, missingCredentials });
+  }
+
+  console.log(`\n📊 S3 Backend Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Run the storage service and evidence verification end to end on the local backend, without AWS
+ */
+async function testLocalPipeline() {
+  console.log('\n🔁 Testing Storage Pipeline Without AWS');
+  console.log('-'.repeat(40));
+
+  let passed = 0;
+  const total = 6;
+  const localDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sipsentinel-pipeline-'));
+
+  // OpenAI-compatible speech-to-text endpoint standing in for a self-hosted Whisper server
+  const uploads = [];
+  const whisperServer = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      uploads.push({ url: req.url, body: Buffer.concat(chunks).toString('latin1') });
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ text: ' Hola, le llamamos de Coinbase. ', language: 'spanish' }));
+    });
+  });
+  await new Promise(resolve => whisperServer.listen(0, '127.0.0.1', resolve));
+
+  const overrides = {
+    STORAGE_BACKEND: 'local',
+    STORAGE_LOCAL_DIR: localDir,
+    TWILIO_ACCOUNT_SID: ACCOUNT_SID,
+    EVIDENCE_HASHING: 'true',
+    TRANSCRIBER: 'whisper',
+    TRANSCRIBER_BASE_URL: `http://127.0.0.1:${whisperServer.address().port}/v1/`,
+    CALL_INDEX: 'false',
+    AWS_ACCESS_KEY_ID: undefined,
+    AWS_SECRET_ACCESS_KEY: undefined,
+    AWS_ACCESS_KEY: undefined,
+    AWS_SECRET_KEY: undefined
+  };
+  const saved = {};
+  for (const [name, value] of Object.entries(overrides)) {
+    saved[name] = process.env[name];
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  resetStorage();
+
+  try {
+    const storageService = require('../../src/s3-storage-service');
+    const { verifyEvidence } = require('../../src/evidence-manifest');
+    const { getStorage } = require('../../src/storage-backend');
+
+    // Twilio external storage writes the recording without an extension
+    await getStorage().put(`${ACCOUNT_SID}/${RECORDING_SID}`, Buffer.from('RIFF-test-audio'));
+    const transcript = 'This is Coinbase security. Call us back at 888-555-0142.';
+    await storageService.storeTranscription(CALL_SID, RECORDING_SID, transcript);
+    await storageService.storeCallMetadata(CALL_SID, {
+      recordingSid: RECORDING_SID,
+      scamAnalysis: { isScam: true, impersonatedCompany: 'Coinbase', confidence: 92 }
+    });
+
+    const metadata = await storageService.getCallMetadata(CALL_SID);
+    const storedTranscript = await storageService.getTranscription(CALL_SID, RECORDING_SID);
+    if (metadata && metadata.callSid === CALL_SID && metadata.scamAnalysis.confidence === 92 && storedTranscript === transcript &&
+        await storageService.getCallMetadata('CA-missing') === null) {
+      console.log('✅ PASS - Metadata and transcriptions are stored and read back from disk');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Stored call data:', metadata, storedTranscript);
+    }
+
+    const windowed = await storageService.listCallMetadataInWindow({ since: new Date(Date.now() - 60000) });
+    const earlier = await storageService.listCallMetadataInWindow({ since: '2020-01-01', until: '2020-01-02' });
+    const recent = await storageService.listRecentCallMetadata(5);
+    if (windowed.length === 1 && windowed[0].callSid === CALL_SID && earlier.length === 0 && recent.length === 1) {
+      console.log('✅ PASS - Metadata listings work on the local backend');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Metadata listings:', { windowed, earlier, recent });
+    }
+
+    const verification = await verifyEvidence(CALL_SID);
+    const artifacts = verification.artifacts.map(artifact => artifact.artifact).sort().join(',');
+    if (await storageService.findRecordingInS3(RECORDING_SID) === `${ACCOUNT_SID}/${RECORDING_SID}` &&
+        verification.valid && artifacts === 'analysis,audio,metadata,transcript' && verification.warnings.length === 0) {
+      console.log('✅ PASS - Twilio recordings are found and every artifact is in a valid evidence manifest');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Evidence verification:', verification);
+    }
+
+    fs.writeFileSync(path.join(localDir, 'transcriptions', CALL_SID, `${RECORDING_SID}.txt`), 'Edited transcript');
+    const tampered = await verifyEvidence(CALL_SID);
+    const transcriptStatus = tampered.artifacts.find(artifact => artifact.artifact === 'transcript').status;
+    if (!tampered.valid && transcriptStatus === 'tampered') {
+      console.log('✅ PASS - Editing a stored file is detected');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Tampered transcript verified:', tampered);
+    }
+
+    const { transcribeAudioFromUrl, resolveTranscriberConfig } = require('../../src/transcription-service');
+    const transcription = await transcribeAudioFromUrl(getStorage().objectUrl(`${ACCOUNT_SID}/${RECORDING_SID}`));
+    if (transcription?.text === 'Hola, le llamamos de Coinbase.' && transcription.language === 'es' &&
+        transcription.source === 'whisper' && uploads.length === 1 && uploads[0].url === '/v1/audio/transcriptions' &&
+        uploads[0].body.includes('RIFF-test-audio') && uploads[0].body.includes('verbose_json')) {
+      console.log('✅ PASS - Stored recordings are transcribed by the Whisper transcriber without AWS');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Whisper transcription:', transcription, uploads);
+    }
+
+    const minio = { STORAGE_BACKEND: 'minio', STORAGE_ENDPOINT: 'http://localhost:9000' };
+    const amazonOnMinio = throwsWith(() => resolveTranscriberConfig(minio), 'INVALID_TRANSCRIBER_CONFIG');
+    const amazonOnLocal = throwsWith(() => resolveTranscriberConfig({ STORAGE_BACKEND: 'local', TRANSCRIBER: 'amazon' }), 'INVALID_TRANSCRIBER_CONFIG');
+    const whisperWithoutUrl = throwsWith(() => resolveTranscriberConfig({ ...minio, TRANSCRIBER: 'whisper' }), 'INVALID_TRANSCRIBER_CONFIG');
+    if (amazonOnMinio && amazonOnLocal && whisperWithoutUrl &&
+        resolveTranscriberConfig({ ...minio, TRANSCRIBER: 'none' }).transcriber === 'none' &&
+        resolveTranscriberConfig({}).transcriber === 'amazon') {
+      console.log('✅ PASS - Amazon Transcribe with MinIO or local storage is a configuration error, not a silent skip');
+      passed++;
+    } else {
+      console.log('❌ FAIL - Transcriber configuration:', { amazonOnMinio, amazonOnLocal, whisperWithoutUrl });
+    }
+  } finally {
+    whisperServer.close();
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    resetStorage();
+    fs.rmSync(localDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Pipeline Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Run all storage backend tests
+ */
+async function runStorageBackendTests() {
+  console.log('🧪 SIPSentinel Storage Backend Tests\n');
+  console.log('=' .repeat(60));
+
+  const results = {
+    local: await testLocalBackend(),
+    signedUrls: await testSignedUrls(),
+    s3: await testS3Backends(),
+    pipeline: await testLocalPipeline()
+  };
+
+  console.log('=' .repeat(60));
+  console.log('📊 Final Results:');
+  console.log(`   Local Backend: ${results.local ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Signed URLs: ${results.signedUrls ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   S3 and MinIO: ${results.s3 ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Pipeline Without AWS: ${results.pipeline ? '✅ PASS' : '❌ FAIL'}`);
+
+  const allPassed = Object.values(results).every(result => result);
+  console.log(`\n🎯 Overall: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runStorageBackendTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('💥 Test runner crashed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runStorageBackendTests,
+  testLocalBackend,
+  testSignedUrls,
+  testS3Backends,
+  testLocalPipeline
+};
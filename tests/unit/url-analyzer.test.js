@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for SMS link extraction and lookalike-domain detection
+ */
+
+const { analyzeUrls, extractUrls, getRegistrableDomain } = require('../../src/url-analyzer');
+const { scoreScam } = require('../../src/ensemble-scorer');
+const { isLikelyScam } = require('../../src/scam-detector');
+
+/**
+ * Test URL extraction, including obfuscated links
+ */
+function testExtraction() {
+  console.log('🔗 Testing URL Extraction...\n');
+
+  const testCases = [
+    {
+      name: 'Plain HTTPS link with path',
+      text: 'Track your order at https://www.amazon.com/gp/your-account/orders.',
+      expectedDomains: ['amazon.com'],
+      obfuscated: false
+    },
+    {
+      name: 'hxxp scheme and bracketed dots',
+      text: 'Update your address: hxxps://usps-redelivery[.]com/track',
+      expectedDomains: ['usps-redelivery.com'],
+      obfuscated: true
+    },
+    {
+      name: 'Spaced and spoken dots',
+      text: 'Log in at coinbase . com or visit wellsfargo dot com today',
+      expectedDomains: ['coinbase.com', 'wellsfargo.com'],
+      obfuscated: true
+    },
+    {
+      name: 'Shortener and raw IP host',
+      text: 'Claim at bit.ly/3xYz9 or http://203.0.113.7/login',
+      expectedDomains: ['bit.ly', '203.0.113.7'],
+      obfuscated: false
+    },
+    {
+      name: 'E-mail addresses, abbreviations and times are not links',
+      text: 'Email bob@gmail.com before 5 p.m., e.g. Mr.Smith in the U.S. office',
+      expectedDomains: [],
+      obfuscated: false
+    },
+    {
+      name: 'Registrable domain keeps multi-part suffixes',
+      text: 'Sign in at https://login.secure.amazon.co.uk/ap/signin',
+      expectedDomains: ['amazon.co.uk'],
+      obfuscated: false
+    }
+  ];
+
+  let passed = 0;
+  for (const testCase of testCases) {
+    const urls = extractUrls(testCase.text);
+    const domains = urls.map(entry => entry.domain);
+    const obfuscated = urls.some(entry => entry.obfuscated);
+    if (JSON.stringify(domains) === JSON.stringify(testCase.expectedDomains) && obfuscated === testCase.obfuscated) {
+      console.log(`✅ PASS - ${testCase.name}`);
+      passed++;
+    } else {
+      console.log(`❌ FAIL - ${testCase.name}: got ${JSON.stringify(domains)} (obfuscated: ${obfuscated})`);
+    }
+  }
+
+  if (getRegistrableDomain('a.b.coinbase.com') === 'coinbase.com') {
+    console.log('✅ PASS - Subdomains collapse to the registrable domain');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Registrable domain:', getRegistrableDomain('a.b.coinbase.com'));
+  }
+
+  const total = testCases.length + 1;
+  console.log(`\n📊 URL Extraction Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test lookalike detection against the companies' official domains
+ */
+function testLookalikes() {
+  console.log('🎭 Testing Lookalike Domains...\n');
+
+  const testCases = [
+    { name: 'Digit homoglyph in a hyphenated domain', text: 'https://c0inbase-secure.net/login', company: 'coinbase', technique: 'brand_in_domain' },
+    { name: 'IDN homoglyph', text: 'http://xn--coinbse-30c.com/', company: 'coinbase', technique: 'homoglyph' },
+    { name: 'Cyrillic homoglyph', text: 'https://соinbase.com/', company: 'coinbase', technique: 'homoglyph' },
+    { name: 'One-letter typosquat', text: 'krakken.com/verify', company: 'kraken', technique: 'typosquat' },
+    { name: 'Brand in a foreign domain', text: 'hxxps://usps-redelivery[.]com', company: 'usps', technique: 'brand_in_domain' },
+    { name: 'Brand as a subdomain', text: 'http://coinbase.account-verify.ru/', company: 'coinbase', technique: 'brand_in_subdomain' },
+    { name: 'Brand on a generic ccTLD', text: 'coinbase.co/login', company: 'coinbase', technique: 'tld_swap' }
+  ];
+
+  let passed = 0;
+  for (const testCase of testCases) {
+    const { lookalikes } = analyzeUrls(testCase.text);
+    const match = lookalikes[0];
+    if (match && match.companyId === testCase.company && match.technique === testCase.technique) {
+      console.log(`✅ PASS - ${testCase.name}`);
+      passed++;
+    } else {
+      console.log(`❌ FAIL - ${testCase.name}:`, lookalikes);
+    }
+  }
+
+  const official = analyzeUrls('https://help.coinbase.com/ and https://www.amazon.co.uk/ and https://outlook.live.com/ and groups.com');
+  if (official.lookalikes.length === 0 && official.officialDomains.join(',') === 'coinbase.com,amazon.co.uk,live.com') {
+    console.log('✅ PASS - Official domains, subdomains and country storefronts are not flagged');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Official domains:', official.lookalikes, official.officialDomains);
+  }
+
+  const impersonated = analyzeUrls('Verify at wellsfarg0-alerts.com', { company: 'Wells Fargo' });
+  if (impersonated.lookalikes[0]?.matchesImpersonatedCompany && impersonated.flags.lookalike) {
+    console.log('✅ PASS - Lookalikes are tied to the impersonated company');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Impersonated company:', impersonated.lookalikes);
+  }
+
+  const total = testCases.length + 2;
+  console.log(`\n📊 Lookalike Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Test that link signals feed the ensemble verdict
+ */
+function testEnsembleFeatures() {
+  console.log('🧮 Testing Ensemble URL Features...\n');
+
+  let passed = 0;
+  const total = 3;
+  const llmAnalysis = { isScam: false, confidence: 55, scamType: 'not_a_scam', parseStatus: 'valid' };
+
+  const score = text => scoreScam({ regexAnalysis: isLikelyScam(text), llmAnalysis, urlAnalysis: analyzeUrls(text) });
+  const phishing = score('Coinbase: a new device signed in. Secure your account at https://c0inbase-secure.net/login');
+  const official = score('Coinbase: a new device signed in. Review it at https://www.coinbase.com/settings/security');
+  if (phishing.probability > official.probability && phishing.isScam && !official.isScam) {
+    console.log('✅ PASS - A lookalike link outweighs a hesitant LLM "not a scam"');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Lookalike scoring:', phishing.probability, official.probability);
+  }
+
+  const suspicious = scoreScam({ urlAnalysis: analyzeUrls('hxxp://203.0.113.7/login') })
+    .breakdown.find(entry => entry.signal === 'urlSuspicious');
+  if (suspicious.available && suspicious.value > 0) {
+    console.log('✅ PASS - Obfuscated and raw-IP links raise urlSuspicious');
+    passed++;
+  } else {
+    console.log('❌ FAIL - urlSuspicious:', suspicious);
+  }
+
+  const voicemail = scoreScam({ llmAnalysis }).breakdown.filter(entry => entry.signal.startsWith('url'));
+  if (voicemail.length === 2 && voicemail.every(entry => !entry.available && entry.contribution === 0)) {
+    console.log('✅ PASS - Without link analysis the URL features contribute nothing');
+    passed++;
+  } else {
+    console.log('❌ FAIL - Missing link analysis:', voicemail);
+  }
+
+  console.log(`\n📊 Ensemble URL Feature Results: ${passed}/${total} tests passed\n`);
+  return passed === total;
+}
+
+/**
+ * Run all URL analyzer tests
+ */
+async function runUrlAnalyzerTests() {
+  console.log('🧪 Running URL Analyzer Unit Tests...\n');
+  console.log('=' .repeat(60));
+
+  const results = {
+    extraction: testExtraction(),
+    lookalikes: testLookalikes(),
+    ensemble: testEnsembleFeatures()
+  };
+
+  console.log('=' .repeat(60));
+  console.log('📊 Final Results:');
+  console.log(`   URL Extraction: ${results.extraction ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Lookalike Domains: ${results.lookalikes ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`   Ensemble URL Features: ${results.ensemble ? '✅ PASS' : '❌ FAIL'}`);
+
+  const allPassed = Object.values(results).every(result => result);
+  console.log(`\n🎯 Overall: ${allPassed ? '✅ ALL TESTS PASSED' : '❌ SOME TESTS FAILED'}`);
+
+  return allPassed;
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runUrlAnalyzerTests()
+    .then(success => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('💥 Test runner crashed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runUrlAnalyzerTests,
+  testExtraction,
+  testLookalikes,
+  testEnsembleFeatures
+};